@@ -0,0 +1,34 @@
+/**
+ * Copy the local OCR engine into public/tesseract so it is served with the app
+ * Runs before `npm run dev` and `npm run build`. Local OCR then works without
+ * internet access (see src/lib/local-ocr.js):
+ *   tesseract/worker.min.js  - Tesseract.js web worker
+ *   tesseract/core/          - WASM core, LSTM builds with and without SIMD
+ *   tesseract/lang/          - Swedish and English language data
+ */
+
+import { cpSync, mkdirSync, readdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const modules = join(root, 'node_modules');
+const target = join(root, 'public', 'tesseract');
+const LANGUAGES = ['swe', 'eng'];
+
+mkdirSync(join(target, 'core'), { recursive: true });
+mkdirSync(join(target, 'lang'), { recursive: true });
+
+cpSync(join(modules, 'tesseract.js', 'dist', 'worker.min.js'), join(target, 'worker.min.js'));
+
+// The worker picks the fastest build the browser supports; only LSTM builds are used
+readdirSync(join(modules, 'tesseract.js-core'))
+  .filter(file => file.endsWith('-lstm.wasm.js'))
+  .forEach(file => cpSync(join(modules, 'tesseract.js-core', file), join(target, 'core', file)));
+
+LANGUAGES.forEach(lang => {
+  const file = `${lang}.traineddata.gz`;
+  cpSync(join(modules, '@tesseract.js-data', lang, '4.0.0_best_int', file), join(target, 'lang', file));
+});
+
+console.log(`Local OCR engine copied to ${target}`);
@@ -26,25 +26,88 @@
 
 import Konva from 'konva';
 import { marked } from 'marked';
-import { getAllCards, updateCard, createCard, deleteCard, getCard } from './storage.js';
+import { getAllCards, updateCard, createCard, deleteCard, restoreCard, getCard, getActiveBoardId } from './storage.js';
 import { processImage } from '../utils/image-processing.js';
+import { detectPostItsInImage, cropPostIt, layoutPostIts, mapNoteColorToCard } from '../utils/postit-detection.js';
 import { showClaudeAssistant } from '../ui/ai-assistant.js';
 import { getCardImageSrc, normalizeCardImage } from '../utils/card-images.js';
-import { readImageWithGemini, executeGeminiAgent, getGoogleAIAPIKey, executeChatGPTAgent } from './gemini.js';
-import { getUpcomingCalendarEvents, getTodayCalendarEvents, getThisWeekCalendarEvents, formatEventsForAI } from './calendar-sync.js';
+import { executeGeminiAgent, getGoogleAIAPIKey, executeChatGPTAgent, executeLocalLLMAgent } from './gemini.js';
+import { getLocalLLMSettings, saveLocalLLMSettings, forgetLocalLLMApiKey, listLocalLLMModels } from '../lib/local-llm.js';
+import { parseZoteroRDF, formatSourceName } from '../lib/zotero-rdf.js';
+import { collectSources, toBibTeX, toCslJson, formatReference, formatInTextCitation } from '../lib/bibliography.js';
+import { createVaultZip, readVaultFiles, importVaultNotes } from '../lib/markdown-vault.js';
+import { toJsonCanvas, readJsonCanvasFile, fromJsonCanvas } from '../lib/json-canvas.js';
+import { readSpreadsheetFile, cardsToCSV } from '../lib/spreadsheet.js';
+import { AI_TOOL_DEFINITIONS, createAIToolRegistry, createAIChangeset, commitAIChangeset } from '../lib/ai-tools.js';
+import { OCR_PROVIDERS, getOcrProvider, setOcrProvider, ensureOcrProviderReady, ocrImageCard } from '../lib/ocr-providers.js';
 import {
   arrangeVertical,
   arrangeHorizontal,
-  arrangeGrid,
   arrangeCluster,
   arrangeGridVertical,
   arrangeGridHorizontal,
-  arrangeGridTopAligned
+  arrangeGridTopAligned,
+  orderByConnectors
 } from './arrangement.js';
 import { addRecentCardColor } from '../utils/recent-card-colors.js';
 import { getCardColorValue, getColorOptionsForTheme, useColoredCards } from '../utils/card-colors.js';
 import { registerCommand, unregisterCommand, executeCommandFromEvent, getCommands, formatKeyBindings } from '../lib/command-registry.js';
 import { updateStats } from '../ui/stats-display.js';
+import { createSpatialIndex } from '../lib/spatial-index.js';
+import {
+  normalizeSearchQuery,
+  buildCardSearchText,
+  matchWithWildcard,
+  evaluateBooleanQuery,
+  compileQuery,
+  getQuerySyntaxError,
+  SearchSyntaxError
+} from '../lib/search-query.js';
+import { getSearchMode, compileSearch } from '../lib/fuzzy-search.js';
+import {
+  getConnectors,
+  getConnectorsForCard,
+  createConnector,
+  updateConnector,
+  deleteConnector,
+  getConnectorPoints
+} from '../lib/connectors.js';
+import {
+  getFrames,
+  createFrame,
+  updateFrame,
+  deleteFrame,
+  findFrameForBox,
+  groupCardsByFrame,
+  DEFAULT_FRAME_NAME
+} from '../lib/frames.js';
+import { getCardHistory, pickHistoryFields, changedFields, diffWords } from '../lib/card-history.js';
+import { buildWikiLinkIndex, getCardTitle } from '../lib/wiki-links.js';
+import { attachWikiLinkAutocomplete } from '../ui/wiki-link-autocomplete.js';
+import { createMinimap } from '../ui/minimap.js';
+import {
+  getStrokes,
+  createStroke,
+  deleteStrokes,
+  restoreStrokes,
+  addStrokePoint,
+  getStrokeOutline,
+  strokeHitsPoint,
+  INK_COLORS
+} from '../lib/ink.js';
+import { createInkToolbar } from '../ui/ink-toolbar.js';
+import {
+  configureOcrQueue,
+  startOcrQueue,
+  enqueueOcrJobs,
+  getOcrJobs,
+  retryFailedOcrJobs,
+  clearFailedOcrJobs
+} from '../lib/ocr-queue.js';
+import { renderOcrProgress, showOcrDone, showOcrQueueDialog } from '../ui/ocr-queue-status.js';
+import { showOcrProviderChooser } from '../ui/ocr-provider-chooser.js';
+import { showAIChangesetBar, hideAIChangesetBar } from '../ui/ai-changeset-bar.js';
+import { showSpreadsheetImportDialog } from '../ui/spreadsheet-import-dialog.js';
 
 // ============================================================================
 // SECTION 1: GLOBAL STATE & CONFIGURATION
@@ -77,6 +140,55 @@ const registeredCanvasCommands = new Set();
 let activeSearchQuery = '';
 let matchingCardIds = new Set();
 
+// Viewport culling: on large boards only cards near the viewport are live Konva groups
+const CULLING_MIN_CARDS = 300; // Smaller boards render every card
+const CULLING_MARGIN = 0.5; // Extra viewport fraction kept live around the edges
+const LOW_DETAIL_SCALE = 0.35; // Below this zoom, cards render as colored rectangle + title
+const cardIndex = createSpatialIndex();
+let cullingEnabled = false;
+let lowDetailMode = false;
+let viewportUpdateScheduled = false;
+
+// Connectors between cards, drawn on their own layer below the cards
+let connectorLayer = null;
+let connectorShapes = new Map(); // connectorId -> { connector, arrow, label }
+let pendingConnectorFrom = null; // cardId while the user picks a connector target
+
+// Frames (named sections) drawn on the bottom layer; cards in collapsed frames are not rendered
+const FRAME_HEADER_HEIGHT = 36;
+const FRAME_PADDING = 30;
+let frameLayer = null;
+let frames = new Map(); // frameId -> frame
+let frameShapes = new Map(); // frameId -> Konva.Group
+let cardFrameIds = new Map(); // cardId -> frameId, for every card on the board
+
+// [[Wiki links]] between cards, rebuilt by loadCards
+let wikiLinkIndex = { linksByCard: new Map(), backlinksByCard: new Map() };
+
+// Minimap overview in the bottom-left corner (covers culled cards via cardIndex)
+const MINIMAP_VISIBLE_KEY = 'minimapVisible';
+let minimap = null;
+let minimapCardColors = new Map(); // cardId -> cardColor
+
+// Freehand ink (pen mode)
+let inkLayer = null; // Background strokes; strokes inside cards live in the card group
+let inkMode = false;
+let inkToolbar = null;
+let inkStrokes = new Map(); // strokeId -> stroke, for the whole board
+let inkShapes = new Map(); // strokeId -> Konva.Line
+let penDetected = false; // Once a pen has been used, fingers pan instead of drawing
+
+// OCR queue status per card, for the badges (see initOcrQueue)
+let ocrJobsByCard = new Map(); // cardId -> job
+
+// Image import
+const SPLIT_POSTITS_KEY = 'splitPostIts'; // Last choice for splitting post-it photos
+
+// AI tool changes waiting for the user to accept or reject them
+const aiChangeset = createAIChangeset({ onChange: scheduleAIChangesetPreview });
+let aiPreviewLayer = null; // Ghosts of the pending changes, above the cards
+let aiPreviewScheduled = false;
+
 // ============================================================================
 // SECTION 2: RENDERING (Cards, Colors, Visual Elements)
 // ============================================================================
@@ -162,10 +274,27 @@ export async function initCanvas() {
     draggable: false
   });
   
+  // Frames at the bottom, then connectors, then background ink, then cards
+  frameLayer = new Konva.Layer();
+  stage.add(frameLayer);
+
+  connectorLayer = new Konva.Layer();
+  stage.add(connectorLayer);
+
+  // Ink is erased by hit-testing the stroke data, so the layer never needs events
+  inkLayer = new Konva.Layer({ listening: false });
+  stage.add(inkLayer);
+
   // Create main layer
   layer = new Konva.Layer();
   stage.add(layer);
 
+  aiPreviewLayer = new Konva.Layer({ listening: false });
+  stage.add(aiPreviewLayer);
+
+  // Connectors follow cards whenever the card layer redraws (drag, arrangements, undo)
+  layer.on('draw', updateConnectorPositions);
+
   // Create selection rectangle (hidden by default)
   selectionRectangle = new Konva.Rect({
     fill: 'rgba(33, 150, 243, 0.1)',
@@ -177,9 +306,14 @@ export async function initCanvas() {
 
   // Load cards from storage
   await loadCards();
+  await loadConnectors();
 
   // Setup event listeners
   setupCanvasEvents();
+  setupInkInput();
+
+  // Re-cull whenever the viewport moves or zooms
+  stage.on('xChange yChange scaleXChange widthChange heightChange', scheduleViewportUpdate);
 
   // Setup image drag-and-drop
   setupImageDragDrop();
@@ -188,4203 +322,4249 @@ export async function initCanvas() {
   createFitAllButton();
   createCommandPaletteButton();
   createAddButton();
+  createInkButton();
+  createMinimapWidget();
 
   registerCanvasCommands();
   setupKeyboardShortcuts();
 
+  await initOcrQueue();
+
   console.log('Konva canvas initialized');
 }
 
 /**
  * Load cards from storage and render
+ * Large boards only instantiate cards near the viewport (see updateViewportCulling).
  */
 async function loadCards() {
-  const cards = await getAllCards();
+  const boardCards = await getAllCards();
+
+  wikiLinkIndex = buildWikiLinkIndex(boardCards);
+  minimapCardColors = new Map(boardCards.map(card => [card.id, card.cardColor]));
+
+  frames = new Map((await getFrames()).map(frame => [frame.id, frame]));
+  cardFrameIds = new Map(
+    boardCards.filter(card => frames.has(card.frameId)).map(card => [card.id, card.frameId])
+  );
+  renderFrames();
+  await loadInk();
+
+  // Cards in collapsed frames stay off the canvas until the frame is expanded
+  const cards = boardCards.filter(card => !frames.get(cardFrameIds.get(card.id))?.collapsed);
+
+  cardIndex.clear();
+  cards.forEach(card => cardIndex.insert(card.id, estimateCardBounds(card)));
+
+  cullingEnabled = cards.length >= CULLING_MIN_CARDS;
+  lowDetailMode = cullingEnabled && stage.scaleX() < LOW_DETAIL_SCALE;
+
+  const visibleIds = cullingEnabled ? getViewportCardIds() : null;
 
   for (const card of cards) {
-    renderCard(card);
+    if (!visibleIds || visibleIds.has(card.id)) {
+      renderCard(card);
+    }
   }
 
   // Restore search highlighting if there was an active search
   if (activeSearchQuery && matchingCardIds.size > 0) {
     console.log('[loadCards] Restoring search highlighting for:', matchingCardIds.size, 'cards');
-    const allGroups = layer.getChildren().filter(node => node.getAttr('cardId'));
-
-    allGroups.forEach(group => {
-      const cardId = group.getAttr('cardId');
-      const background = group.findOne('Rect');
-      const isMatch = matchingCardIds.has(cardId);
-
-      if (isMatch) {
-        // Matching card: mark and full opacity
-        group.opacity(1);
-        group.addName('selected');
-        if (background) {
-          background.stroke('#2196F3');
-          background.strokeWidth(3);
-        }
-      } else {
-        // Non-matching card: fade and remove selection
-        group.opacity(0.3);
-        group.removeName('selected');
-        if (background) {
-          background.stroke('#e0e0e0');
-          background.strokeWidth(1);
-        }
-      }
-    });
+    cardGroups.forEach(group => applySearchHighlight(group));
   }
 
   layer.batchDraw();
 }
 
 /**
- * Render a single card on canvas
+ * Apply active search highlighting to a card group
  */
-function renderCard(cardData) {
-  const group = new Konva.Group({
-    x: cardData.position?.x || 100,
-    y: cardData.position?.y || 100,
-    draggable: true
-  });
+function applySearchHighlight(group) {
+  if (!activeSearchQuery || matchingCardIds.size === 0) return;
 
-  const normalizedImage = normalizeCardImage(cardData.image);
+  const cardId = group.getAttr('cardId');
+  const background = group.findOne('Rect');
+  const isMatch = matchingCardIds.has(cardId);
 
-  if (normalizedImage?.src) {
-    // Image card
-    renderImageCard(group, { ...cardData, image: normalizedImage });
+  if (isMatch) {
+    // Matching card: mark and full opacity
+    group.opacity(1);
+    group.addName('selected');
+    if (background) {
+      background.stroke('#2196F3');
+      background.strokeWidth(3);
+    }
   } else {
-    if (cardData.image) {
-      console.warn('renderCard: unexpected image format, falling back to text card', cardData.image);
+    // Non-matching card: fade and remove selection
+    group.opacity(0.3);
+    group.removeName('selected');
+    if (background) {
+      background.stroke('#e0e0e0');
+      background.strokeWidth(1);
     }
-    // Text card
-    renderTextCard(group, cardData);
   }
+}
 
-  // Store card ID on group
-  group.setAttr('cardId', cardData.id);
-
-  // Set locked state
-  if (cardData.locked) {
-    group.draggable(false);
-    group.setAttr('locked', true);
+/**
+ * Estimate card bounds before it has been rendered
+ */
+function estimateCardBounds(card) {
+  const image = normalizeCardImage(card.image);
+  let height = 150;
+
+  if (image?.width && image?.height) {
+    height = Math.min(300, 200 * image.height / image.width);
+  } else if (!image?.src && card.text) {
+    // Roughly 25 characters per 17px line in a 200px text card
+    height = Math.max(150, Math.ceil(card.text.length / 25) * 17 + 32);
   }
 
-  // Click to select (for deletion)
-  group.on('click', function() {
-    const isSelected = this.hasName('selected');
-    const background = this.findOne('Rect');
-    const isEink = document.body.classList.contains('eink-theme');
-    const isDark = document.body.classList.contains('dark-theme');
-
-    if (isSelected) {
-      this.removeName('selected');
-      if (background) {
-        if (isEink) {
-          background.stroke('#000000');
-          background.strokeWidth(1);
-        } else if (isDark) {
-          background.stroke('#4a5568');
-          background.strokeWidth(1);
-        } else {
-          background.stroke('#e0e0e0');
-          background.strokeWidth(1);
-        }
-      }
-    } else {
-      this.addName('selected');
-      if (background) {
-        if (isEink) {
-          background.stroke('#000000');
-          background.strokeWidth(3);
-        } else {
-          background.stroke('#2196F3');
-          background.strokeWidth(3);
-        }
-      }
-    }
+  return {
+    x: card.position?.x || 100,
+    y: card.position?.y || 100,
+    width: 200,
+    height
+  };
+}
 
-    layer.batchDraw();
-    refreshStats();
+/**
+ * Update index entry from a live group (live groups are the source of truth)
+ */
+function syncIndexFromGroup(cardId, group) {
+  const background = group.findOne('Rect');
+  const previous = cardIndex.getBounds(cardId);
+
+  cardIndex.insert(cardId, {
+    x: group.x(),
+    y: group.y(),
+    width: background?.width() || previous?.width || 200,
+    height: background?.height() || previous?.height || 150
   });
+}
 
-  // Right-click context menu
-  group.on('contextmenu', function(e) {
-    e.evt.preventDefault();
-    showContextMenu(e.evt.clientX, e.evt.clientY, cardData.id, this);
+/**
+ * Card ids intersecting the viewport plus margin
+ */
+function getViewportCardIds() {
+  const scale = stage.scaleX();
+  const width = stage.width() / scale;
+  const height = stage.height() / scale;
+
+  return cardIndex.query({
+    x: -stage.x() / scale - width * CULLING_MARGIN,
+    y: -stage.y() / scale - height * CULLING_MARGIN,
+    width: width * (1 + CULLING_MARGIN * 2),
+    height: height * (1 + CULLING_MARGIN * 2)
   });
+}
 
-  // Touch handlers
-  let touchTimer = null;
-  let touchStartPos = null;
-  let hasMoved = false;
-
-  group.on('touchstart', function(e) {
-    const pos = this.position();
-    touchStartPos = { x: pos.x, y: pos.y };
-    hasMoved = false;
-
-    // Long press timer
-    touchTimer = setTimeout(async () => {
-      if (!hasMoved) {
-        // Long press detected
-        const selectedGroups = layer.find('.selected');
+/**
+ * Throttle culling to one pass per animation frame
+ */
+function scheduleViewportUpdate() {
+  if (!cullingEnabled || viewportUpdateScheduled) return;
 
-        if (selectedGroups.length > 1 && this.hasName('selected')) {
-          // Multiple cards selected: show bulk menu
-          await showTouchBulkMenu(e.evt.clientX || e.evt.touches[0].clientX,
-                                  e.evt.clientY || e.evt.touches[0].clientY);
-        } else {
-          // Single card: open editor
-          if (cardData.image) {
-            // For image cards, open edit dialog (works for both front and flipped)
-            openEditDialog(cardData.id);
-          } else {
-            // For text cards, open inline editor
-            createInlineEditor(cardData.id, this, cardData.text || '', false);
-          }
-        }
-        touchTimer = null;
-      }
-    }, 600); // 600ms long press
+  viewportUpdateScheduled = true;
+  requestAnimationFrame(() => {
+    viewportUpdateScheduled = false;
+    updateViewportCulling();
   });
+}
 
-  group.on('touchmove', function() {
-    const currentPos = this.position();
-    const moved = Math.abs(currentPos.x - touchStartPos.x) > 3 ||
-                  Math.abs(currentPos.y - touchStartPos.y) > 3;
-    if (moved) {
-      hasMoved = true;
-    }
-  });
+/**
+ * Instantiate cards that entered the viewport, destroy those that left,
+ * and switch level of detail when zoom crosses LOW_DETAIL_SCALE.
+ * Selected and dragged cards always stay live.
+ */
+async function updateViewportCulling() {
+  if (!cullingEnabled || !layer) return;
 
-  group.on('touchend', function() {
-    if (touchTimer) {
-      clearTimeout(touchTimer);
-      touchTimer = null;
+  const nextLowDetail = stage.scaleX() < LOW_DETAIL_SCALE;
+  const detailChanged = nextLowDetail !== lowDetailMode;
+  lowDetailMode = nextLowDetail;
 
-      // If touch ended before long press timer and card hasn't moved much, treat as tap to select
-      if (!hasMoved) {
-        const isSelected = this.hasName('selected');
-        const background = this.findOne('Rect');
-        const isEink = document.body.classList.contains('eink-theme');
-        const isDark = document.body.classList.contains('dark-theme');
+  cardGroups.forEach((group, cardId) => syncIndexFromGroup(cardId, group));
 
-        if (isSelected) {
-          this.removeName('selected');
-          if (background) {
-            if (isEink) {
-              background.stroke('#000000');
-              background.strokeWidth(1);
-            } else if (isDark) {
-              background.stroke('#4a5568');
-              background.strokeWidth(1);
-            } else {
-              background.stroke('#e0e0e0');
-              background.strokeWidth(1);
-            }
-          }
-        } else {
-          this.addName('selected');
-          if (background) {
-            if (isEink) {
-              background.stroke('#000000');
-              background.strokeWidth(3);
-            } else {
-              background.stroke('#2196F3');
-              background.strokeWidth(3);
-            }
-          }
-        }
+  const wantedIds = getViewportCardIds();
+  const toRender = new Set();
+  const reselect = new Set();
 
-        layer.batchDraw();
-      }
-    }
-  });
+  cardGroups.forEach((group, cardId) => {
+    if (group.isDragging()) return;
 
-  group.on('touchcancel', function() {
-    if (touchTimer) {
-      clearTimeout(touchTimer);
-      touchTimer = null;
+    const isSelected = group.hasName('selected');
+    const keep = isSelected || wantedIds.has(cardId);
+    if (keep && !detailChanged) return;
+
+    if (keep) {
+      toRender.add(cardId);
+      if (isSelected) reselect.add(cardId);
     }
+    group.destroy();
+    cardGroups.delete(cardId);
   });
 
-  group.on('dragstart', function() {
-    hasMoved = true;
-    if (touchTimer) {
-      clearTimeout(touchTimer);
-      touchTimer = null;
-    }
+  wantedIds.forEach(cardId => {
+    if (!cardGroups.has(cardId)) toRender.add(cardId);
   });
 
-  // Group drag - move all selected cards together
-  let dragStartPositions = null;
+  await renderCardsById(toRender, reselect);
+  layer.batchDraw();
+}
 
-  group.on('dragstart', function() {
-    const isSelected = this.hasName('selected');
+/**
+ * Fetch and render cards that are not live yet
+ */
+async function renderCardsById(cardIds, selectedIds = new Set()) {
+  const ids = Array.from(cardIds).filter(cardId => !cardGroups.has(cardId));
+  if (ids.length === 0) return;
 
-    if (isSelected) {
-      // Save positions of all selected cards
-      dragStartPositions = new Map();
-      const selectedNodes = layer.find('.selected');
+  const cards = await Promise.all(ids.map(cardId => getCard(cardId)));
 
-      selectedNodes.forEach(node => {
-        if (node !== this && node.getAttr('cardId')) {
-          dragStartPositions.set(node, {
-            x: node.x(),
-            y: node.y()
-          });
-        }
-      });
+  cards.forEach((card, i) => {
+    if (!card) {
+      // Deleted since the index was built
+      cardIndex.remove(ids[i]);
+      return;
     }
-  });
+    if (cardGroups.has(card.id)) return;
 
-  group.on('dragmove', function() {
-    if (dragStartPositions && dragStartPositions.size > 0) {
-      // Calculate delta from this card's movement
-      const currentPos = this.position();
-      const startPos = { x: this.getAttr('startX'), y: this.getAttr('startY') };
+    const group = renderCard(card);
+    applySearchHighlight(group);
 
-      // Store start position on first move
-      if (startPos.x === undefined) {
-        this.setAttr('startX', currentPos.x);
-        this.setAttr('startY', currentPos.y);
-        return;
+    if (selectedIds.has(card.id)) {
+      const isEink = document.body.classList.contains('eink-theme');
+      const background = group.findOne('Rect');
+      group.addName('selected');
+      if (background) {
+        background.stroke(isEink ? '#000000' : '#2196F3');
+        background.strokeWidth(3);
       }
+    }
+  });
+}
 
-      const delta = {
-        x: currentPos.x - startPos.x,
-        y: currentPos.y - startPos.y
-      };
+/**
+ * Live groups for the given cards, rendering culled ones first
+ * Layer children only cover cards near the viewport, so operations on cards
+ * picked from the database or index resolve their groups here.
+ * Cards in collapsed frames are not on the canvas and are left out.
+ */
+async function getCardGroups(cardIds) {
+  const ids = Array.from(cardIds);
+  if (cullingEnabled) {
+    await renderCardsById(ids.filter(cardId => cardIndex.getBounds(cardId)));
+  }
+  return ids.map(cardId => cardGroups.get(cardId)).filter(Boolean);
+}
 
-      // Move all other selected cards by the same delta
-      dragStartPositions.forEach((originalPos, node) => {
-        node.position({
-          x: originalPos.x + delta.x,
-          y: originalPos.y + delta.y
-        });
-      });
+/**
+ * Groups of every card on the canvas, culled ones included
+ */
+async function getAllCardGroups() {
+  if (cullingEnabled) {
+    await renderCardsById(cardIndex.getIds());
+  }
+  return Array.from(cardGroups.values());
+}
 
-      layer.batchDraw();
-    }
+/**
+ * Render low-detail card: colored rectangle with title
+ */
+function renderLowDetailCard(group, cardData) {
+  const { width, height } = cardIndex.getBounds(cardData.id) || estimateCardBounds(cardData);
+  const isEink = document.body.classList.contains('eink-theme');
+  const isDark = document.body.classList.contains('dark-theme');
+
+  let fillColor = getCardColor(cardData.cardColor);
+  if (isEink) {
+    fillColor = '#ffffff';
+  } else if (isDark && !cardData.cardColor) {
+    fillColor = '#2d3748';
+  }
+
+  const isImage = Boolean(normalizeCardImage(cardData.image)?.src);
+  const firstLine = (cardData.text || cardData.backText || '').split('\n').find(line => line.trim()) || '';
+  const title = isImage ? `🖼️ ${firstLine}`.trim() : firstLine;
+
+  const background = new Konva.Rect({
+    width,
+    height,
+    fill: fillColor,
+    stroke: isEink ? '#000000' : (isDark ? '#4a5568' : '#e0e0e0'),
+    strokeWidth: isEink ? 2 : 1,
+    cornerRadius: isEink ? 0 : 4
   });
 
-  group.on('dragend', async function() {
-    if (dragStartPositions && dragStartPositions.size > 0) {
-      // Update all moved cards in database and add to undo stack
-      for (const [node, originalPos] of dragStartPositions) {
-        const cardId = node.getAttr('cardId');
-        if (cardId) {
-          const newPosition = { x: node.x(), y: node.y() };
+  // Large font so the title stays legible when zoomed out
+  const titleText = new Konva.Text({
+    text: title,
+    x: 12,
+    y: 12,
+    width: width - 24,
+    height: Math.min(height - 24, 90),
+    fontSize: 36,
+    fontStyle: 'bold',
+    fontFamily: 'sans-serif',
+    fill: isDark && !isEink ? '#e0e0e0' : '#1a1a1a',
+    wrap: 'word',
+    ellipsis: true,
+    listening: false
+  });
 
-          // Add to undo stack
-          pushUndo({
-            type: 'update',
-            cardId: cardId,
-            oldData: { position: originalPos },
-            newData: { position: newPosition }
-          });
+  group.add(background);
+  group.add(titleText);
+  group.setAttr('lowDetail', true);
+}
 
-          await updateCard(cardId, { position: newPosition });
-        }
-      }
+/**
+ * Card box in canvas coordinates, from the live group or the spatial index
+ */
+function getCardBox(cardId) {
+  const bounds = cardIndex.getBounds(cardId);
+  const group = cardGroups.get(cardId);
+  if (!group) return bounds;
 
-      dragStartPositions = null;
-    }
+  const background = group.findOne('Rect');
+  return {
+    x: group.x(),
+    y: group.y(),
+    width: background?.width() || bounds?.width || 200,
+    height: background?.height() || bounds?.height || 150
+  };
+}
 
-    // Clear start position attributes
-    this.setAttr('startX', undefined);
-    this.setAttr('startY', undefined);
+/**
+ * Load connectors for the active board and render them
+ */
+async function loadConnectors() {
+  connectorShapes.forEach(({ arrow, label }) => {
+    arrow.destroy();
+    label.destroy();
   });
+  connectorShapes.clear();
 
-  layer.add(group);
-  cardGroups.set(cardData.id, group);
+  const connectors = await getConnectors();
+  connectors.forEach(renderConnector);
+  updateConnectorPositions();
 }
 
 /**
- * Render text card
+ * Render a connector as arrow (or line when undirected) with optional label
  */
-function renderTextCard(group, cardData) {
-  // Get card color
-  const cardColor = getCardColor(cardData.cardColor);
-
-  // Check themes
+function renderConnector(connector) {
   const isEink = document.body.classList.contains('eink-theme');
   const isDark = document.body.classList.contains('dark-theme');
+  const color = isEink ? '#000000' : (isDark ? '#a0aec0' : '#607d8b');
+
+  const arrow = new Konva.Arrow({
+    points: [0, 0, 0, 0],
+    stroke: color,
+    fill: color,
+    strokeWidth: 2,
+    pointerLength: connector.directed ? 12 : 0,
+    pointerWidth: connector.directed ? 10 : 0,
+    hitStrokeWidth: 14
+  });
+  arrow.setAttr('connectorId', connector.id);
 
-  // E-ink: always white, Dark: unified neutral tone
-  let fillColor = cardColor;
-  if (isEink) {
-    fillColor = '#ffffff';
-  } else if (isDark) {
-    fillColor = '#2d3748';
-  }
-
-  // Text (render first to calculate height)
-  const text = new Konva.Text({
-    text: cardData.text || '',
-    x: 16,
-    y: 16,
-    width: 168,
-    fontSize: 14,
+  const label = new Konva.Label({ visible: Boolean(connector.label) });
+  label.add(new Konva.Tag({
+    fill: isEink ? '#ffffff' : (isDark ? '#2d3748' : '#ffffff'),
+    stroke: color,
+    strokeWidth: 1,
+    cornerRadius: isEink ? 0 : 4
+  }));
+  label.add(new Konva.Text({
+    text: connector.label || '',
+    fontSize: 13,
     fontFamily: 'sans-serif',
-    fill: isDark ? '#e0e0e0' : '#1a1a1a',
-    wrap: 'word',
-    ellipsis: false
+    padding: 4,
+    fill: isDark && !isEink ? '#e0e0e0' : '#1a1a1a'
+  }));
+
+  const openMenu = (e) => {
+    e.evt.preventDefault();
+    const pointer = e.evt.touches?.[0] || e.evt;
+    showConnectorMenu(pointer.clientX, pointer.clientY, connector.id);
+  };
+  arrow.on('contextmenu', openMenu);
+  label.on('contextmenu', openMenu);
+  arrow.on('dblclick dbltap', (e) => {
+    e.cancelBubble = true;
+    editConnectorLabel(connector.id);
+  });
+  label.on('dblclick dbltap', (e) => {
+    e.cancelBubble = true;
+    editConnectorLabel(connector.id);
   });
 
-  // Comments (if exist) - shown in italic below main text
-  let commentsText = null;
-  let totalContentHeight = text.height();
+  connectorLayer.add(arrow);
+  connectorLayer.add(label);
+  connectorShapes.set(connector.id, { connector, arrow, label });
+}
 
-  if (cardData.comments) {
-    commentsText = new Konva.Text({
-      text: cardData.comments,
-      x: 16,
-      y: 16 + text.height() + 8, // 8px gap after main text
-      width: 168,
-      fontSize: 12,
-      fontFamily: 'sans-serif',
-      fontStyle: 'italic',
-      fill: isDark ? '#a0a0a0' : '#666666',
-      wrap: 'word',
-      ellipsis: false
-    });
-    totalContentHeight = text.height() + 8 + commentsText.height();
-  }
+/**
+ * Move connector endpoints to the current card positions
+ */
+function updateConnectorPositions() {
+  if (!connectorLayer) return;
 
-  // Calculate card height based on content
-  const cardHeight = Math.max(150, totalContentHeight + 32); // 16px top + 16px bottom padding
+  connectorShapes.forEach(({ connector, arrow, label }) => {
+    const from = getCardBox(connector.fromCardId);
+    const to = getCardBox(connector.toCardId);
 
-  // Background
-  const background = new Konva.Rect({
-    width: 200,
-    height: cardHeight,
-    fill: fillColor,
-    stroke: isEink ? '#000000' : (isDark ? '#4a5568' : '#e0e0e0'),
-    strokeWidth: 1,
-    cornerRadius: 4
+    if (!from || !to) {
+      arrow.visible(false);
+      label.visible(false);
+      return;
+    }
+
+    const points = getConnectorPoints(from, to);
+    arrow.points(points);
+    arrow.visible(true);
+
+    if (connector.label) {
+      label.position({
+        x: (points[0] + points[2]) / 2 - label.width() / 2,
+        y: (points[1] + points[3]) / 2 - label.height() / 2
+      });
+      label.visible(true);
+    }
   });
 
-  group.add(background);
-  group.add(text);
+  connectorLayer.batchDraw();
+}
 
-  if (commentsText) {
-    group.add(commentsText);
-  }
+function scheduleAIChangesetPreview() {
+  if (aiPreviewScheduled) return;
+
+  aiPreviewScheduled = true;
+  requestAnimationFrame(() => {
+    aiPreviewScheduled = false;
+    renderAIChangesetPreview();
+  });
 }
 
 /**
- * Render image card
+ * Preview the assistant's pending changes: a dashed ghost where each card ends up
+ * (with the text of new cards), tag and color changes in a label above it, and
+ * dashed lines for links
  */
-function renderImageCard(group, cardData) {
-  const imageObj = new Image();
-  const imageData = normalizeCardImage(cardData.image);
-  const isFlipped = cardData.flipped || false;
+async function renderAIChangesetPreview() {
+  if (!aiPreviewLayer) return;
 
-  if (!imageData?.src) {
-    console.warn('renderImageCard: missing usable image source, rendering as text card instead');
-    renderTextCard(group, cardData);
+  if (aiChangeset.isEmpty()) {
+    aiPreviewLayer.destroyChildren();
+    aiPreviewLayer.batchDraw();
+    hideAIChangesetBar();
     return;
   }
 
-  console.log('DEBUG: renderImageCard - cardData.image:', imageData);
+  const cardChanges = aiChangeset.getCardChanges();
+  const cardsById = new Map((await getAllCards()).map(card => [card.id, card]));
 
-  imageObj.onload = function() {
-    console.log('DEBUG: renderImageCard - imageObj loaded. naturalWidth:', imageObj.naturalWidth, 'naturalHeight:', imageObj.naturalHeight);
-    console.log('DEBUG: renderImageCard - image src (truncated):', imageData.src ? imageData.src.substring(0, 100) + '...' : 'N/A');
+  const isEink = document.body.classList.contains('eink-theme');
+  const accent = isEink ? '#000000' : '#7c4dff';
+  const removedColor = isEink ? '#000000' : '#e53935';
+  const targetBoxes = new Map(); // cardId -> box after the change
 
-    // Check themes
-    const isEink = document.body.classList.contains('eink-theme');
-    const isDark = document.body.classList.contains('dark-theme');
+  aiPreviewLayer.destroyChildren();
 
-    // Calculate card display dimensions (maintain aspect ratio)
-    // Standard display size: 200px for aligned columns
-    const displayMaxWidth = 200;
-    const displayMaxHeight = 300;
+  cardChanges.forEach(({ cardId, changes }) => {
+    const box = getCardBox(cardId);
+    const card = cardsById.get(cardId);
+    if (!box || !card) return;
 
-    let naturalWidth = imageObj.naturalWidth;
-    let naturalHeight = imageObj.naturalHeight;
+    const target = { ...box, ...changes.position };
+    targetBoxes.set(cardId, target);
 
-    // If natural dimensions are 0, use stored dimensions if available, or fallback
-    if (naturalWidth === 0 || naturalHeight === 0) {
-        console.warn('WARNING: Image natural dimensions are 0. Falling back to stored dimensions or default.');
-        naturalWidth = imageData.width || 200;
-        naturalHeight = imageData.height || 150;
+    if (target.x !== box.x || target.y !== box.y) {
+      aiPreviewLayer.add(new Konva.Arrow({
+        points: getConnectorPoints(box, target),
+        stroke: accent,
+        fill: accent,
+        strokeWidth: 1,
+        dash: [4, 4],
+        opacity: 0.5,
+        pointerLength: 8,
+        pointerWidth: 8
+      }));
     }
 
-    // Calculate display size (scaled down for card)
-    let displayWidth = naturalWidth;
-    let displayHeight = naturalHeight;
-
-    if (displayWidth > displayMaxWidth || displayHeight > displayMaxHeight) {
-      const ratio = Math.min(displayMaxWidth / displayWidth, displayMaxHeight / displayHeight);
-      displayWidth = displayWidth * ratio;
-      displayHeight = displayHeight * ratio;
-    }
+    aiPreviewLayer.add(new Konva.Rect({
+      ...target,
+      fill: changes.cardColor ? getCardColor(changes.cardColor) : null,
+      opacity: 0.7,
+      stroke: accent,
+      strokeWidth: 2,
+      dash: [8, 6],
+      cornerRadius: isEink ? 0 : 8
+    }));
+
+    const notes = [];
+    if (changes.tags) {
+      const oldTags = card.tags || [];
+      changes.tags.filter(tag => !oldTags.includes(tag)).forEach(tag => notes.push(`+${tag}`));
+      oldTags.filter(tag => !changes.tags.includes(tag)).forEach(tag => notes.push(`−${tag}`));
+    }
+    if (changes.cardColor && changes.cardColor !== card.cardColor) notes.push('🎨 ny färg');
+    if (notes.length === 0) return;
+
+    const label = new Konva.Label({ x: target.x, y: target.y - 24 });
+    label.add(new Konva.Tag({
+      fill: isEink ? '#ffffff' : accent,
+      stroke: accent,
+      strokeWidth: 1,
+      cornerRadius: isEink ? 0 : 4
+    }));
+    label.add(new Konva.Text({
+      text: notes.join(' '),
+      fontSize: 13,
+      padding: 4,
+      fill: isEink ? '#000000' : '#ffffff'
+    }));
+    aiPreviewLayer.add(label);
+  });
 
-    // Use display dimensions for card, but keep original image for sharp rendering
-    const width = displayWidth;
-    const height = displayHeight;
+  const createdCards = aiChangeset.getCreatedCards();
+  createdCards.forEach(({ tempId, card }) => {
+    const target = { x: card.position?.x ?? 0, y: card.position?.y ?? 0, width: 200, height: 150 };
+    targetBoxes.set(tempId, target);
+
+    aiPreviewLayer.add(new Konva.Rect({
+      ...target,
+      fill: card.cardColor ? getCardColor(card.cardColor) : null,
+      opacity: 0.7,
+      stroke: accent,
+      strokeWidth: 2,
+      dash: [8, 6],
+      cornerRadius: isEink ? 0 : 8
+    }));
+    aiPreviewLayer.add(new Konva.Text({
+      x: target.x + 12,
+      y: target.y + 12,
+      width: target.width - 24,
+      height: target.height - 24,
+      text: card.text || '',
+      fontSize: 13,
+      fill: '#000000',
+      ellipsis: true
+    }));
+  });
 
-    console.log('DEBUG: renderImageCard - Final calculated width:', width, 'height:', height);
+  const linkChanges = aiChangeset.getLinkChanges();
+  linkChanges.forEach(link => {
+    const from = targetBoxes.get(link.fromCardId) || getCardBox(link.fromCardId);
+    const to = targetBoxes.get(link.toCardId) || getCardBox(link.toCardId);
+    if (!from || !to) return;
+
+    const color = link.remove ? removedColor : accent;
+    aiPreviewLayer.add(new Konva.Arrow({
+      points: getConnectorPoints(from, to),
+      stroke: color,
+      fill: color,
+      strokeWidth: 2,
+      dash: link.remove ? [2, 6] : [10, 6],
+      pointerLength: link.directed ? 12 : 0,
+      pointerWidth: link.directed ? 10 : 0
+    }));
+  });
 
-    // Store dimensions on group for flip
-    group.setAttr('cardWidth', width);
-    group.setAttr('cardHeight', height);
+  aiPreviewLayer.batchDraw();
+
+  const moved = cardChanges.filter(({ changes }) => changes.position).length;
+  const tagged = cardChanges.filter(({ changes }) => changes.tags).length;
+  const colored = cardChanges.filter(({ changes }) => changes.cardColor).length;
+  const parts = [];
+  if (createdCards.length > 0) parts.push(`skapa ${createdCards.length} kort`);
+  if (moved > 0) parts.push(`flytta ${moved} kort`);
+  if (tagged > 0) parts.push(`ändra taggar på ${tagged} kort`);
+  if (colored > 0) parts.push(`färga ${colored} kort`);
+  if (linkChanges.length > 0) parts.push(`ändra ${linkChanges.length} kopplingar`);
+
+  showAIChangesetBar({
+    summary: parts.join(', '),
+    onAccept: acceptAIChangeset,
+    onReject: () => aiChangeset.clear()
+  });
+}
 
-    if (isFlipped) {
-      // Show back side (read-only view with all text)
-      let currentY = 16;
+/**
+ * Render all frames on the frame layer
+ */
+function renderFrames() {
+  if (!frameLayer) return;
 
-      // Main text (backText)
-      const mainText = new Konva.Text({
-        text: cardData.backText || 'Dubbelklicka för att redigera...',
-        x: 16,
-        y: currentY,
-        width: width - 32,
-        fontSize: 16,
-        fontFamily: 'sans-serif',
-        fill: isDark ? '#e0e0e0' : '#1a1a1a',
-        wrap: 'word',
-        align: 'left'
-      });
-      currentY += mainText.height();
+  frameShapes.forEach(shape => shape.destroy());
+  frameShapes.clear();
 
-      // Tags (if any)
-      let tagsText = null;
-      if (cardData.tags && cardData.tags.length > 0) {
-        currentY += 12; // Gap before tags
-        tagsText = new Konva.Text({
-          text: cardData.tags.map(tag => '#' + tag).join(' '),
-          x: 16,
-          y: currentY,
-          width: width - 32,
-          fontSize: 12,
-          fontFamily: 'sans-serif',
-          fill: isDark ? '#80b3ff' : '#0066cc',
-          wrap: 'word'
-        });
-        currentY += tagsText.height();
-      }
+  frames.forEach(frame => renderFrame(frame));
+  frameLayer.batchDraw();
+}
 
-      // Comments (if any)
-      let commentsText = null;
-      if (cardData.comments) {
-        currentY += 8; // Gap before comments
-        commentsText = new Konva.Text({
-          text: cardData.comments,
-          x: 16,
-          y: currentY,
-          width: width - 32,
-          fontSize: 12,
-          fontFamily: 'sans-serif',
-          fontStyle: 'italic',
-          fill: isDark ? '#a0a0a0' : '#666666',
-          wrap: 'word'
-        });
-        currentY += commentsText.height();
-      }
+/**
+ * Render a frame: body (not listening, so selection still starts inside it),
+ * draggable header and resize handle
+ */
+function renderFrame(frame) {
+  const isEink = document.body.classList.contains('eink-theme');
+  const isDark = document.body.classList.contains('dark-theme');
+  const strokeColor = isEink ? '#000000' : (isDark ? '#718096' : '#90a4ae');
+  const memberCount = Array.from(cardFrameIds.values()).filter(id => id === frame.id).length;
 
-      // Calculate total height
-      const totalHeight = currentY + 16; // Add bottom padding
+  const group = new Konva.Group({
+    x: frame.x,
+    y: frame.y,
+    draggable: true
+  });
+  group.setAttr('frameId', frame.id);
+
+  if (!frame.collapsed) {
+    group.add(new Konva.Rect({
+      name: 'frame-body',
+      width: frame.width,
+      height: frame.height,
+      fill: isEink ? 'transparent' : (isDark ? 'rgba(255, 255, 255, 0.04)' : 'rgba(96, 125, 139, 0.06)'),
+      stroke: strokeColor,
+      strokeWidth: isEink ? 2 : 1,
+      dash: isEink ? [] : [8, 6],
+      cornerRadius: isEink ? 0 : 8,
+      listening: false
+    }));
+  }
 
-      const background = new Konva.Rect({
-        width: width,
-        height: Math.max(height, totalHeight),
-        fill: isEink ? '#ffffff' : (isDark ? '#2d3748' : '#fffacd'),
-        stroke: isEink ? '#000000' : (isDark ? '#4a5568' : '#e0e0e0'),
-        strokeWidth: 1,
-        cornerRadius: 4
-      });
+  group.add(new Konva.Rect({
+    name: 'frame-header',
+    width: frame.width,
+    height: FRAME_HEADER_HEIGHT,
+    fill: isEink ? '#ffffff' : (isDark ? '#2d3748' : '#eceff1'),
+    stroke: strokeColor,
+    strokeWidth: isEink ? 2 : 1,
+    cornerRadius: isEink ? 0 : 8
+  }));
 
-      group.add(background);
-      group.add(mainText);
-      if (tagsText) group.add(tagsText);
-      if (commentsText) group.add(commentsText);
-    } else {
-      // Show front side (image)
+  group.add(new Konva.Text({
+    text: `${frame.collapsed ? '▸' : '▾'} ${frame.name}${frame.collapsed ? ` (${memberCount} kort)` : ''}`,
+    x: 12,
+    y: 10,
+    width: frame.width - 24,
+    fontSize: 16,
+    fontStyle: 'bold',
+    fontFamily: 'sans-serif',
+    fill: isDark && !isEink ? '#e0e0e0' : '#1a1a1a',
+    wrap: 'none',
+    ellipsis: true
+  }));
 
-      // Check if we have comments to display
-      let commentsText = null;
-      let totalHeight = height;
+  if (!frame.collapsed) {
+    const handle = new Konva.Rect({
+      name: 'frame-resize',
+      x: frame.width - 16,
+      y: frame.height - 16,
+      width: 16,
+      height: 16,
+      fill: strokeColor,
+      opacity: 0.5,
+      draggable: true
+    });
 
-      if (cardData.comments) {
-        // Create comments text (will be positioned below image)
-        commentsText = new Konva.Text({
-          text: cardData.comments,
-          x: 8,
-          y: height + 8, // 8px gap after image
-          width: width - 16,
-          fontSize: 12,
-          fontFamily: 'sans-serif',
-          fontStyle: 'italic',
-          fill: isDark ? '#a0a0a0' : '#666666',
-          wrap: 'word',
-          ellipsis: false
-        });
+    handle.on('dragmove', () => {
+      const width = Math.max(200, handle.x() + 16);
+      const height = Math.max(FRAME_HEADER_HEIGHT + 50, handle.y() + 16);
+      handle.position({ x: width - 16, y: height - 16 });
+      group.findOne('.frame-body').size({ width, height });
+      group.findOne('.frame-header').width(width);
+      group.findOne('Text').width(width - 24);
+      frameLayer.batchDraw();
+    });
 
-        // Update total height to include comments
-        totalHeight = height + 8 + commentsText.height() + 8; // image + gap + comments + bottom padding
-      }
+    handle.on('dragend', async (e) => {
+      e.cancelBubble = true;
+      const body = group.findOne('.frame-body');
+      await saveFrameGeometry(frame.id, { width: body.width(), height: body.height() });
+    });
 
-      const background = new Konva.Rect({
-        width: width,
-        height: totalHeight,
-        fill: '#ffffff',
-        stroke: isEink ? '#000000' : (isDark ? '#4a5568' : '#e0e0e0'),
-        strokeWidth: 1,
-        cornerRadius: 4
-      });
+    group.add(handle);
+  }
 
-      // Calculate scale to fit display dimensions while preserving image quality
-      const scaleX = width / naturalWidth;
-      const scaleY = height / naturalHeight;
+  // Move member cards along with the frame
+  let dragStart = null;
 
-      const konvaImage = new Konva.Image({
-        image: imageObj,
-        scaleX: scaleX,
-        scaleY: scaleY,
-        cornerRadius: 8
-      });
+  group.on('dragstart', (e) => {
+    if (e.target !== group) return;
+    dragStart = new Map();
+    cardFrameIds.forEach((frameId, cardId) => {
+      if (frameId !== frame.id) return;
+      const cardGroup = cardGroups.get(cardId);
+      dragStart.set(cardId, cardGroup ? cardGroup.position() : null);
+    });
+  });
 
-      group.add(background);
-      group.add(konvaImage);
+  group.on('dragmove', (e) => {
+    if (e.target !== group || !dragStart) return;
+    const dx = group.x() - frame.x;
+    const dy = group.y() - frame.y;
 
-      if (commentsText) {
-        group.add(commentsText);
+    dragStart.forEach((start, cardId) => {
+      const cardGroup = cardGroups.get(cardId);
+      if (start && cardGroup) {
+        cardGroup.position({ x: start.x + dx, y: start.y + dy });
       }
+    });
+    layer.batchDraw();
+  });
 
-      // Tooltip on hover (show filename)
-      group.on('mouseenter', function() {
-        document.body.style.cursor = 'pointer';
-
-        // Show tooltip
-        const tooltip = document.createElement('div');
-        tooltip.id = 'card-tooltip';
-        tooltip.style.cssText = `
-          position: fixed;
-          background: rgba(0, 0, 0, 0.8);
-          color: white;
-          padding: 8px 12px;
-          border-radius: 6px;
-          font-size: 14px;
-          z-index: 10001;
-          pointer-events: none;
-          font-family: sans-serif;
-        `;
-        tooltip.textContent = cardData.text || 'Bild';
-        document.body.appendChild(tooltip);
-
-        // Update tooltip position on mouse move
-        const updateTooltip = (e) => {
-          tooltip.style.left = (e.clientX + 10) + 'px';
-          tooltip.style.top = (e.clientY + 10) + 'px';
-        };
-
-        stage.on('mousemove', updateTooltip);
-        group.setAttr('tooltipHandler', updateTooltip);
-      });
-
-      group.on('mouseleave', function() {
-        document.body.style.cursor = 'default';
+  group.on('dragend', async (e) => {
+    if (e.target !== group || !dragStart) return;
+    const dx = group.x() - frame.x;
+    const dy = group.y() - frame.y;
+    const memberIds = Array.from(dragStart.keys());
+    dragStart = null;
 
-        // Remove tooltip
-        const tooltip = document.getElementById('card-tooltip');
-        if (tooltip) {
-          document.body.removeChild(tooltip);
-        }
+    // Stored positions are still the pre-drag ones, also for culled and collapsed cards
+    for (const cardId of memberIds) {
+      const card = await getCard(cardId);
+      if (!card) continue;
+      const position = { x: (card.position?.x || 0) + dx, y: (card.position?.y || 0) + dy };
+      await updateCard(cardId, { position });
 
-        // Remove mousemove handler
-        const handler = group.getAttr('tooltipHandler');
-        if (handler) {
-          stage.off('mousemove', handler);
-        }
-      });
+      const bounds = cardIndex.getBounds(cardId);
+      if (bounds) cardIndex.insert(cardId, { ...bounds, ...position });
     }
 
-    layer.batchDraw();
-  };
+    // Cards travel with the frame - ownership does not change on a move
+    await saveFrameGeometry(frame.id, { x: group.x(), y: group.y() }, { reassign: false });
+  });
 
-  imageObj.onerror = function() {
-      console.error('ERROR: renderImageCard - Failed to load image from source. imageData:', imageData);
-  };
+  group.on('dblclick dbltap', (e) => {
+    e.cancelBubble = true;
+    toggleFrameCollapsed(frame.id);
+  });
 
-  imageObj.src = imageData.src;
+  group.on('contextmenu', (e) => {
+    e.evt.preventDefault();
+    e.cancelBubble = true;
+    showFrameMenu(e.evt.clientX, e.evt.clientY, frame.id);
+  });
+
+  frameLayer.add(group);
+  frameShapes.set(frame.id, group);
 }
 
-// ============================================================================
-// SECTION 3: CARD CREATION & EDITING (Dialogs, Inline Editor, Touch Menus)
-// ============================================================================
+/**
+ * Persist frame position/size, by default re-evaluating which cards it owns
+ */
+async function saveFrameGeometry(frameId, geometry, { reassign = true } = {}) {
+  const frame = frames.get(frameId);
+  if (!frame) return;
+
+  Object.assign(frame, geometry);
+  await updateFrame(frameId, geometry);
+  if (reassign) {
+    await updateFrameMembership(cardIndex.getIds());
+  }
+}
 
 /**
- * Create new card
+ * Assign cards to the frame their center lies in (or none)
+ * Only live/indexed cards are checked; cards in collapsed frames keep their frame.
  */
-async function createNewCard(position) {
-  // Create empty card first
-  const cardData = {
-    text: '',
-    tags: [],
-    position
-  };
+async function updateFrameMembership(cardIds) {
+  const frameList = Array.from(frames.values());
+  let changed = false;
 
-  const cardId = await createCard(cardData);
+  for (const cardId of cardIds) {
+    const box = getCardBox(cardId);
+    if (!box) continue;
 
-  // Mark this card for merge with first edit
-  const createAction = {
-    type: 'create',
-    cardId,
-    card: cardData
-  };
-  pendingCreateMerge.set(cardId, createAction);
+    const frameId = findFrameForBox(frameList, box);
+    const current = cardFrameIds.get(cardId) ?? null;
+    if (frameId === current) continue;
 
-  // Reload canvas to show new card
-  await reloadCanvas();
+    if (frameId === null) {
+      cardFrameIds.delete(cardId);
+    } else {
+      cardFrameIds.set(cardId, frameId);
+    }
+    await updateCard(cardId, { frameId });
+    changed = true;
+  }
 
-  // Open editor on the new card
-  const group = cardGroups.get(cardId);
-  if (group) {
-    await createInlineEditor(cardId, group, '', false);
+  if (changed) {
+    renderFrames();
   }
 }
 
 /**
- * Inline text editor using HTML textarea overlay
+ * Load ink strokes for the active board and draw the background strokes
+ * Strokes inside cards are drawn by renderCard (see addCardInk).
  */
-async function createInlineEditor(cardId, group, currentText, isImageBack = false) {
-  // Get card data
-  const cards = await getAllCards();
-  const card = cards.find(c => c.id === cardId);
-  if (!card) return;
+async function loadInk() {
+  inkLayer.destroyChildren();
+  inkShapes.clear();
 
-  const currentTags = card.tags || [];
-  const currentColor = card.cardColor || '';
-  const currentComments = card.comments || '';
+  inkStrokes = new Map((await getStrokes()).map(stroke => [stroke.id, stroke]));
+  inkStrokes.forEach(stroke => {
+    if (stroke.cardId == null) inkLayer.add(createStrokeShape(stroke));
+  });
+  inkLayer.batchDraw();
+}
 
-  // Create overlay
-  const overlay = document.createElement('div');
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background: rgba(0, 0, 0, 0.7);
-    z-index: 10000;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-  `;
+/**
+ * Ink color for the current theme: black on e-ink, light instead of black in dark mode
+ */
+function getInkColor(stroke) {
+  if (document.body.classList.contains('eink-theme')) return '#000000';
+  if (document.body.classList.contains('dark-theme') && stroke.color === INK_COLORS[0]) return '#e0e0e0';
+  return stroke.color;
+}
 
-  // Create dialog
-  const dialog = document.createElement('div');
-  dialog.style.cssText = `
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    padding: 24px;
-    border-radius: 12px;
-    max-width: 600px;
-    width: 90%;
-    max-height: 80vh;
-    overflow-y: auto;
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
-  `;
+/**
+ * Filled outline shape for a stroke (width follows pen pressure)
+ */
+function createStrokeShape(stroke) {
+  const color = getInkColor(stroke);
+  const shape = new Konva.Line({
+    points: getStrokeOutline(stroke.points, stroke.width),
+    closed: true,
+    fill: color,
+    stroke: color,
+    strokeWidth: 0.5,
+    lineJoin: 'round',
+    listening: false,
+    perfectDrawEnabled: false
+  });
+  inkShapes.set(stroke.id, shape);
+  return shape;
+}
 
-  const showColoredSwatches = useColoredCards();
-  const paletteOptions = getColorOptionsForTheme({ colored: showColoredSwatches });
+/**
+ * Add the card's own strokes to its group, on top of the card content
+ */
+function addCardInk(group, cardId, strokes = null) {
+  const cardStrokes = strokes || Array.from(inkStrokes.values()).filter(stroke => stroke.cardId === cardId);
+  if (cardStrokes.length === 0) return;
+
+  let inkGroup = group.findOne('.card-ink');
+  if (!inkGroup) {
+    inkGroup = new Konva.Group({ name: 'card-ink', listening: false });
+    group.add(inkGroup);
+  }
+  cardStrokes.forEach(stroke => inkGroup.add(createStrokeShape(stroke)));
+  inkGroup.moveToTop();
+}
 
-  const colorDotsHTML = paletteOptions.map(option => {
-    const border = option.id === 'card-color-8' ? '3px solid #ddd' : '3px solid transparent';
-    const swatch = option.swatch || 'var(--bg-secondary)';
-    return `
-        <div class="color-dot" data-color="${option.id}" style="width: 36px; height: 36px; border-radius: 50%;
-             background: ${swatch}; border: ${border}; cursor: pointer;" title="${option.label}"></div>`;
-  }).join('\n');
+/**
+ * Badge in the card corner while the card waits in the OCR queue, is being read or failed
+ */
+function updateOcrBadge(group, cardId) {
+  group.findOne('.ocr-badge')?.destroy();
 
-  dialog.innerHTML = `
-    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
-      ${isImageBack ? 'Redigera baksida' : 'Redigera kort'}
-    </h3>
+  const job = ocrJobsByCard.get(cardId);
+  if (!job) return;
 
-    ${card.image ? `
-    <div style="margin-bottom: 20px; text-align: center;">
-      <img src="${getCardImageSrc(card.image) || ''}"
-           style="max-width: 100%; max-height: 300px; border-radius: 8px;
-                  box-shadow: 0 2px 8px rgba(0,0,0,0.15);"
-           alt="Kortbild">
-    </div>
-    ` : ''}
+  const isEink = document.body.classList.contains('eink-theme');
+  const isFailed = job.status === 'failed';
+  const icon = { queued: '⏳', running: '✨', failed: '⚠️' }[job.status];
+  // Show the attempt number while a card is being retried
+  const text = !isFailed && job.attempts > 0 ? `${icon} ${job.attempts + 1}` : icon;
+
+  const badge = new Konva.Label({ x: -10, y: -10, name: 'ocr-badge', listening: false });
+  badge.add(new Konva.Tag({
+    fill: isEink ? '#ffffff' : (isFailed ? '#ffebee' : '#fff8e1'),
+    stroke: isEink ? '#000000' : (isFailed ? '#c62828' : '#f9a825'),
+    strokeWidth: isEink ? 2 : 1,
+    cornerRadius: isEink ? 0 : 10
+  }));
+  badge.add(new Konva.Text({
+    text,
+    fontSize: 14,
+    fontFamily: 'sans-serif',
+    padding: 4,
+    fill: '#1a1a1a'
+  }));
+  group.add(badge);
+}
 
-    <div style="margin-bottom: 16px;">
-      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Text:</label>
-      <textarea id="editCardText"
-        style="width: 100%; height: 200px; padding: 12px; font-size: 14px;
-               border: 2px solid var(--border-color); border-radius: 8px;
-               background: var(--bg-secondary); color: var(--text-primary);
-               font-family: sans-serif; resize: vertical; box-sizing: border-box;"
-      >${currentText || ''}</textarea>
-    </div>
+/**
+ * Render a single card on canvas
+ */
+function renderCard(cardData) {
+  const group = new Konva.Group({
+    x: cardData.position?.x || 100,
+    y: cardData.position?.y || 100,
+    draggable: true
+  });
 
-    ${!isImageBack ? `
-    <div style="margin-bottom: 16px;">
-      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Tags (kommaseparerade):</label>
-      <input type="text" id="editCardTags"  value="${currentTags.join(', ')}"
-        style="width: 100%; padding: 12px; font-size: 14px;
-               border: 2px solid var(--border-color); border-radius: 8px;
-               background: var(--bg-secondary); color: var(--text-primary);
-               font-family: sans-serif; box-sizing: border-box;">
-    </div>
-
-    <div style="margin-bottom: 16px;">
-      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Kommentar (visas i kursiv):</label>
-      <textarea id="editCardComments"
-        style="width: 100%; height: 80px; padding: 12px; font-size: 12px;
-               border: 2px solid var(--border-color); border-radius: 8px;
-               background: var(--bg-secondary); color: var(--text-primary);
-               font-family: sans-serif; font-style: italic; resize: vertical; box-sizing: border-box;"
-      >${currentComments}</textarea>
-    </div>
-
-    <div style="margin-bottom: 20px;">
-      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Kortfärg:</label>
-      <div id="editColorPicker" style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
-        <div class="color-dot" data-color="" style="width: 36px; height: 36px; border-radius: 50%;
-             background: var(--bg-secondary); border: 3px solid var(--border-color); cursor: pointer;
-             display: flex; align-items: center; justify-content: center; font-size: 20px;"
-             title="Ingen färg">⭘</div>
-        ${colorDotsHTML}
-      </div>
-      <div id="customColorContainer" style="display: flex; align-items: center; gap: 8px;">
-        <span style="font-size: 14px;">Valfri färg:</span>
-        <input type="color" id="customColorInput" style="width: 42px; height: 32px; padding: 0; border: 2px solid var(--border-color); border-radius: 6px; background: transparent;">
-        <input type="text" id="customColorHex" placeholder="#rrggbb" style="flex: 1; padding: 8px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary);">
-        <button id="applyCustomColor" style="padding: 8px 12px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); cursor: pointer;">Använd</button>
-      </div>
-    </div>
-    ` : ''}
+  const normalizedImage = normalizeCardImage(cardData.image);
 
-    <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 24px;">
-      <button id="cancelEdit" style="padding: 12px 24px; background: var(--bg-secondary);
-                                     color: var(--text-primary); border: 2px solid var(--border-color);
-                                     border-radius: 8px; font-size: 16px; font-weight: 500; cursor: pointer;">
-        Avbryt
-      </button>
-      ${card.image ? `
-      <button id="readWithAI" style="padding: 12px 24px; background: #8B5CF6;
-                                     color: white; border: none; border-radius: 8px;
-                                     font-size: 16px; font-weight: 600; cursor: pointer;">
-        ✨ Läs med AI
-      </button>
-      ` : ''}
-      <button id="saveEdit" style="padding: 12px 24px; background: var(--accent-color);
-                                    color: white; border: none; border-radius: 8px;
-                                    font-size: 16px; font-weight: 600; cursor: pointer;">
-        ${isImageBack ? 'Spara & Vänd tillbaka' : 'Spara'}
-      </button>
-    </div>
+  if (lowDetailMode) {
+    renderLowDetailCard(group, cardData);
+  } else if (normalizedImage?.src) {
+    // Image card
+    renderImageCard(group, { ...cardData, image: normalizedImage });
+  } else {
+    if (cardData.image) {
+      console.warn('renderCard: unexpected image format, falling back to text card', cardData.image);
+    }
+    // Text card
+    renderTextCard(group, cardData);
+  }
 
-    <div style="margin-top: 16px; font-size: 13px; color: var(--text-secondary); text-align: center;">
-      Tips: Ctrl+Enter = Spara, Esc = Avbryt
-    </div>
-  `;
+  if (!lowDetailMode) {
+    addCardInk(group, cardData.id);
+    updateOcrBadge(group, cardData.id);
+  }
 
-  overlay.appendChild(dialog);
-  document.body.appendChild(overlay);
+  // Store card ID on group
+  group.setAttr('cardId', cardData.id);
 
-  // Get elements
-  const textarea = document.getElementById('editCardText');
-  const tagsInput = document.getElementById('editCardTags');
-  const saveBtn = document.getElementById('saveEdit');
-  const cancelBtn = document.getElementById('cancelEdit');
+  // Set locked state
+  if (cardData.locked) {
+    group.draggable(false);
+    group.setAttr('locked', true);
+  }
 
-  // Focus textarea
-  textarea.focus();
-  textarea.select();
+  // Click to select (for deletion)
+  group.on('click', function() {
+    if (pendingConnectorFrom !== null) {
+      completeConnectorMode(cardData.id);
+      return;
+    }
 
-  // Handle color selection (only for regular cards)
-  let selectedColor = currentColor;
-  if (!isImageBack) {
-    const colorDots = document.querySelectorAll('#editColorPicker .color-dot');
-    const customColorInput = document.getElementById('customColorInput');
-    const customColorHexInput = document.getElementById('customColorHex');
-    const applyCustomColorBtn = document.getElementById('applyCustomColor');
-    const customColorContainer = document.getElementById('customColorContainer');
+    const isSelected = this.hasName('selected');
+    const background = this.findOne('Rect');
+    const isEink = document.body.classList.contains('eink-theme');
+    const isDark = document.body.classList.contains('dark-theme');
 
-    const setDotBorders = () => {
-      colorDots.forEach(d => {
-        if (d.dataset.color === '') {
-          d.style.border = '3px solid var(--border-color)';
-        } else if (d.dataset.color === 'card-color-8') {
-          d.style.border = '3px solid #ddd';
+    if (isSelected) {
+      this.removeName('selected');
+      if (background) {
+        if (isEink) {
+          background.stroke('#000000');
+          background.strokeWidth(1);
+        } else if (isDark) {
+          background.stroke('#4a5568');
+          background.strokeWidth(1);
         } else {
-          d.style.border = '3px solid transparent';
+          background.stroke('#e0e0e0');
+          background.strokeWidth(1);
         }
-      });
-    };
-
-    const highlightCustom = () => {
-      customColorContainer.style.outline = '3px solid var(--accent-color)';
-      customColorContainer.style.borderRadius = '8px';
-    };
-
-    const clearCustomHighlight = () => {
-      customColorContainer.style.outline = 'none';
-    };
-
-    const setSelectedColor = (color) => {
-      selectedColor = color;
-      if (color && color.startsWith('#')) {
-        highlightCustom();
-        setDotBorders();
-      } else {
-        clearCustomHighlight();
       }
-    };
-
-    // Prefill custom color inputs based on current color (supports imported colors)
-    const initialCustomColor = currentColor ? getCardColor(currentColor) : '#ffffff';
-    if (customColorInput) customColorInput.value = initialCustomColor;
-    if (customColorHexInput) customColorHexInput.value = initialCustomColor;
-
-    // Highlight current color
-    let currentMatched = false;
-    colorDots.forEach(dot => {
-      if (dot.dataset.color === currentColor || (!currentColor && dot.dataset.color === '')) {
-        dot.style.border = '3px solid var(--accent-color)';
-        currentMatched = true;
+    } else {
+      this.addName('selected');
+      if (background) {
+        if (isEink) {
+          background.stroke('#000000');
+          background.strokeWidth(3);
+        } else {
+          background.stroke('#2196F3');
+          background.strokeWidth(3);
+        }
       }
-
-      dot.addEventListener('click', function() {
-        clearCustomHighlight();
-        setDotBorders();
-        this.style.border = '3px solid var(--accent-color)';
-        selectedColor = this.dataset.color;
-      });
-    });
-
-    if (!currentMatched && currentColor && currentColor.startsWith('#')) {
-      highlightCustom();
     }
 
-    const isValidHex = (value) => /^#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})$/.test(value);
+    layer.batchDraw();
+    refreshStats();
+  });
 
-    const applyCustomColor = () => {
-      const hexInput = (customColorHexInput ? customColorHexInput.value.trim() : '') || (customColorInput ? customColorInput.value.trim() : '');
-      if (!isValidHex(hexInput)) {
-        alert('Ange en giltig hexkod, t.ex. #ff8800');
-        return;
-      }
+  // Right-click context menu
+  group.on('contextmenu', function(e) {
+    e.evt.preventDefault();
+    showContextMenu(e.evt.clientX, e.evt.clientY, cardData.id, this);
+  });
 
-      if (customColorInput) customColorInput.value = hexInput;
-      if (customColorHexInput) customColorHexInput.value = hexInput;
-      setDotBorders();
-      highlightCustom();
-      setSelectedColor(hexInput.toLowerCase());
-    };
+  // Touch handlers
+  let touchTimer = null;
+  let touchStartPos = null;
+  let hasMoved = false;
 
-    if (applyCustomColorBtn) {
-      applyCustomColorBtn.addEventListener('click', applyCustomColor);
-    }
+  group.on('touchstart', function(e) {
+    const pos = this.position();
+    touchStartPos = { x: pos.x, y: pos.y };
+    hasMoved = false;
 
-    if (customColorInput) {
-      customColorInput.addEventListener('input', () => {
-        if (customColorHexInput) customColorHexInput.value = customColorInput.value;
-      });
-    }
+    // Long press timer
+    touchTimer = setTimeout(async () => {
+      if (!hasMoved) {
+        // Long press detected
+        const selectedGroups = layer.find('.selected');
 
-    if (customColorHexInput) {
-      customColorHexInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          applyCustomColor();
+        if (selectedGroups.length > 1 && this.hasName('selected')) {
+          // Multiple cards selected: show bulk menu
+          await showTouchBulkMenu(e.evt.clientX || e.evt.touches[0].clientX,
+                                  e.evt.clientY || e.evt.touches[0].clientY);
+        } else {
+          // Single card: open editor
+          if (cardData.image) {
+            // For image cards, open edit dialog (works for both front and flipped)
+            openEditDialog(cardData.id);
+          } else {
+            // For text cards, open inline editor
+            createInlineEditor(cardData.id, this, cardData.text || '', false);
+          }
         }
-      });
-    }
-  }
+        touchTimer = null;
+      }
+    }, 600); // 600ms long press
+  });
 
-  const cleanup = () => {
-    if (overlay.parentNode) {
-      document.body.removeChild(overlay);
+  group.on('touchmove', function() {
+    const currentPos = this.position();
+    const moved = Math.abs(currentPos.x - touchStartPos.x) > 3 ||
+                  Math.abs(currentPos.y - touchStartPos.y) > 3;
+    if (moved) {
+      hasMoved = true;
     }
-    document.removeEventListener('keydown', escHandler);
-  };
-
-  // Save handler
-  const save = async () => {
-    const newText = textarea.value;
+  });
 
-    if (isImageBack) {
-      // Save back text and flip card
-      pushUndo({
-        type: 'update',
-        cardId,
-        oldData: { backText: currentText },
-        newData: { backText: newText }
-      });
+  group.on('touchend', function() {
+    if (touchTimer) {
+      clearTimeout(touchTimer);
+      touchTimer = null;
 
-      await updateCard(cardId, { backText: newText });
-      await flipCard(cardId);
-    } else {
-      // Save regular card
-      const newTags = tagsInput ? tagsInput.value.split(',').map(t => t.trim()).filter(t => t) : currentTags;
-      const commentsTextarea = document.getElementById('editCardComments');
-      const newComments = commentsTextarea ? commentsTextarea.value : currentComments;
+      // If touch ended before long press timer and card hasn't moved much, treat as tap to select
+      if (!hasMoved && pendingConnectorFrom !== null) {
+        completeConnectorMode(cardData.id);
+      } else if (!hasMoved) {
+        const isSelected = this.hasName('selected');
+        const background = this.findOne('Rect');
+        const isEink = document.body.classList.contains('eink-theme');
+        const isDark = document.body.classList.contains('dark-theme');
 
-      const updates = {
-        text: newText,
-        tags: newTags,
-        comments: newComments
-      };
+        if (isSelected) {
+          this.removeName('selected');
+          if (background) {
+            if (isEink) {
+              background.stroke('#000000');
+              background.strokeWidth(1);
+            } else if (isDark) {
+              background.stroke('#4a5568');
+              background.strokeWidth(1);
+            } else {
+              background.stroke('#e0e0e0');
+              background.strokeWidth(1);
+            }
+          }
+        } else {
+          this.addName('selected');
+          if (background) {
+            if (isEink) {
+              background.stroke('#000000');
+              background.strokeWidth(3);
+            } else {
+              background.stroke('#2196F3');
+              background.strokeWidth(3);
+            }
+          }
+        }
 
-      // Add color if changed
-      if (selectedColor !== currentColor) {
-        updates.cardColor = selectedColor;
+        layer.batchDraw();
       }
+    }
+  });
 
-      // Check if this is first edit after create - merge them
-      if (pendingCreateMerge.has(cardId)) {
-        const createAction = pendingCreateMerge.get(cardId);
-        // Update the create action's card data with the new values
-        createAction.card = { ...createAction.card, ...updates };
-        pushUndo(createAction);
-        pendingCreateMerge.delete(cardId);
-      } else {
-        // Normal update
-        pushUndo({
-          type: 'update',
-          cardId,
-          oldData: { text: currentText, tags: currentTags, cardColor: currentColor, comments: currentComments },
-          newData: updates
-        });
-      }
+  group.on('touchcancel', function() {
+    if (touchTimer) {
+      clearTimeout(touchTimer);
+      touchTimer = null;
+    }
+  });
 
-      await updateCard(cardId, updates);
-      await reloadCanvas();
+  group.on('dragstart', function() {
+    hasMoved = true;
+    if (touchTimer) {
+      clearTimeout(touchTimer);
+      touchTimer = null;
     }
+  });
 
-    cleanup();
-  };
+  // Group drag - move all selected cards together
+  let dragStartPositions = null;
 
-  // Event listeners
-  saveBtn.addEventListener('click', save);
-  cancelBtn.addEventListener('click', cleanup);
+  group.on('dragstart', function() {
+    const isSelected = this.hasName('selected');
 
-  // AI read button (only for image cards)
-  const readWithAIBtn = document.getElementById('readWithAI');
-  if (readWithAIBtn) {
-    readWithAIBtn.addEventListener('click', async () => {
-      cleanup();
-      await readImageWithGemini(cardId);
-    });
-  }
+    if (isSelected) {
+      // Save positions of all selected cards
+      dragStartPositions = new Map();
+      const selectedNodes = layer.find('.selected');
 
-  // Keyboard shortcuts
-  const escHandler = (e) => {
-    if (e.key === 'Escape') {
-      cleanup();
+      selectedNodes.forEach(node => {
+        if (node !== this && node.getAttr('cardId')) {
+          dragStartPositions.set(node, {
+            x: node.x(),
+            y: node.y()
+          });
+        }
+      });
     }
-  };
-  document.addEventListener('keydown', escHandler);
+  });
 
-  textarea.addEventListener('keydown', (e) => {
-    if (e.ctrlKey && e.key === 'Enter') {
-      e.preventDefault();
-      save();
+  group.on('dragmove', function() {
+    if (dragStartPositions && dragStartPositions.size > 0) {
+      // Calculate delta from this card's movement
+      const currentPos = this.position();
+      const startPos = { x: this.getAttr('startX'), y: this.getAttr('startY') };
+
+      // Store start position on first move
+      if (startPos.x === undefined) {
+        this.setAttr('startX', currentPos.x);
+        this.setAttr('startY', currentPos.y);
+        return;
+      }
+
+      const delta = {
+        x: currentPos.x - startPos.x,
+        y: currentPos.y - startPos.y
+      };
+
+      // Move all other selected cards by the same delta
+      dragStartPositions.forEach((originalPos, node) => {
+        node.position({
+          x: originalPos.x + delta.x,
+          y: originalPos.y + delta.y
+        });
+      });
+
+      layer.batchDraw();
+    }
+  });
+
+  group.on('dragend', async function() {
+    if (dragStartPositions && dragStartPositions.size > 0) {
+      // Update all moved cards in database and add to undo stack
+      for (const [node, originalPos] of dragStartPositions) {
+        const cardId = node.getAttr('cardId');
+        if (cardId) {
+          const newPosition = { x: node.x(), y: node.y() };
+
+          // Add to undo stack
+          pushUndo({
+            type: 'update',
+            cardId: cardId,
+            oldData: { position: originalPos },
+            newData: { position: newPosition }
+          });
+
+          await updateCard(cardId, { position: newPosition });
+        }
+      }
+
+      dragStartPositions = null;
     }
+
+    // Clear start position attributes
+    this.setAttr('startX', undefined);
+    this.setAttr('startY', undefined);
   });
+
+  layer.add(group);
+  cardGroups.set(cardData.id, group);
+
+  if (cullingEnabled) {
+    syncIndexFromGroup(cardData.id, group);
+  }
+
+  return group;
 }
 
 /**
- * Bulk editor for multiple selected cards
+ * Render text card
  */
-async function createBulkEditor(cardIds) {
-  const cards = await getAllCards();
-  const selectedCards = cards.filter(c => cardIds.includes(c.id));
+function renderTextCard(group, cardData) {
+  // Get card color
+  const cardColor = getCardColor(cardData.cardColor);
 
-  if (selectedCards.length === 0) return;
+  // Check themes
+  const isEink = document.body.classList.contains('eink-theme');
+  const isDark = document.body.classList.contains('dark-theme');
 
-  // Create overlay
-  const overlay = document.createElement('div');
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background: rgba(0, 0, 0, 0.7);
-    z-index: 10000;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-  `;
+  // E-ink: always white, Dark: unified neutral tone
+  let fillColor = cardColor;
+  if (isEink) {
+    fillColor = '#ffffff';
+  } else if (isDark) {
+    fillColor = '#2d3748';
+  }
 
-  // Create dialog
-  const dialog = document.createElement('div');
-  dialog.style.cssText = `
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    padding: 24px;
-    border-radius: 12px;
-    max-width: 600px;
-    width: 90%;
-    max-height: 80vh;
-    overflow-y: auto;
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
-  `;
+  // Text (render first to calculate height)
+  const text = new Konva.Text({
+    text: cardData.text || '',
+    x: 16,
+    y: 16,
+    width: 168,
+    fontSize: 14,
+    fontFamily: 'sans-serif',
+    fill: isDark ? '#e0e0e0' : '#1a1a1a',
+    wrap: 'word',
+    ellipsis: false
+  });
 
-  dialog.innerHTML = `
-    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
-      Redigera ${selectedCards.length} kort
-    </h3>
+  // Comments (if exist) - shown in italic below main text
+  let commentsText = null;
+  let totalContentHeight = text.height();
 
-    <div style="margin-bottom: 16px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
-      <p style="margin: 0; font-size: 14px;">
-        Ändringar appliceras på alla ${selectedCards.length} markerade kort.
-        Lämna fält tomma för att inte ändra dem.
-      </p>
-    </div>
-
-    <div style="margin-bottom: 16px;">
-      <label style="display: block; margin-bottom: 8px; font-weight: 500;">
-        Lägg till tags (kommaseparerade, läggs till befintliga):
-      </label>
-      <input type="text" id="bulkAddTags"
-        placeholder="t.ex. urgent, projekt"
-        style="width: 100%; padding: 12px; font-size: 16px;
-               border: 2px solid var(--border-color); border-radius: 8px;
-               background: var(--bg-secondary); color: var(--text-primary);
-               box-sizing: border-box;">
-    </div>
+  if (cardData.comments) {
+    commentsText = new Konva.Text({
+      text: cardData.comments,
+      x: 16,
+      y: 16 + text.height() + 8, // 8px gap after main text
+      width: 168,
+      fontSize: 12,
+      fontFamily: 'sans-serif',
+      fontStyle: 'italic',
+      fill: isDark ? '#a0a0a0' : '#666666',
+      wrap: 'word',
+      ellipsis: false
+    });
+    totalContentHeight = text.height() + 8 + commentsText.height();
+  }
 
-    <div style="margin-bottom: 20px;">
-      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Kortfärg:</label>
-      <div id="bulkColorPicker" style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
-        <div class="color-dot" data-color="none" style="width: 36px; height: 36px; border-radius: 50%;
-             background: var(--bg-secondary); border: 3px solid var(--accent-color); cursor: pointer;
-             display: flex; align-items: center; justify-content: center; font-size: 20px;"
-             title="Ändra inte färg">×</div>
-        <div class="color-dot" data-color="" style="width: 36px; height: 36px; border-radius: 50%;
-             background: var(--bg-secondary); border: 3px solid var(--border-color); cursor: pointer;
-             display: flex; align-items: center; justify-content: center; font-size: 20px;"
-             title="Ingen färg">⭘</div>
-        <div class="color-dot" data-color="card-color-1" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #d4f2d4; border: 3px solid transparent; cursor: pointer;" title="Grön"></div>
-        <div class="color-dot" data-color="card-color-2" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #ffe4b3; border: 3px solid transparent; cursor: pointer;" title="Orange"></div>
-        <div class="color-dot" data-color="card-color-3" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #ffc1cc; border: 3px solid transparent; cursor: pointer;" title="Röd"></div>
-        <div class="color-dot" data-color="card-color-4" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #fff7b3; border: 3px solid transparent; cursor: pointer;" title="Gul"></div>
-        <div class="color-dot" data-color="card-color-5" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #f3e5f5; border: 3px solid transparent; cursor: pointer;" title="Lila"></div>
-        <div class="color-dot" data-color="card-color-6" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #c7e7ff; border: 3px solid transparent; cursor: pointer;" title="Blå"></div>
-        <div class="color-dot" data-color="card-color-7" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #e0e0e0; border: 3px solid transparent; cursor: pointer;" title="Grå"></div>
-        <div class="color-dot" data-color="card-color-8" style="width: 36px; height: 36px; border-radius: 50%;
-             background: #ffffff; border: 3px solid #ddd; cursor: pointer;" title="Vit"></div>
-      </div>
-      <div id="bulkCustomColorContainer" style="display: flex; align-items: center; gap: 8px;">
-        <span style="font-size: 14px;">Valfri färg:</span>
-        <input type="color" id="bulkCustomColorInput" style="width: 42px; height: 32px; padding: 0; border: 2px solid var(--border-color); border-radius: 6px; background: transparent;">
-        <input type="text" id="bulkCustomColorHex" placeholder="#rrggbb" style="flex: 1; padding: 8px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary);">
-        <button id="bulkApplyCustomColor" style="padding: 8px 12px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); cursor: pointer;">Använd</button>
-      </div>
-    </div>
+  // [[Links]] and backlinks - clickable rows below the text
+  const linkRows = createWikiLinkRows(cardData, 16, 16 + totalContentHeight + 8, 168);
+  if (linkRows.height > 0) {
+    totalContentHeight += 8 + linkRows.height;
+  }
 
-    <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 24px;">
-      <button id="bulkCancel" style="padding: 12px 24px; background: var(--bg-secondary);
-                                     color: var(--text-primary); border: 2px solid var(--border-color);
-                                     border-radius: 8px; font-size: 16px; font-weight: 500; cursor: pointer;">
-        Avbryt
-      </button>
-      <button id="bulkSave" style="padding: 12px 24px; background: var(--accent-color);
-                                    color: white; border: none; border-radius: 8px;
-                                    font-size: 16px; font-weight: 600; cursor: pointer;">
-        Uppdatera alla
-      </button>
-    </div>
+  // Calculate card height based on content
+  const cardHeight = Math.max(150, totalContentHeight + 32); // 16px top + 16px bottom padding
 
-    <div style="margin-top: 16px; font-size: 13px; color: var(--text-secondary); text-align: center;">
-      Tips: Ctrl+Enter = Spara, Esc = Avbryt
-    </div>
-  `;
+  // Background
+  const background = new Konva.Rect({
+    width: 200,
+    height: cardHeight,
+    fill: fillColor,
+    stroke: isEink ? '#000000' : (isDark ? '#4a5568' : '#e0e0e0'),
+    strokeWidth: 1,
+    cornerRadius: 4
+  });
 
-  overlay.appendChild(dialog);
-  document.body.appendChild(overlay);
+  group.add(background);
+  group.add(text);
 
-  // Get elements
-  const tagsInput = document.getElementById('bulkAddTags');
-  const saveBtn = document.getElementById('bulkSave');
-  const cancelBtn = document.getElementById('bulkCancel');
+  if (commentsText) {
+    group.add(commentsText);
+  }
+  linkRows.nodes.forEach(node => group.add(node));
+}
 
-  // Handle color selection
-  let selectedColor = 'none'; // Default: don't change
-  const colorDots = document.querySelectorAll('#bulkColorPicker .color-dot');
-  const bulkCustomColorInput = document.getElementById('bulkCustomColorInput');
-  const bulkCustomColorHex = document.getElementById('bulkCustomColorHex');
-  const bulkApplyCustomColor = document.getElementById('bulkApplyCustomColor');
-  const bulkCustomColorContainer = document.getElementById('bulkCustomColorContainer');
+/**
+ * Clickable rows for a card's [[links]] (→) and backlinks (←)
+ * Clicking a row pans the board to the linked card.
+ * @returns {Object} { nodes, height }
+ */
+function createWikiLinkRows(cardData, x, y, width) {
+  const links = wikiLinkIndex.linksByCard.get(cardData.id) || [];
+  const backlinks = wikiLinkIndex.backlinksByCard.get(cardData.id) || [];
+  const nodes = [];
+  let height = 0;
+
+  if (links.length === 0 && backlinks.length === 0) {
+    return { nodes, height };
+  }
 
-  const resetBulkDotBorders = () => {
-    colorDots.forEach(d => {
-      if (d.dataset.color === 'none') {
-        d.style.border = '3px solid transparent';
-      } else if (d.dataset.color === '') {
-        d.style.border = '3px solid var(--border-color)';
-      } else if (d.dataset.color === 'card-color-8') {
-        d.style.border = '3px solid #ddd';
-      } else {
-        d.style.border = '3px solid transparent';
-      }
+  const isEink = document.body.classList.contains('eink-theme');
+  const isDark = document.body.classList.contains('dark-theme');
+  const linkColor = isEink ? '#000000' : (isDark ? '#80b3ff' : '#0066cc');
+  const missingColor = isDark ? '#a0a0a0' : '#999999';
+
+  const addRow = (label, targetCard) => {
+    const row = new Konva.Text({
+      text: label,
+      x,
+      y: y + height,
+      width,
+      fontSize: 12,
+      fontFamily: 'sans-serif',
+      fill: targetCard ? linkColor : missingColor,
+      textDecoration: targetCard ? 'underline' : '',
+      wrap: 'none',
+      ellipsis: true,
+      name: 'wiki-link'
     });
-  };
-
-  const highlightBulkCustom = () => {
-    bulkCustomColorContainer.style.outline = '3px solid var(--accent-color)';
-    bulkCustomColorContainer.style.borderRadius = '8px';
-  };
-
-  const clearBulkCustomHighlight = () => {
-    bulkCustomColorContainer.style.outline = 'none';
-  };
-
-  const isValidHex = (value) => /^#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})$/.test(value);
 
-  const applyBulkCustomColor = () => {
-    const hexInput = (bulkCustomColorHex ? bulkCustomColorHex.value.trim() : '') || (bulkCustomColorInput ? bulkCustomColorInput.value.trim() : '');
-    if (!isValidHex(hexInput)) {
-      alert('Ange en giltig hexkod, t.ex. #00cc99');
-      return;
+    if (targetCard) {
+      row.on('click tap', (e) => {
+        e.cancelBubble = true;
+        panToCard(targetCard.id);
+      });
+      row.on('mouseenter', () => { stage.container().style.cursor = 'pointer'; });
+      row.on('mouseleave', () => { stage.container().style.cursor = 'default'; });
     }
 
-    if (bulkCustomColorInput) bulkCustomColorInput.value = hexInput;
-    if (bulkCustomColorHex) bulkCustomColorHex.value = hexInput;
-    resetBulkDotBorders();
-    highlightBulkCustom();
-    selectedColor = hexInput.toLowerCase();
+    nodes.push(row);
+    height += row.height() + 4;
   };
 
-  colorDots.forEach(dot => {
-    dot.addEventListener('click', function() {
-      clearBulkCustomHighlight();
-      resetBulkDotBorders();
-
-      // Select this one
-      this.style.border = '3px solid var(--accent-color)';
-      selectedColor = this.dataset.color;
-    });
+  links.forEach(({ target, card }) => {
+    if (card?.id === cardData.id) return;
+    addRow(card ? `→ ${getCardTitle(card) || card.uniqueId}` : `→ ${target} (saknas)`, card);
   });
+  backlinks.forEach(card => addRow(`← ${getCardTitle(card) || card.uniqueId}`, card));
 
-  if (bulkApplyCustomColor) {
-    bulkApplyCustomColor.addEventListener('click', applyBulkCustomColor);
-  }
+  return { nodes, height: Math.max(0, height - 4) };
+}
 
-  if (bulkCustomColorInput) {
-    bulkCustomColorInput.addEventListener('input', () => {
-      if (bulkCustomColorHex) bulkCustomColorHex.value = bulkCustomColorInput.value;
-    });
-  }
+/**
+ * Render image card
+ */
+function renderImageCard(group, cardData) {
+  const imageObj = new Image();
+  const imageData = normalizeCardImage(cardData.image);
+  const isFlipped = cardData.flipped || false;
 
-  if (bulkCustomColorHex) {
-    bulkCustomColorHex.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        applyBulkCustomColor();
-      }
-    });
+  if (!imageData?.src) {
+    console.warn('renderImageCard: missing usable image source, rendering as text card instead');
+    renderTextCard(group, cardData);
+    return;
   }
 
-  const cleanup = () => {
-    if (overlay.parentNode) {
-      document.body.removeChild(overlay);
-    }
-    document.removeEventListener('keydown', escHandler);
-  };
+  console.log('DEBUG: renderImageCard - cardData.image:', imageData);
 
-  // Save handler
-  const save = async () => {
-    const addTags = tagsInput.value ? tagsInput.value.split(',').map(t => t.trim()).filter(t => t) : [];
+  imageObj.onload = function() {
+    console.log('DEBUG: renderImageCard - imageObj loaded. naturalWidth:', imageObj.naturalWidth, 'naturalHeight:', imageObj.naturalHeight);
+    console.log('DEBUG: renderImageCard - image src (truncated):', imageData.src ? imageData.src.substring(0, 100) + '...' : 'N/A');
 
-    // Build updates
-    for (const card of selectedCards) {
-      const updates = {};
+    // Check themes
+    const isEink = document.body.classList.contains('eink-theme');
+    const isDark = document.body.classList.contains('dark-theme');
 
-      // Add tags (merge with existing)
-      if (addTags.length > 0) {
-        const existingTags = card.tags || [];
-        const newTags = [...new Set([...existingTags, ...addTags])]; // Remove duplicates
-        updates.tags = newTags;
-      }
+    // Calculate card display dimensions (maintain aspect ratio)
+    // Standard display size: 200px for aligned columns
+    const displayMaxWidth = 200;
+    const displayMaxHeight = 300;
 
-      // Update color (only if not 'none')
-      if (selectedColor !== 'none') {
-        updates.cardColor = selectedColor;
-      }
+    let naturalWidth = imageObj.naturalWidth;
+    let naturalHeight = imageObj.naturalHeight;
 
-      // Only update if there are changes
-      if (Object.keys(updates).length > 0) {
-        await updateCard(card.id, updates);
-      }
+    // If natural dimensions are 0, use stored dimensions if available, or fallback
+    if (naturalWidth === 0 || naturalHeight === 0) {
+        console.warn('WARNING: Image natural dimensions are 0. Falling back to stored dimensions or default.');
+        naturalWidth = imageData.width || 200;
+        naturalHeight = imageData.height || 150;
     }
 
-    await reloadCanvas();
-    cleanup();
-
-    console.log(`Bulk updated ${selectedCards.length} cards`);
-  };
-
-  // Event listeners
-  saveBtn.addEventListener('click', save);
-  cancelBtn.addEventListener('click', cleanup);
+    // Calculate display size (scaled down for card)
+    let displayWidth = naturalWidth;
+    let displayHeight = naturalHeight;
 
-  // Keyboard shortcuts
-  const escHandler = (e) => {
-    if (e.key === 'Escape') {
-      cleanup();
+    if (displayWidth > displayMaxWidth || displayHeight > displayMaxHeight) {
+      const ratio = Math.min(displayMaxWidth / displayWidth, displayMaxHeight / displayHeight);
+      displayWidth = displayWidth * ratio;
+      displayHeight = displayHeight * ratio;
     }
-  };
-  document.addEventListener('keydown', escHandler);
 
-  tagsInput.addEventListener('keydown', (e) => {
-    if (e.ctrlKey && e.key === 'Enter') {
-      e.preventDefault();
-      save();
-    }
-  });
-
-  // Focus tags input
-  tagsInput.focus();
-}
+    // Use display dimensions for card, but keep original image for sharp rendering
+    const width = displayWidth;
+    const height = displayHeight;
 
-/**
- * Show touch paste menu (for long-press on empty canvas)
- */
-async function showTouchPasteMenu(x, y, position) {
-  const menu = document.createElement('div');
-  menu.style.cssText = `
-    position: fixed;
-    left: ${x}px;
-    top: ${y}px;
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    border: 2px solid var(--border-color);
-    border-radius: 12px;
-    padding: 8px;
-    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-    z-index: 10000;
-    min-width: 200px;
-  `;
+    console.log('DEBUG: renderImageCard - Final calculated width:', width, 'height:', height);
 
-  menu.innerHTML = `
-    <div id="touchMenuPasteImage" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
-      📷 Klistra in bild
-    </div>
-    <div id="touchMenuNewCard" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
-      📝 Nytt kort
-    </div>
-    <div id="touchMenuCancel" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px; color: var(--text-secondary);">
-      ✕ Avbryt
-    </div>
-  `;
+    // Store dimensions on group for flip
+    group.setAttr('cardWidth', width);
+    group.setAttr('cardHeight', height);
 
-  document.body.appendChild(menu);
+    if (isFlipped) {
+      // Show back side (read-only view with all text)
+      let currentY = 16;
 
-  // Add hover effects
-  const items = menu.querySelectorAll('div[id^="touchMenu"]');
-  items.forEach(item => {
-    item.addEventListener('mouseenter', () => {
-      item.style.background = 'var(--bg-secondary)';
-    });
-    item.addEventListener('mouseleave', () => {
-      item.style.background = 'transparent';
-    });
-  });
+      // Main text (backText)
+      const mainText = new Konva.Text({
+        text: cardData.backText || 'Dubbelklicka för att redigera...',
+        x: 16,
+        y: currentY,
+        width: width - 32,
+        fontSize: 16,
+        fontFamily: 'sans-serif',
+        fill: isDark ? '#e0e0e0' : '#1a1a1a',
+        wrap: 'word',
+        align: 'left'
+      });
+      currentY += mainText.height();
 
-  const cleanup = () => {
-    if (menu.parentNode) {
-      document.body.removeChild(menu);
-    }
-  };
+      // Tags (if any)
+      let tagsText = null;
+      if (cardData.tags && cardData.tags.length > 0) {
+        currentY += 12; // Gap before tags
+        tagsText = new Konva.Text({
+          text: cardData.tags.map(tag => '#' + tag).join(' '),
+          x: 16,
+          y: currentY,
+          width: width - 32,
+          fontSize: 12,
+          fontFamily: 'sans-serif',
+          fill: isDark ? '#80b3ff' : '#0066cc',
+          wrap: 'word'
+        });
+        currentY += tagsText.height();
+      }
 
-  // Paste image handler - try clipboard first, fallback to file picker
-  document.getElementById('touchMenuPasteImage').addEventListener('click', async () => {
-    cleanup();
+      // Comments (if any)
+      let commentsText = null;
+      if (cardData.comments) {
+        currentY += 8; // Gap before comments
+        commentsText = new Konva.Text({
+          text: cardData.comments,
+          x: 16,
+          y: currentY,
+          width: width - 32,
+          fontSize: 12,
+          fontFamily: 'sans-serif',
+          fontStyle: 'italic',
+          fill: isDark ? '#a0a0a0' : '#666666',
+          wrap: 'word'
+        });
+        currentY += commentsText.height();
+      }
 
-    // Try to paste from clipboard first
-    if (navigator.clipboard && navigator.clipboard.read) {
-      try {
-        await pasteImageFromClipboard();
-        return;
-      } catch (error) {
-        console.log('Clipboard paste failed, falling back to file picker:', error);
+      // [[Links]] and backlinks
+      const linkRows = createWikiLinkRows(cardData, 16, currentY + 12, width - 32);
+      if (linkRows.height > 0) {
+        currentY += 12 + linkRows.height;
       }
-    }
 
-    // Fallback to file picker
-    await importImage(position);
-  });
+      // Calculate total height
+      const totalHeight = currentY + 16; // Add bottom padding
 
-  // New card handler
-  document.getElementById('touchMenuNewCard').addEventListener('click', async () => {
-    cleanup();
-    await createNewCard(position);
-  });
+      const background = new Konva.Rect({
+        width: width,
+        height: Math.max(height, totalHeight),
+        fill: isEink ? '#ffffff' : (isDark ? '#2d3748' : '#fffacd'),
+        stroke: isEink ? '#000000' : (isDark ? '#4a5568' : '#e0e0e0'),
+        strokeWidth: 1,
+        cornerRadius: 4
+      });
 
-  // Cancel handler
-  document.getElementById('touchMenuCancel').addEventListener('click', () => {
-    cleanup();
-  });
+      group.add(background);
+      group.add(mainText);
+      if (tagsText) group.add(tagsText);
+      if (commentsText) group.add(commentsText);
+      linkRows.nodes.forEach(node => group.add(node));
+    } else {
+      // Show front side (image)
 
-  // Close on outside click
-  setTimeout(() => {
-    document.addEventListener('click', cleanup, { once: true });
-  }, 100);
-}
+      // Check if we have comments to display
+      let commentsText = null;
+      let totalHeight = height;
 
-/**
- * Show touch bulk menu (for long-press on selected cards)
- */
-export async function showTouchBulkMenu(x, y) {
-  const selectedGroups = layer.find('.selected');
-  const selectedIds = selectedGroups.map(g => g.getAttr('cardId')).filter(id => id);
+      if (cardData.comments) {
+        // Create comments text (will be positioned below image)
+        commentsText = new Konva.Text({
+          text: cardData.comments,
+          x: 8,
+          y: height + 8, // 8px gap after image
+          width: width - 16,
+          fontSize: 12,
+          fontFamily: 'sans-serif',
+          fontStyle: 'italic',
+          fill: isDark ? '#a0a0a0' : '#666666',
+          wrap: 'word',
+          ellipsis: false
+        });
 
-  if (selectedIds.length === 0) return;
+        // Update total height to include comments
+        totalHeight = height + 8 + commentsText.height() + 8; // image + gap + comments + bottom padding
+      }
 
-  const menu = document.createElement('div');
-  menu.style.cssText = `
-    position: fixed;
-    left: ${x}px;
-    top: ${y}px;
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    border: 2px solid var(--border-color);
-    border-radius: 12px;
-    padding: 8px;
-    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-    z-index: 10000;
-    min-width: 220px;
-  `;
+      const background = new Konva.Rect({
+        width: width,
+        height: totalHeight,
+        fill: '#ffffff',
+        stroke: isEink ? '#000000' : (isDark ? '#4a5568' : '#e0e0e0'),
+        strokeWidth: 1,
+        cornerRadius: 4
+      });
 
-  menu.innerHTML = `
-    <div style="padding: 8px 12px; font-weight: 600; border-bottom: 1px solid var(--border-color); margin-bottom: 4px;">
-      ${selectedIds.length} kort markerade
-    </div>
-    <div id="touchBulkEdit" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
-      ✏️ Redigera alla
-    </div>
-    <div id="touchBulkColor" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
-      🎨 Ändra färg
-    </div>
-    <div id="touchBulkTag" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
-      🏷️ Lägg till taggar
-    </div>
-    <div id="touchBulkCancel" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px; color: var(--text-secondary); border-top: 1px solid var(--border-color); margin-top: 4px;">
-      ✕ Avbryt
-    </div>
-  `;
+      // Calculate scale to fit display dimensions while preserving image quality
+      const scaleX = width / naturalWidth;
+      const scaleY = height / naturalHeight;
 
-  document.body.appendChild(menu);
+      const konvaImage = new Konva.Image({
+        image: imageObj,
+        scaleX: scaleX,
+        scaleY: scaleY,
+        cornerRadius: 8
+      });
 
-  // Add hover effects
-  const items = menu.querySelectorAll('div[id^="touchBulk"]');
-  items.forEach(item => {
-    item.addEventListener('mouseenter', () => {
-      item.style.background = 'var(--bg-secondary)';
-    });
-    item.addEventListener('mouseleave', () => {
-      item.style.background = 'transparent';
-    });
-  });
+      group.add(background);
+      group.add(konvaImage);
 
-  const cleanup = () => {
-    if (menu.parentNode) {
-      document.body.removeChild(menu);
-    }
-  };
+      if (commentsText) {
+        group.add(commentsText);
+      }
 
-  // Edit all handler
-  document.getElementById('touchBulkEdit').addEventListener('click', async () => {
-    cleanup();
-    await createBulkEditor(selectedIds);
-  });
-
-  // Color picker handler
-  document.getElementById('touchBulkColor').addEventListener('click', async () => {
-    cleanup();
-    await showQuickColorPicker(x, y, selectedIds);
-  });
+      // Tooltip on hover (show filename)
+      group.on('mouseenter', function() {
+        document.body.style.cursor = 'pointer';
 
-  // Add tags handler
-  document.getElementById('touchBulkTag').addEventListener('click', async () => {
-    cleanup();
-    await showQuickTagAdder(x, y, selectedIds);
-  });
+        // Show tooltip
+        const tooltip = document.createElement('div');
+        tooltip.id = 'card-tooltip';
+        tooltip.style.cssText = `
+          position: fixed;
+          background: rgba(0, 0, 0, 0.8);
+          color: white;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 14px;
+          z-index: 10001;
+          pointer-events: none;
+          font-family: sans-serif;
+        `;
+        tooltip.textContent = cardData.text || 'Bild';
+        document.body.appendChild(tooltip);
 
-  // Cancel handler
-  document.getElementById('touchBulkCancel').addEventListener('click', () => {
-    cleanup();
-  });
+        // Update tooltip position on mouse move
+        const updateTooltip = (e) => {
+          tooltip.style.left = (e.clientX + 10) + 'px';
+          tooltip.style.top = (e.clientY + 10) + 'px';
+        };
 
-  // Close on outside click
-  setTimeout(() => {
-    document.addEventListener('click', cleanup, { once: true });
-  }, 100);
-}
+        stage.on('mousemove', updateTooltip);
+        group.setAttr('tooltipHandler', updateTooltip);
+      });
 
-/**
- * Quick color picker for bulk operations
- */
-async function showQuickColorPicker(x, y, cardIds) {
-  const picker = document.createElement('div');
-  picker.style.cssText = `
-    position: fixed;
-    left: ${x}px;
-    top: ${y}px;
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    border: 2px solid var(--border-color);
-    border-radius: 12px;
-    padding: 12px;
-    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-    z-index: 10001;
-    display: flex;
-    gap: 8px;
-    flex-wrap: wrap;
-    max-width: 200px;
-  `;
+      group.on('mouseleave', function() {
+        document.body.style.cursor = 'default';
 
-  const showColoredDots = useColoredCards();
-  const colors = [
-    { id: '', label: '⭘', title: 'Ingen färg', color: 'var(--bg-secondary)' },
-    ...getColorOptionsForTheme({ colored: showColoredDots }).map(option => ({
-      id: option.id,
-      color: option.swatch,
-      title: `${option.label} (${option.shortcut})`,
-      label: option.shortcut,
-    })),
-  ];
+        // Remove tooltip
+        const tooltip = document.getElementById('card-tooltip');
+        if (tooltip) {
+          document.body.removeChild(tooltip);
+        }
 
-  colors.forEach(colorInfo => {
-    const dot = document.createElement('div');
-    dot.style.cssText = `
-      width: 40px;
-      height: 40px;
-      border-radius: 50%;
-      background: ${colorInfo.color || 'var(--bg-secondary)'};
-      border: 2px solid var(--border-color);
-      cursor: pointer;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-size: 24px;
-    `;
-    if (!showColoredDots && colorInfo.id) {
-      dot.textContent = colorInfo.label;
-      dot.style.color = 'var(--text-primary)';
-    } else if (!colorInfo.color) {
-      dot.textContent = colorInfo.label;
+        // Remove mousemove handler
+        const handler = group.getAttr('tooltipHandler');
+        if (handler) {
+          stage.off('mousemove', handler);
+        }
+      });
     }
-    dot.title = colorInfo.title || colorInfo.label;
-
-    dot.addEventListener('click', async () => {
-      const cards = await getAllCards();
-      for (const cardId of cardIds) {
-        await updateCard(cardId, { cardColor: colorInfo.id });
-      }
-      addRecentCardColor(colorInfo.id);
-      await reloadCanvas();
-      cleanup();
-    });
 
-    picker.appendChild(dot);
-  });
+    // The image and back side are added after load - keep ink and OCR badge on top
+    group.findOne('.card-ink')?.moveToTop();
+    updateOcrBadge(group, cardData.id);
 
-  document.body.appendChild(picker);
+    layer.batchDraw();
+  };
 
-  const cleanup = () => {
-    if (picker.parentNode) {
-      document.body.removeChild(picker);
-    }
+  imageObj.onerror = function() {
+      console.error('ERROR: renderImageCard - Failed to load image from source. imageData:', imageData);
   };
 
-  setTimeout(() => {
-    document.addEventListener('click', cleanup, { once: true });
-  }, 100);
+  imageObj.src = imageData.src;
 }
 
+// ============================================================================
+// SECTION 3: CARD CREATION & EDITING (Dialogs, Inline Editor, Touch Menus)
+// ============================================================================
+
 /**
- * Quick tag adder for bulk operations
+ * Create new card
  */
-async function showQuickTagAdder(x, y, cardIds) {
-  const adder = document.createElement('div');
-  adder.style.cssText = `
-    position: fixed;
-    left: ${x}px;
-    top: ${y}px;
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    border: 2px solid var(--border-color);
-    border-radius: 12px;
-    padding: 16px;
-    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-    z-index: 10001;
-    min-width: 250px;
-  `;
-
-  adder.innerHTML = `
-    <div style="margin-bottom: 12px; font-weight: 600;">Lägg till taggar</div>
-    <input type="text" id="quickTagInput" placeholder="t.ex. urgent, projekt"
-      style="width: 100%; padding: 10px; border: 2px solid var(--border-color);
-             border-radius: 8px; background: var(--bg-secondary); color: var(--text-primary);
-             box-sizing: border-box; font-size: 16px; margin-bottom: 12px;">
-    <div style="display: flex; gap: 8px;">
-      <button id="quickTagCancel" style="flex: 1; padding: 10px; background: var(--bg-secondary);
-              color: var(--text-primary); border: 2px solid var(--border-color); border-radius: 8px;
-              cursor: pointer; font-size: 14px;">Avbryt</button>
-      <button id="quickTagSave" style="flex: 1; padding: 10px; background: var(--accent-color);
-              color: white; border: none; border-radius: 8px; cursor: pointer; font-size: 14px;
-              font-weight: 600;">Lägg till</button>
-    </div>
-  `;
-
-  document.body.appendChild(adder);
-
-  const input = document.getElementById('quickTagInput');
-  const saveBtn = document.getElementById('quickTagSave');
-  const cancelBtn = document.getElementById('quickTagCancel');
-
-  input.focus();
-
-  const cleanup = () => {
-    if (adder.parentNode) {
-      document.body.removeChild(adder);
-    }
+async function createNewCard(position) {
+  // Create empty card first
+  const cardData = {
+    text: '',
+    tags: [],
+    position
   };
 
-  const save = async () => {
-    const newTags = input.value.split(',').map(t => t.trim()).filter(t => t);
-    if (newTags.length === 0) {
-      cleanup();
-      return;
-    }
-
-    const cards = await getAllCards();
-    for (const cardId of cardIds) {
-      const card = cards.find(c => c.id === cardId);
-      if (card) {
-        const existingTags = card.tags || [];
-        const mergedTags = [...new Set([...existingTags, ...newTags])];
-        await updateCard(cardId, { tags: mergedTags });
-      }
-    }
+  const cardId = await createCard(cardData);
 
-    await reloadCanvas();
-    cleanup();
+  // Mark this card for merge with first edit
+  const createAction = {
+    type: 'create',
+    cardId,
+    card: cardData
   };
+  pendingCreateMerge.set(cardId, createAction);
 
-  saveBtn.addEventListener('click', save);
-  cancelBtn.addEventListener('click', cleanup);
+  // Reload canvas to show new card
+  await reloadCanvas();
 
-  input.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      save();
-    } else if (e.key === 'Escape') {
-      cleanup();
-    }
-  });
+  // Open editor on the new card
+  const group = cardGroups.get(cardId);
+  if (group) {
+    await createInlineEditor(cardId, group, '', false);
+  }
 }
 
 /**
- * Open edit dialog for card (or bulk edit if multiple selected)
+ * Inline text editor using HTML textarea overlay
  */
-async function openEditDialog(cardId) {
-  // Check if multiple cards are selected
-  const selectedGroups = layer.find('.selected');
+async function createInlineEditor(cardId, group, currentText, isImageBack = false) {
+  // Get card data
+  const cards = await getAllCards();
+  const card = cards.find(c => c.id === cardId);
+  if (!card) return;
 
-  if (selectedGroups.length > 1) {
-    // Bulk edit mode
-    const selectedIds = selectedGroups.map(g => g.getAttr('cardId')).filter(id => id);
-    await createBulkEditor(selectedIds);
-  } else {
-    // Single card edit
-    const cards = await getAllCards();
-    const card = cards.find(c => c.id === cardId);
-    if (!card) return;
+  const currentTags = card.tags || [];
+  const currentColor = card.cardColor || '';
+  const currentComments = card.comments || '';
 
-    const group = cardGroups.get(cardId);
-    if (!group) return;
+  // Create overlay
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.7);
+    z-index: 10000;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+  `;
 
-    if (card.image && card.flipped) {
-      // Flipped image card: inline edit back text
-      createInlineEditor(cardId, group, card.backText || '', true);
-    } else {
-      // Text card: inline edit
-      createInlineEditor(cardId, group, card.text || '', false);
-    }
-  }
-}
+  // Create dialog
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    padding: 24px;
+    border-radius: 12px;
+    max-width: 600px;
+    width: 90%;
+    max-height: 80vh;
+    overflow-y: auto;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+  `;
 
-// ============================================================================
-// SECTION 4: CARD OPERATIONS (Flip, Delete)
-// ============================================================================
+  const showColoredSwatches = useColoredCards();
+  const paletteOptions = getColorOptionsForTheme({ colored: showColoredSwatches });
 
-/**
- * Flip image card
- */
-async function flipCard(cardId) {
-  const cards = await getAllCards();
-  const card = cards.find(c => c.id === cardId);
+  const colorDotsHTML = paletteOptions.map(option => {
+    const border = option.id === 'card-color-8' ? '3px solid #ddd' : '3px solid transparent';
+    const swatch = option.swatch || 'var(--bg-secondary)';
+    return `
+        <div class="color-dot" data-color="${option.id}" style="width: 36px; height: 36px; border-radius: 50%;
+             background: ${swatch}; border: ${border}; cursor: pointer;" title="${option.label}"></div>`;
+  }).join('\n');
 
-  if (!card || !card.image) return;
+  dialog.innerHTML = `
+    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
+      ${isImageBack ? 'Redigera baksida' : 'Redigera kort'}
+    </h3>
 
-  const newFlipped = !card.flipped;
+    ${card.image ? `
+    <div style="margin-bottom: 20px; text-align: center;">
+      <img src="${getCardImageSrc(card.image) || ''}"
+           style="max-width: 100%; max-height: 300px; border-radius: 8px;
+                  box-shadow: 0 2px 8px rgba(0,0,0,0.15);"
+           alt="Kortbild">
+    </div>
+    ` : ''}
 
-  pushUndo({
-    type: 'update',
-    cardId,
-    oldData: { flipped: card.flipped },
-    newData: { flipped: newFlipped }
-  });
+    <div style="margin-bottom: 16px;">
+      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Text:</label>
+      <textarea id="editCardText"
+        style="width: 100%; height: 200px; padding: 12px; font-size: 14px;
+               border: 2px solid var(--border-color); border-radius: 8px;
+               background: var(--bg-secondary); color: var(--text-primary);
+               font-family: sans-serif; resize: vertical; box-sizing: border-box;"
+      >${currentText || ''}</textarea>
+    </div>
 
-  await updateCard(cardId, { flipped: newFlipped });
-  await reloadCanvas();
-}
+    ${!isImageBack ? `
+    <div style="margin-bottom: 16px;">
+      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Tags (kommaseparerade):</label>
+      <input type="text" id="editCardTags"  value="${currentTags.join(', ')}"
+        style="width: 100%; padding: 12px; font-size: 14px;
+               border: 2px solid var(--border-color); border-radius: 8px;
+               background: var(--bg-secondary); color: var(--text-primary);
+               font-family: sans-serif; box-sizing: border-box;">
+    </div>
 
-/**
- * Delete card
- */
-async function handleDeleteCard(cardId) {
-  // Get card data before deletion (for undo)
-  const cards = await getAllCards();
-  const card = cards.find(c => c.id === cardId);
+    <div style="margin-bottom: 16px;">
+      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Kommentar (visas i kursiv):</label>
+      <textarea id="editCardComments"
+        style="width: 100%; height: 80px; padding: 12px; font-size: 12px;
+               border: 2px solid var(--border-color); border-radius: 8px;
+               background: var(--bg-secondary); color: var(--text-primary);
+               font-family: sans-serif; font-style: italic; resize: vertical; box-sizing: border-box;"
+      >${currentComments}</textarea>
+    </div>
 
-  if (card) {
-    // Add to undo stack
-    pushUndo({
-      type: 'delete',
-      card: { ...card }
-    });
-  }
+    <div style="margin-bottom: 20px;">
+      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Kortfärg:</label>
+      <div id="editColorPicker" style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
+        <div class="color-dot" data-color="" style="width: 36px; height: 36px; border-radius: 50%;
+             background: var(--bg-secondary); border: 3px solid var(--border-color); cursor: pointer;
+             display: flex; align-items: center; justify-content: center; font-size: 20px;"
+             title="Ingen färg">⭘</div>
+        ${colorDotsHTML}
+      </div>
+      <div id="customColorContainer" style="display: flex; align-items: center; gap: 8px;">
+        <span style="font-size: 14px;">Valfri färg:</span>
+        <input type="color" id="customColorInput" style="width: 42px; height: 32px; padding: 0; border: 2px solid var(--border-color); border-radius: 6px; background: transparent;">
+        <input type="text" id="customColorHex" placeholder="#rrggbb" style="flex: 1; padding: 8px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary);">
+        <button id="applyCustomColor" style="padding: 8px 12px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); cursor: pointer;">Använd</button>
+      </div>
+    </div>
+    ` : ''}
 
-  await deleteCard(cardId);
+    <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 24px;">
+      <button id="cancelEdit" style="padding: 12px 24px; background: var(--bg-secondary);
+                                     color: var(--text-primary); border: 2px solid var(--border-color);
+                                     border-radius: 8px; font-size: 16px; font-weight: 500; cursor: pointer;">
+        Avbryt
+      </button>
+      ${card.image ? `
+      <button id="readWithAI" style="padding: 12px 24px; background: #8B5CF6;
+                                     color: white; border: none; border-radius: 8px;
+                                     font-size: 16px; font-weight: 600; cursor: pointer;">
+        ✨ Läs med AI
+      </button>
+      ` : ''}
+      <button id="saveEdit" style="padding: 12px 24px; background: var(--accent-color);
+                                    color: white; border: none; border-radius: 8px;
+                                    font-size: 16px; font-weight: 600; cursor: pointer;">
+        ${isImageBack ? 'Spara & Vänd tillbaka' : 'Spara'}
+      </button>
+    </div>
 
-  // Remove from canvas
-  const group = cardGroups.get(cardId);
-  if (group) {
-    group.destroy();
-    cardGroups.delete(cardId);
-    layer.batchDraw();
-  }
+    <div style="margin-top: 16px; font-size: 13px; color: var(--text-secondary); text-align: center;">
+      Tips: Ctrl+Enter = Spara, Esc = Avbryt
+    </div>
+  `;
 
-  refreshStats();
-}
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
 
-// ============================================================================
-// SECTION 5: CANVAS MANAGEMENT (Reload, Undo/Redo)
-// ============================================================================
+  // Get elements
+  const textarea = document.getElementById('editCardText');
+  const tagsInput = document.getElementById('editCardTags');
+  const saveBtn = document.getElementById('saveEdit');
+  const cancelBtn = document.getElementById('cancelEdit');
 
-/**
- * Reload canvas from storage
- */
-export async function reloadCanvas() {
-  // Clear existing cards
-  cardGroups.forEach(group => group.destroy());
-  cardGroups.clear();
+  // Focus textarea
+  textarea.focus();
+  textarea.select();
 
-  // Reload from storage
-  await loadCards();
-}
+  // [[ opens link suggestions for the other cards on the board
+  const detachLinkAutocomplete = attachWikiLinkAutocomplete(textarea, cards.filter(c => c.id !== cardId));
 
-/**
- * Update shadows on all cards based on current theme
- * Called when theme changes
- */
-export function updateCardShadows() {
-  const isEink = document.body.classList.contains('eink-theme');
-  const isDark = document.body.classList.contains('dark-theme');
+  // Handle color selection (only for regular cards)
+  let selectedColor = currentColor;
+  if (!isImageBack) {
+    const colorDots = document.querySelectorAll('#editColorPicker .color-dot');
+    const customColorInput = document.getElementById('customColorInput');
+    const customColorHexInput = document.getElementById('customColorHex');
+    const applyCustomColorBtn = document.getElementById('applyCustomColor');
+    const customColorContainer = document.getElementById('customColorContainer');
 
-  cardGroups.forEach(group => {
-    const background = group.findOne('Rect');
-    if (background) {
-      // No shadows for performance
-      background.shadowColor('transparent');
-      background.shadowBlur(0);
-      background.shadowOpacity(0);
-      background.shadowOffset({ x: 0, y: 0 });
-    }
-  });
+    const setDotBorders = () => {
+      colorDots.forEach(d => {
+        if (d.dataset.color === '') {
+          d.style.border = '3px solid var(--border-color)';
+        } else if (d.dataset.color === 'card-color-8') {
+          d.style.border = '3px solid #ddd';
+        } else {
+          d.style.border = '3px solid transparent';
+        }
+      });
+    };
 
-  if (layer) {
-    layer.batchDraw();
-  }
-}
+    const highlightCustom = () => {
+      customColorContainer.style.outline = '3px solid var(--accent-color)';
+      customColorContainer.style.borderRadius = '8px';
+    };
 
-/**
- * Update fill colors on all cards based on current theme.
- * Called when theme changes.
- */
-export async function updateCardFills() {
-  const isEink = document.body.classList.contains('eink-theme');
-  const isDark = document.body.classList.contains('dark-theme');
-  const allCards = await getAllCards();
+    const clearCustomHighlight = () => {
+      customColorContainer.style.outline = 'none';
+    };
 
-  const cardDataMap = new Map(allCards.map(card => [card.id, card]));
+    const setSelectedColor = (color) => {
+      selectedColor = color;
+      if (color && color.startsWith('#')) {
+        highlightCustom();
+        setDotBorders();
+      } else {
+        clearCustomHighlight();
+      }
+    };
 
-  cardGroups.forEach(group => {
-    const cardId = group.getAttr('cardId');
-    const cardData = cardDataMap.get(cardId);
-    if (!cardData) return;
-
-    const background = group.findOne('Rect');
-    const text = group.findOne('Text');
+    // Prefill custom color inputs based on current color (supports imported colors)
+    const initialCustomColor = currentColor ? getCardColor(currentColor) : '#ffffff';
+    if (customColorInput) customColorInput.value = initialCustomColor;
+    if (customColorHexInput) customColorHexInput.value = initialCustomColor;
 
-    if (background) {
-      let fillColor;
+    // Highlight current color
+    let currentMatched = false;
+    colorDots.forEach(dot => {
+      if (dot.dataset.color === currentColor || (!currentColor && dot.dataset.color === '')) {
+        dot.style.border = '3px solid var(--accent-color)';
+        currentMatched = true;
+      }
 
-      if (cardData.image && cardData.flipped) {
-        // Back of an image card
-        fillColor = isEink ? '#ffffff' : (isDark ? '#2d3748' : '#fffacd');
-      } else if (cardData.image && !cardData.flipped) {
-        // Front of an image card is always white
-        fillColor = '#ffffff';
-      } else {
-        // Text card
-        const cardColor = getCardColor(cardData.cardColor);
-        fillColor = cardColor; // Default to the card's own color
+      dot.addEventListener('click', function() {
+        clearCustomHighlight();
+        setDotBorders();
+        this.style.border = '3px solid var(--accent-color)';
+        selectedColor = this.dataset.color;
+      });
+    });
 
-        if (isEink) {
-          fillColor = '#ffffff';
-        } else if (isDark) {
-          // In dark mode, text cards have a standard dark background, ignoring their color property
-          fillColor = '#2d3748';
-        }
-      }
-      background.fill(fillColor);
+    if (!currentMatched && currentColor && currentColor.startsWith('#')) {
+      highlightCustom();
     }
 
-    if (text) {
-      text.fill(isDark ? '#e0e0e0' : '#1a1a1a');
-    }
-  });
+    const isValidHex = (value) => /^#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})$/.test(value);
 
-  if (layer) {
-    layer.batchDraw();
-  }
-}
+    const applyCustomColor = () => {
+      const hexInput = (customColorHexInput ? customColorHexInput.value.trim() : '') || (customColorInput ? customColorInput.value.trim() : '');
+      if (!isValidHex(hexInput)) {
+        alert('Ange en giltig hexkod, t.ex. #ff8800');
+        return;
+      }
 
-/**
- * Update stroke on all cards based on current theme.
- * Called when theme changes.
- */
-export function updateCardStrokes() {
-    const isEink = document.body.classList.contains('eink-theme');
-    const isDark = document.body.classList.contains('dark-theme');
+      if (customColorInput) customColorInput.value = hexInput;
+      if (customColorHexInput) customColorHexInput.value = hexInput;
+      setDotBorders();
+      highlightCustom();
+      setSelectedColor(hexInput.toLowerCase());
+    };
 
-    cardGroups.forEach(group => {
-        const background = group.findOne('Rect');
-        if (background) {
-            const isSelected = group.hasName('selected');
+    if (applyCustomColorBtn) {
+      applyCustomColorBtn.addEventListener('click', applyCustomColor);
+    }
 
-            if (isSelected) {
-                // Keep selection stroke color if selected
-                if (isEink) {
-                    background.stroke('#000000');
-                    background.strokeWidth(3);
-                } else {
-                    background.stroke('#2196F3');
-                    background.strokeWidth(3);
-                }
-            } else {
-                // Apply theme-specific stroke for non-selected cards
-                if (isEink) {
-                    background.stroke('#000000');
-                    background.strokeWidth(1);
-                } else if (isDark) {
-                    background.stroke('#4a5568');
-                    background.strokeWidth(1);
-                } else {
-                    background.stroke('#e0e0e0');
-                    background.strokeWidth(1);
-                }
-            }
+    if (customColorInput) {
+      customColorInput.addEventListener('input', () => {
+        if (customColorHexInput) customColorHexInput.value = customColorInput.value;
+      });
+    }
+
+    if (customColorHexInput) {
+      customColorHexInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          applyCustomColor();
         }
-    });
+      });
+    }
+  }
 
-    if (layer) {
-        layer.batchDraw();
+  const cleanup = () => {
+    if (overlay.parentNode) {
+      document.body.removeChild(overlay);
     }
-}
+    document.removeEventListener('keydown', escHandler);
+    detachLinkAutocomplete();
+  };
 
-/**
- * Undo/redo functions
- */
-function pushUndo(action) {
-  undoStack.push(action);
-  if (undoStack.length > MAX_UNDO_STACK) {
-    undoStack.shift();
-  }
-  redoStack = []; // Clear redo stack on new action
-}
+  // Save handler
+  const save = async () => {
+    const newText = textarea.value;
 
-// ============================================================================
-// SECTION 6: CLIPBOARD (Copy/Paste/Duplicate)
-// ============================================================================
+    if (isImageBack) {
+      // Save back text and flip card
+      pushUndo({
+        type: 'update',
+        cardId,
+        oldData: { backText: currentText },
+        newData: { backText: newText }
+      });
 
-/**
- * Duplicate/copy selected cards
- */
-async function duplicateSelectedCards() {
-  const selectedGroups = layer.find('.selected');
+      await updateCard(cardId, { backText: newText });
+      await flipCard(cardId);
+    } else {
+      // Save regular card
+      const newTags = tagsInput ? tagsInput.value.split(',').map(t => t.trim()).filter(t => t) : currentTags;
+      const commentsTextarea = document.getElementById('editCardComments');
+      const newComments = commentsTextarea ? commentsTextarea.value : currentComments;
 
-  if (selectedGroups.length === 0) {
-    console.log('No cards selected to duplicate');
-    return;
-  }
+      const updates = {
+        text: newText,
+        tags: newTags,
+        comments: newComments
+      };
 
-  const { getCard, createCard } = await import('./storage.js');
+      // Add color if changed
+      if (selectedColor !== currentColor) {
+        updates.cardColor = selectedColor;
+      }
 
-  for (const group of selectedGroups) {
-    const cardId = group.getAttr('cardId');
-    if (!cardId) continue;
+      // Check if this is first edit after create - merge them
+      if (pendingCreateMerge.has(cardId)) {
+        const createAction = pendingCreateMerge.get(cardId);
+        // Update the create action's card data with the new values
+        createAction.card = { ...createAction.card, ...updates };
+        pushUndo(createAction);
+        pendingCreateMerge.delete(cardId);
+      } else {
+        // Normal update
+        pushUndo({
+          type: 'update',
+          cardId,
+          oldData: { text: currentText, tags: currentTags, cardColor: currentColor, comments: currentComments },
+          newData: updates
+        });
+      }
 
-    // Get original card data
-    const originalCard = await getCard(cardId);
-    if (!originalCard) continue;
+      await updateCard(cardId, updates);
+      await reloadCanvas();
+    }
 
-    // Create duplicate with offset position
-    const { id, uniqueId, created, modified, metadata, ...cardData } = originalCard;
+    cleanup();
+  };
 
-    const duplicateData = {
-      ...cardData,
-      position: {
-        x: (originalCard.position?.x || 0) + 50,
-        y: (originalCard.position?.y || 0) + 50
-      }
-    };
+  // Event listeners
+  saveBtn.addEventListener('click', save);
+  cancelBtn.addEventListener('click', cleanup);
 
-    // Create with copy metadata
-    await createCard(duplicateData, {
-      copied: true,
-      copiedAt: new Date().toISOString(),
-      copiedFrom: originalCard.uniqueId,
-      originalCardId: cardId
+  // AI read button (only for image cards)
+  const readWithAIBtn = document.getElementById('readWithAI');
+  if (readWithAIBtn) {
+    readWithAIBtn.addEventListener('click', async () => {
+      cleanup();
+      await queueCardsForOcr([cardId]);
     });
   }
 
-  // Reload canvas
-  await reloadCanvas();
-  console.log(`Duplicated ${selectedGroups.length} cards`);
+  // Keyboard shortcuts
+  const escHandler = (e) => {
+    if (e.key === 'Escape') {
+      cleanup();
+    }
+  };
+  document.addEventListener('keydown', escHandler);
+
+  textarea.addEventListener('keydown', (e) => {
+    if (e.ctrlKey && e.key === 'Enter') {
+      e.preventDefault();
+      save();
+    }
+  });
 }
 
 /**
- * Copy selected cards to clipboard
+ * Bulk editor for multiple selected cards
  */
-async function copySelectedCards() {
-  const selectedGroups = layer.find('.selected');
-
-  if (selectedGroups.length === 0) {
-    console.log('No cards selected to copy');
-    return;
-  }
+async function createBulkEditor(cardIds) {
+  const cards = await getAllCards();
+  const selectedCards = cards.filter(c => cardIds.includes(c.id));
 
-  const { getCard } = await import('./storage.js');
+  if (selectedCards.length === 0) return;
 
-  clipboard = [];
+  // Create overlay
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.7);
+    z-index: 10000;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+  `;
 
-  for (const group of selectedGroups) {
-    const cardId = group.getAttr('cardId');
-    if (!cardId) continue;
+  // Create dialog
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    padding: 24px;
+    border-radius: 12px;
+    max-width: 600px;
+    width: 90%;
+    max-height: 80vh;
+    overflow-y: auto;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+  `;
 
-    const card = await getCard(cardId);
-    if (!card) continue;
+  dialog.innerHTML = `
+    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
+      Redigera ${selectedCards.length} kort
+    </h3>
 
-    // Store card data in clipboard
-    clipboard.push({
-      ...card
-    });
-  }
+    <div style="margin-bottom: 16px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
+      <p style="margin: 0; font-size: 14px;">
+        Ändringar appliceras på alla ${selectedCards.length} markerade kort.
+        Lämna fält tomma för att inte ändra dem.
+      </p>
+    </div>
 
-  console.log(`Copied ${clipboard.length} cards to clipboard`);
-}
+    <div style="margin-bottom: 16px;">
+      <label style="display: block; margin-bottom: 8px; font-weight: 500;">
+        Lägg till tags (kommaseparerade, läggs till befintliga):
+      </label>
+      <input type="text" id="bulkAddTags"
+        placeholder="t.ex. urgent, projekt"
+        style="width: 100%; padding: 12px; font-size: 16px;
+               border: 2px solid var(--border-color); border-radius: 8px;
+               background: var(--bg-secondary); color: var(--text-primary);
+               box-sizing: border-box;">
+    </div>
 
-/**
- * Paste cards from clipboard
- */
-async function pasteCards() {
-  if (clipboard.length === 0) {
-    console.log('Clipboard is empty');
-    return;
-  }
+    <div style="margin-bottom: 20px;">
+      <label style="display: block; margin-bottom: 8px; font-weight: 500;">Kortfärg:</label>
+      <div id="bulkColorPicker" style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
+        <div class="color-dot" data-color="none" style="width: 36px; height: 36px; border-radius: 50%;
+             background: var(--bg-secondary); border: 3px solid var(--accent-color); cursor: pointer;
+             display: flex; align-items: center; justify-content: center; font-size: 20px;"
+             title="Ändra inte färg">×</div>
+        <div class="color-dot" data-color="" style="width: 36px; height: 36px; border-radius: 50%;
+             background: var(--bg-secondary); border: 3px solid var(--border-color); cursor: pointer;
+             display: flex; align-items: center; justify-content: center; font-size: 20px;"
+             title="Ingen färg">⭘</div>
+        <div class="color-dot" data-color="card-color-1" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #d4f2d4; border: 3px solid transparent; cursor: pointer;" title="Grön"></div>
+        <div class="color-dot" data-color="card-color-2" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #ffe4b3; border: 3px solid transparent; cursor: pointer;" title="Orange"></div>
+        <div class="color-dot" data-color="card-color-3" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #ffc1cc; border: 3px solid transparent; cursor: pointer;" title="Röd"></div>
+        <div class="color-dot" data-color="card-color-4" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #fff7b3; border: 3px solid transparent; cursor: pointer;" title="Gul"></div>
+        <div class="color-dot" data-color="card-color-5" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #f3e5f5; border: 3px solid transparent; cursor: pointer;" title="Lila"></div>
+        <div class="color-dot" data-color="card-color-6" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #c7e7ff; border: 3px solid transparent; cursor: pointer;" title="Blå"></div>
+        <div class="color-dot" data-color="card-color-7" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #e0e0e0; border: 3px solid transparent; cursor: pointer;" title="Grå"></div>
+        <div class="color-dot" data-color="card-color-8" style="width: 36px; height: 36px; border-radius: 50%;
+             background: #ffffff; border: 3px solid #ddd; cursor: pointer;" title="Vit"></div>
+      </div>
+      <div id="bulkCustomColorContainer" style="display: flex; align-items: center; gap: 8px;">
+        <span style="font-size: 14px;">Valfri färg:</span>
+        <input type="color" id="bulkCustomColorInput" style="width: 42px; height: 32px; padding: 0; border: 2px solid var(--border-color); border-radius: 6px; background: transparent;">
+        <input type="text" id="bulkCustomColorHex" placeholder="#rrggbb" style="flex: 1; padding: 8px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary);">
+        <button id="bulkApplyCustomColor" style="padding: 8px 12px; font-size: 14px; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); cursor: pointer;">Använd</button>
+      </div>
+    </div>
 
-  const { createCard } = await import('./storage.js');
+    <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 24px;">
+      <button id="bulkCancel" style="padding: 12px 24px; background: var(--bg-secondary);
+                                     color: var(--text-primary); border: 2px solid var(--border-color);
+                                     border-radius: 8px; font-size: 16px; font-weight: 500; cursor: pointer;">
+        Avbryt
+      </button>
+      <button id="bulkSave" style="padding: 12px 24px; background: var(--accent-color);
+                                    color: white; border: none; border-radius: 8px;
+                                    font-size: 16px; font-weight: 600; cursor: pointer;">
+        Uppdatera alla
+      </button>
+    </div>
 
-  // Get paste position (center of viewport or mouse position)
-  const pointer = stage.getPointerPosition() || {
-    x: stage.width() / 2,
-    y: stage.height() / 2
-  };
-  const scale = stage.scaleX();
-  const pastePosition = {
-    x: (pointer.x - stage.x()) / scale,
-    y: (pointer.y - stage.y()) / scale
-  };
+    <div style="margin-top: 16px; font-size: 13px; color: var(--text-secondary); text-align: center;">
+      Tips: Ctrl+Enter = Spara, Esc = Avbryt
+    </div>
+  `;
 
-  // Calculate offset from first card's position
-  const firstCard = clipboard[0];
-  const offsetX = pastePosition.x - (firstCard.position?.x || 0);
-  const offsetY = pastePosition.y - (firstCard.position?.y || 0);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
 
-  for (const cardData of clipboard) {
-    const { id, uniqueId, created, modified, metadata, ...cleanData } = cardData;
+  // Get elements
+  const tagsInput = document.getElementById('bulkAddTags');
+  const saveBtn = document.getElementById('bulkSave');
+  const cancelBtn = document.getElementById('bulkCancel');
 
-    const pastedData = {
-      ...cleanData,
-      position: {
-        x: (cardData.position?.x || 0) + offsetX,
-        y: (cardData.position?.y || 0) + offsetY
-      }
-    };
+  // Handle color selection
+  let selectedColor = 'none'; // Default: don't change
+  const colorDots = document.querySelectorAll('#bulkColorPicker .color-dot');
+  const bulkCustomColorInput = document.getElementById('bulkCustomColorInput');
+  const bulkCustomColorHex = document.getElementById('bulkCustomColorHex');
+  const bulkApplyCustomColor = document.getElementById('bulkApplyCustomColor');
+  const bulkCustomColorContainer = document.getElementById('bulkCustomColorContainer');
 
-    // Create with copy metadata
-    await createCard(pastedData, {
-      copied: true,
-      copiedAt: new Date().toISOString(),
-      copiedFrom: cardData.uniqueId,
-      originalCardId: id
+  const resetBulkDotBorders = () => {
+    colorDots.forEach(d => {
+      if (d.dataset.color === 'none') {
+        d.style.border = '3px solid transparent';
+      } else if (d.dataset.color === '') {
+        d.style.border = '3px solid var(--border-color)';
+      } else if (d.dataset.color === 'card-color-8') {
+        d.style.border = '3px solid #ddd';
+      } else {
+        d.style.border = '3px solid transparent';
+      }
     });
-  }
+  };
 
-  await reloadCanvas();
-  console.log(`Pasted ${clipboard.length} cards`);
-}
+  const highlightBulkCustom = () => {
+    bulkCustomColorContainer.style.outline = '3px solid var(--accent-color)';
+    bulkCustomColorContainer.style.borderRadius = '8px';
+  };
 
-/**
- * Paste cards from clipboard and apply arrangement
- */
-async function pasteCardsWithArrangement(arrangementFunc, arrangementName) {
-  if (clipboard.length === 0) {
-    console.log('Clipboard is empty');
-    return;
-  }
+  const clearBulkCustomHighlight = () => {
+    bulkCustomColorContainer.style.outline = 'none';
+  };
 
-  const { createCard } = await import('./storage.js');
+  const isValidHex = (value) => /^#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})$/.test(value);
 
-  // Get paste position (center of viewport)
-  const pointer = stage.getPointerPosition() || {
-    x: stage.width() / 2,
-    y: stage.height() / 2
-  };
-  const scale = stage.scaleX();
-  const pastePosition = {
-    x: (pointer.x - stage.x()) / scale,
-    y: (pointer.y - stage.y()) / scale
-  };
+  const applyBulkCustomColor = () => {
+    const hexInput = (bulkCustomColorHex ? bulkCustomColorHex.value.trim() : '') || (bulkCustomColorInput ? bulkCustomColorInput.value.trim() : '');
+    if (!isValidHex(hexInput)) {
+      alert('Ange en giltig hexkod, t.ex. #00cc99');
+      return;
+    }
 
-  // Create cards first
-  const newCardIds = [];
-  for (const cardData of clipboard) {
-    const { id, uniqueId, created, modified, metadata, ...cleanData } = cardData;
+    if (bulkCustomColorInput) bulkCustomColorInput.value = hexInput;
+    if (bulkCustomColorHex) bulkCustomColorHex.value = hexInput;
+    resetBulkDotBorders();
+    highlightBulkCustom();
+    selectedColor = hexInput.toLowerCase();
+  };
 
-    const pastedData = {
-      ...cleanData,
-      position: pastePosition // Start at paste position
-    };
+  colorDots.forEach(dot => {
+    dot.addEventListener('click', function() {
+      clearBulkCustomHighlight();
+      resetBulkDotBorders();
 
-    // Create with copy metadata
-    const newId = await createCard(pastedData, {
-      copied: true,
-      copiedAt: new Date().toISOString(),
-      copiedFrom: cardData.uniqueId,
-      originalCardId: id
+      // Select this one
+      this.style.border = '3px solid var(--accent-color)';
+      selectedColor = this.dataset.color;
     });
+  });
 
-    newCardIds.push(newId);
+  if (bulkApplyCustomColor) {
+    bulkApplyCustomColor.addEventListener('click', applyBulkCustomColor);
   }
 
-  await reloadCanvas();
+  if (bulkCustomColorInput) {
+    bulkCustomColorInput.addEventListener('input', () => {
+      if (bulkCustomColorHex) bulkCustomColorHex.value = bulkCustomColorInput.value;
+    });
+  }
 
-  // Select the newly pasted cards
-  layer.find('.selected').forEach(group => {
-    group.removeName('selected');
-    const background = group.findOne('Rect');
-    if (background) {
-      background.stroke(null);
-      background.strokeWidth(0);
-    }
-  });
-
-  newCardIds.forEach(cardId => {
-    const group = cardGroups.get(cardId);
-    if (group) {
-      group.addName('selected');
-      const background = group.findOne('Rect');
-      if (background) {
-        background.stroke('#2196F3');
-        background.strokeWidth(3);
+  if (bulkCustomColorHex) {
+    bulkCustomColorHex.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        applyBulkCustomColor();
       }
+    });
+  }
+
+  const cleanup = () => {
+    if (overlay.parentNode) {
+      document.body.removeChild(overlay);
     }
-  });
+    document.removeEventListener('keydown', escHandler);
+  };
 
-  layer.batchDraw();
+  // Save handler
+  const save = async () => {
+    const addTags = tagsInput.value ? tagsInput.value.split(',').map(t => t.trim()).filter(t => t) : [];
 
-  // Apply arrangement to the newly pasted cards
-  await applyArrangement(arrangementFunc, arrangementName);
+    // Build updates
+    for (const card of selectedCards) {
+      const updates = {};
 
-  console.log(`Pasted and arranged ${clipboard.length} cards using ${arrangementName}`);
-}
+      // Add tags (merge with existing)
+      if (addTags.length > 0) {
+        const existingTags = card.tags || [];
+        const newTags = [...new Set([...existingTags, ...addTags])]; // Remove duplicates
+        updates.tags = newTags;
+      }
 
-async function undo() {
-  if (undoStack.length === 0) {
-    console.log('Nothing to undo');
-    return;
-  }
+      // Update color (only if not 'none')
+      if (selectedColor !== 'none') {
+        updates.cardColor = selectedColor;
+      }
 
-  const action = undoStack.pop();
-  redoStack.push(action);
+      // Only update if there are changes
+      if (Object.keys(updates).length > 0) {
+        await updateCard(card.id, updates);
+      }
+    }
 
-  if (action.type === 'delete') {
-    // Restore deleted card
-    const cardId = await createCard(action.card);
-    await reloadCanvas();
-    console.log('Undo: Restored deleted card');
-  } else if (action.type === 'create') {
-    // Delete created card
-    await deleteCard(action.cardId);
-    await reloadCanvas();
-    console.log('Undo: Deleted created card');
-  } else if (action.type === 'update') {
-    // Restore old values
-    await updateCard(action.cardId, action.oldData);
     await reloadCanvas();
-    console.log('Undo: Restored old card data');
-  }
-}
+    cleanup();
 
-async function redo() {
-  if (redoStack.length === 0) {
-    console.log('Nothing to redo');
-    return;
-  }
+    console.log(`Bulk updated ${selectedCards.length} cards`);
+  };
 
-  const action = redoStack.pop();
-  undoStack.push(action);
+  // Event listeners
+  saveBtn.addEventListener('click', save);
+  cancelBtn.addEventListener('click', cleanup);
 
-  if (action.type === 'delete') {
-    // Re-delete card
-    await deleteCard(action.card.id);
-    await reloadCanvas();
-    console.log('Redo: Re-deleted card');
-  } else if (action.type === 'create') {
-    // Re-create card
-    const cardId = await createCard(action.card);
-    await reloadCanvas();
-    console.log('Redo: Re-created card');
-  } else if (action.type === 'update') {
-    // Re-apply new values
-    await updateCard(action.cardId, action.newData);
-    await reloadCanvas();
-    console.log('Redo: Re-applied new card data');
-  }
-}
+  // Keyboard shortcuts
+  const escHandler = (e) => {
+    if (e.key === 'Escape') {
+      cleanup();
+    }
+  };
+  document.addEventListener('keydown', escHandler);
 
-// ============================================================================
-// SECTION 7: SELECTION & INTERACTION (Events, Drag, Pan, Zoom)
-// ============================================================================
+  tagsInput.addEventListener('keydown', (e) => {
+    if (e.ctrlKey && e.key === 'Enter') {
+      e.preventDefault();
+      save();
+    }
+  });
+
+  // Focus tags input
+  tagsInput.focus();
+}
 
 /**
- * Update selection based on selection rectangle
+ * Show touch paste menu (for long-press on empty canvas)
  */
-function updateSelection() {
-  const selBox = selectionRectangle.getClientRect();
-  const isEink = document.body.classList.contains('eink-theme');
-  const isDark = document.body.classList.contains('dark-theme');
+async function showTouchPasteMenu(x, y, position) {
+  const menu = document.createElement('div');
+  menu.style.cssText = `
+    position: fixed;
+    left: ${x}px;
+    top: ${y}px;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: 2px solid var(--border-color);
+    border-radius: 12px;
+    padding: 8px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    z-index: 10000;
+    min-width: 200px;
+  `;
 
-  // Only deselect all if NOT additive selection (Shift not held)
-  if (!isAdditiveSelection) {
-    layer.find('.selected').forEach(group => {
-      const background = group.findOne('Rect');
-      group.removeName('selected');
-      if (background) {
-        if (isEink) {
-          background.stroke('#000000');
-          background.strokeWidth(1);
-        } else if (isDark) {
-          background.stroke('#4a5568');
-          background.strokeWidth(1);
-        } else {
-          background.stroke('#e0e0e0');
-          background.strokeWidth(1);
-        }
-      }
+  menu.innerHTML = `
+    <div id="touchMenuPasteImage" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
+      📷 Klistra in bild
+    </div>
+    <div id="touchMenuNewCard" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
+      📝 Nytt kort
+    </div>
+    <div id="touchMenuCancel" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px; color: var(--text-secondary);">
+      ✕ Avbryt
+    </div>
+  `;
+
+  document.body.appendChild(menu);
+
+  // Add hover effects
+  const items = menu.querySelectorAll('div[id^="touchMenu"]');
+  items.forEach(item => {
+    item.addEventListener('mouseenter', () => {
+      item.style.background = 'var(--bg-secondary)';
     });
-  }
+    item.addEventListener('mouseleave', () => {
+      item.style.background = 'transparent';
+    });
+  });
 
-  const groups = layer.getChildren(node => node.getAttr('cardId'));
-  groups.forEach(group => {
-    const groupBox = group.getClientRect();
+  const cleanup = () => {
+    if (menu.parentNode) {
+      document.body.removeChild(menu);
+    }
+  };
 
-    // Check if rectangles intersect
-    if (Konva.Util.haveIntersection(selBox, groupBox)) {
-      const background = group.findOne('Rect');
-      // Only add selection if not already selected
-      if (!group.hasName('selected')) {
-        group.addName('selected');
-        if (background) {
-          if (isEink) {
-            background.stroke('#000000');
-            background.strokeWidth(3);
-          } else {
-            background.stroke('#2196F3');
-            background.strokeWidth(3);
-          }
-        }
+  // Paste image handler - try clipboard first, fallback to file picker
+  document.getElementById('touchMenuPasteImage').addEventListener('click', async () => {
+    cleanup();
+
+    // Try to paste from clipboard first
+    if (navigator.clipboard && navigator.clipboard.read) {
+      try {
+        await pasteImageFromClipboard();
+        return;
+      } catch (error) {
+        console.log('Clipboard paste failed, falling back to file picker:', error);
       }
     }
+
+    // Fallback to file picker
+    await importImage(position);
+  });
+
+  // New card handler
+  document.getElementById('touchMenuNewCard').addEventListener('click', async () => {
+    cleanup();
+    await createNewCard(position);
+  });
+
+  // Cancel handler
+  document.getElementById('touchMenuCancel').addEventListener('click', () => {
+    cleanup();
   });
+
+  // Close on outside click
+  setTimeout(() => {
+    document.addEventListener('click', cleanup, { once: true });
+  }, 100);
 }
 
 /**
- * Setup canvas events
+ * Show touch bulk menu (for long-press on selected cards)
  */
-function setupCanvasEvents() {
-  // Handle window resize
-  window.addEventListener('resize', () => {
-    const container = document.getElementById('canvas-container');
-    if (container && stage) {
-      stage.width(container.clientWidth);
-      stage.height(container.clientHeight);
-    }
-  });
-
-  // Zoom with mouse wheel (faster: 2x speed)
-  stage.on('wheel', (e) => {
-    e.evt.preventDefault();
+export async function showTouchBulkMenu(x, y) {
+  const selectedGroups = layer.find('.selected');
+  const selectedIds = selectedGroups.map(g => g.getAttr('cardId')).filter(id => id);
 
-    const oldScale = stage.scaleX();
-    const pointer = stage.getPointerPosition();
+  if (selectedIds.length === 0) return;
 
-    const mousePointTo = {
-      x: (pointer.x - stage.x()) / oldScale,
-      y: (pointer.y - stage.y()) / oldScale,
-    };
-
-    const scaleBy = 1.1; // Was 1.05, now 1.1 for 2x faster zoom
-    const newScale = e.evt.deltaY < 0 ? oldScale * scaleBy : oldScale / scaleBy;
-
-    // Limit zoom between 0.1x and 5x
-    const clampedScale = Math.max(0.1, Math.min(5, newScale));
+  const menu = document.createElement('div');
+  menu.style.cssText = `
+    position: fixed;
+    left: ${x}px;
+    top: ${y}px;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: 2px solid var(--border-color);
+    border-radius: 12px;
+    padding: 8px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    z-index: 10000;
+    min-width: 220px;
+  `;
 
-    stage.scale({ x: clampedScale, y: clampedScale });
+  menu.innerHTML = `
+    <div style="padding: 8px 12px; font-weight: 600; border-bottom: 1px solid var(--border-color); margin-bottom: 4px;">
+      ${selectedIds.length} kort markerade
+    </div>
+    <div id="touchBulkEdit" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
+      ✏️ Redigera alla
+    </div>
+    <div id="touchBulkColor" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
+      🎨 Ändra färg
+    </div>
+    <div id="touchBulkTag" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px;">
+      🏷️ Lägg till taggar
+    </div>
+    <div id="touchBulkCancel" style="padding: 12px; cursor: pointer; border-radius: 8px; font-size: 16px; color: var(--text-secondary); border-top: 1px solid var(--border-color); margin-top: 4px;">
+      ✕ Avbryt
+    </div>
+  `;
 
-    const newPos = {
-      x: pointer.x - mousePointTo.x * clampedScale,
-      y: pointer.y - mousePointTo.y * clampedScale,
-    };
+  document.body.appendChild(menu);
 
-    stage.position(newPos);
-    stage.batchDraw();
+  // Add hover effects
+  const items = menu.querySelectorAll('div[id^="touchBulk"]');
+  items.forEach(item => {
+    item.addEventListener('mouseenter', () => {
+      item.style.background = 'var(--bg-secondary)';
+    });
+    item.addEventListener('mouseleave', () => {
+      item.style.background = 'transparent';
+    });
   });
 
-  // Pan with middle mouse or Ctrl+drag
-  // Selection rectangle with left-click drag on stage
-  stage.on('mousedown', (e) => {
-    // Ctrl+drag or middle mouse = pan
-    if (e.evt.button === 1 || (e.evt.button === 0 && e.evt.ctrlKey)) {
-      isPanning = true;
-      stage.draggable(true);
-      stage.container().style.cursor = 'grabbing';
-      return;
+  const cleanup = () => {
+    if (menu.parentNode) {
+      document.body.removeChild(menu);
     }
+  };
 
-    // Left click on stage (not on card) = start selection
-    if (e.target === stage && e.evt.button === 0) {
-      isSelecting = true;
-      isAdditiveSelection = e.evt.shiftKey; // Shift = add to selection
-      const pos = stage.getPointerPosition();
-      const scale = stage.scaleX();
-      selectionStartPos = {
-        x: (pos.x - stage.x()) / scale,
-        y: (pos.y - stage.y()) / scale
-      };
-      selectionRectangle.width(0);
-      selectionRectangle.height(0);
-      selectionRectangle.visible(true);
-    }
+  // Edit all handler
+  document.getElementById('touchBulkEdit').addEventListener('click', async () => {
+    cleanup();
+    await createBulkEditor(selectedIds);
   });
 
-  stage.on('mousemove', () => {
-    if (!isSelecting) return;
-
-    const pos = stage.getPointerPosition();
-    const scale = stage.scaleX();
-    const currentPos = {
-      x: (pos.x - stage.x()) / scale,
-      y: (pos.y - stage.y()) / scale
-    };
-
-    const x = Math.min(selectionStartPos.x, currentPos.x);
-    const y = Math.min(selectionStartPos.y, currentPos.y);
-    const width = Math.abs(currentPos.x - selectionStartPos.x);
-    const height = Math.abs(currentPos.y - selectionStartPos.y);
+  // Color picker handler
+  document.getElementById('touchBulkColor').addEventListener('click', async () => {
+    cleanup();
+    await showQuickColorPicker(x, y, selectedIds);
+  });
 
-    selectionRectangle.setAttrs({
-      x: x,
-      y: y,
-      width: width,
-      height: height
-    });
+  // Add tags handler
+  document.getElementById('touchBulkTag').addEventListener('click', async () => {
+    cleanup();
+    await showQuickTagAdder(x, y, selectedIds);
+  });
 
-    // Update selection
-    updateSelection();
-    layer.batchDraw();
+  // Cancel handler
+  document.getElementById('touchBulkCancel').addEventListener('click', () => {
+    cleanup();
   });
 
-  stage.on('mouseup', () => {
-    if (isPanning) {
-      isPanning = false;
-      stage.draggable(false);
-      stage.container().style.cursor = 'default';
-    }
+  // Close on outside click
+  setTimeout(() => {
+    document.addEventListener('click', cleanup, { once: true });
+  }, 100);
+}
 
-    if (isSelecting) {
-      isSelecting = false;
-      isAdditiveSelection = false; // Reset
-      selectionRectangle.visible(false);
-      layer.batchDraw();
-    }
-  });
+/**
+ * Quick color picker for bulk operations
+ */
+async function showQuickColorPicker(x, y, cardIds) {
+  const picker = document.createElement('div');
+  picker.style.cssText = `
+    position: fixed;
+    left: ${x}px;
+    top: ${y}px;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: 2px solid var(--border-color);
+    border-radius: 12px;
+    padding: 12px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    z-index: 10001;
+    display: flex;
+    gap: 8px;
+    flex-wrap: wrap;
+    max-width: 200px;
+  `;
 
-  // Save card position when dragged
-  stage.on('dragend', (e) => {
-    const target = e.target;
-    if (target.getAttr('cardId')) {
-      const cardId = target.getAttr('cardId');
-      const position = { x: target.x(), y: target.y() };
+  const showColoredDots = useColoredCards();
+  const colors = [
+    { id: '', label: '⭘', title: 'Ingen färg', color: 'var(--bg-secondary)' },
+    ...getColorOptionsForTheme({ colored: showColoredDots }).map(option => ({
+      id: option.id,
+      color: option.swatch,
+      title: `${option.label} (${option.shortcut})`,
+      label: option.shortcut,
+    })),
+  ];
 
-      updateCard(cardId, { position });
+  colors.forEach(colorInfo => {
+    const dot = document.createElement('div');
+    dot.style.cssText = `
+      width: 40px;
+      height: 40px;
+      border-radius: 50%;
+      background: ${colorInfo.color || 'var(--bg-secondary)'};
+      border: 2px solid var(--border-color);
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 24px;
+    `;
+    if (!showColoredDots && colorInfo.id) {
+      dot.textContent = colorInfo.label;
+      dot.style.color = 'var(--text-primary)';
+    } else if (!colorInfo.color) {
+      dot.textContent = colorInfo.label;
     }
-  });
-
-  // Double-click to edit card or flip image card
-  stage.on('dblclick dbltap', async (e) => {
-    const target = e.target;
-    if (target.parent && target.parent.getAttr('cardId')) {
-      const cardId = target.parent.getAttr('cardId');
+    dot.title = colorInfo.title || colorInfo.label;
 
-      // Get card data to check if it's an image card
+    dot.addEventListener('click', async () => {
       const cards = await getAllCards();
-      const card = cards.find(c => c.id === cardId);
-
-      if (!card) return;
-
-      // Both image cards and text cards: open edit dialog on double-click
-      openEditDialog(cardId);
-    } else if (target === stage) {
-      // Only create card if user hasn't been panning
-      if (!stageTouchHasMoved) {
-        // Double-click on canvas to create new card
-        const pointer = stage.getPointerPosition();
-        const scale = stage.scaleX();
-        const position = {
-          x: (pointer.x - stage.x()) / scale,
-          y: (pointer.y - stage.y()) / scale
-        };
-        createNewCard(position);
+      for (const cardId of cardIds) {
+        await updateCard(cardId, { cardColor: colorInfo.id });
       }
-      // Reset movement flag after double-tap check
-      stageTouchHasMoved = false;
-    }
+      addRecentCardColor(colorInfo.id);
+      await reloadCanvas();
+      cleanup();
+    });
+
+    picker.appendChild(dot);
   });
 
-  // Touch long-press on empty canvas to paste image
-  let stageTouchTimer = null;
-  let stageTouchStart = null;
-  let stageTouchStartPos = null;
-  let stageTouchHasMoved = false;
-  let lastCenter = null;
-  let lastDist = 0;
-  let isTouchPanning = false;
+  document.body.appendChild(picker);
 
-  function getDistance(p1, p2) {
-    return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
-  }
+  const cleanup = () => {
+    if (picker.parentNode) {
+      document.body.removeChild(picker);
+    }
+  };
 
-  function getCenter(p1, p2) {
-    return {
-      x: (p1.x + p2.x) / 2,
-      y: (p1.y + p2.y) / 2
-    };
-  }
-
-  stage.on('touchstart', (e) => {
-    const touch1 = e.evt.touches[0];
-    const touch2 = e.evt.touches[1];
-
-    // Reset movement tracking
-    stageTouchHasMoved = false;
-    stageTouchStartPos = touch1 ? { x: touch1.clientX, y: touch1.clientY } : null;
+  setTimeout(() => {
+    document.addEventListener('click', cleanup, { once: true });
+  }, 100);
+}
 
-    if (touch1 && touch2) {
-      // Two fingers - prepare for pinch/pan
-      e.evt.preventDefault();
-      isTouchPanning = false;
-      stage.draggable(false);
-      lastCenter = getCenter(
-        { x: touch1.clientX, y: touch1.clientY },
-        { x: touch2.clientX, y: touch2.clientY }
-      );
-      lastDist = getDistance(
-        { x: touch1.clientX, y: touch1.clientY },
-        { x: touch2.clientX, y: touch2.clientY }
-      );
-      return;
-    }
+/**
+ * Quick tag adder for bulk operations
+ */
+async function showQuickTagAdder(x, y, cardIds) {
+  const adder = document.createElement('div');
+  adder.style.cssText = `
+    position: fixed;
+    left: ${x}px;
+    top: ${y}px;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: 2px solid var(--border-color);
+    border-radius: 12px;
+    padding: 16px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    z-index: 10001;
+    min-width: 250px;
+  `;
 
-    // Single finger on empty canvas - enable panning
-    if (e.target === stage) {
-      isTouchPanning = true;
-      stage.draggable(true);
-    }
+  adder.innerHTML = `
+    <div style="margin-bottom: 12px; font-weight: 600;">Lägg till taggar</div>
+    <input type="text" id="quickTagInput" placeholder="t.ex. urgent, projekt"
+      style="width: 100%; padding: 10px; border: 2px solid var(--border-color);
+             border-radius: 8px; background: var(--bg-secondary); color: var(--text-primary);
+             box-sizing: border-box; font-size: 16px; margin-bottom: 12px;">
+    <div style="display: flex; gap: 8px;">
+      <button id="quickTagCancel" style="flex: 1; padding: 10px; background: var(--bg-secondary);
+              color: var(--text-primary); border: 2px solid var(--border-color); border-radius: 8px;
+              cursor: pointer; font-size: 14px;">Avbryt</button>
+      <button id="quickTagSave" style="flex: 1; padding: 10px; background: var(--accent-color);
+              color: white; border: none; border-radius: 8px; cursor: pointer; font-size: 14px;
+              font-weight: 600;">Lägg till</button>
+    </div>
+  `;
 
-    if (e.target !== stage) return; // Only on empty canvas
+  document.body.appendChild(adder);
 
-    stageTouchStart = Date.now();
+  const input = document.getElementById('quickTagInput');
+  const saveBtn = document.getElementById('quickTagSave');
+  const cancelBtn = document.getElementById('quickTagCancel');
 
-    stageTouchTimer = setTimeout(async () => {
-      // Only show paste menu if user hasn't moved (not panning)
-      if (!stageTouchHasMoved) {
-        const pointer = stage.getPointerPosition();
-        const scale = stage.scaleX();
-        const position = {
-          x: (pointer.x - stage.x()) / scale,
-          y: (pointer.y - stage.y()) / scale
-        };
+  input.focus();
 
-        // Show paste menu
-        await showTouchPasteMenu(e.evt.touches ? e.evt.touches[0].clientX : e.evt.clientX,
-                                 e.evt.touches ? e.evt.touches[0].clientY : e.evt.clientY,
-                                 position);
-      }
-      stageTouchTimer = null;
-    }, 600); // 600ms long press
-  });
+  const cleanup = () => {
+    if (adder.parentNode) {
+      document.body.removeChild(adder);
+    }
+  };
 
-  stage.on('touchmove', (e) => {
-    const touch1 = e.evt.touches[0];
-    const touch2 = e.evt.touches[1];
+  const save = async () => {
+    const newTags = input.value.split(',').map(t => t.trim()).filter(t => t);
+    if (newTags.length === 0) {
+      cleanup();
+      return;
+    }
 
-    // Track if user has moved (for detecting panning vs tap)
-    if (touch1 && stageTouchStartPos) {
-      const moveDistance = Math.sqrt(
-        Math.pow(touch1.clientX - stageTouchStartPos.x, 2) +
-        Math.pow(touch1.clientY - stageTouchStartPos.y, 2)
-      );
-      if (moveDistance > 5) { // 5px threshold for better pan sensitivity
-        stageTouchHasMoved = true;
+    const cards = await getAllCards();
+    for (const cardId of cardIds) {
+      const card = cards.find(c => c.id === cardId);
+      if (card) {
+        const existingTags = card.tags || [];
+        const mergedTags = [...new Set([...existingTags, ...newTags])];
+        await updateCard(cardId, { tags: mergedTags });
       }
     }
 
-    if (touch1 && touch2) {
-      // Two fingers - pinch to zoom and pan
-      e.evt.preventDefault();
-      stageTouchHasMoved = true; // Mark as moved for two-finger gestures
-
-      if (stageTouchTimer) {
-        clearTimeout(stageTouchTimer);
-        stageTouchTimer = null;
-      }
+    await reloadCanvas();
+    cleanup();
+  };
 
-      const newCenter = getCenter(
-        { x: touch1.clientX, y: touch1.clientY },
-        { x: touch2.clientX, y: touch2.clientY }
-      );
-      const newDist = getDistance(
-        { x: touch1.clientX, y: touch1.clientY },
-        { x: touch2.clientX, y: touch2.clientY }
-      );
+  saveBtn.addEventListener('click', save);
+  cancelBtn.addEventListener('click', cleanup);
 
-      const oldScale = stage.scaleX();
-      const pointTo = {
-        x: (newCenter.x - stage.x()) / oldScale,
-        y: (newCenter.y - stage.y()) / oldScale
-      };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      save();
+    } else if (e.key === 'Escape') {
+      cleanup();
+    }
+  });
+}
 
-      // Zoom
-      const scale = Math.max(0.1, Math.min(5, oldScale * (newDist / lastDist)));
-      stage.scale({ x: scale, y: scale });
+/**
+ * Open edit dialog for card (or bulk edit if multiple selected)
+ */
+async function openEditDialog(cardId) {
+  // Check if multiple cards are selected
+  const selectedGroups = layer.find('.selected');
 
-      // Pan
-      const dx = newCenter.x - lastCenter.x;
-      const dy = newCenter.y - lastCenter.y;
-      const newPos = {
-        x: newCenter.x - pointTo.x * scale + dx,
-        y: newCenter.y - pointTo.y * scale + dy
-      };
+  if (selectedGroups.length > 1) {
+    // Bulk edit mode
+    const selectedIds = selectedGroups.map(g => g.getAttr('cardId')).filter(id => id);
+    await createBulkEditor(selectedIds);
+  } else {
+    // Single card edit
+    const cards = await getAllCards();
+    const card = cards.find(c => c.id === cardId);
+    if (!card) return;
 
-      stage.position(newPos);
-      stage.batchDraw();
+    const group = cardGroups.get(cardId);
+    if (!group) return;
 
-      lastDist = newDist;
-      lastCenter = newCenter;
-      return;
+    if (card.image && card.flipped) {
+      // Flipped image card: inline edit back text
+      createInlineEditor(cardId, group, card.backText || '', true);
+    } else {
+      // Text card: inline edit
+      createInlineEditor(cardId, group, card.text || '', false);
     }
+  }
+}
 
-    // Cancel long-press timer if user is moving (panning)
-    if (stageTouchTimer && stageTouchHasMoved) {
-      clearTimeout(stageTouchTimer);
-      stageTouchTimer = null;
-    }
-  });
+// ============================================================================
+// SECTION 4: CARD OPERATIONS (Flip, Delete)
+// ============================================================================
 
-  stage.on('touchend touchcancel', (e) => {
-    if (stageTouchTimer) {
-      clearTimeout(stageTouchTimer);
-      stageTouchTimer = null;
-    }
-    if (isTouchPanning) {
-      stage.draggable(false);
-      isTouchPanning = false;
-    }
-    lastCenter = null;
-    lastDist = 0;
+/**
+ * Flip image card
+ */
+async function flipCard(cardId) {
+  const cards = await getAllCards();
+  const card = cards.find(c => c.id === cardId);
 
-    // Reset movement tracking
-    stageTouchStartPos = null;
-    // Note: Don't reset stageTouchHasMoved here - it's needed for dbltap check
-  });
+  if (!card || !card.image) return;
 
-}
+  const newFlipped = !card.flipped;
 
-function getPointerPositionOnStage() {
-  const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
-  const scale = stage.scaleX();
-  return {
-    x: (pointer.x - stage.x()) / scale,
-    y: (pointer.y - stage.y()) / scale
-  };
-}
+  pushUndo({
+    type: 'update',
+    cardId,
+    oldData: { flipped: card.flipped },
+    newData: { flipped: newFlipped }
+  });
 
-async function handleCreateNewCardAtPointer() {
-  const position = getPointerPositionOnStage();
-  await createNewCard(position);
+  await updateCard(cardId, { flipped: newFlipped });
+  await reloadCanvas();
 }
 
-async function handleReadWithAICommand() {
-  const selectedNodes = layer.find('.selected');
-  if (selectedNodes.length === 0) {
-    alert('Markera först ett eller flera bildkort som du vill läsa med AI.');
-    return;
-  }
-
-  const allCards = await getAllCards();
-  const imageCardIds = [];
+/**
+ * Delete card
+ */
+async function handleDeleteCard(cardId) {
+  // Get card data before deletion (for undo)
+  const cards = await getAllCards();
+  const card = cards.find(c => c.id === cardId);
 
-  for (const node of selectedNodes) {
-    const cardId = node.getAttr('cardId');
-    if (cardId) {
-      const card = allCards.find(c => c.id === cardId);
-      if (card && card.image) {
-        imageCardIds.push(cardId);
-      }
-    }
+  if (card) {
+    // Add to undo stack (connectors are removed with the card)
+    pushUndo({
+      type: 'delete',
+      card: { ...card },
+      connectors: await getConnectorsForCard(cardId)
+    });
   }
 
-  if (imageCardIds.length === 0) {
-    alert('Inga bildkort är markerade. Endast bildkort kan läsas med AI.');
-    return;
-  }
+  await deleteCard(cardId);
 
-  for (const cardId of imageCardIds) {
-    try {
-      await readImageWithGemini(cardId);
-    } catch (error) {
-      console.error('Fel vid OCR:', error);
-      alert(`Fel vid läsning av kort: ${error.message}`);
-    }
+  // Remove from canvas
+  const group = cardGroups.get(cardId);
+  if (group) {
+    group.destroy();
+    cardGroups.delete(cardId);
+    cardIndex.remove(cardId);
+    await loadConnectors();
+    layer.batchDraw();
   }
 
+  refreshStats();
+}
+
+// ============================================================================
+// SECTION 5: CANVAS MANAGEMENT (Reload, Undo/Redo)
+// ============================================================================
+
+/**
+ * Reload canvas from storage
+ */
+export async function reloadCanvas() {
+  // Clear existing cards
+  cardGroups.forEach(group => group.destroy());
+  cardGroups.clear();
+
+  // Reload from storage
+  await loadCards();
+  await loadConnectors();
+}
+
+/**
+ * Reload canvas after switching board
+ * Undo history and search highlighting belong to the previous board and are dropped.
+ */
+export async function reloadCanvasForBoard() {
+  undoStack = [];
+  redoStack = [];
+  aiChangeset.clear();
+  pendingCreateMerge.clear();
+  activeSearchQuery = '';
+  matchingCardIds.clear();
+
   await reloadCanvas();
-  alert(`✅ ${imageCardIds.length} kort lästa med Gemini AI. Texten finns på baksidan - dubbelklicka och klicka "Vänd kort" för att se.`);
+  fitAllCards();
+  refreshStats();
 }
 
-// Wrapper function for showClaudeAssistant that provides necessary parameters
-async function initClaudeAssistant() {
-  // Minimal system prompt - Claude reasons about spatial organization
-  const systemInstruction = `Du är en HANDLINGSORIENTERAD spatial organiseringsassistent.
+/**
+ * Update shadows on all cards based on current theme
+ * Called when theme changes
+ */
+export function updateCardShadows() {
+  const isEink = document.body.classList.contains('eink-theme');
+  const isDark = document.body.classList.contains('dark-theme');
 
-**VIKTIGT: När användaren ber dig göra något - GÖR DET. Fråga INTE vad du ska göra.**
+  cardGroups.forEach(group => {
+    const background = group.findOne('Rect');
+    if (background) {
+      // No shadows for performance
+      background.shadowColor('transparent');
+      background.shadowBlur(0);
+      background.shadowOpacity(0);
+      background.shadowOffset({ x: 0, y: 0 });
+    }
+  });
 
-Kort: {id, text, tags, x, y, width: 200, height: 150, selected: true/false}
-Canvas: oändlig 2D-yta
+  if (layer) {
+    layer.batchDraw();
+  }
+}
 
-Spatial principer:
-- Närhet (13-20px) = samma grupp
-- Separation (200-300px) = olika grupper
-- Grid: x += 215px (kolumner), y += 165px (rader)
-- Börja från (100, 100)
+/**
+ * Update fill colors on all cards based on current theme.
+ * Called when theme changes.
+ */
+export async function updateCardFills() {
+  const isEink = document.body.classList.contains('eink-theme');
+  const isDark = document.body.classList.contains('dark-theme');
+  const allCards = await getAllCards();
 
-ARBETSFLÖDE:
+  const cardDataMap = new Map(allCards.map(card => [card.id, card]));
 
-1. Användaren säger: "organisera kort efter X"
-   → Hämta kort med getAllCards()
-   → Gruppera efter X (text, tags, likhet, etc.)
-   → Beräkna positioner (kolumner med 215px mellanrum, rader med 165px)
-   → Använd updateCards() för att flytta alla kort
-   → Säg KORT vad du gjorde (max 2 meningar)
+  cardGroups.forEach(group => {
+    const cardId = group.getAttr('cardId');
+    const cardData = cardDataMap.get(cardId);
+    if (!cardData) return;
 
-2. Användaren säger: "markera kort som X"
-   → Hämta kort med getAllCards()
-   → Filtrera kort som matchar X
-   → Använd selectCards(cardIds) för att markera
-   → Säg: "Markerade N kort. Tryck h/v/g+h/g+v/q för att arrangera."
+    const background = group.findOne('Rect');
+    const text = group.findOne('Text');
 
-**REGLER:**
-❌ Fråga ALDRIG "vill du att jag..." när användaren redan sagt vad de vill
-❌ Lista INTE upp kort eller rapportera - bara GÖR
-✅ Hämta → Analysera → Arrangera → Kort bekräftelse
-✅ Om något är oklart, välj det mest rimliga alternativet
+    if (background) {
+      let fillColor;
 
-Språk: Svenska. Var direkt och effektiv!`;
+      if (cardData.image && cardData.flipped) {
+        // Back of an image card
+        fillColor = isEink ? '#ffffff' : (isDark ? '#2d3748' : '#fffacd');
+      } else if (cardData.image && !cardData.flipped) {
+        // Front of an image card is always white
+        fillColor = '#ffffff';
+      } else {
+        // Text card
+        const cardColor = getCardColor(cardData.cardColor);
+        fillColor = cardColor; // Default to the card's own color
 
-  // Claude gets MINIMAL tools (not all 16 from Gemini) - spatial reasoning philosophy
-  const claudeTools = [{
-    functionDeclarations: [
-      {
-        name: 'getAllCards',
-        description: 'Hämta alla kort med deras egenskaper (id, text, tags, x, y, selected). Returnerar selected=true för kort som användaren har markerat.',
-        parameters: { type: 'object', properties: {} }
-      },
-      {
-        name: 'updateCards',
-        description: 'Uppdatera flera korts positioner och/eller tags samtidigt',
-        parameters: {
-          type: 'object',
-          properties: {
-            updates: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  id: { type: 'number' },
-                  x: { type: 'number' },
-                  y: { type: 'number' },
-                  tags: { type: 'array', items: { type: 'string' } }
-                }
-              }
-            }
-          },
-          required: ['updates']
-        }
-      },
-      {
-        name: 'selectCards',
-        description: 'Markera specifika kort (med blå ram) så användaren kan arrangera dem med kortkommandon (h=horisontellt, v=vertikalt, g+h=grid horisontellt, g+v=grid vertikalt, q=kluster)',
-        parameters: {
-          type: 'object',
-          properties: {
-            cardIds: {
-              type: 'array',
-              items: { type: 'number' },
-              description: 'Lista med kort-ID:n att markera'
-            }
-          },
-          required: ['cardIds']
+        if (isEink) {
+          fillColor = '#ffffff';
+        } else if (isDark) {
+          // In dark mode, text cards have a standard dark background, ignoring their color property
+          fillColor = '#2d3748';
         }
-      },
-      {
-        name: 'getCanvasInfo',
-        description: 'Hämta canvas-information (kort-dimensioner, spacing-regler)',
-        parameters: { type: 'object', properties: {} }
-      }
-    ]
-  }];
-
-  // Minimal tool registry for Claude (reuse implementations from Gemini if needed)
-  const ensureGeminiToolsExist = async () => {
-    if (!window.spatialViewToolRegistry || Object.keys(window.spatialViewToolRegistry).length === 0) {
-      console.warn('⚠️ Gemini tools not initialized. Initializing...');
-      const geminiPanel = await showGeminiAssistant();
-      if (geminiPanel && geminiPanel.cleanup) {
-        geminiPanel.cleanup();
       }
+      background.fill(fillColor);
     }
-  };
-
-  await ensureGeminiToolsExist();
-
-  const claudeToolRegistry = {
-    getAllCards: window.spatialViewToolRegistry.getAllCards,
-    updateCards: window.spatialViewToolRegistry.updateCards,
-    selectCards: window.spatialViewToolRegistry.selectCards,
-    getCanvasInfo: window.spatialViewToolRegistry.getCanvasInfo
-  };
 
-  await showClaudeAssistant({
-    tools: claudeTools,
-    toolRegistry: claudeToolRegistry,
-    systemInstruction: systemInstruction,
-    loadHistory: loadConversationHistory,
-    saveHistory: saveConversationHistory
+    if (text) {
+      text.fill(isDark ? '#e0e0e0' : '#1a1a1a');
+    }
   });
-}
 
-async function handleAIChooserCommand(forceChooser = false) {
-  const savedChoice = getSavedAIPreference();
+  inkShapes.forEach((shape, strokeId) => {
+    const color = getInkColor(inkStrokes.get(strokeId));
+    shape.fill(color);
+    shape.stroke(color);
+  });
 
-  if (savedChoice && !forceChooser) {
-    if (savedChoice === 'gemini') {
-      await showGeminiAssistant();
-    } else if (savedChoice === 'chatgpt') {
-      await showChatGPTAssistant();
-    } else if (savedChoice === 'claude') {
-      await initClaudeAssistant();
-    }
-    return;
+  if (inkLayer) {
+    inkLayer.batchDraw();
   }
 
-  const choice = await showAIProviderChooser();
-  if (choice) {
-    rememberAIPreference(choice);
-    if (choice === 'gemini') {
-      await showGeminiAssistant();
-    } else if (choice === 'chatgpt') {
-      await showChatGPTAssistant();
-    } else if (choice === 'claude') {
-      await initClaudeAssistant();
-    }
+  if (layer) {
+    layer.batchDraw();
   }
 }
 
-// Expose handleAIChooserCommand globally for AI assistant "Byt" button
-window.handleAIChooserCommand = handleAIChooserCommand;
+/**
+ * Update stroke on all cards based on current theme.
+ * Called when theme changes.
+ */
+export function updateCardStrokes() {
+    const isEink = document.body.classList.contains('eink-theme');
+    const isDark = document.body.classList.contains('dark-theme');
 
-async function handleBackupDownload() {
-  const downloadBtn = document.getElementById('btn-download');
-  downloadBtn?.click();
-}
+    cardGroups.forEach(group => {
+        const background = group.findOne('Rect');
+        if (background) {
+            const isSelected = group.hasName('selected');
 
-async function handleRestoreBackupCommand() {
-  if (window.handleRestoreBackup) {
-    await window.handleRestoreBackup();
-  }
+            if (isSelected) {
+                // Keep selection stroke color if selected
+                if (isEink) {
+                    background.stroke('#000000');
+                    background.strokeWidth(3);
+                } else {
+                    background.stroke('#2196F3');
+                    background.strokeWidth(3);
+                }
+            } else {
+                // Apply theme-specific stroke for non-selected cards
+                if (isEink) {
+                    background.stroke('#000000');
+                    background.strokeWidth(1);
+                } else if (isDark) {
+                    background.stroke('#4a5568');
+                    background.strokeWidth(1);
+                } else {
+                    background.stroke('#e0e0e0');
+                    background.strokeWidth(1);
+                }
+            }
+        }
+    });
+
+    if (layer) {
+        layer.batchDraw();
+    }
+
+    // Connector and frame colors follow the theme too
+    if (connectorLayer) {
+        loadConnectors();
+        renderFrames();
+    }
 }
 
-async function handleDriveSyncCommand() {
-  if (window.handleDriveSync) {
-    await window.handleDriveSync();
+/**
+ * Undo/redo functions
+ */
+function pushUndo(action) {
+  undoStack.push(action);
+  if (undoStack.length > MAX_UNDO_STACK) {
+    undoStack.shift();
   }
+  redoStack = []; // Clear redo stack on new action
 }
 
-function handleDriveReset() {
-  const confirmed = confirm('Vill du rensa alla Google Drive-inställningar?\n\n' +
-    'Detta tar bort:\n' +
-    '- OAuth Client ID\n' +
-    '- Senaste synk-tid\n' +
-    '- Backup-ID\n\n' +
-    'Du måste logga in igen nästa gång du synkar.');
+// ============================================================================
+// SECTION 6: CLIPBOARD (Copy/Paste/Duplicate)
+// ============================================================================
 
-  if (confirmed) {
-    localStorage.removeItem('googleDriveClientId');
-    localStorage.removeItem('lastDriveBackupId');
-    localStorage.removeItem('lastDriveBackupTime');
-    alert('✅ Drive-inställningar rensade!\n\nTryck Y för att logga in igen.');
-  }
-}
+/**
+ * Duplicate/copy selected cards
+ */
+async function duplicateSelectedCards() {
+  const selectedGroups = layer.find('.selected');
 
-async function handleDeleteSelectedCards() {
-  const selectedNodes = layer.find('.selected');
-  for (const node of selectedNodes) {
-    if (node.getAttr('cardId')) {
-      const cardId = node.getAttr('cardId');
-      await handleDeleteCard(cardId);
-    }
+  if (selectedGroups.length === 0) {
+    console.log('No cards selected to duplicate');
+    return;
   }
-}
 
-async function handleColorShortcut(key) {
-  const shortcutNumber = parseInt(key, 10);
-  if (Number.isNaN(shortcutNumber) || shortcutNumber < 1 || shortcutNumber > 8) return;
-
-  const selectedNodes = layer.find('.selected');
-  if (!selectedNodes.length) return;
-
-  const cards = await getAllCards();
-  const colorId = `card-color-${shortcutNumber}`;
+  const { getCard, createCard } = await import('./storage.js');
 
-  for (const node of selectedNodes) {
-    const cardId = node.getAttr('cardId');
+  for (const group of selectedGroups) {
+    const cardId = group.getAttr('cardId');
     if (!cardId) continue;
-    const card = cards.find(c => c.id === cardId);
-    if (card) {
-      await updateCard(cardId, { cardColor: colorId });
-    }
-  }
-
-  addRecentCardColor(colorId);
-  await reloadCanvas();
-}
 
-function handleSelectAllCards() {
-  const isEink = document.body.classList.contains('eink-theme');
-  const allCards = layer.getChildren(node => node.getAttr('cardId'));
-  allCards.forEach(group => {
-    const background = group.findOne('Rect');
-    group.addName('selected');
-    if (background) {
-      if (isEink) {
-        background.stroke('#000000');
-        background.strokeWidth(3);
-      } else {
-        background.stroke('#2196F3');
-        background.strokeWidth(3);
-      }
-    }
-  });
-  layer.batchDraw();
-}
+    // Get original card data
+    const originalCard = await getCard(cardId);
+    if (!originalCard) continue;
 
-async function handleVerticalArrangement(options = {}) {
-  const useGrid = options.forceGrid || options.data?.heldChords?.has('g');
-  if (useGrid) {
-    if (clipboard.length > 0) {
-      await pasteCardsWithArrangement(arrangeGridVertical, 'Grid Vertical');
-    } else {
-      await applyArrangement(arrangeGridVertical, 'Grid Vertical');
-    }
-    return;
-  }
+    // Create duplicate with offset position
+    // Frame membership is re-evaluated from position, not copied
+    const { id, uniqueId, created, modified, metadata, frameId, ...cardData } = originalCard;
 
-  await applyArrangement(arrangeVertical, 'Vertical');
-}
+    const duplicateData = {
+      ...cardData,
+      position: {
+        x: (originalCard.position?.x || 0) + 50,
+        y: (originalCard.position?.y || 0) + 50
+      }
+    };
 
-async function handleHorizontalArrangement(options = {}) {
-  const useGrid = options.forceGrid || options.data?.heldChords?.has('g');
-  if (useGrid) {
-    await applyArrangement(arrangeGridHorizontal, 'Grid Horizontal');
-    return;
+    // Create with copy metadata
+    await createCard(duplicateData, {
+      copied: true,
+      copiedAt: new Date().toISOString(),
+      copiedFrom: originalCard.uniqueId,
+      originalCardId: cardId
+    });
   }
 
-  await applyArrangement(arrangeHorizontal, 'Horizontal');
+  // Reload canvas
+  await reloadCanvas();
+  console.log(`Duplicated ${selectedGroups.length} cards`);
 }
 
-async function handleGridTopArrangement() {
-  await applyArrangement(arrangeGridTopAligned, 'Grid Top-Aligned');
-}
+/**
+ * Copy selected cards to clipboard
+ */
+async function copySelectedCards() {
+  const selectedGroups = layer.find('.selected');
 
-async function handleClusterArrangement() {
-  if (clipboard.length > 0) {
-    await pasteCardsWithArrangement(arrangeCluster, 'Cluster');
-  } else {
-    await applyArrangement(arrangeCluster, 'Cluster');
+  if (selectedGroups.length === 0) {
+    console.log('No cards selected to copy');
+    return;
   }
-}
-
-function registerCanvasCommands() {
-  registeredCanvasCommands.forEach(unregisterCommand);
-  registeredCanvasCommands.clear();
-
-  const register = (command) => {
-    registerCommand(command);
-    registeredCanvasCommands.add(command.id);
-  };
-
-  register({ id: 'open-command-palette', handler: () => showCommandPalette(), contexts: ['board', 'column', 'global'], showInPalette: false });
-  register({ id: 'toggle-view', handler: () => toggleViewFromMenu(), contexts: ['global'] });
-  register({ id: 'toggle-theme', handler: () => window.dispatchEvent(new CustomEvent('toggleTheme')), contexts: ['global'] });
-  register({ id: 'fit-all-cards', handler: () => fitAllCards(), contexts: ['board'] });
-  register({ id: 'new-text-card', handler: () => handleCreateNewCardAtPointer(), contexts: ['board'] });
-  register({ id: 'import-image', handler: () => importImage(), contexts: ['board'] });
-  register({ id: 'paste-image-clipboard', handler: () => pasteImageFromClipboard(), contexts: ['board'] });
-  register({ id: 'read-with-ai', handler: () => handleReadWithAICommand(), contexts: ['board'] });
-  register({ id: 'ask-ai', handler: () => handleAIChooserCommand(), contexts: ['board'] });
-  register({ id: 'export-canvas', handler: () => exportCanvas(), contexts: ['board'] });
-  register({ id: 'export-readable', handler: () => exportToReadableText(), contexts: ['board'] });
-  register({ id: 'import-canvas', handler: () => importCanvas(), contexts: ['board'] });
-  register({ id: 'import-from-drive', handler: () => importFromDriveCommand(), contexts: ['board'] });
-  register({ id: 'download-backup', handler: () => handleBackupDownload(), contexts: ['board', 'global'] });
-  register({ id: 'restore-backup', handler: () => handleRestoreBackupCommand(), contexts: ['board'] });
-  register({ id: 'drive-sync', handler: () => handleDriveSyncCommand(), contexts: ['global'] });
-  register({ id: 'drive-reset', handler: () => handleDriveReset(), contexts: ['global'] });
-  register({ id: 'import-zotero-html', handler: () => importFromZoteroHTML(), contexts: ['board'] });
-  register({ id: 'create-multiple-cards', handler: () => createMultipleCardsFromText(), contexts: ['board'] });
-  register({ id: 'delete-selected', handler: () => handleDeleteSelectedCards(), contexts: ['board'] });
-  register({ id: 'undo', handler: () => undo(), contexts: ['board'] });
-  register({ id: 'redo', handler: () => redo(), contexts: ['board'] });
-  register({ id: 'copy-selected', handler: () => copySelectedCards(), contexts: ['board'] });
-  register({ id: 'paste-cards', handler: () => pasteCards(), contexts: ['board'] });
-  register({ id: 'toggle-pin', handler: () => togglePinSelectedCards(), contexts: ['board'] });
-  register({ id: 'select-all', handler: () => handleSelectAllCards(), contexts: ['board'] });
-  register({
-    id: 'arrange-vertical',
-    handler: ({ data }) => handleVerticalArrangement({ data }),
-    contexts: ['board'],
-    when: ({ data }) => !data?.heldChords?.has('g'),
-  });
-  register({
-    id: 'arrange-horizontal',
-    handler: ({ data }) => handleHorizontalArrangement({ data }),
-    contexts: ['board'],
-    when: ({ data }) => !data?.heldChords?.has('g'),
-  });
-  register({ id: 'arrange-cluster', handler: () => handleClusterArrangement(), contexts: ['board'] });
-  register({ id: 'arrange-grid-vertical', handler: ({ data }) => handleVerticalArrangement({ data, forceGrid: true }), contexts: ['board'] });
-  register({ id: 'arrange-grid-horizontal', handler: ({ data }) => handleHorizontalArrangement({ data, forceGrid: true }), contexts: ['board'] });
-  register({ id: 'arrange-grid-top', handler: () => handleGridTopArrangement(), contexts: ['board'] });
-}
 
-function setupKeyboardShortcuts() {
-  const heldChords = new Set();
-
-  const handleKeyDown = (e) => {
-    const target = e.target;
-    const isInputTarget = target && ((target.tagName === 'INPUT') || (target.tagName === 'TEXTAREA') || target.isContentEditable);
+  const { getCard } = await import('./storage.js');
 
-    if (!isInputTarget && !e.ctrlKey && !e.metaKey && !e.altKey && /^[1-8]$/.test(e.key)) {
-      e.preventDefault();
-      handleColorShortcut(e.key);
-      return;
-    }
+  clipboard = [];
 
-    if (e.key?.toLowerCase() === 'g' && !e.ctrlKey && !e.metaKey && !e.altKey) {
-      heldChords.add('g');
-      return;
-    }
+  for (const group of selectedGroups) {
+    const cardId = group.getAttr('cardId');
+    if (!cardId) continue;
 
-    executeCommandFromEvent(e, { data: { heldChords } });
-  };
+    const card = await getCard(cardId);
+    if (!card) continue;
 
-  const handleKeyUp = (e) => {
-    if (e.key?.toLowerCase() === 'g') {
-      heldChords.delete('g');
-    }
-  };
+    // Store card data in clipboard
+    clipboard.push({
+      ...card
+    });
+  }
 
-  window.addEventListener('keydown', handleKeyDown);
-  window.addEventListener('keyup', handleKeyUp);
+  console.log(`Copied ${clipboard.length} cards to clipboard`);
 }
 
-// ============================================================================
-// SECTION 8: PUBLIC API (Exported Functions)
-// ============================================================================
-
 /**
- * Get stage instance
+ * Paste cards from clipboard
  */
-export function getStage() {
-  return stage;
-}
+async function pasteCards() {
+  if (clipboard.length === 0) {
+    console.log('Clipboard is empty');
+    return;
+  }
 
-/**
- * Get main layer
- */
-export function getLayer() {
-  return layer;
-}
+  const { createCard } = await import('./storage.js');
 
-/**
- * Add new card (exported for external use)
- */
-export async function addNewCard() {
-  const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+  // Get paste position (center of viewport or mouse position)
+  const pointer = stage.getPointerPosition() || {
+    x: stage.width() / 2,
+    y: stage.height() / 2
+  };
   const scale = stage.scaleX();
-  const position = {
+  const pastePosition = {
     x: (pointer.x - stage.x()) / scale,
     y: (pointer.y - stage.y()) / scale
   };
 
-  await createNewCard(position);
-}
+  // Calculate offset from first card's position
+  const firstCard = clipboard[0];
+  const offsetX = pastePosition.x - (firstCard.position?.x || 0);
+  const offsetY = pastePosition.y - (firstCard.position?.y || 0);
 
-/**
- * Export canvas state as JSON
- */
-export async function exportCanvas() {
-  const cards = await getAllCards();
-  const exportData = {
-    type: 'full',
-    version: '1.0',
-    exportedAt: Date.now(),
-    cards,
-    viewport: {
-      x: stage.x(),
-      y: stage.y(),
-      scale: stage.scaleX()
-    }
-  };
+  for (const cardData of clipboard) {
+    // Pasted cards land on the active board and outside any frame
+    const { id, uniqueId, created, modified, metadata, boardId, frameId, ...cleanData } = cardData;
 
-  const json = JSON.stringify(exportData, null, 2);
-  const blob = new Blob([json], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
+    const pastedData = {
+      ...cleanData,
+      position: {
+        x: (cardData.position?.x || 0) + offsetX,
+        y: (cardData.position?.y || 0) + offsetY
+      }
+    };
 
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `spatial-view-${Date.now()}.json`;
-  a.click();
+    // Create with copy metadata
+    await createCard(pastedData, {
+      copied: true,
+      copiedAt: new Date().toISOString(),
+      copiedFrom: cardData.uniqueId,
+      originalCardId: id
+    });
+  }
 
-  URL.revokeObjectURL(url);
+  await reloadCanvas();
+  console.log(`Pasted ${clipboard.length} cards`);
 }
 
 /**
- * Import canvas from JSON file
+ * Paste cards from clipboard and apply arrangement
  */
-export async function importCanvas() {
-  return new Promise((resolve, reject) => {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = 'application/json,.json';
-
-    input.onchange = async (e) => {
-      const file = e.target.files[0];
-      if (!file) {
-        resolve(null);
-        return;
-      }
+async function pasteCardsWithArrangement(arrangementFunc, arrangementName) {
+  if (clipboard.length === 0) {
+    console.log('Clipboard is empty');
+    return;
+  }
 
-      try {
-        const text = await file.text();
-        const data = JSON.parse(text);
+  const { createCard } = await import('./storage.js');
 
-        // Import cards using bulkPut
-        const { db } = await import('./storage.js');
+  // Get paste position (center of viewport)
+  const pointer = stage.getPointerPosition() || {
+    x: stage.width() / 2,
+    y: stage.height() / 2
+  };
+  const scale = stage.scaleX();
+  const pastePosition = {
+    x: (pointer.x - stage.x()) / scale,
+    y: (pointer.y - stage.y()) / scale
+  };
 
-        if (data.cards && Array.isArray(data.cards)) {
-          // Add import metadata to all cards
-          const cardsToImport = data.cards.map((card, i) => ({
-            ...card,
-            imported: true,
-            importedAt: new Date().toISOString(),
-            importedFrom: file.name,
-            importBatchIndex: i
-          }));
+  // Create cards first
+  const newCardIds = [];
+  for (const cardData of clipboard) {
+    // Pasted cards land on the active board and outside any frame
+    const { id, uniqueId, created, modified, metadata, boardId, frameId, ...cleanData } = cardData;
 
-          await db.cards.bulkPut(cardsToImport);
+    const pastedData = {
+      ...cleanData,
+      position: pastePosition // Start at paste position
+    };
 
-          // Reload canvas to show imported cards
-          await reloadCanvas();
+    // Create with copy metadata
+    const newId = await createCard(pastedData, {
+      copied: true,
+      copiedAt: new Date().toISOString(),
+      copiedFrom: cardData.uniqueId,
+      originalCardId: id
+    });
 
-          // Restore viewport if available
-          if (data.viewport) {
-            stage.position({ x: data.viewport.x, y: data.viewport.y });
-            stage.scale({ x: data.viewport.scale, y: data.viewport.scale });
-            stage.batchDraw();
-          }
+    newCardIds.push(newId);
+  }
 
-          console.log(`Imported ${data.cards.length} cards`);
-          alert(`Importerade ${data.cards.length} kort!`);
-          resolve(data.cards.length);
-        } else {
-          throw new Error('Invalid JSON format');
-        }
-      } catch (error) {
-        console.error('Import failed:', error);
-        alert('Misslyckades att importera fil: ' + error.message);
-        reject(error);
-      }
-    };
+  await reloadCanvas();
 
-    input.click();
+  // Select the newly pasted cards
+  layer.find('.selected').forEach(group => {
+    group.removeName('selected');
+    const background = group.findOne('Rect');
+    if (background) {
+      background.stroke(null);
+      background.strokeWidth(0);
+    }
   });
-}
-
-/**
- * Import file from Google Drive (ZIP or JSON)
- */
-export async function importFromDriveCommand() {
-  try {
-    const { importFromDrive } = await import('../lib/drive-sync.js');
-    const result = await importFromDrive();
 
-    if (!result.success) {
-      if (result.message !== 'Ingen fil vald') {
-        alert(result.message);
+  newCardIds.forEach(cardId => {
+    const group = cardGroups.get(cardId);
+    if (group) {
+      group.addName('selected');
+      const background = group.findOne('Rect');
+      if (background) {
+        background.stroke('#2196F3');
+        background.strokeWidth(3);
       }
-      return;
     }
+  });
 
-    const { blob, fileName, mimeType } = result;
-
-    // Handle based on file type
-    if (mimeType === 'application/zip' || fileName.endsWith('.zip')) {
-      // ZIP file - use handleRestoreFromBlob if available
-      if (window.handleRestoreFromBlob) {
-        await window.handleRestoreFromBlob(blob);
-        alert('Backup återställd från Google Drive!');
-      } else {
-        alert('Kunde inte återställa backup');
-      }
-    } else if (mimeType === 'application/json' || fileName.endsWith('.json')) {
-      // JSON file - parse and import like importCanvas
-      try {
-        const text = await blob.text();
-        const data = JSON.parse(text);
+  layer.batchDraw();
 
-        const { db } = await import('../lib/storage.js');
+  // Apply arrangement to the newly pasted cards
+  await applyArrangement(arrangementFunc, arrangementName);
 
-        if (data.cards && Array.isArray(data.cards)) {
-          const cardsToImport = data.cards.map((card, i) => ({
-            ...card,
-            imported: true,
-            importedAt: new Date().toISOString(),
-            importedFrom: fileName,
-            importBatchIndex: i
-          }));
+  console.log(`Pasted and arranged ${clipboard.length} cards using ${arrangementName}`);
+}
 
-          await db.cards.bulkPut(cardsToImport);
-          await reloadCanvas();
+async function undo() {
+  if (undoStack.length === 0) {
+    console.log('Nothing to undo');
+    return;
+  }
 
-          if (data.viewport) {
-            stage.position({ x: data.viewport.x, y: data.viewport.y });
-            stage.scale({ x: data.viewport.scale, y: data.viewport.scale });
-            stage.batchDraw();
-          }
+  const action = undoStack.pop();
+  redoStack.push(action);
 
-          console.log(`Imported ${data.cards.length} cards from Drive`);
-          alert(`Importerade ${data.cards.length} kort från Google Drive!`);
-        } else {
-          throw new Error('Ogiltigt JSON-format');
-        }
-      } catch (error) {
-        console.error('JSON import failed:', error);
-        alert('Misslyckades att importera JSON: ' + error.message);
+  if (action.type === 'delete') {
+    // Restore deleted card from the trash (same id, uniqueId and connectors)
+    const restored = await restoreCard(action.card.id);
+    if (!restored) {
+      // Already purged from the trash - recreate from the undo copy
+      await createCard(action.card);
+      if (action.connectors?.length) {
+        const { db } = await import('./storage.js');
+        await db.connectors.bulkPut(action.connectors);
       }
-    } else {
-      alert('Okänd filtyp: ' + mimeType);
     }
-
-  } catch (error) {
-    console.error('Import from Drive failed:', error);
-    alert('Misslyckades att importera från Drive: ' + error.message);
+    await reloadCanvas();
+    console.log('Undo: Restored deleted card');
+  } else if (action.type === 'create') {
+    // Delete created card
+    await deleteCard(action.cardId);
+    await reloadCanvas();
+    console.log('Undo: Deleted created card');
+  } else if (action.type === 'update') {
+    // Restore old values
+    await updateCard(action.cardId, action.oldData);
+    await reloadCanvas();
+    console.log('Undo: Restored old card data');
+  } else if (action.type === 'ink-create') {
+    await deleteStrokes([action.stroke.id]);
+    await reloadCanvas();
+    console.log('Undo: Removed ink stroke');
+  } else if (action.type === 'ink-delete') {
+    await restoreStrokes(action.strokes);
+    await reloadCanvas();
+    console.log('Undo: Restored erased ink');
+  } else if (action.type === 'ai-changeset') {
+    // The whole AI action is one step
+    const { db } = await import('./storage.js');
+    for (const { cardId, oldData } of action.cards) {
+      await updateCard(cardId, oldData);
+    }
+    for (const { before, after } of action.connectors) {
+      if (before) await db.connectors.put(before);
+      else await db.connectors.delete(after.id);
+    }
+    for (const cardId of action.created || []) {
+      await deleteCard(cardId);
+    }
+    await reloadCanvas();
+    console.log(`Undo: Reverted AI changes on ${action.cards.length} cards`);
   }
 }
 
-/**
- * Import image and create card
- */
-export async function importImage() {
-  return new Promise((resolve, reject) => {
-    // Create file input
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = 'image/*';
-    input.multiple = true;
+async function redo() {
+  if (redoStack.length === 0) {
+    console.log('Nothing to redo');
+    return;
+  }
 
-    input.onchange = async (e) => {
-      const files = Array.from(e.target.files);
-      if (files.length === 0) {
-        resolve([]);
-        return;
-      }
+  const action = redoStack.pop();
+  undoStack.push(action);
 
-      // Show quality selector dialog AFTER files are chosen
-      const quality = await showQualityDialog(files.length);
-      if (!quality) {
-        resolve([]);
-        return;
-      }
-
-      try {
-        const cardIds = [];
-
-        for (const file of files) {
-          // Process image
-          const processed = await processImage(file, quality);
+  if (action.type === 'delete') {
+    // Re-delete card
+    await deleteCard(action.card.id);
+    await reloadCanvas();
+    console.log('Redo: Re-deleted card');
+  } else if (action.type === 'create') {
+    // Re-create card
+    const cardId = await createCard(action.card);
+    await reloadCanvas();
+    console.log('Redo: Re-created card');
+  } else if (action.type === 'update') {
+    // Re-apply new values
+    await updateCard(action.cardId, action.newData);
+    await reloadCanvas();
+    console.log('Redo: Re-applied new card data');
+  } else if (action.type === 'ink-create') {
+    await restoreStrokes([action.stroke]);
+    await reloadCanvas();
+    console.log('Redo: Restored ink stroke');
+  } else if (action.type === 'ink-delete') {
+    await deleteStrokes(action.strokes.map(stroke => stroke.id));
+    await reloadCanvas();
+    console.log('Redo: Re-erased ink');
+  } else if (action.type === 'ai-changeset') {
+    const { db } = await import('./storage.js');
+    // Same id and uniqueId as before the undo
+    for (const cardId of action.created || []) {
+      await restoreCard(cardId);
+    }
+    for (const { cardId, newData } of action.cards) {
+      await updateCard(cardId, newData);
+    }
+    for (const { before, after } of action.connectors) {
+      if (after) await db.connectors.put(after);
+      else await db.connectors.delete(before.id);
+    }
+    await reloadCanvas();
+    console.log(`Redo: Re-applied AI changes on ${action.cards.length} cards`);
+  }
+}
 
-          // Calculate position (stagger multiple images)
-          const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
-          const scale = stage.scaleX();
-          const offset = cardIds.length * 50; // Stagger by 50px
-          const position = {
-            x: ((pointer.x - stage.x()) / scale) + offset,
-            y: ((pointer.y - stage.y()) / scale) + offset
-          };
+// ============================================================================
+// SECTION 7: SELECTION & INTERACTION (Events, Drag, Pan, Zoom)
+// ============================================================================
 
-          // Create card with image
-          const cardId = await createCard({
-            text: processed.metadata.fileName,
-            tags: ['bild'],
-            position,
-            image: {
-              base64: processed.base64,
-              width: processed.metadata.width,
-              height: processed.metadata.height,
-              quality: processed.metadata.quality
-            },
-            metadata: processed.metadata
-          });
+/**
+ * Update selection based on selection rectangle
+ */
+function updateSelection() {
+  const selBox = selectionRectangle.getClientRect();
+  const isEink = document.body.classList.contains('eink-theme');
+  const isDark = document.body.classList.contains('dark-theme');
 
-          cardIds.push(cardId);
+  // Only deselect all if NOT additive selection (Shift not held)
+  if (!isAdditiveSelection) {
+    layer.find('.selected').forEach(group => {
+      const background = group.findOne('Rect');
+      group.removeName('selected');
+      if (background) {
+        if (isEink) {
+          background.stroke('#000000');
+          background.strokeWidth(1);
+        } else if (isDark) {
+          background.stroke('#4a5568');
+          background.strokeWidth(1);
+        } else {
+          background.stroke('#e0e0e0');
+          background.strokeWidth(1);
         }
+      }
+    });
+  }
 
-        // Reload canvas to show new cards
-        await reloadCanvas();
+  const groups = layer.getChildren(node => node.getAttr('cardId'));
+  groups.forEach(group => {
+    const groupBox = group.getClientRect();
 
-        resolve(cardIds);
-      } catch (error) {
-        console.error('Image import failed:', error);
-        reject(error);
+    // Check if rectangles intersect
+    if (Konva.Util.haveIntersection(selBox, groupBox)) {
+      const background = group.findOne('Rect');
+      // Only add selection if not already selected
+      if (!group.hasName('selected')) {
+        group.addName('selected');
+        if (background) {
+          if (isEink) {
+            background.stroke('#000000');
+            background.strokeWidth(3);
+          } else {
+            background.stroke('#2196F3');
+            background.strokeWidth(3);
+          }
+        }
       }
-    };
-
-    input.click();
+    }
   });
 }
 
 /**
- * Create multiple cards from pasted text
- * Format: blocks separated by double newlines
- * - Last/second-to-last line starting with # = tags
- * - Last line starting with & = comment
+ * Setup canvas events
  */
-export async function createMultipleCardsFromText() {
-  // Show dialog to paste text
-  const overlay = document.createElement('div');
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background: rgba(0, 0, 0, 0.7);
-    z-index: 10000;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-  `;
+function setupCanvasEvents() {
+  // Handle window resize
+  window.addEventListener('resize', () => {
+    const container = document.getElementById('canvas-container');
+    if (container && stage) {
+      stage.width(container.clientWidth);
+      stage.height(container.clientHeight);
+    }
+  });
 
-  const dialog = document.createElement('div');
-  dialog.style.cssText = `
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    padding: 24px;
-    border-radius: 12px;
-    max-width: 700px;
-    width: 90%;
-    max-height: 80vh;
-    overflow-y: auto;
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
-  `;
+  // Zoom with mouse wheel (faster: 2x speed)
+  stage.on('wheel', (e) => {
+    e.evt.preventDefault();
 
-  dialog.innerHTML = `
-    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
-      Skapa flera kort från text
-    </h3>
+    const oldScale = stage.scaleX();
+    const pointer = stage.getPointerPosition();
 
-    <div style="margin-bottom: 16px; font-size: 14px; color: var(--text-secondary);">
-      <strong>Format:</strong><br>
-      • Separera kort med dubbel radbrytning (tom rad)<br>
-      • Sista/näst sista rad börjar med <code>#</code> → taggar<br>
-      • Sista rad börjar med <code>&</code> → kommentar
-    </div>
+    const mousePointTo = {
+      x: (pointer.x - stage.x()) / oldScale,
+      y: (pointer.y - stage.y()) / oldScale,
+    };
 
-    <div style="margin-bottom: 16px;">
-      <textarea id="multiImportText"
-        placeholder="Första kortet här
+    const scaleBy = 1.1; // Was 1.05, now 1.1 for 2x faster zoom
+    const newScale = e.evt.deltaY < 0 ? oldScale * scaleBy : oldScale / scaleBy;
 
-Andra kortet här
-#tag1 #tag2
+    // Limit zoom between 0.1x and 5x
+    const clampedScale = Math.max(0.1, Math.min(5, newScale));
 
-Tredje kortet med kommentar
-& Detta är en kommentar"
-        style="width: 100%; height: 300px; padding: 12px; font-size: 14px;
-               border: 2px solid var(--border-color); border-radius: 8px;
-               background: var(--bg-secondary); color: var(--text-primary);
-               font-family: 'Courier New', monospace; resize: vertical; box-sizing: border-box;">
-      </textarea>
-    </div>
+    stage.scale({ x: clampedScale, y: clampedScale });
 
-    <div style="display: flex; gap: 12px; justify-content: space-between; align-items: center;">
-      <button id="cancelMultiImport" style="
-        padding: 10px 20px;
-        border: 2px solid var(--border-color);
-        background: transparent;
-        color: var(--text-primary);
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;">
-        Avbryt
-      </button>
-      <div style="display: flex; gap: 12px;">
-        <button id="createWithGemini" style="
-          padding: 10px 20px;
-          border: 2px solid var(--accent-color);
-          background: transparent;
-          color: var(--accent-color);
-          border-radius: 8px;
-          cursor: pointer;
-          font-size: 14px;
-          font-weight: 500;">
-          ✨ Analysera med Gemini
-        </button>
-        <button id="createMultiImport" style="
-          padding: 10px 20px;
-          border: none;
-          background: var(--accent-color);
-          color: white;
-          border-radius: 8px;
-          cursor: pointer;
-          font-size: 14px;
-          font-weight: 500;">
-          Skapa kort
-        </button>
-      </div>
-    </div>
-  `;
+    const newPos = {
+      x: pointer.x - mousePointTo.x * clampedScale,
+      y: pointer.y - mousePointTo.y * clampedScale,
+    };
 
-  overlay.appendChild(dialog);
-  document.body.appendChild(overlay);
+    stage.position(newPos);
+    stage.batchDraw();
+  });
 
-  const textarea = document.getElementById('multiImportText');
-  textarea.focus();
+  // Pan with middle mouse or Ctrl+drag
+  // Selection rectangle with left-click drag on stage
+  stage.on('mousedown', (e) => {
+    // Ctrl+drag or middle mouse = pan
+    if (e.evt.button === 1 || (e.evt.button === 0 && e.evt.ctrlKey)) {
+      isPanning = true;
+      stage.draggable(true);
+      stage.container().style.cursor = 'grabbing';
+      return;
+    }
 
-  return new Promise((resolve) => {
-    const cleanup = () => {
-      overlay.remove();
-      resolve();
-    };
+    // Clicking empty canvas cancels connector picking
+    if (e.target === stage && pendingConnectorFrom !== null) {
+      cancelConnectorMode();
+      return;
+    }
 
-    document.getElementById('cancelMultiImport').onclick = cleanup;
-
-    // Gemini analysis button
-    document.getElementById('createWithGemini').onclick = async () => {
-      const text = textarea.value.trim();
-      if (!text) {
-        alert('Klistra in text först!');
-        return;
-      }
-
-      // Get API key
-      const apiKeyFromStorage = localStorage.getItem('googleAiApiKey');
-
-      if (!apiKeyFromStorage) {
-        alert('Du behöver ange din Google AI API-nyckel först. Läs ett bildkort med AI för att ange den.');
-        return;
-      }
-
-      // Show loading state
-      const geminiBtn = document.getElementById('createWithGemini');
-      const originalText = geminiBtn.textContent;
-      geminiBtn.textContent = '✨ Analyserar...';
-      geminiBtn.disabled = true;
+    // Left click on stage (not on card) = start selection
+    if (e.target === stage && e.evt.button === 0) {
+      isSelecting = true;
+      isAdditiveSelection = e.evt.shiftKey; // Shift = add to selection
+      const pos = stage.getPointerPosition();
+      const scale = stage.scaleX();
+      selectionStartPos = {
+        x: (pos.x - stage.x()) / scale,
+        y: (pos.y - stage.y()) / scale
+      };
+      selectionRectangle.width(0);
+      selectionRectangle.height(0);
+      selectionRectangle.visible(true);
+    }
+  });
 
-      try {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKeyFromStorage}`;
+  stage.on('mousemove', () => {
+    if (!isSelecting) return;
 
-        const prompt = `Analysera följande text och plocka ut de viktigaste citatena, insikterna eller informationen.
+    const pos = stage.getPointerPosition();
+    const scale = stage.scaleX();
+    const currentPos = {
+      x: (pos.x - stage.x()) / scale,
+      y: (pos.y - stage.y()) / scale
+    };
 
-Skapa 3-8 korta kort (beroende på textens längd och innehåll).
+    const x = Math.min(selectionStartPos.x, currentPos.x);
+    const y = Math.min(selectionStartPos.y, currentPos.y);
+    const width = Math.abs(currentPos.x - selectionStartPos.x);
+    const height = Math.abs(currentPos.y - selectionStartPos.y);
 
-För varje kort:
-- "text": Ett nyckelcitat eller viktig punkt (max 2-3 meningar, citera exakt om möjligt)
-- "comments": En kort kommentar om varför detta är viktigt eller kontext (1 mening)
-- "tags": 2-4 relevanta taggar (ämne, kategori, koncept)
+    selectionRectangle.setAttrs({
+      x: x,
+      y: y,
+      width: width,
+      height: height
+    });
 
-VIKTIGT: Svara ENDAST med en JSON-array enligt detta format:
+    // Update selection
+    updateSelection();
+    layer.batchDraw();
+  });
 
-[
-  {
-    "text": "Nyckelcitat här...",
-    "comments": "Förklaring varför detta är viktigt",
-    "tags": ["tag1", "tag2", "tag3"]
-  }
-]
+  stage.on('mouseup', () => {
+    if (isPanning) {
+      isPanning = false;
+      stage.draggable(false);
+      stage.container().style.cursor = 'default';
+    }
 
-Text att analysera:
+    if (isSelecting) {
+      isSelecting = false;
+      isAdditiveSelection = false; // Reset
+      selectionRectangle.visible(false);
+      layer.batchDraw();
+    }
+  });
 
-${text}`;
+  // Save card position when dragged
+  stage.on('dragend', async (e) => {
+    const target = e.target;
+    if (target.getAttr('cardId')) {
+      const cardId = target.getAttr('cardId');
+      const position = { x: target.x(), y: target.y() };
 
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }]
-          })
-        });
+      await updateCard(cardId, { position });
 
-        if (!response.ok) {
-          throw new Error(`API request failed with status ${response.status}`);
-        }
+      // Dropping cards into (or out of) a frame changes ownership
+      const movedIds = target.hasName('selected')
+        ? layer.find('.selected').map(node => node.getAttr('cardId'))
+        : [cardId];
+      await updateFrameMembership(movedIds);
+    }
+  });
 
-        const data = await response.json();
-        const rawText = data.candidates[0].content.parts[0].text;
+  // Double-click to edit card or flip image card
+  stage.on('dblclick dbltap', async (e) => {
+    const target = e.target;
+    if (target.parent && target.parent.getAttr('cardId')) {
+      const cardId = target.parent.getAttr('cardId');
 
-        let cards;
-        try {
-          const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/) || rawText.match(/```\s*([\s\S]*?)\s*```/);
-          const jsonText = jsonMatch ? jsonMatch[1] : rawText;
-          cards = JSON.parse(jsonText.trim());
-        } catch (parseError) {
-          console.error('Failed to parse Gemini response:', parseError);
-          throw new Error('Kunde inte tolka Geminis svar. Försök igen.');
-        }
+      // Get card data to check if it's an image card
+      const cards = await getAllCards();
+      const card = cards.find(c => c.id === cardId);
 
-        if (!Array.isArray(cards)) {
-          throw new Error('Gemini returnerade inte en array av kort.');
-        }
+      if (!card) return;
 
-        // Create cards
-        const allCards = await getAllCards();
-        const maxY = allCards.length > 0 ? Math.max(...allCards.map(c => c.position?.y || 0)) : 0;
-        const startPosition = {
-          x: 300,
-          y: maxY + 200
+      // Both image cards and text cards: open edit dialog on double-click
+      openEditDialog(cardId);
+    } else if (target === stage) {
+      // Only create card if user hasn't been panning
+      if (!stageTouchHasMoved) {
+        // Double-click on canvas to create new card
+        const pointer = stage.getPointerPosition();
+        const scale = stage.scaleX();
+        const position = {
+          x: (pointer.x - stage.x()) / scale,
+          y: (pointer.y - stage.y()) / scale
         };
+        createNewCard(position);
+      }
+      // Reset movement flag after double-tap check
+      stageTouchHasMoved = false;
+    }
+  });
 
-        for (let index = 0; index < cards.length; index++) {
-          const cardData = cards[index];
-          const position = {
-            x: startPosition.x + (index % 5) * 50,
-            y: startPosition.y + Math.floor(index / 5) * 250
-          };
-
-          await createCard({
-            text: cardData.text || '',
-            tags: cardData.tags || [],
-            comments: cardData.comments || '',
-            position: position
-          });
-        }
+  // Touch long-press on empty canvas to paste image
+  let stageTouchTimer = null;
+  let stageTouchStart = null;
+  let stageTouchStartPos = null;
+  let stageTouchHasMoved = false;
+  let lastCenter = null;
+  let lastDist = 0;
+  let isTouchPanning = false;
 
-        cleanup();
-        await reloadCanvas();
-        alert(`✅ Gemini skapade ${cards.length} kort från texten!`);
+  function getDistance(p1, p2) {
+    return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+  }
 
-      } catch (error) {
-        console.error('Gemini error:', error);
-        alert(`❌ Fel: ${error.message}`);
-        geminiBtn.textContent = originalText;
-        geminiBtn.disabled = false;
-      }
+  function getCenter(p1, p2) {
+    return {
+      x: (p1.x + p2.x) / 2,
+      y: (p1.y + p2.y) / 2
     };
+  }
 
-    document.getElementById('createMultiImport').onclick = async () => {
-      const text = textarea.value.trim();
-      if (!text) {
-        cleanup();
-        return;
-      }
-
-      // Split on double line breaks
-      const blocks = text.split(/\n\s*\n/).filter(block => block.trim());
+  stage.on('touchstart', (e) => {
+    const touch1 = e.evt.touches[0];
+    const touch2 = e.evt.touches[1];
 
-      console.log(`Creating ${blocks.length} cards from text blocks`);
+    // Reset movement tracking
+    stageTouchHasMoved = false;
+    stageTouchStartPos = touch1 ? { x: touch1.clientX, y: touch1.clientY } : null;
 
-      const cards = await getAllCards();
-      const maxY = cards.length > 0 ? Math.max(...cards.map(c => c.position?.y || 0)) : 0;
-      const startPosition = {
-        x: 300,
-        y: maxY + 200
-      };
+    if (touch1 && touch2) {
+      // Two fingers - prepare for pinch/pan
+      e.evt.preventDefault();
+      isTouchPanning = false;
+      stage.draggable(false);
+      lastCenter = getCenter(
+        { x: touch1.clientX, y: touch1.clientY },
+        { x: touch2.clientX, y: touch2.clientY }
+      );
+      lastDist = getDistance(
+        { x: touch1.clientX, y: touch1.clientY },
+        { x: touch2.clientX, y: touch2.clientY }
+      );
+      return;
+    }
 
-      let createdCount = 0;
+    // Single finger on empty canvas - enable panning
+    if (e.target === stage) {
+      isTouchPanning = true;
+      stage.draggable(true);
+    }
 
-      for (let index = 0; index < blocks.length; index++) {
-        const block = blocks[index];
-        const lines = block.trim().split('\n').map(l => l.trim());
+    if (e.target !== stage) return; // Only on empty canvas
 
-        let cardText = '';
-        let tags = [];
-        let comments = '';
+    stageTouchStart = Date.now();
 
-        // Check last line for comment (starts with &)
-        const lastLine = lines[lines.length - 1];
-        let textLines = [...lines];
+    stageTouchTimer = setTimeout(async () => {
+      // Only show paste menu if user hasn't moved (not panning)
+      if (!stageTouchHasMoved) {
+        const pointer = stage.getPointerPosition();
+        const scale = stage.scaleX();
+        const position = {
+          x: (pointer.x - stage.x()) / scale,
+          y: (pointer.y - stage.y()) / scale
+        };
 
-        if (lastLine.startsWith('&')) {
-          comments = lastLine.substring(1).trim();
-          textLines = lines.slice(0, -1);
-        }
+        // Show paste menu
+        await showTouchPasteMenu(e.evt.touches ? e.evt.touches[0].clientX : e.evt.clientX,
+                                 e.evt.touches ? e.evt.touches[0].clientY : e.evt.clientY,
+                                 position);
+      }
+      stageTouchTimer = null;
+    }, 600); // 600ms long press
+  });
 
-        // Check last or second-to-last line for tags (starts with #)
-        const checkLine = textLines[textLines.length - 1];
-        if (checkLine && checkLine.startsWith('#')) {
-          const tagMatches = checkLine.match(/#\w+/g);
-          if (tagMatches) {
-            tags = tagMatches.map(tag => tag.substring(1));
-            textLines = textLines.slice(0, -1);
-          }
-        }
+  stage.on('touchmove', (e) => {
+    const touch1 = e.evt.touches[0];
+    const touch2 = e.evt.touches[1];
 
-        cardText = textLines.join('\n').trim();
+    // Track if user has moved (for detecting panning vs tap)
+    if (touch1 && stageTouchStartPos) {
+      const moveDistance = Math.sqrt(
+        Math.pow(touch1.clientX - stageTouchStartPos.x, 2) +
+        Math.pow(touch1.clientY - stageTouchStartPos.y, 2)
+      );
+      if (moveDistance > 5) { // 5px threshold for better pan sensitivity
+        stageTouchHasMoved = true;
+      }
+    }
 
-        // Skip empty cards
-        if (!cardText && tags.length === 0) continue;
+    if (touch1 && touch2) {
+      // Two fingers - pinch to zoom and pan
+      e.evt.preventDefault();
+      stageTouchHasMoved = true; // Mark as moved for two-finger gestures
 
-        // Create card
-        const position = {
-          x: startPosition.x + (index % 5) * 50,
-          y: startPosition.y + Math.floor(index / 5) * 250
-        };
+      if (stageTouchTimer) {
+        clearTimeout(stageTouchTimer);
+        stageTouchTimer = null;
+      }
 
-        await createCard({
-          text: cardText,
-          tags: tags,
-          comments: comments,
-          position: position
-        });
+      const newCenter = getCenter(
+        { x: touch1.clientX, y: touch1.clientY },
+        { x: touch2.clientX, y: touch2.clientY }
+      );
+      const newDist = getDistance(
+        { x: touch1.clientX, y: touch1.clientY },
+        { x: touch2.clientX, y: touch2.clientY }
+      );
 
-        createdCount++;
-      }
+      const oldScale = stage.scaleX();
+      const pointTo = {
+        x: (newCenter.x - stage.x()) / oldScale,
+        y: (newCenter.y - stage.y()) / oldScale
+      };
 
-      console.log(`Multi-import complete: ${createdCount} cards created`);
+      // Zoom
+      const scale = Math.max(0.1, Math.min(5, oldScale * (newDist / lastDist)));
+      stage.scale({ x: scale, y: scale });
 
-      cleanup();
-      await reloadCanvas();
+      // Pan
+      const dx = newCenter.x - lastCenter.x;
+      const dy = newCenter.y - lastCenter.y;
+      const newPos = {
+        x: newCenter.x - pointTo.x * scale + dx,
+        y: newCenter.y - pointTo.y * scale + dy
+      };
 
-      // Show success message
-      alert(`✅ Skapade ${createdCount} kort från texten!`);
-    };
+      stage.position(newPos);
+      stage.batchDraw();
 
-    // Escape to close
-    overlay.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        cleanup();
-      }
-    });
+      lastDist = newDist;
+      lastCenter = newCenter;
+      return;
+    }
+
+    // Cancel long-press timer if user is moving (panning)
+    if (stageTouchTimer && stageTouchHasMoved) {
+      clearTimeout(stageTouchTimer);
+      stageTouchTimer = null;
+    }
+  });
+
+  stage.on('touchend touchcancel', (e) => {
+    if (stageTouchTimer) {
+      clearTimeout(stageTouchTimer);
+      stageTouchTimer = null;
+    }
+    if (isTouchPanning) {
+      stage.draggable(false);
+      isTouchPanning = false;
+    }
+    lastCenter = null;
+    lastDist = 0;
+
+    // Reset movement tracking
+    stageTouchStartPos = null;
+    // Note: Don't reset stageTouchHasMoved here - it's needed for dbltap check
   });
+
 }
 
 /**
- * Export canvas to readable text (HTML, Markdown, or Plain text)
+ * Pen mode input: draw strokes on the background or inside the card under the pen
+ * Pointer events are caught in the capture phase so Konva never starts a drag,
+ * selection or pan for them. Pens report pressure; once a pen has been seen,
+ * fingers keep panning and zooming (palm rejection). The pen's eraser end, or
+ * the eraser tool, removes whole strokes.
  */
-export async function exportToReadableText() {
-  // Show format selection dialog
-  const overlay = document.createElement('div');
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background: rgba(0, 0, 0, 0.7);
-    z-index: 10000;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-  `;
+function setupInkInput() {
+  inkToolbar = createInkToolbar({ onClose: () => setInkMode(false) });
 
-  const dialog = document.createElement('div');
-  dialog.style.cssText = `
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    padding: 24px;
-    border-radius: 12px;
-    max-width: 500px;
-    width: 90%;
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
-  `;
+  const container = stage.container();
+  let activeStroke = null; // { pointerId, cardId, origin, points, color, width, preview }
+  let erasing = null; // { pointerId, strokes }
 
-  dialog.innerHTML = `
-    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
-      Exportera till läsbar text
-    </h3>
+  const toCanvasPoint = (e) => {
+    const rect = container.getBoundingClientRect();
+    const scale = stage.scaleX();
+    return {
+      x: (e.clientX - rect.left - stage.x()) / scale,
+      y: (e.clientY - rect.top - stage.y()) / scale
+    };
+  };
 
-    <div style="margin-bottom: 20px; font-size: 14px; color: var(--text-secondary);">
-      Välj vilket format du vill exportera till:
-    </div>
+  const isInkPointer = (e) => {
+    if (e.pointerType === 'pen') {
+      penDetected = true;
+      return true;
+    }
+    if (e.pointerType === 'touch') return !penDetected;
+    // Mouse: left button draws, Ctrl+drag and middle button still pan
+    return e.button === 0 && !e.ctrlKey;
+  };
 
-    <div style="display: flex; flex-direction: column; gap: 12px; margin-bottom: 24px;">
-      <button class="export-format-btn" data-format="html" style="
-        padding: 16px;
-        border: 2px solid var(--border-color);
-        background: var(--bg-secondary);
-        color: var(--text-primary);
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;
-        text-align: left;
-        transition: all 0.2s;">
-        <div style="font-size: 16px; margin-bottom: 4px;">🌐 HTML</div>
-        <div style="font-size: 12px; opacity: 0.7;">Med färger och layout som kolumnvy</div>
-      </button>
-      <button class="export-format-btn" data-format="markdown" style="
-        padding: 16px;
-        border: 2px solid var(--border-color);
-        background: var(--bg-secondary);
-        color: var(--text-primary);
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;
-        text-align: left;
-        transition: all 0.2s;">
-        <div style="font-size: 16px; margin-bottom: 4px;">📝 Markdown</div>
-        <div style="font-size: 12px; opacity: 0.7;">Med formatering (kommentarer kursiverade)</div>
-      </button>
-      <button class="export-format-btn" data-format="txt" style="
-        padding: 16px;
-        border: 2px solid var(--border-color);
-        background: var(--bg-secondary);
-        color: var(--text-primary);
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;
-        text-align: left;
-        transition: all 0.2s;">
-        <div style="font-size: 16px; margin-bottom: 4px;">📄 Plain Text</div>
-        <div style="font-size: 12px; opacity: 0.7;">Enkel text utan formatering</div>
-      </button>
-    </div>
+  // Topmost rendered card containing the point
+  const findCardAt = (point) => {
+    let found = null;
+    cardGroups.forEach((group, cardId) => {
+      const box = getCardBox(cardId);
+      const inside = box && point.x >= box.x && point.x <= box.x + box.width &&
+        point.y >= box.y && point.y <= box.y + box.height;
+      if (inside && (!found || group.zIndex() > found.group.zIndex())) {
+        found = { cardId, group };
+      }
+    });
+    return found;
+  };
 
-    <div style="display: flex; justify-content: flex-end;">
-      <button id="cancelExportText" style="
-        padding: 10px 20px;
-        border: 2px solid var(--border-color);
-        background: transparent;
-        color: var(--text-primary);
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;">
-        Avbryt
-      </button>
-    </div>
-  `;
+  const eraseAt = (point) => {
+    const radius = 8 / stage.scaleX();
 
-  overlay.appendChild(dialog);
-  document.body.appendChild(overlay);
+    inkStrokes.forEach(stroke => {
+      const origin = stroke.cardId == null ? { x: 0, y: 0 } : cardGroups.get(stroke.cardId)?.position();
+      if (!origin || !strokeHitsPoint(stroke, point.x - origin.x, point.y - origin.y, radius)) return;
 
-  return new Promise((resolve) => {
-    const cleanup = () => {
-      overlay.remove();
-      resolve();
-    };
+      inkStrokes.delete(stroke.id);
+      inkShapes.get(stroke.id)?.destroy();
+      inkShapes.delete(stroke.id);
+      erasing.strokes.push(stroke);
+    });
 
-    document.getElementById('cancelExportText').onclick = cleanup;
+    inkLayer.batchDraw();
+    layer.batchDraw();
+  };
 
-    // Add hover effects
-    const buttons = dialog.querySelectorAll('.export-format-btn');
-    buttons.forEach(btn => {
-      btn.addEventListener('mouseenter', () => {
-        btn.style.borderColor = 'var(--accent-color)';
-        btn.style.background = 'var(--bg-primary)';
-      });
-      btn.addEventListener('mouseleave', () => {
-        btn.style.borderColor = 'var(--border-color)';
-        btn.style.background = 'var(--bg-secondary)';
-      });
-      btn.addEventListener('click', async () => {
-        const format = btn.dataset.format;
-        cleanup();
-        await performExport(format);
-      });
+  const addSamples = (e) => {
+    const samples = e.getCoalescedEvents?.() || [];
+    const scale = stage.scaleX();
+    (samples.length > 0 ? samples : [e]).forEach(sample => {
+      const point = toCanvasPoint(sample);
+      addStrokePoint(
+        activeStroke.points,
+        point.x - activeStroke.origin.x,
+        point.y - activeStroke.origin.y,
+        sample.pressure,
+        1 / scale
+      );
     });
+    activeStroke.preview.points(getStrokeOutline(activeStroke.points, activeStroke.width));
+    layer.batchDraw();
+  };
 
-    overlay.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        cleanup();
-      }
-    });
-  });
-}
-
-async function performExport(format) {
-  const cards = await getAllCards();
-
-  if (cards.length === 0) {
-    alert('Inga kort att exportera!');
-    return;
-  }
-
-  let content = '';
-  let filename = '';
-  let mimeType = '';
-
-  const timestamp = new Date().toISOString().split('T')[0];
-
-  if (format === 'html') {
-    content = generateHTML(cards);
-    filename = `spatial-view-${timestamp}.html`;
-    mimeType = 'text/html';
-  } else if (format === 'markdown') {
-    content = generateMarkdown(cards);
-    filename = `spatial-view-${timestamp}.md`;
-    mimeType = 'text/markdown';
-  } else if (format === 'txt') {
-    content = generatePlainText(cards);
-    filename = `spatial-view-${timestamp}.txt`;
-    mimeType = 'text/plain';
-  }
+  const handlePointerDown = (e) => {
+    if (!inkMode || activeStroke || erasing || !isInkPointer(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    container.setPointerCapture(e.pointerId);
 
-  // Download file
-  const blob = new Blob([content], { type: mimeType });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+    const point = toCanvasPoint(e);
+    const tool = inkToolbar.getTool();
 
-  console.log(`Exported ${cards.length} cards to ${format.toUpperCase()}`);
-}
+    // Pen eraser end reports button 5 / buttons bit 32
+    if (tool.erasing || e.button === 5 || (e.buttons & 32)) {
+      erasing = { pointerId: e.pointerId, strokes: [] };
+      eraseAt(point);
+      return;
+    }
 
-function generateHTML(cards) {
-  const colorMap = {
-    'card-color-1': '#d4f2d4',
-    'card-color-2': '#ffe4b3',
-    'card-color-3': '#ffc1cc',
-    'card-color-4': '#fff7b3',
-    'card-color-5': '#f3e5f5',
-    'card-color-6': '#c7e7ff',
-    'card-color-7': '#e0e0e0',
-    'card-color-8': '#ffffff'
+    const card = findCardAt(point);
+    const origin = card ? card.group.position() : { x: 0, y: 0 };
+    const color = getInkColor({ color: tool.color });
+
+    activeStroke = {
+      pointerId: e.pointerId,
+      cardId: card ? card.cardId : null,
+      origin,
+      points: [],
+      color: tool.color,
+      width: tool.width,
+      preview: new Konva.Line({
+        x: origin.x,
+        y: origin.y,
+        closed: true,
+        fill: color,
+        stroke: color,
+        strokeWidth: 0.5,
+        listening: false
+      })
+    };
+    layer.add(activeStroke.preview);
+    addSamples(e);
   };
 
-  const cardsHTML = cards.map(card => {
-    const bgColor = colorMap[card.cardColor] || '#ffffff';
-    const text = card.text || '';
-    const comments = card.comments || '';
-    const tags = card.tags || [];
-    const backText = card.backText || '';
+  const handlePointerMove = (e) => {
+    if (activeStroke && e.pointerId === activeStroke.pointerId) {
+      e.stopPropagation();
+      addSamples(e);
+    } else if (erasing && e.pointerId === erasing.pointerId) {
+      e.stopPropagation();
+      eraseAt(toCanvasPoint(e));
+    }
+  };
 
-    return `
-    <div class="card" style="background-color: ${bgColor};">
-      ${card.image ? '<div class="card-type">🖼️ Bildkort</div>' : ''}
-      <div class="card-text">${escapeHTML(text)}</div>
-      ${backText ? `<div class="card-backtext">${escapeHTML(backText)}</div>` : ''}
-      ${comments ? `<div class="card-comments">${escapeHTML(comments)}</div>` : ''}
-      ${tags.length > 0 ? `<div class="card-tags">${tags.map(tag => `<span class="tag">#${escapeHTML(tag)}</span>`).join(' ')}</div>` : ''}
-    </div>
-    `;
-  }).join('\n');
+  const handlePointerUp = async (e) => {
+    if (erasing && e.pointerId === erasing.pointerId) {
+      e.stopPropagation();
+      const { strokes } = erasing;
+      erasing = null;
+      if (strokes.length === 0) return;
 
-  return `<!DOCTYPE html>
-<html lang="sv">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Spatial View Export</title>
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-      max-width: 800px;
-      margin: 40px auto;
-      padding: 20px;
-      background: #f5f5f5;
-    }
-    h1 {
-      color: #333;
-      margin-bottom: 30px;
-    }
-    .card {
-      margin-bottom: 20px;
-      padding: 20px;
-      border-radius: 8px;
-      border: 1px solid #e0e0e0;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    }
-    .card-type {
-      font-size: 12px;
-      color: #666;
-      margin-bottom: 8px;
-    }
-    .card-text {
-      font-size: 16px;
-      line-height: 1.5;
-      white-space: pre-wrap;
-      margin-bottom: 8px;
-    }
-    .card-backtext {
-      font-size: 14px;
-      line-height: 1.4;
-      white-space: pre-wrap;
-      margin-top: 12px;
-      padding-top: 12px;
-      border-top: 1px solid rgba(0,0,0,0.1);
-    }
-    .card-comments {
-      font-size: 12px;
-      font-style: italic;
-      color: #666;
-      margin-top: 8px;
-    }
-    .card-tags {
-      margin-top: 12px;
-      font-size: 12px;
-    }
-    .tag {
-      display: inline-block;
-      padding: 4px 8px;
-      background: rgba(0, 102, 204, 0.1);
-      color: #0066cc;
-      border-radius: 4px;
-      margin-right: 6px;
+      try {
+        await deleteStrokes(strokes.map(stroke => stroke.id));
+        pushUndo({ type: 'ink-delete', strokes });
+      } catch (error) {
+        console.error('Failed to erase ink:', error);
+        alert('Kunde inte sudda: ' + error.message);
+      }
+      return;
     }
-  </style>
-</head>
-<body>
-  <h1>Spatial View Export</h1>
-  <div class="cards">
-    ${cardsHTML}
-  </div>
-</body>
-</html>`;
-}
-
-function generateMarkdown(cards) {
-  const lines = ['# Spatial View Export\n'];
 
-  cards.forEach((card, index) => {
-    lines.push(`## Kort ${index + 1}`);
+    if (!activeStroke || e.pointerId !== activeStroke.pointerId) return;
+    e.stopPropagation();
 
-    if (card.image) {
-      lines.push('*[Bildkort]*');
-    }
+    const { cardId, points, color, width, preview } = activeStroke;
+    activeStroke = null;
+    preview.destroy();
 
-    if (card.text) {
-      lines.push('');
-      lines.push(card.text);
-    }
+    try {
+      const stroke = await createStroke({ cardId, points, color, width });
+      inkStrokes.set(stroke.id, stroke);
 
-    if (card.backText) {
-      lines.push('');
-      lines.push('**Baksida:**');
-      lines.push(card.backText);
-    }
+      const group = cardId == null ? null : cardGroups.get(cardId);
+      if (group) {
+        addCardInk(group, cardId, [stroke]);
+      } else {
+        inkLayer.add(createStrokeShape(stroke));
+        inkLayer.batchDraw();
+      }
+      layer.batchDraw();
 
-    if (card.comments) {
-      lines.push('');
-      lines.push(`*${card.comments}*`);
+      pushUndo({ type: 'ink-create', stroke });
+    } catch (error) {
+      console.error('Failed to save ink stroke:', error);
+      alert('Kunde inte spara pennstrecket: ' + error.message);
+      layer.batchDraw();
     }
+  };
 
-    if (card.tags && card.tags.length > 0) {
-      lines.push('');
-      lines.push(`Tags: ${card.tags.map(tag => `#${tag}`).join(' ')}`);
-    }
+  // Mouse and touch events belonging to a pen stroke must not reach Konva either
+  const blockWhileInking = (e) => {
+    if (activeStroke || erasing) e.stopPropagation();
+  };
 
-    lines.push('');
-    lines.push('---');
-    lines.push('');
+  container.addEventListener('pointerdown', handlePointerDown, true);
+  container.addEventListener('pointermove', handlePointerMove, true);
+  container.addEventListener('pointerup', handlePointerUp, true);
+  container.addEventListener('pointercancel', handlePointerUp, true);
+  ['mousedown', 'mousemove', 'mouseup', 'touchstart', 'touchmove', 'touchend', 'dblclick'].forEach(type => {
+    container.addEventListener(type, blockWhileInking, true);
   });
-
-  return lines.join('\n');
 }
 
-function generatePlainText(cards) {
-  const lines = ['SPATIAL VIEW EXPORT', '===================', ''];
+function getPointerPositionOnStage() {
+  const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+  const scale = stage.scaleX();
+  return {
+    x: (pointer.x - stage.x()) / scale,
+    y: (pointer.y - stage.y()) / scale
+  };
+}
 
-  cards.forEach((card, index) => {
-    lines.push(`KORT ${index + 1}`);
-    lines.push('-'.repeat(20));
+async function handleCreateNewCardAtPointer() {
+  const position = getPointerPositionOnStage();
+  await createNewCard(position);
+}
 
-    if (card.image) {
-      lines.push('[Bildkort]');
-    }
+async function handleReadWithAICommand() {
+  const selectedNodes = layer.find('.selected');
+  if (selectedNodes.length === 0) {
+    alert('Markera först ett eller flera bildkort som du vill läsa med AI.');
+    return;
+  }
 
-    if (card.text) {
-      lines.push('');
-      lines.push(card.text);
-    }
+  const allCards = await getAllCards();
+  const imageCardIds = [];
 
-    if (card.backText) {
-      lines.push('');
-      lines.push('Baksida:');
-      lines.push(card.backText);
+  for (const node of selectedNodes) {
+    const cardId = node.getAttr('cardId');
+    if (cardId) {
+      const card = allCards.find(c => c.id === cardId);
+      if (card && card.image) {
+        imageCardIds.push(cardId);
+      }
     }
+  }
 
-    if (card.comments) {
-      lines.push('');
-      lines.push(`Kommentar: ${card.comments}`);
-    }
+  if (imageCardIds.length === 0) {
+    alert('Inga bildkort är markerade. Endast bildkort kan läsas med AI.');
+    return;
+  }
 
-    if (card.tags && card.tags.length > 0) {
-      lines.push('');
-      lines.push(`Tags: ${card.tags.map(tag => `#${tag}`).join(' ')}`);
-    }
+  await queueCardsForOcr(imageCardIds);
+}
 
-    lines.push('');
-    lines.push('');
-  });
+async function queueCardsForOcr(cardIds) {
+  // Ask for the key once, before the queue starts using it
+  if (!(await ensureOcrProviderReady())) return;
 
-  return lines.join('\n');
+  const added = await enqueueOcrJobs(cardIds);
+  if (added === 0) {
+    alert(cardIds.length === 1 ? 'Kortet ligger redan i OCR-kön.' : 'De markerade korten ligger redan i OCR-kön.');
+  }
 }
 
-function escapeHTML(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+async function handleChooseOcrProvider() {
+  const providerId = await showOcrProviderChooser({
+    providers: OCR_PROVIDERS,
+    currentId: getOcrProvider().id
+  });
+  if (providerId) setOcrProvider(providerId);
 }
 
 /**
- * Create cards from text using Gemini to extract key quotes
+ * Connect the OCR queue to the canvas and resume jobs from an earlier session
+ * Cards get status badges, a progress pill shows the batch and failures are
+ * listed when the batch is finished.
  */
-export async function createCardsFromTextWithGemini() {
-  const apiKey = await getGoogleAIAPIKey();
-  if (!apiKey) {
-    console.log('Gemini text splitting cancelled: No API key provided.');
-    return;
-  }
-
-  // Show dialog to paste text
-  const overlay = document.createElement('div');
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background: rgba(0, 0, 0, 0.7);
-    z-index: 10000;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-  `;
+async function initOcrQueue() {
+  configureOcrQueue({
+    runJob: async (job) => {
+      const provider = getOcrProvider();
+      if (!(await ensureOcrProviderReady(provider))) throw new Error('Ingen API-nyckel angiven');
+      await ocrImageCard(job.cardId, provider);
+    },
+    onChange: (jobs, progress) => {
+      ocrJobsByCard = new Map(jobs.map(job => [job.cardId, job]));
+      cardGroups.forEach((group, cardId) => updateOcrBadge(group, cardId));
+      layer.batchDraw();
+      renderOcrProgress(jobs, progress, () => showOcrQueue());
+    },
+    onDrained: async ({ done, failed }) => {
+      // Show the new text on flipped cards and in search
+      await reloadCanvas();
+      if (failed.length > 0) {
+        await showOcrQueue({ done });
+      } else {
+        showOcrDone(done);
+      }
+    }
+  });
 
-  const dialog = document.createElement('div');
-  dialog.style.cssText = `
-    background: var(--bg-primary);
-    color: var(--text-primary);
-    padding: 24px;
-    border-radius: 12px;
-    max-width: 700px;
-    width: 90%;
-    max-height: 80vh;
-    overflow-y: auto;
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
-  `;
+  await startOcrQueue();
+}
 
-  dialog.innerHTML = `
-    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
-      ✨ Skapa kort från text med Gemini
-    </h3>
+async function showOcrQueue({ done = 0 } = {}) {
+  await showOcrQueueDialog({
+    jobs: await getOcrJobs(),
+    done,
+    onRetry: () => retryFailedOcrJobs(),
+    onClear: () => clearFailedOcrJobs(),
+    onOpenCard: (cardId) => panToCard(cardId)
+  });
+}
 
-    <div style="margin-bottom: 16px; font-size: 14px; color: var(--text-secondary);">
-      Klistra in lång text nedan. Gemini kommer analysera texten och plocka ut nyckelcitat,
-      lägga till kommentarer och taggar automatiskt.
-    </div>
+/**
+ * AI tools bound to this canvas; every assistant gets the same set
+ */
+function getAIToolRegistry() {
+  return createAIToolRegistry({
+    layer,
+    stage,
+    searchCards,
+    deselectAllCards,
+    getColorFromText,
+    getCardGroups,
+    getAllCardGroups,
+    changeset: aiChangeset
+  });
+}
 
-    <div style="margin-bottom: 16px;">
-      <textarea id="geminiSplitText"
-        placeholder="Klistra in din text här..."
-        style="width: 100%; height: 300px; padding: 12px; font-size: 14px;
-               border: 2px solid var(--border-color); border-radius: 8px;
-               background: var(--bg-secondary); color: var(--text-primary);
-               font-family: sans-serif; resize: vertical; box-sizing: border-box;">
-      </textarea>
-    </div>
+/**
+ * Write the pending AI changes and record them as one undo step
+ */
+async function acceptAIChangeset() {
+  if (aiChangeset.isEmpty()) return;
 
-    <div style="display: flex; gap: 12px; justify-content: flex-end;">
-      <button id="cancelGeminiSplit" style="
-        padding: 10px 20px;
-        border: 2px solid var(--border-color);
-        background: transparent;
-        color: var(--text-primary);
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;">
-        Avbryt
-      </button>
-      <button id="createGeminiSplit" style="
-        padding: 10px 20px;
-        border: none;
-        background: var(--accent-color);
-        color: white;
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;">
-        ✨ Analysera med Gemini
-      </button>
-    </div>
-  `;
+  try {
+    const { created, cards, connectors } = await commitAIChangeset(aiChangeset);
+    pushUndo({ type: 'ai-changeset', created, cards, connectors });
+    await reloadCanvas();
+    refreshStats();
+  } catch (error) {
+    console.error('Failed to apply AI changes:', error);
+    alert('Kunde inte genomföra AI-ändringarna: ' + error.message);
+  }
+}
 
-  overlay.appendChild(dialog);
-  document.body.appendChild(overlay);
+// Wrapper function for showClaudeAssistant that provides necessary parameters
+async function initClaudeAssistant() {
+  // Minimal system prompt - Claude reasons about spatial organization
+  const systemInstruction = `Du är en HANDLINGSORIENTERAD spatial organiseringsassistent.
 
-  const textarea = document.getElementById('geminiSplitText');
-  textarea.focus();
+**VIKTIGT: När användaren ber dig göra något - GÖR DET. Fråga INTE vad du ska göra.**
 
-  return new Promise((resolve) => {
-    const cleanup = () => {
-      overlay.remove();
-      resolve();
-    };
+Kort: {id, text, tags, x, y, width: 200, height: 150, selected: true/false}
+Canvas: oändlig 2D-yta
 
-    document.getElementById('cancelGeminiSplit').onclick = cleanup;
+Spatial principer:
+- Närhet (13-20px) = samma grupp
+- Separation (200-300px) = olika grupper
+- Grid: x += 215px (kolumner), y += 165px (rader)
+- Börja från (100, 100)
 
-    document.getElementById('createGeminiSplit').onclick = async () => {
-      const text = textarea.value.trim();
-      if (!text) {
-        cleanup();
-        return;
-      }
+ARBETSFLÖDE:
 
-      // Show loading state
-      const createBtn = document.getElementById('createGeminiSplit');
-      const originalText = createBtn.textContent;
-      createBtn.textContent = '✨ Analyserar...';
-      createBtn.disabled = true;
+1. Användaren säger: "organisera kort efter X"
+   → Hämta kort med getAllCards()
+   → Gruppera efter X (text, tags, likhet, etc.)
+   → Beräkna positioner (kolumner med 215px mellanrum, rader med 165px)
+   → Använd updateCards() för att flytta alla kort
+   → Säg KORT vad du gjorde (max 2 meningar)
 
-      try {
-        // Call Gemini API
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+2. Användaren säger: "markera kort som X"
+   → Hämta kort med getAllCards()
+   → Filtrera kort som matchar X
+   → Använd selectCards(cardIds) för att markera
+   → Säg: "Markerade N kort. Tryck h/v/g+h/g+v/q för att arrangera."
 
-        const prompt = `Analysera följande text och plocka ut de viktigaste citatena, insikterna eller informationen.
+**REGLER:**
+❌ Fråga ALDRIG "vill du att jag..." när användaren redan sagt vad de vill
+❌ Lista INTE upp kort eller rapportera - bara GÖR
+✅ Hämta → Analysera → Arrangera → Kort bekräftelse
+✅ Om något är oklart, välj det mest rimliga alternativet
 
-Skapa 3-8 korta kort (beroende på textens längd och innehåll).
+Språk: Svenska. Var direkt och effektiv!`;
 
-För varje kort:
-- "text": Ett nyckelcitat eller viktig punkt (max 2-3 meningar, citera exakt om möjligt)
-- "comments": En kort kommentar om varför detta är viktigt eller kontext (1 mening)
-- "tags": 2-4 relevanta taggar (ämne, kategori, koncept)
+  await showClaudeAssistant({
+    tools: AI_TOOL_DEFINITIONS,
+    toolRegistry: getAIToolRegistry(),
+    systemInstruction: systemInstruction,
+    loadHistory: loadConversationHistory,
+    saveHistory: saveConversationHistory
+  });
+}
 
-VIKTIGT: Svara ENDAST med en JSON-array enligt detta format:
+async function handleAIChooserCommand(forceChooser = false) {
+  const savedChoice = getSavedAIPreference();
 
-[
-  {
-    "text": "Nyckelcitat här...",
-    "comments": "Förklaring varför detta är viktigt",
-    "tags": ["tag1", "tag2", "tag3"]
-  },
-  {
-    "text": "Nästa viktiga citat...",
-    "comments": "Kontext eller förklaring",
-    "tags": ["tag1", "tag2"]
+  if (savedChoice && !forceChooser) {
+    if (savedChoice === 'gemini') {
+      await showGeminiAssistant();
+    } else if (savedChoice === 'chatgpt') {
+      await showChatGPTAssistant();
+    } else if (savedChoice === 'claude') {
+      await initClaudeAssistant();
+    } else if (savedChoice === 'local') {
+      await showChatGPTAssistant({ provider: 'local' });
+    }
+    return;
   }
-]
 
-Text att analysera:
+  const choice = await showAIProviderChooser();
+  if (choice) {
+    rememberAIPreference(choice);
+    if (choice === 'gemini') {
+      await showGeminiAssistant();
+    } else if (choice === 'chatgpt') {
+      await showChatGPTAssistant();
+    } else if (choice === 'claude') {
+      await initClaudeAssistant();
+    } else if (choice === 'local') {
+      await showChatGPTAssistant({ provider: 'local' });
+    }
+  }
+}
 
-${text}`;
+// Expose handleAIChooserCommand globally for AI assistant "Byt" button
+window.handleAIChooserCommand = handleAIChooserCommand;
 
-        const payload = {
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }]
-        };
+async function handleBackupDownload() {
+  const downloadBtn = document.getElementById('btn-download');
+  downloadBtn?.click();
+}
 
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
+async function handleRestoreBackupCommand() {
+  if (window.handleRestoreBackup) {
+    await window.handleRestoreBackup();
+  }
+}
 
-        if (!response.ok) {
-          throw new Error(`API request failed with status ${response.status}`);
-        }
+async function handleDriveSyncCommand() {
+  if (window.handleDriveSync) {
+    await window.handleDriveSync();
+  }
+}
 
-        const data = await response.json();
-        const rawText = data.candidates[0].content.parts[0].text;
+function handleDriveReset() {
+  const confirmed = confirm('Vill du rensa alla Google Drive-inställningar?\n\n' +
+    'Detta tar bort:\n' +
+    '- OAuth Client ID\n' +
+    '- Senaste synk-tid\n' +
+    '- Backup-ID\n\n' +
+    'Du måste logga in igen nästa gång du synkar.');
 
-        // Parse JSON from response
-        let cards;
-        try {
-          const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/) || rawText.match(/```\s*([\s\S]*?)\s*```/);
-          const jsonText = jsonMatch ? jsonMatch[1] : rawText;
-          cards = JSON.parse(jsonText.trim());
-        } catch (parseError) {
-          console.error('Failed to parse Gemini response:', parseError);
-          throw new Error('Kunde inte tolka Geminis svar. Försök igen.');
-        }
+  if (confirmed) {
+    localStorage.removeItem('googleDriveClientId');
+    localStorage.removeItem('lastDriveBackupId');
+    localStorage.removeItem('lastDriveBackupTime');
+    alert('✅ Drive-inställningar rensade!\n\nTryck Y för att logga in igen.');
+  }
+}
 
-        if (!Array.isArray(cards)) {
-          throw new Error('Gemini returnerade inte en array av kort.');
-        }
-
-        // Create cards
-        const allCards = await getAllCards();
-        const maxY = allCards.length > 0 ? Math.max(...allCards.map(c => c.position?.y || 0)) : 0;
-        const startPosition = {
-          x: 300,
-          y: maxY + 200
-        };
-
-        for (let index = 0; index < cards.length; index++) {
-          const cardData = cards[index];
+async function handleDeleteSelectedCards() {
+  const selectedNodes = layer.find('.selected');
+  for (const node of selectedNodes) {
+    if (node.getAttr('cardId')) {
+      const cardId = node.getAttr('cardId');
+      await handleDeleteCard(cardId);
+    }
+  }
+}
 
-          const position = {
-            x: startPosition.x + (index % 5) * 50,
-            y: startPosition.y + Math.floor(index / 5) * 250
-          };
+async function handleColorShortcut(key) {
+  const shortcutNumber = parseInt(key, 10);
+  if (Number.isNaN(shortcutNumber) || shortcutNumber < 1 || shortcutNumber > 8) return;
 
-          await addCard({
-            text: cardData.text || '',
-            tags: cardData.tags || [],
-            comments: cardData.comments || '',
-            position: position
-          });
-        }
+  const selectedNodes = layer.find('.selected');
+  if (!selectedNodes.length) return;
 
-        console.log(`Gemini text split complete: ${cards.length} cards created`);
+  const cards = await getAllCards();
+  const colorId = `card-color-${shortcutNumber}`;
 
-        cleanup();
-        await reloadCanvas();
+  for (const node of selectedNodes) {
+    const cardId = node.getAttr('cardId');
+    if (!cardId) continue;
+    const card = cards.find(c => c.id === cardId);
+    if (card) {
+      await updateCard(cardId, { cardColor: colorId });
+    }
+  }
 
-        alert(`✅ Gemini skapade ${cards.length} kort från texten!`);
+  addRecentCardColor(colorId);
+  await reloadCanvas();
+}
 
-      } catch (error) {
-        console.error('Gemini text splitting error:', error);
-        alert(`❌ Fel: ${error.message}`);
-        createBtn.textContent = originalText;
-        createBtn.disabled = false;
-      }
-    };
+async function handleSelectAllCards() {
+  // Culled cards must be live to be part of the selection
+  const allCards = await getAllCardGroups();
 
-    // Escape to close
-    overlay.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        cleanup();
+  const isEink = document.body.classList.contains('eink-theme');
+  allCards.forEach(group => {
+    const background = group.findOne('Rect');
+    group.addName('selected');
+    if (background) {
+      if (isEink) {
+        background.stroke('#000000');
+        background.strokeWidth(3);
+      } else {
+        background.stroke('#2196F3');
+        background.strokeWidth(3);
       }
-    });
+    }
   });
+  layer.batchDraw();
 }
 
-/**
- * Map Zotero highlight color to card color
- */
-function mapZoteroColorToCard(bgColorStyle) {
-  // Extract hex color from style like "background-color: #ffd40080"
-  const match = bgColorStyle.match(/#([0-9a-fA-F]{6})/);
-  if (!match) return null;
+async function handleVerticalArrangement(options = {}) {
+  const useGrid = options.forceGrid || options.data?.heldChords?.has('g');
+  if (useGrid) {
+    if (clipboard.length > 0) {
+      await pasteCardsWithArrangement(arrangeGridVertical, 'Grid Vertical');
+    } else {
+      await applyArrangement(arrangeGridVertical, 'Grid Vertical');
+    }
+    return;
+  }
 
-  const hexColor = match[1].toLowerCase();
+  await applyArrangement(arrangeVertical, 'Vertical');
+}
 
-  // Map Zotero colors to spatial-view card colors (matching v2)
-  const colorMap = {
-    'ffd400': 'card-color-4', // Gul
-    'ff6666': 'card-color-3', // Röd
-    '5fb236': 'card-color-1', // Grön
-    '2ea8e5': 'card-color-6', // Blå/Cyan
-    'a28ae5': 'card-color-5', // Lila
-    'e56eee': 'card-color-5', // Magenta → Lila
-    'f19837': 'card-color-2', // Orange
-    'aaaaaa': 'card-color-7'  // Grå
-  };
+async function handleHorizontalArrangement(options = {}) {
+  const useGrid = options.forceGrid || options.data?.heldChords?.has('g');
+  if (useGrid) {
+    await applyArrangement(arrangeGridHorizontal, 'Grid Horizontal');
+    return;
+  }
 
-  return colorMap[hexColor] || null;
+  await applyArrangement(arrangeHorizontal, 'Horizontal');
+}
+
+async function handleGridTopArrangement() {
+  await applyArrangement(arrangeGridTopAligned, 'Grid Top-Aligned');
+}
+
+async function handleClusterArrangement() {
+  if (clipboard.length > 0) {
+    await pasteCardsWithArrangement(arrangeCluster, 'Cluster');
+  } else {
+    await applyArrangement(arrangeCluster, 'Cluster');
+  }
 }
 
 /**
- * Import notes from Zotero HTML export
+ * Gather the cards matching a query (smart collection) into one grid group
+ * @returns {Promise<number>} Number of arranged cards
  */
-export async function importFromZoteroHTML() {
-  return new Promise((resolve, reject) => {
-    // Create file input
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.html';
+export async function arrangeQueryMatches(query) {
+  const count = await searchCards(query, { mode: 'strict' });
+  if (count > 0) {
+    await applyArrangement(arrangeGridVertical, 'Grid Vertical');
+  }
+  return count;
+}
 
-    input.onchange = async (e) => {
-      const file = e.target.files[0];
-      if (!file) {
-        resolve(0);
-        return;
-      }
+function registerCanvasCommands() {
+  registeredCanvasCommands.forEach(unregisterCommand);
+  registeredCanvasCommands.clear();
 
-      const reader = new FileReader();
+  const register = (command) => {
+    registerCommand(command);
+    registeredCanvasCommands.add(command.id);
+  };
 
-      reader.onload = async function(event) {
-        try {
-          const htmlContent = event.target.result;
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(htmlContent, 'text/html');
+  register({ id: 'open-command-palette', handler: () => showCommandPalette(), contexts: ['board', 'column', 'global'], showInPalette: false });
+  register({ id: 'toggle-view', handler: () => toggleViewFromMenu(), contexts: ['global'] });
+  register({ id: 'toggle-theme', handler: () => window.dispatchEvent(new CustomEvent('toggleTheme')), contexts: ['global'] });
+  register({ id: 'fit-all-cards', handler: () => fitAllCards(), contexts: ['board'] });
+  register({ id: 'toggle-minimap', handler: () => toggleMinimap(), contexts: ['board'] });
+  register({ id: 'toggle-ink-mode', handler: () => toggleInkMode(), contexts: ['board'] });
+  register({ id: 'new-text-card', handler: () => handleCreateNewCardAtPointer(), contexts: ['board'] });
+  register({ id: 'import-image', handler: () => importImage(), contexts: ['board'] });
+  register({ id: 'paste-image-clipboard', handler: () => pasteImageFromClipboard(), contexts: ['board'] });
+  register({ id: 'read-with-ai', handler: () => handleReadWithAICommand(), contexts: ['board'] });
+  register({ id: 'show-ocr-queue', handler: () => showOcrQueue(), contexts: ['board'] });
+  register({ id: 'choose-ocr-provider', handler: () => handleChooseOcrProvider(), contexts: ['board'] });
+  register({ id: 'ask-ai', handler: () => handleAIChooserCommand(), contexts: ['board'] });
+  register({ id: 'export-canvas', handler: () => exportCanvas(), contexts: ['board'] });
+  register({ id: 'export-readable', handler: () => exportToReadableText(), contexts: ['board'] });
+  register({ id: 'import-canvas', handler: () => importCanvas(), contexts: ['board'] });
+  register({ id: 'export-markdown-vault', handler: () => exportMarkdownVault(), contexts: ['board'] });
+  register({ id: 'import-markdown-vault', handler: () => importMarkdownVault(), contexts: ['board'] });
+  register({ id: 'export-json-canvas', handler: () => exportJsonCanvas(), contexts: ['board'] });
+  register({ id: 'import-json-canvas', handler: () => importJsonCanvas(), contexts: ['board'] });
+  register({ id: 'import-spreadsheet', handler: () => importSpreadsheet(), contexts: ['board'] });
+  register({ id: 'import-from-drive', handler: () => importFromDriveCommand(), contexts: ['board'] });
+  register({ id: 'download-backup', handler: () => handleBackupDownload(), contexts: ['board', 'global'] });
+  register({ id: 'restore-backup', handler: () => handleRestoreBackupCommand(), contexts: ['board'] });
+  register({ id: 'drive-sync', handler: () => handleDriveSyncCommand(), contexts: ['global'] });
+  register({ id: 'drive-reset', handler: () => handleDriveReset(), contexts: ['global'] });
+  register({ id: 'import-zotero-html', handler: () => importFromZoteroHTML(), contexts: ['board'] });
+  register({ id: 'import-zotero-rdf', handler: () => importFromZoteroRDF(), contexts: ['board'] });
+  register({ id: 'create-multiple-cards', handler: () => createMultipleCardsFromText(), contexts: ['board'] });
+  register({ id: 'delete-selected', handler: () => handleDeleteSelectedCards(), contexts: ['board'] });
+  register({ id: 'undo', handler: () => undo(), contexts: ['board'] });
+  register({ id: 'redo', handler: () => redo(), contexts: ['board'] });
+  register({ id: 'copy-selected', handler: () => copySelectedCards(), contexts: ['board'] });
+  register({ id: 'paste-cards', handler: () => pasteCards(), contexts: ['board'] });
+  register({ id: 'toggle-pin', handler: () => togglePinSelectedCards(), contexts: ['board'] });
+  register({ id: 'select-all', handler: () => handleSelectAllCards(), contexts: ['board'] });
+  register({ id: 'create-frame', handler: () => handleCreateFrame(), contexts: ['board'] });
+  register({
+    id: 'arrange-vertical',
+    handler: ({ data }) => handleVerticalArrangement({ data }),
+    contexts: ['board'],
+    when: ({ data }) => !data?.heldChords?.has('g'),
+  });
+  register({
+    id: 'arrange-horizontal',
+    handler: ({ data }) => handleHorizontalArrangement({ data }),
+    contexts: ['board'],
+    when: ({ data }) => !data?.heldChords?.has('g'),
+  });
+  register({ id: 'arrange-cluster', handler: () => handleClusterArrangement(), contexts: ['board'] });
+  register({ id: 'arrange-grid-vertical', handler: ({ data }) => handleVerticalArrangement({ data, forceGrid: true }), contexts: ['board'] });
+  register({ id: 'arrange-grid-horizontal', handler: ({ data }) => handleHorizontalArrangement({ data, forceGrid: true }), contexts: ['board'] });
+  register({ id: 'arrange-grid-top', handler: () => handleGridTopArrangement(), contexts: ['board'] });
+}
 
-          // Find all highlight paragraphs
-          const highlightParagraphs = doc.querySelectorAll('p');
+function setupKeyboardShortcuts() {
+  const heldChords = new Set();
 
-          let importedCount = 0;
-          const timestamp = Date.now();
+  const handleKeyDown = (e) => {
+    const target = e.target;
+    const isInputTarget = target && ((target.tagName === 'INPUT') || (target.tagName === 'TEXTAREA') || target.isContentEditable);
 
-          // Calculate grid positioning
-          const cols = Math.ceil(Math.sqrt(highlightParagraphs.length));
+    if (!isInputTarget && !e.ctrlKey && !e.metaKey && !e.altKey && /^[1-8]$/.test(e.key)) {
+      e.preventDefault();
+      handleColorShortcut(e.key);
+      return;
+    }
 
-          for (let index = 0; index < highlightParagraphs.length; index++) {
-            const p = highlightParagraphs[index];
+    if (e.key?.toLowerCase() === 'g' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      heldChords.add('g');
+      return;
+    }
 
-            // Find the highlight span with background color
-            const highlightSpan = p.querySelector('span.highlight span[style*="background-color"]');
-            if (!highlightSpan) continue;
+    executeCommandFromEvent(e, { data: { heldChords } });
+  };
 
-            // Extract the quote text
-            const quoteText = highlightSpan.textContent.trim();
-            if (!quoteText) continue;
+  const handleKeyUp = (e) => {
+    if (e.key?.toLowerCase() === 'g') {
+      heldChords.delete('g');
+    }
+  };
 
-            // Extract color
-            const bgStyle = highlightSpan.getAttribute('style');
-            const cardColor = mapZoteroColorToCard(bgStyle);
+  window.addEventListener('keydown', handleKeyDown);
+  window.addEventListener('keyup', handleKeyUp);
+}
 
-            // Extract citation if available
-            const citationSpan = p.querySelector('span.citation');
-            let citation = '';
-            if (citationSpan) {
-              citation = citationSpan.textContent.trim();
-            }
+// ============================================================================
+// SECTION 8: PUBLIC API (Exported Functions)
+// ============================================================================
 
-            // Extract PDF link
-            const pdfLink = p.querySelector('a[href*="open-pdf"]');
-            let pdfLinkText = '';
-            if (pdfLink) {
-              pdfLinkText = pdfLink.textContent.trim();
-            }
+/**
+ * Get stage instance
+ */
+export function getStage() {
+  return stage;
+}
 
-            // Extract comment text (text after all spans/links)
-            let commentText = '';
-            const allText = p.textContent;
-            const highlightText = highlightSpan.textContent;
-            const citationText = citationSpan ? citationSpan.textContent : '';
-            const pdfText = pdfLink ? pdfLink.textContent : '';
+/**
+ * Get main layer
+ */
+export function getLayer() {
+  return layer;
+}
 
-            // Remove all known parts and what's left is the comment
-            let remainingText = allText;
-            remainingText = remainingText.replace(highlightText, '');
-            remainingText = remainingText.replace(citationText, '');
-            remainingText = remainingText.replace(pdfText, '');
-            commentText = remainingText.replace(/\(|\)/g, '').trim();
+/**
+ * Add new card (exported for external use)
+ */
+export async function addNewCard() {
+  const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+  const scale = stage.scaleX();
+  const position = {
+    x: (pointer.x - stage.x()) / scale,
+    y: (pointer.y - stage.y()) / scale
+  };
 
-            // Build card text
-            let cardText = quoteText;
-            if (citation) {
-              cardText += `\n\n${citation}`;
-            }
-            if (pdfLinkText) {
-              cardText += ` (${pdfLinkText})`;
-            }
+  await createNewCard(position);
+}
 
-            // Grid positioning
-            const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
-            const scale = stage.scaleX();
-            const col = index % cols;
-            const row = Math.floor(index / cols);
-            const position = {
-              x: ((pointer.x - stage.x()) / scale) + col * 240,
-              y: ((pointer.y - stage.y()) / scale) + row * 240
-            };
+/**
+ * Export canvas state as JSON
+ */
+export async function exportCanvas() {
+  const cards = await getAllCards();
+  const exportData = {
+    type: 'full',
+    version: '1.0',
+    exportedAt: Date.now(),
+    cards,
+    viewport: {
+      x: stage.x(),
+      y: stage.y(),
+      scale: stage.scaleX()
+    }
+  };
 
-            // Create card
-            await createCard({
-              text: cardText,
-              comments: commentText || '',
-              tags: ['zotero', `import_${timestamp}`],
-              cardColor: cardColor,
-              position
-            });
+  const json = JSON.stringify(exportData, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
 
-            importedCount++;
-          }
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `spatial-view-${Date.now()}.json`;
+  a.click();
 
-          // Reload canvas to show new cards
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Import canvas from JSON file
+ */
+export async function importCanvas() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const text = await file.text();
+        const data = JSON.parse(text);
+
+        // Import cards using bulkPut
+        const { db, getActiveBoardId } = await import('./storage.js');
+
+        if (data.cards && Array.isArray(data.cards)) {
+          // Add import metadata to all cards
+          const cardsToImport = data.cards.map((card, i) => ({
+            ...card,
+            boardId: getActiveBoardId(),
+            imported: true,
+            importedAt: new Date().toISOString(),
+            importedFrom: file.name,
+            importBatchIndex: i
+          }));
+
+          await db.cards.bulkPut(cardsToImport);
+
+          // Reload canvas to show imported cards
           await reloadCanvas();
 
-          // Show success message
-          alert(`📚 Zotero import: ${importedCount} kort importerade från ${file.name}`);
-          console.log(`Zotero import completed: ${importedCount} cards imported from ${file.name}`);
+          // Restore viewport if available
+          if (data.viewport) {
+            stage.position({ x: data.viewport.x, y: data.viewport.y });
+            stage.scale({ x: data.viewport.scale, y: data.viewport.scale });
+            stage.batchDraw();
+          }
 
-          resolve(importedCount);
-        } catch (error) {
-          console.error('Error importing from Zotero:', error);
-          alert('Fel vid import från Zotero HTML: ' + error.message);
-          reject(error);
+          console.log(`Imported ${data.cards.length} cards`);
+          alert(`Importerade ${data.cards.length} kort!`);
+          resolve(data.cards.length);
+        } else {
+          throw new Error('Invalid JSON format');
         }
-      };
-
-      reader.readAsText(file);
+      } catch (error) {
+        console.error('Import failed:', error);
+        alert('Misslyckades att importera fil: ' + error.message);
+        reject(error);
+      }
     };
 
     input.click();
@@ -4392,2449 +4572,2933 @@ export async function importFromZoteroHTML() {
 }
 
 /**
- * Paste image from system clipboard (e.g. screenshot)
+ * Export the board as a Markdown vault (Obsidian): a zip with one note per card and an images folder
  */
-async function pasteImageFromClipboard() {
+export async function exportMarkdownVault() {
   try {
-    // Check if Clipboard API is available
-    if (!navigator.clipboard || !navigator.clipboard.read) {
-      alert('Clipboard API stöds inte i denna webbläsare. Använd "Importera bild" istället.');
+    const cards = await getAllCards();
+    if (cards.length === 0) {
+      alert('Inga kort att exportera!');
       return;
     }
 
-    const clipboardItems = await navigator.clipboard.read();
-    let imageFound = false;
-
-    for (const clipboardItem of clipboardItems) {
-      for (const type of clipboardItem.types) {
-        if (type.startsWith('image/')) {
-          imageFound = true;
-          const blob = await clipboardItem.getType(type);
+    const { blob, imageCount } = await createVaultZip(cards);
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadFile(blob, `spatial-view-vault-${timestamp}.zip`, 'application/zip');
 
-          // Convert blob to file
-          const file = new File([blob], 'clipboard-image.png', { type: blob.type });
+    console.log(`Exported ${cards.length} cards and ${imageCount} images to Markdown vault`);
+  } catch (error) {
+    console.error('Markdown vault export failed:', error);
+    alert('Misslyckades att exportera Markdown-valv: ' + error.message);
+  }
+}
 
-          console.log('Clipboard image size:', (file.size / 1024).toFixed(1), 'KB');
+/**
+ * Import a Markdown vault zip, or .md files (and their images) picked from any folder
+ * Notes with a uniqueId that already exists update that card instead of adding a
+ * new one, and a card with that uniqueId in the trash is restored.
+ */
+export async function importMarkdownVault() {
+  const files = await new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = '.zip,.md,.markdown,image/*';
+    input.onchange = (e) => resolve(Array.from(e.target.files));
+    input.addEventListener('cancel', () => resolve([]));
+    input.click();
+  });
+  if (files.length === 0) return 0;
 
-          // Show quality selector dialog
-          const quality = await showQualityDialog(1);
-          if (!quality) return;
+  try {
+    const notes = await readVaultFiles(files);
+    if (notes.length === 0) {
+      alert('Hittade inga Markdown-filer (.md) att importera.');
+      return 0;
+    }
 
-          console.log('Selected quality:', quality);
+    const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+    const scale = stage.scaleX();
+    const origin = { x: (pointer.x - stage.x()) / scale, y: (pointer.y - stage.y()) / scale };
+    const columns = 5;
+    const gap = 20;
+    let placedCount = 0;
+    let rowTop = 0;
+    let rowHeight = 0;
+
+    // Notes without a position are laid out in a grid at the pointer
+    const { created: createdCount, updated: updatedCount, restored: restoredCount } = await importVaultNotes(notes, fields => {
+      if (placedCount > 0 && placedCount % columns === 0) {
+        rowTop += rowHeight + gap;
+        rowHeight = 0;
+      }
+      const position = { x: origin.x + (placedCount % columns) * (200 + gap), y: origin.y + rowTop };
+      // Image size is unknown until loaded; 300 is the tallest an image card gets
+      rowHeight = Math.max(rowHeight, fields.image ? 300 : estimateCardBounds(fields).height);
+      placedCount++;
+      return position;
+    });
 
-          // Process image
-          const processed = await processImage(file, quality);
+    await reloadCanvas();
 
-          console.log('Processed size:', (processed.metadata.compressedSize / 1024).toFixed(1), 'KB');
-          console.log('Dimensions:', processed.metadata.width, 'x', processed.metadata.height);
+    const unchangedCount = notes.length - createdCount - updatedCount - restoredCount;
+    alert(`📝 Markdown-import: ${createdCount} nya kort, ${updatedCount} uppdaterade` +
+      (restoredCount > 0 ? `, ${restoredCount} återställda från papperskorgen` : '') +
+      (unchangedCount > 0 ? `, ${unchangedCount} oförändrade` : ''));
+    console.log(`Markdown vault import: ${createdCount} created, ${updatedCount} updated, ${restoredCount} restored, ${unchangedCount} unchanged`);
+    return createdCount + updatedCount + restoredCount;
+  } catch (error) {
+    console.error('Markdown vault import failed:', error);
+    alert('Misslyckades att importera Markdown: ' + error.message);
+    return 0;
+  }
+}
 
-          // Calculate position at center or mouse position
-          const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
-          const scale = stage.scaleX();
-          const position = {
-            x: (pointer.x - stage.x()) / scale,
-            y: (pointer.y - stage.y()) / scale
-          };
+/**
+ * Export the board as JSON Canvas (.canvas), zipped with an images folder when it has image cards
+ */
+export async function exportJsonCanvas() {
+  try {
+    const cards = await getAllCards();
+    if (cards.length === 0) {
+      alert('Inga kort att exportera!');
+      return;
+    }
 
-          // Create card with image
-          await createCard({
-            text: 'Inklistrad bild',
-            tags: ['bild', 'clipboard'],
-            position,
-            image: {
-              base64: processed.base64,
-              width: processed.metadata.width,
-              height: processed.metadata.height,
-              quality: processed.metadata.quality
-            },
-            metadata: {
-              ...processed.metadata,
-              fileName: 'clipboard-image.png',
-              source: 'clipboard'
-            }
-          });
+    const { canvas, images } = toJsonCanvas({
+      cards,
+      frames: await getFrames(),
+      connectors: await getConnectors(),
+      getBox: card => getCardBox(card.id) || estimateCardBounds(card)
+    });
 
-          await reloadCanvas();
-          console.log('Image pasted from clipboard');
-          return;
-        }
-      }
-    }
+    const { getBoard } = await import('./storage.js');
+    const board = await getBoard(getActiveBoardId());
+    const name = (board?.name || '').replace(/[\\/:*?"<>|]/g, '').trim() || 'spatial-view';
+    const json = JSON.stringify(canvas, null, 2);
 
-    if (!imageFound) {
-      alert('Ingen bild hittades i clipboard. Kopiera en bild eller skärmdump först.');
+    if (images.length === 0) {
+      downloadFile(json, `${name}.canvas`, 'application/json');
+    } else {
+      const JSZip = (await import('jszip')).default;
+      const zip = new JSZip();
+      zip.file(`${name}.canvas`, json);
+      images.forEach(({ path, base64 }) => zip.file(path, base64, { base64: true }));
+      downloadFile(await zip.generateAsync({ type: 'blob' }), `${name}-canvas.zip`, 'application/zip');
     }
 
+    console.log(`Exported ${cards.length} cards, ${canvas.edges.length} edges and ${images.length} images to JSON Canvas`);
   } catch (error) {
-    console.error('Failed to paste from clipboard:', error);
-    if (error.name === 'NotAllowedError') {
-      alert('Tillgång till clipboard nekades. Ge webbläsaren tillstånd att läsa clipboard.');
-    } else {
-      alert('Kunde inte klistra in bild från clipboard: ' + error.message);
-    }
+    console.error('JSON Canvas export failed:', error);
+    alert('Misslyckades att exportera JSON Canvas: ' + error.message);
   }
 }
 
-// ============================================================================
-// SECTION 9: UI DIALOGS (Command Palette, Quality Dialog, Text Input, Gemini Assistant)
-// ============================================================================
+/**
+ * Import a .canvas file (or a zip with one and its files) into a new board
+ * A new board keeps the layout exactly as it was in the other tool.
+ */
+export async function importJsonCanvas() {
+  const file = await new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.canvas,.zip';
+    input.onchange = (e) => resolve(e.target.files[0] || null);
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+  if (!file) return 0;
 
-const AI_PREFERENCE_KEY = 'spatialview:lastAIModel';
-const AI_HISTORY_PREFIX = 'spatialview:aiHistory';
+  try {
+    const { canvas, name, files } = await readJsonCanvasFile(file);
+    const { groups, cards, edges } = fromJsonCanvas(canvas, files);
+    if (cards.length === 0 && groups.length === 0) {
+      alert('Filen innehåller inga kort eller grupper att importera.');
+      return 0;
+    }
 
-function getBoardScopedKey(model) {
-  const boardId = window.location.pathname || 'root';
-  return `${AI_HISTORY_PREFIX}:${boardId}:${model}`;
-}
+    const { createBoard } = await import('./storage.js');
+    const { switchToBoard } = await import('../ui/board-switcher.js');
+    const boardId = await createBoard(name);
+    await switchToBoard(boardId);
 
-function getSavedAIPreference() {
-  try {
-    return localStorage.getItem(AI_PREFERENCE_KEY);
-  } catch (error) {
-    console.warn('Kunde inte läsa AI-val från localStorage:', error);
-    return null;
-  }
-}
-
-function rememberAIPreference(model) {
-  try {
-    localStorage.setItem(AI_PREFERENCE_KEY, model);
-  } catch (error) {
-    console.warn('Kunde inte spara AI-val:', error);
-  }
-}
+    const frames = [];
+    for (const group of groups) {
+      const { nodeId, ...frame } = group;
+      frames.push({ ...frame, id: await createFrame(frame) });
+    }
 
-/**
- * Shows AI provider chooser dialog
- * @returns {Promise<string|null>} Selected AI provider ('gemini', 'claude', 'chatgpt') or null if cancelled
- */
-function showAIProviderChooser() {
-  return new Promise((resolve) => {
-    const overlay = document.createElement('div');
-    overlay.className = 'ai-chooser-overlay';
-    overlay.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100vw;
-      height: 100vh;
-      background: rgba(0, 0, 0, 0.7);
-      z-index: 10001;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-    `;
+    const cardIdByNodeId = new Map();
+    for (const { nodeId, box, card } of cards) {
+      cardIdByNodeId.set(nodeId, await createCard({ ...card, frameId: findFrameForBox(frames, box) }));
+    }
 
-    const dialog = document.createElement('div');
-    dialog.style.cssText = `
-      background: var(--bg-primary);
-      color: var(--text-primary);
-      border-radius: 16px;
-      padding: 32px;
-      width: 90%;
-      max-width: 560px;
-      box-shadow: 0 8px 32px rgba(0,0,0,0.4);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    `;
+    let linkCount = 0;
+    for (const edge of edges) {
+      const fromCardId = cardIdByNodeId.get(edge.fromNode);
+      const toCardId = cardIdByNodeId.get(edge.toNode);
+      // Edges to groups have no counterpart among our connectors
+      if (!fromCardId || !toCardId || fromCardId === toCardId) continue;
 
-    const currentProvider = getSavedAIPreference() || 'gemini';
+      await createConnector({ fromCardId, toCardId, directed: edge.directed, label: edge.label });
+      linkCount++;
+    }
 
-    dialog.innerHTML = `
-      <h2 style="margin: 0 0 12px 0; color: var(--text-primary); font-size: 24px;">Välj AI-assistent</h2>
-      <p style="margin: 0 0 24px 0; color: var(--text-secondary); font-size: 14px; line-height: 1.5;">
-        Olika AI-modeller har olika styrkor. Välj den som passar din uppgift bäst.
-      </p>
+    await reloadCanvasForBoard();
 
-      <div style="display: flex; flex-direction: column; gap: 12px; margin-bottom: 24px;">
-        <!-- Claude Option -->
-        <button class="ai-option" data-provider="claude" style="
-          padding: 20px;
-          border: 2px solid ${currentProvider === 'claude' ? 'var(--accent-color)' : 'var(--border-color)'};
-          background: ${currentProvider === 'claude' ? 'rgba(var(--accent-color-rgb), 0.1)' : 'var(--bg-secondary)'};
-          border-radius: 12px;
-          cursor: pointer;
-          text-align: left;
-          transition: all 0.2s;
-        ">
-          <div style="display: flex; align-items: start; gap: 16px;">
-            <span style="font-size: 32px;">🤖</span>
-            <div style="flex: 1;">
-              <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
-                <strong style="font-size: 16px; color: var(--text-primary);">Claude Sonnet 4.5</strong>
-                <span style="background: #10a37f; color: white; font-size: 11px; padding: 2px 8px; border-radius: 4px; font-weight: 600;">REKOMMENDERAD</span>
-              </div>
-              <p style="margin: 0; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">
-                Bäst på spatial reasoning och komplex planering. Extremt bra på att följa instruktioner och resonera om layouts. Perfekt för att organisera kort intelligent!
-              </p>
-            </div>
-          </div>
-        </button>
+    alert(`🧩 JSON Canvas: ${cards.length} kort, ${frames.length} ramar och ${linkCount} kopplingar importerade till den nya tavlan "${name}"`);
+    console.log(`JSON Canvas import: ${cards.length} cards, ${frames.length} frames, ${linkCount} connectors from ${file.name}`);
+    return cards.length;
+  } catch (error) {
+    console.error('JSON Canvas import failed:', error);
+    alert('Misslyckades att importera JSON Canvas: ' + error.message);
+    return 0;
+  }
+}
 
-        <!-- Gemini Option -->
-        <button class="ai-option" data-provider="gemini" style="
-          padding: 20px;
-          border: 2px solid ${currentProvider === 'gemini' ? 'var(--accent-color)' : 'var(--border-color)'};
-          background: ${currentProvider === 'gemini' ? 'rgba(var(--accent-color-rgb), 0.1)' : 'var(--bg-secondary)'};
-          border-radius: 12px;
-          cursor: pointer;
-          text-align: left;
-          transition: all 0.2s;
-        ">
-          <div style="display: flex; align-items: start; gap: 16px;">
-            <span style="font-size: 32px;">✨</span>
-            <div style="flex: 1;">
-              <strong style="font-size: 16px; color: var(--text-primary); display: block; margin-bottom: 6px;">Gemini 2.0 Flash</strong>
-              <p style="margin: 0; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">
-                Snabb och mångsidig. Bra på bildanalys och kreativa uppgifter. Kan hantera stora mängder data effektivt.
-              </p>
-            </div>
-          </div>
-        </button>
+// Placements offered when importing a spreadsheet (names as in the command palette)
+const SPREADSHEET_ARRANGEMENTS = [
+  { id: 'grid-vertical', name: 'Grid vertikalt', arrange: arrangeGridVertical },
+  { id: 'grid-horizontal', name: 'Grid horisontellt', arrange: arrangeGridHorizontal },
+  { id: 'grid-top-aligned', name: 'Grid överlappande', arrange: arrangeGridTopAligned },
+  { id: 'vertical', name: 'Vertikalt', arrange: arrangeVertical },
+  { id: 'horizontal', name: 'Horisontellt', arrange: arrangeHorizontal },
+  { id: 'cluster', name: 'Cirkel', arrange: arrangeCluster }
+];
 
-        <!-- ChatGPT Option -->
-        <button class="ai-option" data-provider="chatgpt" style="
-          padding: 20px;
-          border: 2px solid ${currentProvider === 'chatgpt' ? 'var(--accent-color)' : 'var(--border-color)'};
-          background: ${currentProvider === 'chatgpt' ? 'rgba(var(--accent-color-rgb), 0.1)' : 'var(--bg-secondary)'};
-          border-radius: 12px;
-          cursor: pointer;
-          text-align: left;
-          transition: all 0.2s;
-        ">
-          <div style="display: flex; align-items: start; gap: 16px;">
-            <span style="font-size: 32px;">💬</span>
-            <div style="flex: 1;">
-              <strong style="font-size: 16px; color: var(--text-primary); display: block; margin-bottom: 6px;">ChatGPT 4</strong>
-              <p style="margin: 0; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">
-                Balanserad och pålitlig. Bra allmän konversation och problemlösning. Känd och beprövad.
-              </p>
-            </div>
-          </div>
-        </button>
-      </div>
+/**
+ * Import cards from a CSV or XLSX file, with column mapping, preview and arrangement
+ */
+export async function importSpreadsheet() {
+  const file = await new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,.tsv,.txt,.xlsx';
+    input.onchange = (e) => resolve(e.target.files[0] || null);
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+  if (!file) return 0;
 
-      <div style="display: flex; gap: 12px; justify-content: flex-end;">
-        <button id="cancelAIChoice" style="
-          padding: 12px 24px;
-          border: 1px solid var(--border-color);
-          background: var(--bg-secondary);
-          color: var(--text-primary);
-          border-radius: 8px;
-          cursor: pointer;
-          font-size: 14px;
-        ">Avbryt</button>
-      </div>
-    `;
+  try {
+    const sheets = (await readSpreadsheetFile(file)).filter(sheet => sheet.rows.length > 0);
+    if (sheets.length === 0) {
+      alert('Hittade inga rader i filen.');
+      return 0;
+    }
 
-    overlay.appendChild(dialog);
-    document.body.appendChild(overlay);
+    const choice = await showSpreadsheetImportDialog({
+      fileName: file.name,
+      sheets,
+      arrangements: SPREADSHEET_ARRANGEMENTS.map(({ id, name }) => ({ id, name }))
+    });
+    if (!choice) return 0;
 
-    const closeDialog = (provider = null) => {
-      overlay.remove();
-      resolve(provider);
+    // Arrange around the middle of the view, with estimated card sizes
+    const scale = stage.scaleX();
+    const center = {
+      x: (stage.width() / 2 - stage.x()) / scale,
+      y: (stage.height() / 2 - stage.y()) / scale
     };
+    const { arrange } = SPREADSHEET_ARRANGEMENTS.find(({ id }) => id === choice.arrangementId) || SPREADSHEET_ARRANGEMENTS[0];
+    const positions = arrange(
+      choice.cards.map((card, index) => ({ id: index, width: 200, height: estimateCardBounds(card).height })),
+      center
+    );
 
-    // Hover effects
-    const options = dialog.querySelectorAll('.ai-option');
-    options.forEach(option => {
-      option.addEventListener('mouseenter', () => {
-        option.style.transform = 'translateY(-2px)';
-        option.style.boxShadow = '0 4px 12px rgba(0,0,0,0.15)';
-      });
-      option.addEventListener('mouseleave', () => {
-        option.style.transform = 'translateY(0)';
-        option.style.boxShadow = 'none';
-      });
-      option.addEventListener('click', () => {
-        const provider = option.getAttribute('data-provider');
-        rememberAIPreference(provider);
-        closeDialog(provider);
+    const timestamp = Date.now();
+    for (const { id, x, y } of positions) {
+      const card = choice.cards[id];
+      await createCard({
+        ...card,
+        tags: [...new Set([...card.tags, `import_${timestamp}`])],
+        position: { x, y }
       });
-    });
-
-    document.getElementById('cancelAIChoice').onclick = () => closeDialog();
+    }
 
-    // ESC to close
-    const handleEsc = (e) => {
-      if (e.key === 'Escape') {
-        closeDialog();
-        document.removeEventListener('keydown', handleEsc);
-      }
-    };
-    document.addEventListener('keydown', handleEsc);
-  });
-}
+    await reloadCanvas();
 
-function loadConversationHistory(model) {
-  try {
-    const stored = localStorage.getItem(getBoardScopedKey(model));
-    if (!stored) return [];
-    const parsed = JSON.parse(stored);
-    return Array.isArray(parsed) ? parsed : [];
+    alert(`📊 ${positions.length} kort importerade från ${file.name}`);
+    console.log(`Spreadsheet import: ${positions.length} cards from ${file.name}`);
+    return positions.length;
   } catch (error) {
-    console.warn('Kunde inte läsa sparad konversation:', error);
-    return [];
+    console.error('Spreadsheet import failed:', error);
+    alert('Misslyckades att importera kalkylark: ' + error.message);
+    return 0;
   }
 }
 
-function saveConversationHistory(model, history) {
+/**
+ * Import file from Google Drive (ZIP or JSON)
+ */
+export async function importFromDriveCommand() {
   try {
-    localStorage.setItem(getBoardScopedKey(model), JSON.stringify(history));
-  } catch (error) {
-    console.warn('Kunde inte spara konversation:', error);
-  }
-}
+    const { importFromDrive } = await import('../lib/drive-sync.js');
+    const result = await importFromDrive();
 
-async function buildAIContextSnapshot(toolRegistry = null) {
-  try {
-    const cards = toolRegistry?.getAllCards
-      ? await toolRegistry.getAllCards()
-      : await getAllCards();
-    const totalCards = cards.length;
-    const imageCards = cards.filter(c => c.hasImage).length;
+    if (!result.success) {
+      if (result.message !== 'Ingen fil vald') {
+        alert(result.message);
+      }
+      return;
+    }
 
-    const selectedNodes = layer.find('.selected');
-    const selectedIds = new Set(
-      selectedNodes
-        .map(node => node.getAttr('cardId'))
-        .filter(Boolean)
-    );
-    const selectedCards = cards.filter(c => selectedIds.has(c.id));
+    const { blob, fileName, mimeType } = result;
 
-    const tagInfo = typeof toolRegistry?.listAllTags === 'function'
-      ? await toolRegistry.listAllTags()
-      : (() => {
-          const tagCounts = new Map();
-          for (const card of cards) {
-            if (card.tags && Array.isArray(card.tags)) {
-              for (const tag of card.tags) {
-                tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
-              }
-            }
-          }
+    // Handle based on file type
+    if (mimeType === 'application/zip' || fileName.endsWith('.zip')) {
+      // ZIP file - use handleRestoreFromBlob if available
+      if (window.handleRestoreFromBlob) {
+        await window.handleRestoreFromBlob(blob);
+        alert('Backup återställd från Google Drive!');
+      } else {
+        alert('Kunde inte återställa backup');
+      }
+    } else if (mimeType === 'application/json' || fileName.endsWith('.json')) {
+      // JSON file - parse and import like importCanvas
+      try {
+        const text = await blob.text();
+        const data = JSON.parse(text);
 
-          const tags = Array.from(tagCounts.entries())
-            .map(([tag, count]) => ({ tag, count }))
-            .sort((a, b) => b.count - a.count);
+        const { db, getActiveBoardId } = await import('../lib/storage.js');
 
-          return { tags };
-        })();
-    const topTags = (tagInfo?.tags || [])
-      .slice(0, 5)
-      .map(t => `${t.tag} (${t.count})`)
-      .join(', ');
+        if (data.cards && Array.isArray(data.cards)) {
+          const cardsToImport = data.cards.map((card, i) => ({
+            ...card,
+            boardId: getActiveBoardId(),
+            imported: true,
+            importedAt: new Date().toISOString(),
+            importedFrom: fileName,
+            importBatchIndex: i
+          }));
 
-    const createdTimestamps = cards
-      .map(c => c.created)
-      .filter(ts => typeof ts === 'number' && !Number.isNaN(ts));
-    const dateSpan = createdTimestamps.length
-      ? `${new Date(Math.min(...createdTimestamps)).toISOString().slice(0, 10)} → ${new Date(Math.max(...createdTimestamps)).toISOString().slice(0, 10)}`
-      : 'saknas';
+          await db.cards.bulkPut(cardsToImport);
+          await reloadCanvas();
 
-    const selectedSummary = selectedCards
-      .slice(0, 3)
-      .map(c => {
-        const preview = c.text || c.backText || '(tomt kort)';
-        return `#${c.id}: ${preview.slice(0, 80)}`;
-      })
-      .join('; ');
+          if (data.viewport) {
+            stage.position({ x: data.viewport.x, y: data.viewport.y });
+            stage.scale({ x: data.viewport.scale, y: data.viewport.scale });
+            stage.batchDraw();
+          }
+
+          console.log(`Imported ${data.cards.length} cards from Drive`);
+          alert(`Importerade ${data.cards.length} kort från Google Drive!`);
+        } else {
+          throw new Error('Ogiltigt JSON-format');
+        }
+      } catch (error) {
+        console.error('JSON import failed:', error);
+        alert('Misslyckades att importera JSON: ' + error.message);
+      }
+    } else {
+      alert('Okänd filtyp: ' + mimeType);
+    }
 
-    return [
-      `Kort: ${totalCards} totalt (${imageCards} med bild)`,
-      selectedIds.size
-        ? `Markerade (${selectedIds.size}): ${selectedSummary}${selectedCards.length > 3 ? ' …' : ''}`
-        : 'Markerade: inga',
-      topTags ? `Vanliga tags: ${topTags}` : 'Inga tags hittades',
-      `Datumspann (skapade): ${dateSpan}`
-    ].join('\n');
   } catch (error) {
-    console.warn('Kunde inte bygga kontextöversikt:', error);
-    return null;
+    console.error('Import from Drive failed:', error);
+    alert('Misslyckades att importera från Drive: ' + error.message);
   }
 }
 
-const AI_INTENTS = [
-  {
-    id: 'ask-anything',
-    label: 'Ställ en egen fråga',
-    description: 'Starta en tom chatt och skriv själv',
-    prompt: ''
-  },
-  {
-    id: 'summarize-selection',
-    label: 'Sammanfatta markerade',
-    description: 'Kort sammanfattning av markerade kort',
-    prompt: 'Sammanfatta de markerade korten kortfattat. Fokusera på nyckelidéer och beslut.'
-  },
-  {
-    id: 'next-steps',
-    label: 'Föreslå nästa steg',
-    description: 'Actionlista baserad på markerade kort',
-    prompt: 'Föreslå 3–5 konkreta nästa steg baserat på markerade kort och deras tags. Svara kort.'
-  },
-  {
-    id: 'agenda',
-    label: 'Skapa agenda',
-    description: 'Snabb mötesagenda från dagens fokus',
-    prompt: 'Skapa en kort agenda (5 punkter) baserad på markerade kort och de vanligaste taggarna just nu.'
-  }
-];
-
 /**
- * Show AI Assistant chooser (Gemini or ChatGPT)
+ * Import image and create card
  */
-async function showAIChooser() {
-  return new Promise((resolve) => {
-    // IMPORTANT: Remove any leftover overlays from previous calls
-    // This prevents gray overlay from persisting if cleanup didn't run properly
-    const oldOverlays = document.querySelectorAll('div[style*="z-index: 10000"][style*="rgba(0, 0, 0, 0.8)"]');
-    oldOverlays.forEach(old => old.remove());
+export async function importImage() {
+  return new Promise((resolve, reject) => {
+    // Create file input
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.multiple = true;
 
-    const overlay = document.createElement('div');
-    overlay.className = 'ai-chooser-overlay'; // Add class for easier cleanup
-    overlay.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background: rgba(0, 0, 0, 0.8);
-      z-index: 10000;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-    `;
+    input.onchange = async (e) => {
+      const files = Array.from(e.target.files);
+      if (files.length === 0) {
+        resolve([]);
+        return;
+      }
 
-    const dialog = document.createElement('div');
-    dialog.style.cssText = `
-      background: var(--bg-primary);
-      color: var(--text-primary);
-      border-radius: 16px;
-      padding: 30px;
-      width: 90%;
-      max-width: 500px;
-      box-shadow: 0 8px 32px rgba(0,0,0,0.3);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    `;
+      // Show quality selector dialog AFTER files are chosen
+      const choice = await showQualityDialog(files.length);
+      if (!choice) {
+        resolve([]);
+        return;
+      }
+      const { quality, splitPostIts } = choice;
 
-    const lastChoice = getSavedAIPreference();
+      try {
+        const cardIds = [];
+        const unsplitFiles = [];
 
-    dialog.innerHTML = `
-      <h2 style="margin: 0 0 20px 0; text-align: center; color: var(--text-primary);">
-        Välj AI-assistent
-      </h2>
-      <p style="margin: 0 12px 18px 12px; text-align: center; color: var(--text-secondary);">
-        Välj modell och startintention. Förhandsvisningen nedan visar vilken tavla-kontekst som skickas (kompakt för att spara tokens).
-      </p>
-      ${lastChoice ? `<p style="margin: -12px 0 24px 0; text-align: center; color: var(--text-secondary); font-size: 13px;">Senaste valda: <strong>${lastChoice === 'gemini' ? 'Gemini' : 'ChatGPT'}</strong> (startar direkt om du väljer samma igen)</p>` : ''}
-      <div style="display: flex; gap: 16px; justify-content: center;">
-        <button id="chooseGemini" style="
-          flex: 1;
-          padding: 20px;
-          background: var(--bg-secondary);
-          border: 2px solid var(--border-color);
-          border-radius: 12px;
-          cursor: pointer;
-          font-size: 16px;
-          display: flex;
-          flex-direction: column;
-          align-items: center;
-          gap: 8px;
-          transition: all 0.2s;
-          color: var(--text-primary);
-        ">
-          <div style="font-size: 32px;">🤖</div>
-          <div style="font-weight: 500;">Gemini</div>
-          <div style="font-size: 12px; color: var(--text-secondary);">Tryck G</div>
-        </button>
-        <button id="chooseChatGPT" style="
-          flex: 1;
-          padding: 20px;
-          background: var(--bg-secondary);
-          border: 2px solid var(--border-color);
-          border-radius: 12px;
-          cursor: pointer;
-          font-size: 16px;
-          display: flex;
-          flex-direction: column;
-          align-items: center;
-          gap: 8px;
-          transition: all 0.2s;
-          color: var(--text-primary);
-        ">
-          <div style="font-size: 32px;">💬</div>
-          <div style="font-weight: 500;">ChatGPT</div>
-          <div style="font-size: 12px; color: var(--text-secondary);">Tryck C</div>
-        </button>
-      </div>
-      <div style="margin-top: 20px; padding: 12px; border: 1px solid var(--border-color); border-radius: 10px; background: var(--bg-secondary);">
-        <div style="font-weight: 600; margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center;">
-          <span>📌 Kontextextrakt (kort)</span>
-          <span style="font-size: 12px; color: var(--text-secondary);">Skickas vid start</span>
-        </div>
-        <div id="aiContextPreview" style="white-space: pre-line; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">🔄 Bygger kontext…</div>
-      </div>
-      <div style="margin-top: 16px;">
-        <div style="font-weight: 600; margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center;">
-          <span>🎯 Startintention</span>
-          <span style="font-size: 12px; color: var(--text-secondary);">Håller svaren korta och sparar tokens</span>
-        </div>
-        <div id="aiIntentOptions" style="display: grid; gap: 10px; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));"></div>
-      </div>
-    `;
+        for (const file of files) {
+          // Calculate position (stagger multiple images)
+          const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+          const scale = stage.scaleX();
+          const offset = cardIds.length * 50; // Stagger by 50px
+          const position = {
+            x: ((pointer.x - stage.x()) / scale) + offset,
+            y: ((pointer.y - stage.y()) / scale) + offset
+          };
 
-    overlay.appendChild(dialog);
-    document.body.appendChild(overlay);
+          if (splitPostIts) {
+            const noteCardIds = await createPostItCards(file, quality, position);
+            if (noteCardIds.length > 0) {
+              cardIds.push(...noteCardIds);
+              continue;
+            }
+            unsplitFiles.push(file.name);
+          }
 
-    const geminiBtn = document.getElementById('chooseGemini');
-    const chatgptBtn = document.getElementById('chooseChatGPT');
+          // Process image
+          const processed = await processImage(file, quality);
 
-    let selectedIntent = AI_INTENTS[0];
-    let cachedContext = null;
+          // Create card with image
+          const cardId = await createCard({
+            text: processed.metadata.fileName,
+            tags: ['bild'],
+            position,
+            image: {
+              base64: processed.base64,
+              width: processed.metadata.width,
+              height: processed.metadata.height,
+              quality: processed.metadata.quality
+            },
+            metadata: processed.metadata
+          });
 
-    const renderIntents = () => {
-      const intentContainer = dialog.querySelector('#aiIntentOptions');
-      intentContainer.innerHTML = '';
+          cardIds.push(cardId);
+        }
 
-      AI_INTENTS.forEach(intent => {
-        const btn = document.createElement('button');
-        btn.type = 'button';
-        btn.style.cssText = `
-          text-align: left;
-          padding: 10px 12px;
-          border-radius: 10px;
-          border: 1px solid ${selectedIntent.id === intent.id ? 'var(--accent-color)' : 'var(--border-color)'};
-          background: ${selectedIntent.id === intent.id ? 'rgba(139, 92, 246, 0.12)' : 'var(--bg-secondary)'};
-          cursor: pointer;
-          transition: all 0.15s ease;
-          color: var(--text-primary);
-        `;
+        // Reload canvas to show new cards
+        await reloadCanvas();
 
-        btn.innerHTML = `
-          <div style="font-weight: 600; margin-bottom: 4px;">${intent.label}</div>
-          <div style="font-size: 12px; color: var(--text-secondary);">${intent.description}</div>
-        `;
+        if (unsplitFiles.length > 0) {
+          alert(`Hittade inga post-it-lappar i ${unsplitFiles.join(', ')} - hela bilden importerades.`);
+        }
 
-        btn.addEventListener('click', () => {
-          selectedIntent = intent;
-          renderIntents();
-        });
-
-        intentContainer.appendChild(btn);
-      });
+        resolve(cardIds);
+      } catch (error) {
+        console.error('Image import failed:', error);
+        reject(error);
+      }
     };
 
-    renderIntents();
+    input.click();
+  });
+}
 
-    const cleanup = (choice) => {
-      document.removeEventListener('keydown', handleKey);
-      overlay.remove();
-      if (!choice) {
-        resolve(null);
-        return;
-      }
+/**
+ * Import a photo of post-it notes as one image card per note
+ * Cards keep the notes' layout from the photo, starting at position, and get
+ * the card color closest to each note's color.
+ * @returns {Promise<Array>} Created card ids (empty when no notes were found)
+ */
+async function createPostItCards(file, quality, position) {
+  const url = URL.createObjectURL(file);
 
-      resolve({
-        model: choice,
-        intent: selectedIntent,
-        contextSummary: cachedContext
-      });
-    };
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Kunde inte läsa bilden'));
+      img.src = url;
+    });
 
-    const handleKey = (e) => {
-      if (e.key === 'g' || e.key === 'G') {
-        cleanup('gemini');
-      } else if (e.key === 'c' || e.key === 'C') {
-        cleanup('chatgpt');
-      } else if (e.key === 'Escape') {
-        cleanup(null);
-      }
-    };
+    const notes = detectPostItsInImage(image);
+    if (notes.length === 0) return [];
 
-    geminiBtn.addEventListener('click', () => cleanup('gemini'));
-    chatgptBtn.addEventListener('click', () => cleanup('chatgpt'));
-    overlay.addEventListener('click', (e) => {
-      if (e.target === overlay) cleanup(null);
-    });
+    console.log(`Found ${notes.length} post-it notes in ${file.name}`);
 
-    document.addEventListener('keydown', handleKey);
+    const offsets = layoutPostIts(notes);
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    const cardIds = [];
 
-    // Add hover effects
-    [geminiBtn, chatgptBtn].forEach(btn => {
-      btn.addEventListener('mouseenter', () => {
-        btn.style.borderColor = 'var(--accent-color)';
-        btn.style.transform = 'scale(1.05)';
+    for (const [index, note] of notes.entries()) {
+      const blob = await cropPostIt(image, note);
+      const noteFile = new File([blob], `${baseName}-lapp-${index + 1}.jpg`, {
+        type: 'image/jpeg',
+        lastModified: file.lastModified
       });
-      btn.addEventListener('mouseleave', () => {
-        btn.style.borderColor = 'var(--border-color)';
-        btn.style.transform = 'scale(1)';
+      const processed = await processImage(noteFile, quality);
+
+      const cardId = await createCard({
+        text: noteFile.name,
+        tags: ['bild', 'post-it'],
+        cardColor: mapNoteColorToCard(note.color),
+        position: {
+          x: position.x + offsets[index].x,
+          y: position.y + offsets[index].y
+        },
+        image: {
+          base64: processed.base64,
+          width: processed.metadata.width,
+          height: processed.metadata.height,
+          quality: processed.metadata.quality
+        },
+        metadata: {
+          ...processed.metadata,
+          sourceFile: file.name,
+          sourceRegion: { x: note.x, y: note.y, width: note.width, height: note.height }
+        }
       });
-    });
+      cardIds.push(cardId);
+    }
 
-    // Build context preview
-    const contextPreviewEl = dialog.querySelector('#aiContextPreview');
-    buildAIContextSnapshot()
-      .then(summary => {
-        cachedContext = summary;
-        contextPreviewEl.textContent = summary || 'Kunde inte bygga en kort kontext. Starta ändå – modellen får markeringar om du har valt kort.';
-      })
-      .catch(() => {
-        contextPreviewEl.textContent = 'Kunde inte bygga en kort kontext (sparar tokens genom att hoppa över).';
-      });
-  });
+    return cardIds;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
 }
 
 /**
- * Show Gemini Assistant dialog
+ * Create multiple cards from pasted text
+ * Format: blocks separated by double newlines
+ * - Last/second-to-last line starting with # = tags
+ * - Last line starting with & = comment
  */
-async function showGeminiAssistant(options = {}) {
-  const { intent = null, prefetchedContextSummary = null } = options;
-  // IMPORTANT: Ensure any chooser overlays are removed when opening the panel
-  const oldChooserOverlays = document.querySelectorAll('.ai-chooser-overlay');
-  oldChooserOverlays.forEach(overlay => overlay.remove());
-
-  // Create side panel (no overlay, user can see canvas)
-  const panel = document.createElement('div');
-  panel.id = 'geminiPanel';
-  panel.style.cssText = `
+export async function createMultipleCardsFromText() {
+  // Show dialog to paste text
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
     position: fixed;
-    right: 0;
     top: 0;
-    height: 100vh;
-    width: 400px;
-    max-width: 90vw;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.7);
+    z-index: 10000;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
     background: var(--bg-primary);
     color: var(--text-primary);
-    box-shadow: -4px 0 24px rgba(0, 0, 0, 0.3);
-    z-index: 9999;
-    display: flex;
-    flex-direction: column;
-    transition: transform 0.3s ease;
+    padding: 24px;
+    border-radius: 12px;
+    max-width: 700px;
+    width: 90%;
+    max-height: 80vh;
+    overflow-y: auto;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
   `;
 
-  // Mobile: bottom panel instead
-  if (window.innerWidth < 768 || (window.innerWidth < 1024 && window.innerHeight > window.innerWidth)) {
-    panel.style.cssText = `
-      position: fixed;
-      bottom: 0;
-      left: 0;
-      right: 0;
-      height: 60vh;
-      max-height: 80vh;
-      width: 100%;
-      background: var(--bg-primary);
-      color: var(--text-primary);
-      box-shadow: 0 -4px 24px rgba(0, 0, 0, 0.3);
-      z-index: 9999;
-      display: flex;
-      flex-direction: column;
-      transition: transform 0.3s ease;
-      border-radius: 16px 16px 0 0;
-    `;
-  }
+  dialog.innerHTML = `
+    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
+      Skapa flera kort från text
+    </h3>
 
-  panel.innerHTML = `
-    <div style="padding: 16px; border-bottom: 1px solid var(--border-color); display: flex; align-items: center; justify-content: space-between;">
-      <h3 style="margin: 0; font-size: 18px; font-weight: 600;">
-        🤖 Gemini Chat
-      </h3>
-      <div style="display: flex; gap: 12px;">
-        <button id="geminiSwitchModel" title="Byt AI-modell" style="background: none; border: 1px solid var(--border-color); font-size: 13px; cursor: pointer; color: var(--text-secondary); padding: 6px 10px; border-radius: 8px;">Byt</button>
-        <button id="geminiMinimize" title="Minimera (sparar konversationen)" style="background: none; border: none; font-size: 20px; cursor: pointer;
-                color: var(--text-secondary); padding: 0; line-height: 1;">−</button>
-        <button id="geminiClose" title="Stäng (raderar konversationen)" style="background: none; border: none; font-size: 24px; cursor: pointer;
-                color: var(--text-secondary); padding: 0; line-height: 1;">&times;</button>
-      </div>
-    </div>
-    <div id="chatMessages" style="
-      flex: 1;
-      overflow-y: auto;
-      padding: 16px;
-      display: flex;
-      flex-direction: column;
-      gap: 12px;
-    "></div>
-    <div id="voiceIndicator" style="
-      display: none;
-      padding: 8px 12px;
-      margin: 0 16px;
-      background: rgba(255, 0, 0, 0.1);
-      border: 1px solid #ff0000;
-      border-radius: 8px;
-      margin-bottom: 8px;
-      text-align: center;
-      font-size: 14px;
-    ">
-      🔴 Lyssnar... <span id="voiceTranscript" style="font-style: italic;"></span>
+    <div style="margin-bottom: 16px; font-size: 14px; color: var(--text-secondary);">
+      <strong>Format:</strong><br>
+      • Separera kort med dubbel radbrytning (tom rad)<br>
+      • Sista/näst sista rad börjar med <code>#</code> → taggar<br>
+      • Sista rad börjar med <code>&</code> → kommentar
     </div>
-    <div id="inputArea" style="padding: 16px; border-top: 1px solid var(--border-color); display: flex; gap: 8px; align-items: center;">
-      <input type="text" id="geminiQuery" placeholder="Skriv eller håll 'V' för röst..."
-        style="flex: 1; padding: 12px; font-size: 14px;
+
+    <div style="margin-bottom: 16px;">
+      <textarea id="multiImportText"
+        placeholder="Första kortet här
+
+Andra kortet här
+#tag1 #tag2
+
+Tredje kortet med kommentar
+& Detta är en kommentar"
+        style="width: 100%; height: 300px; padding: 12px; font-size: 14px;
                border: 2px solid var(--border-color); border-radius: 8px;
                background: var(--bg-secondary); color: var(--text-primary);
-               font-family: sans-serif; box-sizing: border-box;" />
-      <button id="geminiVoice" style="padding: 12px; background: var(--bg-secondary);
-              color: var(--text-primary); border: 2px solid var(--border-color); border-radius: 8px;
-              cursor: pointer; font-size: 20px; line-height: 1; width: 48px; height: 48px;
-              display: flex; align-items: center; justify-content: center;">🎤</button>
-      <button id="geminiAsk" style="padding: 12px 20px; background: var(--accent-color);
-              color: white; border: none; border-radius: 8px; cursor: pointer;
-              font-size: 14px; white-space: nowrap;">Skicka</button>
+               font-family: 'Courier New', monospace; resize: vertical; box-sizing: border-box;">
+      </textarea>
     </div>
-  `;
 
-  document.body.appendChild(panel);
+    <div style="display: flex; gap: 12px; justify-content: space-between; align-items: center;">
+      <button id="cancelMultiImport" style="
+        padding: 10px 20px;
+        border: 2px solid var(--border-color);
+        background: transparent;
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;">
+        Avbryt
+      </button>
+      <div style="display: flex; gap: 12px;">
+        <button id="createWithGemini" style="
+          padding: 10px 20px;
+          border: 2px solid var(--accent-color);
+          background: transparent;
+          color: var(--accent-color);
+          border-radius: 8px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 500;">
+          ✨ Analysera med Gemini
+        </button>
+        <button id="createMultiImport" style="
+          padding: 10px 20px;
+          border: none;
+          background: var(--accent-color);
+          color: white;
+          border-radius: 8px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 500;">
+          Skapa kort
+        </button>
+      </div>
+    </div>
+  `;
 
-  const queryInput = document.getElementById('geminiQuery');
-  const chatMessages = document.getElementById('chatMessages');
-  const askBtn = document.getElementById('geminiAsk');
-  const closeBtn = document.getElementById('geminiClose');
-  const switchModelBtn = document.getElementById('geminiSwitchModel');
-  const minimizeBtn = document.getElementById('geminiMinimize');
-  const voiceBtn = document.getElementById('geminiVoice');
-  const voiceIndicator = document.getElementById('voiceIndicator');
-  const voiceTranscript = document.getElementById('voiceTranscript');
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
 
-  // Conversation history
-  const conversationHistory = loadConversationHistory('gemini');
-  const persistHistory = () => saveConversationHistory('gemini', conversationHistory);
+  const textarea = document.getElementById('multiImportText');
+  textarea.focus();
 
-  // Create minimize floating button (initially hidden)
-  const floatingBtn = document.createElement('button');
-  floatingBtn.id = 'geminiFloatingBtn';
-  floatingBtn.innerHTML = '🤖';
-  floatingBtn.title = 'Expandera Gemini Chat';
-  floatingBtn.style.cssText = `
-    position: fixed;
-    bottom: 96px;
-    right: 24px;
-    width: 56px;
-    height: 56px;
-    border-radius: 50%;
-    background: var(--accent-color);
-    color: white;
-    border: none;
-    font-size: 28px;
-    cursor: pointer;
-    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-    z-index: 9998;
-    display: none;
-    align-items: center;
-    justify-content: center;
-    transition: transform 0.2s;
-  `;
-  floatingBtn.addEventListener('mouseenter', () => {
-    floatingBtn.style.transform = 'scale(1.1)';
-  });
-  floatingBtn.addEventListener('mouseleave', () => {
-    floatingBtn.style.transform = 'scale(1)';
-  });
-  document.body.appendChild(floatingBtn);
+  return new Promise((resolve) => {
+    const cleanup = () => {
+      overlay.remove();
+      resolve();
+    };
 
-  // Minimize function
-  const minimize = () => {
-    persistHistory();
-    panel.style.display = 'none';
-    floatingBtn.style.display = 'flex';
-  };
+    document.getElementById('cancelMultiImport').onclick = cleanup;
 
-  // Expand function
-  const expand = () => {
-    panel.style.display = 'flex';
-    floatingBtn.style.display = 'none';
-    queryInput.focus();
-  };
+    // Gemini analysis button
+    document.getElementById('createWithGemini').onclick = async () => {
+      const text = textarea.value.trim();
+      if (!text) {
+        alert('Klistra in text först!');
+        return;
+      }
 
-  // Focus input
-  queryInput.focus();
+      // Get API key
+      const apiKeyFromStorage = localStorage.getItem('googleAiApiKey');
 
-  // Speech Recognition Setup
-  let recognition = null;
-  let isRecording = false;
+      if (!apiKeyFromStorage) {
+        alert('Du behöver ange din Google AI API-nyckel först. Läs ett bildkort med AI för att ange den.');
+        return;
+      }
 
-  // Check if browser supports speech recognition
-  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-  if (SpeechRecognition) {
-    recognition = new SpeechRecognition();
-    recognition.lang = 'sv-SE'; // Swedish
-    recognition.continuous = false;
-    recognition.interimResults = true;
+      // Show loading state
+      const geminiBtn = document.getElementById('createWithGemini');
+      const originalText = geminiBtn.textContent;
+      geminiBtn.textContent = '✨ Analyserar...';
+      geminiBtn.disabled = true;
 
-    recognition.onstart = () => {
-      isRecording = true;
-      voiceIndicator.style.display = 'block';
-      voiceBtn.style.background = '#ff0000';
-      voiceBtn.style.color = 'white';
-      voiceBtn.textContent = '🔴';
+      try {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKeyFromStorage}`;
 
-      // Minimize input area (hide keyboard)
-      const inputArea = document.getElementById('inputArea');
-      inputArea.style.display = 'none';
-    };
+        const prompt = `Analysera följande text och plocka ut de viktigaste citatena, insikterna eller informationen.
 
-    recognition.onresult = (event) => {
-      const transcript = event.results[0][0].transcript;
-      voiceTranscript.textContent = `"${transcript}"`;
+Skapa 3-8 korta kort (beroende på textens längd och innehåll).
 
-      // If final result, put in input
-      if (event.results[0].isFinal) {
-        queryInput.value = transcript;
-      }
-    };
+För varje kort:
+- "text": Ett nyckelcitat eller viktig punkt (max 2-3 meningar, citera exakt om möjligt)
+- "comments": En kort kommentar om varför detta är viktigt eller kontext (1 mening)
+- "tags": 2-4 relevanta taggar (ämne, kategori, koncept)
 
-    recognition.onend = () => {
-      isRecording = false;
-      voiceIndicator.style.display = 'none';
-      voiceBtn.style.background = 'var(--bg-secondary)';
-      voiceBtn.style.color = 'var(--text-primary)';
-      voiceBtn.textContent = '🎤';
+VIKTIGT: Svara ENDAST med en JSON-array enligt detta format:
 
-      // Restore input area
-      const inputArea = document.getElementById('inputArea');
-      inputArea.style.display = 'flex';
+[
+  {
+    "text": "Nyckelcitat här...",
+    "comments": "Förklaring varför detta är viktigt",
+    "tags": ["tag1", "tag2", "tag3"]
+  }
+]
 
-      // Auto-send if we have text
-      if (queryInput.value.trim()) {
-        setTimeout(() => sendPrompt(), 300);
-      }
-    };
+Text att analysera:
 
-    recognition.onerror = (event) => {
-      console.error('Speech recognition error:', event.error);
-      isRecording = false;
-      voiceIndicator.style.display = 'none';
-      voiceBtn.style.background = 'var(--bg-secondary)';
-      voiceBtn.style.color = 'var(--text-primary)';
-      voiceBtn.textContent = '🎤';
+${text}`;
 
-      // Restore input area
-      const inputArea = document.getElementById('inputArea');
-      inputArea.style.display = 'flex';
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }]
+          })
+        });
 
-      if (event.error === 'no-speech') {
-        addSystemMessage('⚠️ Ingen röst hördes. Försök igen.');
-      } else if (event.error === 'not-allowed') {
-        addSystemMessage('❌ Mikrofon-tillstånd nekades. Aktivera i webbläsaren.');
-      }
-    };
+        if (!response.ok) {
+          throw new Error(`API request failed with status ${response.status}`);
+        }
 
-    // Voice button - click and hold
-    voiceBtn.addEventListener('mousedown', () => {
-      if (!isRecording) {
-        recognition.start();
-      }
-    });
+        const data = await response.json();
+        const rawText = data.candidates[0].content.parts[0].text;
 
-    voiceBtn.addEventListener('mouseup', () => {
-      if (isRecording) {
-        recognition.stop();
-      }
-    });
+        let cards;
+        try {
+          const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/) || rawText.match(/```\s*([\s\S]*?)\s*```/);
+          const jsonText = jsonMatch ? jsonMatch[1] : rawText;
+          cards = JSON.parse(jsonText.trim());
+        } catch (parseError) {
+          console.error('Failed to parse Gemini response:', parseError);
+          throw new Error('Kunde inte tolka Geminis svar. Försök igen.');
+        }
 
-    // Touch support
-    voiceBtn.addEventListener('touchstart', (e) => {
-      e.preventDefault();
-      if (!isRecording) {
-        recognition.start();
-      }
-    });
+        if (!Array.isArray(cards)) {
+          throw new Error('Gemini returnerade inte en array av kort.');
+        }
 
-    voiceBtn.addEventListener('touchend', (e) => {
-      e.preventDefault();
-      if (isRecording) {
-        recognition.stop();
-      }
-    });
+        // Create cards
+        const allCards = await getAllCards();
+        const maxY = allCards.length > 0 ? Math.max(...allCards.map(c => c.position?.y || 0)) : 0;
+        const startPosition = {
+          x: 300,
+          y: maxY + 200
+        };
 
-  } else {
-    // Hide voice button if not supported
-    voiceBtn.style.display = 'none';
-    console.warn('Speech recognition not supported in this browser');
-  }
+        for (let index = 0; index < cards.length; index++) {
+          const cardData = cards[index];
+          const position = {
+            x: startPosition.x + (index % 5) * 50,
+            y: startPosition.y + Math.floor(index / 5) * 250
+          };
 
-  // Global 'V' key push-to-talk
-  const handleVoiceKey = (e) => {
-    if (e.key === 'v' && !e.ctrlKey && !e.metaKey && !e.altKey) {
-      // Only if not typing in an input
-      if (document.activeElement !== queryInput &&
-          document.activeElement.tagName !== 'INPUT' &&
-          document.activeElement.tagName !== 'TEXTAREA') {
-        e.preventDefault();
-        if (!isRecording && recognition) {
-          recognition.start();
+          await createCard({
+            text: cardData.text || '',
+            tags: cardData.tags || [],
+            comments: cardData.comments || '',
+            position: position
+          });
         }
+
+        cleanup();
+        await reloadCanvas();
+        alert(`✅ Gemini skapade ${cards.length} kort från texten!`);
+
+      } catch (error) {
+        console.error('Gemini error:', error);
+        alert(`❌ Fel: ${error.message}`);
+        geminiBtn.textContent = originalText;
+        geminiBtn.disabled = false;
       }
-    }
-  };
+    };
 
-  const handleVoiceKeyUp = (e) => {
-    if (e.key === 'v') {
-      if (isRecording && recognition) {
-        recognition.stop();
+    document.getElementById('createMultiImport').onclick = async () => {
+      const text = textarea.value.trim();
+      if (!text) {
+        cleanup();
+        return;
       }
-    }
-  };
 
-  document.addEventListener('keydown', handleVoiceKey);
-  document.addEventListener('keyup', handleVoiceKeyUp);
+      // Split on double line breaks
+      const blocks = text.split(/\n\s*\n/).filter(block => block.trim());
 
-  // Function to add message to chat
-  const addMessage = (text, isUser) => {
-    const messageDiv = document.createElement('div');
-    messageDiv.style.cssText = `
-      padding: 12px;
-      border-radius: 12px;
-      max-width: 85%;
-      word-wrap: break-word;
-      line-height: 1.5;
-      ${isUser ? `
-        background: var(--accent-color);
-        color: white;
-        align-self: flex-end;
-        margin-left: auto;
-      ` : `
-        background: var(--bg-primary);
-        color: var(--text-primary);
-        border: 1px solid var(--border-color);
-        align-self: flex-start;
-      `}
-    `;
+      console.log(`Creating ${blocks.length} cards from text blocks`);
 
-    // Render markdown for Gemini responses, plain text for user messages
-    if (isUser) {
-      messageDiv.textContent = text;
-    } else {
-      // Parse markdown and render as HTML
-      const htmlContent = marked.parse(text);
-      messageDiv.innerHTML = htmlContent;
+      const cards = await getAllCards();
+      const maxY = cards.length > 0 ? Math.max(...cards.map(c => c.position?.y || 0)) : 0;
+      const startPosition = {
+        x: 300,
+        y: maxY + 200
+      };
 
-      // Add styling for markdown elements
-      messageDiv.querySelectorAll('p').forEach(p => p.style.margin = '0.5em 0');
-      messageDiv.querySelectorAll('ul, ol').forEach(list => {
-        list.style.marginLeft = '1.5em';
-        list.style.marginTop = '0.5em';
-        list.style.marginBottom = '0.5em';
-      });
-      messageDiv.querySelectorAll('li').forEach(li => li.style.marginBottom = '0.25em');
-      messageDiv.querySelectorAll('strong').forEach(strong => strong.style.fontWeight = 'bold');
-      messageDiv.querySelectorAll('code').forEach(code => {
-        code.style.cssText = `
-          background: var(--bg-secondary);
-          padding: 2px 6px;
-          border-radius: 4px;
-          font-family: monospace;
-          font-size: 0.9em;
-        `;
-      });
-      messageDiv.querySelectorAll('pre').forEach(pre => {
-        pre.style.cssText = `
-          background: var(--bg-secondary);
-          padding: 12px;
-          border-radius: 6px;
-          overflow-x: auto;
-          margin: 0.5em 0;
-        `;
-        const codeEl = pre.querySelector('code');
-        if (codeEl) {
-          codeEl.style.background = 'none';
-          codeEl.style.padding = '0';
+      let createdCount = 0;
+
+      for (let index = 0; index < blocks.length; index++) {
+        const block = blocks[index];
+        const lines = block.trim().split('\n').map(l => l.trim());
+
+        let cardText = '';
+        let tags = [];
+        let comments = '';
+
+        // Check last line for comment (starts with &)
+        const lastLine = lines[lines.length - 1];
+        let textLines = [...lines];
+
+        if (lastLine.startsWith('&')) {
+          comments = lastLine.substring(1).trim();
+          textLines = lines.slice(0, -1);
         }
-      });
-    }
 
-    chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
-  };
+        // Check last or second-to-last line for tags (starts with #)
+        const checkLine = textLines[textLines.length - 1];
+        if (checkLine && checkLine.startsWith('#')) {
+          const tagMatches = checkLine.match(/#\w+/g);
+          if (tagMatches) {
+            tags = tagMatches.map(tag => tag.substring(1));
+            textLines = textLines.slice(0, -1);
+          }
+        }
 
-  // Function to add system message (thinking, errors, etc.)
-    const addSystemMessage = (text) => {
-      const messageDiv = document.createElement('div');
-      messageDiv.style.cssText = `
-        padding: 8px 12px;
-        border-radius: 8px;
-      font-size: 13px;
-      color: var(--text-secondary);
-      font-style: italic;
-      text-align: center;
-      background: var(--bg-secondary);
-    `;
-    messageDiv.textContent = text;
-    chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
-    return messageDiv;
-  };
+        cardText = textLines.join('\n').trim();
 
-  const renderStoredConversation = () => {
-    if (!conversationHistory.length) return;
+        // Skip empty cards
+        if (!cardText && tags.length === 0) continue;
 
-    conversationHistory.forEach(msg => {
-      if (msg.role === 'assistant') {
-        addMessage(msg.text, false);
-      } else if (msg.role === 'user') {
-        addMessage(msg.text, true);
-      } else {
-        addSystemMessage(msg.text);
-      }
-    });
+        // Create card
+        const position = {
+          x: startPosition.x + (index % 5) * 50,
+          y: startPosition.y + Math.floor(index / 5) * 250
+        };
 
-    addSystemMessage(`🔁 Fortsätter tidigare chatt (${conversationHistory.length} meddelanden).`);
-  };
+        await createCard({
+          text: cardText,
+          tags: tags,
+          comments: comments,
+          position: position
+        });
 
-  // Escape key handler (declare before cleanup so we can reference it)
-  const handleEscape = (e) => {
-    if (e.key === 'Escape') {
-      cleanup();
-    }
-  };
+        createdCount++;
+      }
 
-  // Cleanup function
-  const cleanup = () => {
-    persistHistory();
-    document.removeEventListener('keydown', handleEscape);
-    document.removeEventListener('keydown', handleVoiceKey);
-    document.removeEventListener('keyup', handleVoiceKeyUp);
+      console.log(`Multi-import complete: ${createdCount} cards created`);
 
-    // Stop any ongoing recording
-    if (isRecording && recognition) {
-      recognition.stop();
-    }
+      cleanup();
+      await reloadCanvas();
 
-    // Remove panel and floating button
-    panel.remove();
-    floatingBtn.remove();
-  };
+      // Show success message
+      alert(`✅ Skapade ${createdCount} kort från texten!`);
+    };
 
-  // Close button handler
-  closeBtn.addEventListener('click', cleanup);
+    // Escape to close
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        cleanup();
+      }
+    });
+  });
+}
 
-  // Switch model handler
-  const handleSwitchModel = async () => {
-    cleanup();
-    await handleAIChooserCommand(true);
-  };
-  switchModelBtn.addEventListener('click', handleSwitchModel);
+/**
+ * Export canvas to readable text (HTML, Markdown, Plain text, CSV or a bibliography)
+ */
+export async function exportToReadableText() {
+  // Show format selection dialog
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.7);
+    z-index: 10000;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+  `;
 
-  // Minimize button handler
-  minimizeBtn.addEventListener('click', minimize);
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    padding: 24px;
+    border-radius: 12px;
+    max-width: 500px;
+    width: 90%;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+  `;
 
-  // Floating button handler (expand)
-  floatingBtn.addEventListener('click', expand);
+  dialog.innerHTML = `
+    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
+      Exportera till läsbar text
+    </h3>
 
-  // Add Escape key listener
-  document.addEventListener('keydown', handleEscape);
+    <div style="margin-bottom: 20px; font-size: 14px; color: var(--text-secondary);">
+      Välj vilket format du vill exportera till:
+    </div>
 
-  // Define tools that Gemini can use (moved outside handler for reuse)
-  const tools = [{
-    functionDeclarations: [
-      {
-        name: 'searchCards',
-        description: 'Sök efter kort baserat på text, tags eller innehåll. Returnerar matchande kort-ID:n.',
-        parameters: {
-          type: 'object',
-          properties: {
-            query: {
-              type: 'string',
-              description: 'Sökfråga (kan använda Boolean search: AND, OR, NOT)'
-            }
-          },
-          required: ['query']
-        }
-      },
-      {
-        name: 'getAllCards',
-        description: 'Hämta alla kort med deras data (text, tags, färg, position, skapandedatum, metadata etc.)',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'listAllTags',
-        description: 'Lista alla unika tags som finns i systemet med antal kort per tagg. Använd detta FÖRST för att se vilka tags som finns.',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'filterImageCards',
-        description: 'Filtrera och markera alla kort som INNEHÅLLER en bild (image). Använd detta istället för att söka efter tagg "bild".',
-        parameters: {
-          type: 'object',
-          properties: {
-            hasImage: {
-              type: 'boolean',
-              description: 'true för att hitta bildkort, false för att hitta textkort (standard: true)'
-            }
-          }
-        }
-      },
-      {
-        name: 'filterCardsByTag',
-        description: 'Filtrera kort baserat på en specifik tagg',
-        parameters: {
-          type: 'object',
-          properties: {
-            tag: {
-              type: 'string',
-              description: 'Taggen att filtrera på'
-            }
-          },
-          required: ['tag']
-        }
-      },
-      {
-        name: 'filterCardsByDateRange',
-        description: 'Filtrera kort som skapades under en viss tidsperiod (t.ex. en specifik vecka, månad, eller dag)',
-        parameters: {
-          type: 'object',
-          properties: {
-            startDate: {
-              type: 'string',
-              description: 'Startdatum i ISO-format (YYYY-MM-DD eller YYYY-MM-DDTHH:mm:ss)'
-            },
-            endDate: {
-              type: 'string',
-              description: 'Slutdatum i ISO-format (YYYY-MM-DD eller YYYY-MM-DDTHH:mm:ss)'
-            }
-          },
-          required: ['startDate', 'endDate']
-        }
-      },
-      {
-        name: 'filterCardsByMentionedDate',
-        description: 'Filtrera kort som nämner eller innehåller ett specifikt datum (från text, metadata eller Gemini-extraherade datum)',
-        parameters: {
-          type: 'object',
-          properties: {
-            date: {
-              type: 'string',
-              description: 'Datum att söka efter (YYYY-MM-DD format)'
-            }
-          },
-          required: ['date']
-        }
-      },
-      {
-        name: 'getUpcomingCalendar',
-        description: 'Hämta kommande kalenderhändelser från Google Calendar för de närmaste veckorna. ANVÄND för att se vad användaren har för sig framöver!',
-        parameters: {
-          type: 'object',
-          properties: {
-            weeks: {
-              type: 'number',
-              description: 'Antal veckor att hämta (standard: 3)'
-            }
-          }
-        }
-      },
-      {
-        name: 'getTodayCalendar',
-        description: 'Hämta dagens kalenderhändelser från Google Calendar. ANVÄND för "vad har jag idag?" eller "dagens schema"',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'getThisWeekCalendar',
-        description: 'Hämta denna veckans kalenderhändelser från Google Calendar. ANVÄND för "hur ser min vecka ut?"',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'createCardsFromCalendar',
-        description: 'Skapa kort från Google Calendar-händelser. Skapar INTE duplicat - kollar calendarEventId. ANVÄND för "importera min kalender" eller "skapa kort från mina möten"',
-        parameters: {
-          type: 'object',
-          properties: {
-            weeks: {
-              type: 'number',
-              description: 'Antal veckor framåt att hämta händelser från (standard: 2)'
-            }
-          }
-        }
-      },
-      {
-        name: 'selectCards',
-        description: 'Markera/välj specifika kort baserat på deras ID:n. Korten blir visuellt markerade och kan sedan användas för andra operationer.',
-        parameters: {
-          type: 'object',
-          properties: {
-            cardIds: {
-              type: 'array',
-              items: { type: 'number' },
-              description: 'Array av kort-ID:n att markera'
-            }
-          },
-          required: ['cardIds']
-        }
-      },
-      {
-        name: 'addTagsToCards',
-        description: 'Lägg till en eller flera taggar till specifika kort. Om taggen redan finns på kortet ignoreras den.',
-        parameters: {
-          type: 'object',
-          properties: {
-            cardIds: {
-              type: 'array',
-              items: { type: 'number' },
-              description: 'Array av kort-ID:n att lägga till taggar på'
-            },
-            tags: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Array av taggar att lägga till'
-            }
-          },
-          required: ['cardIds', 'tags']
-        }
-      },
-      {
-        name: 'removeTagsFromCards',
-        description: 'Ta bort en eller flera taggar från specifika kort.',
-        parameters: {
-          type: 'object',
-          properties: {
-            cardIds: {
-              type: 'array',
-              items: { type: 'number' },
-              description: 'Array av kort-ID:n att ta bort taggar från'
-            },
-            tags: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Array av taggar att ta bort'
-            }
-          },
-          required: ['cardIds', 'tags']
-        }
-      },
-      {
-        name: 'updateCards',
-        description: 'Uppdatera position, färg eller tags för flera kort samtidigt. Använd detta för att arrangera kort i rumsliga mönster (grids, kluster, timelines etc). Kom ihåg: kort är 200×150px, 13-20px spacing = samma grupp, 200-300px = olika grupper.',
-        parameters: {
-          type: 'object',
-          properties: {
-            updates: {
-              type: 'array',
-              description: 'Array av uppdateringar att utföra',
-              items: {
-                type: 'object',
-                properties: {
-                  id: { type: 'number', description: 'Kort-ID' },
-                  x: { type: 'number', description: 'Ny X-position (valfri)' },
-                  y: { type: 'number', description: 'Ny Y-position (valfri)' },
-                  color: { type: 'string', description: 'Ny färg som hex-kod (valfri)' },
-                  tags: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    description: 'Nya taggar att ersätta befintliga taggar med (valfri)'
-                  }
-                },
-                required: ['id']
-              }
-            }
-          },
-          required: ['updates']
-        }
-      },
-      {
-        name: 'getCanvasInfo',
-        description: 'Hämta information om canvas och kort-dimensioner. Använd detta för att förstå hur mycket utrymme du har att arbeta med.',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      }
-    ]
-  }];
-
-  // Tool registry - actual functions
-  const toolRegistry = {
-    searchCards: async (args) => {
-      await searchCards(args.query);
-      const selectedCount = layer.find('.selected').length;
-      return `Hittade och markerade ${selectedCount} kort.`;
-    },
-    getAllCards: async () => {
-      const cards = await getAllCards();
-      // Check which cards are selected on canvas
-      const selectedCardIds = new Set();
-      layer.find('.selected').forEach(node => {
-        const cardId = node.getAttr('cardId');
-        if (cardId) selectedCardIds.add(cardId);
-      });
+    <div style="display: flex; flex-direction: column; gap: 12px; margin-bottom: 24px;">
+      <button class="export-format-btn" data-format="html" style="
+        padding: 16px;
+        border: 2px solid var(--border-color);
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;
+        text-align: left;
+        transition: all 0.2s;">
+        <div style="font-size: 16px; margin-bottom: 4px;">🌐 HTML</div>
+        <div style="font-size: 12px; opacity: 0.7;">Med färger och layout som kolumnvy</div>
+      </button>
+      <button class="export-format-btn" data-format="markdown" style="
+        padding: 16px;
+        border: 2px solid var(--border-color);
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;
+        text-align: left;
+        transition: all 0.2s;">
+        <div style="font-size: 16px; margin-bottom: 4px;">📝 Markdown</div>
+        <div style="font-size: 12px; opacity: 0.7;">Med formatering (kommentarer kursiverade)</div>
+      </button>
+      <button class="export-format-btn" data-format="markdown-citations" style="
+        padding: 16px;
+        border: 2px solid var(--border-color);
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;
+        text-align: left;
+        transition: all 0.2s;">
+        <div style="font-size: 16px; margin-bottom: 4px;">📝 Markdown med källor</div>
+        <div style="font-size: 12px; opacity: 0.7;">Citat följs av källhänvisning, med källförteckning sist</div>
+      </button>
+      <button class="export-format-btn" data-format="txt" style="
+        padding: 16px;
+        border: 2px solid var(--border-color);
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;
+        text-align: left;
+        transition: all 0.2s;">
+        <div style="font-size: 16px; margin-bottom: 4px;">📄 Plain Text</div>
+        <div style="font-size: 12px; opacity: 0.7;">Enkel text utan formatering</div>
+      </button>
+      <button class="export-format-btn" data-format="csv" style="
+        padding: 16px;
+        border: 2px solid var(--border-color);
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;
+        text-align: left;
+        transition: all 0.2s;">
+        <div style="font-size: 16px; margin-bottom: 4px;">📊 CSV</div>
+        <div style="font-size: 12px; opacity: 0.7;">Alla kortfält, en rad per kort, för analys i kalkylark</div>
+      </button>
+      <button class="export-format-btn" data-format="bibliography" style="
+        padding: 16px;
+        border: 2px solid var(--border-color);
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;
+        text-align: left;
+        transition: all 0.2s;">
+        <div style="font-size: 16px; margin-bottom: 4px;">📚 Bibliografi</div>
+        <div style="font-size: 12px; opacity: 0.7;">Källorna bakom markerade kort (eller alla) som BibTeX och CSL-JSON</div>
+      </button>
+    </div>
 
-      return cards.map(c => ({
-        id: c.id,
-        text: c.text?.substring(0, 100),
-        backText: c.backText?.substring(0, 100),
-        tags: c.tags,
-        cardColor: c.cardColor,
-        hasImage: !!c.image,
-        created: c.created,
-        createdAt: c.metadata?.createdAt,
-        extractedDate: c.geminiMetadata?.extractedDate,
-        extractedDateTime: c.geminiMetadata?.extractedDateTime,
-        selected: selectedCardIds.has(c.id)
-      }));
-    },
-    listAllTags: async () => {
-      const cards = await getAllCards();
-      const tagCounts = new Map();
+    <div style="display: flex; justify-content: flex-end;">
+      <button id="cancelExportText" style="
+        padding: 10px 20px;
+        border: 2px solid var(--border-color);
+        background: transparent;
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;">
+        Avbryt
+      </button>
+    </div>
+  `;
 
-      // Count occurrences of each tag
-      for (const card of cards) {
-        if (card.tags && Array.isArray(card.tags)) {
-          for (const tag of card.tags) {
-            tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
-          }
-        }
-      }
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
 
-      // Convert to array and sort by count (descending)
-      const tagList = Array.from(tagCounts.entries())
-        .map(([tag, count]) => ({ tag, count }))
-        .sort((a, b) => b.count - a.count);
+  return new Promise((resolve) => {
+    const cleanup = () => {
+      overlay.remove();
+      resolve();
+    };
 
-      const summary = tagList.map(t => `${t.tag} (${t.count})`).join(', ');
-      return {
-        totalUniqueTags: tagList.length,
-        totalCards: cards.length,
-        tags: tagList,
-        summary: `Hittade ${tagList.length} unika tags: ${summary}`
-      };
-    },
-    filterImageCards: async (args) => {
-      const hasImage = args.hasImage !== false; // Default to true
-      const cards = await getAllCards();
+    document.getElementById('cancelExportText').onclick = cleanup;
 
-      // Filter cards based on whether they have an image
-      const matchingIds = cards
-        .filter(c => hasImage ? !!c.image : !c.image)
-        .map(c => c.id);
-
-      // Deselect all first, then select matching
-      deselectAllCards();
-      matchingIds.forEach(id => {
-        const node = layer.findOne(n => n.getAttr('cardId') === id);
-        if (node) {
-          node.addName('selected'); // Add class name for consistency
-          const background = node.findOne('Rect');
-          if (background) {
-            background.stroke('#2196F3');
-            background.strokeWidth(3);
-          }
-        }
+    // Add hover effects
+    const buttons = dialog.querySelectorAll('.export-format-btn');
+    buttons.forEach(btn => {
+      btn.addEventListener('mouseenter', () => {
+        btn.style.borderColor = 'var(--accent-color)';
+        btn.style.background = 'var(--bg-primary)';
       });
-      layer.batchDraw();
-
-      const cardType = hasImage ? 'bildkort' : 'textkort';
-      return `Markerade ${matchingIds.length} ${cardType} (av totalt ${cards.length} kort).`;
-    },
-    filterCardsByTag: async (args) => {
-      await searchCards(`tags:${args.tag}`);
-      const selectedCount = layer.find('.selected').length;
-      return `Markerade ${selectedCount} kort med taggen "${args.tag}".`;
-    },
-    filterCardsByDateRange: async (args) => {
-      const startTime = new Date(args.startDate).getTime();
-      const endTime = new Date(args.endDate).getTime();
-
-      const cards = await getAllCards();
-      const matchingIds = cards
-        .filter(c => c.created >= startTime && c.created <= endTime)
-        .map(c => c.id);
-
-      // Deselect all first, then select matching
-      deselectAllCards();
-      matchingIds.forEach(id => {
-        const node = layer.findOne(n => n.getAttr('cardId') === id);
-        if (node) {
-          node.addName('selected'); // Add class name for consistency
-          const background = node.findOne('Rect');
-          if (background) {
-            background.stroke('#2196F3');
-            background.strokeWidth(3);
-          }
-        }
+      btn.addEventListener('mouseleave', () => {
+        btn.style.borderColor = 'var(--border-color)';
+        btn.style.background = 'var(--bg-secondary)';
       });
-      layer.batchDraw();
-
-      return `Markerade ${matchingIds.length} kort skapade mellan ${args.startDate} och ${args.endDate}.`;
-    },
-    filterCardsByMentionedDate: async (args) => {
-      const searchDate = args.date; // YYYY-MM-DD
-
-      const cards = await getAllCards();
-      const matchingIds = [];
-
-      for (const card of cards) {
-        // Check Gemini extracted dates
-        if (card.geminiMetadata?.extractedDate === searchDate ||
-            card.geminiMetadata?.extractedDateTime?.startsWith(searchDate)) {
-          matchingIds.push(card.id);
-          continue;
-        }
-
-        // Check if date is mentioned in text or backText
-        const allText = `${card.text || ''} ${card.backText || ''}`.toLowerCase();
-        if (allText.includes(searchDate)) {
-          matchingIds.push(card.id);
-          continue;
-        }
+      btn.addEventListener('click', async () => {
+        const format = btn.dataset.format;
+        cleanup();
+        await performExport(format);
+      });
+    });
 
-        // Check date hashtags (e.g. #250819 for 2025-08-19)
-        const dateTag = searchDate.replace(/^20/, '').replace(/-/g, ''); // Convert 2025-08-19 to 250819
-        if (card.tags?.some(tag => tag.includes(dateTag))) {
-          matchingIds.push(card.id);
-        }
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        cleanup();
       }
+    });
+  });
+}
 
-      // Deselect all first, then select matching
-      deselectAllCards();
-      matchingIds.forEach(id => {
-        const node = layer.findOne(n => n.getAttr('cardId') === id);
-        if (node) {
-          node.addName('selected'); // Add class name for consistency
-          const background = node.findOne('Rect');
-          if (background) {
-            background.stroke('#2196F3');
-            background.strokeWidth(3);
-          }
-        }
-      });
-      layer.batchDraw();
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
 
-      return `Markerade ${matchingIds.length} kort som nämner datumet ${searchDate}.`;
-    },
-    arrangeCardsInGrid: async (args) => {
-      const columns = args.columns || 4;
-      const spacing = args.spacing || 13;  // Reduced by 1/3 (was 20)
-      const offsetX = args.offsetX || 0;
-      const offsetY = args.offsetY || 0;
+async function performExport(format) {
+  const cards = await getAllCards();
+  const boardFrames = await getFrames();
 
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) {
-        return 'Inga kort är markerade. Markera kort först för att arrangera dem.';
-      }
+  if (cards.length === 0) {
+    alert('Inga kort att exportera!');
+    return;
+  }
 
-      // Get card dimensions (assume all cards are same size for simplicity)
-      const cardWidth = 200;
-      const cardHeight = 150;
+  let content = '';
+  let filename = '';
+  let mimeType = '';
 
-      // Arrange in grid with offset
-      selectedNodes.forEach((node, index) => {
-        const row = Math.floor(index / columns);
-        const col = index % columns;
+  const timestamp = new Date().toISOString().split('T')[0];
 
-        const x = offsetX + col * (cardWidth + spacing);
-        const y = offsetY + row * (cardHeight + spacing);
+  if (format === 'bibliography') {
+    await exportBibliography(cards, timestamp);
+    return;
+  }
 
-        node.position({ x, y });
-      });
+  if (format === 'html') {
+    content = generateHTML(cards, boardFrames);
+    filename = `spatial-view-${timestamp}.html`;
+    mimeType = 'text/html';
+  } else if (format === 'markdown') {
+    content = generateMarkdown(cards, boardFrames);
+    filename = `spatial-view-${timestamp}.md`;
+    mimeType = 'text/markdown';
+  } else if (format === 'markdown-citations') {
+    content = generateMarkdown(cards, boardFrames, { withCitations: true });
+    filename = `spatial-view-${timestamp}.md`;
+    mimeType = 'text/markdown';
+  } else if (format === 'txt') {
+    content = generatePlainText(cards);
+    filename = `spatial-view-${timestamp}.txt`;
+    mimeType = 'text/plain';
+  } else if (format === 'csv') {
+    content = cardsToCSV(cards, new Map(boardFrames.map(frame => [frame.id, frame.name])));
+    filename = `spatial-view-${timestamp}.csv`;
+    mimeType = 'text/csv';
+  }
 
-      layer.batchDraw();
+  downloadFile(content, filename, mimeType);
 
-      const rows = Math.ceil(selectedNodes.length / columns);
-      return `Arrangerade ${selectedNodes.length} kort i ett ${columns}x${rows} rutnät på position (${offsetX}, ${offsetY}).`;
-    },
-    groupCardsByCategory: async (args) => {
-      const categoryTag = args.categoryTag;
+  console.log(`Exported ${cards.length} cards to ${format.toUpperCase()}`);
+}
 
-      // First, filter cards by the category tag
-      await searchCards(`tags:${categoryTag}`);
-
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) {
-        return `Inga kort hittades med taggen "${categoryTag}".`;
-      }
+/**
+ * Distinct sources of the selected cards (all cards if none are selected) as .bib and CSL-JSON
+ */
+async function exportBibliography(cards, timestamp) {
+  const selectedIds = new Set(layer.find('.selected').map(node => node.getAttr('cardId')));
+  const sourceCards = selectedIds.size > 0 ? cards.filter(card => selectedIds.has(card.id)) : cards;
+  const sources = collectSources(sourceCards);
+
+  if (sources.length === 0) {
+    alert(selectedIds.size > 0
+      ? 'De markerade korten har inga källhänvisningar. Importera citat från Zotero RDF för att få källor på korten.'
+      : 'Inga kort med källhänvisningar. Importera citat från Zotero RDF för att få källor på korten.');
+    return;
+  }
 
-      // Arrange them in a grid
-      const columns = 4;
-      const spacing = 13;  // Reduced by 1/3 (was 20)
-      const cardWidth = 200;
-      const cardHeight = 150;
+  downloadFile(toBibTeX(sources), `spatial-view-${timestamp}.bib`, 'application/x-bibtex');
+  downloadFile(toCslJson(sources), `spatial-view-${timestamp}.csl.json`, 'application/json');
 
-      selectedNodes.forEach((node, index) => {
-        const row = Math.floor(index / columns);
-        const col = index % columns;
+  console.log(`Exported ${sources.length} sources from ${sourceCards.length} cards to BibTeX and CSL-JSON`);
+}
 
-        const x = col * (cardWidth + spacing);
-        const y = row * (cardHeight + spacing);
+/**
+ * Zotero imports end the card text with the in-text citation paragraph,
+ * which the formatted citation replaces
+ */
+function stripTrailingCitation(text) {
+  const paragraphs = text.trim().split(/\n\s*\n/);
+  if (paragraphs.length > 1 && /^\(.*\)$/s.test(paragraphs[paragraphs.length - 1].trim())) {
+    paragraphs.pop();
+  }
+  return paragraphs.join('\n\n');
+}
 
-        node.position({ x, y });
-      });
+function generateHTML(cards, boardFrames = []) {
+  const colorMap = {
+    'card-color-1': '#d4f2d4',
+    'card-color-2': '#ffe4b3',
+    'card-color-3': '#ffc1cc',
+    'card-color-4': '#fff7b3',
+    'card-color-5': '#f3e5f5',
+    'card-color-6': '#c7e7ff',
+    'card-color-7': '#e0e0e0',
+    'card-color-8': '#ffffff'
+  };
 
-      layer.batchDraw();
+  const renderCardHTML = card => {
+    const bgColor = colorMap[card.cardColor] || '#ffffff';
+    const text = card.text || '';
+    const comments = card.comments || '';
+    const tags = card.tags || [];
+    const backText = card.backText || '';
 
-      return `Grupperade och arrangerade ${selectedNodes.length} kort med kategorin "${categoryTag}".`;
-    },
+    return `
+    <div class="card" style="background-color: ${bgColor};">
+      ${card.image ? '<div class="card-type">🖼️ Bildkort</div>' : ''}
+      <div class="card-text">${escapeHTML(text)}</div>
+      ${backText ? `<div class="card-backtext">${escapeHTML(backText)}</div>` : ''}
+      ${comments ? `<div class="card-comments">${escapeHTML(comments)}</div>` : ''}
+      ${tags.length > 0 ? `<div class="card-tags">${tags.map(tag => `<span class="tag">#${escapeHTML(tag)}</span>`).join(' ')}</div>` : ''}
+    </div>
+    `;
+  };
 
-    arrangeAllTagsInGrids: async () => {
-      console.log('🔍 arrangeAllTagsInGrids: Starting...');
+  // Frames become section headings; without frames the export is a flat list
+  const cardsHTML = boardFrames.length === 0
+    ? cards.map(renderCardHTML).join('\n')
+    : groupCardsByFrame(cards, boardFrames).map(({ frame, cards: sectionCards }) => `
+    <h2 class="frame-heading">${escapeHTML(frame ? frame.name : 'Utan ram')}</h2>
+    ${sectionCards.map(renderCardHTML).join('\n')}
+    `).join('\n');
 
-      // Get all unique tags
-      const cards = await getAllCards();
-      console.log(`📦 Found ${cards.length} cards in database`);
+  return `<!DOCTYPE html>
+<html lang="sv">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Spatial View Export</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      max-width: 800px;
+      margin: 40px auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    h1 {
+      color: #333;
+      margin-bottom: 30px;
+    }
+    .frame-heading {
+      color: #333;
+      margin: 40px 0 16px 0;
+      padding-bottom: 8px;
+      border-bottom: 2px solid #e0e0e0;
+    }
+    .card {
+      margin-bottom: 20px;
+      padding: 20px;
+      border-radius: 8px;
+      border: 1px solid #e0e0e0;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .card-type {
+      font-size: 12px;
+      color: #666;
+      margin-bottom: 8px;
+    }
+    .card-text {
+      font-size: 16px;
+      line-height: 1.5;
+      white-space: pre-wrap;
+      margin-bottom: 8px;
+    }
+    .card-backtext {
+      font-size: 14px;
+      line-height: 1.4;
+      white-space: pre-wrap;
+      margin-top: 12px;
+      padding-top: 12px;
+      border-top: 1px solid rgba(0,0,0,0.1);
+    }
+    .card-comments {
+      font-size: 12px;
+      font-style: italic;
+      color: #666;
+      margin-top: 8px;
+    }
+    .card-tags {
+      margin-top: 12px;
+      font-size: 12px;
+    }
+    .tag {
+      display: inline-block;
+      padding: 4px 8px;
+      background: rgba(0, 102, 204, 0.1);
+      color: #0066cc;
+      border-radius: 4px;
+      margin-right: 6px;
+    }
+  </style>
+</head>
+<body>
+  <h1>Spatial View Export</h1>
+  <div class="cards">
+    ${cardsHTML}
+  </div>
+</body>
+</html>`;
+}
 
-      const tagCounts = new Map();
-      for (const card of cards) {
-        if (card.tags && Array.isArray(card.tags)) {
-          for (const tag of card.tags) {
-            tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
-          }
-        }
-      }
+/**
+ * @param {Object} options - withCitations: quote cards as blockquotes followed by
+ *   their citation, and a reference list at the end
+ */
+function generateMarkdown(cards, boardFrames = [], { withCitations = false } = {}) {
+  const lines = ['# Spatial View Export\n'];
 
-      const tags = Array.from(tagCounts.keys());
-      console.log(`🏷️ Found ${tags.length} unique tags:`, tags);
+  // Frames become ## headings with their cards one level below
+  const sections = boardFrames.length === 0
+    ? [{ frame: null, cards }]
+    : groupCardsByFrame(cards, boardFrames);
+  const cardHeading = boardFrames.length === 0 ? '##' : '###';
+  let index = 0;
 
-      if (tags.length === 0) {
-        return 'Inga taggar hittades.';
-      }
+  sections.forEach(({ frame, cards: sectionCards }) => {
+    if (boardFrames.length > 0) {
+      lines.push(`## ${frame ? frame.name : 'Utan ram'}`);
+      lines.push('');
+    }
 
-      // Constants for layout
-      const cardWidth = 200;
-      const cardHeight = 150;
-      const columns = 4;
-      const spacing = 13;   // Reduced by 1/3 (was 20)
-      const gridGap = 67;   // Reduced by 1/3 (was 100)
-
-      let currentY = 0;
-      let arrangedCount = 0;
-
-      // Arrange each tag group
-      for (const tag of tags) {
-        // Filter cards by this tag
-        const matchingCards = cards.filter(c => c.tags && c.tags.includes(tag));
-        console.log(`🏷️ Tag "${tag}": ${matchingCards.length} cards`);
-
-        if (matchingCards.length === 0) continue;
-
-        // Find and arrange these cards
-        matchingCards.forEach((card, index) => {
-          const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-          if (node) {
-            const row = Math.floor(index / columns);
-            const col = index % columns;
-            const x = col * (cardWidth + spacing);
-            const y = currentY + row * (cardHeight + spacing);
-
-            console.log(`  ➡️ Moving card ${card.id} to (${x}, ${y})`);
-            node.position({ x, y });
-            arrangedCount++;
-          } else {
-            console.warn(`  ⚠️ Node not found for card ${card.id}`);
-          }
-        });
+    sectionCards.forEach(card => {
+      index++;
+      lines.push(`${cardHeading} Kort ${index}`);
 
-        // Move to next group position
-        const rows = Math.ceil(matchingCards.length / columns);
-        currentY += rows * (cardHeight + spacing) + gridGap;
+      if (card.image) {
+        lines.push('*[Bildkort]*');
       }
 
-      console.log(`✅ Calling layer.batchDraw() for ${arrangedCount} cards`);
-      layer.batchDraw();
-
-      return `Arrangerade ${arrangedCount} kort i ${tags.length} tagg-grupper (vertikalt med ${gridGap}px mellanrum).`;
-    },
+      if (withCitations && card.citation && card.text) {
+        lines.push('');
+        lines.push(stripTrailingCitation(card.text).split('\n').map(line => `> ${line}`).join('\n'));
+        lines.push('');
+        lines.push(`— ${formatInTextCitation(card.citation)}`);
+      } else if (card.text) {
+        lines.push('');
+        lines.push(card.text);
+      }
 
-    getUpcomingCalendar: async (args) => {
-      const weeks = args.weeks || 3;
-      try {
-        const events = await getUpcomingCalendarEvents(weeks);
-        return formatEventsForAI(events);
-      } catch (error) {
-        return `Kunde inte hämta kalenderhändelser: ${error.message}. Se till att du har kopplat Google Calendar (samma Client ID som Drive).`;
+      if (card.backText) {
+        lines.push('');
+        lines.push('**Baksida:**');
+        lines.push(card.backText);
       }
-    },
 
-    getTodayCalendar: async () => {
-      try {
-        const events = await getTodayCalendarEvents();
-        return formatEventsForAI(events);
-      } catch (error) {
-        return `Kunde inte hämta dagens händelser: ${error.message}`;
+      if (card.comments) {
+        lines.push('');
+        lines.push(`*${card.comments}*`);
       }
-    },
 
-    getThisWeekCalendar: async () => {
-      try {
-        const events = await getThisWeekCalendarEvents();
-        return formatEventsForAI(events);
-      } catch (error) {
-        return `Kunde inte hämta veckans händelser: ${error.message}`;
+      if (card.tags && card.tags.length > 0) {
+        lines.push('');
+        lines.push(`Tags: ${card.tags.map(tag => `#${tag}`).join(' ')}`);
       }
-    },
 
-    createCardsFromCalendar: async (args) => {
-      const weeks = args.weeks || 2;
-      try {
-        // Get calendar events
-        const events = await getUpcomingCalendarEvents(weeks);
+      lines.push('');
+      lines.push('---');
+      lines.push('');
+    });
+  });
 
-        if (!events || events.length === 0) {
-          return 'Inga kalenderhändelser hittades.';
-        }
+  const sources = withCitations ? collectSources(cards) : [];
+  if (sources.length > 0) {
+    lines.push('## Källor');
+    lines.push('');
+    sources
+      .map(formatReference)
+      .sort((a, b) => a.localeCompare(b, 'sv'))
+      .forEach(reference => lines.push(`- ${reference}`));
+    lines.push('');
+  }
 
-        // Get all existing cards
-        const existingCards = await getAllCards();
+  return lines.join('\n');
+}
 
-        // Find which events already have cards
-        const existingEventIds = new Set(
-          existingCards
-            .filter(c => c.calendarEventId)
-            .map(c => c.calendarEventId)
-        );
+function generatePlainText(cards) {
+  const lines = ['SPATIAL VIEW EXPORT', '===================', ''];
 
-        // Filter to only new events
-        const newEvents = events.filter(e => !existingEventIds.has(e.id));
+  cards.forEach((card, index) => {
+    lines.push(`KORT ${index + 1}`);
+    lines.push('-'.repeat(20));
 
-        if (newEvents.length === 0) {
-          return `Alla ${events.length} kalenderhändelser har redan kort. Inga nya kort skapades.`;
-        }
+    if (card.image) {
+      lines.push('[Bildkort]');
+    }
 
-        // Create cards for new events
-        let createdCount = 0;
-        const createdCards = [];
-
-        for (const event of newEvents) {
-          const startDate = new Date(event.start);
-          const endDate = new Date(event.end);
-
-          // Format card text
-          let cardText = `📅 ${event.summary}\n\n`;
-          cardText += `⏰ ${startDate.toLocaleString('sv-SE', {
-            weekday: 'short',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-          })}`;
-
-          if (!event.isAllDay) {
-            cardText += ` - ${endDate.toLocaleTimeString('sv-SE', { hour: '2-digit', minute: '2-digit' })}`;
-          }
+    if (card.text) {
+      lines.push('');
+      lines.push(card.text);
+    }
 
-          if (event.location) {
-            cardText += `\n📍 ${event.location}`;
-          }
+    if (card.backText) {
+      lines.push('');
+      lines.push('Baksida:');
+      lines.push(card.backText);
+    }
 
-          if (event.description) {
-            cardText += `\n\n${event.description}`;
-          }
+    if (card.comments) {
+      lines.push('');
+      lines.push(`Kommentar: ${card.comments}`);
+    }
 
-          if (event.attendees && event.attendees.length > 0) {
-            cardText += `\n\n👥 ${event.attendees.length} deltagare`;
-          }
+    if (card.tags && card.tags.length > 0) {
+      lines.push('');
+      lines.push(`Tags: ${card.tags.map(tag => `#${tag}`).join(' ')}`);
+    }
 
-          // Create the card with automatic color detection
-          const autoColor = getColorFromText(event.summary);
-          const defaultColor = event.isAllDay ? '#e3f2fd' : '#fff3e0';
-
-          const newCard = await createCard({
-            text: cardText,
-            x: 100 + (createdCount % 5) * 250, // Spread cards horizontally
-            y: 100 + Math.floor(createdCount / 5) * 200,
-            tags: ['calendar', 'meeting'],
-            cardColor: autoColor || defaultColor, // Use subject color if found, otherwise default
-            calendarEventId: event.id, // Store the calendar event ID!
-            calendarEventLink: event.htmlLink,
-            eventDate: event.start // Store event date for sorting
-          });
+    lines.push('');
+    lines.push('');
+  });
 
-          createdCards.push(newCard);
-          createdCount++;
-        }
+  return lines.join('\n');
+}
 
-        // Reload canvas to show new cards
-        await reloadCanvas();
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
 
-        return `Skapade ${createdCount} nya kort från kalendern (${events.length - createdCount} events hade redan kort). De nya korten är taggade med 'calendar' och 'meeting'.`;
+/**
+ * Create cards from text using Gemini to extract key quotes
+ */
+export async function createCardsFromTextWithGemini() {
+  const apiKey = await getGoogleAIAPIKey();
+  if (!apiKey) {
+    console.log('Gemini text splitting cancelled: No API key provided.');
+    return;
+  }
 
-      } catch (error) {
-        console.error('Error creating cards from calendar:', error);
-        return `Kunde inte skapa kort från kalendern: ${error.message}`;
-      }
-    },
+  // Show dialog to paste text
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.7);
+    z-index: 10000;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+  `;
 
-    applySchoolColorScheme: async () => {
-      // Preset color scheme for school subjects (both abbreviations and full names)
-      const schoolColors = [
-        {patterns: ["ma", "matematik"], color: "#2196f3"},           // Matematik - blå
-        {patterns: ["sv", "svenska"], color: "#ffeb3b"},             // Svenska - gul
-        {patterns: ["no", "naturorientering"], color: "#4caf50"},    // NO - grön
-        {patterns: ["eng", "engelska"], color: "#f44336"},           // Engelska - röd
-        {patterns: ["bi", "bild"], color: "#9c27b0"},                // Bild - lila
-        {patterns: ["tk", "teknik"], color: "#9e9e9e"},              // Teknik - grå
-        {patterns: ["spanska", "språk"], color: "#ff9800"},          // Spanska/språk - orange
-        {patterns: ["idh", "idrott"], color: "#e91e63"},             // Idrott - rosa
-        {patterns: ["so", "samhällskunskap"], color: "#ef9a9a"},     // SO - ljusröd
-        {patterns: ["sl", "slöjd"], color: "#fff59d"},               // Slöjd - ljusgul
-        {patterns: ["mu", "musik"], color: "#a5d6a7"},               // Musik - ljusgrön
-        {patterns: ["hkk"], color: "#a5d6a7"},                       // HKK - ljusgrön
-        {patterns: ["lunch"], color: "#ffffff"}                      // Lunch - vit
-      ];
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    padding: 24px;
+    border-radius: 12px;
+    max-width: 700px;
+    width: 90%;
+    max-height: 80vh;
+    overflow-y: auto;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+  `;
 
-      try {
-        const cards = await getAllCards();
-        let coloredCount = 0;
-        const colorSummary = {};
-
-        for (const {patterns, color} of schoolColors) {
-          const matchingCards = cards.filter(card => {
-            const text = (card.text || '').toLowerCase();
-            const backText = (card.backText || '').toLowerCase();
-            const tags = (card.tags || []).join(' ').toLowerCase();
-            const searchText = `${text} ${backText} ${tags}`;
-
-            // Check if any pattern matches
-            return patterns.some(pattern => {
-              const regex = new RegExp(`\\b${pattern}\\b`, 'i');
-              return regex.test(searchText);
-            });
-          });
+  dialog.innerHTML = `
+    <h3 style="margin-top: 0; margin-bottom: 20px; font-size: 20px; font-weight: 600;">
+      ✨ Skapa kort från text med Gemini
+    </h3>
 
-          if (matchingCards.length > 0) {
-            colorSummary[patterns[0]] = matchingCards.length; // Use first pattern for summary
+    <div style="margin-bottom: 16px; font-size: 14px; color: var(--text-secondary);">
+      Klistra in lång text nedan. Gemini kommer analysera texten och plocka ut nyckelcitat,
+      lägga till kommentarer och taggar automatiskt.
+    </div>
 
-            for (const card of matchingCards) {
-              await updateCard(card.id, { cardColor: color });
-              coloredCount++;
+    <div style="margin-bottom: 16px;">
+      <textarea id="geminiSplitText"
+        placeholder="Klistra in din text här..."
+        style="width: 100%; height: 300px; padding: 12px; font-size: 14px;
+               border: 2px solid var(--border-color); border-radius: 8px;
+               background: var(--bg-secondary); color: var(--text-primary);
+               font-family: sans-serif; resize: vertical; box-sizing: border-box;">
+      </textarea>
+    </div>
 
-              // Update visual node color
-              const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-              if (node) {
-                const cardRect = node.findOne('Rect');
-                if (cardRect) {
-                  cardRect.fill(color);
-                }
-              }
-            }
-          }
-        }
-
-        layer.batchDraw();
+    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+      <button id="cancelGeminiSplit" style="
+        padding: 10px 20px;
+        border: 2px solid var(--border-color);
+        background: transparent;
+        color: var(--text-primary);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;">
+        Avbryt
+      </button>
+      <button id="createGeminiSplit" style="
+        padding: 10px 20px;
+        border: none;
+        background: var(--accent-color);
+        color: white;
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;">
+        ✨ Analysera med Gemini
+      </button>
+    </div>
+  `;
 
-        let summary = `Tillämpade skolfärgschema på ${coloredCount} kort:\n`;
-        for (const [pattern, count] of Object.entries(colorSummary)) {
-          summary += `- ${pattern}: ${count} kort\n`;
-        }
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
 
-        return summary;
+  const textarea = document.getElementById('geminiSplitText');
+  textarea.focus();
 
-      } catch (error) {
-        console.error('Error applying school color scheme:', error);
-        return `Kunde inte tillämpa färgschema: ${error.message}`;
-      }
-    },
+  return new Promise((resolve) => {
+    const cleanup = () => {
+      overlay.remove();
+      resolve();
+    };
 
-    colorCardsByPattern: async (args) => {
-      const patterns = args.patterns || []; // Array of {pattern: string, color: string}
+    document.getElementById('cancelGeminiSplit').onclick = cleanup;
 
-      if (patterns.length === 0) {
-        return 'Inga färg-mönster angivna. Exempel: [{pattern: "lunch", color: "#ffeb3b"}, {pattern: "viktigt", color: "#f44336"}]';
+    document.getElementById('createGeminiSplit').onclick = async () => {
+      const text = textarea.value.trim();
+      if (!text) {
+        cleanup();
+        return;
       }
 
+      // Show loading state
+      const createBtn = document.getElementById('createGeminiSplit');
+      const originalText = createBtn.textContent;
+      createBtn.textContent = '✨ Analyserar...';
+      createBtn.disabled = true;
+
       try {
-        const cards = await getAllCards();
-        let coloredCount = 0;
-        const colorSummary = {};
-
-        for (const {pattern, color} of patterns) {
-          const matchingCards = cards.filter(card => {
-            const text = (card.text || '').toLowerCase();
-            const backText = (card.backText || '').toLowerCase();
-            const tags = (card.tags || []).join(' ').toLowerCase();
-            const searchText = `${text} ${backText} ${tags}`;
-            return searchText.includes(pattern.toLowerCase());
-          });
+        // Call Gemini API
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
 
-          colorSummary[pattern] = matchingCards.length;
+        const prompt = `Analysera följande text och plocka ut de viktigaste citatena, insikterna eller informationen.
 
-          for (const card of matchingCards) {
-            await updateCard(card.id, { cardColor: color });
-            coloredCount++;
+Skapa 3-8 korta kort (beroende på textens längd och innehåll).
 
-            // Update visual node color
-            const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-            if (node) {
-              const cardRect = node.findOne('Rect');
-              if (cardRect) {
-                cardRect.fill(color);
-              }
-            }
-          }
-        }
+För varje kort:
+- "text": Ett nyckelcitat eller viktig punkt (max 2-3 meningar, citera exakt om möjligt)
+- "comments": En kort kommentar om varför detta är viktigt eller kontext (1 mening)
+- "tags": 2-4 relevanta taggar (ämne, kategori, koncept)
 
-        layer.batchDraw();
+VIKTIGT: Svara ENDAST med en JSON-array enligt detta format:
 
-        let summary = `Färglade ${coloredCount} kort:\n`;
-        for (const [pattern, count] of Object.entries(colorSummary)) {
-          summary += `- "${pattern}": ${count} kort\n`;
-        }
+[
+  {
+    "text": "Nyckelcitat här...",
+    "comments": "Förklaring varför detta är viktigt",
+    "tags": ["tag1", "tag2", "tag3"]
+  },
+  {
+    "text": "Nästa viktiga citat...",
+    "comments": "Kontext eller förklaring",
+    "tags": ["tag1", "tag2"]
+  }
+]
 
-        return summary;
+Text att analysera:
 
-      } catch (error) {
-        console.error('Error coloring cards:', error);
-        return `Kunde inte färglägga kort: ${error.message}`;
-      }
-    },
+${text}`;
 
-    arrangeCardsByDay: async (args) => {
-      const weeks = args.weeks || 2;
-      const useExtractedDate = args.useExtractedDate !== false; // Default true
+        const payload = {
+          contents: [{
+            parts: [{
+              text: prompt
+            }]
+          }]
+        };
 
-      try {
-        // Get all cards
-        const cards = await getAllCards();
-
-        // Group cards by date
-        const cardsByDate = new Map();
-
-        for (const card of cards) {
-          let dateStr = null;
-
-          // Try to get date from various sources
-          if (card.eventDate) {
-            // Calendar event date (prioritize this)
-            const date = new Date(card.eventDate);
-            dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
-          } else if (useExtractedDate && card.geminiMetadata?.extractedDateTime) {
-            const date = new Date(card.geminiMetadata.extractedDateTime);
-            dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
-          } else if (useExtractedDate && card.geminiMetadata?.extractedDate) {
-            const date = new Date(card.geminiMetadata.extractedDate);
-            dateStr = date.toISOString().split('T')[0];
-          } else if (card.created) {
-            const date = new Date(card.created);
-            dateStr = date.toISOString().split('T')[0];
-          }
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
 
-          if (dateStr) {
-            if (!cardsByDate.has(dateStr)) {
-              cardsByDate.set(dateStr, []);
-            }
-            cardsByDate.get(dateStr).push(card);
-          }
+        if (!response.ok) {
+          throw new Error(`API request failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        const rawText = data.candidates[0].content.parts[0].text;
+
+        // Parse JSON from response
+        let cards;
+        try {
+          const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/) || rawText.match(/```\s*([\s\S]*?)\s*```/);
+          const jsonText = jsonMatch ? jsonMatch[1] : rawText;
+          cards = JSON.parse(jsonText.trim());
+        } catch (parseError) {
+          console.error('Failed to parse Gemini response:', parseError);
+          throw new Error('Kunde inte tolka Geminis svar. Försök igen.');
         }
 
-        if (cardsByDate.size === 0) {
-          return 'Inga kort med datum hittades att arrangera.';
+        if (!Array.isArray(cards)) {
+          throw new Error('Gemini returnerade inte en array av kort.');
         }
 
-        // Sort dates chronologically
-        const sortedDates = Array.from(cardsByDate.keys()).sort();
+        // Create cards
+        const allCards = await getAllCards();
+        const maxY = allCards.length > 0 ? Math.max(...allCards.map(c => c.position?.y || 0)) : 0;
+        const startPosition = {
+          x: 300,
+          y: maxY + 200
+        };
 
-        // Limit to requested weeks if specified
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const weeksInMs = weeks * 7 * 24 * 60 * 60 * 1000;
-        const endDate = new Date(today.getTime() + weeksInMs);
+        for (let index = 0; index < cards.length; index++) {
+          const cardData = cards[index];
 
-        const filteredDates = sortedDates.filter(dateStr => {
-          const date = new Date(dateStr);
-          return date >= today && date <= endDate;
-        });
+          const position = {
+            x: startPosition.x + (index % 5) * 50,
+            y: startPosition.y + Math.floor(index / 5) * 250
+          };
 
-        const datesToShow = filteredDates.length > 0 ? filteredDates : sortedDates.slice(0, weeks * 7);
-
-        // Layout constants (reduced spacing by 1/3)
-        const columnWidth = 210;   // Tighter columns (was 250)
-        const columnSpacing = 10;  // Much tighter spacing (was 20)
-        const cardHeight = 160;
-        const cardSpacing = 10;    // Reduced by 1/3 (was 15)
-        const headerHeight = 80;
-        const startX = 50;
-        const startY = 50;
-
-        let arrangedCount = 0;
-
-        // Arrange cards in columns by day
-        datesToShow.forEach((dateStr, dayIndex) => {
-          const cardsForDay = cardsByDate.get(dateStr) || [];
-          const x = startX + dayIndex * (columnWidth + columnSpacing);
-
-          // Create date header label (we'll use a card for this)
-          const date = new Date(dateStr);
-          const dayName = date.toLocaleDateString('sv-SE', { weekday: 'short' });
-          const dateLabel = date.toLocaleDateString('sv-SE', { month: 'short', day: 'numeric' });
-
-          cardsForDay.forEach((card, cardIndex) => {
-            const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-            if (node) {
-              const y = startY + headerHeight + cardIndex * (cardHeight + cardSpacing);
-              node.position({ x, y });
-              arrangedCount++;
-            }
+          await addCard({
+            text: cardData.text || '',
+            tags: cardData.tags || [],
+            comments: cardData.comments || '',
+            position: position
           });
-        });
+        }
 
-        layer.batchDraw();
+        console.log(`Gemini text split complete: ${cards.length} cards created`);
+
+        cleanup();
+        await reloadCanvas();
 
-        const weekCount = Math.ceil(datesToShow.length / 7);
-        return `Arrangerade ${arrangedCount} kort i ett veckoschema över ${datesToShow.length} dagar (ca ${weekCount} veckor). Varje kolumn = en dag.`;
+        alert(`✅ Gemini skapade ${cards.length} kort från texten!`);
 
       } catch (error) {
-        console.error('Error arranging cards by day:', error);
-        return `Kunde inte arrangera kort efter dag: ${error.message}`;
+        console.error('Gemini text splitting error:', error);
+        alert(`❌ Fel: ${error.message}`);
+        createBtn.textContent = originalText;
+        createBtn.disabled = false;
       }
-    },
-
-    arrangeCardsTimeline: async (args) => {
-      const useExtractedDate = args.useExtractedDate || false;
-      const orientation = args.orientation || 'horizontal';
+    };
 
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) {
-        return 'Inga kort är markerade. Markera kort först för att arrangera dem på en tidslinje.';
+    // Escape to close
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        cleanup();
       }
+    });
+  });
+}
 
-      const cards = await getAllCards();
-
-      // Build array of {node, timestamp, card}
-      const cardsWithDates = [];
-      for (const node of selectedNodes) {
-        const cardId = node.getAttr('cardId');
-        const card = cards.find(c => c.id === cardId);
-        if (!card) continue;
-
-        let timestamp;
-        if (useExtractedDate && card.geminiMetadata?.extractedDateTime) {
-          timestamp = new Date(card.geminiMetadata.extractedDateTime).getTime();
-        } else if (useExtractedDate && card.geminiMetadata?.extractedDate) {
-          timestamp = new Date(card.geminiMetadata.extractedDate).getTime();
-        } else {
-          timestamp = card.created || Date.now();
-        }
-
-        cardsWithDates.push({ node, timestamp, card });
-      }
+/**
+ * Map Zotero highlight color to card color
+ */
+function mapZoteroColorToCard(bgColorStyle) {
+  // Extract hex color from style like "background-color: #ffd40080"
+  const match = bgColorStyle.match(/#([0-9a-fA-F]{6})/);
+  if (!match) return null;
 
-      // Sort by timestamp
-      cardsWithDates.sort((a, b) => a.timestamp - b.timestamp);
-
-      // Calculate spacing
-      const minTime = cardsWithDates[0].timestamp;
-      const maxTime = cardsWithDates[cardsWithDates.length - 1].timestamp;
-      const timeRange = maxTime - minTime || 1; // Avoid division by zero
-
-      const cardWidth = 200;
-      const cardHeight = 150;
-      const spacing = 33;  // Reduced by 1/3 (was 50)
-      const totalLength = 1500; // Total timeline length in pixels
-
-      if (orientation === 'horizontal') {
-        // Horizontal timeline
-        cardsWithDates.forEach((item, index) => {
-          const relativeTime = (item.timestamp - minTime) / timeRange;
-          const x = relativeTime * totalLength;
-          const y = 100; // Fixed Y position
-          item.node.position({ x, y });
-        });
-      } else {
-        // Vertical timeline
-        cardsWithDates.forEach((item, index) => {
-          const relativeTime = (item.timestamp - minTime) / timeRange;
-          const x = 100; // Fixed X position
-          const y = relativeTime * totalLength;
-          item.node.position({ x, y });
-        });
-      }
+  const hexColor = match[1].toLowerCase();
 
-      layer.batchDraw();
+  // Map Zotero colors to spatial-view card colors (matching v2)
+  const colorMap = {
+    'ffd400': 'card-color-4', // Gul
+    'ff6666': 'card-color-3', // Röd
+    '5fb236': 'card-color-1', // Grön
+    '2ea8e5': 'card-color-6', // Blå/Cyan
+    'a28ae5': 'card-color-5', // Lila
+    'e56eee': 'card-color-5', // Magenta → Lila
+    'f19837': 'card-color-2', // Orange
+    'aaaaaa': 'card-color-7'  // Grå
+  };
 
-      const dateSource = useExtractedDate ? 'extraherade datum' : 'skapandedatum';
-      return `Arrangerade ${cardsWithDates.length} kort på en ${orientation === 'horizontal' ? 'horisontell' : 'vertikal'} tidslinje baserat på ${dateSource}.`;
-    },
+  return colorMap[hexColor] || null;
+}
 
-    arrangeCardsKanban: async (args) => {
-      const columns = args.columns || ['backlog', 'todo', 'pågår', 'klart'];
+/**
+ * Import notes from Zotero HTML export
+ */
+export async function importFromZoteroHTML() {
+  return new Promise((resolve, reject) => {
+    // Create file input
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.html';
 
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) {
-        return 'Inga kort är markerade. Markera kort först för att arrangera dem i Kanban-kolumner.';
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) {
+        resolve(0);
+        return;
       }
 
-      const cards = await getAllCards();
-      const cardWidth = 200;
-      const cardHeight = 150;
-      const columnWidth = 250;
-      const spacing = 13;  // Reduced by 1/3 (was 20)
+      const reader = new FileReader();
 
-      // Group cards by column
-      const columnGroups = columns.map(col => ({ name: col, cards: [] }));
-      const unassigned = [];
+      reader.onload = async function(event) {
+        try {
+          const htmlContent = event.target.result;
+          const parser = new DOMParser();
+          const doc = parser.parseFromString(htmlContent, 'text/html');
 
-      for (const node of selectedNodes) {
-        const cardId = node.getAttr('cardId');
-        const card = cards.find(c => c.id === cardId);
-        if (!card) continue;
-
-        // Find which column this card belongs to
-        let assigned = false;
-        for (let i = 0; i < columns.length; i++) {
-          const colName = columns[i].toLowerCase();
-          if (card.tags?.some(tag => tag.toLowerCase().includes(colName))) {
-            columnGroups[i].cards.push({ node, card });
-            assigned = true;
-            break;
-          }
-        }
+          // Find all highlight paragraphs
+          const highlightParagraphs = doc.querySelectorAll('p');
 
-        if (!assigned) {
-          unassigned.push({ node, card });
-        }
-      }
+          let importedCount = 0;
+          const timestamp = Date.now();
 
-      // Arrange cards in columns
-      columnGroups.forEach((group, colIndex) => {
-        const x = colIndex * columnWidth;
-        group.cards.forEach((item, rowIndex) => {
-          const y = rowIndex * (cardHeight + spacing);
-          item.node.position({ x, y });
-        });
-      });
+          // Calculate grid positioning
+          const cols = Math.ceil(Math.sqrt(highlightParagraphs.length));
 
-      // Put unassigned cards in a separate area
-      const unassignedX = columns.length * columnWidth + 50;
-      unassigned.forEach((item, index) => {
-        const y = index * (cardHeight + spacing);
-        item.node.position({ x: unassignedX, y });
-      });
+          for (let index = 0; index < highlightParagraphs.length; index++) {
+            const p = highlightParagraphs[index];
 
-      layer.batchDraw();
+            // Find the highlight span with background color
+            const highlightSpan = p.querySelector('span.highlight span[style*="background-color"]');
+            if (!highlightSpan) continue;
 
-      const summary = columnGroups.map((g, i) => `"${g.name}": ${g.cards.length}`).join(', ');
-      return `Arrangerade kort i Kanban-kolumner: ${summary}. ${unassigned.length} kort utan kolumn-tagg.`;
-    },
+            // Extract the quote text
+            const quoteText = highlightSpan.textContent.trim();
+            if (!quoteText) continue;
 
-    arrangeCardsMindMap: async (args) => {
-      const radius = args.radius || 300;
+            // Extract color
+            const bgStyle = highlightSpan.getAttribute('style');
+            const cardColor = mapZoteroColorToCard(bgStyle);
 
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) {
-        return 'Inga kort är markerade. Markera kort först för att arrangera dem i en mind map.';
-      }
+            // Extract citation if available
+            const citationSpan = p.querySelector('span.citation');
+            let citation = '';
+            if (citationSpan) {
+              citation = citationSpan.textContent.trim();
+            }
 
-      // Find center card
-      let centerNode;
-      if (args.centerCardId) {
-        centerNode = layer.findOne(n => n.getAttr('cardId') === args.centerCardId);
-      }
-      if (!centerNode) {
-        centerNode = selectedNodes[0]; // Use first selected as center
-      }
-
-      // Place center card at origin
-      centerNode.position({ x: 0, y: 0 });
-
-      // Arrange other cards radially around center
-      const otherNodes = selectedNodes.filter(n => n !== centerNode);
-      const angleStep = (2 * Math.PI) / otherNodes.length;
-
-      otherNodes.forEach((node, index) => {
-        const angle = index * angleStep;
-        const x = Math.cos(angle) * radius;
-        const y = Math.sin(angle) * radius;
-        node.position({ x, y });
-      });
-
-      layer.batchDraw();
-
-      return `Arrangerade ${selectedNodes.length} kort i en radiell mind map-struktur (${otherNodes.length} kort runt centralkort).`;
-    },
-
-    arrangeCardsCluster: async (args) => {
-      console.log('🗂️ arrangeCardsCluster called with args:', args);
-      const method = args.method || 'tags';
+            // Extract PDF link
+            const pdfLink = p.querySelector('a[href*="open-pdf"]');
+            let pdfLinkText = '';
+            if (pdfLink) {
+              pdfLinkText = pdfLink.textContent.trim();
+            }
 
-      const cards = await getAllCards();
+            // Extract comment text (text after all spans/links)
+            let commentText = '';
+            const allText = p.textContent;
+            const highlightText = highlightSpan.textContent;
+            const citationText = citationSpan ? citationSpan.textContent : '';
+            const pdfText = pdfLink ? pdfLink.textContent : '';
 
-      // Use selected cards if any, otherwise use all cards
-      const selectedNodes = layer.find('.selected');
-      const nodesToCluster = selectedNodes.length > 0 ? selectedNodes : layer.getChildren().filter(node => node.getAttr('cardId'));
+            // Remove all known parts and what's left is the comment
+            let remainingText = allText;
+            remainingText = remainingText.replace(highlightText, '');
+            remainingText = remainingText.replace(citationText, '');
+            remainingText = remainingText.replace(pdfText, '');
+            commentText = remainingText.replace(/\(|\)/g, '').trim();
 
-      if (nodesToCluster.length === 0) {
-        console.warn('❌ arrangeCardsCluster: No cards found');
-        return 'Inga kort hittades.';
-      }
+            // Build card text
+            let cardText = quoteText;
+            if (citation) {
+              cardText += `\n\n${citation}`;
+            }
+            if (pdfLinkText) {
+              cardText += ` (${pdfLinkText})`;
+            }
 
-      console.log(`🗂️ Clustering ${nodesToCluster.length} cards (${selectedNodes.length > 0 ? 'selected' : 'all'})`);
+            // Grid positioning
+            const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+            const scale = stage.scaleX();
+            const col = index % cols;
+            const row = Math.floor(index / cols);
+            const position = {
+              x: ((pointer.x - stage.x()) / scale) + col * 240,
+              y: ((pointer.y - stage.y()) / scale) + row * 240
+            };
 
-      if (method === 'tags') {
-        // Group by most common tag
-        const tagGroups = new Map();
+            // Create card
+            await createCard({
+              text: cardText,
+              comments: commentText || '',
+              tags: ['zotero', `import_${timestamp}`],
+              cardColor: cardColor,
+              position
+            });
 
-        for (const node of nodesToCluster) {
-          const cardId = node.getAttr('cardId');
-          const card = cards.find(c => c.id === cardId);
-          if (!card || !card.tags || card.tags.length === 0) {
-            // Cards without tags go to "no-tag" group
-            if (!tagGroups.has('utan-tagg')) {
-              tagGroups.set('utan-tagg', []);
-            }
-            tagGroups.get('utan-tagg').push({ node, card });
-            continue;
+            importedCount++;
           }
 
-          // Use first tag as primary cluster
-          const primaryTag = card.tags[0];
-          if (!tagGroups.has(primaryTag)) {
-            tagGroups.set(primaryTag, []);
-          }
-          tagGroups.get(primaryTag).push({ node, card });
-        }
+          // Reload canvas to show new cards
+          await reloadCanvas();
 
-        // Arrange clusters spatially
-        const clusterSpacing = 267;  // Reduced by 1/3 (was 400)
-        const cardSpacing = 13;      // Reduced by 1/3 (was 20)
-        const cardWidth = 200;
-        const cardHeight = 150;
-
-        let clusterIndex = 0;
-        for (const [tag, items] of tagGroups.entries()) {
-          const clusterX = (clusterIndex % 3) * clusterSpacing;
-          const clusterY = Math.floor(clusterIndex / 3) * clusterSpacing;
-
-          // Arrange cards within cluster in a grid
-          items.forEach((item, index) => {
-            const col = index % 3;
-            const row = Math.floor(index / 3);
-            const x = clusterX + col * (cardWidth + cardSpacing);
-            const y = clusterY + row * (cardHeight + cardSpacing);
-            item.node.position({ x, y });
-          });
+          // Show success message
+          alert(`📚 Zotero import: ${importedCount} kort importerade från ${file.name}`);
+          console.log(`Zotero import completed: ${importedCount} cards imported from ${file.name}`);
 
-          clusterIndex++;
+          resolve(importedCount);
+        } catch (error) {
+          console.error('Error importing from Zotero:', error);
+          alert('Fel vid import från Zotero HTML: ' + error.message);
+          reject(error);
         }
+      };
 
-        layer.batchDraw();
-
-        const clusterSummary = Array.from(tagGroups.entries())
-          .map(([tag, items]) => `"${tag}": ${items.length}`)
-          .join(', ');
-        return `Skapade ${tagGroups.size} kluster baserat på tags: ${clusterSummary}.`;
-      } else if (method === 'smart' || method === 'ai' || method === 'content') {
-        console.log('🧠 Smart clustering by content similarity');
-
-        // Group cards by exact text match (for duplicates)
-        const contentGroups = new Map();
+      reader.readAsText(file);
+    };
 
-        for (const node of nodesToCluster) {
-          const cardId = node.getAttr('cardId');
-          const card = cards.find(c => c.id === cardId);
+    input.click();
+  });
+}
 
-          if (!card || !card.text) {
-            // Cards without text go to "no-text" group
-            if (!contentGroups.has('__no_text__')) {
-              contentGroups.set('__no_text__', []);
-            }
-            contentGroups.get('__no_text__').push({ node, card });
-            continue;
-          }
+/**
+ * Import annotations from a Zotero RDF export
+ * One card per annotation with the source citation in card.citation, and one
+ * frame per source document. Annotations imported before are skipped.
+ */
+export async function importFromZoteroRDF() {
+  const file = await new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.rdf,.xml';
+    input.onchange = (e) => resolve(e.target.files[0] || null);
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+  if (!file) return 0;
 
-          // Normalize text for comparison (trim and lowercase)
-          const normalizedText = card.text.trim().toLowerCase();
+  try {
+    const sources = parseZoteroRDF(await file.text());
+    const existingKeys = new Set((await getAllCards()).map(card => card.citation?.annotationKey).filter(Boolean));
 
-          // Find or create group for this content
-          if (!contentGroups.has(normalizedText)) {
-            contentGroups.set(normalizedText, []);
-          }
-          contentGroups.get(normalizedText).push({ node, card });
+    const timestamp = Date.now();
+    const columns = 3;
+    const gap = 20;
+    const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+    const scale = stage.scaleX();
+    let frameX = (pointer.x - stage.x()) / scale;
+    const frameY = (pointer.y - stage.y()) / scale;
+
+    let importedCount = 0;
+    let skippedCount = 0;
+    let sourceCount = 0;
+
+    for (const source of sources) {
+      const annotations = source.annotations.filter(annotation => !existingKeys.has(annotation.key));
+      skippedCount += source.annotations.length - annotations.length;
+      if (annotations.length === 0) continue;
+
+      const cards = annotations.map(annotation => ({
+        text: annotation.citationText ? `${annotation.text}\n\n${annotation.citationText}` : annotation.text,
+        comments: annotation.comment,
+        tags: [...new Set(['zotero', `import_${timestamp}`, ...source.tags, ...annotation.tags])],
+        cardColor: annotation.color ? mapZoteroColorToCard(annotation.color) : null,
+        citation: {
+          ...source.citation,
+          locator: annotation.locator,
+          pageLabel: annotation.pageLabel,
+          annotationKey: annotation.key
         }
+      }));
 
-        // Arrange clusters spatially
-        const clusterSpacing = 267;
-        const cardSpacing = 13;
-        const cardWidth = 200;
-        const cardHeight = 150;
-
-        let clusterIndex = 0;
-        const duplicateGroups = [];
-
-        // Sort groups: duplicates first (largest groups first), then single cards
-        const sortedGroups = Array.from(contentGroups.entries()).sort((a, b) => {
-          const [contentA, itemsA] = a;
-          const [contentB, itemsB] = b;
-
-          // Prioritize groups with multiple items
-          if (itemsA.length > 1 && itemsB.length === 1) return -1;
-          if (itemsA.length === 1 && itemsB.length > 1) return 1;
+      // Grid inside the frame; each row is as tall as its tallest card
+      const usedColumns = Math.min(columns, cards.length);
+      const rowHeights = [];
+      cards.forEach((card, index) => {
+        const row = Math.floor(index / columns);
+        rowHeights[row] = Math.max(rowHeights[row] || 0, estimateCardBounds(card).height);
+      });
+      const contentHeight = rowHeights.reduce((sum, height) => sum + height, 0) + gap * (rowHeights.length - 1);
+      const frame = {
+        name: formatSourceName(source.citation),
+        x: frameX,
+        y: frameY,
+        width: usedColumns * 200 + (usedColumns - 1) * gap + FRAME_PADDING * 2,
+        height: contentHeight + FRAME_PADDING * 2 + FRAME_HEADER_HEIGHT
+      };
+      const frameId = await createFrame(frame);
 
-          // Within duplicate groups, larger groups first
-          if (itemsA.length > 1 && itemsB.length > 1) {
-            return itemsB.length - itemsA.length;
+      for (let index = 0; index < cards.length; index++) {
+        const row = Math.floor(index / columns);
+        const rowTop = rowHeights.slice(0, row).reduce((sum, height) => sum + height + gap, 0);
+        await createCard({
+          ...cards[index],
+          frameId,
+          position: {
+            x: frame.x + FRAME_PADDING + (index % columns) * (200 + gap),
+            y: frame.y + FRAME_HEADER_HEIGHT + FRAME_PADDING + rowTop
           }
-
-          return 0;
         });
-
-        for (const [content, items] of sortedGroups) {
-          if (items.length > 1) {
-            duplicateGroups.push({ content: content.substring(0, 50), count: items.length });
-          }
-
-          const clusterX = (clusterIndex % 3) * clusterSpacing;
-          const clusterY = Math.floor(clusterIndex / 3) * clusterSpacing;
-
-          // Arrange cards within cluster in a grid
-          items.forEach((item, index) => {
-            const col = index % 3;
-            const row = Math.floor(index / 3);
-            const x = clusterX + col * (cardWidth + cardSpacing);
-            const y = clusterY + row * (cardHeight + cardSpacing);
-            item.node.position({ x, y });
-          });
-
-          clusterIndex++;
-        }
-
-        layer.batchDraw();
-
-        if (duplicateGroups.length > 0) {
-          const totalDuplicates = duplicateGroups.reduce((sum, g) => sum + g.count, 0);
-          console.log(`✅ Smart clustering complete: ${duplicateGroups.length} duplicate groups, ${totalDuplicates} total duplicate cards`);
-          return `Arrangerade ${nodesToCluster.length} kort. Hittade ${duplicateGroups.length} grupper av dubbletter (totalt ${totalDuplicates} dubbletter). Dubbletter arrangerade först i grids, sedan unika kort.`;
-        } else {
-          console.log(`✅ Smart clustering complete: No duplicates found, arranged ${nodesToCluster.length} cards`);
-          return `Arrangerade ${nodesToCluster.length} kort. Inga dubbletter hittades.`;
-        }
-      } else {
-        return `Okänd klustermetod: ${method}. Använd "tags", "smart", "ai", eller "content".`;
-      }
-    },
-    selectCards: async (args) => {
-      console.log('🎯 selectCards called with args:', args);
-      const { cardIds } = args;
-
-      if (!cardIds || cardIds.length === 0) {
-        console.warn('❌ selectCards: No cardIds provided');
-        return 'Inga kort-ID:n angavs.';
       }
 
-      const cardIdSet = new Set(cardIds);
+      importedCount += cards.length;
+      sourceCount++;
+      frameX += frame.width + 60;
+    }
 
-      // Process all cards: selected cards get full opacity, others get faded
-      layer.find('.card').forEach(node => {
-        const cardId = node.getAttr('cardId');
-        const isSelected = cardIdSet.has(cardId);
-        const bg = node.findOne('Rect');
+    await reloadCanvas();
 
-        if (isSelected) {
-          // Selected card: full opacity, blue border
-          node.opacity(1);
-          node.addName('selected');
-          if (bg) {
-            bg.stroke('#2196F3');
-            bg.strokeWidth(3);
-          }
-        } else {
-          // Non-selected card: faded, gray border
-          node.opacity(0.3);
-          node.removeName('selected');
-          if (bg) {
-            bg.stroke('#e0e0e0');
-            bg.strokeWidth(1);
-          }
-        }
-      });
+    let message = `📚 Zotero import: ${importedCount} kort från ${sourceCount} källor importerade från ${file.name}`;
+    if (skippedCount > 0) message += `\n${skippedCount} anteckningar fanns redan och hoppades över.`;
+    alert(message);
+    console.log(`Zotero RDF import completed: ${importedCount} cards from ${sourceCount} sources`);
+    return importedCount;
+  } catch (error) {
+    console.error('Error importing Zotero RDF:', error);
+    alert('Fel vid import från Zotero RDF: ' + error.message);
+    return 0;
+  }
+}
 
-      layer.batchDraw();
-      console.log(`✅ selectCards: Selected ${cardIds.length} cards, faded others`);
-      return `✅ Markerade ${cardIds.length} kort (ljusa). Andra kort tonade (genomskinliga). Tryck Escape för att återställa alla kort.`;
-    },
-    addTagsToCards: async (args) => {
-      console.log('🏷️ addTagsToCards called with args:', args);
-      const { cardIds, tags } = args;
+/**
+ * Paste image from system clipboard (e.g. screenshot)
+ */
+async function pasteImageFromClipboard() {
+  try {
+    // Check if Clipboard API is available
+    if (!navigator.clipboard || !navigator.clipboard.read) {
+      alert('Clipboard API stöds inte i denna webbläsare. Använd "Importera bild" istället.');
+      return;
+    }
 
-      if (!cardIds || cardIds.length === 0) {
-        console.warn('❌ addTagsToCards: No cardIds provided');
-        return 'Inga kort-ID:n angavs.';
-      }
-      if (!tags || tags.length === 0) {
-        console.warn('❌ addTagsToCards: No tags provided');
-        return 'Inga taggar angavs.';
-      }
+    const clipboardItems = await navigator.clipboard.read();
+    let imageFound = false;
 
-      const cards = await getAllCards();
-      let updatedCount = 0;
+    for (const clipboardItem of clipboardItems) {
+      for (const type of clipboardItem.types) {
+        if (type.startsWith('image/')) {
+          imageFound = true;
+          const blob = await clipboardItem.getType(type);
 
-      for (const cardId of cardIds) {
-        const card = cards.find(c => c.id === cardId);
-        if (card) {
-          const existingTags = card.tags || [];
-          const newTags = [...new Set([...existingTags, ...tags])]; // Merge and deduplicate
-
-          if (newTags.length > existingTags.length) {
-            console.log(`🏷️ Adding tags to card ${cardId}:`, existingTags, '→', newTags);
-            await updateCard(cardId, { tags: newTags });
-            updatedCount++;
-          } else {
-            console.log(`ℹ️ Card ${cardId} already has all tags`);
-          }
-        } else {
-          console.warn(`⚠️ Card ${cardId} not found in database`);
-        }
-      }
+          // Convert blob to file
+          const file = new File([blob], 'clipboard-image.png', { type: blob.type });
 
-      await reloadCanvas();
-      console.log(`✅ addTagsToCards: Updated ${updatedCount} cards`);
-      return `Lade till taggar [${tags.join(', ')}] på ${updatedCount} kort.`;
-    },
-    removeTagsFromCards: async (args) => {
-      const { cardIds, tags } = args;
+          console.log('Clipboard image size:', (file.size / 1024).toFixed(1), 'KB');
 
-      if (!cardIds || cardIds.length === 0) {
-        return 'Inga kort-ID:n angavs.';
-      }
-      if (!tags || tags.length === 0) {
-        return 'Inga taggar angavs.';
-      }
+          // Show quality selector dialog
+          const choice = await showQualityDialog(1);
+          if (!choice) return;
+          const { quality, splitPostIts } = choice;
 
-      const cards = await getAllCards();
-      let updatedCount = 0;
+          console.log('Selected quality:', quality);
 
-      for (const cardId of cardIds) {
-        const card = cards.find(c => c.id === cardId);
-        if (card && card.tags) {
-          const newTags = card.tags.filter(t => !tags.includes(t));
+          // Calculate position at center or mouse position
+          const pointer = stage.getPointerPosition() || { x: stage.width() / 2, y: stage.height() / 2 };
+          const scale = stage.scaleX();
+          const position = {
+            x: (pointer.x - stage.x()) / scale,
+            y: (pointer.y - stage.y()) / scale
+          };
 
-          if (newTags.length < card.tags.length) {
-            await updateCard(cardId, { tags: newTags });
-            updatedCount++;
+          if (splitPostIts) {
+            const noteCardIds = await createPostItCards(file, quality, position);
+            if (noteCardIds.length > 0) {
+              await reloadCanvas();
+              console.log(`Image pasted from clipboard as ${noteCardIds.length} post-it cards`);
+              return;
+            }
+            alert('Hittade inga post-it-lappar i bilden - hela bilden klistras in.');
           }
-        }
-      }
-
-      await reloadCanvas();
-      return `Tog bort taggar [${tags.join(', ')}] från ${updatedCount} kort.`;
-    },
-
-    updateCards: async (args) => {
-      const { updates } = args;
-      console.log('🔄 updateCards called with:', updates);
-
-      if (!updates || updates.length === 0) {
-        return 'Inga uppdateringar angavs.';
-      }
 
-      const cards = await getAllCards();
-      let updatedCount = 0;
-      const errors = [];
+          // Process image
+          const processed = await processImage(file, quality);
 
-      for (const update of updates) {
-        const { id, x, y, color, tags } = update;
+          console.log('Processed size:', (processed.metadata.compressedSize / 1024).toFixed(1), 'KB');
+          console.log('Dimensions:', processed.metadata.width, 'x', processed.metadata.height);
 
-        // Find the card
-        const card = cards.find(c => c.id === id);
-        if (!card) {
-          errors.push(`Kort ${id} hittades inte`);
-          continue;
-        }
+          // Create card with image
+          await createCard({
+            text: 'Inklistrad bild',
+            tags: ['bild', 'clipboard'],
+            position,
+            image: {
+              base64: processed.base64,
+              width: processed.metadata.width,
+              height: processed.metadata.height,
+              quality: processed.metadata.quality
+            },
+            metadata: {
+              ...processed.metadata,
+              fileName: 'clipboard-image.png',
+              source: 'clipboard'
+            }
+          });
 
-        // Build update object with only provided fields
-        const updateData = {};
-        if (x !== undefined) updateData.x = x;
-        if (y !== undefined) updateData.y = y;
-        if (color !== undefined) updateData.cardColor = color;
-        if (tags !== undefined) updateData.tags = tags;
-
-        // Update card in database
-        await updateCard(id, updateData);
-
-        // Update visual position immediately if x/y changed
-        const node = layer.findOne(`#card-${id}`);
-        if (node) {
-          if (x !== undefined) node.x(x);
-          if (y !== undefined) node.y(y);
-          if (color !== undefined) {
-            const rect = node.findOne('.card-background');
-            if (rect) rect.fill(color);
-          }
+          await reloadCanvas();
+          console.log('Image pasted from clipboard');
+          return;
         }
-
-        updatedCount++;
-      }
-
-      // Redraw canvas
-      layer.batchDraw();
-
-      if (errors.length > 0) {
-        return `Uppdaterade ${updatedCount} kort. Fel: ${errors.join(', ')}`;
       }
-      return `Uppdaterade ${updatedCount} kort.`;
-    },
-
-    getCanvasInfo: async () => {
-      const stageWidth = stage.width();
-      const stageHeight = stage.height();
-      const cards = await getAllCards();
+    }
 
-      // Calculate canvas bounds from existing cards
-      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-      cards.forEach(card => {
-        if (card.x < minX) minX = card.x;
-        if (card.y < minY) minY = card.y;
-        if (card.x + 200 > maxX) maxX = card.x + 200;
-        if (card.y + 150 > maxY) maxY = card.y + 150;
-      });
+    if (!imageFound) {
+      alert('Ingen bild hittades i clipboard. Kopiera en bild eller skärmdump först.');
+    }
 
-      return {
-        viewport: {
-          width: stageWidth,
-          height: stageHeight
-        },
-        cardDimensions: {
-          width: 200,
-          height: 150,
-          description: "Standardstorlek för alla kort"
-        },
-        spacing: {
-          sameGroup: "13-20px",
-          differentGroups: "200-300px",
-          description: "13-20px spacing indikerar samma grupp/kategori, 200-300px indikerar olika grupper"
-        },
-        currentBounds: {
-          minX: minX === Infinity ? 0 : minX,
-          minY: minY === Infinity ? 0 : minY,
-          maxX: maxX === -Infinity ? stageWidth : maxX,
-          maxY: maxY === -Infinity ? stageHeight : maxY,
-          usedWidth: maxX === -Infinity ? 0 : maxX - minX,
-          usedHeight: maxY === -Infinity ? 0 : maxY - minY
-        },
-        totalCards: cards.length,
-        tips: [
-          "Använd updateCards() för att flytta flera kort samtidigt",
-          "Tänk på att kort är 200×150px när du beräknar positioner",
-          "Lämna minst 13-20px mellan kort i samma grupp",
-          "Lämna 200-300px mellan olika grupper",
-          "Meta-taggar (#zotero, #gemini, #calendar, #ocr) ska alltid räknas med i analys"
-        ]
-      };
+  } catch (error) {
+    console.error('Failed to paste from clipboard:', error);
+    if (error.name === 'NotAllowedError') {
+      alert('Tillgång till clipboard nekades. Ge webbläsaren tillstånd att läsa clipboard.');
+    } else {
+      alert('Kunde inte klistra in bild från clipboard: ' + error.message);
     }
-  };
+  }
+}
 
-  // Expose tools and toolRegistry globally so Claude can access them
-  window.spatialViewTools = tools;
-  window.spatialViewToolRegistry = toolRegistry;
+// ============================================================================
+// SECTION 9: UI DIALOGS (Command Palette, Quality Dialog, Text Input, Gemini Assistant)
+// ============================================================================
 
-  renderStoredConversation();
+const AI_PREFERENCE_KEY = 'spatialview:lastAIModel';
+const AI_HISTORY_PREFIX = 'spatialview:aiHistory';
 
-  const injectContextSnapshot = async () => {
-    if (conversationHistory.length > 0) return;
+function getBoardScopedKey(model) {
+  return `${AI_HISTORY_PREFIX}:board-${getActiveBoardId()}:${model}`;
+}
 
-    const contextSummary = prefetchedContextSummary || await buildAIContextSnapshot(toolRegistry);
-    if (contextSummary) {
-      addSystemMessage('📌 Förser AI:n med aktuell tavla-kontekst (komprimerad).');
-      addSystemMessage('🪙 Token-sparläge: svaren ska vara korta och återanvända kontexten ovan.');
-      conversationHistory.push({ role: 'system', text: contextSummary });
-      conversationHistory.push({ role: 'system', text: 'Svara kortfattat (max ~120 ord). Återanvänd kontexten ovan och kalla på verktyg istället för långa resonemang.' });
+function getSavedAIPreference() {
+  try {
+    return localStorage.getItem(AI_PREFERENCE_KEY);
+  } catch (error) {
+    console.warn('Kunde inte läsa AI-val från localStorage:', error);
+    return null;
+  }
+}
+
+function rememberAIPreference(model) {
+  try {
+    localStorage.setItem(AI_PREFERENCE_KEY, model);
+  } catch (error) {
+    console.warn('Kunde inte spara AI-val:', error);
+  }
+}
+
+/**
+ * Shows AI provider chooser dialog
+ * @returns {Promise<string|null>} Selected AI provider ('gemini', 'claude', 'chatgpt', 'local') or null if cancelled
+ */
+function showAIProviderChooser() {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'ai-chooser-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: rgba(0, 0, 0, 0.7);
+      z-index: 10001;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      border-radius: 16px;
+      padding: 32px;
+      width: 90%;
+      max-width: 560px;
+      box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const currentProvider = getSavedAIPreference() || 'gemini';
+    const localSettings = getLocalLLMSettings();
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 12px 0; color: var(--text-primary); font-size: 24px;">Välj AI-assistent</h2>
+      <p style="margin: 0 0 24px 0; color: var(--text-secondary); font-size: 14px; line-height: 1.5;">
+        Olika AI-modeller har olika styrkor. Välj den som passar din uppgift bäst.
+      </p>
+
+      <div style="display: flex; flex-direction: column; gap: 12px; margin-bottom: 24px;">
+        <!-- Claude Option -->
+        <button class="ai-option" data-provider="claude" style="
+          padding: 20px;
+          border: 2px solid ${currentProvider === 'claude' ? 'var(--accent-color)' : 'var(--border-color)'};
+          background: ${currentProvider === 'claude' ? 'rgba(var(--accent-color-rgb), 0.1)' : 'var(--bg-secondary)'};
+          border-radius: 12px;
+          cursor: pointer;
+          text-align: left;
+          transition: all 0.2s;
+        ">
+          <div style="display: flex; align-items: start; gap: 16px;">
+            <span style="font-size: 32px;">🤖</span>
+            <div style="flex: 1;">
+              <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
+                <strong style="font-size: 16px; color: var(--text-primary);">Claude Sonnet 4.5</strong>
+                <span style="background: #10a37f; color: white; font-size: 11px; padding: 2px 8px; border-radius: 4px; font-weight: 600;">REKOMMENDERAD</span>
+              </div>
+              <p style="margin: 0; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">
+                Bäst på spatial reasoning och komplex planering. Extremt bra på att följa instruktioner och resonera om layouts. Perfekt för att organisera kort intelligent!
+              </p>
+            </div>
+          </div>
+        </button>
+
+        <!-- Gemini Option -->
+        <button class="ai-option" data-provider="gemini" style="
+          padding: 20px;
+          border: 2px solid ${currentProvider === 'gemini' ? 'var(--accent-color)' : 'var(--border-color)'};
+          background: ${currentProvider === 'gemini' ? 'rgba(var(--accent-color-rgb), 0.1)' : 'var(--bg-secondary)'};
+          border-radius: 12px;
+          cursor: pointer;
+          text-align: left;
+          transition: all 0.2s;
+        ">
+          <div style="display: flex; align-items: start; gap: 16px;">
+            <span style="font-size: 32px;">✨</span>
+            <div style="flex: 1;">
+              <strong style="font-size: 16px; color: var(--text-primary); display: block; margin-bottom: 6px;">Gemini 2.0 Flash</strong>
+              <p style="margin: 0; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">
+                Snabb och mångsidig. Bra på bildanalys och kreativa uppgifter. Kan hantera stora mängder data effektivt.
+              </p>
+            </div>
+          </div>
+        </button>
+
+        <!-- ChatGPT Option -->
+        <button class="ai-option" data-provider="chatgpt" style="
+          padding: 20px;
+          border: 2px solid ${currentProvider === 'chatgpt' ? 'var(--accent-color)' : 'var(--border-color)'};
+          background: ${currentProvider === 'chatgpt' ? 'rgba(var(--accent-color-rgb), 0.1)' : 'var(--bg-secondary)'};
+          border-radius: 12px;
+          cursor: pointer;
+          text-align: left;
+          transition: all 0.2s;
+        ">
+          <div style="display: flex; align-items: start; gap: 16px;">
+            <span style="font-size: 32px;">💬</span>
+            <div style="flex: 1;">
+              <strong style="font-size: 16px; color: var(--text-primary); display: block; margin-bottom: 6px;">ChatGPT 4</strong>
+              <p style="margin: 0; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">
+                Balanserad och pålitlig. Bra allmän konversation och problemlösning. Känd och beprövad.
+              </p>
+            </div>
+          </div>
+        </button>
+
+        <!-- Local LLM Option -->
+        <button class="ai-option" data-provider="local" style="
+          padding: 20px;
+          border: 2px solid ${currentProvider === 'local' ? 'var(--accent-color)' : 'var(--border-color)'};
+          background: ${currentProvider === 'local' ? 'rgba(var(--accent-color-rgb), 0.1)' : 'var(--bg-secondary)'};
+          border-radius: 12px;
+          cursor: pointer;
+          text-align: left;
+          transition: all 0.2s;
+        ">
+          <div style="display: flex; align-items: start; gap: 16px;">
+            <span style="font-size: 32px;">🏠</span>
+            <div style="flex: 1;">
+              <strong style="font-size: 16px; color: var(--text-primary); display: block; margin-bottom: 6px;">Lokal AI (Ollama, llama.cpp)</strong>
+              <p style="margin: 0; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">
+                Körs på en egen server med OpenAI-kompatibelt API. Inget skickas till molnet, och API-nyckel behövs bara om servern kräver en. Modellen måste stödja verktygsanrop.
+              </p>
+            </div>
+          </div>
+        </button>
+        <div style="display: grid; grid-template-columns: auto 1fr; gap: 8px 12px; align-items: center; padding: 0 4px; font-size: 13px; color: var(--text-secondary);">
+          <label for="localLlmBaseUrl">Adress</label>
+          <input id="localLlmBaseUrl" type="url" placeholder="http://localhost:11434/v1" style="padding: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); font-family: monospace;">
+          <label for="localLlmModel">Modell</label>
+          <div style="display: flex; gap: 8px;">
+            <input id="localLlmModel" list="localLlmModelList" placeholder="t.ex. llama3.1" style="flex: 1; padding: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary);">
+            <datalist id="localLlmModelList"></datalist>
+            <button id="testLocalLlm" type="button" style="padding: 8px 12px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); border-radius: 6px; cursor: pointer;">Testa</button>
+          </div>
+          <label for="localLlmApiKey">API-nyckel</label>
+          <div style="display: flex; gap: 8px;">
+            <input id="localLlmApiKey" type="password" autocomplete="off" style="flex: 1; padding: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary);">
+            <button id="forgetLocalLlmKey" type="button" style="padding: 8px 12px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); border-radius: 6px; cursor: pointer;">Glöm</button>
+          </div>
+          <span></span>
+          <span id="localLlmStatus"></span>
+        </div>
+      </div>
+
+      <div style="display: flex; gap: 12px; justify-content: flex-end;">
+        <button id="cancelAIChoice" style="
+          padding: 12px 24px;
+          border: 1px solid var(--border-color);
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          border-radius: 8px;
+          cursor: pointer;
+          font-size: 14px;
+        ">Avbryt</button>
+      </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const closeDialog = (provider = null) => {
+      overlay.remove();
+      resolve(provider);
+    };
+
+    const baseUrlInput = dialog.querySelector('#localLlmBaseUrl');
+    const modelInput = dialog.querySelector('#localLlmModel');
+    const apiKeyInput = dialog.querySelector('#localLlmApiKey');
+    const forgetKeyButton = dialog.querySelector('#forgetLocalLlmKey');
+    const localStatus = dialog.querySelector('#localLlmStatus');
+    baseUrlInput.value = localSettings.baseUrl;
+    modelInput.value = localSettings.model;
+
+    // The stored key is never shown; leaving the field empty keeps it
+    let storedApiKey = localSettings.apiKey;
+    const updateApiKeyField = () => {
+      apiKeyInput.placeholder = storedApiKey ? 'Sparad - lämna tomt för att behålla' : 'Valfri, om servern kräver en';
+      forgetKeyButton.style.display = storedApiKey ? '' : 'none';
+    };
+    updateApiKeyField();
+
+    forgetKeyButton.addEventListener('click', () => {
+      forgetLocalLLMApiKey();
+      storedApiKey = '';
+      apiKeyInput.value = '';
+      updateApiKeyField();
+      localStatus.textContent = 'API-nyckeln är borttagen';
+    });
+
+    // List the server's models so the address is checked and the model can be picked
+    dialog.querySelector('#testLocalLlm').addEventListener('click', async () => {
+      localStatus.textContent = '🔄 Ansluter...';
+      try {
+        const models = await listLocalLLMModels(baseUrlInput.value, apiKeyInput.value.trim() || storedApiKey);
+        const modelList = dialog.querySelector('#localLlmModelList');
+        modelList.innerHTML = '';
+        models.forEach(id => {
+          const option = document.createElement('option');
+          option.value = id;
+          modelList.appendChild(option);
+        });
+        if (!modelInput.value && models.length > 0) modelInput.value = models[0];
+        localStatus.textContent = `✅ Ansluten - ${models.length} modeller`;
+      } catch (error) {
+        console.error('Local LLM connection failed:', error);
+        localStatus.textContent = `❌ ${error.message}`;
+      }
+    });
+
+    // Hover effects
+    const options = dialog.querySelectorAll('.ai-option');
+    options.forEach(option => {
+      option.addEventListener('mouseenter', () => {
+        option.style.transform = 'translateY(-2px)';
+        option.style.boxShadow = '0 4px 12px rgba(0,0,0,0.15)';
+      });
+      option.addEventListener('mouseleave', () => {
+        option.style.transform = 'translateY(0)';
+        option.style.boxShadow = 'none';
+      });
+      option.addEventListener('click', () => {
+        const provider = option.getAttribute('data-provider');
+        if (provider === 'local') {
+          if (!baseUrlInput.value.trim() || !modelInput.value.trim()) {
+            alert('Ange adress och modell för den lokala AI-servern.');
+            return;
+          }
+          saveLocalLLMSettings({ baseUrl: baseUrlInput.value, model: modelInput.value, apiKey: apiKeyInput.value });
+        }
+        rememberAIPreference(provider);
+        closeDialog(provider);
+      });
+    });
+
+    document.getElementById('cancelAIChoice').onclick = () => closeDialog();
+
+    // ESC to close
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') {
+        closeDialog();
+        document.removeEventListener('keydown', handleEsc);
+      }
+    };
+    document.addEventListener('keydown', handleEsc);
+  });
+}
+
+function loadConversationHistory(model) {
+  try {
+    const stored = localStorage.getItem(getBoardScopedKey(model));
+    if (!stored) return [];
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn('Kunde inte läsa sparad konversation:', error);
+    return [];
+  }
+}
+
+function saveConversationHistory(model, history) {
+  try {
+    localStorage.setItem(getBoardScopedKey(model), JSON.stringify(history));
+  } catch (error) {
+    console.warn('Kunde inte spara konversation:', error);
+  }
+}
+
+async function buildAIContextSnapshot(toolRegistry = null) {
+  try {
+    const cards = toolRegistry?.getAllCards
+      ? await toolRegistry.getAllCards()
+      : await getAllCards();
+    const totalCards = cards.length;
+    const imageCards = cards.filter(c => c.hasImage).length;
+
+    const selectedNodes = layer.find('.selected');
+    const selectedIds = new Set(
+      selectedNodes
+        .map(node => node.getAttr('cardId'))
+        .filter(Boolean)
+    );
+    const selectedCards = cards.filter(c => selectedIds.has(c.id));
+
+    const tagInfo = typeof toolRegistry?.listAllTags === 'function'
+      ? await toolRegistry.listAllTags()
+      : (() => {
+          const tagCounts = new Map();
+          for (const card of cards) {
+            if (card.tags && Array.isArray(card.tags)) {
+              for (const tag of card.tags) {
+                tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+              }
+            }
+          }
+
+          const tags = Array.from(tagCounts.entries())
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count);
+
+          return { tags };
+        })();
+    const topTags = (tagInfo?.tags || [])
+      .slice(0, 5)
+      .map(t => `${t.tag} (${t.count})`)
+      .join(', ');
+
+    const createdTimestamps = cards
+      .map(c => c.created)
+      .filter(ts => typeof ts === 'number' && !Number.isNaN(ts));
+    const dateSpan = createdTimestamps.length
+      ? `${new Date(Math.min(...createdTimestamps)).toISOString().slice(0, 10)} → ${new Date(Math.max(...createdTimestamps)).toISOString().slice(0, 10)}`
+      : 'saknas';
+
+    const selectedSummary = selectedCards
+      .slice(0, 3)
+      .map(c => {
+        const preview = c.text || c.backText || '(tomt kort)';
+        return `#${c.id}: ${preview.slice(0, 80)}`;
+      })
+      .join('; ');
+
+    return [
+      `Kort: ${totalCards} totalt (${imageCards} med bild)`,
+      selectedIds.size
+        ? `Markerade (${selectedIds.size}): ${selectedSummary}${selectedCards.length > 3 ? ' …' : ''}`
+        : 'Markerade: inga',
+      topTags ? `Vanliga tags: ${topTags}` : 'Inga tags hittades',
+      `Datumspann (skapade): ${dateSpan}`
+    ].join('\n');
+  } catch (error) {
+    console.warn('Kunde inte bygga kontextöversikt:', error);
+    return null;
+  }
+}
+
+const AI_INTENTS = [
+  {
+    id: 'ask-anything',
+    label: 'Ställ en egen fråga',
+    description: 'Starta en tom chatt och skriv själv',
+    prompt: ''
+  },
+  {
+    id: 'summarize-selection',
+    label: 'Sammanfatta markerade',
+    description: 'Kort sammanfattning av markerade kort',
+    prompt: 'Sammanfatta de markerade korten kortfattat. Fokusera på nyckelidéer och beslut.'
+  },
+  {
+    id: 'next-steps',
+    label: 'Föreslå nästa steg',
+    description: 'Actionlista baserad på markerade kort',
+    prompt: 'Föreslå 3–5 konkreta nästa steg baserat på markerade kort och deras tags. Svara kort.'
+  },
+  {
+    id: 'agenda',
+    label: 'Skapa agenda',
+    description: 'Snabb mötesagenda från dagens fokus',
+    prompt: 'Skapa en kort agenda (5 punkter) baserad på markerade kort och de vanligaste taggarna just nu.'
+  }
+];
+
+/**
+ * Show AI Assistant chooser (Gemini or ChatGPT)
+ */
+async function showAIChooser() {
+  return new Promise((resolve) => {
+    // IMPORTANT: Remove any leftover overlays from previous calls
+    // This prevents gray overlay from persisting if cleanup didn't run properly
+    const oldOverlays = document.querySelectorAll('div[style*="z-index: 10000"][style*="rgba(0, 0, 0, 0.8)"]');
+    oldOverlays.forEach(old => old.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'ai-chooser-overlay'; // Add class for easier cleanup
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.8);
+      z-index: 10000;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      border-radius: 16px;
+      padding: 30px;
+      width: 90%;
+      max-width: 500px;
+      box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const lastChoice = getSavedAIPreference();
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 20px 0; text-align: center; color: var(--text-primary);">
+        Välj AI-assistent
+      </h2>
+      <p style="margin: 0 12px 18px 12px; text-align: center; color: var(--text-secondary);">
+        Välj modell och startintention. Förhandsvisningen nedan visar vilken tavla-kontekst som skickas (kompakt för att spara tokens).
+      </p>
+      ${lastChoice ? `<p style="margin: -12px 0 24px 0; text-align: center; color: var(--text-secondary); font-size: 13px;">Senaste valda: <strong>${lastChoice === 'gemini' ? 'Gemini' : 'ChatGPT'}</strong> (startar direkt om du väljer samma igen)</p>` : ''}
+      <div style="display: flex; gap: 16px; justify-content: center;">
+        <button id="chooseGemini" style="
+          flex: 1;
+          padding: 20px;
+          background: var(--bg-secondary);
+          border: 2px solid var(--border-color);
+          border-radius: 12px;
+          cursor: pointer;
+          font-size: 16px;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 8px;
+          transition: all 0.2s;
+          color: var(--text-primary);
+        ">
+          <div style="font-size: 32px;">🤖</div>
+          <div style="font-weight: 500;">Gemini</div>
+          <div style="font-size: 12px; color: var(--text-secondary);">Tryck G</div>
+        </button>
+        <button id="chooseChatGPT" style="
+          flex: 1;
+          padding: 20px;
+          background: var(--bg-secondary);
+          border: 2px solid var(--border-color);
+          border-radius: 12px;
+          cursor: pointer;
+          font-size: 16px;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 8px;
+          transition: all 0.2s;
+          color: var(--text-primary);
+        ">
+          <div style="font-size: 32px;">💬</div>
+          <div style="font-weight: 500;">ChatGPT</div>
+          <div style="font-size: 12px; color: var(--text-secondary);">Tryck C</div>
+        </button>
+      </div>
+      <div style="margin-top: 20px; padding: 12px; border: 1px solid var(--border-color); border-radius: 10px; background: var(--bg-secondary);">
+        <div style="font-weight: 600; margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center;">
+          <span>📌 Kontextextrakt (kort)</span>
+          <span style="font-size: 12px; color: var(--text-secondary);">Skickas vid start</span>
+        </div>
+        <div id="aiContextPreview" style="white-space: pre-line; font-size: 13px; color: var(--text-secondary); line-height: 1.5;">🔄 Bygger kontext…</div>
+      </div>
+      <div style="margin-top: 16px;">
+        <div style="font-weight: 600; margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center;">
+          <span>🎯 Startintention</span>
+          <span style="font-size: 12px; color: var(--text-secondary);">Håller svaren korta och sparar tokens</span>
+        </div>
+        <div id="aiIntentOptions" style="display: grid; gap: 10px; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));"></div>
+      </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const geminiBtn = document.getElementById('chooseGemini');
+    const chatgptBtn = document.getElementById('chooseChatGPT');
+
+    let selectedIntent = AI_INTENTS[0];
+    let cachedContext = null;
+
+    const renderIntents = () => {
+      const intentContainer = dialog.querySelector('#aiIntentOptions');
+      intentContainer.innerHTML = '';
+
+      AI_INTENTS.forEach(intent => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.style.cssText = `
+          text-align: left;
+          padding: 10px 12px;
+          border-radius: 10px;
+          border: 1px solid ${selectedIntent.id === intent.id ? 'var(--accent-color)' : 'var(--border-color)'};
+          background: ${selectedIntent.id === intent.id ? 'rgba(139, 92, 246, 0.12)' : 'var(--bg-secondary)'};
+          cursor: pointer;
+          transition: all 0.15s ease;
+          color: var(--text-primary);
+        `;
+
+        btn.innerHTML = `
+          <div style="font-weight: 600; margin-bottom: 4px;">${intent.label}</div>
+          <div style="font-size: 12px; color: var(--text-secondary);">${intent.description}</div>
+        `;
+
+        btn.addEventListener('click', () => {
+          selectedIntent = intent;
+          renderIntents();
+        });
+
+        intentContainer.appendChild(btn);
+      });
+    };
+
+    renderIntents();
+
+    const cleanup = (choice) => {
+      document.removeEventListener('keydown', handleKey);
+      overlay.remove();
+      if (!choice) {
+        resolve(null);
+        return;
+      }
+
+      resolve({
+        model: choice,
+        intent: selectedIntent,
+        contextSummary: cachedContext
+      });
+    };
+
+    const handleKey = (e) => {
+      if (e.key === 'g' || e.key === 'G') {
+        cleanup('gemini');
+      } else if (e.key === 'c' || e.key === 'C') {
+        cleanup('chatgpt');
+      } else if (e.key === 'Escape') {
+        cleanup(null);
+      }
+    };
+
+    geminiBtn.addEventListener('click', () => cleanup('gemini'));
+    chatgptBtn.addEventListener('click', () => cleanup('chatgpt'));
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) cleanup(null);
+    });
+
+    document.addEventListener('keydown', handleKey);
+
+    // Add hover effects
+    [geminiBtn, chatgptBtn].forEach(btn => {
+      btn.addEventListener('mouseenter', () => {
+        btn.style.borderColor = 'var(--accent-color)';
+        btn.style.transform = 'scale(1.05)';
+      });
+      btn.addEventListener('mouseleave', () => {
+        btn.style.borderColor = 'var(--border-color)';
+        btn.style.transform = 'scale(1)';
+      });
+    });
+
+    // Build context preview
+    const contextPreviewEl = dialog.querySelector('#aiContextPreview');
+    buildAIContextSnapshot()
+      .then(summary => {
+        cachedContext = summary;
+        contextPreviewEl.textContent = summary || 'Kunde inte bygga en kort kontext. Starta ändå – modellen får markeringar om du har valt kort.';
+      })
+      .catch(() => {
+        contextPreviewEl.textContent = 'Kunde inte bygga en kort kontext (sparar tokens genom att hoppa över).';
+      });
+  });
+}
+
+/**
+ * Show Gemini Assistant dialog
+ */
+async function showGeminiAssistant(options = {}) {
+  const { intent = null, prefetchedContextSummary = null } = options;
+  // IMPORTANT: Ensure any chooser overlays are removed when opening the panel
+  const oldChooserOverlays = document.querySelectorAll('.ai-chooser-overlay');
+  oldChooserOverlays.forEach(overlay => overlay.remove());
+
+  // Create side panel (no overlay, user can see canvas)
+  const panel = document.createElement('div');
+  panel.id = 'geminiPanel';
+  panel.style.cssText = `
+    position: fixed;
+    right: 0;
+    top: 0;
+    height: 100vh;
+    width: 400px;
+    max-width: 90vw;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    box-shadow: -4px 0 24px rgba(0, 0, 0, 0.3);
+    z-index: 9999;
+    display: flex;
+    flex-direction: column;
+    transition: transform 0.3s ease;
+  `;
+
+  // Mobile: bottom panel instead
+  if (window.innerWidth < 768 || (window.innerWidth < 1024 && window.innerHeight > window.innerWidth)) {
+    panel.style.cssText = `
+      position: fixed;
+      bottom: 0;
+      left: 0;
+      right: 0;
+      height: 60vh;
+      max-height: 80vh;
+      width: 100%;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      box-shadow: 0 -4px 24px rgba(0, 0, 0, 0.3);
+      z-index: 9999;
+      display: flex;
+      flex-direction: column;
+      transition: transform 0.3s ease;
+      border-radius: 16px 16px 0 0;
+    `;
+  }
+
+  panel.innerHTML = `
+    <div style="padding: 16px; border-bottom: 1px solid var(--border-color); display: flex; align-items: center; justify-content: space-between;">
+      <h3 style="margin: 0; font-size: 18px; font-weight: 600;">
+        🤖 Gemini Chat
+      </h3>
+      <div style="display: flex; gap: 12px;">
+        <button id="geminiSwitchModel" title="Byt AI-modell" style="background: none; border: 1px solid var(--border-color); font-size: 13px; cursor: pointer; color: var(--text-secondary); padding: 6px 10px; border-radius: 8px;">Byt</button>
+        <button id="geminiMinimize" title="Minimera (sparar konversationen)" style="background: none; border: none; font-size: 20px; cursor: pointer;
+                color: var(--text-secondary); padding: 0; line-height: 1;">−</button>
+        <button id="geminiClose" title="Stäng (raderar konversationen)" style="background: none; border: none; font-size: 24px; cursor: pointer;
+                color: var(--text-secondary); padding: 0; line-height: 1;">&times;</button>
+      </div>
+    </div>
+    <div id="chatMessages" style="
+      flex: 1;
+      overflow-y: auto;
+      padding: 16px;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    "></div>
+    <div id="voiceIndicator" style="
+      display: none;
+      padding: 8px 12px;
+      margin: 0 16px;
+      background: rgba(255, 0, 0, 0.1);
+      border: 1px solid #ff0000;
+      border-radius: 8px;
+      margin-bottom: 8px;
+      text-align: center;
+      font-size: 14px;
+    ">
+      🔴 Lyssnar... <span id="voiceTranscript" style="font-style: italic;"></span>
+    </div>
+    <div id="inputArea" style="padding: 16px; border-top: 1px solid var(--border-color); display: flex; gap: 8px; align-items: center;">
+      <input type="text" id="geminiQuery" placeholder="Skriv eller håll 'V' för röst..."
+        style="flex: 1; padding: 12px; font-size: 14px;
+               border: 2px solid var(--border-color); border-radius: 8px;
+               background: var(--bg-secondary); color: var(--text-primary);
+               font-family: sans-serif; box-sizing: border-box;" />
+      <button id="geminiVoice" style="padding: 12px; background: var(--bg-secondary);
+              color: var(--text-primary); border: 2px solid var(--border-color); border-radius: 8px;
+              cursor: pointer; font-size: 20px; line-height: 1; width: 48px; height: 48px;
+              display: flex; align-items: center; justify-content: center;">🎤</button>
+      <button id="geminiAsk" style="padding: 12px 20px; background: var(--accent-color);
+              color: white; border: none; border-radius: 8px; cursor: pointer;
+              font-size: 14px; white-space: nowrap;">Skicka</button>
+    </div>
+  `;
+
+  document.body.appendChild(panel);
+
+  const queryInput = document.getElementById('geminiQuery');
+  const chatMessages = document.getElementById('chatMessages');
+  const askBtn = document.getElementById('geminiAsk');
+  const closeBtn = document.getElementById('geminiClose');
+  const switchModelBtn = document.getElementById('geminiSwitchModel');
+  const minimizeBtn = document.getElementById('geminiMinimize');
+  const voiceBtn = document.getElementById('geminiVoice');
+  const voiceIndicator = document.getElementById('voiceIndicator');
+  const voiceTranscript = document.getElementById('voiceTranscript');
+
+  // Conversation history
+  const conversationHistory = loadConversationHistory('gemini');
+  const persistHistory = () => saveConversationHistory('gemini', conversationHistory);
+
+  // Create minimize floating button (initially hidden)
+  const floatingBtn = document.createElement('button');
+  floatingBtn.id = 'geminiFloatingBtn';
+  floatingBtn.innerHTML = '🤖';
+  floatingBtn.title = 'Expandera Gemini Chat';
+  floatingBtn.style.cssText = `
+    position: fixed;
+    bottom: 96px;
+    right: 24px;
+    width: 56px;
+    height: 56px;
+    border-radius: 50%;
+    background: var(--accent-color);
+    color: white;
+    border: none;
+    font-size: 28px;
+    cursor: pointer;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    z-index: 9998;
+    display: none;
+    align-items: center;
+    justify-content: center;
+    transition: transform 0.2s;
+  `;
+  floatingBtn.addEventListener('mouseenter', () => {
+    floatingBtn.style.transform = 'scale(1.1)';
+  });
+  floatingBtn.addEventListener('mouseleave', () => {
+    floatingBtn.style.transform = 'scale(1)';
+  });
+  document.body.appendChild(floatingBtn);
+
+  // Minimize function
+  const minimize = () => {
+    persistHistory();
+    panel.style.display = 'none';
+    floatingBtn.style.display = 'flex';
+  };
+
+  // Expand function
+  const expand = () => {
+    panel.style.display = 'flex';
+    floatingBtn.style.display = 'none';
+    queryInput.focus();
+  };
+
+  // Focus input
+  queryInput.focus();
+
+  // Speech Recognition Setup
+  let recognition = null;
+  let isRecording = false;
+
+  // Check if browser supports speech recognition
+  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  if (SpeechRecognition) {
+    recognition = new SpeechRecognition();
+    recognition.lang = 'sv-SE'; // Swedish
+    recognition.continuous = false;
+    recognition.interimResults = true;
+
+    recognition.onstart = () => {
+      isRecording = true;
+      voiceIndicator.style.display = 'block';
+      voiceBtn.style.background = '#ff0000';
+      voiceBtn.style.color = 'white';
+      voiceBtn.textContent = '🔴';
+
+      // Minimize input area (hide keyboard)
+      const inputArea = document.getElementById('inputArea');
+      inputArea.style.display = 'none';
+    };
+
+    recognition.onresult = (event) => {
+      const transcript = event.results[0][0].transcript;
+      voiceTranscript.textContent = `"${transcript}"`;
+
+      // If final result, put in input
+      if (event.results[0].isFinal) {
+        queryInput.value = transcript;
+      }
+    };
+
+    recognition.onend = () => {
+      isRecording = false;
+      voiceIndicator.style.display = 'none';
+      voiceBtn.style.background = 'var(--bg-secondary)';
+      voiceBtn.style.color = 'var(--text-primary)';
+      voiceBtn.textContent = '🎤';
+
+      // Restore input area
+      const inputArea = document.getElementById('inputArea');
+      inputArea.style.display = 'flex';
+
+      // Auto-send if we have text
+      if (queryInput.value.trim()) {
+        setTimeout(() => sendPrompt(), 300);
+      }
+    };
+
+    recognition.onerror = (event) => {
+      console.error('Speech recognition error:', event.error);
+      isRecording = false;
+      voiceIndicator.style.display = 'none';
+      voiceBtn.style.background = 'var(--bg-secondary)';
+      voiceBtn.style.color = 'var(--text-primary)';
+      voiceBtn.textContent = '🎤';
+
+      // Restore input area
+      const inputArea = document.getElementById('inputArea');
+      inputArea.style.display = 'flex';
+
+      if (event.error === 'no-speech') {
+        addSystemMessage('⚠️ Ingen röst hördes. Försök igen.');
+      } else if (event.error === 'not-allowed') {
+        addSystemMessage('❌ Mikrofon-tillstånd nekades. Aktivera i webbläsaren.');
+      }
+    };
+
+    // Voice button - click and hold
+    voiceBtn.addEventListener('mousedown', () => {
+      if (!isRecording) {
+        recognition.start();
+      }
+    });
+
+    voiceBtn.addEventListener('mouseup', () => {
+      if (isRecording) {
+        recognition.stop();
+      }
+    });
+
+    // Touch support
+    voiceBtn.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      if (!isRecording) {
+        recognition.start();
+      }
+    });
+
+    voiceBtn.addEventListener('touchend', (e) => {
+      e.preventDefault();
+      if (isRecording) {
+        recognition.stop();
+      }
+    });
+
+  } else {
+    // Hide voice button if not supported
+    voiceBtn.style.display = 'none';
+    console.warn('Speech recognition not supported in this browser');
+  }
+
+  // Global 'V' key push-to-talk
+  const handleVoiceKey = (e) => {
+    if (e.key === 'v' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      // Only if not typing in an input
+      if (document.activeElement !== queryInput &&
+          document.activeElement.tagName !== 'INPUT' &&
+          document.activeElement.tagName !== 'TEXTAREA') {
+        e.preventDefault();
+        if (!isRecording && recognition) {
+          recognition.start();
+        }
+      }
+    }
+  };
+
+  const handleVoiceKeyUp = (e) => {
+    if (e.key === 'v') {
+      if (isRecording && recognition) {
+        recognition.stop();
+      }
+    }
+  };
+
+  document.addEventListener('keydown', handleVoiceKey);
+  document.addEventListener('keyup', handleVoiceKeyUp);
+
+  // Function to add message to chat
+  const addMessage = (text, isUser) => {
+    const messageDiv = document.createElement('div');
+    messageDiv.style.cssText = `
+      padding: 12px;
+      border-radius: 12px;
+      max-width: 85%;
+      word-wrap: break-word;
+      line-height: 1.5;
+      ${isUser ? `
+        background: var(--accent-color);
+        color: white;
+        align-self: flex-end;
+        margin-left: auto;
+      ` : `
+        background: var(--bg-primary);
+        color: var(--text-primary);
+        border: 1px solid var(--border-color);
+        align-self: flex-start;
+      `}
+    `;
+
+    // Render markdown for Gemini responses, plain text for user messages
+    if (isUser) {
+      messageDiv.textContent = text;
+    } else {
+      // Parse markdown and render as HTML
+      const htmlContent = marked.parse(text);
+      messageDiv.innerHTML = htmlContent;
+
+      // Add styling for markdown elements
+      messageDiv.querySelectorAll('p').forEach(p => p.style.margin = '0.5em 0');
+      messageDiv.querySelectorAll('ul, ol').forEach(list => {
+        list.style.marginLeft = '1.5em';
+        list.style.marginTop = '0.5em';
+        list.style.marginBottom = '0.5em';
+      });
+      messageDiv.querySelectorAll('li').forEach(li => li.style.marginBottom = '0.25em');
+      messageDiv.querySelectorAll('strong').forEach(strong => strong.style.fontWeight = 'bold');
+      messageDiv.querySelectorAll('code').forEach(code => {
+        code.style.cssText = `
+          background: var(--bg-secondary);
+          padding: 2px 6px;
+          border-radius: 4px;
+          font-family: monospace;
+          font-size: 0.9em;
+        `;
+      });
+      messageDiv.querySelectorAll('pre').forEach(pre => {
+        pre.style.cssText = `
+          background: var(--bg-secondary);
+          padding: 12px;
+          border-radius: 6px;
+          overflow-x: auto;
+          margin: 0.5em 0;
+        `;
+        const codeEl = pre.querySelector('code');
+        if (codeEl) {
+          codeEl.style.background = 'none';
+          codeEl.style.padding = '0';
+        }
+      });
+    }
+
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  };
+
+  // Function to add system message (thinking, errors, etc.)
+    const addSystemMessage = (text) => {
+      const messageDiv = document.createElement('div');
+      messageDiv.style.cssText = `
+        padding: 8px 12px;
+        border-radius: 8px;
+      font-size: 13px;
+      color: var(--text-secondary);
+      font-style: italic;
+      text-align: center;
+      background: var(--bg-secondary);
+    `;
+    messageDiv.textContent = text;
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageDiv;
+  };
+
+  const renderStoredConversation = () => {
+    if (!conversationHistory.length) return;
+
+    conversationHistory.forEach(msg => {
+      if (msg.role === 'assistant') {
+        addMessage(msg.text, false);
+      } else if (msg.role === 'user') {
+        addMessage(msg.text, true);
+      } else {
+        addSystemMessage(msg.text);
+      }
+    });
+
+    addSystemMessage(`🔁 Fortsätter tidigare chatt (${conversationHistory.length} meddelanden).`);
+  };
+
+  // Escape key handler (declare before cleanup so we can reference it)
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {
+      cleanup();
+    }
+  };
+
+  // Cleanup function
+  const cleanup = () => {
+    persistHistory();
+    document.removeEventListener('keydown', handleEscape);
+    document.removeEventListener('keydown', handleVoiceKey);
+    document.removeEventListener('keyup', handleVoiceKeyUp);
+
+    // Stop any ongoing recording
+    if (isRecording && recognition) {
+      recognition.stop();
+    }
+
+    // Remove panel and floating button
+    panel.remove();
+    floatingBtn.remove();
+  };
+
+  // Close button handler
+  closeBtn.addEventListener('click', cleanup);
+
+  // Switch model handler
+  const handleSwitchModel = async () => {
+    cleanup();
+    await handleAIChooserCommand(true);
+  };
+  switchModelBtn.addEventListener('click', handleSwitchModel);
+
+  // Minimize button handler
+  minimizeBtn.addEventListener('click', minimize);
+
+  // Floating button handler (expand)
+  floatingBtn.addEventListener('click', expand);
+
+  // Add Escape key listener
+  document.addEventListener('keydown', handleEscape);
+
+  // Same tools and implementations as the other assistants
+  const tools = AI_TOOL_DEFINITIONS;
+  const toolRegistry = getAIToolRegistry();
+
+  renderStoredConversation();
+
+  const injectContextSnapshot = async () => {
+    if (conversationHistory.length > 0) return;
+
+    const contextSummary = prefetchedContextSummary || await buildAIContextSnapshot(toolRegistry);
+    if (contextSummary) {
+      addSystemMessage('📌 Förser AI:n med aktuell tavla-kontekst (komprimerad).');
+      addSystemMessage('🪙 Token-sparläge: svaren ska vara korta och återanvända kontexten ovan.');
+      conversationHistory.push({ role: 'system', text: contextSummary });
+      conversationHistory.push({ role: 'system', text: 'Svara kortfattat (max ~120 ord). Återanvänd kontexten ovan och kalla på verktyg istället för långa resonemang.' });
       persistHistory();
     }
   };
@@ -6903,11 +7567,19 @@ async function showGeminiAssistant(options = {}) {
   }
 }
 
+// Assistants that use the OpenAI chat format share the ChatGPT panel
+const OPENAI_COMPATIBLE_ASSISTANTS = {
+  chatgpt: { name: 'ChatGPT', icon: '💬', execute: executeChatGPTAgent },
+  local: { name: 'Lokal AI', icon: '🏠', execute: executeLocalLLMAgent }
+};
+
 /**
  * Show ChatGPT Assistant dialog
+ * @param {Object} options - { intent, prefetchedContextSummary, provider: 'chatgpt' | 'local' }
  */
 async function showChatGPTAssistant(options = {}) {
-  const { intent = null, prefetchedContextSummary = null } = options;
+  const { intent = null, prefetchedContextSummary = null, provider = 'chatgpt' } = options;
+  const assistant = OPENAI_COMPATIBLE_ASSISTANTS[provider];
   // IMPORTANT: Ensure any chooser overlays are removed when opening the panel
   const oldChooserOverlays = document.querySelectorAll('.ai-chooser-overlay');
   oldChooserOverlays.forEach(overlay => overlay.remove());
@@ -6955,7 +7627,7 @@ async function showChatGPTAssistant(options = {}) {
   panel.innerHTML = `
     <div style="padding: 16px; border-bottom: 1px solid var(--border-color); display: flex; align-items: center; justify-content: space-between;">
       <h3 style="margin: 0; font-size: 18px; font-weight: 600;">
-        💬 ChatGPT Chat
+        ${assistant.icon} ${assistant.name} Chat
       </h3>
       <div style="display: flex; gap: 12px;">
         <button id="chatgptSwitchModel" title="Byt AI-modell" style="background: none; border: 1px solid var(--border-color); font-size: 13px; cursor: pointer; color: var(--text-secondary); padding: 6px 10px; border-radius: 8px;">Byt</button>
@@ -7015,14 +7687,14 @@ async function showChatGPTAssistant(options = {}) {
     const voiceTranscript = document.getElementById('chatgptVoiceTranscript');
 
     // Conversation history
-    const conversationHistory = loadConversationHistory('chatgpt');
-    const persistHistory = () => saveConversationHistory('chatgpt', conversationHistory);
+    const conversationHistory = loadConversationHistory(provider);
+    const persistHistory = () => saveConversationHistory(provider, conversationHistory);
 
   // Create minimize floating button (initially hidden)
   const floatingBtn = document.createElement('button');
   floatingBtn.id = 'chatgptFloatingBtn';
-  floatingBtn.innerHTML = '💬';
-  floatingBtn.title = 'Expandera ChatGPT Chat';
+  floatingBtn.innerHTML = assistant.icon;
+  floatingBtn.title = `Expandera ${assistant.name} Chat`;
   floatingBtn.style.cssText = `
     position: fixed;
     bottom: 96px;
@@ -7285,1739 +7957,1544 @@ async function showChatGPTAssistant(options = {}) {
         recognition.stop();
       }
 
-      // Remove panel and floating button
-      panel.remove();
-      floatingBtn.remove();
-    };
-
-    closeBtn.addEventListener('click', cleanup);
-
-    // Switch model handler
-    const handleSwitchModel = async () => {
-      cleanup();
-      await handleAIChooserCommand(true);
-    };
-    switchModelBtn.addEventListener('click', handleSwitchModel);
-
-    // Minimize button handler
-    minimizeBtn.addEventListener('click', minimize);
-
-  // Floating button handler (expand)
-  floatingBtn.addEventListener('click', expand);
-
-  document.addEventListener('keydown', handleEscape);
-
-  // Reuse the same tools and toolRegistry from showGeminiAssistant
-  // (I'll need to extract this into a shared function, but for now duplicate it)
-  const tools = [{
-    functionDeclarations: [
-      {
-        name: 'searchCards',
-        description: 'Search for cards containing specific text (supports Boolean operators: AND, OR, NOT, wildcards *, ?, and proximity NEAR/N)',
-        parameters: {
-          type: 'object',
-          properties: {
-            query: { type: 'string', description: 'Search query (e.g., "python AND NOT tutorial*")' }
-          },
-          required: ['query']
-        }
-      },
-      {
-        name: 'getAllCards',
-        description: 'Get all cards from the canvas',
-        parameters: { type: 'object', properties: {} }
-      },
-      {
-        name: 'filterCardsByTag',
-        description: 'Filter and display cards by a specific tag',
-        parameters: {
-          type: 'object',
-          properties: {
-            tag: { type: 'string', description: 'Tag name to filter by' }
-          },
-          required: ['tag']
-        }
-      },
-      {
-        name: 'listAllTags',
-        description: 'List all unique tags across all cards with their counts. ALWAYS use this first when user asks about tags or categories!',
-        parameters: { type: 'object', properties: {} }
-      },
-      {
-        name: 'filterImageCards',
-        description: 'Filter cards based on whether they contain images or not',
-        parameters: {
-          type: 'object',
-          properties: {
-            hasImage: { type: 'boolean', description: 'true to show only image cards, false to show only text cards' }
-          },
-          required: ['hasImage']
-        }
-      },
-      {
-        name: 'filterCardsByDateRange',
-        description: 'Filter cards created within a specific date range',
-        parameters: {
-          type: 'object',
-          properties: {
-            startDate: { type: 'string', description: 'Start date (YYYY-MM-DD)' },
-            endDate: { type: 'string', description: 'End date (YYYY-MM-DD)' }
-          },
-          required: ['startDate', 'endDate']
-        }
-      },
-      {
-        name: 'arrangeCardsGrid',
-        description: 'Arrange selected cards in a grid layout',
-        parameters: {
-          type: 'object',
-          properties: {
-            columns: { type: 'number', description: 'Number of columns (default: auto)' }
-          }
-        }
-      },
-      {
-        name: 'arrangeCardsTimeline',
-        description: 'Arrange cards in a timeline based on dates (extractedDate or createdAt)',
-        parameters: {
-          type: 'object',
-          properties: {
-            direction: { type: 'string', enum: ['horizontal', 'vertical'], description: 'Timeline direction' }
-          }
-        }
-      },
-      {
-        name: 'arrangeCardsKanban',
-        description: 'Arrange cards in Kanban columns based on tags',
-        parameters: {
-          type: 'object',
-          properties: {
-            columns: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'List of column names/tags (e.g., ["backlog", "todo", "pågår", "klart"])'
-            }
-          },
-          required: ['columns']
-        }
-      },
-      {
-        name: 'arrangeCardsMindMap',
-        description: 'Arrange cards in a mind map/radial layout',
-        parameters: { type: 'object', properties: {} }
-      },
-      {
-        name: 'arrangeCardsCluster',
-        description: 'Cluster cards by similarity (tags, content, or AI-based)',
-        parameters: {
-          type: 'object',
-          properties: {
-            method: { type: 'string', enum: ['tags', 'ai'], description: 'Clustering method' }
-          }
-        }
-      },
-      {
-        name: 'arrangeAllTagsInGrids',
-        description: 'Arrange ALL cards grouped by their tags in separate grids (vertically stacked). USE THIS for "sort thematically" or "group all tags". No parameters needed!',
-        parameters: { type: 'object', properties: {} }
-      },
-      {
-        name: 'getUpcomingCalendar',
-        description: 'Get upcoming calendar events from Google Calendar for the next weeks. USE THIS to see what user has coming up!',
-        parameters: {
-          type: 'object',
-          properties: {
-            weeks: {
-              type: 'number',
-              description: 'Number of weeks to fetch (default: 3)'
-            }
-          }
-        }
-      },
-      {
-        name: 'getTodayCalendar',
-        description: 'Get today\'s calendar events from Google Calendar. USE THIS for "what do I have today?" or "today\'s schedule"',
-        parameters: { type: 'object', properties: {} }
-      },
-      {
-        name: 'getThisWeekCalendar',
-        description: 'Get this week\'s calendar events from Google Calendar. USE THIS for "how does my week look?"',
-        parameters: { type: 'object', properties: {} }
-      },
-      {
-        name: 'createCardsFromCalendar',
-        description: 'Create cards from Google Calendar events. Does NOT create duplicates - checks calendarEventId. USE THIS for "import my calendar" or "create cards from my meetings"',
-        parameters: {
-          type: 'object',
-          properties: {
-            weeks: {
-              type: 'number',
-              description: 'Number of weeks ahead to fetch events from (default: 2)'
-            }
-          }
-        }
-      },
-      {
-        name: 'arrangeCardsByDay',
-        description: 'Arrange cards in WEEKLY SCHEDULE where each day is a column. Perfect for visualizing calendar! USE THIS for "show as weekly schedule", "organize by day" or "create week view"',
-        parameters: {
-          type: 'object',
-          properties: {
-            weeks: {
-              type: 'number',
-              description: 'Number of weeks to show (default: 2)'
-            },
-            useExtractedDate: {
-              type: 'boolean',
-              description: 'Use Gemini-extracted dates instead of creation date (default: true)'
-            }
-          }
-        }
-      },
-      {
-        name: 'applySchoolColorScheme',
-        description: 'Apply PRESET color scheme for SCHOOL SUBJECTS. Ma=blue, SV=yellow, Eng=red, lunch=white, etc. ALWAYS USE this for school schedule! USE for "color the schedule", "apply colors" or after importing calendar',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'colorCardsByPattern',
-        description: 'Color cards based on text patterns. All cards containing "lunch" get same color, all "important" get another color etc. USE THIS for "color all lunch meetings" or "make all SV cards blue"',
-        parameters: {
-          type: 'object',
-          properties: {
-            patterns: {
-              type: 'array',
-              description: 'Array of patterns and colors. Example: [{pattern: "lunch", color: "#ffeb3b"}, {pattern: "important", color: "#f44336"}, {pattern: "Ma", color: "#2196f3"}]',
-              items: {
-                type: 'object',
-                properties: {
-                  pattern: { type: 'string', description: 'Text string to search for (case-insensitive)' },
-                  color: { type: 'string', description: 'Hex color code (e.g. #ff0000 for red)' }
-                },
-                required: ['pattern', 'color']
-              }
-            }
-          },
-          required: ['patterns']
-        }
-      }
-    ]
-  }];
-
-  const toolRegistry = {
-    searchCards: async ({ query }) => {
-      // Import and call search function
-      const searchBar = document.getElementById('search-input');
-      if (searchBar) {
-        searchBar.value = query;
-        const event = new Event('input', { bubbles: true });
-        searchBar.dispatchEvent(event);
-        const cards = await getAllCards();
-        const selectedNodes = layer.find('.selected');
-        return `Found ${selectedNodes.length} cards matching "${query}"`;
-      }
-      return 'Search not available';
-    },
-
-    getAllCards: async () => {
-      const cards = await getAllCards();
-      return cards.map(c => ({
-        id: c.id,
-        text: c.text?.substring(0, 100),
-        tags: c.tags,
-        hasImage: !!c.image,
-        createdAt: c.createdAt
-      }));
-    },
-
-    filterCardsByTag: async ({ tag }) => {
-      const cards = await getAllCards();
-      const filtered = cards.filter(c => c.tags?.includes(tag));
-
-      // Select matching cards on canvas
-      layer.find('.card').forEach(node => {
-        const cardId = node.getAttr('cardId');
-        if (filtered.some(c => c.id === cardId)) {
-          node.setAttr('selected', true);
-          node.findOne('.selectIndicator')?.visible(true);
-        }
-      });
-      layer.batchDraw();
-
-      return `Selected ${filtered.length} cards with tag "${tag}"`;
-    },
+      // Remove panel and floating button
+      panel.remove();
+      floatingBtn.remove();
+    };
 
-    listAllTags: async () => {
-      const cards = await getAllCards();
-      const tagCounts = {};
-      cards.forEach(c => {
-        (c.tags || []).forEach(tag => {
-          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-        });
-      });
-      const sortedTags = Object.entries(tagCounts)
-        .sort((a, b) => b[1] - a[1])
-        .map(([tag, count]) => `${tag} (${count})`);
-      return sortedTags.length > 0 ? sortedTags : ['No tags found'];
-    },
+    closeBtn.addEventListener('click', cleanup);
 
-    filterImageCards: async ({ hasImage }) => {
-      const cards = await getAllCards();
-      const filtered = cards.filter(c => !!c.image === hasImage);
+    // Switch model handler
+    const handleSwitchModel = async () => {
+      cleanup();
+      await handleAIChooserCommand(true);
+    };
+    switchModelBtn.addEventListener('click', handleSwitchModel);
 
-      layer.find('.card').forEach(node => {
-        const cardId = node.getAttr('cardId');
-        if (filtered.some(c => c.id === cardId)) {
-          node.setAttr('selected', true);
-          node.findOne('.selectIndicator')?.visible(true);
-        }
-      });
-      layer.batchDraw();
+    // Minimize button handler
+    minimizeBtn.addEventListener('click', minimize);
 
-      return `Selected ${filtered.length} ${hasImage ? 'image' : 'text'} cards`;
-    },
+  // Floating button handler (expand)
+  floatingBtn.addEventListener('click', expand);
 
-    filterCardsByDateRange: async ({ startDate, endDate }) => {
-      const cards = await getAllCards();
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-
-      const filtered = cards.filter(c => {
-        const date = c.geminiMetadata?.extractedDate
-          ? new Date(c.geminiMetadata.extractedDate)
-          : new Date(c.createdAt);
-        return date >= start && date <= end;
-      });
+  document.addEventListener('keydown', handleEscape);
 
-      layer.find('.card').forEach(node => {
-        const cardId = node.getAttr('cardId');
-        if (filtered.some(c => c.id === cardId)) {
-          node.setAttr('selected', true);
-          node.findOne('.selectIndicator')?.visible(true);
-        }
-      });
-      layer.batchDraw();
+  // Same tools and implementations as the other assistants
+  const tools = AI_TOOL_DEFINITIONS;
+  const toolRegistry = getAIToolRegistry();
 
-      return `Selected ${filtered.length} cards from ${startDate} to ${endDate}`;
-    },
+    renderStoredConversation();
 
-    arrangeCardsGrid: async (args) => {
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) return 'No cards selected';
-      await arrangeGrid(selectedNodes, args.columns);
-      return `Arranged ${selectedNodes.length} cards in grid`;
-    },
+    const injectContextSnapshot = async () => {
+      if (conversationHistory.length > 0) return;
 
-    arrangeCardsTimeline: async ({ direction = 'horizontal' }) => {
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) return 'No cards selected';
-      const cards = await getAllCards();
-      // Sort by date and arrange
-      const sortedNodes = selectedNodes.toArray().sort((a, b) => {
-        const cardA = cards.find(c => c.id === a.getAttr('cardId'));
-        const cardB = cards.find(c => c.id === b.getAttr('cardId'));
-        const dateA = cardA?.geminiMetadata?.extractedDate || cardA?.createdAt;
-        const dateB = cardB?.geminiMetadata?.extractedDate || cardB?.createdAt;
-        return new Date(dateA) - new Date(dateB);
-      });
-      if (direction === 'horizontal') {
-        await arrangeHorizontal(sortedNodes);
-      } else {
-        await arrangeVertical(sortedNodes);
+      const contextSummary = prefetchedContextSummary || await buildAIContextSnapshot(toolRegistry);
+      if (contextSummary) {
+        addSystemMessage('📌 Förser AI:n med aktuell tavla-kontekst (komprimerad).');
+        addSystemMessage('🪙 Token-sparläge: svara kort och återanvänd kontexten.');
+        conversationHistory.push({ role: 'system', text: contextSummary });
+        conversationHistory.push({ role: 'system', text: 'Svara kortfattat (max ~120 ord). Använd verktyg istället för långa utläggningar.' });
+        persistHistory();
       }
-      return `Arranged ${selectedNodes.length} cards in ${direction} timeline`;
-    },
+    };
 
-    arrangeCardsKanban: async ({ columns }) => {
-      const cards = await getAllCards();
-      const columnGroups = {};
+    await injectContextSnapshot();
 
-      columns.forEach(col => {
-        columnGroups[col] = cards.filter(c => c.tags?.includes(col));
-      });
+    // Ask handler
+    const sendPrompt = async (promptText = null) => {
+      const query = (promptText ?? queryInput.value).trim();
+      if (!query) return;
 
-      // Arrange each column
-      let xOffset = 100;
-      for (const col of columns) {
-        const columnCards = columnGroups[col];
-        const nodes = columnCards.map(c => {
-          return layer.find('.card').find(n => n.getAttr('cardId') === c.id);
-        }).filter(n => n);
-
-        if (nodes.length > 0) {
-          await arrangeVertical(nodes, { x: xOffset, y: 100 });
-          xOffset += 350;
-        }
+      addMessage(query, true);
+      conversationHistory.push({ role: 'user', text: query });
+      persistHistory();
+
+      if (!promptText) {
+        queryInput.value = '';
       }
+      askBtn.disabled = true;
+      askBtn.textContent = '...';
 
-      return `Arranged cards in Kanban with columns: ${columns.join(', ')}`;
-    },
+      const thinkingMsg = addSystemMessage(`💭 ${assistant.name} tänker...`);
 
-    arrangeCardsMindMap: async () => {
-      const selectedNodes = layer.find('.selected');
-      if (selectedNodes.length === 0) return 'No cards selected';
-      await arrangeCircle(selectedNodes);
-      return `Arranged ${selectedNodes.length} cards in mind map`;
-    },
+      try {
+        const response = await assistant.execute(query, tools, toolRegistry, conversationHistory);
 
-    arrangeCardsCluster: async ({ method = 'tags' }) => {
-      if (method === 'ai') {
-        return 'Smart clustering (AI-baserad) är inte implementerad än. Använd method: "tags" istället.';
-      }
-      // Simple tag-based clustering
-      const cards = await getAllCards();
-      const clusters = {};
-      cards.forEach(c => {
-        const primaryTag = c.tags?.[0] || 'untagged';
-        if (!clusters[primaryTag]) clusters[primaryTag] = [];
-        clusters[primaryTag].push(c);
-      });
+        thinkingMsg.remove();
 
-      let xOffset = 100;
-      for (const [tag, clusterCards] of Object.entries(clusters)) {
-        const nodes = clusterCards.map(c => {
-          return layer.find('.card').find(n => n.getAttr('cardId') === c.id);
-        }).filter(n => n);
+        addMessage(response, false);
+        conversationHistory.push({ role: 'assistant', text: response });
+        persistHistory();
 
-        if (nodes.length > 0) {
-          await arrangeGrid(nodes, 3, { x: xOffset, y: 100 });
-          xOffset += 600;
-        }
+      } catch (error) {
+        console.error(`${assistant.name} Assistant error:`, error);
+
+        thinkingMsg.remove();
+
+        addSystemMessage(`❌ Fel: ${error.message}`);
+      } finally {
+        askBtn.disabled = false;
+        askBtn.textContent = 'Skicka';
+        queryInput.focus();
       }
+    };
 
-      return `Clustered cards into ${Object.keys(clusters).length} groups by tags`;
-    },
+  askBtn.addEventListener('click', () => sendPrompt());
 
-    arrangeAllTagsInGrids: async () => {
-      console.log('🔍 [ChatGPT] arrangeAllTagsInGrids: Starting...');
+  queryInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      sendPrompt();
+    }
+  });
 
-      // Get all unique tags
-      const cards = await getAllCards();
-      console.log(`📦 [ChatGPT] Found ${cards.length} cards in database`);
+  if (intent?.prompt) {
+    sendPrompt(intent.prompt);
+  }
+}
 
-      const tagCounts = new Map();
-      for (const card of cards) {
-        if (card.tags && Array.isArray(card.tags)) {
-          for (const tag of card.tags) {
-            tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
-          }
-        }
-      }
+/**
+ * Show command palette
+ */
 
-      const tags = Array.from(tagCounts.keys());
-      console.log(`🏷️ [ChatGPT] Found ${tags.length} unique tags:`, tags);
+function showCommandPalette() {
+  const commands = getCommands().filter(cmd => typeof cmd.handler === 'function');
+  if (commands.length === 0) return;
 
-      if (tags.length === 0) {
-        return 'No tags found.';
-      }
+  const overlay = document.createElement('div');
+  overlay.dataset.commandPalette = 'overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    background: rgba(0, 0, 0, 0.7);
+    display: flex;
+    align-items: flex-start;
+    justify-content: center;
+    z-index: 10000;
+    padding-top: 80px;
+    overflow-y: auto;
+  `;
 
-      // Constants for layout
-      const cardWidth = 200;
-      const cardHeight = 150;
-      const columns = 4;
-      const spacing = 13;   // Reduced by 1/3 (was 20)
-      const gridGap = 67;   // Reduced by 1/3 (was 100)
-
-      let currentY = 0;
-      let arrangedCount = 0;
-
-      // Arrange each tag group
-      for (const tag of tags) {
-        // Filter cards by this tag
-        const matchingCards = cards.filter(c => c.tags && c.tags.includes(tag));
-        console.log(`🏷️ [ChatGPT] Tag "${tag}": ${matchingCards.length} cards`);
-
-        if (matchingCards.length === 0) continue;
-
-        // Find and arrange these cards
-        matchingCards.forEach((card, index) => {
-          const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-          if (node) {
-            const row = Math.floor(index / columns);
-            const col = index % columns;
-            const x = col * (cardWidth + spacing);
-            const y = currentY + row * (cardHeight + spacing);
-
-            console.log(`  ➡️ [ChatGPT] Moving card ${card.id} to (${x}, ${y})`);
-            node.position({ x, y });
-            arrangedCount++;
-          } else {
-            console.warn(`  ⚠️ [ChatGPT] Node not found for card ${card.id}`);
-          }
-        });
+  const palette = document.createElement('div');
+  palette.style.cssText = `
+    background: white;
+    border-radius: 12px;
+    padding: 24px;
+    max-width: 600px;
+    width: 90%;
+    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+    max-height: 80vh;
+    overflow-y: auto;
+  `;
 
-        // Move to next group position
-        const rows = Math.ceil(matchingCards.length / columns);
-        currentY += rows * (cardHeight + spacing) + gridGap;
-      }
+  let handleKeyboard;
 
-      console.log(`✅ [ChatGPT] Calling layer.batchDraw() for ${arrangedCount} cards`);
-      layer.batchDraw();
+  const cleanup = () => {
+    if (overlay && overlay.parentNode) {
+      document.body.removeChild(overlay);
+    }
+    if (handleKeyboard) {
+      document.removeEventListener('keydown', handleKeyboard);
+    }
+  };
 
-      return `Arranged ${arrangedCount} cards in ${tags.length} tag groups (vertically with ${gridGap}px spacing).`;
-    },
+  const descriptionFor = (cmd) => cmd.description || cmd.desc || '';
 
-    getUpcomingCalendar: async (args) => {
-      const weeks = args.weeks || 3;
-      try {
-        const events = await getUpcomingCalendarEvents(weeks);
-        return formatEventsForAI(events);
-      } catch (error) {
-        return `Could not fetch calendar events: ${error.message}. Make sure you have connected Google Calendar (same Client ID as Drive).`;
-      }
-    },
+  const commandsWithIndex = commands.map((cmd, idx) => ({
+    ...cmd,
+    originalIndex: idx,
+    keyLabel: formatKeyBindings(cmd) || cmd.keyBinding || ''
+  }));
 
-    getTodayCalendar: async () => {
-      try {
-        const events = await getTodayCalendarEvents();
-        return formatEventsForAI(events);
-      } catch (error) {
-        return `Could not fetch today's events: ${error.message}`;
-      }
-    },
+  const renderCommands = (filteredCommands) => {
+    const commandList = palette.querySelector('#command-list');
+    commandList.innerHTML = filteredCommands.map((cmd) => `
+      <div class="command-item" data-original-index="${cmd.originalIndex}" style="
+        padding: 16px;
+        background: ${cmd.handler ? '#f5f5f5' : '#fafafa'};
+        border-radius: 8px;
+        cursor: ${cmd.handler ? 'pointer' : 'default'};
+        transition: all 0.15s;
+        border: 2px solid transparent;
+        display: flex;
+        align-items: center;
+        gap: 16px;
+      ">
+        <div style="font-size: 24px; flex-shrink: 0;">
+          ${cmd.icon || '⌘'}
+        </div>
+        <div style="flex: 1; min-width: 0;">
+          <div style="font-weight: 600; font-size: 16px; color: #1a1a1a; margin-bottom: 2px;">
+            ${cmd.name || cmd.id}
+          </div>
+          <div style="font-size: 13px; color: #666;">
+            ${descriptionFor(cmd)}
+          </div>
+        </div>
+        <div style="
+          background: white;
+          padding: 6px 12px;
+          border-radius: 6px;
+          font-size: 12px;
+          font-weight: 600;
+          color: #666;
+          font-family: monospace;
+          white-space: nowrap;
+          flex-shrink: 0;
+        ">
+          ${cmd.keyLabel || '—'}
+        </div>
+      </div>
+    `).join('');
 
-    getThisWeekCalendar: async () => {
-      try {
-        const events = await getThisWeekCalendarEvents();
-        return formatEventsForAI(events);
-      } catch (error) {
-        return `Could not fetch this week's events: ${error.message}`;
-      }
-    },
+    const commandItems = commandList.querySelectorAll('.command-item');
+    commandItems.forEach((item, index) => {
+      const cmd = filteredCommands[index];
 
-    createCardsFromCalendar: async (args) => {
-      const weeks = args.weeks || 2;
-      try {
-        // Get calendar events
-        const events = await getUpcomingCalendarEvents(weeks);
+      if (cmd?.handler) {
+        item.addEventListener('mouseenter', () => {
+          item.style.background = '#e3f2fd';
+          item.style.borderColor = '#2196F3';
+          item.style.transform = 'scale(1.01)';
+        });
 
-        if (!events || events.length === 0) {
-          return 'No calendar events found.';
-        }
+        item.addEventListener('mouseleave', () => {
+          item.style.background = '#f5f5f5';
+          item.style.borderColor = 'transparent';
+          item.style.transform = 'scale(1)';
+        });
+
+        item.addEventListener('click', async () => {
+          cleanup();
+          await cmd.handler({ source: 'palette' });
+        });
+      }
+    });
+  };
 
-        // Get all existing cards
-        const existingCards = await getAllCards();
+  palette.innerHTML = `
+    <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 20px;">
+      <h2 style="margin: 0; font-size: 24px; color: #1a1a1a;">
+        ⌘ Command Palette
+      </h2>
+      <span style="color: #999; font-size: 14px;">Tryck ESC för att stänga</span>
+    </div>
 
-        // Find which events already have cards
-        const existingEventIds = new Set(
-          existingCards
-            .filter(c => c.calendarEventId)
-            .map(c => c.calendarEventId)
-        );
+    <input
+      type="text"
+      id="command-search"
+      placeholder="Sök kommandon..."
+      style="
+        width: 100%;
+        padding: 12px 16px;
+        border: 2px solid #e0e0e0;
+        border-radius: 8px;
+        font-size: 16px;
+        margin-bottom: 16px;
+        outline: none;
+        transition: border-color 0.15s;
+      "
+    />
 
-        // Filter to only new events
-        const newEvents = events.filter(e => !existingEventIds.has(e.id));
+    <div id="command-list" style="display: flex; flex-direction: column; gap: 8px;">
+    </div>
+  `;
 
-        if (newEvents.length === 0) {
-          return `All ${events.length} calendar events already have cards. No new cards created.`;
-        }
+  overlay.appendChild(palette);
+  document.body.appendChild(overlay);
 
-        // Create cards for new events
-        let createdCount = 0;
-        const createdCards = [];
-
-        for (const event of newEvents) {
-          const startDate = new Date(event.start);
-          const endDate = new Date(event.end);
-
-          // Format card text
-          let cardText = `📅 ${event.summary}\n\n`;
-          cardText += `⏰ ${startDate.toLocaleString('sv-SE', {
-            weekday: 'short',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-          })}`;
-
-          if (!event.isAllDay) {
-            cardText += ` - ${endDate.toLocaleTimeString('sv-SE', { hour: '2-digit', minute: '2-digit' })}`;
-          }
+  let selectedIndex = -1;
+  let currentCommands = commandsWithIndex;
 
-          if (event.location) {
-            cardText += `\n📍 ${event.location}`;
-          }
+  renderCommands(currentCommands);
 
-          if (event.description) {
-            cardText += `\n\n${event.description}`;
-          }
+  // Auto-focus search input when palette opens
+  const searchInput = palette.querySelector('#command-search');
+  setTimeout(() => searchInput.focus(), 50);
 
-          if (event.attendees && event.attendees.length > 0) {
-            cardText += `\n\n👥 ${event.attendees.length} deltagare`;
-          }
+  const highlightCommand = (index) => {
+    const commandList = palette.querySelector('#command-list');
+    const items = commandList.querySelectorAll('.command-item');
 
-          // Create the card with automatic color detection
-          const autoColor = getColorFromText(event.summary);
-          const defaultColor = event.isAllDay ? '#e3f2fd' : '#fff3e0';
-
-          const newCard = await createCard({
-            text: cardText,
-            x: 100 + (createdCount % 5) * 250, // Spread cards horizontally
-            y: 100 + Math.floor(createdCount / 5) * 200,
-            tags: ['calendar', 'meeting'],
-            cardColor: autoColor || defaultColor, // Use subject color if found, otherwise default
-            calendarEventId: event.id, // Store the calendar event ID!
-            calendarEventLink: event.htmlLink,
-            eventDate: event.start // Store event date for sorting
-          });
+    items.forEach((item, idx) => {
+      if (idx === index) {
+        item.style.background = '#e3f2fd';
+        item.style.borderColor = '#2196F3';
+        item.style.transform = 'scale(1.01)';
+        item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      } else {
+        const originalCmd = currentCommands[idx];
+        item.style.background = originalCmd?.handler ? '#f5f5f5' : '#fafafa';
+        item.style.borderColor = 'transparent';
+        item.style.transform = 'scale(1)';
+      }
+    });
+  };
 
-          createdCards.push(newCard);
-          createdCount++;
-        }
+  searchInput.addEventListener('input', (e) => {
+    const query = e.target.value.toLowerCase().trim();
 
-        // Reload canvas to show new cards
-        await reloadCanvas();
+    if (!query) {
+      currentCommands = commandsWithIndex;
+      renderCommands(commandsWithIndex);
+      selectedIndex = -1;
+      return;
+    }
 
-        return `Created ${createdCount} new cards from calendar (${events.length - createdCount} events already had cards). New cards are tagged with 'calendar' and 'meeting'.`;
+    const filtered = commandsWithIndex.filter(cmd =>
+      (cmd.name || '').toLowerCase().includes(query) ||
+      descriptionFor(cmd).toLowerCase().includes(query) ||
+      (cmd.keyLabel || '').toLowerCase().includes(query) ||
+      (cmd.category || '').toLowerCase().includes(query)
+    );
 
-      } catch (error) {
-        console.error('Error creating cards from calendar:', error);
-        return `Could not create cards from calendar: ${error.message}`;
-      }
-    },
+    currentCommands = filtered;
+    renderCommands(filtered);
+    selectedIndex = -1;
+  });
 
-    applySchoolColorScheme: async () => {
-      const schoolColors = [
-        {patterns: ["ma", "matematik"], color: "#2196f3"},           // Matematik - blå
-        {patterns: ["sv", "svenska"], color: "#ffeb3b"},             // Svenska - gul
-        {patterns: ["no", "naturorientering"], color: "#4caf50"},    // NO - grön
-        {patterns: ["eng", "engelska"], color: "#f44336"},           // Engelska - röd
-        {patterns: ["bi", "bild"], color: "#9c27b0"},                // Bild - lila
-        {patterns: ["tk", "teknik"], color: "#9e9e9e"},              // Teknik - grå
-        {patterns: ["spanska", "språk"], color: "#ff9800"},          // Spanska/språk - orange
-        {patterns: ["idh", "idrott"], color: "#e91e63"},             // Idrott - rosa
-        {patterns: ["so", "samhällskunskap"], color: "#ef9a9a"},     // SO - ljusröd
-        {patterns: ["sl", "slöjd"], color: "#fff59d"},               // Slöjd - ljusgul
-        {patterns: ["mu", "musik"], color: "#a5d6a7"},               // Musik - ljusgrön
-        {patterns: ["hkk"], color: "#a5d6a7"},                       // HKK - ljusgrön
-        {patterns: ["lunch"], color: "#ffffff"}                      // Lunch - vit
-      ];
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      searchInput.blur();
+      selectedIndex = -1;
+      const downEvent = new KeyboardEvent('keydown', { key: 'ArrowDown' });
+      document.dispatchEvent(downEvent);
+    }
+  });
 
-      try {
-        const cards = await getAllCards();
-        let coloredCount = 0;
-        const colorSummary = {};
-
-        for (const {patterns, color} of schoolColors) {
-          const matchingCards = cards.filter(card => {
-            const text = (card.text || '').toLowerCase();
-            const backText = (card.backText || '').toLowerCase();
-            const tags = (card.tags || []).join(' ').toLowerCase();
-            const searchText = `${text} ${backText} ${tags}`;
-
-            // Check if any pattern matches
-            return patterns.some(pattern => {
-              const regex = new RegExp(`\\b${pattern}\\b`, 'i');
-              return regex.test(searchText);
-            });
-          });
+  searchInput.addEventListener('focus', () => {
+    searchInput.style.borderColor = '#2196F3';
+  });
+  searchInput.addEventListener('blur', () => {
+    searchInput.style.borderColor = '#e0e0e0';
+  });
 
-          if (matchingCards.length > 0) {
-            colorSummary[patterns[0]] = matchingCards.length;
+  handleKeyboard = async (e) => {
+    if (e.key === 'Escape') {
+      cleanup();
+      return;
+    }
 
-            for (const card of matchingCards) {
-              await updateCard(card.id, { cardColor: color });
-              coloredCount++;
+    const isTypingInSearch = document.activeElement === searchInput;
 
-              const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-              if (node) {
-                const cardRect = node.findOne('Rect');
-                if (cardRect) {
-                  cardRect.fill(color);
-                }
-              }
-            }
-          }
-        }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      const actionableCommands = currentCommands.filter(cmd => cmd.handler);
+      if (actionableCommands.length === 0) return;
 
-        layer.batchDraw();
+      let nextIndex = selectedIndex;
+      do {
+        nextIndex = (nextIndex + 1) % currentCommands.length;
+      } while (!currentCommands[nextIndex]?.handler && nextIndex !== selectedIndex);
 
-        let summary = `Applied school color scheme to ${coloredCount} cards:\n`;
-        for (const [pattern, count] of Object.entries(colorSummary)) {
-          summary += `- ${pattern}: ${count} cards\n`;
-        }
+      selectedIndex = nextIndex;
+      highlightCommand(selectedIndex);
+      return;
+    }
 
-        return summary;
+    if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      const actionableCommands = currentCommands.filter(cmd => cmd.handler);
+      if (actionableCommands.length === 0) return;
 
-      } catch (error) {
-        console.error('Error applying school color scheme:', error);
-        return `Could not apply color scheme: ${error.message}`;
-      }
-    },
+      let prevIndex = selectedIndex;
+      do {
+        prevIndex = prevIndex <= 0 ? currentCommands.length - 1 : prevIndex - 1;
+      } while (!currentCommands[prevIndex]?.handler && prevIndex !== selectedIndex);
 
-    colorCardsByPattern: async (args) => {
-      const patterns = args.patterns || [];
+      selectedIndex = prevIndex;
+      highlightCommand(selectedIndex);
+      return;
+    }
 
-      if (patterns.length === 0) {
-        return 'No color patterns provided. Example: [{pattern: "lunch", color: "#ffeb3b"}, {pattern: "important", color: "#f44336"}]';
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (selectedIndex >= 0 && selectedIndex < currentCommands.length) {
+        const selectedCmd = currentCommands[selectedIndex];
+        if (selectedCmd?.handler) {
+          cleanup();
+          document.removeEventListener('keydown', handleKeyboard);
+          await selectedCmd.handler({ source: 'palette' });
+          return;
+        }
       }
+      return;
+    }
 
-      try {
-        const cards = await getAllCards();
-        let coloredCount = 0;
-        const colorSummary = {};
-
-        for (const {pattern, color} of patterns) {
-          const matchingCards = cards.filter(card => {
-            const text = (card.text || '').toLowerCase();
-            const backText = (card.backText || '').toLowerCase();
-            const tags = (card.tags || []).join(' ').toLowerCase();
-            const searchText = `${text} ${backText} ${tags}`;
-            return searchText.includes(pattern.toLowerCase());
-          });
+    if (e.key === '/' && !isTypingInSearch) {
+      e.preventDefault();
+      searchInput.focus();
+      return;
+    }
 
-          colorSummary[pattern] = matchingCards.length;
+    if (isTypingInSearch) {
+      e.stopPropagation();
+      return;
+    }
+  };
+  document.addEventListener('keydown', handleKeyboard);
 
-          for (const card of matchingCards) {
-            await updateCard(card.id, { cardColor: color });
-            coloredCount++;
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      cleanup();
+    }
+  });
+}
 
-            const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-            if (node) {
-              const cardRect = node.findOne('Rect');
-              if (cardRect) {
-                cardRect.fill(color);
-              }
-            }
-          }
-        }
+/**
+ * Show quality selector dialog
+ * @returns {Promise<Object|null>} { quality, splitPostIts }, or null when cancelled
+ */
+function showQualityDialog(fileCount) {
+  return new Promise((resolve) => {
+    // Create modal overlay
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.5);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
 
-        layer.batchDraw();
+    // Create dialog
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: white;
+      border-radius: 12px;
+      padding: 32px;
+      max-width: 500px;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+    `;
 
-        let summary = `Colored ${coloredCount} cards:\n`;
-        for (const [pattern, count] of Object.entries(colorSummary)) {
-          summary += `- "${pattern}": ${count} cards\n`;
-        }
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 16px 0; font-size: 24px; color: #1a1a1a;">
+        Välj kvalitet
+      </h2>
+      <p style="margin: 0 0 24px 0; color: #666; font-size: 16px;">
+        ${fileCount} ${fileCount === 1 ? 'bild vald' : 'bilder valda'}
+      </p>
 
-        return summary;
+      <label style="display: flex; align-items: center; gap: 8px; margin: 0 0 20px 0; color: #1a1a1a; font-size: 15px; cursor: pointer;">
+        <input type="checkbox" id="quality-split-postits" style="width: 18px; height: 18px;">
+        <span>Dela upp post-it-lappar i egna kort (behåller placering och färg)</span>
+      </label>
 
-      } catch (error) {
-        console.error('Error coloring cards:', error);
-        return `Could not color cards: ${error.message}`;
-      }
-    },
+      <div style="display: flex; flex-direction: column; gap: 12px;">
+        <button id="quality-normal" style="
+          padding: 20px;
+          background: #2196F3;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          text-align: left;
+          transition: transform 0.1s;
+        ">
+          <div style="font-size: 18px; margin-bottom: 4px;">📸 Normal (rekommenderad)</div>
+          <div style="font-size: 14px; opacity: 0.9;">900px, bra balans för A7-kort</div>
+        </button>
 
-    arrangeCardsByDay: async (args) => {
-      const weeks = args.weeks || 2;
-      const useExtractedDate = args.useExtractedDate !== false;
+        <button id="quality-high" style="
+          padding: 20px;
+          background: #FF9800;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          text-align: left;
+          transition: transform 0.1s;
+        ">
+          <div style="font-size: 18px; margin-bottom: 4px;">🔍 Hög (för OCR)</div>
+          <div style="font-size: 14px; opacity: 0.9;">1200px, bäst för AI-textigenkänning</div>
+        </button>
 
-      try {
-        const cards = await getAllCards();
-        const cardsByDate = new Map();
-
-        for (const card of cards) {
-          let dateStr = null;
-
-          if (card.eventDate) {
-            // Calendar event date (prioritize this)
-            const date = new Date(card.eventDate);
-            dateStr = date.toISOString().split('T')[0];
-          } else if (useExtractedDate && card.geminiMetadata?.extractedDateTime) {
-            const date = new Date(card.geminiMetadata.extractedDateTime);
-            dateStr = date.toISOString().split('T')[0];
-          } else if (useExtractedDate && card.geminiMetadata?.extractedDate) {
-            const date = new Date(card.geminiMetadata.extractedDate);
-            dateStr = date.toISOString().split('T')[0];
-          } else if (card.created) {
-            const date = new Date(card.created);
-            dateStr = date.toISOString().split('T')[0];
-          }
+        <button id="quality-low" style="
+          padding: 20px;
+          background: #4CAF50;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          text-align: left;
+          transition: transform 0.1s;
+        ">
+          <div style="font-size: 18px; margin-bottom: 4px;">✍️ Låg (snabbt)</div>
+          <div style="font-size: 14px; opacity: 0.9;">600px, mindre filstorlek</div>
+        </button>
 
-          if (dateStr) {
-            if (!cardsByDate.has(dateStr)) {
-              cardsByDate.set(dateStr, []);
-            }
-            cardsByDate.get(dateStr).push(card);
-          }
-        }
+        <button id="quality-original" style="
+          padding: 20px;
+          background: #9C27B0;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          text-align: left;
+          transition: transform 0.1s;
+        ">
+          <div style="font-size: 18px; margin-bottom: 4px;">⭐ Original</div>
+          <div style="font-size: 14px; opacity: 0.9;">Ingen komprimering - kan bli stort!</div>
+        </button>
 
-        if (cardsByDate.size === 0) {
-          return 'No cards with dates found to arrange.';
-        }
+        <button id="quality-cancel" style="
+          padding: 12px;
+          background: transparent;
+          color: #666;
+          border: none;
+          border-radius: 8px;
+          font-size: 14px;
+          cursor: pointer;
+        ">
+          Avbryt
+        </button>
+      </div>
+    `;
 
-        const sortedDates = Array.from(cardsByDate.keys()).sort();
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const weeksInMs = weeks * 7 * 24 * 60 * 60 * 1000;
-        const endDate = new Date(today.getTime() + weeksInMs);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
 
-        const filteredDates = sortedDates.filter(dateStr => {
-          const date = new Date(dateStr);
-          return date >= today && date <= endDate;
+    // Add hover effects
+    const buttons = dialog.querySelectorAll('button[id^="quality-"]');
+    buttons.forEach(btn => {
+      if (btn.id !== 'quality-cancel') {
+        btn.addEventListener('mouseenter', () => {
+          btn.style.transform = 'scale(1.02)';
         });
-
-        const datesToShow = filteredDates.length > 0 ? filteredDates : sortedDates.slice(0, weeks * 7);
-
-        const columnWidth = 210;   // Tighter columns (was 250)
-        const columnSpacing = 10;  // Much tighter spacing (was 20)
-        const cardHeight = 160;
-        const cardSpacing = 10;    // Reduced by 1/3 (was 15)
-        const headerHeight = 80;
-        const startX = 50;
-        const startY = 50;
-
-        let arrangedCount = 0;
-
-        datesToShow.forEach((dateStr, dayIndex) => {
-          const cardsForDay = cardsByDate.get(dateStr) || [];
-          const x = startX + dayIndex * (columnWidth + columnSpacing);
-
-          cardsForDay.forEach((card, cardIndex) => {
-            const node = layer.findOne(n => n.getAttr('cardId') === card.id);
-            if (node) {
-              const y = startY + headerHeight + cardIndex * (cardHeight + cardSpacing);
-              node.position({ x, y });
-              arrangedCount++;
-            }
-          });
+        btn.addEventListener('mouseleave', () => {
+          btn.style.transform = 'scale(1)';
         });
+      }
+    });
 
-        layer.batchDraw();
-
-        const weekCount = Math.ceil(datesToShow.length / 7);
-        return `Arranged ${arrangedCount} cards in weekly schedule over ${datesToShow.length} days (~${weekCount} weeks). Each column = one day.`;
+    // Split choice is remembered for the next import
+    const splitCheckbox = dialog.querySelector('#quality-split-postits');
+    splitCheckbox.checked = localStorage.getItem(SPLIT_POSTITS_KEY) === 'true';
 
-      } catch (error) {
-        console.error('Error arranging cards by day:', error);
-        return `Could not arrange cards by day: ${error.message}`;
-      }
+    // Handle button clicks
+    const cleanup = (quality) => {
+      document.body.removeChild(overlay);
+      if (!quality) {
+        resolve(null);
+        return;
       }
+      localStorage.setItem(SPLIT_POSTITS_KEY, String(splitCheckbox.checked));
+      resolve({ quality, splitPostIts: splitCheckbox.checked });
     };
 
-    renderStoredConversation();
-
-    const injectContextSnapshot = async () => {
-      if (conversationHistory.length > 0) return;
+    dialog.querySelector('#quality-high').addEventListener('click', () => cleanup('high'));
+    dialog.querySelector('#quality-normal').addEventListener('click', () => cleanup('normal'));
+    dialog.querySelector('#quality-low').addEventListener('click', () => cleanup('low'));
+    dialog.querySelector('#quality-original').addEventListener('click', () => cleanup('original'));
+    dialog.querySelector('#quality-cancel').addEventListener('click', () => cleanup(null));
 
-      const contextSummary = prefetchedContextSummary || await buildAIContextSnapshot(toolRegistry);
-      if (contextSummary) {
-        addSystemMessage('📌 Förser AI:n med aktuell tavla-kontekst (komprimerad).');
-        addSystemMessage('🪙 Token-sparläge: svara kort och återanvänd kontexten.');
-        conversationHistory.push({ role: 'system', text: contextSummary });
-        conversationHistory.push({ role: 'system', text: 'Svara kortfattat (max ~120 ord). Använd verktyg istället för långa utläggningar.' });
-        persistHistory();
+    // ESC to cancel
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') {
+        cleanup(null);
+        document.removeEventListener('keydown', handleEsc);
       }
     };
+    document.addEventListener('keydown', handleEsc);
+  });
+}
 
-    await injectContextSnapshot();
+/**
+ * Setup drag-and-drop for images
+ */
+export function setupImageDragDrop() {
+  const container = stage.container();
 
-    // Ask handler
-    const sendPrompt = async (promptText = null) => {
-      const query = (promptText ?? queryInput.value).trim();
-      if (!query) return;
+  // Prevent default drag behavior
+  container.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    container.style.border = '3px dashed #2196F3';
+  });
 
-      addMessage(query, true);
-      conversationHistory.push({ role: 'user', text: query });
-      persistHistory();
+  container.addEventListener('dragleave', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    container.style.border = 'none';
+  });
 
-      if (!promptText) {
-        queryInput.value = '';
-      }
-      askBtn.disabled = true;
-      askBtn.textContent = '...';
+  // Handle drop
+  container.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    container.style.border = 'none';
 
-      const thinkingMsg = addSystemMessage('💭 ChatGPT tänker...');
+    const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
 
-      try {
-        const response = await executeChatGPTAgent(query, tools, toolRegistry, conversationHistory);
+    if (files.length === 0) return;
 
-        thinkingMsg.remove();
+    try {
+      // Show quality selector dialog
+      const choice = await showQualityDialog(files.length);
+      if (!choice) return;
+      const { quality, splitPostIts } = choice;
+      const unsplitFiles = [];
 
-        addMessage(response, false);
-        conversationHistory.push({ role: 'assistant', text: response });
-        persistHistory();
+      for (const file of files) {
+        // Get drop position
+        const pointer = stage.getPointerPosition();
+        const scale = stage.scaleX();
+        const position = {
+          x: (pointer.x - stage.x()) / scale,
+          y: (pointer.y - stage.y()) / scale
+        };
 
-      } catch (error) {
-        console.error('ChatGPT Assistant error:', error);
+        if (splitPostIts) {
+          if ((await createPostItCards(file, quality, position)).length > 0) continue;
+          unsplitFiles.push(file.name);
+        }
 
-        thinkingMsg.remove();
+        const processed = await processImage(file, quality);
 
-        addSystemMessage(`❌ Fel: ${error.message}`);
-      } finally {
-        askBtn.disabled = false;
-        askBtn.textContent = 'Skicka';
-        queryInput.focus();
+        await createCard({
+          text: processed.metadata.fileName,
+          tags: ['bild'],
+          position,
+          image: {
+            base64: processed.base64,
+            width: processed.metadata.width,
+            height: processed.metadata.height,
+            quality: processed.metadata.quality
+          },
+          metadata: processed.metadata
+        });
       }
-    };
 
-  askBtn.addEventListener('click', () => sendPrompt());
+      await reloadCanvas();
 
-  queryInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      sendPrompt();
+      if (unsplitFiles.length > 0) {
+        alert(`Hittade inga post-it-lappar i ${unsplitFiles.join(', ')} - hela bilden importerades.`);
+      }
+    } catch (error) {
+      console.error('Drag-drop import failed:', error);
+      alert('Misslyckades att importera bild: ' + error.message);
     }
   });
 
-  if (intent?.prompt) {
-    sendPrompt(intent.prompt);
-  }
-}
-
-/**
- * Show command palette
- */
-
-function showCommandPalette() {
-  const commands = getCommands().filter(cmd => typeof cmd.handler === 'function');
-  if (commands.length === 0) return;
-
-  const overlay = document.createElement('div');
-  overlay.dataset.commandPalette = 'overlay';
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    right: 0;
-    bottom: 0;
-    background: rgba(0, 0, 0, 0.7);
-    display: flex;
-    align-items: flex-start;
-    justify-content: center;
-    z-index: 10000;
-    padding-top: 80px;
-    overflow-y: auto;
-  `;
-
-  const palette = document.createElement('div');
-  palette.style.cssText = `
-    background: white;
-    border-radius: 12px;
-    padding: 24px;
-    max-width: 600px;
-    width: 90%;
-    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-    max-height: 80vh;
-    overflow-y: auto;
-  `;
-
-  let handleKeyboard;
-
-  const cleanup = () => {
-    if (overlay && overlay.parentNode) {
-      document.body.removeChild(overlay);
-    }
-    if (handleKeyboard) {
-      document.removeEventListener('keydown', handleKeyboard);
-    }
-  };
-
-  const descriptionFor = (cmd) => cmd.description || cmd.desc || '';
-
-  const commandsWithIndex = commands.map((cmd, idx) => ({
-    ...cmd,
-    originalIndex: idx,
-    keyLabel: formatKeyBindings(cmd) || cmd.keyBinding || ''
-  }));
-
-  const renderCommands = (filteredCommands) => {
-    const commandList = palette.querySelector('#command-list');
-    commandList.innerHTML = filteredCommands.map((cmd) => `
-      <div class="command-item" data-original-index="${cmd.originalIndex}" style="
-        padding: 16px;
-        background: ${cmd.handler ? '#f5f5f5' : '#fafafa'};
-        border-radius: 8px;
-        cursor: ${cmd.handler ? 'pointer' : 'default'};
-        transition: all 0.15s;
-        border: 2px solid transparent;
-        display: flex;
-        align-items: center;
-        gap: 16px;
-      ">
-        <div style="font-size: 24px; flex-shrink: 0;">
-          ${cmd.icon || '⌘'}
-        </div>
-        <div style="flex: 1; min-width: 0;">
-          <div style="font-weight: 600; font-size: 16px; color: #1a1a1a; margin-bottom: 2px;">
-            ${cmd.name || cmd.id}
-          </div>
-          <div style="font-size: 13px; color: #666;">
-            ${descriptionFor(cmd)}
-          </div>
-        </div>
-        <div style="
-          background: white;
-          padding: 6px 12px;
-          border-radius: 6px;
-          font-size: 12px;
-          font-weight: 600;
-          color: #666;
-          font-family: monospace;
-          white-space: nowrap;
-          flex-shrink: 0;
-        ">
-          ${cmd.keyLabel || '—'}
-        </div>
-      </div>
-    `).join('');
-
-    const commandItems = commandList.querySelectorAll('.command-item');
-    commandItems.forEach((item, index) => {
-      const cmd = filteredCommands[index];
+  console.log('Drag-and-drop enabled for images');
+}
 
-      if (cmd?.handler) {
-        item.addEventListener('mouseenter', () => {
-          item.style.background = '#e3f2fd';
-          item.style.borderColor = '#2196F3';
-          item.style.transform = 'scale(1.01)';
-        });
+/**
+ * Fit all cards in view
+ */
+export function fitAllCards() {
+  // Check if there are selected cards
+  const selectedCards = layer.find('.selected').filter(node => node.getAttr('cardId'));
+  const cardsToFit = selectedCards.length > 0 ? selectedCards : layer.getChildren().filter(node => node.getAttr('cardId'));
 
-        item.addEventListener('mouseleave', () => {
-          item.style.background = '#f5f5f5';
-          item.style.borderColor = 'transparent';
-          item.style.transform = 'scale(1)';
-        });
+  // With culling most cards are not live - use the spatial index instead
+  const useIndex = cullingEnabled && selectedCards.length === 0;
+  if (useIndex) {
+    cardGroups.forEach((group, cardId) => syncIndexFromGroup(cardId, group));
+  }
 
-        item.addEventListener('click', async () => {
-          cleanup();
-          await cmd.handler({ source: 'palette' });
-        });
-      }
+  if (useIndex ? cardIndex.size === 0 : cardsToFit.length === 0) {
+    console.log('No cards to fit');
+    return;
+  }
+
+  console.log(`Fitting ${selectedCards.length > 0 ? 'selected' : 'all'} cards (${useIndex ? cardIndex.size : cardsToFit.length} total)`);
+
+  // Calculate bounding box in canvas coordinates (not screen coordinates)
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  if (useIndex) {
+    ({ minX, minY, maxX, maxY } = cardIndex.getTotalBounds());
+  } else {
+    cardsToFit.forEach(card => {
+      const x = card.x();
+      const y = card.y();
+      const width = card.width();
+      const height = card.height();
+
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x + width);
+      maxY = Math.max(maxY, y + height);
     });
-  };
+  }
 
-  palette.innerHTML = `
-    <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 20px;">
-      <h2 style="margin: 0; font-size: 24px; color: #1a1a1a;">
-        ⌘ Command Palette
-      </h2>
-      <span style="color: #999; font-size: 14px;">Tryck ESC för att stänga</span>
-    </div>
+  const contentWidth = maxX - minX;
+  const contentHeight = maxY - minY;
 
-    <input
-      type="text"
-      id="command-search"
-      placeholder="Sök kommandon..."
-      style="
-        width: 100%;
-        padding: 12px 16px;
-        border: 2px solid #e0e0e0;
-        border-radius: 8px;
-        font-size: 16px;
-        margin-bottom: 16px;
-        outline: none;
-        transition: border-color 0.15s;
-      "
-    />
+  // Add padding
+  const padding = 100;
+  const paddedWidth = contentWidth + padding * 2;
+  const paddedHeight = contentHeight + padding * 2;
 
-    <div id="command-list" style="display: flex; flex-direction: column; gap: 8px;">
-    </div>
-  `;
+  // Calculate scale to fit
+  const scaleX = stage.width() / paddedWidth;
+  const scaleY = stage.height() / paddedHeight;
+  const scale = Math.min(scaleX, scaleY); // Use the smallest scale needed to fit all cards
 
-  overlay.appendChild(palette);
-  document.body.appendChild(overlay);
+  // Calculate center of content WITH padding in canvas coordinates
+  const contentCenterX = minX - padding + paddedWidth / 2;
+  const contentCenterY = minY - padding + paddedHeight / 2;
 
-  let selectedIndex = -1;
-  let currentCommands = commandsWithIndex;
+  // Set new scale
+  stage.scale({ x: scale, y: scale });
 
-  renderCommands(currentCommands);
+  // Center the content in the stage
+  stage.position({
+    x: stage.width() / 2 - contentCenterX * scale,
+    y: stage.height() / 2 - contentCenterY * scale
+  });
 
-  // Auto-focus search input when palette opens
-  const searchInput = palette.querySelector('#command-search');
-  setTimeout(() => searchInput.focus(), 50);
+  stage.batchDraw();
+  console.log(`Fitted and centered ${selectedCards.length > 0 ? 'selected' : 'all'} cards in view`);
+}
 
-  const highlightCommand = (index) => {
-    const commandList = palette.querySelector('#command-list');
-    const items = commandList.querySelectorAll('.command-item');
+/**
+ * Pan and zoom the board to a card and select it
+ * Cards in a collapsed frame expand the frame first.
+ */
+export async function panToCard(cardId) {
+  if (!stage) return;
 
-    items.forEach((item, idx) => {
-      if (idx === index) {
-        item.style.background = '#e3f2fd';
-        item.style.borderColor = '#2196F3';
-        item.style.transform = 'scale(1.01)';
-        item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-      } else {
-        const originalCmd = currentCommands[idx];
-        item.style.background = originalCmd?.handler ? '#f5f5f5' : '#fafafa';
-        item.style.borderColor = 'transparent';
-        item.style.transform = 'scale(1)';
-      }
-    });
+  const frameId = cardFrameIds.get(cardId);
+  if (frames.get(frameId)?.collapsed) {
+    await toggleFrameCollapsed(frameId);
+  }
+
+  const bounds = cardIndex.getBounds(cardId);
+  if (!bounds) {
+    alert('Kortet finns inte på den här tavlan.');
+    return;
+  }
+
+  // Zoom in to readable size, but never zoom out
+  const scale = Math.max(stage.scaleX(), 1);
+  const target = {
+    x: stage.width() / 2 - (bounds.x + bounds.width / 2) * scale,
+    y: stage.height() / 2 - (bounds.y + bounds.height / 2) * scale
   };
 
-  searchInput.addEventListener('input', (e) => {
-    const query = e.target.value.toLowerCase().trim();
+  await new Promise(resolve => {
+    stage.to({
+      x: target.x,
+      y: target.y,
+      scaleX: scale,
+      scaleY: scale,
+      duration: 0.4,
+      easing: Konva.Easings.EaseInOut,
+      onFinish: resolve
+    });
+  });
 
-    if (!query) {
-      currentCommands = commandsWithIndex;
-      renderCommands(commandsWithIndex);
-      selectedIndex = -1;
-      return;
-    }
+  // Culled cards are not live until the viewport update - render the target now
+  await renderCardsById([cardId]);
 
-    const filtered = commandsWithIndex.filter(cmd =>
-      (cmd.name || '').toLowerCase().includes(query) ||
-      descriptionFor(cmd).toLowerCase().includes(query) ||
-      (cmd.keyLabel || '').toLowerCase().includes(query) ||
-      (cmd.category || '').toLowerCase().includes(query)
-    );
+  cardGroups.forEach(group => group.removeName('selected'));
+  cardGroups.get(cardId)?.addName('selected');
+  updateCardStrokes();
+  layer.batchDraw();
+  refreshStats();
+}
 
-    currentCommands = filtered;
-    renderCommands(filtered);
-    selectedIndex = -1;
-  });
+// ============================================================================
+// SECTION 10: SEARCH (Boolean Search, Wildcards, Proximity)
+// ============================================================================
 
-  searchInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Tab' || e.key === 'ArrowDown') {
-      e.preventDefault();
-      searchInput.blur();
-      selectedIndex = -1;
-      const downEvent = new KeyboardEvent('keydown', { key: 'ArrowDown' });
-      document.dispatchEvent(downEvent);
-    }
-  });
+// Query parsing and matching live in lib/search-query.js
+export {
+  normalizeSearchQuery,
+  buildCardSearchText,
+  matchWithWildcard,
+  evaluateBooleanQuery,
+  compileQuery,
+  getQuerySyntaxError,
+  SearchSyntaxError
+};
 
-  searchInput.addEventListener('focus', () => {
-    searchInput.style.borderColor = '#2196F3';
-  });
-  searchInput.addEventListener('blur', () => {
-    searchInput.style.borderColor = '#e0e0e0';
-  });
+/**
+ * Search and highlight cards
+ * @param {string} query - Search query
+ * @param {Object} options - { mode: 'strict' | 'fuzzy' } (defaults to the search bar mode)
+ * @returns {Promise<number>} Number of matching cards
+ * @throws {SearchSyntaxError} If the query does not parse
+ */
+export async function searchCards(query, { mode = getSearchMode() } = {}) {
+  if (!layer) {
+    console.error('[searchCards] Layer not initialized');
+    return 0;
+  }
 
-  handleKeyboard = async (e) => {
-    if (e.key === 'Escape') {
-      cleanup();
-      return;
-    }
+  // Parse once; the compiled matcher runs per card
+  const compiled = compileSearch(query, mode);
 
-    const isTypingInSearch = document.activeElement === searchInput;
+  // Live groups; culled cards get their highlight when they are rendered
+  let allGroups = Array.from(cardGroups.values());
 
-    if (e.key === 'ArrowDown') {
-      e.preventDefault();
-      const actionableCommands = currentCommands.filter(cmd => cmd.handler);
-      if (actionableCommands.length === 0) return;
+  if (compiled.isEmpty) {
+    // Clear search - reset all cards
+    activeSearchQuery = '';
+    matchingCardIds.clear();
+    allGroups.forEach(group => {
+      group.opacity(1);
+      const background = group.findOne('Rect');
+      if (!group.hasName('selected')) {
+        if (background) {
+          background.stroke('#e0e0e0');
+          background.strokeWidth(1);
+        }
+      }
+    });
+    layer.batchDraw();
+    return 0;
+  }
 
-      let nextIndex = selectedIndex;
-      do {
-        nextIndex = (nextIndex + 1) % currentCommands.length;
-      } while (!currentCommands[nextIndex]?.handler && nextIndex !== selectedIndex);
+  const allCards = await getAllCards();
+  const matchingCards = new Set(compiled.rankCards(allCards).map(({ card }) => card.id));
 
-      selectedIndex = nextIndex;
-      highlightCommand(selectedIndex);
-      return;
+  // Save search state globally so it persists across reloadCanvas
+  activeSearchQuery = query;
+  matchingCardIds = new Set(matchingCards);
+
+  // Matches become the selection, so culled matches must be live
+  if (cullingEnabled) {
+    await getCardGroups(matchingCards);
+    allGroups = Array.from(cardGroups.values());
+  }
+
+  // Apply visual effects
+  allGroups.forEach(group => {
+    const background = group.findOne('Rect');
+
+    if (matchingCards.has(group.getAttr('cardId'))) {
+      // Matching card: mark and full opacity
+      group.opacity(1);
+      group.addName('selected');
+      if (background) {
+        background.stroke('#2196F3');
+        background.strokeWidth(3);
+      }
+    } else {
+      // Non-matching card: fade and remove selection
+      group.opacity(0.3);
+      group.removeName('selected');
+      if (background) {
+        background.stroke('#e0e0e0');
+        background.strokeWidth(1);
+      }
     }
+  });
 
-    if (e.key === 'ArrowUp') {
-      e.preventDefault();
-      const actionableCommands = currentCommands.filter(cmd => cmd.handler);
-      if (actionableCommands.length === 0) return;
+  layer.batchDraw();
+  return matchingCards.size;
+}
 
-      let prevIndex = selectedIndex;
-      do {
-        prevIndex = prevIndex <= 0 ? currentCommands.length - 1 : prevIndex - 1;
-      } while (!currentCommands[prevIndex]?.handler && prevIndex !== selectedIndex);
+// ============================================================================
+// SECTION 11: CONTEXT MENU & CARD ACTIONS (Lock, Pin)
+// ============================================================================
+
+/**
+ * Show context menu for card
+ */
+export async function showContextMenu(x, y, cardId, group) {
+  // Remove any existing context menu
+  const existingMenu = document.getElementById('card-context-menu');
+  if (existingMenu) {
+    existingMenu.remove();
+  }
+
+  const selectedGroups = layer.find('.selected');
+  const isBulkOperation = selectedGroups.length > 1 && group.hasName('selected');
+  const isLocked = group.getAttr('locked') || false;
 
-      selectedIndex = prevIndex;
-      highlightCommand(selectedIndex);
-      return;
-    }
+  // Create menu
+  const menu = document.createElement('div');
+  menu.id = 'card-context-menu';
+  menu.style.cssText = `
+    position: fixed;
+    left: ${x}px;
+    top: ${y}px;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: 1px solid var(--border-color);
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    z-index: 10001;
+    min-width: 180px;
+    overflow: hidden;
+  `;
 
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      if (selectedIndex >= 0 && selectedIndex < currentCommands.length) {
-        const selectedCmd = currentCommands[selectedIndex];
-        if (selectedCmd?.handler) {
-          cleanup();
-          document.removeEventListener('keydown', handleKeyboard);
-          await selectedCmd.handler({ source: 'palette' });
-          return;
+  let menuItems = [];
+
+  if (isBulkOperation) {
+    const selectedIds = selectedGroups.map(g => g.getAttr('cardId'));
+    menu.innerHTML = `<div style="padding: 8px 12px; font-weight: 600; border-bottom: 1px solid var(--border-color); margin-bottom: 4px; color: var(--text-primary);">${selectedIds.length} kort markerade</div>`;
+    menuItems = [
+      {
+        label: '🎨 Ändra färg',
+        action: () => showQuickColorPicker(x, y, selectedIds)
+      },
+      {
+        label: '✏️ Redigera alla',
+        action: () => createBulkEditor(selectedIds)
+      },
+      {
+        label: '🔗 Koppla i kedja',
+        action: () => connectCardsInChain(selectedIds)
+      },
+      {
+        label: '🖼️ Lägg i ny ram',
+        action: () => handleCreateFrame()
+      },
+      {
+        label: '🗑️ Ta bort alla',
+        action: () => {
+          if (confirm(`Är du säker på att du vill ta bort ${selectedIds.length} kort?`)) {
+            selectedIds.forEach(id => handleDeleteCard(id));
+          }
         }
       }
-      return;
-    }
+    ];
+    renderMenuItems(menu, menuItems, true);
+  } else {
+    // Single card menu
+    const card = await getCard(cardId);
+    menuItems = [
+      {
+        label: isLocked ? '📌 Avpinna kort' : '📌 Pinna kort',
+        action: () => toggleLockCard(cardId, group)
+      },
+      {
+        label: '✏️ Redigera',
+        action: () => openEditDialog(cardId)
+      }
+    ];
 
-    if (e.key === '/' && !isTypingInSearch) {
-      e.preventDefault();
-      searchInput.focus();
-      return;
-    }
+    if (card && card.image) {
+      // Add flip option for image cards
+      menuItems.push({
+        label: card.flipped ? '🔄 Visa bild' : '🔄 Visa text',
+        action: () => flipCard(cardId)
+      });
 
-    if (isTypingInSearch) {
-      e.stopPropagation();
-      return;
+      menuItems.push({
+        label: '✨ Läs med AI',
+        action: () => queueCardsForOcr([cardId])
+      });
     }
-  };
-  document.addEventListener('keydown', handleKeyboard);
 
-  overlay.addEventListener('click', (e) => {
-    if (e.target === overlay) {
-      cleanup();
-    }
-  });
-}
+    menuItems.push({
+      label: '🔗 Koppla till kort…',
+      action: () => startConnectorMode(cardId)
+    });
 
-/**
- * Show quality selector dialog
- */
-function showQualityDialog(fileCount) {
-  return new Promise((resolve) => {
-    // Create modal overlay
-    const overlay = document.createElement('div');
-    overlay.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background: rgba(0, 0, 0, 0.5);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 10000;
-    `;
+    menuItems.push({
+      label: '🕓 Historik',
+      action: () => showCardHistory(cardId)
+    });
 
-    // Create dialog
-    const dialog = document.createElement('div');
-    dialog.style.cssText = `
-      background: white;
-      border-radius: 12px;
-      padding: 32px;
-      max-width: 500px;
-      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-    `;
+    menuItems.push({
+      label: '🗑️ Ta bort',
+      action: () => handleDeleteCard(cardId)
+    });
 
-    dialog.innerHTML = `
-      <h2 style="margin: 0 0 16px 0; font-size: 24px; color: #1a1a1a;">
-        Välj kvalitet
-      </h2>
-      <p style="margin: 0 0 24px 0; color: #666; font-size: 16px;">
-        ${fileCount} ${fileCount === 1 ? 'bild vald' : 'bilder valda'}
-      </p>
+    renderMenuItems(menu, menuItems, false);
+  }
 
-      <div style="display: flex; flex-direction: column; gap: 12px;">
-        <button id="quality-normal" style="
-          padding: 20px;
-          background: #2196F3;
-          color: white;
-          border: none;
-          border-radius: 8px;
-          font-size: 16px;
-          font-weight: 600;
-          cursor: pointer;
-          text-align: left;
-          transition: transform 0.1s;
-        ">
-          <div style="font-size: 18px; margin-bottom: 4px;">📸 Normal (rekommenderad)</div>
-          <div style="font-size: 14px; opacity: 0.9;">900px, bra balans för A7-kort</div>
-        </button>
+  document.body.appendChild(menu);
 
-        <button id="quality-high" style="
-          padding: 20px;
-          background: #FF9800;
-          color: white;
-          border: none;
-          border-radius: 8px;
-          font-size: 16px;
-          font-weight: 600;
-          cursor: pointer;
-          text-align: left;
-          transition: transform 0.1s;
-        ">
-          <div style="font-size: 18px; margin-bottom: 4px;">🔍 Hög (för OCR)</div>
-          <div style="font-size: 14px; opacity: 0.9;">1200px, bäst för AI-textigenkänning</div>
-        </button>
+  // Close menu on click outside
+  const closeMenu = (e) => {
+    if (!menu.contains(e.target)) {
+      menu.remove();
+      document.removeEventListener('click', closeMenu);
+    }
+  };
+  setTimeout(() => document.addEventListener('click', closeMenu), 10);
+}
 
-        <button id="quality-low" style="
-          padding: 20px;
-          background: #4CAF50;
-          color: white;
-          border: none;
-          border-radius: 8px;
-          font-size: 16px;
-          font-weight: 600;
-          cursor: pointer;
-          text-align: left;
-          transition: transform 0.1s;
-        ">
-          <div style="font-size: 18px; margin-bottom: 4px;">✍️ Låg (snabbt)</div>
-          <div style="font-size: 14px; opacity: 0.9;">600px, mindre filstorlek</div>
-        </button>
+function renderMenuItems(menu, items, isBulk) {
+    if (!isBulk) {
+        menu.innerHTML = ''; // Clear loading placeholder
+    }
 
-        <button id="quality-original" style="
-          padding: 20px;
-          background: #9C27B0;
-          color: white;
-          border: none;
-          border-radius: 8px;
-          font-size: 16px;
-          font-weight: 600;
+    items.forEach(item => {
+        const menuItem = document.createElement('div');
+        menuItem.textContent = item.label;
+        menuItem.style.cssText = `
+          padding: 10px 16px;
           cursor: pointer;
-          text-align: left;
-          transition: transform 0.1s;
-        ">
-          <div style="font-size: 18px; margin-bottom: 4px;">⭐ Original</div>
-          <div style="font-size: 14px; opacity: 0.9;">Ingen komprimering - kan bli stort!</div>
-        </button>
-
-        <button id="quality-cancel" style="
-          padding: 12px;
-          background: transparent;
-          color: #666;
-          border: none;
-          border-radius: 8px;
           font-size: 14px;
-          cursor: pointer;
-        ">
-          Avbryt
-        </button>
-      </div>
-    `;
-
-    overlay.appendChild(dialog);
-    document.body.appendChild(overlay);
-
-    // Add hover effects
-    const buttons = dialog.querySelectorAll('button[id^="quality-"]');
-    buttons.forEach(btn => {
-      if (btn.id !== 'quality-cancel') {
-        btn.addEventListener('mouseenter', () => {
-          btn.style.transform = 'scale(1.02)';
+          transition: background 0.2s;
+          color: var(--text-primary);
+        `;
+        menuItem.addEventListener('mouseenter', () => {
+          menuItem.style.background = 'var(--bg-secondary)';
         });
-        btn.addEventListener('mouseleave', () => {
-          btn.style.transform = 'scale(1)';
+        menuItem.addEventListener('mouseleave', () => {
+          menuItem.style.background = 'var(--bg-primary)';
+        });
+        menuItem.addEventListener('click', (e) => {
+          e.stopPropagation();
+          item.action();
+          const contextMenu = document.getElementById('card-context-menu');
+          if (contextMenu) contextMenu.remove();
         });
-      }
+        menu.appendChild(menuItem);
     });
+}
 
-    // Handle button clicks
-    const cleanup = (quality) => {
-      document.body.removeChild(overlay);
-      resolve(quality);
-    };
+const HISTORY_FIELD_LABELS = {
+  text: 'Text',
+  backText: 'Baksida',
+  tags: 'Taggar',
+  cardColor: 'Färg',
+  position: 'Position'
+};
 
-    dialog.querySelector('#quality-high').addEventListener('click', () => cleanup('high'));
-    dialog.querySelector('#quality-normal').addEventListener('click', () => cleanup('normal'));
-    dialog.querySelector('#quality-low').addEventListener('click', () => cleanup('low'));
-    dialog.querySelector('#quality-original').addEventListener('click', () => cleanup('original'));
-    dialog.querySelector('#quality-cancel').addEventListener('click', () => cleanup(null));
+/**
+ * Render one field's change from a version to the current card
+ */
+function renderHistoryFieldDiff(field, from, to, isEink) {
+  const block = document.createElement('div');
+  block.style.cssText = 'margin-bottom: 14px;';
+
+  const label = document.createElement('div');
+  label.textContent = HISTORY_FIELD_LABELS[field];
+  label.style.cssText = 'font-size: 12px; font-weight: 600; text-transform: uppercase; color: var(--text-secondary); margin-bottom: 4px;';
+  block.appendChild(label);
+
+  const body = document.createElement('div');
+  body.style.cssText = 'font-size: 14px; line-height: 1.5; white-space: pre-wrap; word-break: break-word;';
+  block.appendChild(body);
+
+  const removedStyle = isEink
+    ? 'text-decoration: line-through;'
+    : 'text-decoration: line-through; background: rgba(244, 67, 54, 0.15); color: #c62828;';
+  const addedStyle = isEink
+    ? 'text-decoration: underline; font-weight: 600;'
+    : 'background: rgba(76, 175, 80, 0.2); color: #2e7d32;';
+
+  const appendPart = (type, value) => {
+    const span = document.createElement('span');
+    span.textContent = value;
+    if (type === 'removed') span.style.cssText = removedStyle;
+    if (type === 'added') span.style.cssText = addedStyle;
+    body.appendChild(span);
+  };
 
-    // ESC to cancel
-    const handleEsc = (e) => {
-      if (e.key === 'Escape') {
-        cleanup(null);
-        document.removeEventListener('keydown', handleEsc);
-      }
+  if (field === 'text' || field === 'backText') {
+    diffWords(from || '', to || '').forEach(part => appendPart(part.type, part.value));
+  } else if (field === 'tags') {
+    const oldTags = from || [];
+    const newTags = to || [];
+    oldTags.forEach(tag => appendPart(newTags.includes(tag) ? 'same' : 'removed', `#${tag} `));
+    newTags.filter(tag => !oldTags.includes(tag)).forEach(tag => appendPart('added', `#${tag} `));
+    if (oldTags.length === 0 && newTags.length === 0) appendPart('same', '(inga taggar)');
+  } else if (field === 'cardColor') {
+    const swatch = (cardColor) => {
+      const chip = document.createElement('span');
+      chip.title = cardColor || 'Ingen färg';
+      chip.style.cssText = `
+        display: inline-block;
+        width: 18px;
+        height: 18px;
+        border-radius: 4px;
+        vertical-align: middle;
+        border: ${isEink ? '2px solid #000' : '1px solid var(--border-color)'};
+        background: ${cardColor ? getCardColor(cardColor) : 'transparent'};
+      `;
+      return chip;
     };
-    document.addEventListener('keydown', handleEsc);
-  });
+    body.append(swatch(from), ' → ', swatch(to));
+  } else if (field === 'position') {
+    const format = (pos) => pos ? `${Math.round(pos.x)}, ${Math.round(pos.y)}` : '?';
+    body.textContent = `${format(from)} → ${format(to)}`;
+  }
+
+  return block;
 }
 
 /**
- * Setup drag-and-drop for images
+ * Card history dialog: list versions from the changelog, diff against the
+ * current card and restore a version as an undoable update
  */
-export function setupImageDragDrop() {
-  const container = stage.container();
-
-  // Prevent default drag behavior
-  container.addEventListener('dragover', (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    container.style.border = '3px dashed #2196F3';
-  });
+async function showCardHistory(cardId) {
+  const card = await getCard(cardId);
+  if (!card) return;
 
-  container.addEventListener('dragleave', (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    container.style.border = 'none';
-  });
+  const versions = await getCardHistory(cardId);
+  if (versions.length === 0) {
+    alert('Det finns ingen historik för det här kortet ännu.');
+    return;
+  }
 
-  // Handle drop
-  container.addEventListener('drop', async (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    container.style.border = 'none';
+  const isEink = document.body.classList.contains('eink-theme');
+  const current = pickHistoryFields(card);
 
-    const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100vw;
+    height: 100vh;
+    background: rgba(0, 0, 0, 0.5);
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
 
-    if (files.length === 0) return;
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border-radius: 12px;
+    padding: 24px;
+    width: 90%;
+    max-width: 760px;
+    height: 75vh;
+    display: flex;
+    flex-direction: column;
+    ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
 
-    try {
-      // Show quality selector dialog
-      const quality = await showQualityDialog(files.length);
-      if (!quality) return;
+  dialog.innerHTML = `
+    <h2 style="margin: 0 0 16px 0; font-size: 20px; color: var(--text-primary);">🕓 Historik</h2>
+    <div style="display: flex; gap: 16px; flex: 1; min-height: 0;">
+      <div class="history-versions" style="width: 220px; overflow-y: auto; display: flex; flex-direction: column; gap: 6px;"></div>
+      <div style="flex: 1; display: flex; flex-direction: column; min-width: 0;">
+        <div class="history-diff" style="flex: 1; overflow-y: auto; padding: 12px; border: 1px solid var(--border-color); border-radius: 8px; background: var(--bg-secondary);"></div>
+        <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 12px;">
+          <button class="history-close" style="padding: 10px 16px;">Stäng</button>
+          <button class="history-restore" style="padding: 10px 16px;">Återställ denna version</button>
+        </div>
+      </div>
+    </div>
+  `;
 
-      for (const file of files) {
-        const processed = await processImage(file, quality);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
 
-        // Get drop position
-        const pointer = stage.getPointerPosition();
-        const scale = stage.scaleX();
-        const position = {
-          x: (pointer.x - stage.x()) / scale,
-          y: (pointer.y - stage.y()) / scale
-        };
+  const versionList = dialog.querySelector('.history-versions');
+  const diffPane = dialog.querySelector('.history-diff');
+  const restoreBtn = dialog.querySelector('.history-restore');
 
-        await createCard({
-          text: processed.metadata.fileName,
-          tags: ['bild'],
-          position,
-          image: {
-            base64: processed.base64,
-            width: processed.metadata.width,
-            height: processed.metadata.height,
-            quality: processed.metadata.quality
-          },
-          metadata: processed.metadata
-        });
-      }
+  const cleanup = () => {
+    document.removeEventListener('keydown', handleKeyDown);
+    overlay.remove();
+  };
 
-      await reloadCanvas();
-    } catch (error) {
-      console.error('Drag-drop import failed:', error);
-      alert('Misslyckades att importera bild: ' + error.message);
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cleanup();
     }
-  });
+  };
+  document.addEventListener('keydown', handleKeyDown);
 
-  console.log('Drag-and-drop enabled for images');
-}
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) cleanup();
+  });
+  dialog.querySelector('.history-close').addEventListener('click', cleanup);
 
-/**
- * Fit all cards in view
- */
-export function fitAllCards() {
-  // Check if there are selected cards
-  const selectedCards = layer.find('.selected').filter(node => node.getAttr('cardId'));
-  const cardsToFit = selectedCards.length > 0 ? selectedCards : layer.getChildren().filter(node => node.getAttr('cardId'));
+  let selected = null;
 
-  if (cardsToFit.length === 0) {
-    console.log('No cards to fit');
-    return;
-  }
+  const selectVersion = (version, row) => {
+    selected = version;
+    versionList.querySelectorAll('[data-version-row]').forEach(r => {
+      r.style.borderColor = r === row ? 'var(--accent-color)' : 'var(--border-color)';
+    });
 
-  console.log(`Fitting ${selectedCards.length > 0 ? 'selected' : 'all'} cards (${cardsToFit.length} total)`);
+    diffPane.innerHTML = '';
+    const differences = changedFields(current, version.fields);
+    restoreBtn.disabled = differences.length === 0;
 
-  // Calculate bounding box in canvas coordinates (not screen coordinates)
-  let minX = Infinity;
-  let minY = Infinity;
-  let maxX = -Infinity;
-  let maxY = -Infinity;
+    const intro = document.createElement('div');
+    intro.style.cssText = 'font-size: 13px; color: var(--text-secondary); margin-bottom: 12px;';
+    intro.textContent = differences.length === 0
+      ? 'Kortet ser ut som i den här versionen.'
+      : 'Ändringar från den här versionen till kortet som det är nu:';
+    diffPane.appendChild(intro);
 
-  cardsToFit.forEach(card => {
-    const x = card.x();
-    const y = card.y();
-    const width = card.width();
-    const height = card.height();
+    differences.forEach(field => {
+      diffPane.appendChild(renderHistoryFieldDiff(field, version.fields[field], current[field], isEink));
+    });
+  };
 
-    minX = Math.min(minX, x);
-    minY = Math.min(minY, y);
-    maxX = Math.max(maxX, x + width);
-    maxY = Math.max(maxY, y + height);
-  });
+  versions.forEach((version, index) => {
+    const row = document.createElement('div');
+    row.dataset.versionRow = '';
+    row.style.cssText = `
+      padding: 8px 10px;
+      border: 2px solid var(--border-color);
+      border-radius: 8px;
+      background: var(--bg-secondary);
+      cursor: pointer;
+      font-size: 13px;
+    `;
 
-  const contentWidth = maxX - minX;
-  const contentHeight = maxY - minY;
+    const when = document.createElement('div');
+    when.style.cssText = 'font-weight: 600;';
+    when.textContent = new Date(version.timestamp).toLocaleString('sv-SE', {
+      year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
 
-  // Add padding
-  const padding = 100;
-  const paddedWidth = contentWidth + padding * 2;
-  const paddedHeight = contentHeight + padding * 2;
+    const what = document.createElement('div');
+    what.style.cssText = 'color: var(--text-secondary);';
+    what.textContent = index === 0
+      ? 'Senaste'
+      : version.operation === 'create'
+        ? 'Skapad'
+        : version.changed.map(field => HISTORY_FIELD_LABELS[field]).join(', ');
+
+    row.append(when, what);
+    row.addEventListener('click', () => selectVersion(version, row));
+    versionList.appendChild(row);
+  });
 
-  // Calculate scale to fit
-  const scaleX = stage.width() / paddedWidth;
-  const scaleY = stage.height() / paddedHeight;
-  const scale = Math.min(scaleX, scaleY); // Use the smallest scale needed to fit all cards
+  restoreBtn.addEventListener('click', async () => {
+    if (!selected) return;
 
-  // Calculate center of content WITH padding in canvas coordinates
-  const contentCenterX = minX - padding + paddedWidth / 2;
-  const contentCenterY = minY - padding + paddedHeight / 2;
+    const fields = changedFields(current, selected.fields);
+    if (fields.length === 0) return;
 
-  // Set new scale
-  stage.scale({ x: scale, y: scale });
+    const oldData = {};
+    const newData = {};
+    fields.forEach(field => {
+      oldData[field] = current[field] ?? null;
+      newData[field] = selected.fields[field] ?? null;
+    });
 
-  // Center the content in the stage
-  stage.position({
-    x: stage.width() / 2 - contentCenterX * scale,
-    y: stage.height() / 2 - contentCenterY * scale
+    try {
+      pushUndo({ type: 'update', cardId, oldData, newData });
+      await updateCard(cardId, newData);
+      await reloadCanvas();
+      cleanup();
+    } catch (error) {
+      console.error('Failed to restore card version:', error);
+      alert('Kunde inte återställa versionen: ' + error.message);
+    }
   });
 
-  stage.batchDraw();
-  console.log(`Fitted and centered ${selectedCards.length > 0 ? 'selected' : 'all'} cards in view`);
+  // Preselect the version before the current one
+  const rows = versionList.querySelectorAll('[data-version-row]');
+  const initial = versions.length > 1 ? 1 : 0;
+  selectVersion(versions[initial], rows[initial]);
 }
 
-// ============================================================================
-// SECTION 10: SEARCH (Boolean Search, Wildcards, Proximity)
-// ============================================================================
-
 /**
- * Normalize search query (trim, lowercase) and guard against invalid inputs
+ * Start picking the target card for a new connector
  */
-export function normalizeSearchQuery(query) {
-  if (typeof query !== 'string') return '';
-  return query.trim().toLowerCase();
-}
+function startConnectorMode(fromCardId) {
+  cancelConnectorMode();
+  pendingConnectorFrom = fromCardId;
+  stage.container().style.cursor = 'crosshair';
 
-/**
- * Build the searchable text payload for a card
- */
-export function buildCardSearchText(card) {
-  const text = (card.text || '').toLowerCase();
-  const backText = (card.backText || '').toLowerCase();
-  const tags = (card.tags || []).join(' ').toLowerCase();
-  return [text, backText, tags].join(' ').trim();
+  const isEink = document.body.classList.contains('eink-theme');
+  const hint = document.createElement('div');
+  hint.id = 'connector-mode-hint';
+  hint.textContent = '🔗 Klicka på kortet att koppla till (Esc avbryter)';
+  hint.style.cssText = `
+    position: fixed;
+    top: 72px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: ${isEink ? '2px solid #000' : '1px solid var(--border-color)'};
+    border-radius: 8px;
+    padding: 8px 16px;
+    font-size: 14px;
+    z-index: 9999;
+    ${isEink ? '' : 'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);'}
+  `;
+  document.body.appendChild(hint);
+
+  document.addEventListener('keydown', handleConnectorModeKey, true);
 }
 
-/**
- * Check if term matches with wildcard support
- */
-export function matchWithWildcard(term, searchableText) {
-  if (term.includes('*')) {
-    // Convert wildcard to regex
-    const regexPattern = term.replace(/\*/g, '.*');
-    const regex = new RegExp('\\b' + regexPattern + '\\b', 'i');
-    return regex.test(searchableText);
+function handleConnectorModeKey(e) {
+  if (e.key === 'Escape') {
+    cancelConnectorMode();
   }
-  return searchableText.includes(term);
+}
+
+function cancelConnectorMode() {
+  pendingConnectorFrom = null;
+  document.getElementById('connector-mode-hint')?.remove();
+  document.removeEventListener('keydown', handleConnectorModeKey, true);
+  if (stage) stage.container().style.cursor = 'default';
 }
 
 /**
- * Check proximity search (NEAR/x or N/x)
+ * Create connector from the pending card to the clicked card
  */
-export function checkProximity(query, searchableText) {
-  // Match patterns like "word1 near/5 word2" or "word1 n/5 word2"
-  const proximityMatch = query.match(/(.+?)\s+(near|n)\/(\d+)\s+(.+)/i);
-  if (!proximityMatch) return false;
-
-  const term1 = proximityMatch[1].trim();
-  const distance = parseInt(proximityMatch[3]);
-  const term2 = proximityMatch[4].trim();
-
-  // Split text into words
-  const normalizedText = typeof searchableText === 'string' ? searchableText.toLowerCase() : '';
-  const words = normalizedText.split(/\s+/);
-
-  // Find positions of both terms
-  const positions1 = [];
-  const positions2 = [];
+async function completeConnectorMode(toCardId) {
+  const fromCardId = pendingConnectorFrom;
+  cancelConnectorMode();
+  if (fromCardId === toCardId) return;
 
-  words.forEach((word, index) => {
-    if (matchWithWildcard(term1, word)) positions1.push(index);
-    if (matchWithWildcard(term2, word)) positions2.push(index);
-  });
-
-  // Check if any pair is within distance
-  for (const pos1 of positions1) {
-    for (const pos2 of positions2) {
-      if (Math.abs(pos1 - pos2) <= distance) {
-        return true;
-      }
-    }
+  try {
+    await createConnector({ fromCardId, toCardId, directed: true });
+    await loadConnectors();
+  } catch (error) {
+    console.error('Failed to create connector:', error);
+    alert('Kunde inte koppla korten: ' + error.message);
   }
-
-  return false;
 }
 
 /**
- * Evaluate boolean search query
- * Supports: OR, AND, NOT, "exact phrases", *, ( ), NEAR/x, N/x
+ * Connect selected cards in a chain, ordered left-to-right then top-to-bottom
  */
-export function evaluateBooleanQuery(query, searchableText) {
-  const normalizedQuery = normalizeSearchQuery(query);
-  const normalizedText = typeof searchableText === 'string' ? searchableText.toLowerCase() : '';
-
-  if (!normalizedQuery) {
-    console.log('[evaluateBooleanQuery] Empty or invalid query provided');
-    return false;
+async function connectCardsInChain(cardIds) {
+  const ordered = cardIds
+    .map(id => ({ id, box: getCardBox(id) }))
+    .filter(entry => entry.box)
+    .sort((a, b) => a.box.x - b.box.x || a.box.y - b.box.y);
+
+  for (let i = 0; i < ordered.length - 1; i++) {
+    await createConnector({ fromCardId: ordered[i].id, toCardId: ordered[i + 1].id, directed: true });
   }
+  await loadConnectors();
+}
 
-  // Handle different boolean operators
-  console.log('[evaluateBooleanQuery] Query:', normalizedQuery, 'SearchableText:', normalizedText.substring(0, 50));
+async function editConnectorLabel(connectorId) {
+  const entry = connectorShapes.get(connectorId);
+  if (!entry) return;
 
-  // Handle parentheses (highest precedence)
-  if (normalizedQuery.includes('(')) {
-    // Find matching parentheses and evaluate recursively
-    const parenMatch = normalizedQuery.match(/\(([^()]+)\)/);
-    if (parenMatch) {
-      const innerQuery = parenMatch[1];
-      const innerResult = evaluateBooleanQuery(innerQuery, normalizedText);
-      // Replace the parentheses group with result placeholder
-      const replaced = normalizedQuery.replace(parenMatch[0], innerResult ? '__TRUE__' : '__FALSE__');
-      return evaluateBooleanQuery(replaced, normalizedText);
-    }
-  }
+  const label = await showTextInputDialog('Etikett för koppling', entry.connector.label || '');
+  if (label === null) return;
 
-  // Handle result placeholders from parentheses
-  if (normalizedQuery === '__TRUE__') return true;
-  if (normalizedQuery === '__FALSE__') return false;
+  await updateConnector(connectorId, { label: label.trim() });
+  await loadConnectors();
+}
 
-  // Handle proximity search (NEAR/x or N/x)
-  if (/\s+(near|n)\/\d+\s+/i.test(normalizedQuery)) {
-    return checkProximity(normalizedQuery, normalizedText);
-  }
+/**
+ * Context menu for a connector
+ */
+function showConnectorMenu(x, y, connectorId) {
+  const entry = connectorShapes.get(connectorId);
+  if (!entry) return;
+  const { connector } = entry;
 
-  // Split by OR first (lowest precedence)
-  if (normalizedQuery.includes(' or ')) {
-    const orParts = normalizedQuery.split(' or ');
-    console.log('[evaluateBooleanQuery] OR parts:', orParts);
-    return orParts.some(part => evaluateBooleanQuery(part.trim(), normalizedText));
-  }
+  document.getElementById('card-context-menu')?.remove();
 
-  // Handle NOT operations
-  if (normalizedQuery.includes(' not ')) {
-    const notIndex = normalizedQuery.indexOf(' not ');
-    const beforeNot = normalizedQuery.substring(0, notIndex).trim();
-    const afterNot = normalizedQuery.substring(notIndex + 5).trim(); // ' not '.length = 5
+  const menu = document.createElement('div');
+  menu.id = 'card-context-menu';
+  menu.style.cssText = `
+    position: fixed;
+    left: ${x}px;
+    top: ${y}px;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: 1px solid var(--border-color);
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    z-index: 10001;
+    min-width: 180px;
+    overflow: hidden;
+  `;
 
-    // If there's something before NOT, it must match
-    let beforeMatches = true;
-    if (beforeNot) {
-      beforeMatches = evaluateBooleanQuery(beforeNot, normalizedText);
+  const menuItems = [
+    {
+      label: connector.label ? '🏷️ Ändra etikett' : '🏷️ Lägg till etikett',
+      action: () => editConnectorLabel(connectorId)
+    },
+    {
+      label: connector.directed ? '➖ Gör oriktad' : '➡️ Gör riktad',
+      action: async () => {
+        await updateConnector(connectorId, { directed: !connector.directed });
+        await loadConnectors();
+      }
+    },
+    {
+      label: '⇄ Vänd riktning',
+      action: async () => {
+        await updateConnector(connectorId, { fromCardId: connector.toCardId, toCardId: connector.fromCardId });
+        await loadConnectors();
+      }
+    },
+    {
+      label: '🗑️ Ta bort koppling',
+      action: async () => {
+        await deleteConnector(connectorId);
+        await loadConnectors();
+      }
     }
+  ];
 
-    // The part after NOT must NOT match
-    const afterMatches = evaluateBooleanQuery(afterNot, normalizedText);
-
-    return beforeMatches && !afterMatches;
-  }
+  renderMenuItems(menu, menuItems, false);
+  document.body.appendChild(menu);
 
-  // Handle AND operations (default behavior and explicit)
-  const andParts = normalizedQuery.includes(' and ')
-    ? normalizedQuery.split(' and ')
-    : normalizedQuery.split(' ').filter(term => term.length > 0);
-
-  return andParts.every(term => {
-    term = term.trim();
-    console.log('[evaluateBooleanQuery] Checking term:', term);
-
-    // Skip placeholders
-    if (term === '__TRUE__') return true;
-    if (term === '__FALSE__') return false;
-
-    // Remove quotes if present for exact phrase matching
-    if (term.startsWith('"') && term.endsWith('"')) {
-      // Exact phrase search
-      const phrase = term.slice(1, -1);
-      console.log('[evaluateBooleanQuery] Exact phrase search:', phrase, 'Match:', normalizedText.includes(phrase));
-      return normalizedText.includes(phrase);
-    } else if (term.startsWith("'") && term.endsWith("'")) {
-      // Also support single quotes
-      const phrase = term.slice(1, -1);
-      console.log('[evaluateBooleanQuery] Single quote phrase search:', phrase, 'Match:', normalizedText.includes(phrase));
-      return normalizedText.includes(phrase);
-    } else {
-      // Regular word search with wildcard support
-      const matches = matchWithWildcard(term, normalizedText);
-      console.log('[evaluateBooleanQuery] Regular/wildcard search:', term, 'Match:', matches);
-      return matches;
+  const closeMenu = (e) => {
+    if (!menu.contains(e.target)) {
+      menu.remove();
+      document.removeEventListener('click', closeMenu);
     }
-  });
+  };
+  setTimeout(() => document.addEventListener('click', closeMenu), 10);
 }
 
 /**
- * Search and highlight cards
- * @param {string} query - Search query
+ * Create frame around the selected cards, or in the middle of the view
  */
-export async function searchCards(query) {
-  console.log('[searchCards] Called with query:', query);
-
-  if (!layer) {
-    console.error('[searchCards] Layer not initialized');
-    return;
+async function handleCreateFrame() {
+  const name = await showTextInputDialog('Namn på ram', DEFAULT_FRAME_NAME);
+  if (name === null) return;
+
+  const selectedIds = layer.find('.selected').map(node => node.getAttr('cardId'));
+  let geometry;
+
+  if (selectedIds.length > 0) {
+    const boxes = selectedIds.map(getCardBox).filter(Boolean);
+    const minX = Math.min(...boxes.map(b => b.x));
+    const minY = Math.min(...boxes.map(b => b.y));
+    const maxX = Math.max(...boxes.map(b => b.x + b.width));
+    const maxY = Math.max(...boxes.map(b => b.y + b.height));
+    geometry = {
+      x: minX - FRAME_PADDING,
+      y: minY - FRAME_PADDING - FRAME_HEADER_HEIGHT,
+      width: maxX - minX + FRAME_PADDING * 2,
+      height: maxY - minY + FRAME_PADDING * 2 + FRAME_HEADER_HEIGHT
+    };
+  } else {
+    const scale = stage.scaleX();
+    const centerX = (stage.width() / 2 - stage.x()) / scale;
+    const centerY = (stage.height() / 2 - stage.y()) / scale;
+    geometry = { x: centerX - 300, y: centerY - 200, width: 600, height: 400 };
   }
 
-  const allCards = await getAllCards();
-  // Get all groups from layer that have a cardId attribute
-  const allGroups = layer.getChildren().filter(node => node.getAttr('cardId'));
-
-  console.log('[searchCards] Total cards in DB:', allCards.length);
-  console.log('[searchCards] Total card groups on canvas:', allGroups.length);
+  try {
+    const frameId = await createFrame({ name, ...geometry });
+    frames.set(frameId, { id: frameId, name: name.trim() || DEFAULT_FRAME_NAME, collapsed: false, ...geometry });
+    await updateFrameMembership(cardIndex.getIds());
+    renderFrames();
+  } catch (error) {
+    console.error('Failed to create frame:', error);
+    alert('Kunde inte skapa ram: ' + error.message);
+  }
+}
 
-  const normalizedQuery = normalizeSearchQuery(query);
+async function toggleFrameCollapsed(frameId) {
+  const frame = frames.get(frameId);
+  if (!frame) return;
 
-  if (!normalizedQuery) {
-    // Clear search - reset all cards
-    console.log('[searchCards] Clearing search, resetting all cards');
-    activeSearchQuery = '';
-    matchingCardIds.clear();
-    allGroups.forEach(group => {
-      group.opacity(1);
-      const background = group.findOne('Rect');
-      if (!group.hasName('selected')) {
-        if (background) {
-          background.stroke('#e0e0e0');
-          background.strokeWidth(1);
-        }
-      }
-    });
-    layer.batchDraw();
-    return;
-  }
+  await updateFrame(frameId, { collapsed: !frame.collapsed });
+  await reloadCanvas();
+}
 
-  const matchingCards = new Set();
+async function renameFrame(frameId) {
+  const frame = frames.get(frameId);
+  if (!frame) return;
 
-  // Find matching cards using boolean logic
-  allCards.forEach(card => {
-    const searchableText = buildCardSearchText(card);
+  const name = await showTextInputDialog('Byt namn på ram', frame.name);
+  if (name === null || !name.trim()) return;
 
-    console.log('[searchCards] Checking card:', card.id);
+  frame.name = name.trim();
+  await updateFrame(frameId, { name: frame.name });
+  renderFrames();
+}
 
-    // Use boolean query evaluation
-    if (evaluateBooleanQuery(normalizedQuery, searchableText)) {
-      console.log('[searchCards] ✓ Match found:', card.id);
-      matchingCards.add(card.id);
-    }
+/**
+ * Arrange the frame's cards in a grid below its header and fit the frame around them
+ */
+async function arrangeFrameCards(frameId) {
+  const frame = frames.get(frameId);
+  if (!frame || frame.collapsed) return;
+
+  const cardsData = [];
+  cardFrameIds.forEach((id, cardId) => {
+    if (id !== frameId) return;
+    const box = getCardBox(cardId);
+    if (box) cardsData.push({ id: cardId, width: box.width, height: box.height });
   });
+  if (cardsData.length === 0) return;
+
+  // Reading order: as the cards were laid out before
+  cardsData.sort((a, b) => getCardBox(a.id).y - getCardBox(b.id).y || getCardBox(a.id).x - getCardBox(b.id).x);
+
+  const ordered = orderByConnectors(cardsData, await getConnectors());
+  const positions = arrangeGridVertical(ordered, { x: 0, y: 0 });
+  const minX = Math.min(...positions.map(p => p.x));
+  const minY = Math.min(...positions.map(p => p.y));
+  const offsetX = frame.x + FRAME_PADDING - minX;
+  const offsetY = frame.y + FRAME_HEADER_HEIGHT + FRAME_PADDING - minY;
+
+  let maxX = frame.x;
+  let maxY = frame.y;
+  for (const { id, x, y } of positions) {
+    const position = { x: x + offsetX, y: y + offsetY };
+    const box = getCardBox(id);
+    maxX = Math.max(maxX, position.x + box.width);
+    maxY = Math.max(maxY, position.y + box.height);
+
+    cardGroups.get(id)?.position(position);
+    cardIndex.insert(id, { ...box, ...position });
+    await updateCard(id, { position });
+  }
 
-  // Save search state globally so it persists across reloadCanvas
-  activeSearchQuery = query;
-  matchingCardIds = new Set(matchingCards);
+  const size = { width: maxX - frame.x + FRAME_PADDING, height: maxY - frame.y + FRAME_PADDING };
+  Object.assign(frame, size);
+  await updateFrame(frameId, size);
+  renderFrames();
+  layer.batchDraw();
+}
 
-  console.log('[searchCards] Matching card IDs:', Array.from(matchingCards));
+/**
+ * Select all cards in a frame
+ */
+async function selectFrameCards(frameId) {
+  const isEink = document.body.classList.contains('eink-theme');
+  const ids = Array.from(cardFrameIds.entries())
+    .filter(([, id]) => id === frameId)
+    .map(([cardId]) => cardId);
 
-  // Apply visual effects
-  allGroups.forEach(group => {
-    const cardId = group.getAttr('cardId');
+  await renderCardsById(ids);
+  ids.forEach(cardId => {
+    const group = cardGroups.get(cardId);
+    if (!group) return;
     const background = group.findOne('Rect');
-    const isMatch = matchingCards.has(cardId);
-
-    console.log('[searchCards] Group cardId:', cardId, 'isMatch:', isMatch, 'hasBackground:', !!background);
-
-    if (isMatch) {
-      // Matching card: mark and full opacity
-      console.log('[searchCards] → Highlighting match:', cardId);
-      group.opacity(1);
-      group.addName('selected');
-      if (background) {
-        background.stroke('#2196F3');
-        background.strokeWidth(3);
-      }
-    } else {
-      // Non-matching card: fade and remove selection
-      console.log('[searchCards] → Fading non-match:', cardId);
-      group.opacity(0.3);
-      group.removeName('selected');
-      if (background) {
-        background.stroke('#e0e0e0');
-        background.strokeWidth(1);
-      }
+    group.addName('selected');
+    if (background) {
+      background.stroke(isEink ? '#000000' : '#2196F3');
+      background.strokeWidth(3);
     }
   });
-
   layer.batchDraw();
-  console.log(`[searchCards] ✓ Search complete: found ${matchingCards.size} matches for "${query}"`);
 }
 
-// ============================================================================
-// SECTION 11: CONTEXT MENU & CARD ACTIONS (Lock, Pin)
-// ============================================================================
-
 /**
- * Show context menu for card
+ * Context menu for a frame header
  */
-export async function showContextMenu(x, y, cardId, group) {
-  // Remove any existing context menu
-  const existingMenu = document.getElementById('card-context-menu');
-  if (existingMenu) {
-    existingMenu.remove();
-  }
+function showFrameMenu(x, y, frameId) {
+  const frame = frames.get(frameId);
+  if (!frame) return;
 
-  const selectedGroups = layer.find('.selected');
-  const isBulkOperation = selectedGroups.length > 1 && group.hasName('selected');
-  const isLocked = group.getAttr('locked') || false;
+  document.getElementById('card-context-menu')?.remove();
 
-  // Create menu
   const menu = document.createElement('div');
   menu.id = 'card-context-menu';
   menu.style.cssText = `
@@ -9034,77 +9511,29 @@ export async function showContextMenu(x, y, cardId, group) {
     overflow: hidden;
   `;
 
-  let menuItems = [];
-
-  if (isBulkOperation) {
-    const selectedIds = selectedGroups.map(g => g.getAttr('cardId'));
-    menu.innerHTML = `<div style="padding: 8px 12px; font-weight: 600; border-bottom: 1px solid var(--border-color); margin-bottom: 4px; color: var(--text-primary);">${selectedIds.length} kort markerade</div>`;
-    menuItems = [
-      {
-        label: '🎨 Ändra färg',
-        action: () => showQuickColorPicker(x, y, selectedIds)
-      },
-      {
-        label: '✏️ Redigera alla',
-        action: () => createBulkEditor(selectedIds)
-      },
-      {
-        label: '🗑️ Ta bort alla',
-        action: () => {
-          if (confirm(`Är du säker på att du vill ta bort ${selectedIds.length} kort?`)) {
-            selectedIds.forEach(id => handleDeleteCard(id));
-          }
-        }
-      }
-    ];
-    renderMenuItems(menu, menuItems, true);
-  } else {
-    // Single card menu
-    const card = await getCard(cardId);
-    menuItems = [
-      {
-        label: isLocked ? '📌 Avpinna kort' : '📌 Pinna kort',
-        action: () => toggleLockCard(cardId, group)
-      },
-      {
-        label: '✏️ Redigera',
-        action: () => openEditDialog(cardId)
-      }
-    ];
+  const menuItems = [
+    { label: '✏️ Byt namn', action: () => renameFrame(frameId) },
+    { label: frame.collapsed ? '▾ Fäll ut' : '▸ Fäll ihop', action: () => toggleFrameCollapsed(frameId) }
+  ];
 
-    if (card && card.image) {
-      // Add flip option for image cards
-      menuItems.push({
-        label: card.flipped ? '🔄 Visa bild' : '🔄 Visa text',
-        action: () => flipCard(cardId)
-      });
+  if (!frame.collapsed) {
+    menuItems.push(
+      { label: '▦ Ordna kort i ramen', action: () => arrangeFrameCards(frameId) },
+      { label: '☑️ Markera kort i ramen', action: () => selectFrameCards(frameId) }
+    );
+  }
 
-      menuItems.push({
-        label: '✨ Läs med AI',
-        action: async () => {
-          try {
-            await readImageWithGemini(cardId);
-            await reloadCanvas();
-            alert('✅ Kort läst med Gemini AI. Texten finns på baksidan - dubbelklicka och klicka "Vänd kort" för att se.');
-          } catch (error) {
-            console.error('Fel vid OCR:', error);
-            alert(`Fel vid läsning av kort: ${error.message}`);
-          }
-        }
-      });
+  menuItems.push({
+    label: '🗑️ Ta bort ram (behåll kort)',
+    action: async () => {
+      await deleteFrame(frameId);
+      await reloadCanvas();
     }
+  });
 
-    menuItems.push({
-      label: '🗑️ Ta bort',
-      action: () => handleDeleteCard(cardId)
-    });
-
-    renderMenuItems(menu, menuItems, false);
-  }
-
+  renderMenuItems(menu, menuItems, false);
   document.body.appendChild(menu);
 
-  // Close menu on click outside
   const closeMenu = (e) => {
     if (!menu.contains(e.target)) {
       menu.remove();
@@ -9114,37 +9543,6 @@ export async function showContextMenu(x, y, cardId, group) {
   setTimeout(() => document.addEventListener('click', closeMenu), 10);
 }
 
-function renderMenuItems(menu, items, isBulk) {
-    if (!isBulk) {
-        menu.innerHTML = ''; // Clear loading placeholder
-    }
-
-    items.forEach(item => {
-        const menuItem = document.createElement('div');
-        menuItem.textContent = item.label;
-        menuItem.style.cssText = `
-          padding: 10px 16px;
-          cursor: pointer;
-          font-size: 14px;
-          transition: background 0.2s;
-          color: var(--text-primary);
-        `;
-        menuItem.addEventListener('mouseenter', () => {
-          menuItem.style.background = 'var(--bg-secondary)';
-        });
-        menuItem.addEventListener('mouseleave', () => {
-          menuItem.style.background = 'var(--bg-primary)';
-        });
-        menuItem.addEventListener('click', (e) => {
-          e.stopPropagation();
-          item.action();
-          const contextMenu = document.getElementById('card-context-menu');
-          if (contextMenu) contextMenu.remove();
-        });
-        menu.appendChild(menuItem);
-    });
-}
-
 /**
  * Toggle lock state for a card
  */
@@ -9273,6 +9671,138 @@ function createFitAllButton() {
   console.log('Fit All button created');
 }
 
+/**
+ * Create minimap widget - follows pan/zoom and every layer redraw
+ */
+function createMinimapWidget() {
+  minimap = createMinimap({
+    parent: document.getElementById('board-view') || document.body,
+    getItems: getMinimapItems,
+    getViewport: () => {
+      const scale = stage.scaleX();
+      return {
+        x: -stage.x() / scale,
+        y: -stage.y() / scale,
+        width: stage.width() / scale,
+        height: stage.height() / scale
+      };
+    },
+    onNavigate: (x, y) => {
+      // Center the viewport on the point, keeping the zoom
+      const scale = stage.scaleX();
+      stage.position({
+        x: stage.width() / 2 - x * scale,
+        y: stage.height() / 2 - y * scale
+      });
+      stage.batchDraw();
+    }
+  });
+
+  minimap.setVisible(localStorage.getItem(MINIMAP_VISIBLE_KEY) !== 'false');
+  stage.on('xChange yChange scaleXChange widthChange heightChange', () => minimap.update());
+  layer.on('draw', () => minimap.update());
+}
+
+/**
+ * Card rectangles for the minimap: live groups where rendered, index bounds for culled cards
+ */
+function getMinimapItems() {
+  return cardIndex.getIds().map(cardId => {
+    const group = cardGroups.get(cardId);
+    const background = group?.findOne('Rect');
+    const bounds = group
+      ? { x: group.x(), y: group.y(), width: background?.width() || 200, height: background?.height() || 150 }
+      : cardIndex.getBounds(cardId);
+    const cardColor = minimapCardColors.get(cardId);
+
+    return { ...bounds, color: cardColor ? getCardColor(cardColor) : null };
+  });
+}
+
+function toggleMinimap() {
+  if (!minimap) return;
+  const show = !minimap.isVisible();
+  minimap.setVisible(show);
+  localStorage.setItem(MINIMAP_VISIBLE_KEY, String(show));
+}
+
+/**
+ * Pen mode: drawing replaces selecting and dragging until it is turned off
+ */
+function setInkMode(enabled) {
+  inkMode = enabled;
+
+  // Cards stop reacting so the pen can draw on them
+  layer.listening(!enabled);
+  const container = stage.container();
+  container.style.touchAction = enabled ? 'none' : '';
+  container.style.cursor = enabled ? 'crosshair' : 'default';
+
+  if (enabled) {
+    inkToolbar.show();
+  } else {
+    inkToolbar.hide();
+  }
+
+  const button = document.getElementById('ink-mode-button');
+  if (button) {
+    const isEink = document.body.classList.contains('eink-theme');
+    button.style.background = isEink ? (enabled ? 'black' : 'white') : (enabled ? '#E65100' : '#FF9800');
+    button.style.color = isEink && !enabled ? 'black' : 'white';
+    button.title = enabled ? 'Avsluta pennläge (D)' : 'Pennläge (D)';
+  }
+}
+
+function toggleInkMode() {
+  setInkMode(!inkMode);
+}
+
+/**
+ * Create "Pen mode" button
+ */
+function createInkButton() {
+  const isEink = document.body.classList.contains('eink-theme');
+
+  const button = document.createElement('button');
+  button.id = 'ink-mode-button';
+  button.innerHTML = '✏️';
+  button.title = 'Pennläge (D)';
+  button.style.cssText = `
+    position: fixed;
+    bottom: 240px;
+    right: 24px;
+    width: 56px;
+    height: 56px;
+    background: ${isEink ? 'white' : '#FF9800'};
+    color: ${isEink ? 'black' : 'white'};
+    border: ${isEink ? '2px solid black' : 'none'};
+    border-radius: 50%;
+    font-size: 24px;
+    cursor: pointer;
+    box-shadow: ${isEink ? 'none' : '0 4px 12px rgba(0, 0, 0, 0.15)'};
+    z-index: 1000;
+    transition: all 0.2s;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+
+  button.addEventListener('mouseenter', () => {
+    button.style.transform = 'scale(1.1)';
+    button.style.boxShadow = isEink ? 'none' : '0 6px 16px rgba(0, 0, 0, 0.2)';
+  });
+
+  button.addEventListener('mouseleave', () => {
+    button.style.transform = 'scale(1)';
+    button.style.boxShadow = isEink ? 'none' : '0 4px 12px rgba(0, 0, 0, 0.15)';
+  });
+
+  button.addEventListener('click', toggleInkMode);
+
+  document.body.appendChild(button);
+  console.log('Ink mode button created');
+}
+
 /**
  * Create "Command Palette" button
  */
@@ -9621,8 +10151,9 @@ async function applyArrangement(arrangeFn, arrangeName) {
     })
   );
 
-  // Calculate new positions
-  const newPositions = arrangeFn(cardsData, centerPos);
+  // Calculate new positions (linked cards stay next to each other)
+  const orderedCards = orderByConnectors(cardsData, await getConnectors());
+  const newPositions = arrangeFn(orderedCards, centerPos);
 
   // Check if this is a grid arrangement that needs standard width
   const needsStandardWidth = arrangeName.includes('Grid Vertical') ||
@@ -9900,8 +10431,8 @@ export function deselectAllCards() {
   const isEink = document.body.classList.contains('eink-theme');
   const isDark = document.body.classList.contains('dark-theme');
 
-  // Reset all cards (both selected and faded ones)
-  layer.find('.card').forEach(group => {
+  // Reset all cards (both selected and faded ones); culled cards are never either
+  cardGroups.forEach(group => {
     group.opacity(1); // Reset opacity for all cards
     group.removeName('selected');
     const background = group.findOne('Rect');
@@ -9932,7 +10463,9 @@ export function refreshStats() {
 
   const selected = layer.find('.selected').length;
   const pinned = layer.find('.pinned').length;
-  const total = layer.find('Group').filter(node => node.getAttr('cardId')).length;
+  const total = cullingEnabled
+    ? cardIndex.size
+    : layer.find('Group').filter(node => node.getAttr('cardId')).length;
 
   updateStats({
     selected,
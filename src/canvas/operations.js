@@ -1,14 +1,22 @@
 export {
   reloadCanvas,
+  reloadCanvasForBoard,
   addNewCard,
   exportCanvas,
   importCanvas,
+  exportMarkdownVault,
+  importMarkdownVault,
+  exportJsonCanvas,
+  importJsonCanvas,
+  importSpreadsheet,
   importImage,
   createMultipleCardsFromText,
   exportToReadableText,
   createCardsFromTextWithGemini,
   importFromZoteroHTML,
+  importFromZoteroRDF,
   clearClipboard,
   deselectAllCards,
-  searchCards
+  searchCards,
+  arrangeQueryMatches
 } from './core.js';
@@ -4,10 +4,13 @@ export {
   updateCardShadows,
   updateCardStrokes,
   fitAllCards,
+  panToCard,
   normalizeSearchQuery,
   buildCardSearchText,
   matchWithWildcard,
-  checkProximity,
   evaluateBooleanQuery,
+  compileQuery,
+  getQuerySyntaxError,
+  SearchSyntaxError,
   setupImageDragDrop
 } from './core.js';
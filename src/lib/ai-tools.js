@@ -0,0 +1,1713 @@
+/**
+ * AI tools shared by the Gemini, ChatGPT and Claude assistants
+ * Tools are defined once as { name, description, parameters } with JSON Schema
+ * parameters and translated to each provider's format. The implementations
+ * work on the canvas that is passed to createAIToolRegistry.
+ */
+
+import { db, getAllCards, updateCard, createCard } from './storage.js';
+import { getConnectors, createConnector, deleteConnector, findConnector, groupLinksByCard } from './connectors.js';
+import { getQuerySyntaxError } from './search-query.js';
+import { getUpcomingCalendarEvents, getTodayCalendarEvents, getThisWeekCalendarEvents, formatEventsForAI } from './calendar-sync.js';
+
+// Appended to tool results so the model tells the user to review the preview
+const PENDING_NOTE = 'Ändringarna visas som förhandsvisning och väntar på att användaren godkänner dem.';
+
+export const AI_TOOL_DEFINITIONS = [
+  {
+    name: 'searchCards',
+    description: 'Sök efter kort baserat på text, tags eller innehåll. Returnerar matchande kort-ID:n.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Sökfråga (kan använda Boolean search: AND, OR, NOT och fältfilter: tag:möte, color:card-color-3, created:>2025-10-01, modified:2025-11, has:image, is:pinned, is:locked, ocr:"text")'
+        }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'getAllCards',
+    description: 'Hämta alla kort med deras data (text, tags, färg, position, skapandedatum, metadata, kopplingar etc.). Returnerar selected=true för kort som användaren har markerat. links = utgående kopplingar till andra kort [{to, label, directed}].',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'listAllTags',
+    description: 'Lista alla unika tags som finns i systemet med antal kort per tagg. Använd detta FÖRST för att se vilka tags som finns.',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'filterImageCards',
+    description: 'Filtrera och markera alla kort som INNEHÅLLER en bild (image). Använd detta istället för att söka efter tagg "bild".',
+    parameters: {
+      type: 'object',
+      properties: {
+        hasImage: {
+          type: 'boolean',
+          description: 'true för att hitta bildkort, false för att hitta textkort (standard: true)'
+        }
+      }
+    }
+  },
+  {
+    name: 'filterCardsByTag',
+    description: 'Filtrera kort baserat på en specifik tagg',
+    parameters: {
+      type: 'object',
+      properties: {
+        tag: {
+          type: 'string',
+          description: 'Taggen att filtrera på'
+        }
+      },
+      required: ['tag']
+    }
+  },
+  {
+    name: 'filterCardsByDateRange',
+    description: 'Filtrera kort som skapades under en viss tidsperiod (t.ex. en specifik vecka, månad, eller dag)',
+    parameters: {
+      type: 'object',
+      properties: {
+        startDate: {
+          type: 'string',
+          description: 'Startdatum i ISO-format (YYYY-MM-DD eller YYYY-MM-DDTHH:mm:ss)'
+        },
+        endDate: {
+          type: 'string',
+          description: 'Slutdatum i ISO-format (YYYY-MM-DD eller YYYY-MM-DDTHH:mm:ss)'
+        }
+      },
+      required: ['startDate', 'endDate']
+    }
+  },
+  {
+    name: 'filterCardsByMentionedDate',
+    description: 'Filtrera kort som nämner eller innehåller ett specifikt datum (från text, metadata eller OCR-extraherade datum)',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: {
+          type: 'string',
+          description: 'Datum att söka efter (YYYY-MM-DD format)'
+        }
+      },
+      required: ['date']
+    }
+  },
+  {
+    name: 'getUpcomingCalendar',
+    description: 'Hämta kommande kalenderhändelser från Google Calendar för de närmaste veckorna. ANVÄND för att se vad användaren har för sig framöver!',
+    parameters: {
+      type: 'object',
+      properties: {
+        weeks: {
+          type: 'number',
+          description: 'Antal veckor att hämta (standard: 3)'
+        }
+      }
+    }
+  },
+  {
+    name: 'getTodayCalendar',
+    description: 'Hämta dagens kalenderhändelser från Google Calendar. ANVÄND för "vad har jag idag?" eller "dagens schema"',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'getThisWeekCalendar',
+    description: 'Hämta denna veckans kalenderhändelser från Google Calendar. ANVÄND för "hur ser min vecka ut?"',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'createCardsFromCalendar',
+    description: 'Skapa kort från Google Calendar-händelser. Skapar INTE duplicat - kollar calendarEventId. ANVÄND för "importera min kalender" eller "skapa kort från mina möten"',
+    parameters: {
+      type: 'object',
+      properties: {
+        weeks: {
+          type: 'number',
+          description: 'Antal veckor framåt att hämta händelser från (standard: 2)'
+        }
+      }
+    }
+  },
+  {
+    name: 'selectCards',
+    description: 'Markera/välj specifika kort baserat på deras ID:n. Korten blir visuellt markerade och kan sedan arrangeras med kortkommandon (h=horisontellt, v=vertikalt, g+h=grid horisontellt, g+v=grid vertikalt, q=kluster) eller med arrange-verktygen.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cardIds: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Array av kort-ID:n att markera'
+        }
+      },
+      required: ['cardIds']
+    }
+  },
+  {
+    name: 'addTagsToCards',
+    description: 'Lägg till en eller flera taggar till specifika kort. Om taggen redan finns på kortet ignoreras den.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cardIds: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Array av kort-ID:n att lägga till taggar på'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Array av taggar att lägga till'
+        }
+      },
+      required: ['cardIds', 'tags']
+    }
+  },
+  {
+    name: 'removeTagsFromCards',
+    description: 'Ta bort en eller flera taggar från specifika kort.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cardIds: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Array av kort-ID:n att ta bort taggar från'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Array av taggar att ta bort'
+        }
+      },
+      required: ['cardIds', 'tags']
+    }
+  },
+  {
+    name: 'updateCards',
+    description: 'Uppdatera position, färg, tags eller kopplingar för flera kort samtidigt. Använd detta för att arrangera kort i rumsliga mönster (grids, kluster, timelines etc) och för att dra pilar mellan kort som hör ihop. Kom ihåg: kort är 200×150px, 13-20px spacing = samma grupp, 200-300px = olika grupper.',
+    parameters: {
+      type: 'object',
+      properties: {
+        updates: {
+          type: 'array',
+          description: 'Array av uppdateringar att utföra',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'number', description: 'Kort-ID' },
+              x: { type: 'number', description: 'Ny X-position (valfri)' },
+              y: { type: 'number', description: 'Ny Y-position (valfri)' },
+              color: { type: 'string', description: 'Ny färg som hex-kod (valfri)' },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Nya taggar att ersätta befintliga taggar med (valfri)'
+              },
+              links: {
+                type: 'array',
+                description: 'Kopplingar att skapa från detta kort (valfri)',
+                items: {
+                  type: 'object',
+                  properties: {
+                    to: { type: 'number', description: 'Kort-ID att koppla till' },
+                    label: { type: 'string', description: 'Etikett på kopplingen (valfri)' },
+                    directed: { type: 'boolean', description: 'Pil (true, standard) eller linje utan riktning (false)' }
+                  },
+                  required: ['to']
+                }
+              },
+              removeLinks: {
+                type: 'array',
+                items: { type: 'number' },
+                description: 'Kort-ID:n vars koppling till detta kort ska tas bort (valfri)'
+              }
+            },
+            required: ['id']
+          }
+        }
+      },
+      required: ['updates']
+    }
+  },
+  {
+    name: 'arrangeCardsInGrid',
+    description: 'Arrangera MARKERADE kort i ett rutnät.',
+    parameters: {
+      type: 'object',
+      properties: {
+        columns: { type: 'number', description: 'Antal kolumner (standard: 4)' },
+        spacing: { type: 'number', description: 'Mellanrum mellan kort i px (standard: 13)' },
+        offsetX: { type: 'number', description: 'X-position för rutnätets övre vänstra hörn (standard: 0)' },
+        offsetY: { type: 'number', description: 'Y-position för rutnätets övre vänstra hörn (standard: 0)' }
+      }
+    }
+  },
+  {
+    name: 'groupCardsByCategory',
+    description: 'Markera alla kort med en kategoritagg och arrangera dem i ett rutnät med 4 kolumner.',
+    parameters: {
+      type: 'object',
+      properties: {
+        categoryTag: { type: 'string', description: 'Taggen som definierar kategorin' }
+      },
+      required: ['categoryTag']
+    }
+  },
+  {
+    name: 'arrangeAllTagsInGrids',
+    description: 'Arrangera ALLA kort grupperade efter tagg i separata rutnät (staplade vertikalt). ANVÄND för "sortera tematiskt" eller "gruppera alla taggar". Inga parametrar behövs!',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'arrangeCardsTimeline',
+    description: 'Arrangera MARKERADE kort på en tidslinje efter datum (skapandedatum eller OCR-extraherat datum).',
+    parameters: {
+      type: 'object',
+      properties: {
+        orientation: {
+          type: 'string',
+          enum: ['horizontal', 'vertical'],
+          description: 'Tidslinjens riktning (standard: horizontal)'
+        },
+        useExtractedDate: {
+          type: 'boolean',
+          description: 'Använd extraherade datum istället för skapandedatum (standard: false)'
+        }
+      }
+    }
+  },
+  {
+    name: 'arrangeCardsKanban',
+    description: 'Arrangera MARKERADE kort i Kanban-kolumner efter tagg. Kort utan kolumn-tagg läggs bredvid.',
+    parameters: {
+      type: 'object',
+      properties: {
+        columns: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Kolumnnamn/taggar (standard: ["backlog", "todo", "pågår", "klart"])'
+        }
+      }
+    }
+  },
+  {
+    name: 'arrangeCardsMindMap',
+    description: 'Arrangera MARKERADE kort i en mind map: ett centralkort med övriga kort i en cirkel runt omkring.',
+    parameters: {
+      type: 'object',
+      properties: {
+        centerCardId: { type: 'number', description: 'Kort-ID för centralkortet (standard: första markerade kortet)' },
+        radius: { type: 'number', description: 'Avstånd från centrum i px (standard: 300)' }
+      }
+    }
+  },
+  {
+    name: 'arrangeCardsCluster',
+    description: 'Klustra kort (markerade, annars alla) efter första taggen eller efter innehåll (dubbletter först).',
+    parameters: {
+      type: 'object',
+      properties: {
+        method: {
+          type: 'string',
+          enum: ['tags', 'content'],
+          description: 'Klustermetod (standard: tags)'
+        }
+      }
+    }
+  },
+  {
+    name: 'arrangeCardsByDay',
+    description: 'Arrangera kort i ett VECKOSCHEMA där varje dag är en kolumn. Perfekt för att visualisera kalendern! ANVÄND för "visa som veckoschema", "organisera per dag" eller "skapa veckovy"',
+    parameters: {
+      type: 'object',
+      properties: {
+        weeks: {
+          type: 'number',
+          description: 'Antal veckor att visa (standard: 2)'
+        },
+        useExtractedDate: {
+          type: 'boolean',
+          description: 'Använd extraherade datum istället för skapandedatum (standard: true)'
+        }
+      }
+    }
+  },
+  {
+    name: 'applySchoolColorScheme',
+    description: 'Tillämpa FÖRINSTÄLLT färgschema för SKOLÄMNEN. Ma=blå, SV=gul, Eng=röd, lunch=vit osv. ANVÄND ALLTID för skolscheman, t.ex. "färglägg schemat" eller efter kalenderimport',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'colorCardsByPattern',
+    description: 'Färglägg kort efter textmönster. Alla kort som innehåller "lunch" får samma färg, alla "viktigt" en annan osv. ANVÄND för "färglägg alla lunchmöten" eller "gör alla SV-kort blå"',
+    parameters: {
+      type: 'object',
+      properties: {
+        patterns: {
+          type: 'array',
+          description: 'Mönster och färger. Exempel: [{pattern: "lunch", color: "#ffeb3b"}, {pattern: "viktigt", color: "#f44336"}]',
+          items: {
+            type: 'object',
+            properties: {
+              pattern: { type: 'string', description: 'Text att söka efter (skiftlägesokänslig)' },
+              color: { type: 'string', description: 'Hex-färgkod (t.ex. #ff0000 för röd)' }
+            },
+            required: ['pattern', 'color']
+          }
+        }
+      },
+      required: ['patterns']
+    }
+  },
+  {
+    name: 'getCanvasInfo',
+    description: 'Hämta information om canvas och kort-dimensioner. Använd detta för att förstå hur mycket utrymme du har att arbeta med.',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  }
+];
+
+/**
+ * Gemini function declarations
+ */
+export function toGeminiTools(definitions = AI_TOOL_DEFINITIONS) {
+  return [{ functionDeclarations: definitions }];
+}
+
+/**
+ * OpenAI chat completion tools
+ */
+export function toOpenAITools(definitions = AI_TOOL_DEFINITIONS) {
+  return definitions.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Anthropic tools (input_schema must be an object schema)
+ */
+export function toClaudeTools(definitions = AI_TOOL_DEFINITIONS) {
+  return definitions.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: {
+      type: 'object',
+      properties: tool.parameters?.properties || {},
+      required: tool.parameters?.required || []
+    }
+  }));
+}
+
+/**
+ * Pending card and link changes from the assistant
+ * Tools write here instead of to the database, so one AI action can be
+ * previewed and then accepted (one undo step) or rejected as a whole.
+ * @param {Object} options
+ * @param {Function} options.onChange - Called after every change
+ */
+export function createAIChangeset({ onChange = null } = {}) {
+  const cards = new Map(); // cardId -> { position, tags, cardColor }
+  const links = new Map(); // card pair -> { fromCardId, toCardId, remove, directed, label }
+  const creates = new Map(); // temporary id (negative) -> new card data
+  let nextTempId = -1;
+
+  // A connector joins two cards whichever way it points
+  const linkKey = (a, b) => [a, b].sort().join('|');
+
+  function setCardField(cardId, field, value) {
+    const change = cards.get(cardId) || {};
+    change[field] = value;
+    cards.set(cardId, change);
+    onChange?.();
+  }
+
+  return {
+    /**
+     * New card, created when the changeset is accepted. Later changes and links
+     * in the same changeset can use the temporary id.
+     * @returns {number} Temporary (negative) card id
+     */
+    createCard(cardData) {
+      const id = nextTempId--;
+      creates.set(id, { ...cardData });
+      onChange?.();
+      return id;
+    },
+    setPosition(cardId, { x, y }) {
+      setCardField(cardId, 'position', { x: Math.round(x), y: Math.round(y) });
+    },
+    setTags(cardId, tags) {
+      setCardField(cardId, 'tags', [...tags]);
+    },
+    setColor(cardId, cardColor) {
+      setCardField(cardId, 'cardColor', cardColor);
+    },
+    addLink({ fromCardId, toCardId, directed = true, label = '' }) {
+      links.set(linkKey(fromCardId, toCardId), { fromCardId, toCardId, remove: false, directed, label });
+      onChange?.();
+    },
+    removeLink(fromCardId, toCardId) {
+      links.set(linkKey(fromCardId, toCardId), { fromCardId, toCardId, remove: true });
+      onChange?.();
+    },
+
+    /**
+     * Cards as they will look once the changeset is accepted
+     */
+    applyToCards(baseCards) {
+      const created = Array.from(creates.entries()).map(([id, card]) => ({ ...card, id }));
+      return [...baseCards, ...created].map(card => cards.has(card.id) ? { ...card, ...cards.get(card.id) } : card);
+    },
+
+    /**
+     * Changes to existing cards
+     * @returns {Array} [{ cardId, changes }]
+     */
+    getCardChanges() {
+      return Array.from(cards.entries())
+        .filter(([cardId]) => !creates.has(cardId))
+        .map(([cardId, changes]) => ({ cardId, changes: { ...changes } }));
+    },
+
+    /**
+     * New cards with their later changes applied
+     * @returns {Array} [{ tempId, card }]
+     */
+    getCreatedCards() {
+      return Array.from(creates.entries()).map(([tempId, card]) => ({ tempId, card: { ...card, ...cards.get(tempId) } }));
+    },
+    getLinkChanges() {
+      return Array.from(links.values());
+    },
+    isEmpty() {
+      return cards.size === 0 && links.size === 0 && creates.size === 0;
+    },
+    clear() {
+      cards.clear();
+      links.clear();
+      creates.clear();
+      onChange?.();
+    }
+  };
+}
+
+/**
+ * Write an accepted changeset to the database and empty it
+ * @returns {Promise<Object>} { created: [cardId], cards: [{ cardId, oldData, newData }],
+ *   connectors: [{ before, after }] } with the values needed to undo and redo it
+ */
+export async function commitAIChangeset(changeset) {
+  const idByTempId = new Map();
+  for (const { tempId, card } of changeset.getCreatedCards()) {
+    idByTempId.set(tempId, await createCard(card));
+  }
+  const toCardId = id => idByTempId.get(id) ?? id;
+
+  const cardsById = new Map((await getAllCards()).map(card => [card.id, card]));
+  const cardRecords = [];
+  for (const { cardId, changes } of changeset.getCardChanges()) {
+    const card = cardsById.get(cardId);
+    if (!card) continue; // Deleted while the changeset was waiting
+
+    const oldData = {};
+    Object.keys(changes).forEach(key => { oldData[key] = card[key]; });
+    await updateCard(cardId, changes);
+    cardRecords.push({ cardId, oldData, newData: changes });
+  }
+
+  const connectorRecords = [];
+  for (const change of changeset.getLinkChanges()) {
+    const link = { ...change, fromCardId: toCardId(change.fromCardId), toCardId: toCardId(change.toCardId) };
+    const before = await findConnector(link.fromCardId, link.toCardId);
+    if (link.remove) {
+      if (!before) continue;
+      await deleteConnector(before.id);
+      connectorRecords.push({ before, after: null });
+    } else {
+      const id = await createConnector(link);
+      connectorRecords.push({ before, after: await db.connectors.get(id) });
+    }
+  }
+
+  changeset.clear();
+  return { created: Array.from(idByTempId.values()), cards: cardRecords, connectors: connectorRecords };
+}
+
+/**
+ * Implementations of AI_TOOL_DEFINITIONS
+ * Tools that create, move, tag, color or link cards only fill the changeset;
+ * the user accepts or rejects it in the canvas (see commitAIChangeset).
+ * @param {Object} canvas - { layer, stage, searchCards, deselectAllCards,
+ *   getColorFromText, getCardGroups, getAllCardGroups, changeset } from the canvas module
+ * @returns {Object} Map of tool name to async (args) => result
+ */
+export function createAIToolRegistry(canvas) {
+  const {
+    layer,
+    stage,
+    searchCards,
+    deselectAllCards,
+    getColorFromText,
+    getCardGroups,
+    getAllCardGroups,
+    changeset
+  } = canvas;
+
+  // Reads include changes that are still waiting for approval
+  const getCards = async () => changeset.applyToCards(await getAllCards());
+  const moveNode = (node, position) => changeset.setPosition(node.getAttr('cardId'), position);
+
+  return {
+    searchCards: async (args) => {
+      const syntaxError = getQuerySyntaxError(args.query);
+      if (syntaxError) {
+        return `Ogiltig sökfråga: ${syntaxError.message}`;
+      }
+      await searchCards(args.query, { mode: 'strict' });
+      const selectedCount = layer.find('.selected').length;
+      return `Hittade och markerade ${selectedCount} kort.`;
+    },
+    getAllCards: async () => {
+      const cards = await getCards();
+      const linksByCard = groupLinksByCard(await getConnectors());
+      // Check which cards are selected on canvas
+      const selectedCardIds = new Set();
+      layer.find('.selected').forEach(node => {
+        const cardId = node.getAttr('cardId');
+        if (cardId) selectedCardIds.add(cardId);
+      });
+
+      return cards.map(c => ({
+        id: c.id,
+        text: c.text?.substring(0, 100),
+        backText: c.backText?.substring(0, 100),
+        tags: c.tags,
+        cardColor: c.cardColor,
+        hasImage: !!c.image,
+        created: c.created,
+        createdAt: c.metadata?.createdAt,
+        extractedDate: c.geminiMetadata?.extractedDate,
+        extractedDateTime: c.geminiMetadata?.extractedDateTime,
+        selected: selectedCardIds.has(c.id),
+        links: linksByCard.get(c.id) || []
+      }));
+    },
+    listAllTags: async () => {
+      const cards = await getCards();
+      const tagCounts = new Map();
+
+      // Count occurrences of each tag
+      for (const card of cards) {
+        if (card.tags && Array.isArray(card.tags)) {
+          for (const tag of card.tags) {
+            tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+          }
+        }
+      }
+
+      // Convert to array and sort by count (descending)
+      const tagList = Array.from(tagCounts.entries())
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count);
+
+      const summary = tagList.map(t => `${t.tag} (${t.count})`).join(', ');
+      return {
+        totalUniqueTags: tagList.length,
+        totalCards: cards.length,
+        tags: tagList,
+        summary: `Hittade ${tagList.length} unika tags: ${summary}`
+      };
+    },
+    filterImageCards: async (args) => {
+      const hasImage = args.hasImage !== false; // Default to true
+      const cards = await getCards();
+
+      // Filter cards based on whether they have an image
+      const matchingIds = cards
+        .filter(c => hasImage ? !!c.image : !c.image)
+        .map(c => c.id);
+
+      // Deselect all first, then select matching
+      deselectAllCards();
+      // Culled cards are rendered first so every match is selected
+      (await getCardGroups(matchingIds)).forEach(node => {
+        node.addName('selected'); // Add class name for consistency
+        const background = node.findOne('Rect');
+        if (background) {
+          background.stroke('#2196F3');
+          background.strokeWidth(3);
+        }
+      });
+      layer.batchDraw();
+
+      const cardType = hasImage ? 'bildkort' : 'textkort';
+      return `Markerade ${matchingIds.length} ${cardType} (av totalt ${cards.length} kort).`;
+    },
+    filterCardsByTag: async (args) => {
+      await searchCards(`tag:"${args.tag}"`, { mode: 'strict' });
+      const selectedCount = layer.find('.selected').length;
+      return `Markerade ${selectedCount} kort med taggen "${args.tag}".`;
+    },
+    filterCardsByDateRange: async (args) => {
+      const startTime = new Date(args.startDate).getTime();
+      const endTime = new Date(args.endDate).getTime();
+
+      const cards = await getCards();
+      const matchingIds = cards
+        .filter(c => c.created >= startTime && c.created <= endTime)
+        .map(c => c.id);
+
+      // Deselect all first, then select matching
+      deselectAllCards();
+      // Culled cards are rendered first so every match is selected
+      (await getCardGroups(matchingIds)).forEach(node => {
+        node.addName('selected'); // Add class name for consistency
+        const background = node.findOne('Rect');
+        if (background) {
+          background.stroke('#2196F3');
+          background.strokeWidth(3);
+        }
+      });
+      layer.batchDraw();
+
+      return `Markerade ${matchingIds.length} kort skapade mellan ${args.startDate} och ${args.endDate}.`;
+    },
+    filterCardsByMentionedDate: async (args) => {
+      const searchDate = args.date; // YYYY-MM-DD
+
+      const cards = await getCards();
+      const matchingIds = [];
+
+      for (const card of cards) {
+        // Check Gemini extracted dates
+        if (card.geminiMetadata?.extractedDate === searchDate ||
+            card.geminiMetadata?.extractedDateTime?.startsWith(searchDate)) {
+          matchingIds.push(card.id);
+          continue;
+        }
+
+        // Check if date is mentioned in text or backText
+        const allText = `${card.text || ''} ${card.backText || ''}`.toLowerCase();
+        if (allText.includes(searchDate)) {
+          matchingIds.push(card.id);
+          continue;
+        }
+
+        // Check date hashtags (e.g. #250819 for 2025-08-19)
+        const dateTag = searchDate.replace(/^20/, '').replace(/-/g, ''); // Convert 2025-08-19 to 250819
+        if (card.tags?.some(tag => tag.includes(dateTag))) {
+          matchingIds.push(card.id);
+        }
+      }
+
+      // Deselect all first, then select matching
+      deselectAllCards();
+      // Culled cards are rendered first so every match is selected
+      (await getCardGroups(matchingIds)).forEach(node => {
+        node.addName('selected'); // Add class name for consistency
+        const background = node.findOne('Rect');
+        if (background) {
+          background.stroke('#2196F3');
+          background.strokeWidth(3);
+        }
+      });
+      layer.batchDraw();
+
+      return `Markerade ${matchingIds.length} kort som nämner datumet ${searchDate}.`;
+    },
+    arrangeCardsInGrid: async (args) => {
+      const columns = args.columns || 4;
+      const spacing = args.spacing || 13;  // Reduced by 1/3 (was 20)
+      const offsetX = args.offsetX || 0;
+      const offsetY = args.offsetY || 0;
+
+      const selectedNodes = layer.find('.selected');
+      if (selectedNodes.length === 0) {
+        return 'Inga kort är markerade. Markera kort först för att arrangera dem.';
+      }
+
+      // Get card dimensions (assume all cards are same size for simplicity)
+      const cardWidth = 200;
+      const cardHeight = 150;
+
+      // Arrange in grid with offset
+      selectedNodes.forEach((node, index) => {
+        const row = Math.floor(index / columns);
+        const col = index % columns;
+
+        const x = offsetX + col * (cardWidth + spacing);
+        const y = offsetY + row * (cardHeight + spacing);
+
+        moveNode(node, { x, y });
+      });
+
+      const rows = Math.ceil(selectedNodes.length / columns);
+      return `Arrangerade ${selectedNodes.length} kort i ett ${columns}x${rows} rutnät på position (${offsetX}, ${offsetY}). ${PENDING_NOTE}`;
+    },
+    groupCardsByCategory: async (args) => {
+      const categoryTag = args.categoryTag;
+
+      // First, filter cards by the category tag
+      await searchCards(`tag:"${categoryTag}"`, { mode: 'strict' });
+
+      const selectedNodes = layer.find('.selected');
+      if (selectedNodes.length === 0) {
+        return `Inga kort hittades med taggen "${categoryTag}".`;
+      }
+
+      // Arrange them in a grid
+      const columns = 4;
+      const spacing = 13;  // Reduced by 1/3 (was 20)
+      const cardWidth = 200;
+      const cardHeight = 150;
+
+      selectedNodes.forEach((node, index) => {
+        const row = Math.floor(index / columns);
+        const col = index % columns;
+
+        const x = col * (cardWidth + spacing);
+        const y = row * (cardHeight + spacing);
+
+        moveNode(node, { x, y });
+      });
+
+      return `Grupperade och arrangerade ${selectedNodes.length} kort med kategorin "${categoryTag}". ${PENDING_NOTE}`;
+    },
+
+    arrangeAllTagsInGrids: async () => {
+      console.log('🔍 arrangeAllTagsInGrids: Starting...');
+
+      // Get all unique tags
+      const cards = await getCards();
+      console.log(`📦 Found ${cards.length} cards in database`);
+
+      const tagCounts = new Map();
+      for (const card of cards) {
+        if (card.tags && Array.isArray(card.tags)) {
+          for (const tag of card.tags) {
+            tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+          }
+        }
+      }
+
+      const tags = Array.from(tagCounts.keys());
+      console.log(`🏷️ Found ${tags.length} unique tags:`, tags);
+
+      if (tags.length === 0) {
+        return 'Inga taggar hittades.';
+      }
+
+      // Constants for layout
+      const cardWidth = 200;
+      const cardHeight = 150;
+      const columns = 4;
+      const spacing = 13;   // Reduced by 1/3 (was 20)
+      const gridGap = 67;   // Reduced by 1/3 (was 100)
+
+      let currentY = 0;
+      let arrangedCount = 0;
+
+      // Arrange each tag group
+      for (const tag of tags) {
+        // Filter cards by this tag
+        const matchingCards = cards.filter(c => c.tags && c.tags.includes(tag));
+        console.log(`🏷️ Tag "${tag}": ${matchingCards.length} cards`);
+
+        if (matchingCards.length === 0) continue;
+
+        // Arrange these cards (also the ones outside the viewport)
+        matchingCards.forEach((card, index) => {
+          const row = Math.floor(index / columns);
+          const col = index % columns;
+          const x = col * (cardWidth + spacing);
+          const y = currentY + row * (cardHeight + spacing);
+
+          changeset.setPosition(card.id, { x, y });
+          arrangedCount++;
+        });
+
+        // Move to next group position
+        const rows = Math.ceil(matchingCards.length / columns);
+        currentY += rows * (cardHeight + spacing) + gridGap;
+      }
+
+      return `Arrangerade ${arrangedCount} kort i ${tags.length} tagg-grupper (vertikalt med ${gridGap}px mellanrum). ${PENDING_NOTE}`;
+    },
+
+    getUpcomingCalendar: async (args) => {
+      const weeks = args.weeks || 3;
+      try {
+        const events = await getUpcomingCalendarEvents(weeks);
+        return formatEventsForAI(events);
+      } catch (error) {
+        return `Kunde inte hämta kalenderhändelser: ${error.message}. Se till att du har kopplat Google Calendar (samma Client ID som Drive).`;
+      }
+    },
+
+    getTodayCalendar: async () => {
+      try {
+        const events = await getTodayCalendarEvents();
+        return formatEventsForAI(events);
+      } catch (error) {
+        return `Kunde inte hämta dagens händelser: ${error.message}`;
+      }
+    },
+
+    getThisWeekCalendar: async () => {
+      try {
+        const events = await getThisWeekCalendarEvents();
+        return formatEventsForAI(events);
+      } catch (error) {
+        return `Kunde inte hämta veckans händelser: ${error.message}`;
+      }
+    },
+
+    createCardsFromCalendar: async (args) => {
+      const weeks = args.weeks || 2;
+      try {
+        // Get calendar events
+        const events = await getUpcomingCalendarEvents(weeks);
+
+        if (!events || events.length === 0) {
+          return 'Inga kalenderhändelser hittades.';
+        }
+
+        // Get all existing cards
+        const existingCards = await getCards();
+
+        // Find which events already have cards
+        const existingEventIds = new Set(
+          existingCards
+            .filter(c => c.calendarEventId)
+            .map(c => c.calendarEventId)
+        );
+
+        // Filter to only new events
+        const newEvents = events.filter(e => !existingEventIds.has(e.id));
+
+        if (newEvents.length === 0) {
+          return `Alla ${events.length} kalenderhändelser har redan kort. Inga nya kort skapades.`;
+        }
+
+        // Propose cards for new events
+        let createdCount = 0;
+
+        for (const event of newEvents) {
+          const startDate = new Date(event.start);
+          const endDate = new Date(event.end);
+
+          // Format card text
+          let cardText = `📅 ${event.summary}\n\n`;
+          cardText += `⏰ ${startDate.toLocaleString('sv-SE', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+          })}`;
+
+          if (!event.isAllDay) {
+            cardText += ` - ${endDate.toLocaleTimeString('sv-SE', { hour: '2-digit', minute: '2-digit' })}`;
+          }
+
+          if (event.location) {
+            cardText += `\n📍 ${event.location}`;
+          }
+
+          if (event.description) {
+            cardText += `\n\n${event.description}`;
+          }
+
+          if (event.attendees && event.attendees.length > 0) {
+            cardText += `\n\n👥 ${event.attendees.length} deltagare`;
+          }
+
+          // Create the card with automatic color detection
+          const autoColor = getColorFromText(event.summary);
+          const defaultColor = event.isAllDay ? '#e3f2fd' : '#fff3e0';
+
+          changeset.createCard({
+            text: cardText,
+            position: {
+              x: 100 + (createdCount % 5) * 250, // Spread cards horizontally
+              y: 100 + Math.floor(createdCount / 5) * 200
+            },
+            tags: ['calendar', 'meeting'],
+            cardColor: autoColor || defaultColor, // Use subject color if found, otherwise default
+            calendarEventId: event.id, // Store the calendar event ID!
+            calendarEventLink: event.htmlLink,
+            eventDate: event.start // Store event date for sorting
+          });
+
+          createdCount++;
+        }
+
+        return `Föreslår ${createdCount} nya kort från kalendern (${events.length - createdCount} events hade redan kort). De nya korten är taggade med 'calendar' och 'meeting'. ${PENDING_NOTE}`;
+
+      } catch (error) {
+        console.error('Error creating cards from calendar:', error);
+        return `Kunde inte skapa kort från kalendern: ${error.message}`;
+      }
+    },
+
+    applySchoolColorScheme: async () => {
+      // Preset color scheme for school subjects (both abbreviations and full names)
+      const schoolColors = [
+        {patterns: ["ma", "matematik"], color: "#2196f3"},           // Matematik - blå
+        {patterns: ["sv", "svenska"], color: "#ffeb3b"},             // Svenska - gul
+        {patterns: ["no", "naturorientering"], color: "#4caf50"},    // NO - grön
+        {patterns: ["eng", "engelska"], color: "#f44336"},           // Engelska - röd
+        {patterns: ["bi", "bild"], color: "#9c27b0"},                // Bild - lila
+        {patterns: ["tk", "teknik"], color: "#9e9e9e"},              // Teknik - grå
+        {patterns: ["spanska", "språk"], color: "#ff9800"},          // Spanska/språk - orange
+        {patterns: ["idh", "idrott"], color: "#e91e63"},             // Idrott - rosa
+        {patterns: ["so", "samhällskunskap"], color: "#ef9a9a"},     // SO - ljusröd
+        {patterns: ["sl", "slöjd"], color: "#fff59d"},               // Slöjd - ljusgul
+        {patterns: ["mu", "musik"], color: "#a5d6a7"},               // Musik - ljusgrön
+        {patterns: ["hkk"], color: "#a5d6a7"},                       // HKK - ljusgrön
+        {patterns: ["lunch"], color: "#ffffff"}                      // Lunch - vit
+      ];
+
+      try {
+        const cards = await getCards();
+        let coloredCount = 0;
+        const colorSummary = {};
+
+        for (const {patterns, color} of schoolColors) {
+          const matchingCards = cards.filter(card => {
+            const text = (card.text || '').toLowerCase();
+            const backText = (card.backText || '').toLowerCase();
+            const tags = (card.tags || []).join(' ').toLowerCase();
+            const searchText = `${text} ${backText} ${tags}`;
+
+            // Check if any pattern matches
+            return patterns.some(pattern => {
+              const regex = new RegExp(`\\b${pattern}\\b`, 'i');
+              return regex.test(searchText);
+            });
+          });
+
+          if (matchingCards.length > 0) {
+            colorSummary[patterns[0]] = matchingCards.length; // Use first pattern for summary
+
+            for (const card of matchingCards) {
+              changeset.setColor(card.id, color);
+              coloredCount++;
+            }
+          }
+        }
+
+        let summary = `Tillämpade skolfärgschema på ${coloredCount} kort:\n`;
+        for (const [pattern, count] of Object.entries(colorSummary)) {
+          summary += `- ${pattern}: ${count} kort\n`;
+        }
+
+        return summary + PENDING_NOTE;
+
+      } catch (error) {
+        console.error('Error applying school color scheme:', error);
+        return `Kunde inte tillämpa färgschema: ${error.message}`;
+      }
+    },
+
+    colorCardsByPattern: async (args) => {
+      const patterns = args.patterns || []; // Array of {pattern: string, color: string}
+
+      if (patterns.length === 0) {
+        return 'Inga färg-mönster angivna. Exempel: [{pattern: "lunch", color: "#ffeb3b"}, {pattern: "viktigt", color: "#f44336"}]';
+      }
+
+      try {
+        const cards = await getCards();
+        let coloredCount = 0;
+        const colorSummary = {};
+
+        for (const {pattern, color} of patterns) {
+          const matchingCards = cards.filter(card => {
+            const text = (card.text || '').toLowerCase();
+            const backText = (card.backText || '').toLowerCase();
+            const tags = (card.tags || []).join(' ').toLowerCase();
+            const searchText = `${text} ${backText} ${tags}`;
+            return searchText.includes(pattern.toLowerCase());
+          });
+
+          colorSummary[pattern] = matchingCards.length;
+
+          for (const card of matchingCards) {
+            changeset.setColor(card.id, color);
+            coloredCount++;
+          }
+        }
+
+        let summary = `Färglade ${coloredCount} kort:\n`;
+        for (const [pattern, count] of Object.entries(colorSummary)) {
+          summary += `- "${pattern}": ${count} kort\n`;
+        }
+
+        return summary + PENDING_NOTE;
+
+      } catch (error) {
+        console.error('Error coloring cards:', error);
+        return `Kunde inte färglägga kort: ${error.message}`;
+      }
+    },
+
+    arrangeCardsByDay: async (args) => {
+      const weeks = args.weeks || 2;
+      const useExtractedDate = args.useExtractedDate !== false; // Default true
+
+      try {
+        // Get all cards
+        const cards = await getCards();
+
+        // Group cards by date
+        const cardsByDate = new Map();
+
+        for (const card of cards) {
+          let dateStr = null;
+
+          // Try to get date from various sources
+          if (card.eventDate) {
+            // Calendar event date (prioritize this)
+            const date = new Date(card.eventDate);
+            dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
+          } else if (useExtractedDate && card.geminiMetadata?.extractedDateTime) {
+            const date = new Date(card.geminiMetadata.extractedDateTime);
+            dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
+          } else if (useExtractedDate && card.geminiMetadata?.extractedDate) {
+            const date = new Date(card.geminiMetadata.extractedDate);
+            dateStr = date.toISOString().split('T')[0];
+          } else if (card.created) {
+            const date = new Date(card.created);
+            dateStr = date.toISOString().split('T')[0];
+          }
+
+          if (dateStr) {
+            if (!cardsByDate.has(dateStr)) {
+              cardsByDate.set(dateStr, []);
+            }
+            cardsByDate.get(dateStr).push(card);
+          }
+        }
+
+        if (cardsByDate.size === 0) {
+          return 'Inga kort med datum hittades att arrangera.';
+        }
+
+        // Sort dates chronologically
+        const sortedDates = Array.from(cardsByDate.keys()).sort();
+
+        // Limit to requested weeks if specified
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const weeksInMs = weeks * 7 * 24 * 60 * 60 * 1000;
+        const endDate = new Date(today.getTime() + weeksInMs);
+
+        const filteredDates = sortedDates.filter(dateStr => {
+          const date = new Date(dateStr);
+          return date >= today && date <= endDate;
+        });
+
+        const datesToShow = filteredDates.length > 0 ? filteredDates : sortedDates.slice(0, weeks * 7);
+
+        // Layout constants (reduced spacing by 1/3)
+        const columnWidth = 210;   // Tighter columns (was 250)
+        const columnSpacing = 10;  // Much tighter spacing (was 20)
+        const cardHeight = 160;
+        const cardSpacing = 10;    // Reduced by 1/3 (was 15)
+        const headerHeight = 80;
+        const startX = 50;
+        const startY = 50;
+
+        let arrangedCount = 0;
+
+        // Arrange cards in columns by day
+        datesToShow.forEach((dateStr, dayIndex) => {
+          const cardsForDay = cardsByDate.get(dateStr) || [];
+          const x = startX + dayIndex * (columnWidth + columnSpacing);
+
+          // Create date header label (we'll use a card for this)
+          const date = new Date(dateStr);
+          const dayName = date.toLocaleDateString('sv-SE', { weekday: 'short' });
+          const dateLabel = date.toLocaleDateString('sv-SE', { month: 'short', day: 'numeric' });
+
+          cardsForDay.forEach((card, cardIndex) => {
+            const y = startY + headerHeight + cardIndex * (cardHeight + cardSpacing);
+            changeset.setPosition(card.id, { x, y });
+            arrangedCount++;
+          });
+        });
+
+        const weekCount = Math.ceil(datesToShow.length / 7);
+        return `Arrangerade ${arrangedCount} kort i ett veckoschema över ${datesToShow.length} dagar (ca ${weekCount} veckor). Varje kolumn = en dag. ${PENDING_NOTE}`;
+
+      } catch (error) {
+        console.error('Error arranging cards by day:', error);
+        return `Kunde inte arrangera kort efter dag: ${error.message}`;
+      }
+    },
+
+    arrangeCardsTimeline: async (args) => {
+      const useExtractedDate = args.useExtractedDate || false;
+      const orientation = args.orientation || 'horizontal';
+
+      const selectedNodes = layer.find('.selected');
+      if (selectedNodes.length === 0) {
+        return 'Inga kort är markerade. Markera kort först för att arrangera dem på en tidslinje.';
+      }
+
+      const cards = await getCards();
+
+      // Build array of {node, timestamp, card}
+      const cardsWithDates = [];
+      for (const node of selectedNodes) {
+        const cardId = node.getAttr('cardId');
+        const card = cards.find(c => c.id === cardId);
+        if (!card) continue;
+
+        let timestamp;
+        if (useExtractedDate && card.geminiMetadata?.extractedDateTime) {
+          timestamp = new Date(card.geminiMetadata.extractedDateTime).getTime();
+        } else if (useExtractedDate && card.geminiMetadata?.extractedDate) {
+          timestamp = new Date(card.geminiMetadata.extractedDate).getTime();
+        } else {
+          timestamp = card.created || Date.now();
+        }
+
+        cardsWithDates.push({ node, timestamp, card });
+      }
+
+      // Sort by timestamp
+      cardsWithDates.sort((a, b) => a.timestamp - b.timestamp);
+
+      // Calculate spacing
+      const minTime = cardsWithDates[0].timestamp;
+      const maxTime = cardsWithDates[cardsWithDates.length - 1].timestamp;
+      const timeRange = maxTime - minTime || 1; // Avoid division by zero
+
+      const cardWidth = 200;
+      const cardHeight = 150;
+      const spacing = 33;  // Reduced by 1/3 (was 50)
+      const totalLength = 1500; // Total timeline length in pixels
+
+      if (orientation === 'horizontal') {
+        // Horizontal timeline
+        cardsWithDates.forEach((item, index) => {
+          const relativeTime = (item.timestamp - minTime) / timeRange;
+          const x = relativeTime * totalLength;
+          const y = 100; // Fixed Y position
+          moveNode(item.node, { x, y });
+        });
+      } else {
+        // Vertical timeline
+        cardsWithDates.forEach((item, index) => {
+          const relativeTime = (item.timestamp - minTime) / timeRange;
+          const x = 100; // Fixed X position
+          const y = relativeTime * totalLength;
+          moveNode(item.node, { x, y });
+        });
+      }
+
+      const dateSource = useExtractedDate ? 'extraherade datum' : 'skapandedatum';
+      return `Arrangerade ${cardsWithDates.length} kort på en ${orientation === 'horizontal' ? 'horisontell' : 'vertikal'} tidslinje baserat på ${dateSource}. ${PENDING_NOTE}`;
+    },
+
+    arrangeCardsKanban: async (args) => {
+      const columns = args.columns || ['backlog', 'todo', 'pågår', 'klart'];
+
+      const selectedNodes = layer.find('.selected');
+      if (selectedNodes.length === 0) {
+        return 'Inga kort är markerade. Markera kort först för att arrangera dem i Kanban-kolumner.';
+      }
+
+      const cards = await getCards();
+      const cardWidth = 200;
+      const cardHeight = 150;
+      const columnWidth = 250;
+      const spacing = 13;  // Reduced by 1/3 (was 20)
+
+      // Group cards by column
+      const columnGroups = columns.map(col => ({ name: col, cards: [] }));
+      const unassigned = [];
+
+      for (const node of selectedNodes) {
+        const cardId = node.getAttr('cardId');
+        const card = cards.find(c => c.id === cardId);
+        if (!card) continue;
+
+        // Find which column this card belongs to
+        let assigned = false;
+        for (let i = 0; i < columns.length; i++) {
+          const colName = columns[i].toLowerCase();
+          if (card.tags?.some(tag => tag.toLowerCase().includes(colName))) {
+            columnGroups[i].cards.push({ node, card });
+            assigned = true;
+            break;
+          }
+        }
+
+        if (!assigned) {
+          unassigned.push({ node, card });
+        }
+      }
+
+      // Arrange cards in columns
+      columnGroups.forEach((group, colIndex) => {
+        const x = colIndex * columnWidth;
+        group.cards.forEach((item, rowIndex) => {
+          const y = rowIndex * (cardHeight + spacing);
+          moveNode(item.node, { x, y });
+        });
+      });
+
+      // Put unassigned cards in a separate area
+      const unassignedX = columns.length * columnWidth + 50;
+      unassigned.forEach((item, index) => {
+        const y = index * (cardHeight + spacing);
+        moveNode(item.node, { x: unassignedX, y });
+      });
+
+      const summary = columnGroups.map((g, i) => `"${g.name}": ${g.cards.length}`).join(', ');
+      return `Arrangerade kort i Kanban-kolumner: ${summary}. ${unassigned.length} kort utan kolumn-tagg. ${PENDING_NOTE}`;
+    },
+
+    arrangeCardsMindMap: async (args) => {
+      const radius = args.radius || 300;
+
+      const selectedNodes = layer.find('.selected');
+      if (selectedNodes.length === 0) {
+        return 'Inga kort är markerade. Markera kort först för att arrangera dem i en mind map.';
+      }
+
+      // Find center card
+      let centerNode;
+      if (args.centerCardId) {
+        [centerNode] = await getCardGroups([args.centerCardId]);
+      }
+      if (!centerNode) {
+        centerNode = selectedNodes[0]; // Use first selected as center
+      }
+
+      // Place center card at origin
+      moveNode(centerNode, { x: 0, y: 0 });
+
+      // Arrange other cards radially around center
+      const otherNodes = selectedNodes.filter(n => n !== centerNode);
+      const angleStep = (2 * Math.PI) / otherNodes.length;
+
+      otherNodes.forEach((node, index) => {
+        const angle = index * angleStep;
+        const x = Math.cos(angle) * radius;
+        const y = Math.sin(angle) * radius;
+        moveNode(node, { x, y });
+      });
+
+      return `Arrangerade ${selectedNodes.length} kort i en radiell mind map-struktur (${otherNodes.length} kort runt centralkort). ${PENDING_NOTE}`;
+    },
+
+    arrangeCardsCluster: async (args) => {
+      console.log('🗂️ arrangeCardsCluster called with args:', args);
+      const method = args.method || 'tags';
+
+      const cards = await getCards();
+
+      // Use selected cards if any, otherwise use all cards
+      const selectedNodes = layer.find('.selected');
+      const nodesToCluster = selectedNodes.length > 0 ? selectedNodes : await getAllCardGroups();
+
+      if (nodesToCluster.length === 0) {
+        console.warn('❌ arrangeCardsCluster: No cards found');
+        return 'Inga kort hittades.';
+      }
+
+      console.log(`🗂️ Clustering ${nodesToCluster.length} cards (${selectedNodes.length > 0 ? 'selected' : 'all'})`);
+
+      if (method === 'tags') {
+        // Group by most common tag
+        const tagGroups = new Map();
+
+        for (const node of nodesToCluster) {
+          const cardId = node.getAttr('cardId');
+          const card = cards.find(c => c.id === cardId);
+          if (!card || !card.tags || card.tags.length === 0) {
+            // Cards without tags go to "no-tag" group
+            if (!tagGroups.has('utan-tagg')) {
+              tagGroups.set('utan-tagg', []);
+            }
+            tagGroups.get('utan-tagg').push({ node, card });
+            continue;
+          }
+
+          // Use first tag as primary cluster
+          const primaryTag = card.tags[0];
+          if (!tagGroups.has(primaryTag)) {
+            tagGroups.set(primaryTag, []);
+          }
+          tagGroups.get(primaryTag).push({ node, card });
+        }
+
+        // Arrange clusters spatially
+        const clusterSpacing = 267;  // Reduced by 1/3 (was 400)
+        const cardSpacing = 13;      // Reduced by 1/3 (was 20)
+        const cardWidth = 200;
+        const cardHeight = 150;
+
+        let clusterIndex = 0;
+        for (const [tag, items] of tagGroups.entries()) {
+          const clusterX = (clusterIndex % 3) * clusterSpacing;
+          const clusterY = Math.floor(clusterIndex / 3) * clusterSpacing;
+
+          // Arrange cards within cluster in a grid
+          items.forEach((item, index) => {
+            const col = index % 3;
+            const row = Math.floor(index / 3);
+            const x = clusterX + col * (cardWidth + cardSpacing);
+            const y = clusterY + row * (cardHeight + cardSpacing);
+            moveNode(item.node, { x, y });
+          });
+
+          clusterIndex++;
+        }
+
+        const clusterSummary = Array.from(tagGroups.entries())
+          .map(([tag, items]) => `"${tag}": ${items.length}`)
+          .join(', ');
+        return `Skapade ${tagGroups.size} kluster baserat på tags: ${clusterSummary}. ${PENDING_NOTE}`;
+      } else if (method === 'smart' || method === 'ai' || method === 'content') {
+        console.log('🧠 Smart clustering by content similarity');
+
+        // Group cards by exact text match (for duplicates)
+        const contentGroups = new Map();
+
+        for (const node of nodesToCluster) {
+          const cardId = node.getAttr('cardId');
+          const card = cards.find(c => c.id === cardId);
+
+          if (!card || !card.text) {
+            // Cards without text go to "no-text" group
+            if (!contentGroups.has('__no_text__')) {
+              contentGroups.set('__no_text__', []);
+            }
+            contentGroups.get('__no_text__').push({ node, card });
+            continue;
+          }
+
+          // Normalize text for comparison (trim and lowercase)
+          const normalizedText = card.text.trim().toLowerCase();
+
+          // Find or create group for this content
+          if (!contentGroups.has(normalizedText)) {
+            contentGroups.set(normalizedText, []);
+          }
+          contentGroups.get(normalizedText).push({ node, card });
+        }
+
+        // Arrange clusters spatially
+        const clusterSpacing = 267;
+        const cardSpacing = 13;
+        const cardWidth = 200;
+        const cardHeight = 150;
+
+        let clusterIndex = 0;
+        const duplicateGroups = [];
+
+        // Sort groups: duplicates first (largest groups first), then single cards
+        const sortedGroups = Array.from(contentGroups.entries()).sort((a, b) => {
+          const [contentA, itemsA] = a;
+          const [contentB, itemsB] = b;
+
+          // Prioritize groups with multiple items
+          if (itemsA.length > 1 && itemsB.length === 1) return -1;
+          if (itemsA.length === 1 && itemsB.length > 1) return 1;
+
+          // Within duplicate groups, larger groups first
+          if (itemsA.length > 1 && itemsB.length > 1) {
+            return itemsB.length - itemsA.length;
+          }
+
+          return 0;
+        });
+
+        for (const [content, items] of sortedGroups) {
+          if (items.length > 1) {
+            duplicateGroups.push({ content: content.substring(0, 50), count: items.length });
+          }
+
+          const clusterX = (clusterIndex % 3) * clusterSpacing;
+          const clusterY = Math.floor(clusterIndex / 3) * clusterSpacing;
+
+          // Arrange cards within cluster in a grid
+          items.forEach((item, index) => {
+            const col = index % 3;
+            const row = Math.floor(index / 3);
+            const x = clusterX + col * (cardWidth + cardSpacing);
+            const y = clusterY + row * (cardHeight + cardSpacing);
+            moveNode(item.node, { x, y });
+          });
+
+          clusterIndex++;
+        }
+
+        if (duplicateGroups.length > 0) {
+          const totalDuplicates = duplicateGroups.reduce((sum, g) => sum + g.count, 0);
+          console.log(`✅ Smart clustering complete: ${duplicateGroups.length} duplicate groups, ${totalDuplicates} total duplicate cards`);
+          return `Arrangerade ${nodesToCluster.length} kort. Hittade ${duplicateGroups.length} grupper av dubbletter (totalt ${totalDuplicates} dubbletter). Dubbletter arrangerade först i grids, sedan unika kort. ${PENDING_NOTE}`;
+        } else {
+          console.log(`✅ Smart clustering complete: No duplicates found, arranged ${nodesToCluster.length} cards`);
+          return `Arrangerade ${nodesToCluster.length} kort. Inga dubbletter hittades. ${PENDING_NOTE}`;
+        }
+      } else {
+        return `Okänd klustermetod: ${method}. Använd "tags", "smart", "ai", eller "content".`;
+      }
+    },
+    selectCards: async (args) => {
+      console.log('🎯 selectCards called with args:', args);
+      const { cardIds } = args;
+
+      if (!cardIds || cardIds.length === 0) {
+        console.warn('❌ selectCards: No cardIds provided');
+        return 'Inga kort-ID:n angavs.';
+      }
+
+      const cardIdSet = new Set(cardIds);
+
+      // Culled targets are rendered first; the other culled cards are off screen
+      await getCardGroups(cardIds);
+
+      // Process all cards: selected cards get full opacity, others get faded
+      layer.getChildren(node => node.getAttr('cardId')).forEach(node => {
+        const cardId = node.getAttr('cardId');
+        const isSelected = cardIdSet.has(cardId);
+        const bg = node.findOne('Rect');
+
+        if (isSelected) {
+          // Selected card: full opacity, blue border
+          node.opacity(1);
+          node.addName('selected');
+          if (bg) {
+            bg.stroke('#2196F3');
+            bg.strokeWidth(3);
+          }
+        } else {
+          // Non-selected card: faded, gray border
+          node.opacity(0.3);
+          node.removeName('selected');
+          if (bg) {
+            bg.stroke('#e0e0e0');
+            bg.strokeWidth(1);
+          }
+        }
+      });
+
+      layer.batchDraw();
+      console.log(`✅ selectCards: Selected ${cardIds.length} cards, faded others`);
+      return `✅ Markerade ${cardIds.length} kort (ljusa). Andra kort tonade (genomskinliga). Tryck Escape för att återställa alla kort.`;
+    },
+    addTagsToCards: async (args) => {
+      console.log('🏷️ addTagsToCards called with args:', args);
+      const { cardIds, tags } = args;
+
+      if (!cardIds || cardIds.length === 0) {
+        console.warn('❌ addTagsToCards: No cardIds provided');
+        return 'Inga kort-ID:n angavs.';
+      }
+      if (!tags || tags.length === 0) {
+        console.warn('❌ addTagsToCards: No tags provided');
+        return 'Inga taggar angavs.';
+      }
+
+      const cards = await getCards();
+      let updatedCount = 0;
+
+      for (const cardId of cardIds) {
+        const card = cards.find(c => c.id === cardId);
+        if (card) {
+          const existingTags = card.tags || [];
+          const newTags = [...new Set([...existingTags, ...tags])]; // Merge and deduplicate
+
+          if (newTags.length > existingTags.length) {
+            console.log(`🏷️ Adding tags to card ${cardId}:`, existingTags, '→', newTags);
+            changeset.setTags(cardId, newTags);
+            updatedCount++;
+          } else {
+            console.log(`ℹ️ Card ${cardId} already has all tags`);
+          }
+        } else {
+          console.warn(`⚠️ Card ${cardId} not found in database`);
+        }
+      }
+
+      console.log(`✅ addTagsToCards: Updated ${updatedCount} cards`);
+      return `Lade till taggar [${tags.join(', ')}] på ${updatedCount} kort. ${PENDING_NOTE}`;
+    },
+    removeTagsFromCards: async (args) => {
+      const { cardIds, tags } = args;
+
+      if (!cardIds || cardIds.length === 0) {
+        return 'Inga kort-ID:n angavs.';
+      }
+      if (!tags || tags.length === 0) {
+        return 'Inga taggar angavs.';
+      }
+
+      const cards = await getCards();
+      let updatedCount = 0;
+
+      for (const cardId of cardIds) {
+        const card = cards.find(c => c.id === cardId);
+        if (card && card.tags) {
+          const newTags = card.tags.filter(t => !tags.includes(t));
+
+          if (newTags.length < card.tags.length) {
+            changeset.setTags(cardId, newTags);
+            updatedCount++;
+          }
+        }
+      }
+
+      return `Tog bort taggar [${tags.join(', ')}] från ${updatedCount} kort. ${PENDING_NOTE}`;
+    },
+
+    updateCards: async (args) => {
+      const { updates } = args;
+      console.log('🔄 updateCards called with:', updates);
+
+      if (!updates || updates.length === 0) {
+        return 'Inga uppdateringar angavs.';
+      }
+
+      const cards = await getCards();
+      const cardIds = new Set(cards.map(c => c.id));
+      let updatedCount = 0;
+      const errors = [];
+
+      for (const update of updates) {
+        const { id, x, y, color, tags, links, removeLinks } = update;
+
+        // Find the card
+        const card = cards.find(c => c.id === id);
+        if (!card) {
+          errors.push(`Kort ${id} hittades inte`);
+          continue;
+        }
+
+        // Only provided fields change
+        if (x !== undefined || y !== undefined) {
+          changeset.setPosition(id, {
+            x: x !== undefined ? x : card.position?.x || 0,
+            y: y !== undefined ? y : card.position?.y || 0
+          });
+        }
+        if (color !== undefined) changeset.setColor(id, color);
+        if (tags !== undefined) changeset.setTags(id, tags);
+
+        for (const link of links || []) {
+          if (!cardIds.has(link.to)) {
+            errors.push(`Kort ${link.to} att koppla till hittades inte`);
+            continue;
+          }
+          if (link.to === id) {
+            errors.push('Ett kort kan inte kopplas till sig självt');
+            continue;
+          }
+          changeset.addLink({
+            fromCardId: id,
+            toCardId: link.to,
+            directed: link.directed !== false,
+            label: link.label || ''
+          });
+        }
+
+        for (const otherId of removeLinks || []) {
+          changeset.removeLink(id, otherId);
+        }
+
+        updatedCount++;
+      }
+
+      if (errors.length > 0) {
+        return `Uppdaterade ${updatedCount} kort. Fel: ${errors.join(', ')}. ${PENDING_NOTE}`;
+      }
+      return `Uppdaterade ${updatedCount} kort. ${PENDING_NOTE}`;
+    },
+
+    getCanvasInfo: async () => {
+      const stageWidth = stage.width();
+      const stageHeight = stage.height();
+      const cards = await getCards();
+
+      // Calculate canvas bounds from existing cards
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      cards.forEach(card => {
+        if (card.x < minX) minX = card.x;
+        if (card.y < minY) minY = card.y;
+        if (card.x + 200 > maxX) maxX = card.x + 200;
+        if (card.y + 150 > maxY) maxY = card.y + 150;
+      });
+
+      return {
+        viewport: {
+          width: stageWidth,
+          height: stageHeight
+        },
+        cardDimensions: {
+          width: 200,
+          height: 150,
+          description: "Standardstorlek för alla kort"
+        },
+        spacing: {
+          sameGroup: "13-20px",
+          differentGroups: "200-300px",
+          description: "13-20px spacing indikerar samma grupp/kategori, 200-300px indikerar olika grupper"
+        },
+        currentBounds: {
+          minX: minX === Infinity ? 0 : minX,
+          minY: minY === Infinity ? 0 : minY,
+          maxX: maxX === -Infinity ? stageWidth : maxX,
+          maxY: maxY === -Infinity ? stageHeight : maxY,
+          usedWidth: maxX === -Infinity ? 0 : maxX - minX,
+          usedHeight: maxY === -Infinity ? 0 : maxY - minY
+        },
+        totalCards: cards.length,
+        tips: [
+          "Använd updateCards() för att flytta flera kort samtidigt",
+          "Tänk på att kort är 200×150px när du beräknar positioner",
+          "Lämna minst 13-20px mellan kort i samma grupp",
+          "Lämna 200-300px mellan olika grupper",
+          "Meta-taggar (#zotero, #gemini, #calendar, #ocr) ska alltid räknas med i analys"
+        ]
+      };
+    }
+  };
+}
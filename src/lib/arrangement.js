@@ -263,3 +263,40 @@ export function arrangeGridTopAligned(cards, centerPos) {
 
   return positions;
 }
+
+/**
+ * Order cards so that connected cards follow each other
+ * Walks connector chains from their start cards; unconnected cards keep their order.
+ * @param {Array} cards - Cards with id
+ * @param {Array} connectors - Connectors with fromCardId/toCardId
+ */
+export function orderByConnectors(cards, connectors) {
+  const ids = new Set(cards.map(card => card.id));
+  const links = connectors.filter(c => ids.has(c.fromCardId) && ids.has(c.toCardId));
+  if (links.length === 0) return cards;
+
+  const outgoing = new Map();
+  const hasIncoming = new Set();
+  links.forEach(link => {
+    if (!outgoing.has(link.fromCardId)) outgoing.set(link.fromCardId, []);
+    outgoing.get(link.fromCardId).push(link.toCardId);
+    hasIncoming.add(link.toCardId);
+  });
+
+  const byId = new Map(cards.map(card => [card.id, card]));
+  const visited = new Set();
+  const ordered = [];
+
+  const visit = (id) => {
+    if (visited.has(id)) return;
+    visited.add(id);
+    ordered.push(byId.get(id));
+    (outgoing.get(id) || []).forEach(visit);
+  };
+
+  // Chain starts first, then anything left (cycles, unconnected cards)
+  cards.filter(card => !hasIncoming.has(card.id)).forEach(card => visit(card.id));
+  cards.forEach(card => visit(card.id));
+
+  return ordered;
+}
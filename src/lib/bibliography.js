@@ -0,0 +1,185 @@
+/**
+ * Bibliographies from card citations
+ * Cards imported from Zotero carry card.citation = { uri, type, title, authors,
+ * year, url, csl, locator, ... } (see zotero-rdf.js). The full CSL-JSON item is
+ * used when present; otherwise the entry is built from the short fields.
+ */
+
+const BIBTEX_TYPES = {
+  'book': 'book',
+  'article-journal': 'article',
+  'article-magazine': 'article',
+  'article-newspaper': 'article',
+  'chapter': 'incollection',
+  'paper-conference': 'inproceedings',
+  'report': 'techreport',
+  'thesis': 'phdthesis',
+  'webpage': 'online'
+};
+
+/**
+ * Distinct sources behind the cards, in the order they first appear
+ * @returns {Array} Citations without the per-card locator
+ */
+export function collectSources(cards) {
+  const sources = new Map();
+  cards.forEach(card => {
+    const citation = card.citation;
+    if (!citation) return;
+
+    const id = citation.uri || `${citation.title}|${citation.year}`;
+    if (sources.has(id)) return;
+
+    const { locator, pageLabel, annotationKey, ...source } = citation;
+    sources.set(id, source);
+  });
+  return Array.from(sources.values());
+}
+
+/**
+ * CSL-JSON item for a source (Zotero's own item when available)
+ */
+function toCslItem(source) {
+  if (source.csl) return { ...source.csl };
+
+  const item = {
+    id: source.uri || source.title,
+    type: source.type || 'document',
+    title: source.title,
+    author: source.authors
+  };
+  if (source.year) item.issued = { 'date-parts': [[Number(source.year)]] };
+  if (source.url) item.URL = source.url;
+  return item;
+}
+
+function getYear(item) {
+  const year = item.issued?.['date-parts']?.[0]?.[0];
+  return year ? String(year) : '';
+}
+
+/**
+ * Plain lowercase ASCII, so "Åsa" and "Holst" work in citation keys
+ */
+function toKeyPart(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Citation keys like "karlssonholst2022matematikundervisning", unique within the export
+ */
+function createCitationKeys(items) {
+  const used = new Map();
+  return items.map(item => {
+    const family = item.author?.[0]?.family || item.author?.[0]?.literal || 'okand';
+    const firstWord = (item.title || '').split(/\s+/).find(word => toKeyPart(word).length > 3) || '';
+    const base = `${toKeyPart(family)}${getYear(item)}${toKeyPart(firstWord)}` || 'kalla';
+
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    // Same key twice gets a, b, c... like BibTeX styles do
+    return count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`;
+  });
+}
+
+/**
+ * @returns {string} CSL-JSON (works in Zotero, Pandoc, Citation Style Language tools)
+ */
+export function toCslJson(sources) {
+  const items = sources.map(toCslItem);
+  const keys = createCitationKeys(items);
+  return JSON.stringify(items.map((item, index) => ({ ...item, id: keys[index] })), null, 2);
+}
+
+// biblatex reads these verbatim, so a backslash would end up in the link
+const VERBATIM_BIBTEX_FIELDS = new Set(['url', 'doi', 'eprint', 'file']);
+
+function escapeBibTeX(value) {
+  return String(value).replace(/([{}&%$#_])/g, '\\$1');
+}
+
+function formatBibTeXAuthors(authors = []) {
+  return authors
+    .map(author => author.literal || [author.family, author.given].filter(Boolean).join(', '))
+    .join(' and ');
+}
+
+/**
+ * @returns {string} BibTeX entries (UTF-8, for biblatex/biber)
+ */
+export function toBibTeX(sources) {
+  const items = sources.map(toCslItem);
+  const keys = createCitationKeys(items);
+
+  return items.map((item, index) => {
+    const type = BIBTEX_TYPES[item.type] || 'misc';
+    const fields = [
+      ['author', formatBibTeXAuthors(item.author)],
+      ['editor', formatBibTeXAuthors(item.editor)],
+      ['title', item.title],
+      ['year', getYear(item)],
+      [type === 'article' ? 'journal' : 'booktitle', type === 'article' || type === 'incollection' || type === 'inproceedings' ? item['container-title'] : ''],
+      ['publisher', item.publisher],
+      ['address', item['publisher-place']],
+      ['volume', item.volume],
+      ['number', item.issue],
+      ['pages', item.page],
+      ['doi', item.DOI],
+      ['isbn', item.ISBN],
+      ['url', item.URL],
+      ['langid', item.language]
+    ].filter(([, value]) => value);
+
+    const body = fields
+      .map(([name, value]) => `  ${name} = {${VERBATIM_BIBTEX_FIELDS.has(name) ? value : escapeBibTeX(value)}}`)
+      .join(',\n');
+    return `@${type}{${keys[index]},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+function formatInitials(given) {
+  return given.split(/[\s-]+/).filter(Boolean).map(name => `${name[0]}.`).join(' ');
+}
+
+/**
+ * Reference list entry in APA style, e.g.
+ * "Karlsson Holst, H., & Nilsson, Å. (2022). *Matematikundervisning i förskoleklass*. https://..."
+ */
+export function formatReference(source) {
+  const item = toCslItem(source);
+  const authors = (item.author || []).map(author =>
+    author.literal || [author.family, author.given && formatInitials(author.given)].filter(Boolean).join(', ')
+  );
+  let authorText = authors.join(', ');
+  if (authors.length > 1) {
+    authorText = `${authors.slice(0, -1).join(', ')}, & ${authors[authors.length - 1]}`;
+  }
+
+  const container = item['container-title'];
+  const parts = [
+    authorText,
+    `(${getYear(item) || 'u.å.'}).`,
+    container ? `${item.title}.` : `*${item.title || 'Okänd källa'}*.`,
+    container ? `*${container}*.` : '',
+    item.publisher && !container ? `${item.publisher}.` : '',
+    item.DOI ? `https://doi.org/${item.DOI}` : (item.URL || '')
+  ];
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * In-text citation with page, e.g. "(Karlsson Holst & Nilsson, 2022, s. 2)"
+ */
+export function formatInTextCitation(citation) {
+  const families = (citation.authors || []).map(author => author.family).filter(Boolean);
+  let authors = families.join(' & ');
+  if (families.length > 2) authors = `${families[0]} m.fl.`;
+
+  const parts = [authors || citation.title, citation.year || 'u.å.'];
+  if (citation.locator) parts.push(`s. ${citation.locator}`);
+  return `(${parts.join(', ')})`;
+}
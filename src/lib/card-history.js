@@ -0,0 +1,104 @@
+/**
+ * Card version history
+ * Rebuilt from the `changelog` table: a 'create' entry holds the full card and
+ * each 'update' entry holds only the changed fields, so versions are replayed
+ * oldest first. Fields never seen in the log are unknown (undefined).
+ */
+
+import { db } from './storage.js';
+
+export const HISTORY_FIELDS = ['text', 'backText', 'tags', 'cardColor', 'position'];
+
+/**
+ * Tracked fields of a card or changelog payload
+ */
+export function pickHistoryFields(data) {
+  const picked = {};
+  HISTORY_FIELDS.forEach(field => {
+    if (data && field in data) picked[field] = data[field];
+  });
+  return picked;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Fields whose value differs between two versions
+ */
+export function changedFields(from, to) {
+  return HISTORY_FIELDS.filter(field => field in to && !sameValue(from[field], to[field]));
+}
+
+/**
+ * Versions of a card, newest first
+ * Entries that don't touch a tracked field are skipped.
+ * @returns {Promise<Array>} [{ timestamp, operation, fields, changed }]
+ */
+export async function getCardHistory(cardId) {
+  const entries = await db.changelog.where('cardId').equals(cardId).sortBy('timestamp');
+
+  const versions = [];
+  let state = {};
+
+  entries.forEach(entry => {
+    if (entry.operation === 'delete') return;
+
+    const updates = pickHistoryFields(entry.data);
+    const changed = changedFields(state, updates);
+    if (changed.length === 0 && entry.operation !== 'create') return;
+
+    state = { ...state, ...updates };
+    versions.push({
+      timestamp: entry.timestamp,
+      operation: entry.operation,
+      fields: { ...state },
+      changed
+    });
+  });
+
+  return versions.reverse();
+}
+
+/**
+ * Word-level diff of two texts
+ * @returns {Array} [{ type: 'same' | 'added' | 'removed', value }]
+ */
+export function diffWords(oldText, newText) {
+  const a = (oldText || '').split(/(\s+)/).filter(Boolean);
+  const b = (newText || '').split(/(\s+)/).filter(Boolean);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.value += value;
+    else parts.push({ type, value });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
@@ -2,6 +2,7 @@
 
 import { updateCard, getAllCards } from './storage.js';
 import { reloadCanvas } from './canvas.js';
+import { toClaudeTools } from './ai-tools.js';
 
 /**
  * Prompts the user for their Anthropic API key and saves it to localStorage.
@@ -123,7 +124,7 @@ function showClaudeAPIKeyDialog() {
  * Gets the Anthropic API key from localStorage or prompts the user for it.
  * @returns {Promise<string|null>}
  */
-async function getAnthropicAPIKey() {
+export async function getAnthropicAPIKey() {
     let apiKey = localStorage.getItem('anthropicApiKey');
     if (!apiKey) {
         apiKey = await showClaudeAPIKeyDialog();
@@ -132,30 +133,21 @@ async function getAnthropicAPIKey() {
 }
 
 /**
- * Converts Gemini tool format to Claude tool format
- * @param {Array} geminiTools - Tools in Gemini format [{functionDeclarations: [...]}]
- * @returns {Array} Tools in Claude format
+ * Claude is called through a proxy to avoid CORS issues
+ * Auto-detect: localhost proxy for dev, Vercel function for production
+ * @returns {string}
  */
-function convertGeminiToolsToClaude(geminiTools) {
-    if (!geminiTools || geminiTools.length === 0) return [];
-
-    const declarations = geminiTools[0]?.functionDeclarations || [];
-
-    return declarations.map(tool => ({
-        name: tool.name,
-        description: tool.description,
-        input_schema: {
-            type: 'object',
-            properties: tool.parameters?.properties || {},
-            required: tool.parameters?.required || []
-        }
-    }));
+export function getClaudeApiUrl() {
+    const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+    return isLocalhost
+        ? 'http://localhost:3100/api/anthropic/messages'
+        : '/api/claude';
 }
 
 /**
  * Sends a prompt to Claude AI with function calling support
  * @param {string} userMessage - The user's message
- * @param {Array} tools - Array of tool definitions (Gemini format [{functionDeclarations: [...]}])
+ * @param {Array} tools - Tool definitions (AI_TOOL_DEFINITIONS format)
  * @param {Object} toolRegistry - Object with tool implementations
  * @param {Array} conversationHistory - Array of previous messages
  * @param {string} systemInstruction - System prompt
@@ -167,8 +159,7 @@ export async function sendClaudePrompt(userMessage, tools, toolRegistry, convers
         throw new Error('No API key provided');
     }
 
-    // Convert tools from Gemini format to Claude format
-    const claudeTools = convertGeminiToolsToClaude(tools);
+    const claudeTools = toClaudeTools(tools);
 
     // Build messages array
     const messages = [
@@ -200,12 +191,7 @@ export async function sendClaudePrompt(userMessage, tools, toolRegistry, convers
 
         console.log('🤖 Sending to Claude:', payload);
 
-        // Use proxy server to avoid CORS issues
-        // Auto-detect: localhost proxy for dev, Vercel function for production
-        const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-        const apiUrl = isLocalhost
-            ? 'http://localhost:3100/api/anthropic/messages'
-            : '/api/claude';
+        const apiUrl = getClaudeApiUrl();
 
         const apiResponse = await fetch(apiUrl, {
             method: 'POST',
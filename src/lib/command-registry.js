@@ -44,6 +44,69 @@ const commandDefinitions = new Map([
     icon: '🎨',
     contexts: ['global']
   }],
+  ['switch-board', {
+    id: 'switch-board',
+    name: 'Byt tavla',
+    description: 'Visa tavlor och byt aktiv tavla',
+    keyBinding: 'T',
+    category: 'Navigation',
+    icon: '🗂️',
+    contexts: ['global']
+  }],
+  ['new-board', {
+    id: 'new-board',
+    name: 'Ny tavla',
+    description: 'Skapa en ny namngiven tavla',
+    keyBinding: null,
+    category: 'Skapa',
+    icon: '➕🗂️',
+    contexts: ['global']
+  }],
+  ['show-trash', {
+    id: 'show-trash',
+    name: 'Papperskorg',
+    description: 'Visa borttagna kort, återställ eller radera permanent',
+    keyBinding: null,
+    category: 'Redigera',
+    icon: '🗑️',
+    contexts: ['global']
+  }],
+  ['toggle-search-mode', {
+    id: 'toggle-search-mode',
+    name: 'Växla sökläge',
+    description: 'Växla mellan exakt sökning och ungefärlig sökning som tål stavfel',
+    keyBinding: null,
+    category: 'Navigation',
+    icon: '≈',
+    contexts: ['board', 'column']
+  }],
+  ['save-search', {
+    id: 'save-search',
+    name: 'Spara sökning',
+    description: 'Spara sökfältets fråga med ett namn',
+    keyBinding: null,
+    category: 'Navigation',
+    icon: '💾🔎',
+    contexts: ['board', 'column']
+  }],
+  ['manage-saved-searches', {
+    id: 'manage-saved-searches',
+    name: 'Sparade sökningar',
+    description: 'Kör, fäst som smart samling eller ta bort sparade sökningar',
+    keyBinding: null,
+    category: 'Navigation',
+    icon: '🔎',
+    contexts: ['board', 'column']
+  }],
+  ['toggle-minimap', {
+    id: 'toggle-minimap',
+    name: 'Visa/dölj minikarta',
+    description: 'Minikarta i hörnet med alla kort och aktuell vy',
+    keyBinding: null,
+    category: 'Navigation',
+    icon: '🗺️',
+    contexts: ['board']
+  }],
   ['fit-all-cards', {
     id: 'fit-all-cards',
     name: 'Passa alla kort',
@@ -53,6 +116,15 @@ const commandDefinitions = new Map([
     icon: '⛶',
     contexts: ['board']
   }],
+  ['toggle-ink-mode', {
+    id: 'toggle-ink-mode',
+    name: 'Pennläge',
+    description: 'Rita för hand med penna, mus eller finger på tavlan eller i ett kort',
+    keyBinding: 'D',
+    category: 'Skapa',
+    icon: '✏️',
+    contexts: ['board']
+  }],
   ['new-text-card', {
     id: 'new-text-card',
     name: 'Nytt text-kort',
@@ -83,12 +155,30 @@ const commandDefinitions = new Map([
   ['read-with-ai', {
     id: 'read-with-ai',
     name: 'Läs med AI',
-    description: 'OCR-läs markerade bildkort med Gemini AI',
+    description: 'OCR-läs markerade bildkort med vald OCR-motor (via kö med omförsök)',
     keyBinding: 'R',
     category: 'AI',
     icon: '✨',
     contexts: ['board']
   }],
+  ['show-ocr-queue', {
+    id: 'show-ocr-queue',
+    name: 'Visa OCR-kö',
+    description: 'Kort som väntar på AI-läsning och kort som misslyckades',
+    keyBinding: null,
+    category: 'AI',
+    icon: '📋',
+    contexts: ['board']
+  }],
+  ['choose-ocr-provider', {
+    id: 'choose-ocr-provider',
+    name: 'Välj OCR-motor',
+    description: 'Läs bilder med Gemini, Claude, ChatGPT eller lokalt utan moln',
+    keyBinding: null,
+    category: 'AI',
+    icon: '🔍',
+    contexts: ['board']
+  }],
   ['ask-ai', {
     id: 'ask-ai',
     name: 'Fråga AI',
@@ -110,12 +200,57 @@ const commandDefinitions = new Map([
   ['export-readable', {
     id: 'export-readable',
     name: 'Exportera till text',
-    description: 'Exportera till HTML/Markdown/TXT',
+    description: 'Exportera till HTML/Markdown/TXT/CSV eller bibliografi',
     keyBinding: 'E',
     category: 'Filer',
     icon: '📄',
     contexts: ['board']
   }],
+  ['export-markdown-vault', {
+    id: 'export-markdown-vault',
+    name: 'Exportera Markdown-valv',
+    description: 'En Markdown-fil per kort med front matter och bilder, för Obsidian (zip)',
+    keyBinding: null,
+    category: 'Filer',
+    icon: '🗂️',
+    contexts: ['board']
+  }],
+  ['import-markdown-vault', {
+    id: 'import-markdown-vault',
+    name: 'Importera Markdown-valv',
+    description: 'Importera valv-zip eller .md-filer; kort med samma uniqueId uppdateras',
+    keyBinding: null,
+    category: 'Filer',
+    icon: '🗂️',
+    contexts: ['board']
+  }],
+  ['export-json-canvas', {
+    id: 'export-json-canvas',
+    name: 'Exportera JSON Canvas',
+    description: 'Tavlan som .canvas-fil (Obsidian): kort, ramar och kopplingar',
+    keyBinding: null,
+    category: 'Filer',
+    icon: '🧩',
+    contexts: ['board']
+  }],
+  ['import-json-canvas', {
+    id: 'import-json-canvas',
+    name: 'Importera JSON Canvas',
+    description: 'Importera en .canvas-fil till en ny tavla',
+    keyBinding: null,
+    category: 'Filer',
+    icon: '🧩',
+    contexts: ['board']
+  }],
+  ['import-spreadsheet', {
+    id: 'import-spreadsheet',
+    name: 'Importera kalkylark',
+    description: 'Skapa kort från CSV eller Excel (XLSX) med val av kolumner',
+    keyBinding: null,
+    category: 'Filer',
+    icon: '📊',
+    contexts: ['board']
+  }],
   ['import-canvas', {
     id: 'import-canvas',
     name: 'Importera',
@@ -152,6 +287,24 @@ const commandDefinitions = new Map([
     icon: '📥',
     contexts: ['board']
   }],
+  ['export-delta', {
+    id: 'export-delta',
+    name: 'Exportera ändringar (delta)',
+    description: 'Ladda ner ändringar sedan senaste synk',
+    keyBinding: null,
+    category: 'Filer',
+    icon: '📤',
+    contexts: ['global']
+  }],
+  ['import-delta', {
+    id: 'import-delta',
+    name: 'Importera ändringar (delta)',
+    description: 'Slå ihop ändringar från en annan enhet och lös konflikter',
+    keyBinding: null,
+    category: 'Filer',
+    icon: '🔀',
+    contexts: ['global']
+  }],
   ['drive-sync', {
     id: 'drive-sync',
     name: 'Synka Google Drive',
@@ -179,6 +332,15 @@ const commandDefinitions = new Map([
     icon: '📚',
     contexts: ['board']
   }],
+  ['import-zotero-rdf', {
+    id: 'import-zotero-rdf',
+    name: 'Importera Zotero RDF',
+    description: 'Importera annoteringar med källhänvisningar, en ram per källa',
+    keyBinding: null,
+    category: 'Skapa',
+    icon: '📚',
+    contexts: ['board']
+  }],
   ['create-multiple-cards', {
     id: 'create-multiple-cards',
     name: 'Skapa flera kort',
@@ -251,6 +413,15 @@ const commandDefinitions = new Map([
     icon: '☑',
     contexts: ['board']
   }],
+  ['create-frame', {
+    id: 'create-frame',
+    name: 'Ny ram',
+    description: 'Skapa en namngiven ram runt markerade kort (eller mitt i vyn)',
+    keyBinding: null,
+    category: 'Skapa',
+    icon: '🖼️',
+    contexts: ['board']
+  }],
   ['arrange-vertical', {
     id: 'arrange-vertical',
     name: 'Arrangera vertikalt',
@@ -0,0 +1,123 @@
+/**
+ * Connectors (links) between cards
+ * Stored per board in the `connectors` table of SpatialViewDB.
+ * A connector is { id, boardId, fromCardId, toCardId, directed, label, created, modified }.
+ */
+
+import { db, getActiveBoardId } from './storage.js';
+
+/**
+ * Get all connectors on the active board
+ */
+export async function getConnectors() {
+  return await db.connectors.where('boardId').equals(getActiveBoardId()).toArray();
+}
+
+/**
+ * Get connectors touching a card (either end)
+ */
+export async function getConnectorsForCard(cardId) {
+  const outgoing = await db.connectors.where('fromCardId').equals(cardId).toArray();
+  const incoming = await db.connectors.where('toCardId').equals(cardId).toArray();
+  return [...outgoing, ...incoming];
+}
+
+/**
+ * Create connector between two cards
+ * An existing connector between the same cards is updated instead of duplicated.
+ */
+export async function createConnector({ fromCardId, toCardId, directed = true, label = '' }) {
+  if (fromCardId === toCardId) {
+    throw new Error('Ett kort kan inte kopplas till sig självt');
+  }
+
+  const existing = await findConnector(fromCardId, toCardId);
+  if (existing) {
+    await updateConnector(existing.id, { directed, label });
+    return existing.id;
+  }
+
+  const now = Date.now();
+  return await db.connectors.add({
+    boardId: getActiveBoardId(),
+    fromCardId,
+    toCardId,
+    directed,
+    label,
+    created: now,
+    modified: now
+  });
+}
+
+/**
+ * Find connector between two cards in either direction
+ */
+export async function findConnector(cardA, cardB) {
+  const connectors = await db.connectors.where('fromCardId').anyOf(cardA, cardB).toArray();
+  return connectors.find(c =>
+    (c.fromCardId === cardA && c.toCardId === cardB) ||
+    (c.fromCardId === cardB && c.toCardId === cardA)
+  ) || null;
+}
+
+/**
+ * Update connector
+ */
+export async function updateConnector(id, updates) {
+  await db.connectors.update(id, { ...updates, modified: Date.now() });
+}
+
+/**
+ * Delete connector
+ */
+export async function deleteConnector(id) {
+  await db.connectors.delete(id);
+}
+
+/**
+ * Outgoing links per card, in the shape the AI tools use
+ * @returns {Map} cardId -> [{ to, label, directed }]
+ */
+export function groupLinksByCard(connectors) {
+  const linksByCard = new Map();
+  connectors.forEach(c => {
+    if (!linksByCard.has(c.fromCardId)) linksByCard.set(c.fromCardId, []);
+    linksByCard.get(c.fromCardId).push({ to: c.toCardId, label: c.label || '', directed: c.directed !== false });
+  });
+  return linksByCard;
+}
+
+/**
+ * Compute arrow endpoints on the edges of two card boxes
+ * @param {Object} from - {x, y, width, height}
+ * @param {Object} to - {x, y, width, height}
+ * @returns {Array} [x1, y1, x2, y2]
+ */
+export function getConnectorPoints(from, to) {
+  const fromCenter = { x: from.x + from.width / 2, y: from.y + from.height / 2 };
+  const toCenter = { x: to.x + to.width / 2, y: to.y + to.height / 2 };
+
+  const start = clipToBox(fromCenter, toCenter, from);
+  const end = clipToBox(toCenter, fromCenter, to);
+
+  return [start.x, start.y, end.x, end.y];
+}
+
+/**
+ * Point where the line from center towards target leaves the box
+ */
+function clipToBox(center, target, box) {
+  const dx = target.x - center.x;
+  const dy = target.y - center.y;
+  if (dx === 0 && dy === 0) return center;
+
+  const halfWidth = box.width / 2;
+  const halfHeight = box.height / 2;
+  const scale = Math.min(
+    1,
+    dx !== 0 ? halfWidth / Math.abs(dx) : Infinity,
+    dy !== 0 ? halfHeight / Math.abs(dy) : Infinity
+  );
+
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
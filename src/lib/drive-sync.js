@@ -642,16 +642,26 @@ export async function syncWithDrive(options = {}) {
     }
 
     // Step 2: Create and upload current backup
-    const { getAllCards } = await import('./storage.js');
+    const { getAllCards, getAllBoards, db } = await import('./storage.js');
     const JSZip = (await import('jszip')).default;
 
     console.log('Creating backup for Drive sync...');
     const zip = new JSZip();
 
-    const cards = await getAllCards();
+    const cards = await getAllCards({ allBoards: true });
+    const boards = await getAllBoards();
+    const connectors = await db.connectors.toArray();
+    const frames = await db.frames.toArray();
+    const savedSearches = await db.savedSearches.toArray();
+    const strokes = await db.strokes.toArray();
     const jsonData = {
       version: '1.0',
       exportDate: new Date().toISOString(),
+      boards: boards,
+      connectors: connectors,
+      frames: frames,
+      savedSearches: savedSearches,
+      strokes: strokes,
       cards: cards
     };
 
@@ -0,0 +1,92 @@
+/**
+ * Frames (named sections) on a board
+ * Stored per board in the `frames` table of SpatialViewDB.
+ * A frame is { id, boardId, name, x, y, width, height, collapsed, created, modified }.
+ * Cards belong to a frame through card.frameId.
+ */
+
+import { db, getActiveBoardId } from './storage.js';
+
+export const DEFAULT_FRAME_NAME = 'Ny ram';
+
+/**
+ * Get all frames on the active board
+ */
+export async function getFrames() {
+  return await db.frames.where('boardId').equals(getActiveBoardId()).toArray();
+}
+
+/**
+ * Create frame
+ */
+export async function createFrame({ name = DEFAULT_FRAME_NAME, x, y, width = 600, height = 400 }) {
+  const now = Date.now();
+  return await db.frames.add({
+    boardId: getActiveBoardId(),
+    name: name.trim() || DEFAULT_FRAME_NAME,
+    x,
+    y,
+    width,
+    height,
+    collapsed: false,
+    created: now,
+    modified: now
+  });
+}
+
+/**
+ * Update frame
+ */
+export async function updateFrame(id, updates) {
+  await db.frames.update(id, { ...updates, modified: Date.now() });
+}
+
+/**
+ * Delete frame - its cards stay on the board without frame
+ */
+export async function deleteFrame(id) {
+  await db.cards.filter(card => card.frameId === id).modify({ frameId: null });
+  await db.frames.delete(id);
+}
+
+/**
+ * Innermost expanded frame containing the center of a box
+ * @param {Array} frames - Frames to search
+ * @param {Object} box - {x, y, width, height}
+ * @returns {number|null} Frame id
+ */
+export function findFrameForBox(frames, box) {
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+
+  let best = null;
+  for (const frame of frames) {
+    if (frame.collapsed) continue;
+
+    const inside = centerX >= frame.x && centerX <= frame.x + frame.width &&
+      centerY >= frame.y && centerY <= frame.y + frame.height;
+    if (inside && (!best || frame.width * frame.height < best.width * best.height)) {
+      best = frame;
+    }
+  }
+  return best ? best.id : null;
+}
+
+/**
+ * Split cards into sections per frame, in reading order (top-to-bottom, left-to-right)
+ * Cards without frame come last. Card order within a section is kept.
+ * @returns {Array} [{ frame: Object|null, cards: Array }]
+ */
+export function groupCardsByFrame(cards, frames) {
+  const sortedFrames = [...frames].sort((a, b) => a.y - b.y || a.x - b.x);
+  const sections = sortedFrames.map(frame => ({ frame, cards: [] }));
+  const sectionByFrameId = new Map(sections.map(section => [section.frame.id, section]));
+  const unframed = { frame: null, cards: [] };
+
+  cards.forEach(card => {
+    const section = sectionByFrameId.get(card.frameId) || unframed;
+    section.cards.push(card);
+  });
+
+  return [...sections, unframed].filter(section => section.cards.length > 0);
+}
@@ -0,0 +1,163 @@
+/**
+ * Fuzzy, ranked search (fuse.js)
+ *
+ * Strict mode is the boolean query language in search-query.js. Fuzzy mode
+ * tolerates typos (e.g. from OCR transcriptions) and ranks cards by relevance:
+ * every word must match approximately in text, backText or tags, while field
+ * qualifiers (tag:, has:, created: ...) still filter exactly. NOT excludes
+ * exactly as in strict mode; OR and NEAR are syntax errors in fuzzy mode, and
+ * AND, parentheses and wildcards are ignored.
+ */
+
+import Fuse from 'fuse.js';
+import { tokenize, compileQuery, getQuerySyntaxError, SearchSyntaxError } from './search-query.js';
+
+export const SEARCH_MODES = ['strict', 'fuzzy'];
+
+const SEARCH_MODE_KEY = 'searchMode';
+
+const FUSE_KEYS = [
+  { name: 'text', weight: 2 },
+  { name: 'tags', weight: 1.5 },
+  { name: 'backText', weight: 1 }
+];
+
+const FUSE_OPTIONS = {
+  keys: FUSE_KEYS,
+  includeScore: true,
+  ignoreLocation: true,
+  threshold: 0.35,
+  minMatchCharLength: 2
+};
+
+/**
+ * Current search mode ('strict' | 'fuzzy'), persisted in localStorage
+ */
+export function getSearchMode() {
+  const mode = localStorage.getItem(SEARCH_MODE_KEY);
+  return SEARCH_MODES.includes(mode) ? mode : 'strict';
+}
+
+export function setSearchMode(mode) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Okänt sökläge: ${mode}`);
+  }
+  localStorage.setItem(SEARCH_MODE_KEY, mode);
+}
+
+/**
+ * Split a query into fuzzy words and an exact filter query
+ * The filter holds field qualifiers and negated words, so NOT never becomes
+ * a required fuzzy word.
+ * @throws {SearchSyntaxError}
+ */
+function splitFuzzyQuery(query) {
+  const tokens = tokenize(typeof query === 'string' ? query : '');
+  const words = [];
+  const filters = [];
+  let negated = null; // NOT token waiting for its operand
+
+  const quote = value => (value.includes('"') ? `'${value}'` : `"${value}"`);
+
+  tokens.forEach(token => {
+    if (token.type === 'or' || token.type === 'near') {
+      throw new SearchSyntaxError(
+        `${token.type === 'or' ? 'OR' : 'NEAR'} stöds inte i ungefärlig sökning (byt till exakt sökning)`,
+        token.position
+      );
+    }
+    if (token.type === 'not') {
+      negated = negated ? null : token;
+      return;
+    }
+    if (token.type === 'lparen' && negated) {
+      throw new SearchSyntaxError('NOT före parentes stöds inte i ungefärlig sökning', negated.position);
+    }
+
+    if (token.type === 'field') {
+      filters.push(`${negated ? 'NOT ' : ''}${token.field}:${quote(token.value)}`);
+    } else if ((token.type === 'term' || token.type === 'phrase') && negated) {
+      filters.push(`NOT ${token.type === 'phrase' ? quote(token.value) : token.value}`);
+    } else if (token.type === 'term' || token.type === 'phrase') {
+      token.value
+        .replace(/[*?]/g, '')
+        .split(/\s+/)
+        .filter(word => word.length > 0)
+        .forEach(word => words.push(word));
+    } else {
+      return;
+    }
+    negated = null;
+  });
+
+  if (negated) {
+    throw new SearchSyntaxError('Ord saknas efter NOT', negated.position);
+  }
+
+  return { words, filterQuery: filters.join(' ') };
+}
+
+/**
+ * Compile a fuzzy query once
+ * @returns {Object} { isEmpty, rankCards(cards) -> [{ card, score }] } (lower score = better match)
+ * @throws {SearchSyntaxError}
+ */
+export function compileFuzzyQuery(query) {
+  const { words, filterQuery } = splitFuzzyQuery(query);
+  const exactFilter = compileQuery(filterQuery);
+
+  const rankCards = (cards) => {
+    const candidates = exactFilter.isEmpty ? cards : cards.filter(card => exactFilter.matchesCard(card));
+    if (words.length === 0) {
+      return candidates.map(card => ({ card, score: 0 }));
+    }
+
+    // Every word has to match in some field
+    const fuse = new Fuse(candidates, FUSE_OPTIONS);
+    const results = fuse.search({
+      $and: words.map(word => ({
+        $or: FUSE_KEYS.map(key => ({ [key.name]: word }))
+      }))
+    });
+    return results.map(result => ({ card: result.item, score: result.score ?? 0 }));
+  };
+
+  return {
+    isEmpty: words.length === 0 && exactFilter.isEmpty,
+    rankCards
+  };
+}
+
+/**
+ * Compile a query for the given mode
+ * Strict results keep the card order; fuzzy results are sorted by relevance (ranked: true).
+ * @returns {Object} { isEmpty, ranked, rankCards(cards) -> [{ card, score }] }
+ * @throws {SearchSyntaxError}
+ */
+export function compileSearch(query, mode = getSearchMode()) {
+  if (mode === 'fuzzy') {
+    return { ...compileFuzzyQuery(query), ranked: true };
+  }
+
+  const compiled = compileQuery(query);
+  return {
+    isEmpty: compiled.isEmpty,
+    ranked: false,
+    rankCards: cards => cards.filter(card => compiled.matchesCard(card)).map(card => ({ card, score: null }))
+  };
+}
+
+/**
+ * Syntax error for a query in the given mode, or null if it compiles
+ */
+export function getSearchSyntaxError(query, mode = getSearchMode()) {
+  if (mode !== 'fuzzy') return getQuerySyntaxError(query);
+
+  try {
+    compileFuzzyQuery(query);
+    return null;
+  } catch (error) {
+    if (error instanceof SearchSyntaxError) return error;
+    throw error;
+  }
+}
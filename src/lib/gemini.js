@@ -1,8 +1,8 @@
 // Gemini AI Integration for Spatial View                                                                                                
                                                                                                                                          
-import { updateCard, getAllCards } from './storage.js';                                                                                  
-import { reloadCanvas } from './canvas.js';                                                                                              
-                                                                                                                                         
+import { toGeminiTools, toOpenAITools } from './ai-tools.js';
+import { getLocalLLMSettings, fetchLocalLLM } from './local-llm.js';
+
 /**                                                                                                                                      
  * Prompts the user for their Google AI API key and saves it to localStorage.                                                            
  * @returns {Promise<string|null>} The API key, or null if the user cancels.                                                             
@@ -134,172 +134,10 @@ export async function getGoogleAIAPIKey() {
     return apiKey;                                                                                                                       
 }
                                                                                                                                          
-/**                                                                                                                                      
- * Calls the Gemini API with the provided image data and a complex prompt.                                                               
- * @param {string} apiKey - The Google AI API key.                                                                                       
- * @param {string} imageData - The base64 encoded image data.                                                                            
- * @returns {Promise<Object>} The JSON response from the API.                                                                            
- */                                                                                                                                      
-async function callGeminiAPI(apiKey, imageData) {                                                                                        
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;                
-                                                                                                                                         
-    const payload = {                                                                                                                    
-        contents: [                                                                                                                      
-            {                                                                                                                            
-                parts: [                                                                                                                 
-                    {                                                                                                                    
-                        text: `Transkribera texten från bilden exakt som den är skriven och extrahera metadata.                          
-                                                                                                                                         
-OM BILDEN INTE HAR NÅGON TEXT: Beskriv kort vad bilden visar (1-2 meningar).                                                             
-                                                                                                                                         
-VIKTIGT: Svara ENDAST med en JSON-struktur enligt detta format:                                                                          
-                                                                                                                                         
-{                                                                                                                                        
-  "text": "[transkriberad text här, eller tom sträng om ingen text]",                                                              
-  "description": "[kort bildbeskrivning om ingen text finns, annars null]",                                                              
-  "metadata": {                                                                                                                          
-    "extractedDate": "YYYY-MM-DD eller null",                                                                                            
-    "extractedTime": "HH:MM eller null",                                                                                                 
-    "extractedDateTime": "YYYY-MM-DDTHH:MM eller null (kombinera datum+tid)",                                                            
-    "extractedPeople": ["person1", "person2"] eller [],                                                                                  
-    "extractedPlaces": ["plats1", "plats2"] eller []                                                                                     
-  },                                                                                                                                     
-  "hashtags": ["tag1", "tag2", "tag3"]                                                                                            
-}                                                                                                                                        
-                                                                                                                                         
-HASHTAG-REGLER:                                                                                                                          
-1. Datumtaggar: Om datum hittas, skapa #YYMMDD (ex: #250819 för 2025-08-19)                                                              
-2. Veckotaggar: Om datum känt, skapa #YYvVV (ex: #25v44 för vecka 44, 2025)                                                              
-3. Kategoritaggar: #möte #anteckning #todo #faktura #kontrakt #brev #kvitto #foto etc                                                    
-4. Namntaggar: Personer som nämns, normaliserade (ex: #smith #jones)                                                                     
-5. Platstaggar: Platser som nämns (ex: #stockholm #kontoret)                                                                             
-                                                                                                                                         
-METADATA-INSTRUKTIONER:                                                                                                                  
-- extractedDate: Extrahera datum från SYNLIG text i bilden (YYYY-MM-DD format)                                                           
-- extractedTime: Extrahera tid från SYNLIG text (HH:MM format)                                                                           
-- extractedDateTime: Om både datum OCH tid finns, kombinera till ISO-format (YYYY-MM-DDTHH:MM)                                           
-- extractedPeople: Lista alla personnamn som nämns i texten                                                                              
-- extractedPlaces: Lista alla platser/adresser som nämns                                                                                 
-                                                                                                                                         
-BESKRIVNING-INSTRUKTIONER:                                                                                                               
-- Om bilden INTE har någon läsbar text: Beskriv kort vad som visas (ex: "En solnedgång över havet", "En katt på en soffa")               
-- Om bilden HAR text: Sätt description till null                                                                                         
-- Håll beskrivningen kort och koncis (max 2 meningar)                                                                                    
-                                                                                                                                         
-OBS: Vi kommer senare även lägga till EXIF-metadata från filen (GPS, filskapare, originaldatum etc), så håll strukturen ren.`            
-                    },
-                    {
-                        inline_data: {
-                            mime_type: "image/jpeg", // Assuming JPEG, adjust if needed
-                            data: imageData.split(',')[1]
-                        }
-                    }
-                ]
-            }
-        ]
-    };
-
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error.message || `API request failed with status ${response.status}`);
-    }
-
-    return response.json();
-}
-
-/**
- * Main function to read an image card with Gemini, process the result, and update the card.
- * @param {number} cardId - The ID of the card to process.
- */
-export async function readImageWithGemini(cardId) {
-    const apiKey = await getGoogleAIAPIKey();
-    if (!apiKey) {
-        console.log('Gemini OCR cancelled: No API key provided.');
-        return;
-    }
-
-    const allCards = await getAllCards();
-    const card = allCards.find(c => c.id === cardId);
-
-    if (!card || !card.image || !card.image.base64) {
-        alert('Ingen bilddata hittades för detta kort.');
-        return;
-    }
-
-    // Simple loading indicator
-    const statusIndicator = document.createElement('div');
-    statusIndicator.textContent = '✨ Läser bild med Gemini...';
-    statusIndicator.style.cssText = `
-        position: fixed;
-        bottom: 20px;
-        left: 50%;
-        transform: translateX(-50%);
-        background: #333;
-        color: white;
-        padding: 12px 24px;
-        border-radius: 8px;
-        z-index: 10001;
-        font-family: sans-serif;
-    `;
-    document.body.appendChild(statusIndicator);
-
-    try {
-        const response = await callGeminiAPI(apiKey, card.image.base64);
-
-        if (!response || !response.candidates || !response.candidates[0].content || !response.candidates[0].content.parts) {
-            throw new Error('Invalid response structure from Gemini API.');
-        }
-
-        const rawText = response.candidates[0].content.parts[0].text;
-
-        let parsedData;
-        try {
-            const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/) || rawText.match(/```\s*([\s\S]*?)\s*```/);
-            const jsonText = jsonMatch ? jsonMatch[1] : rawText;
-            parsedData = JSON.parse(jsonText.trim());
-        } catch (parseError) {
-            console.warn('Failed to parse JSON, falling back to raw text:', parseError);
-            parsedData = { text: rawText, hashtags: [] };
-        }
-
-        const mainContent = parsedData.text || parsedData.description || '';
-
-        const existingTags = card.tags || [];
-        const newTags = (parsedData.hashtags || []).map(tag => tag.replace('#', ''));
-        const mergedTags = [...new Set([...existingTags, ...newTags])];
-
-        const updates = {
-            text: mainContent,  // Put extracted text in main text field
-            tags: mergedTags,
-            geminiMetadata: parsedData.metadata || {} // Store metadata
-        };
-
-        await updateCard(cardId, updates);
-        await reloadCanvas();
-
-        statusIndicator.textContent = '✅ Bilden är analyserad!';
-    } catch (error) {
-        console.error('Error reading image with Gemini:', error);
-        statusIndicator.textContent = `❌ Fel: ${error.message}`;
-    } finally {
-        setTimeout(() => {
-            statusIndicator.remove();
-        }, 3000);
-    }
-}
-
 /**
  * Execute Gemini Agent with function calling capabilities
  * @param {string} query - User's query
- * @param {Array} tools - Array of tool definitions for Gemini
+ * @param {Array} tools - Tool definitions (AI_TOOL_DEFINITIONS format)
  * @param {Object} toolRegistry - Map of tool names to their implementation functions
  * @param {Array} chatHistory - Optional conversation history from chat UI [{role, text}, ...]
  * @returns {Promise<string>} - Gemini's response
@@ -412,6 +250,9 @@ Du är INTE en robot som följer fördefinierade arrangemang. Du är en INTELLIG
 
 - **addTagsToCards / removeTagsFromCards**: Tagg-hantering
 
+- **Färdiga layouter**: arrangeCardsInGrid, arrangeCardsTimeline, arrangeCardsKanban, arrangeCardsMindMap, arrangeCardsCluster, arrangeCardsByDay, arrangeAllTagsInGrids, colorCardsByPattern
+  → Genvägar för vanliga mönster; updateCards ger full kontroll när innehållet kräver en egen layout
+
 **Kontext:**
 - **getCanvasInfo()**: Få information om canvas, dimensioner, spacing-principer
   → Använd när du är osäker på dimensioner eller vill veta befintliga bounds
@@ -579,7 +420,7 @@ Du:
     // Initial request with tools, conversation history, and system instruction
     const payload = {
         contents: conversationHistory,
-        tools: tools,
+        tools: toGeminiTools(tools),
         systemInstruction: {
             parts: [{ text: systemInstruction }]
         }
@@ -658,7 +499,7 @@ Du:
 
         const followUpPayload = {
             contents: conversationHistory,
-            tools: tools,
+            tools: toGeminiTools(tools),
             systemInstruction: {
                 parts: [{ text: systemInstruction }]
             }
@@ -821,32 +662,9 @@ export async function getOpenAIAPIKey() {
 }
 
 /**
- * Execute ChatGPT Agent with function calling capabilities
- * @param {string} query - User's query
- * @param {Array} tools - Array of tool definitions (Gemini format, will be converted)
- * @param {Object} toolRegistry - Map of tool names to their implementation functions
- * @param {Array} chatHistory - Optional conversation history [{role, text}, ...]
- * @returns {Promise<string>} - ChatGPT's response
+ * Messages for an OpenAI-style chat: system prompt, earlier turns and the query
  */
-export async function executeChatGPTAgent(query, tools, toolRegistry, chatHistory = []) {
-    const apiKey = await getOpenAIAPIKey();
-    if (!apiKey) {
-        throw new Error('No API key provided');
-    }
-
-    const url = 'https://api.openai.com/v1/chat/completions';
-    const chatGPTModel = 'gpt-4o';
-
-    // Convert Gemini tools format to OpenAI tools format
-    const openaiTools = tools[0].functionDeclarations.map(func => ({
-        type: 'function',
-        function: {
-            name: func.name,
-            description: func.description,
-            parameters: func.parameters
-        }
-    }));
-
+function buildChatMessages(query, chatHistory) {
     // Build conversation history with comprehensive system instruction
     const messages = [
         {
@@ -902,7 +720,7 @@ En akademiker/forskare/professionell som använder Spatial View för:
 
 **Visuell Organisering:**
 - arrangeAllTagsInGrids: Arrangera ALLA taggar i separata grids vertikalt (ANVÄND för "sortera tematiskt")
-- arrangeCardsGrid: Ordna markerade kort i rutnät (compact grid, 250px mellan kort horisontellt, 280px vertikalt)
+- arrangeCardsInGrid: Ordna markerade kort i rutnät (compact grid, 250px mellan kort horisontellt, 280px vertikalt)
 - arrangeCardsTimeline: Tidslinje baserat på datum (compact, 270px mellan kort)
 - arrangeCardsKanban: Kanban-board med kolumner (compact layout, 270px mellan kort)
 - arrangeCardsMindMap: Mind map för kreativt tänkande (radial, 300px från centrum)
@@ -1002,23 +820,45 @@ Var kreativ och proaktiv:
         messages.push({ role: 'user', content: query });
     }
 
-    // Initial request
-    let response = await fetch(url, {
+    return messages;
+}
+
+/**
+ * Agent loop for OpenAI-compatible chat completions (OpenAI and local servers)
+ * @param {Object} options
+ * @param {string} options.url - Chat completions endpoint
+ * @param {string} options.model - Model name
+ * @param {string} options.apiKey - Sent as a bearer token when set
+ * @param {Array} options.messages - From buildChatMessages
+ * @param {Array} options.tools - Tool definitions (AI_TOOL_DEFINITIONS format)
+ * @param {Object} options.toolRegistry - Map of tool names to their implementation functions
+ * @param {string} options.providerName - Shown in messages to the user
+ * @param {Function} options.fetchFn - fetch, or a wrapper with friendlier network errors
+ * @returns {Promise<string>} - The model's final response
+ */
+async function runOpenAICompatibleAgent({ url, model, apiKey, messages, tools, toolRegistry, providerName, fetchFn = fetch }) {
+    const openaiTools = toOpenAITools(tools);
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const request = () => fetchFn(url, {
         method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
+        headers,
         body: JSON.stringify({
-            model: chatGPTModel,
+            model,
             messages: messages,
             tools: openaiTools,
             tool_choice: 'auto'
         })
     });
 
+    // Initial request
+    let response = await request();
+
     if (!response.ok) {
-        const errorData = await response.json();
+        const errorData = await response.json().catch(() => ({}));
         throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
     }
 
@@ -1031,31 +871,41 @@ Var kreativ och proaktiv:
     while (iterations < maxIterations) {
         iterations++;
 
-        const message = data.choices[0].message;
+        const message = data.choices?.[0]?.message;
+        if (!message) {
+            throw new Error(`${providerName} skickade ett svar utan meddelande.`);
+        }
         messages.push(message);
 
         // Check if there are tool calls
         if (!message.tool_calls || message.tool_calls.length === 0) {
             // No more function calls, return the text response
-            return message.content || 'ChatGPT svarade utan text.';
+            return message.content || `${providerName} svarade utan text.`;
         }
 
         // Execute all tool calls
         for (const toolCall of message.tool_calls) {
             const funcName = toolCall.function.name;
-            const funcArgs = JSON.parse(toolCall.function.arguments || '{}');
-
-            console.log(`Executing tool: ${funcName}`, funcArgs);
+            const rawArgs = toolCall.function.arguments;
 
             let result;
-            if (toolRegistry[funcName]) {
-                try {
-                    result = await toolRegistry[funcName](funcArgs);
-                } catch (error) {
-                    result = { error: error.message };
+            try {
+                // Some local servers send the arguments as an object instead of a JSON string
+                const funcArgs = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : (rawArgs || {});
+                console.log(`Executing tool: ${funcName}`, funcArgs);
+
+                if (toolRegistry[funcName]) {
+                    try {
+                        result = await toolRegistry[funcName](funcArgs);
+                    } catch (error) {
+                        result = { error: error.message };
+                    }
+                } else {
+                    result = { error: `Function ${funcName} not found` };
                 }
-            } else {
-                result = { error: `Function ${funcName} not found` };
+            } catch (error) {
+                // Local models often write broken JSON - the model gets the error and can retry
+                result = { error: `Ogiltiga argument: ${error.message}` };
             }
 
             // Add function response to messages
@@ -1066,28 +916,68 @@ Var kreativ och proaktiv:
             });
         }
 
-        // Send function responses back to ChatGPT
-        response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: chatGPTModel,
-                messages: messages,
-                tools: openaiTools,
-                tool_choice: 'auto'
-            })
-        });
+        // Send function responses back to the model
+        response = await request();
 
         if (!response.ok) {
-            const errorData = await response.json();
+            const errorData = await response.json().catch(() => ({}));
             throw new Error(errorData.error?.message || `Follow-up request failed`);
         }
 
         data = await response.json();
     }
 
-    return 'ChatGPT slutade svara oväntat (för många iterationer).';
+    return `${providerName} slutade svara oväntat (för många iterationer).`;
+}
+
+/**
+ * Execute ChatGPT Agent with function calling capabilities
+ * @param {string} query - User's query
+ * @param {Array} tools - Tool definitions (AI_TOOL_DEFINITIONS format)
+ * @param {Object} toolRegistry - Map of tool names to their implementation functions
+ * @param {Array} chatHistory - Optional conversation history [{role, text}, ...]
+ * @returns {Promise<string>} - ChatGPT's response
+ */
+export async function executeChatGPTAgent(query, tools, toolRegistry, chatHistory = []) {
+    const apiKey = await getOpenAIAPIKey();
+    if (!apiKey) {
+        throw new Error('No API key provided');
+    }
+
+    return await runOpenAICompatibleAgent({
+        url: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-4o',
+        apiKey,
+        messages: buildChatMessages(query, chatHistory),
+        tools,
+        toolRegistry,
+        providerName: 'ChatGPT'
+    });
+}
+
+// ============================================================================
+// LOCAL OPENAI-COMPATIBLE LLM (Ollama, llama.cpp, LM Studio)
+// ============================================================================
+
+/**
+ * Execute the agent against the local server from getLocalLLMSettings
+ * Same prompt, tools and loop as ChatGPT; nothing is sent anywhere else.
+ * @returns {Promise<string>} - The local model's response
+ */
+export async function executeLocalLLMAgent(query, tools, toolRegistry, chatHistory = []) {
+    const { baseUrl, model, apiKey } = getLocalLLMSettings();
+    if (!model) {
+        throw new Error('Ingen modell vald för lokal AI. Klicka på "Byt" och ange modell.');
+    }
+
+    return await runOpenAICompatibleAgent({
+        url: `${baseUrl}/chat/completions`,
+        model,
+        apiKey,
+        messages: buildChatMessages(query, chatHistory),
+        tools,
+        toolRegistry,
+        providerName: 'Lokal AI',
+        fetchFn: fetchLocalLLM
+    });
 }
@@ -0,0 +1,148 @@
+/**
+ * Freehand ink strokes
+ * Stored per board in the `strokes` table of SpatialViewDB.
+ * A stroke is { id, boardId, cardId, points, color, width, created }.
+ * points is a flat array [x, y, pressure, x, y, pressure, ...]; pressure is 0-1.
+ * Background strokes have cardId null and canvas coordinates; strokes inside a
+ * card are relative to the card's top-left corner so they move with it.
+ */
+
+import { db, getActiveBoardId } from './storage.js';
+
+export const INK_COLORS = ['#1a1a1a', '#1565c0', '#c62828', '#2e7d32'];
+export const INK_WIDTHS = { thin: 2, thick: 5 };
+
+// Mouse and pens without pressure report 0.5 while pressed
+const DEFAULT_PRESSURE = 0.5;
+
+/**
+ * Get all strokes on the active board
+ */
+export async function getStrokes() {
+  return await db.strokes.where('boardId').equals(getActiveBoardId()).toArray();
+}
+
+/**
+ * Create stroke
+ * @returns {Promise<Object>} The stored stroke including its id
+ */
+export async function createStroke({ cardId = null, points, color = INK_COLORS[0], width = INK_WIDTHS.thin }) {
+  const stroke = {
+    boardId: getActiveBoardId(),
+    cardId,
+    points,
+    color,
+    width,
+    created: Date.now()
+  };
+  stroke.id = await db.strokes.add(stroke);
+  return stroke;
+}
+
+/**
+ * Delete strokes
+ */
+export async function deleteStrokes(ids) {
+  await db.strokes.bulkDelete(ids);
+}
+
+/**
+ * Put strokes back with their original ids (undo of erase)
+ */
+export async function restoreStrokes(strokes) {
+  await db.strokes.bulkPut(strokes);
+}
+
+/**
+ * Append a pointer sample unless it is closer than minDistance to the previous one
+ * @returns {boolean} Whether the point was added
+ */
+export function addStrokePoint(points, x, y, pressure, minDistance = 1) {
+  const count = points.length / 3;
+  if (count > 0) {
+    const lastX = points[(count - 1) * 3];
+    const lastY = points[(count - 1) * 3 + 1];
+    if (Math.hypot(x - lastX, y - lastY) < minDistance) return false;
+  }
+
+  points.push(
+    Math.round(x * 10) / 10,
+    Math.round(y * 10) / 10,
+    Math.round((pressure || DEFAULT_PRESSURE) * 100) / 100
+  );
+  return true;
+}
+
+/**
+ * Line width at a point; pressure 0.5 gives the base width
+ */
+function widthAt(width, pressure) {
+  return width * (0.4 + 1.2 * pressure);
+}
+
+/**
+ * Closed outline polygon of a stroke, wider where the pen was pressed harder
+ * A single point becomes a small circle.
+ * @returns {Array} Flat [x, y, ...] points for a closed Konva.Line
+ */
+export function getStrokeOutline(points, width) {
+  const count = points.length / 3;
+  if (count === 0) return [];
+
+  if (count === 1) {
+    const radius = widthAt(width, points[2]) / 2;
+    const outline = [];
+    for (let i = 0; i < 12; i++) {
+      const angle = (i / 12) * Math.PI * 2;
+      outline.push(points[0] + Math.cos(angle) * radius, points[1] + Math.sin(angle) * radius);
+    }
+    return outline;
+  }
+
+  const left = [];
+  const right = [];
+  for (let i = 0; i < count; i++) {
+    const prev = Math.max(0, i - 1) * 3;
+    const next = Math.min(count - 1, i + 1) * 3;
+    const dx = points[next] - points[prev];
+    const dy = points[next + 1] - points[prev + 1];
+    const length = Math.hypot(dx, dy) || 1;
+
+    // Offset both sides along the normal of the stroke direction
+    const radius = widthAt(width, points[i * 3 + 2]) / 2;
+    const nx = (-dy / length) * radius;
+    const ny = (dx / length) * radius;
+    const x = points[i * 3];
+    const y = points[i * 3 + 1];
+
+    left.push(x + nx, y + ny);
+    right.unshift(x - nx, y - ny);
+  }
+
+  return [...left, ...right];
+}
+
+/**
+ * Whether a stroke passes within radius of a point (same coordinate space as the stroke)
+ */
+export function strokeHitsPoint(stroke, x, y, radius) {
+  const { points } = stroke;
+  const reach = radius + stroke.width;
+
+  for (let i = 0; i < points.length; i += 3) {
+    if (Math.hypot(points[i] - x, points[i + 1] - y) <= reach) return true;
+
+    // Also test the segment to the next point, for fast strokes with sparse samples
+    if (i + 3 < points.length) {
+      const ax = points[i];
+      const ay = points[i + 1];
+      const bx = points[i + 3];
+      const by = points[i + 4];
+      const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2;
+      if (lengthSq === 0) continue;
+      const t = Math.max(0, Math.min(1, ((x - ax) * (bx - ax) + (y - ay) * (by - ay)) / lengthSq));
+      if (Math.hypot(ax + t * (bx - ax) - x, ay + t * (by - ay) - y) <= reach) return true;
+    }
+  }
+  return false;
+}
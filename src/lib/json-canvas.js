@@ -0,0 +1,247 @@
+/**
+ * JSON Canvas (.canvas) export and import - the open format used by Obsidian
+ * See https://jsoncanvas.org: { nodes: [...], edges: [...] } where nodes are
+ * text, file, link or group boxes with x/y/width/height and edges join nodes.
+ * Cards become text nodes (image cards file nodes), frames groups and connectors edges.
+ */
+
+import { getCardImageSrc } from '../utils/card-images.js';
+import { ZOTERO_BASE_PALETTE, getNearestCardColor } from '../utils/card-colors.js';
+import { parseMarkdownNote, getImageType } from './markdown-vault.js';
+
+const IMAGE_FOLDER = 'images';
+
+// JSON Canvas preset colors: 1 red, 2 orange, 3 yellow, 4 green, 5 cyan, 6 purple
+const PRESET_BY_CARD_COLOR = {
+  'card-color-2': '1',
+  'card-color-7': '2',
+  'card-color-1': '3',
+  'card-color-3': '4',
+  'card-color-4': '5',
+  'card-color-5': '6'
+};
+const CARD_COLOR_BY_PRESET = Object.fromEntries(
+  Object.entries(PRESET_BY_CARD_COLOR).map(([cardColor, preset]) => [preset, cardColor])
+);
+
+function toCanvasColor(cardColor) {
+  if (!cardColor) return undefined;
+  if (cardColor.startsWith('#')) return cardColor;
+  return PRESET_BY_CARD_COLOR[cardColor] || ZOTERO_BASE_PALETTE[cardColor];
+}
+
+/**
+ * Presets map directly; hex colors get the closest palette color so every
+ * imported card can be recolored and filtered with color:N
+ */
+function toCardColor(canvasColor) {
+  if (!canvasColor) return null;
+  return CARD_COLOR_BY_PRESET[canvasColor] || getNearestCardColor(canvasColor);
+}
+
+/**
+ * Tags travel as a last line of #tags, which Obsidian shows as tags
+ */
+function withTagLine(text, tags = []) {
+  if (tags.length === 0) return text || '';
+  const tagLine = tags.map(tag => `#${tag.replace(/\s+/g, '_')}`).join(' ');
+  return text ? `${text}\n\n${tagLine}` : tagLine;
+}
+
+function splitTagLine(text = '') {
+  const lines = text.trimEnd().split('\n');
+  const last = lines[lines.length - 1].trim();
+  if (!/^(#[^\s#]+\s*)+$/.test(last)) return { text, tags: [] };
+
+  return {
+    text: lines.slice(0, -1).join('\n').trim(),
+    tags: last.split(/\s+/).map(tag => tag.slice(1))
+  };
+}
+
+/**
+ * Build a JSON Canvas document for a board
+ * @param {Object} board
+ * @param {Array} board.cards - Cards on the board
+ * @param {Array} board.frames - Frames (become groups)
+ * @param {Array} board.connectors - Connectors (become edges)
+ * @param {Function} board.getBox - card => {x, y, width, height} as rendered
+ * @returns {Object} { canvas, images: [{ path, base64 }] }
+ */
+export function toJsonCanvas({ cards, frames = [], connectors = [], getBox }) {
+  const images = [];
+  const nodeIdByCardId = new Map();
+
+  // Groups first: nodes are listed in z-order
+  const nodes = frames.map(frame => ({
+    id: `frame-${frame.id}`,
+    type: 'group',
+    x: Math.round(frame.x),
+    y: Math.round(frame.y),
+    width: Math.round(frame.width),
+    height: Math.round(frame.height),
+    label: frame.name
+  }));
+
+  cards.forEach(card => {
+    const box = getBox(card);
+    const id = `card-${card.uniqueId || card.id}`;
+    nodeIdByCardId.set(card.id, id);
+
+    const dataUrl = getCardImageSrc(card.image)?.match(/^data:image\/([\w+.-]+);base64,(.*)$/);
+    const path = dataUrl
+      ? `${IMAGE_FOLDER}/${card.uniqueId || card.id}.${dataUrl[1] === 'jpeg' ? 'jpg' : dataUrl[1].replace('+xml', '')}`
+      : null;
+    if (path) images.push({ path, base64: dataUrl[2] });
+
+    const node = {
+      id,
+      type: path ? 'file' : 'text',
+      ...(path ? { file: path } : { text: withTagLine(card.text, card.tags) }),
+      x: Math.round(box.x),
+      y: Math.round(box.y),
+      width: Math.round(box.width),
+      height: Math.round(box.height)
+    };
+
+    const color = toCanvasColor(card.cardColor);
+    if (color) node.color = color;
+    nodes.push(node);
+  });
+
+  const edges = connectors
+    .filter(connector => nodeIdByCardId.has(connector.fromCardId) && nodeIdByCardId.has(connector.toCardId))
+    .map(connector => {
+      const edge = {
+        id: `edge-${connector.id}`,
+        fromNode: nodeIdByCardId.get(connector.fromCardId),
+        toNode: nodeIdByCardId.get(connector.toCardId),
+        toEnd: connector.directed ? 'arrow' : 'none'
+      };
+      if (connector.label) edge.label = connector.label;
+      return edge;
+    });
+
+  return { canvas: { nodes, edges }, images };
+}
+
+/**
+ * Read a .canvas file, or a zip with a .canvas file and the files its nodes point at
+ * @param {File} file
+ * @returns {Promise<Object>} { canvas, name, files: Map(path -> { text } | { dataUrl }) }
+ */
+export async function readJsonCanvasFile(file) {
+  const files = new Map();
+  let canvasText = null;
+  let name = file.name.replace(/\.(canvas|zip)$/i, '');
+
+  if (/\.zip$/i.test(file.name)) {
+    const JSZip = (await import('jszip')).default;
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir) continue;
+      if (/\.canvas$/i.test(entry.name) && canvasText === null) {
+        canvasText = await entry.async('text');
+        name = entry.name.split('/').pop().replace(/\.canvas$/i, '');
+      } else if (/\.(md|markdown)$/i.test(entry.name)) {
+        files.set(entry.name, { text: await entry.async('text') });
+      } else if (getImageType(entry.name)) {
+        files.set(entry.name, { dataUrl: `data:${getImageType(entry.name)};base64,${await entry.async('base64')}` });
+      }
+    }
+    if (canvasText === null) {
+      throw new Error('Hittade ingen .canvas-fil i zip-filen');
+    }
+  } else {
+    canvasText = await file.text();
+  }
+
+  const canvas = JSON.parse(canvasText);
+  if (!Array.isArray(canvas.nodes)) {
+    throw new Error('Filen är inte en giltig JSON Canvas-fil (nodes saknas)');
+  }
+  return { canvas: { nodes: canvas.nodes, edges: canvas.edges || [] }, name, files };
+}
+
+/**
+ * Vault paths are relative to the vault root, which may be a folder inside the zip
+ */
+function findFile(files, path) {
+  if (files.has(path)) return files.get(path);
+  const wanted = path.toLowerCase();
+  for (const [filePath, content] of files) {
+    if (filePath.toLowerCase().endsWith(`/${wanted}`)) return content;
+  }
+  const basename = wanted.split('/').pop();
+  for (const [filePath, content] of files) {
+    if (filePath.toLowerCase().split('/').pop() === basename) return content;
+  }
+  return null;
+}
+
+/**
+ * Card data for the nodes of a JSON Canvas document
+ * @returns {Object} { groups: [{ nodeId, name, x, y, width, height }],
+ *   cards: [{ nodeId, box, card }], edges: [{ fromNode, toNode, directed, label }] }
+ */
+export function fromJsonCanvas(canvas, files = new Map()) {
+  const groups = [];
+  const cards = [];
+
+  canvas.nodes.forEach(node => {
+    const box = { x: Number(node.x) || 0, y: Number(node.y) || 0, width: Number(node.width) || 200, height: Number(node.height) || 150 };
+
+    if (node.type === 'group') {
+      groups.push({ nodeId: node.id, name: node.label || 'Grupp', ...box });
+      return;
+    }
+
+    let card;
+    if (node.type === 'text') {
+      card = splitTagLine(node.text);
+    } else if (node.type === 'link') {
+      card = { text: node.url || '', tags: [] };
+    } else if (node.type === 'file') {
+      const content = node.file ? findFile(files, node.file) : null;
+      if (content?.dataUrl) {
+        card = { text: '', tags: [], image: { base64: content.dataUrl } };
+      } else if (content?.text !== undefined) {
+        const note = parseMarkdownNote(content.text, node.file.split('/').pop());
+        card = { text: note.text, backText: note.backText, comments: note.comments, tags: note.tags || [] };
+      } else {
+        // The file is not in the import: keep a link to it
+        card = { text: `[[${(node.file || '').replace(/\.(md|markdown)$/i, '')}]]`, tags: [] };
+      }
+    } else {
+      return;
+    }
+
+    const cardColor = toCardColor(node.color);
+    cards.push({
+      nodeId: node.id,
+      box,
+      card: {
+        ...card,
+        ...(cardColor ? { cardColor } : {}),
+        position: { x: box.x, y: box.y }
+      }
+    });
+  });
+
+  const edges = canvas.edges
+    .map(edge => {
+      const toArrow = (edge.toEnd || 'arrow') === 'arrow';
+      const fromArrow = edge.fromEnd === 'arrow';
+      // Our connectors point one way: an arrow only at the start means the edge points backwards
+      const reversed = fromArrow && !toArrow;
+      return {
+        fromNode: reversed ? edge.toNode : edge.fromNode,
+        toNode: reversed ? edge.fromNode : edge.toNode,
+        directed: toArrow !== fromArrow,
+        label: edge.label || ''
+      };
+    });
+
+  return { groups, cards, edges };
+}
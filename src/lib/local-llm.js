@@ -0,0 +1,71 @@
+/**
+ * Settings for a local, OpenAI-compatible LLM server (Ollama, llama.cpp, LM Studio)
+ * The assistant then runs without any cloud service: requests go to the
+ * configured base URL, e.g. http://localhost:11434/v1 for Ollama.
+ */
+
+const BASE_URL_KEY = 'localLlmBaseUrl';
+const MODEL_KEY = 'localLlmModel';
+const API_KEY_KEY = 'localLlmApiKey';
+
+export const DEFAULT_LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * @returns {Object} { baseUrl, model, apiKey }; apiKey is optional for most local servers
+ */
+export function getLocalLLMSettings() {
+  return {
+    baseUrl: localStorage.getItem(BASE_URL_KEY) || DEFAULT_LOCAL_LLM_BASE_URL,
+    model: localStorage.getItem(MODEL_KEY) || '',
+    apiKey: localStorage.getItem(API_KEY_KEY) || ''
+  };
+}
+
+/**
+ * A blank apiKey keeps the stored key, so the key does not have to be typed again
+ * on every save; forgetLocalLLMApiKey removes it
+ */
+export function saveLocalLLMSettings({ baseUrl, model, apiKey = '' }) {
+  localStorage.setItem(BASE_URL_KEY, normalizeBaseUrl(baseUrl));
+  localStorage.setItem(MODEL_KEY, model.trim());
+  if (apiKey.trim()) {
+    localStorage.setItem(API_KEY_KEY, apiKey.trim());
+  }
+}
+
+export function forgetLocalLLMApiKey() {
+  localStorage.removeItem(API_KEY_KEY);
+}
+
+/**
+ * Trailing slashes and a pasted "/chat/completions" are removed
+ */
+export function normalizeBaseUrl(baseUrl) {
+  return baseUrl.trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+}
+
+/**
+ * Models the server offers (GET /models), used to check the address in the chooser
+ * @returns {Promise<Array<string>>} Model ids
+ */
+export async function listLocalLLMModels(baseUrl, apiKey = '') {
+  const response = await fetchLocalLLM(`${normalizeBaseUrl(baseUrl)}/models`, {
+    headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+  });
+  if (!response.ok) {
+    throw new Error(`Servern svarade med status ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.data || []).map(model => model.id);
+}
+
+/**
+ * fetch with an error message that explains the usual causes when the server cannot be reached
+ */
+export async function fetchLocalLLM(url, options = {}) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    throw new Error(`Kunde inte nå den lokala AI-servern (${url}). Kontrollera att den körs och tillåter anrop från den här sidan (CORS, t.ex. OLLAMA_ORIGINS för Ollama).`, { cause: error });
+  }
+}
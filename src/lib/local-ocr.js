@@ -0,0 +1,129 @@
+/**
+ * Local OCR with Tesseract (WASM)
+ * The image never leaves the browser and no network is needed: the worker, the
+ * WASM core and the Swedish/English language data are served with the app from
+ * /tesseract (copied from node_modules by scripts/copy-ocr-assets.js).
+ * Tesseract reads printed text well but handwriting poorly, and it cannot
+ * describe pictures, so metadata is limited to dates and times found in the text.
+ */
+
+const OCR_LANGUAGES = ['swe', 'eng'];
+const WORKER_IDLE_MS = 60000;
+const ASSET_PATH = `${import.meta.env.BASE_URL}tesseract`;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'maj', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dec'];
+
+let workerPromise = null;
+let idleTimer = null;
+let activeJobs = 0;
+
+async function getWorker() {
+  clearTimeout(idleTimer);
+  if (!workerPromise) {
+    // Loaded on demand so the WASM engine is not part of the main bundle
+    workerPromise = import('tesseract.js')
+      .then(({ createWorker }) => createWorker(OCR_LANGUAGES, 1, {
+        workerPath: `${ASSET_PATH}/worker.min.js`,
+        corePath: `${ASSET_PATH}/core`,
+        langPath: `${ASSET_PATH}/lang`
+      }))
+      .catch(error => {
+        workerPromise = null;
+        console.error('Failed to start local OCR engine:', error);
+        throw new Error(`Lokal OCR kunde inte starta: ${error?.message || error}`);
+      });
+  }
+  return await workerPromise;
+}
+
+/**
+ * The worker holds the engine in memory, so it is closed when not used for a while
+ */
+function scheduleTerminate() {
+  clearTimeout(idleTimer);
+  if (activeJobs > 0) return;
+  idleTimer = setTimeout(async () => {
+    const pending = workerPromise;
+    workerPromise = null;
+    (await pending)?.terminate();
+  }, WORKER_IDLE_MS);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * ISO 8601 week number
+ */
+function getIsoWeek(date) {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  return { year: day.getUTCFullYear(), week: Math.ceil(((day - yearStart) / 86400000 + 1) / 7) };
+}
+
+function findDate(text) {
+  const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return { year: +iso[1], month: +iso[2], day: +iso[3] };
+
+  // "19 okt 2025", "3 mars 2024"
+  const written = text.match(/\b(\d{1,2})\s+([a-zåäö]{3})[a-zåäö]*\.?\s+(\d{4})\b/i);
+  if (written) {
+    const month = MONTHS.indexOf(written[2].toLowerCase()) + 1;
+    if (month > 0) return { year: +written[3], month, day: +written[1] };
+  }
+  return null;
+}
+
+/**
+ * Dates and times in recognized text, in the same shape as the AI providers' answer
+ * @returns {Object} { metadata, hashtags }
+ */
+export function extractLocalMetadata(text) {
+  const metadata = {
+    extractedDate: null,
+    extractedTime: null,
+    extractedDateTime: null,
+    extractedPeople: [],
+    extractedPlaces: []
+  };
+  const hashtags = [];
+
+  const date = findDate(text);
+  if (date && date.month <= 12 && date.day >= 1 && date.day <= 31) {
+    metadata.extractedDate = `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+    hashtags.push(`${pad(date.year % 100)}${pad(date.month)}${pad(date.day)}`);
+
+    const { year, week } = getIsoWeek(new Date(date.year, date.month - 1, date.day));
+    hashtags.push(`${pad(year % 100)}v${pad(week)}`);
+  }
+
+  const time = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (time) {
+    metadata.extractedTime = `${pad(time[1])}:${time[2]}`;
+    if (metadata.extractedDate) {
+      metadata.extractedDateTime = `${metadata.extractedDate}T${metadata.extractedTime}`;
+    }
+  }
+
+  return { metadata, hashtags };
+}
+
+/**
+ * Recognize text in an image without any network call for the image itself
+ * @param {string} imageData - Image as a data URL
+ * @returns {Promise<string>} Recognized text
+ */
+export async function recognizeTextLocally(imageData) {
+  activeJobs++;
+  try {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(imageData);
+    return data.text.trim();
+  } finally {
+    activeJobs--;
+    scheduleTerminate();
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * Markdown vault (Obsidian) export and import
+ * One note per card: YAML front matter with the card's fields, the card text as
+ * body and the back side under "## Baksida" after a --- line. Images go in an
+ * images folder and are embedded first in the note with ![[images/<uniqueId>.png]].
+ * Only the YAML that this format and Obsidian properties use is read: scalars,
+ * lists and one level of nesting.
+ */
+
+import { getCardImageSrc } from '../utils/card-images.js';
+import { getCardTitle } from './wiki-links.js';
+import { getAllCards, getTrash, restoreCard, updateCard, createCardWithUniqueId } from './storage.js';
+
+const IMAGE_FOLDER = 'images';
+const BACK_SIDE_SEPARATOR = '\n\n---\n\n## Baksida\n\n';
+const NOTE_PATTERN = /\.(md|markdown)$/i;
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+function formatYamlValue(value) {
+  return typeof value === 'number' ? String(value) : JSON.stringify(String(value));
+}
+
+/**
+ * Markdown note for a card
+ * @param {Object} card
+ * @param {string|null} imagePath - Path of the exported image inside the vault
+ */
+export function cardToMarkdown(card, imagePath = null) {
+  const lines = ['---', `uniqueId: ${formatYamlValue(card.uniqueId)}`];
+
+  if (card.tags?.length > 0) {
+    lines.push('tags:');
+    card.tags.forEach(tag => lines.push(`  - ${formatYamlValue(tag)}`));
+  }
+  if (card.cardColor) lines.push(`color: ${formatYamlValue(card.cardColor)}`);
+  if (card.position) {
+    lines.push('position:');
+    lines.push(`  x: ${Math.round(card.position.x)}`);
+    lines.push(`  y: ${Math.round(card.position.y)}`);
+  }
+  if (card.created) lines.push(`created: ${formatYamlValue(new Date(card.created).toISOString())}`);
+  if (card.modified) lines.push(`modified: ${formatYamlValue(new Date(card.modified).toISOString())}`);
+  if (card.comments) lines.push(`comments: ${formatYamlValue(card.comments)}`);
+  lines.push('---', '');
+
+  const body = [];
+  if (imagePath) body.push(`![[${imagePath}]]`);
+  if (card.text) body.push(card.text);
+
+  let note = lines.join('\n') + body.join('\n\n');
+  if (card.backText) note += BACK_SIDE_SEPARATOR + card.backText;
+  return note + '\n';
+}
+
+function parseYamlScalar(raw) {
+  const value = raw.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(parseYamlScalar).filter(item => item !== null);
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function parseFrontMatter(yaml) {
+  const data = {};
+  let key = null;
+
+  yaml.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const listItem = line.match(/^\s*-\s+(.*)$/);
+    if (listItem && key) {
+      if (!Array.isArray(data[key])) data[key] = [];
+      data[key].push(parseYamlScalar(listItem[1]));
+      return;
+    }
+
+    const nested = line.match(/^\s+([\w-]+):\s*(.*)$/);
+    if (nested && key) {
+      if (!data[key] || typeof data[key] !== 'object' || Array.isArray(data[key])) data[key] = {};
+      data[key][nested[1]] = parseYamlScalar(nested[2]);
+      return;
+    }
+
+    const entry = line.match(/^([\w-]+):\s*(.*)$/);
+    if (entry) {
+      key = entry[1];
+      data[key] = parseYamlScalar(entry[2]);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Obsidian accepts tags as a list or as one comma separated string. A string
+ * without commas is one tag, since card tags may contain spaces.
+ */
+function parseTags(value) {
+  if (!value) return [];
+  const tags = Array.isArray(value) ? value : String(value).split(',');
+  return tags.map(tag => String(tag).replace(/^#/, '').trim()).filter(Boolean);
+}
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Card fields from a Markdown note; fields missing from the note are left undefined
+ * so an import does not clear them on existing cards
+ * @returns {Object} { uniqueId, text, backText, comments, tags, cardColor, position, created, imageRef }
+ */
+export function parseMarkdownNote(markdown, filename = '') {
+  const content = markdown.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  const frontMatter = content.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  const data = frontMatter ? parseFrontMatter(frontMatter[1]) : {};
+  let body = frontMatter ? content.slice(frontMatter[0].length) : content;
+
+  let backText;
+  const separatorIndex = body.lastIndexOf(BACK_SIDE_SEPARATOR.trimStart());
+  if (separatorIndex !== -1) {
+    backText = body.slice(separatorIndex + BACK_SIDE_SEPARATOR.trimStart().length).trim();
+    body = body.slice(0, separatorIndex);
+  }
+
+  // An embed on the first line is the card's image (as written by cardToMarkdown)
+  let imageRef = null;
+  body = body.trim();
+  const embed = body.match(/^(?:!\[\[([^\]|]+)(?:\|[^\]]*)?\]\]|!\[[^\]]*\]\(([^)\s]+)\))[ \t]*(?:\n|$)/);
+  if (embed) {
+    imageRef = embed[1] || decodeURIComponent(embed[2]);
+    body = body.slice(embed[0].length).trim();
+  }
+
+  const position = data.position && Number.isFinite(data.position.x) && Number.isFinite(data.position.y)
+    ? { x: data.position.x, y: data.position.y }
+    : undefined;
+
+  return {
+    uniqueId: data.uniqueId ? String(data.uniqueId) : undefined,
+    text: body || (frontMatter || imageRef ? '' : filename.replace(NOTE_PATTERN, '')),
+    backText,
+    comments: data.comments != null ? String(data.comments) : undefined,
+    tags: 'tags' in data ? parseTags(data.tags) : undefined,
+    cardColor: data.color ? String(data.color) : undefined,
+    position,
+    created: data.created ? parseDate(data.created) : undefined,
+    imageRef
+  };
+}
+
+/**
+ * Note filename from the card title, so [[title]] links also work in Obsidian
+ */
+function getNoteFilename(card, usedNames) {
+  const title = getCardTitle(card).replace(/[\\/:*?"<>|#^[\]]/g, '').trim().slice(0, 80);
+  let name = title || card.uniqueId || `kort-${card.id}`;
+  if (usedNames.has(name.toLowerCase())) name = `${name} (${card.uniqueId || card.id})`;
+  usedNames.add(name.toLowerCase());
+  return `${name}.md`;
+}
+
+/**
+ * Zip with one note per card and the images folder
+ * @returns {Promise<{ blob: Blob, imageCount: number }>}
+ */
+export async function createVaultZip(cards) {
+  const JSZip = (await import('jszip')).default;
+  const zip = new JSZip();
+  const usedNames = new Set();
+  let imageCount = 0;
+
+  cards.forEach(card => {
+    let imagePath = null;
+    const imageSrc = getCardImageSrc(card.image);
+    const dataUrl = imageSrc?.match(/^data:image\/([\w+.-]+);base64,(.*)$/);
+    if (dataUrl) {
+      const extension = dataUrl[1] === 'jpeg' ? 'jpg' : dataUrl[1].replace('+xml', '');
+      imagePath = `${IMAGE_FOLDER}/${card.uniqueId || card.id}.${extension}`;
+      zip.file(imagePath, dataUrl[2], { base64: true });
+      imageCount++;
+    } else if (imageSrc) {
+      console.warn(`Card ${card.id} has a non-embedded image, skipped in vault export`);
+    }
+
+    zip.file(getNoteFilename(card, usedNames), cardToMarkdown(card, imagePath));
+  });
+
+  return { blob: await zip.generateAsync({ type: 'blob' }), imageCount };
+}
+
+function getBasename(path) {
+  return path.split('/').pop().toLowerCase();
+}
+
+/**
+ * MIME type of an image file by extension, null for other files
+ */
+export function getImageType(path) {
+  return IMAGE_TYPES[path.split('.').pop().toLowerCase()] || null;
+}
+
+/**
+ * Read notes from vault zips and/or loose .md and image files
+ * Images are matched to notes by filename, wherever they are in the vault.
+ * @param {Array<File>} files
+ * @returns {Promise<Array>} Parsed notes (see parseMarkdownNote) with imageSrc as a data URL
+ */
+export async function readVaultFiles(files) {
+  const notes = [];
+  const images = new Map(); // basename -> data URL
+
+  const isVaultFile = path => !path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      const JSZip = (await import('jszip')).default;
+      const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+      for (const entry of Object.values(zip.files)) {
+        if (entry.dir || !isVaultFile(entry.name)) continue;
+        if (NOTE_PATTERN.test(entry.name)) {
+          notes.push(parseMarkdownNote(await entry.async('text'), entry.name.split('/').pop()));
+        } else if (getImageType(entry.name)) {
+          images.set(getBasename(entry.name), `data:${getImageType(entry.name)};base64,${await entry.async('base64')}`);
+        }
+      }
+    } else if (NOTE_PATTERN.test(file.name)) {
+      notes.push(parseMarkdownNote(await file.text(), file.name));
+    } else if (getImageType(file.name)) {
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+      images.set(getBasename(file.name), dataUrl);
+    }
+  }
+
+  return notes.map(note => ({
+    ...note,
+    imageSrc: note.imageRef ? images.get(getBasename(note.imageRef)) || null : null
+  }));
+}
+
+/**
+ * Fields of an existing card that the note changes. Text is trimmed and
+ * positions rounded on export, so those are compared the same way.
+ */
+function getNoteUpdates(card, fields, imageSrc) {
+  const updates = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === undefined) return;
+    const current = card[field];
+    const same = field === 'text' || field === 'backText'
+      ? (current || '').trim() === value
+      : field === 'position'
+        ? current && Math.round(current.x) === value.x && Math.round(current.y) === value.y
+        : field === 'image'
+          ? getCardImageSrc(current) === imageSrc
+          : JSON.stringify(current ?? null) === JSON.stringify(value);
+    if (!same) updates[field] = value;
+  });
+  return updates;
+}
+
+/**
+ * Save imported notes as cards. A note whose uniqueId matches a card updates it,
+ * also when the card is in the trash (it is restored first) or was created
+ * earlier in the same import.
+ * @param {Array} notes - From readVaultFiles
+ * @param {Function} placeCard - (fields) => position for new cards without one
+ * @returns {Promise<Object>} { created, updated, restored }
+ */
+export async function importVaultNotes(notes, placeCard) {
+  // uniqueIds are global, so a card is updated even if it lives on another board
+  const cardsByUniqueId = new Map((await getAllCards({ allBoards: true })).map(card => [card.uniqueId, card]));
+  const trashedByUniqueId = new Map((await getTrash()).map(card => [card.uniqueId, card]));
+  const counts = { created: 0, updated: 0, restored: 0 };
+
+  for (const note of notes) {
+    const fields = {
+      text: note.text,
+      backText: note.backText,
+      comments: note.comments,
+      tags: note.tags,
+      cardColor: note.cardColor,
+      position: note.position
+    };
+    if (note.imageSrc) fields.image = { base64: note.imageSrc };
+
+    let existing = note.uniqueId ? cardsByUniqueId.get(note.uniqueId) : null;
+    const trashed = !existing && note.uniqueId ? trashedByUniqueId.get(note.uniqueId) : null;
+    if (trashed) {
+      existing = await restoreCard(trashed.id);
+      trashedByUniqueId.delete(note.uniqueId);
+      cardsByUniqueId.set(note.uniqueId, existing);
+      counts.restored++;
+    }
+
+    if (existing) {
+      const updates = getNoteUpdates(existing, fields, note.imageSrc);
+      if (Object.keys(updates).length > 0) {
+        await updateCard(existing.id, updates);
+        cardsByUniqueId.set(note.uniqueId, { ...existing, ...updates });
+        if (!trashed) counts.updated++;
+      }
+      continue;
+    }
+
+    if (!fields.position) fields.position = placeCard(fields);
+
+    const cardData = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    const card = { ...cardData, uniqueId: note.uniqueId, created: note.created };
+    const id = await createCardWithUniqueId(card);
+    if (note.uniqueId) cardsByUniqueId.set(note.uniqueId, { ...card, id });
+    counts.created++;
+  }
+
+  return counts;
+}
@@ -0,0 +1,278 @@
+/**
+ * Image reading (OCR) providers
+ * Every provider reads an image card with the same prompt and answers in the
+ * same shape, so the card gets the same fields whichever engine is used:
+ * { text, description, metadata: { extractedDate, extractedTime,
+ * extractedDateTime, extractedPeople, extractedPlaces }, hashtags }
+ *
+ * A provider is { id, name, icon, description, local, getApiKey, readImage }
+ * where readImage(imageData) takes a data URL and resolves to that shape.
+ * Errors carry `status` when the service answered with an HTTP error, which the
+ * OCR queue uses to decide whether to retry.
+ */
+
+import { getCard, updateCard } from './storage.js';
+import { getGoogleAIAPIKey, getOpenAIAPIKey } from './gemini.js';
+import { getAnthropicAPIKey, getClaudeApiUrl } from './claude.js';
+import { recognizeTextLocally, extractLocalMetadata } from './local-ocr.js';
+
+const OCR_PROVIDER_KEY = 'ocrProvider';
+const DEFAULT_OCR_PROVIDER = 'gemini';
+
+export const OCR_PROMPT = `Transkribera texten från bilden exakt som den är skriven och extrahera metadata.
+
+OM BILDEN INTE HAR NÅGON TEXT: Beskriv kort vad bilden visar (1-2 meningar).
+
+VIKTIGT: Svara ENDAST med en JSON-struktur enligt detta format:
+
+{
+  "text": "[transkriberad text här, eller tom sträng om ingen text]",
+  "description": "[kort bildbeskrivning om ingen text finns, annars null]",
+  "metadata": {
+    "extractedDate": "YYYY-MM-DD eller null",
+    "extractedTime": "HH:MM eller null",
+    "extractedDateTime": "YYYY-MM-DDTHH:MM eller null (kombinera datum+tid)",
+    "extractedPeople": ["person1", "person2"] eller [],
+    "extractedPlaces": ["plats1", "plats2"] eller []
+  },
+  "hashtags": ["tag1", "tag2", "tag3"]
+}
+
+HASHTAG-REGLER:
+1. Datumtaggar: Om datum hittas, skapa #YYMMDD (ex: #250819 för 2025-08-19)
+2. Veckotaggar: Om datum känt, skapa #YYvVV (ex: #25v44 för vecka 44, 2025)
+3. Kategoritaggar: #möte #anteckning #todo #faktura #kontrakt #brev #kvitto #foto etc
+4. Namntaggar: Personer som nämns, normaliserade (ex: #smith #jones)
+5. Platstaggar: Platser som nämns (ex: #stockholm #kontoret)
+
+METADATA-INSTRUKTIONER:
+- extractedDate: Extrahera datum från SYNLIG text i bilden (YYYY-MM-DD format)
+- extractedTime: Extrahera tid från SYNLIG text (HH:MM format)
+- extractedDateTime: Om både datum OCH tid finns, kombinera till ISO-format (YYYY-MM-DDTHH:MM)
+- extractedPeople: Lista alla personnamn som nämns i texten
+- extractedPlaces: Lista alla platser/adresser som nämns
+
+BESKRIVNING-INSTRUKTIONER:
+- Om bilden INTE har någon läsbar text: Beskriv kort vad som visas (ex: "En solnedgång över havet", "En katt på en soffa")
+- Om bilden HAR text: Sätt description till null
+- Håll beskrivningen kort och koncis (max 2 meningar)
+
+OBS: Vi kommer senare även lägga till EXIF-metadata från filen (GPS, filskapare, originaldatum etc), så håll strukturen ren.`;
+
+/**
+ * Split a data URL into mime type and base64 data
+ */
+function splitDataUrl(dataUrl) {
+  const match = dataUrl.match(/^data:([^;,]+)[^,]*,(.*)$/);
+  return match
+    ? { mimeType: match[1], data: match[2] }
+    : { mimeType: 'image/jpeg', data: dataUrl };
+}
+
+async function throwIfFailed(response) {
+  if (response.ok) return;
+
+  const errorData = await response.json().catch(() => ({}));
+  const message = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : null);
+  const error = new Error(message || `API request failed with status ${response.status}`);
+  // Lets callers tell rate limits and server errors from bad requests
+  error.status = response.status;
+  throw error;
+}
+
+/**
+ * Parse a model answer to the OCR prompt; plain text is kept as the card text
+ * @returns {Object} { text, description, metadata, hashtags }
+ */
+export function parseOcrResponse(rawText) {
+  try {
+    const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/) || rawText.match(/```\s*([\s\S]*?)\s*```/);
+    const jsonText = jsonMatch ? jsonMatch[1] : rawText;
+    return JSON.parse(jsonText.trim());
+  } catch (parseError) {
+    console.warn('Failed to parse JSON, falling back to raw text:', parseError);
+    return { text: rawText, hashtags: [] };
+  }
+}
+
+async function readWithGemini(imageData) {
+  const apiKey = await getGoogleAIAPIKey();
+  const { mimeType, data } = splitDataUrl(imageData);
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{
+        parts: [
+          { text: OCR_PROMPT },
+          { inline_data: { mime_type: mimeType, data } }
+        ]
+      }]
+    })
+  });
+  await throwIfFailed(response);
+
+  const result = await response.json();
+  const rawText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (rawText === undefined) {
+    throw new Error('Invalid response structure from Gemini API.');
+  }
+  return parseOcrResponse(rawText);
+}
+
+async function readWithClaude(imageData) {
+  const apiKey = await getAnthropicAPIKey();
+  const { mimeType, data } = splitDataUrl(imageData);
+
+  const response = await fetch(getClaudeApiUrl(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey
+    },
+    body: JSON.stringify({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 2048,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: mimeType, data } },
+          { type: 'text', text: OCR_PROMPT }
+        ]
+      }]
+    })
+  });
+  await throwIfFailed(response);
+
+  const result = await response.json();
+  const textBlock = result.content?.find(block => block.type === 'text');
+  if (!textBlock) {
+    throw new Error('Invalid response structure from Claude API.');
+  }
+  return parseOcrResponse(textBlock.text);
+}
+
+async function readWithOpenAI(imageData) {
+  const apiKey = await getOpenAIAPIKey();
+
+  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model: 'gpt-4o',
+      response_format: { type: 'json_object' },
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: OCR_PROMPT },
+          { type: 'image_url', image_url: { url: imageData } }
+        ]
+      }]
+    })
+  });
+  await throwIfFailed(response);
+
+  const result = await response.json();
+  const rawText = result.choices?.[0]?.message?.content;
+  if (rawText === undefined || rawText === null) {
+    throw new Error('Invalid response structure from OpenAI API.');
+  }
+  return parseOcrResponse(rawText);
+}
+
+async function readLocally(imageData) {
+  const text = await recognizeTextLocally(imageData);
+  if (!text) {
+    throw new Error('Ingen text hittades i bilden.');
+  }
+  return { text, description: null, ...extractLocalMetadata(text) };
+}
+
+export const OCR_PROVIDERS = [
+  {
+    id: 'gemini',
+    name: 'Gemini 2.5 Flash',
+    icon: '✨',
+    description: 'Snabb och billig. Läser handskrift bra och beskriver bilder utan text.',
+    local: false,
+    getApiKey: getGoogleAIAPIKey,
+    readImage: readWithGemini
+  },
+  {
+    id: 'claude',
+    name: 'Claude Sonnet',
+    icon: '🤖',
+    description: 'Noggrann tolkning av svårläst handskrift och struktur.',
+    local: false,
+    getApiKey: getAnthropicAPIKey,
+    readImage: readWithClaude
+  },
+  {
+    id: 'openai',
+    name: 'ChatGPT (GPT-4o)',
+    icon: '💬',
+    description: 'Pålitlig allround-läsning av text och bilder.',
+    local: false,
+    getApiKey: getOpenAIAPIKey,
+    readImage: readWithOpenAI
+  },
+  {
+    id: 'local',
+    name: 'Lokal OCR (Tesseract)',
+    icon: '🔒',
+    description: 'Bilden lämnar aldrig datorn och inget nätverk behövs. Bra på tryckt text, sämre på handskrift. Hittar datum och tider men inga personer eller platser.',
+    local: true,
+    getApiKey: async () => null,
+    readImage: readLocally
+  }
+];
+
+export function getOcrProvider() {
+  const id = localStorage.getItem(OCR_PROVIDER_KEY);
+  return OCR_PROVIDERS.find(provider => provider.id === id)
+    || OCR_PROVIDERS.find(provider => provider.id === DEFAULT_OCR_PROVIDER);
+}
+
+export function setOcrProvider(id) {
+  localStorage.setItem(OCR_PROVIDER_KEY, id);
+}
+
+/**
+ * Ask for the provider's API key if it needs one
+ * @returns {Promise<boolean>} False when the user cancelled
+ */
+export async function ensureOcrProviderReady(provider = getOcrProvider()) {
+  if (provider.local) return true;
+  return Boolean(await provider.getApiKey());
+}
+
+/**
+ * Read one image card and store the result on the card (no UI, throws on failure)
+ * @param {number} cardId - The ID of the card to process
+ * @param {Object} provider - One of OCR_PROVIDERS, default the chosen one
+ */
+export async function ocrImageCard(cardId, provider = getOcrProvider()) {
+  const card = await getCard(cardId);
+
+  if (!card || !card.image || !card.image.base64) {
+    throw new Error('Ingen bilddata hittades för detta kort.');
+  }
+
+  const parsedData = await provider.readImage(card.image.base64);
+  const mainContent = parsedData.text || parsedData.description || '';
+
+  const existingTags = card.tags || [];
+  const newTags = (parsedData.hashtags || []).map(tag => tag.replace('#', ''));
+  const mergedTags = [...new Set([...existingTags, ...newTags])];
+
+  await updateCard(cardId, {
+    text: mainContent,  // Put extracted text in main text field
+    tags: mergedTags,
+    geminiMetadata: parsedData.metadata || {} // Same metadata fields for every provider
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * Persistent OCR job queue
+ * Jobs live in the `ocrJobs` table of SpatialViewDB, so a batch continues after
+ * a reload. A job is { id, cardId, status, attempts, nextAttemptAt, error, created }
+ * with status 'queued' | 'running' | 'failed'; finished jobs are deleted.
+ *
+ * At most OCR_CONCURRENCY jobs run at once. Rate limits (HTTP 429), server
+ * errors and network errors are retried with exponential backoff, and a rate
+ * limit pauses the whole queue until the backoff has passed.
+ */
+
+import { db } from './storage.js';
+
+export const OCR_CONCURRENCY = 2;
+export const OCR_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+
+let handlers = { runJob: null, onChange: null, onDrained: null };
+let activeCount = 0;
+let pausedUntil = 0;
+let wakeTimer = null;
+let pumping = false;
+let pumpRequested = false;
+let batch = { done: 0, failed: 0 };
+
+/**
+ * Delay before attempt number `attempts + 1`, with jitter so parallel jobs spread out
+ */
+export function getBackoffDelay(attempts) {
+  const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** (attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Rate limits, server errors and network failures (fetch throws TypeError) are worth retrying
+ */
+export function isRetryableError(error) {
+  return error?.status === 429 || error?.status >= 500 || error instanceof TypeError;
+}
+
+/**
+ * Set the job runner and listeners
+ * @param {Object} options
+ * @param {Function} options.runJob - async (job) => void, throws on failure
+ * @param {Function} options.onChange - (jobs, { done, failed, pausedUntil }) => void
+ * @param {Function} options.onDrained - ({ done, failed }) => void when a batch is finished; failed is the failed jobs
+ */
+export function configureOcrQueue({ runJob, onChange = null, onDrained = null }) {
+  handlers = { runJob, onChange, onDrained };
+}
+
+/**
+ * Resume jobs left from an earlier session (jobs that were running are queued again)
+ */
+export async function startOcrQueue() {
+  if (activeCount === 0) {
+    await db.ocrJobs.where('status').equals('running').modify({ status: 'queued' });
+  }
+  await pump();
+}
+
+export async function getOcrJobs() {
+  return await db.ocrJobs.orderBy('created').toArray();
+}
+
+/**
+ * Queue cards for OCR; cards already waiting or running are skipped, failed ones start over
+ * @returns {Promise<number>} Number of cards queued
+ */
+export async function enqueueOcrJobs(cardIds) {
+  const now = Date.now();
+  let added = 0;
+
+  await db.transaction('rw', db.ocrJobs, async () => {
+    for (const cardId of cardIds) {
+      const existing = await db.ocrJobs.where('cardId').equals(cardId).first();
+      if (existing && existing.status !== 'failed') continue;
+
+      const job = { cardId, status: 'queued', attempts: 0, nextAttemptAt: 0, error: null, created: now };
+      if (existing) {
+        await db.ocrJobs.update(existing.id, job);
+      } else {
+        await db.ocrJobs.add(job);
+      }
+      added++;
+    }
+  });
+
+  await pump();
+  return added;
+}
+
+export async function retryFailedOcrJobs() {
+  const failed = await db.ocrJobs.where('status').equals('failed').toArray();
+  return await enqueueOcrJobs(failed.map(job => job.cardId));
+}
+
+export async function clearFailedOcrJobs() {
+  await db.ocrJobs.where('status').equals('failed').delete();
+  await notifyChange();
+}
+
+/**
+ * Start jobs until the concurrency limit is reached or nothing is ready
+ */
+async function pump() {
+  if (!handlers.runJob) return;
+  if (pumping) {
+    pumpRequested = true;
+    return;
+  }
+
+  pumping = true;
+  try {
+    do {
+      pumpRequested = false;
+      await startReadyJobs();
+    } while (pumpRequested);
+  } finally {
+    pumping = false;
+  }
+
+  await notifyChange();
+}
+
+async function startReadyJobs() {
+  while (activeCount < OCR_CONCURRENCY) {
+    const now = Date.now();
+    if (pausedUntil > now) {
+      scheduleWake(pausedUntil - now);
+      return;
+    }
+
+    const queued = await db.ocrJobs.where('status').equals('queued').sortBy('created');
+    if (queued.length === 0) return;
+
+    const job = queued.find(candidate => (candidate.nextAttemptAt || 0) <= now);
+    if (!job) {
+      scheduleWake(Math.min(...queued.map(candidate => candidate.nextAttemptAt)) - now);
+      return;
+    }
+
+    await db.ocrJobs.update(job.id, { status: 'running' });
+    activeCount++;
+    executeJob({ ...job, status: 'running' });
+  }
+}
+
+async function executeJob(job) {
+  try {
+    await handlers.runJob(job);
+    await db.ocrJobs.delete(job.id);
+    batch.done++;
+  } catch (error) {
+    const attempts = (job.attempts || 0) + 1;
+    console.warn(`OCR failed for card ${job.cardId} (attempt ${attempts}):`, error);
+
+    if (isRetryableError(error) && attempts < OCR_MAX_ATTEMPTS) {
+      const delay = getBackoffDelay(attempts);
+      if (error.status === 429) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      await db.ocrJobs.update(job.id, {
+        status: 'queued',
+        attempts,
+        nextAttemptAt: Date.now() + delay,
+        error: error.message
+      });
+    } else {
+      await db.ocrJobs.update(job.id, { status: 'failed', attempts, error: error.message });
+      batch.failed++;
+    }
+  } finally {
+    activeCount--;
+    await pump();
+  }
+}
+
+function scheduleWake(delay) {
+  clearTimeout(wakeTimer);
+  wakeTimer = setTimeout(pump, Math.max(0, delay) + 50);
+}
+
+/**
+ * Report the queue state; a batch is finished when nothing is queued or running
+ */
+async function notifyChange() {
+  const jobs = await getOcrJobs();
+  handlers.onChange?.(jobs, { ...batch, pausedUntil });
+
+  const pending = jobs.some(job => job.status === 'queued' || job.status === 'running');
+  if (pending || activeCount > 0 || batch.done + batch.failed === 0) return;
+
+  const finished = { done: batch.done, failed: jobs.filter(job => job.status === 'failed') };
+  batch = { done: 0, failed: 0 };
+  handlers.onDrained?.(finished);
+}
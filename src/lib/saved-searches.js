@@ -0,0 +1,74 @@
+/**
+ * Saved searches (smart collections)
+ * Stored in the `savedSearches` table of SpatialViewDB, shared by all boards.
+ * A saved search is { id, name, query, pinned, created, modified }; pinned
+ * searches are live smart collections shown as filter tabs in column view.
+ */
+
+import { db } from './storage.js';
+import { getQuerySyntaxError } from './search-query.js';
+
+/**
+ * Get all saved searches, sorted by name
+ */
+export async function getSavedSearches() {
+  return await db.savedSearches.orderBy('name').toArray();
+}
+
+/**
+ * Get pinned saved searches (smart collections)
+ */
+export async function getSmartCollections() {
+  return (await getSavedSearches()).filter(search => search.pinned);
+}
+
+/**
+ * Save a query under a name
+ * Saving an existing name replaces its query.
+ * @throws {Error} If the name is empty or the query does not parse
+ */
+export async function saveSearch({ name, query, pinned = false }) {
+  const trimmedName = name.trim();
+  const trimmedQuery = query.trim();
+
+  if (!trimmedName) {
+    throw new Error('Sökningen behöver ett namn');
+  }
+  if (!trimmedQuery) {
+    throw new Error('Sökfrågan är tom');
+  }
+
+  const syntaxError = getQuerySyntaxError(trimmedQuery);
+  if (syntaxError) {
+    throw new Error(`Ogiltig sökfråga: ${syntaxError.message}`);
+  }
+
+  const now = Date.now();
+  const existing = await db.savedSearches.where('name').equals(trimmedName).first();
+  if (existing) {
+    await db.savedSearches.update(existing.id, { query: trimmedQuery, modified: now });
+    return existing.id;
+  }
+
+  return await db.savedSearches.add({
+    name: trimmedName,
+    query: trimmedQuery,
+    pinned,
+    created: now,
+    modified: now
+  });
+}
+
+/**
+ * Update saved search
+ */
+export async function updateSavedSearch(id, updates) {
+  await db.savedSearches.update(id, { ...updates, modified: Date.now() });
+}
+
+/**
+ * Delete saved search
+ */
+export async function deleteSavedSearch(id) {
+  await db.savedSearches.delete(id);
+}
@@ -0,0 +1,479 @@
+/**
+ * Search query language
+ *
+ * tokenize -> parse (AST) -> compile (matcher). A query is compiled once and the
+ * resulting matcher is run per card, instead of re-scanning the query string per card.
+ *
+ * Grammar (operators are case-insensitive, adjacent terms mean AND):
+ *   or      := and (OR and)*
+ *   and     := unary ([AND] unary)*
+ *   unary   := NOT unary | near
+ *   near    := primary (NEAR/n | N/n primary)?
+ *   primary := ( or ) | term | "phrase" | field:value
+ */
+
+/**
+ * Field qualifiers usable as search terms, e.g. tag:möte, has:image
+ */
+const FIELD_QUALIFIERS = new Set(['tag', 'color', 'created', 'modified', 'has', 'is', 'ocr']);
+
+// Card predicates for has:value and is:value
+const HAS_PREDICATES = new Map([
+  ['image', card => !!card.image],
+  ['tags', card => (card.tags || []).length > 0],
+  ['tag', card => (card.tags || []).length > 0],
+  ['comment', card => !!card.comments],
+  ['comments', card => !!card.comments],
+  ['color', card => !!card.cardColor]
+]);
+const IS_PREDICATES = new Map([
+  // Pinning a card locks it in place, so both read the locked flag
+  ['pinned', card => !!card.locked],
+  ['locked', card => !!card.locked],
+  ['text', card => !card.image]
+]);
+const HAS_VALUES = Array.from(HAS_PREDICATES.keys());
+const IS_VALUES = Array.from(IS_PREDICATES.keys());
+
+/**
+ * Syntax error in a search query
+ * position is the character offset where the problem was found.
+ */
+export class SearchSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Normalize search query (trim, lowercase) and guard against invalid inputs
+ */
+export function normalizeSearchQuery(query) {
+  if (typeof query !== 'string') return '';
+  return query.trim().toLowerCase();
+}
+
+/**
+ * Build the searchable text payload for a card
+ */
+export function buildCardSearchText(card) {
+  const text = (card.text || '').toLowerCase();
+  const backText = (card.backText || '').toLowerCase();
+  const tags = (card.tags || []).join(' ').toLowerCase();
+  return [text, backText, tags].join(' ').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function wildcardToRegExp(term, { anchored = false } = {}) {
+  const pattern = escapeRegExp(term).replace(/\*/g, '.*').replace(/\?/g, '.');
+  return anchored
+    ? new RegExp('^' + pattern + '$', 'i')
+    : new RegExp('\\b' + pattern + '\\b', 'i');
+}
+
+/**
+ * Check if term matches with wildcard support (* = any characters, ? = one character)
+ */
+export function matchWithWildcard(term, searchableText) {
+  if (term.includes('*') || term.includes('?')) {
+    return wildcardToRegExp(term).test(searchableText);
+  }
+  return searchableText.includes(term);
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+/**
+ * Split a query into tokens
+ * @returns {Array} [{type: 'lparen'|'rparen'|'and'|'or'|'not'|'near'|'term'|'phrase'|'field', ...}]
+ */
+export function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const quote = query[start];
+    const end = query.indexOf(quote, start + 1);
+    if (end === -1) {
+      throw new SearchSyntaxError('Citattecken saknar avslutning', start);
+    }
+    return { value: query.slice(start + 1, end), end: end + 1 };
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const { value, end } = readQuoted(i);
+      tokens.push({ type: 'phrase', value: value.toLowerCase(), position: i });
+      i = end;
+      continue;
+    }
+
+    // Bare word, possibly field:value with quoted value
+    const start = i;
+    while (i < query.length && !/[\s()"']/.test(query[i])) i++;
+    let word = query.slice(start, i).toLowerCase();
+
+    const fieldMatch = word.match(/^([a-z]+):(.*)$/);
+    if (fieldMatch && FIELD_QUALIFIERS.has(fieldMatch[1])) {
+      let value = fieldMatch[2];
+      if (!value && (query[i] === '"' || query[i] === "'")) {
+        const quoted = readQuoted(i);
+        value = quoted.value.toLowerCase();
+        i = quoted.end;
+      }
+      if (!value) {
+        throw new SearchSyntaxError(`Värde saknas efter ${fieldMatch[1]}:`, start);
+      }
+      tokens.push({ type: 'field', field: fieldMatch[1], value, position: start });
+      continue;
+    }
+
+    // Apostrophes inside words (don't) are part of the word
+    while (query[i] === "'" && /[^\s()"']/.test(query[i + 1] || ' ')) {
+      i++;
+      while (i < query.length && !/[\s()"']/.test(query[i])) i++;
+      word = query.slice(start, i).toLowerCase();
+    }
+
+    const nearMatch = word.match(/^(near|n)\/(\d+)$/);
+    if (nearMatch) {
+      tokens.push({ type: 'near', distance: parseInt(nearMatch[2], 10), position: start });
+    } else if (word === 'and' || word === 'or' || word === 'not') {
+      tokens.push({ type: word, position: start });
+    } else {
+      tokens.push({ type: 'term', value: word, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parse a query into an AST
+ * Nodes: {type: 'and'|'or', children}, {type: 'not', child}, {type: 'near', left, right, distance},
+ * {type: 'term'|'phrase', value}, {type: 'field', field, value}
+ * @returns {Object|null} Root node, or null for an empty query
+ * @throws {SearchSyntaxError}
+ */
+export function parseQuery(query) {
+  const tokens = tokenize(normalizeSearchQuery(query));
+  if (tokens.length === 0) return null;
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const endPosition = query.length;
+
+  const describe = (token) => {
+    if (!token) return 'slutet av sökningen';
+    if (token.type === 'rparen') return '")"';
+    if (token.type === 'near') return 'NEAR';
+    return token.type.toUpperCase();
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const startsOperand = (token) =>
+    token && ['lparen', 'not', 'term', 'phrase', 'field'].includes(token.type);
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek()?.type === 'and' || startsOperand(peek())) {
+      if (peek().type === 'and') next();
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === 'not') {
+      next();
+      return { type: 'not', child: parseUnary() };
+    }
+    return parseNear();
+  };
+
+  const parseNear = () => {
+    const left = parsePrimary();
+    if (peek()?.type !== 'near') return left;
+
+    const operator = next();
+    const right = parsePrimary();
+    if (left.type !== 'term' || right.type !== 'term') {
+      throw new SearchSyntaxError('NEAR kräver ett ord på vardera sidan', operator.position);
+    }
+    return { type: 'near', left, right, distance: operator.distance };
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (!token) {
+      throw new SearchSyntaxError('Sökningen slutar med en operator', endPosition);
+    }
+
+    if (token.type === 'lparen') {
+      if (peek()?.type === 'rparen') {
+        throw new SearchSyntaxError('Tom parentes', token.position);
+      }
+      const node = parseOr();
+      if (next()?.type !== 'rparen') {
+        throw new SearchSyntaxError('Parentes saknar avslutning', token.position);
+      }
+      return node;
+    }
+
+    if (token.type === 'term' || token.type === 'phrase') {
+      return { type: token.type, value: token.value };
+    }
+
+    if (token.type === 'field') {
+      validateField(token);
+      return { type: 'field', field: token.field, value: token.value };
+    }
+
+    throw new SearchSyntaxError(`Oväntat ${describe(token)}`, token.position);
+  };
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new SearchSyntaxError(`Oväntat ${describe(peek())}`, peek().position);
+  }
+  return ast;
+}
+
+function validateField({ field, value, position }) {
+  if (field === 'has' && !HAS_VALUES.includes(value)) {
+    throw new SearchSyntaxError(`Okänt värde has:${value} (använd ${HAS_VALUES.join(', ')})`, position);
+  }
+  if (field === 'is' && !IS_VALUES.includes(value)) {
+    throw new SearchSyntaxError(`Okänt värde is:${value} (använd ${IS_VALUES.join(', ')})`, position);
+  }
+  if ((field === 'created' || field === 'modified') && !parseDateComparison(value)) {
+    throw new SearchSyntaxError(`Ogiltigt datum i ${field}:${value} (använd t.ex. >2025-10-01)`, position);
+  }
+}
+
+// ============================================================================
+// FIELD QUALIFIERS
+// ============================================================================
+
+/**
+ * Date range [start, end) for yyyy, yyyy-mm or yyyy-mm-dd
+ */
+function parseDateRange(value) {
+  const match = value.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+
+  if (month === null) {
+    return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+  }
+  if (day === null) {
+    return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+  }
+  return { start: new Date(year, month, day).getTime(), end: new Date(year, month, day + 1).getTime() };
+}
+
+/**
+ * Parse ">2025-10-01", "<=2025-10", "2025" into operator and date range
+ */
+function parseDateComparison(value) {
+  const match = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+  const range = match && parseDateRange(match[2]);
+  return range ? { operator: match[1] || '=', range } : null;
+}
+
+function matchDateComparison({ operator, range }, timestamp) {
+  if (!timestamp) return false;
+
+  switch (operator) {
+    case '>': return timestamp >= range.end;
+    case '>=': return timestamp >= range.start;
+    case '<': return timestamp < range.start;
+    case '<=': return timestamp < range.end;
+    default: return timestamp >= range.start && timestamp < range.end;
+  }
+}
+
+/**
+ * Build a card predicate for a field qualifier
+ */
+function compileField({ field, value }) {
+  switch (field) {
+    case 'tag': {
+      const pattern = value.includes('*') || value.includes('?')
+        ? wildcardToRegExp(value, { anchored: true })
+        : null;
+      return card => (card.tags || []).some(tag => {
+        const normalizedTag = tag.toLowerCase();
+        return pattern ? pattern.test(normalizedTag) : normalizedTag === value;
+      });
+    }
+    case 'color': {
+      // color:3 is shorthand for color:card-color-3, color:none matches uncolored cards
+      if (value === 'none') return card => !card.cardColor;
+      const color = /^\d+$/.test(value) ? `card-color-${value}` : value;
+      return card => (card.cardColor || '').toLowerCase() === color;
+    }
+    case 'created': {
+      const comparison = parseDateComparison(value);
+      return card => matchDateComparison(comparison, card.created);
+    }
+    case 'modified': {
+      const comparison = parseDateComparison(value);
+      return card => matchDateComparison(comparison, card.modified ?? card.lastModified);
+    }
+    case 'has':
+      // Unknown values are rejected by the parser; never match if one gets here
+      return HAS_PREDICATES.get(value) || (() => false);
+    case 'is':
+      return IS_PREDICATES.get(value) || (() => false);
+    case 'ocr':
+      // Text read from images ends up in text/backText of image cards
+      return card => !!card.image &&
+        matchWithWildcard(value, `${card.text || ''} ${card.backText || ''}`.toLowerCase());
+    default:
+      return () => false;
+  }
+}
+
+// ============================================================================
+// COMPILER
+// ============================================================================
+
+function findWordPositions(term, words) {
+  const positions = [];
+  words.forEach((word, index) => {
+    if (matchWithWildcard(term, word)) positions.push(index);
+  });
+  return positions;
+}
+
+/**
+ * Turn an AST node into a predicate ({ text, words, card }) => boolean
+ */
+function compileNode(node) {
+  switch (node.type) {
+    case 'and': {
+      const children = node.children.map(compileNode);
+      return context => children.every(child => child(context));
+    }
+    case 'or': {
+      const children = node.children.map(compileNode);
+      return context => children.some(child => child(context));
+    }
+    case 'not': {
+      const child = compileNode(node.child);
+      return context => !child(context);
+    }
+    case 'phrase':
+      return ({ text }) => text.includes(node.value);
+    case 'term':
+      return ({ text }) => matchWithWildcard(node.value, text);
+    case 'field': {
+      const predicate = compileField(node);
+      return ({ card }) => !!card && predicate(card);
+    }
+    case 'near':
+      return ({ words }) => {
+        const positions1 = findWordPositions(node.left.value, words());
+        const positions2 = findWordPositions(node.right.value, words());
+        return positions1.some(pos1 => positions2.some(pos2 => Math.abs(pos1 - pos2) <= node.distance));
+      };
+    default:
+      return () => false;
+  }
+}
+
+/**
+ * Compile a query once into a matcher
+ * Field qualifiers only match when a card is given.
+ * @returns {Object} { ast, isEmpty, matchesCard(card), matchesText(text, card) }
+ * @throws {SearchSyntaxError}
+ */
+export function compileQuery(query) {
+  const ast = parseQuery(query);
+  const predicate = ast ? compileNode(ast) : () => false;
+
+  const matchesText = (searchableText, card = null) => {
+    const text = typeof searchableText === 'string' ? searchableText.toLowerCase() : '';
+    let words = null;
+    return predicate({
+      text,
+      card,
+      words: () => (words ??= text.split(/\s+/))
+    });
+  };
+
+  return {
+    ast,
+    isEmpty: ast === null,
+    matchesCard: card => matchesText(buildCardSearchText(card), card),
+    matchesText
+  };
+}
+
+/**
+ * Syntax error for a query, or null if it parses
+ */
+export function getQuerySyntaxError(query) {
+  try {
+    parseQuery(query);
+    return null;
+  } catch (error) {
+    if (error instanceof SearchSyntaxError) return error;
+    throw error;
+  }
+}
+
+/**
+ * Evaluate a query against card text (and card fields when card is given)
+ * Convenience for one-off checks - compile once with compileQuery when matching many cards.
+ * Invalid queries match nothing.
+ */
+export function evaluateBooleanQuery(query, searchableText, card = null) {
+  let compiled;
+  try {
+    compiled = compileQuery(query);
+  } catch (error) {
+    if (error instanceof SearchSyntaxError) return false;
+    throw error;
+  }
+
+  return !compiled.isEmpty && compiled.matchesText(searchableText, card);
+}
@@ -0,0 +1,131 @@
+/**
+ * Spatial index for card bounds
+ *
+ * Uniform grid hash: every card is registered in each cell its bounding box
+ * touches, so a viewport query only visits nearby cells instead of all cards.
+ */
+
+const DEFAULT_CELL_SIZE = 500;
+
+/**
+ * Create a spatial index
+ * @param {number} cellSize - Grid cell size in canvas units
+ * @returns {Object} { insert, remove, query, getBounds, getTotalBounds, getIds, clear, size }
+ */
+export function createSpatialIndex(cellSize = DEFAULT_CELL_SIZE) {
+  const cells = new Map();   // "cx:cy" -> Set of ids
+  const entries = new Map(); // id -> { x, y, width, height, keys }
+
+  function getCellKeys({ x, y, width, height }) {
+    const keys = [];
+    const minCx = Math.floor(x / cellSize);
+    const maxCx = Math.floor((x + width) / cellSize);
+    const minCy = Math.floor(y / cellSize);
+    const maxCy = Math.floor((y + height) / cellSize);
+
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        keys.push(`${cx}:${cy}`);
+      }
+    }
+    return keys;
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+
+    for (const key of entry.keys) {
+      const cell = cells.get(key);
+      if (!cell) continue;
+      cell.delete(id);
+      if (cell.size === 0) cells.delete(key);
+    }
+    entries.delete(id);
+  }
+
+  /**
+   * Insert or move an entry
+   */
+  function insert(id, bounds) {
+    remove(id);
+
+    const keys = getCellKeys(bounds);
+    for (const key of keys) {
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(id);
+    }
+    entries.set(id, { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height, keys });
+  }
+
+  /**
+   * Ids whose bounds intersect rect
+   */
+  function query(rect) {
+    const result = new Set();
+
+    for (const key of getCellKeys(rect)) {
+      const cell = cells.get(key);
+      if (!cell) continue;
+
+      for (const id of cell) {
+        if (result.has(id)) continue;
+        const entry = entries.get(id);
+        const intersects = entry.x < rect.x + rect.width &&
+          entry.x + entry.width > rect.x &&
+          entry.y < rect.y + rect.height &&
+          entry.y + entry.height > rect.y;
+        if (intersects) result.add(id);
+      }
+    }
+    return result;
+  }
+
+  function getBounds(id) {
+    const entry = entries.get(id);
+    return entry ? { x: entry.x, y: entry.y, width: entry.width, height: entry.height } : null;
+  }
+
+  /**
+   * Bounding box of all entries, or null when empty
+   */
+  function getTotalBounds() {
+    if (entries.size === 0) return null;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    entries.forEach(entry => {
+      minX = Math.min(minX, entry.x);
+      minY = Math.min(minY, entry.y);
+      maxX = Math.max(maxX, entry.x + entry.width);
+      maxY = Math.max(maxY, entry.y + entry.height);
+    });
+
+    return { minX, minY, maxX, maxY };
+  }
+
+  function getIds() {
+    return Array.from(entries.keys());
+  }
+
+  function clear() {
+    cells.clear();
+    entries.clear();
+  }
+
+  return {
+    insert,
+    remove,
+    query,
+    getBounds,
+    getTotalBounds,
+    getIds,
+    clear,
+    get size() {
+      return entries.size;
+    }
+  };
+}
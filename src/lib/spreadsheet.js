@@ -0,0 +1,313 @@
+/**
+ * Spreadsheet (CSV/XLSX) import and CSV export of cards
+ * XLSX files are zips of XML: the sheets are read with JSZip and DOMParser,
+ * shared strings resolved and every cell returned as text.
+ */
+
+import { CARD_COLOR_INFO, getNearestCardColor } from '../utils/card-colors.js';
+
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Card fields a column can be mapped to, with header names that are matched automatically
+ */
+export const COLUMN_FIELDS = [
+  { field: 'text', label: 'Text', headers: ['text', 'framsida', 'innehåll', 'anteckning', 'annotation', 'note', 'content'] },
+  { field: 'backText', label: 'Baksida', headers: ['baksida', 'back', 'backtext'] },
+  { field: 'tags', label: 'Taggar', headers: ['taggar', 'tagg', 'tags', 'tag'] },
+  { field: 'cardColor', label: 'Färg', headers: ['färg', 'color', 'colour'] },
+  { field: 'comments', label: 'Kommentar', headers: ['kommentar', 'kommentarer', 'comment', 'comments'] },
+  { field: 'date', label: 'Datum', headers: ['datum', 'date', 'eventdate'] }
+];
+
+// English names next to the Swedish labels of CARD_COLOR_INFO
+const COLOR_NAMES = {
+  yellow: 'card-color-1',
+  red: 'card-color-2',
+  green: 'card-color-3',
+  blue: 'card-color-4',
+  purple: 'card-color-5',
+  pink: 'card-color-6',
+  rosa: 'card-color-6',
+  gray: 'card-color-8',
+  grey: 'card-color-8'
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting); the delimiter is guessed from the first line,
+ * since Swedish Excel writes semicolons
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCSV(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split('\n')[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Column index of a cell reference, "B3" -> 1
+ */
+function getColumnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function getText(element) {
+  // Phonetic runs (rPh) are reading aids, not part of the text
+  return Array.from(element.getElementsByTagNameNS(SHEET_NS, 't'))
+    .filter(t => t.parentElement?.localName !== 'rPh')
+    .map(t => t.textContent)
+    .join('');
+}
+
+/**
+ * Read the sheets of an XLSX workbook
+ * @returns {Promise<Array>} [{ name, rows, date1904 }], rows as in parseCSV
+ */
+export async function parseXLSX(arrayBuffer) {
+  const JSZip = (await import('jszip')).default;
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const parser = new DOMParser();
+  const readXml = async path => {
+    const file = zip.file(path);
+    return file ? parser.parseFromString(await file.async('text'), 'application/xml') : null;
+  };
+
+  const workbook = await readXml('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('Filen är inte en giltig Excel-fil (xl/workbook.xml saknas)');
+  }
+  const date1904 = ['1', 'true'].includes(workbook.getElementsByTagNameNS(SHEET_NS, 'workbookPr')[0]?.getAttribute('date1904'));
+
+  const relations = await readXml('xl/_rels/workbook.xml.rels');
+  const targets = new Map(Array.from(relations?.getElementsByTagName('Relationship') || [])
+    .map(relation => [relation.getAttribute('Id'), relation.getAttribute('Target')]));
+
+  const sharedStringsXml = await readXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? Array.from(sharedStringsXml.getElementsByTagNameNS(SHEET_NS, 'si')).map(getText)
+    : [];
+
+  const sheets = [];
+  for (const sheet of workbook.getElementsByTagNameNS(SHEET_NS, 'sheet')) {
+    const target = targets.get(sheet.getAttributeNS(REL_NS, 'id')) || '';
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    const sheetXml = await readXml(path);
+    if (!sheetXml) continue;
+
+    const rows = [];
+    for (const rowElement of sheetXml.getElementsByTagNameNS(SHEET_NS, 'row')) {
+      const row = [];
+      for (const cellElement of rowElement.getElementsByTagNameNS(SHEET_NS, 'c')) {
+        const type = cellElement.getAttribute('t');
+        const value = cellElement.getElementsByTagNameNS(SHEET_NS, 'v')[0]?.textContent ?? '';
+        let text = value;
+        if (type === 's') text = sharedStrings[Number(value)] ?? '';
+        else if (type === 'inlineStr') text = getText(cellElement);
+        else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+
+        const reference = cellElement.getAttribute('r');
+        row[reference ? getColumnIndex(reference) : row.length] = text;
+      }
+      // Rows keep their sheet position so header row numbers match what Excel shows
+      rows[Number(rowElement.getAttribute('r') || rows.length + 1) - 1] = Array.from(row, value => value ?? '');
+    }
+
+    sheets.push({ name: sheet.getAttribute('name'), rows: Array.from(rows, row => row || []), date1904 });
+  }
+
+  return sheets;
+}
+
+/**
+ * Read a .csv/.tsv/.txt or .xlsx file
+ * @returns {Promise<Array>} Sheets: [{ name, rows, date1904 }]
+ */
+export async function readSpreadsheetFile(file) {
+  if (/\.xlsx$/i.test(file.name)) {
+    return await parseXLSX(await file.arrayBuffer());
+  }
+  return [{ name: file.name, rows: parseCSV(await file.text()), date1904: false }];
+}
+
+/**
+ * Guess the column of each card field from the header names
+ * @returns {Object} field -> column index (or null); text falls back to the first unmapped column
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(header => String(header || '').trim().toLowerCase());
+  const mapping = {};
+  COLUMN_FIELDS.forEach(({ field, headers: names }) => {
+    const index = normalized.findIndex(header => names.includes(header));
+    mapping[field] = index === -1 ? null : index;
+  });
+  if (mapping.text === null) {
+    const mapped = Object.values(mapping);
+    const index = headers.findIndex((_, column) => !mapped.includes(column));
+    mapping.text = index === -1 ? null : index;
+  }
+  return mapping;
+}
+
+/**
+ * Index of the header row: the first of the top rows with a known column name
+ * (exports like Post-it's start with title rows), otherwise the first row
+ */
+export function guessHeaderRow(rows) {
+  const names = COLUMN_FIELDS.flatMap(({ headers }) => headers);
+  const index = rows.slice(0, 10).findIndex(row =>
+    row.some(cell => names.includes(String(cell || '').trim().toLowerCase()))
+  );
+  return Math.max(index, 0);
+}
+
+/**
+ * Card color from a cell: card-color-N, 1-8, a color name (sv/en) or #hex (nearest card color)
+ */
+export function parseColorValue(value) {
+  const color = String(value || '').trim().toLowerCase();
+  if (!color) return null;
+  if (/^card-color-[1-8]$/.test(color)) return color;
+  if (/^[1-8]$/.test(color)) return `card-color-${color}`;
+  if (color.startsWith('#')) return getNearestCardColor(color);
+  return CARD_COLOR_INFO.find(info => info.label.toLowerCase() === color)?.id || COLOR_NAMES[color] || null;
+}
+
+/**
+ * Date from a cell as YYYY-MM-DD: ISO, day-first (17/11/2025, 17.11.2025) or an Excel serial number
+ */
+export function parseDateValue(value, { date1904 = false } = {}) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const dayFirst = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})/);
+  let date = null;
+
+  if (iso) {
+    date = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+  } else if (dayFirst) {
+    date = new Date(Date.UTC(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1])));
+  } else if (/^\d+(\.\d+)?$/.test(text)) {
+    // Excel serials count days from 1899-12-30 (or 1904-01-01)
+    const serial = Number(text) + (date1904 ? 1462 : 0);
+    date = new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000);
+  } else if (!Number.isNaN(Date.parse(text))) {
+    date = new Date(Date.parse(text));
+  }
+
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null;
+}
+
+// The ' that toCSVCell puts before formula characters
+const FORMULA_ESCAPE = /^'(?=[=+\-@])/;
+
+/**
+ * Card data for the rows below the header row
+ * @param {Array} rows - Data rows
+ * @param {Object} mapping - field -> column index, as from guessColumnMapping
+ * @returns {Array} [{ text, backText, tags, cardColor, comments, eventDate }]; rows without text are skipped
+ */
+export function rowsToCards(rows, mapping, { date1904 = false } = {}) {
+  const cell = (row, field) => (mapping[field] === null || mapping[field] === undefined
+    ? ''
+    : String(row[mapping[field]] ?? '').trim().replace(FORMULA_ESCAPE, ''));
+
+  return rows
+    .map(row => {
+      const card = {
+        text: cell(row, 'text'),
+        tags: cell(row, 'tags').split(/[,;]/).map(tag => tag.trim().replace(/^#/, '')).filter(Boolean)
+      };
+      const backText = cell(row, 'backText');
+      const comments = cell(row, 'comments');
+      const cardColor = parseColorValue(cell(row, 'cardColor'));
+      const eventDate = parseDateValue(cell(row, 'date'), { date1904 });
+      if (backText) card.backText = backText;
+      if (comments) card.comments = comments;
+      if (cardColor) card.cardColor = cardColor;
+      if (eventDate) card.eventDate = eventDate;
+      return card;
+    })
+    .filter(card => card.text || card.backText);
+}
+
+/**
+ * Text starting with = + - or @ is run as a formula by Excel and LibreOffice,
+ * so it is written with a leading ' (removed again by rowsToCards)
+ */
+function toCSVCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per card; the headers match COLUMN_FIELDS so the file can be imported again
+ * @param {Array} cards
+ * @param {Map} frameNames - frameId -> name
+ * @returns {string} CSV with BOM, so Excel reads å, ä and ö correctly
+ */
+export function cardsToCSV(cards, frameNames = new Map()) {
+  const columns = [
+    ['id', card => card.id],
+    ['uniqueId', card => card.uniqueId],
+    ['text', card => card.text],
+    ['baksida', card => card.backText],
+    ['taggar', card => (card.tags || []).join(', ')],
+    ['färg', card => card.cardColor],
+    ['kommentar', card => card.comments],
+    ['datum', card => card.eventDate],
+    ['x', card => card.position ? Math.round(card.position.x) : ''],
+    ['y', card => card.position ? Math.round(card.position.y) : ''],
+    ['ram', card => frameNames.get(card.frameId)],
+    ['bild', card => (card.image ? 'ja' : '')],
+    ['skapad', card => card.created && new Date(card.created).toISOString()],
+    ['ändrad', card => card.modified && new Date(card.modified).toISOString()]
+  ];
+
+  const lines = [columns.map(([header]) => header).join(',')];
+  cards.forEach(card => lines.push(columns.map(([, getValue]) => toCSVCell(getValue(card))).join(',')));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
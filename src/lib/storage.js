@@ -3,16 +3,103 @@
  */
 
 import Dexie from 'dexie';
+import { createDelta, mergeDelta, getConflictOperation } from '../utils/delta-sync.js';
 
 // Initialize database
 const db = new Dexie('SpatialViewDB');
 
+const ACTIVE_BOARD_KEY = 'activeBoardId';
+const LAST_DELTA_EXPORT_KEY = 'lastDeltaExportAt';
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DEFAULT_BOARD_NAME = 'Min tavla';
+
 // Define schema
 db.version(1).stores({
   cards: '++id, created, modified, *tags',
   changelog: '++id, timestamp, cardId'
 });
 
+// Version 2: named boards, every card belongs to exactly one board
+db.version(2).stores({
+  cards: '++id, created, modified, *tags, boardId',
+  changelog: '++id, timestamp, cardId',
+  boards: '++id, name, created'
+}).upgrade(async tx => {
+  const now = Date.now();
+  const boardId = await tx.table('boards').add({
+    name: DEFAULT_BOARD_NAME,
+    created: now,
+    modified: now
+  });
+  await tx.table('cards').toCollection().modify(card => {
+    card.boardId = boardId;
+  });
+});
+
+// Version 3: connectors (links) between cards
+db.version(3).stores({
+  cards: '++id, created, modified, *tags, boardId',
+  changelog: '++id, timestamp, cardId',
+  boards: '++id, name, created',
+  connectors: '++id, boardId, fromCardId, toCardId'
+});
+
+// Version 4: frames (named sections) that own cards via card.frameId
+db.version(4).stores({
+  cards: '++id, created, modified, *tags, boardId',
+  changelog: '++id, timestamp, cardId',
+  boards: '++id, name, created',
+  connectors: '++id, boardId, fromCardId, toCardId',
+  frames: '++id, boardId'
+});
+
+// Version 5: saved searches (smart collections), shared by all boards
+db.version(5).stores({
+  cards: '++id, created, modified, *tags, boardId',
+  changelog: '++id, timestamp, cardId',
+  boards: '++id, name, created',
+  connectors: '++id, boardId, fromCardId, toCardId',
+  frames: '++id, boardId',
+  savedSearches: '++id, name'
+});
+
+// Version 6: trash - deleted cards keep their id and get deletedAt
+db.version(6).stores({
+  cards: '++id, created, modified, *tags, boardId',
+  changelog: '++id, timestamp, cardId',
+  boards: '++id, name, created',
+  connectors: '++id, boardId, fromCardId, toCardId',
+  frames: '++id, boardId',
+  savedSearches: '++id, name',
+  trash: 'id, deletedAt, boardId, uniqueId'
+});
+
+// Version 7: freehand ink strokes, on the board background or inside a card
+db.version(7).stores({
+  cards: '++id, created, modified, *tags, boardId',
+  changelog: '++id, timestamp, cardId',
+  boards: '++id, name, created',
+  connectors: '++id, boardId, fromCardId, toCardId',
+  frames: '++id, boardId',
+  savedSearches: '++id, name',
+  trash: 'id, deletedAt, boardId, uniqueId',
+  strokes: '++id, boardId, cardId'
+});
+
+// Version 8: OCR job queue, survives reloads (see lib/ocr-queue.js)
+db.version(8).stores({
+  cards: '++id, created, modified, *tags, boardId',
+  changelog: '++id, timestamp, cardId',
+  boards: '++id, name, created',
+  connectors: '++id, boardId, fromCardId, toCardId',
+  frames: '++id, boardId',
+  savedSearches: '++id, name',
+  trash: 'id, deletedAt, boardId, uniqueId',
+  strokes: '++id, boardId, cardId',
+  ocrJobs: '++id, &cardId, status, created'
+});
+
 /**
  * Initialize storage
  */
@@ -21,6 +108,9 @@ export async function initStorage() {
     await db.open();
     console.log('IndexedDB initialized');
 
+    // Make sure there is at least one board to put cards on
+    await ensureActiveBoard();
+
     // Check if this is first run
     const count = await db.cards.count();
     if (count === 0) {
@@ -31,6 +121,15 @@ export async function initStorage() {
     // Ensure modification timestamps are consistent
     await migrateModificationTimestamps();
 
+    // Cards imported from old backups may lack a board
+    await migrateCardsWithoutBoard();
+
+    // Delta sync identifies cards by uniqueId
+    await migrateMissingUniqueIds();
+
+    // Deleted cards are kept for a limited time
+    await purgeExpiredTrash();
+
     return db;
   } catch (error) {
     console.error('Failed to initialize storage:', error);
@@ -43,12 +142,14 @@ export async function initStorage() {
  */
 async function createWelcomeCard() {
   const welcomeCard = {
+    uniqueId: generateCardId(),
     text: 'Välkommen till Spatial View!\n\nDetta är din visuella second brain för handskrivna anteckningar.',
     tags: ['välkommen'],
     created: Date.now(),
     modified: Date.now(),
     lastModified: Date.now(),
-    position: { x: 100, y: 100 }
+    position: { x: 100, y: 100 },
+    boardId: getActiveBoardId()
   };
   
   await db.cards.add(welcomeCard);
@@ -56,10 +157,14 @@ async function createWelcomeCard() {
 }
 
 /**
- * Get all cards
+ * Get all cards on the active board
+ * Pass { allBoards: true } for backups and other cross-board operations
  */
-export async function getAllCards() {
-  return await db.cards.toArray();
+export async function getAllCards({ allBoards = false } = {}) {
+  if (allBoards) {
+    return await db.cards.toArray();
+  }
+  return await db.cards.where('boardId').equals(getActiveBoardId()).toArray();
 }
 
 /**
@@ -107,13 +212,27 @@ function generateCardId() {
  * Create new card
  */
 export async function createCard(cardData, metadata = {}) {
-  const uniqueId = generateCardId();
+  return await addCard({ ...cardData, uniqueId: generateCardId(), created: Date.now() }, metadata);
+}
+
+/**
+ * Create a card that keeps the uniqueId and creation time it was exported with,
+ * so importing the same file again updates the card instead of duplicating it
+ */
+export async function createCardWithUniqueId(cardData, metadata = {}) {
+  return await addCard({
+    ...cardData,
+    uniqueId: cardData.uniqueId || generateCardId(),
+    created: cardData.created ?? Date.now()
+  }, metadata);
+}
+
+async function addCard(cardData, metadata) {
   const now = Date.now();
 
   const card = {
+    boardId: getActiveBoardId(),
     ...cardData,
-    uniqueId,
-    created: now,
     modified: now,
     lastModified: now,
     metadata: {
@@ -178,20 +297,36 @@ async function migrateModificationTimestamps() {
 }
 
 /**
- * Delete card
+ * Give cards created before uniqueId existed one, so delta sync can track them
+ */
+async function migrateMissingUniqueIds() {
+  const count = await db.cards
+    .filter(card => !card.uniqueId)
+    .modify(card => {
+      card.uniqueId = generateCardId();
+    });
+
+  if (count > 0) {
+    console.log(`Assigned uniqueId to ${count} cards`);
+  }
+}
+
+/**
+ * Delete card - moves it to the trash (see restoreCard / purgeTrash)
  */
 export async function deleteCard(id) {
-  await db.cards.delete(id);
-  
-  // Log to changelog
-  await logChange('delete', id, null);
+  const card = await db.cards.get(id);
+  await moveCardsToTrash([id]);
+
+  // Log to changelog (uniqueId lets other devices find the card)
+  await logChange('delete', id, card?.uniqueId ? { uniqueId: card.uniqueId } : null);
 }
 
 /**
  * Search cards
  */
 export async function searchCards(query) {
-  const allCards = await db.cards.toArray();
+  const allCards = await getAllCards();
   
   return allCards.filter(card => {
     const tagsStr = card.tags ? card.tags.join(' ') : '';
@@ -200,6 +335,281 @@ export async function searchCards(query) {
   });
 }
 
+// ============================================================================
+// TRASH
+// ============================================================================
+
+/**
+ * Move cards to the trash together with their connectors
+ * Connectors cannot point at a missing card, so they leave the board too.
+ */
+async function moveCardsToTrash(ids) {
+  const deletedAt = Date.now();
+
+  await db.transaction('rw', db.cards, db.connectors, db.trash, async () => {
+    for (const id of ids) {
+      const card = await db.cards.get(id);
+      if (!card) continue;
+
+      const outgoing = await db.connectors.where('fromCardId').equals(id).toArray();
+      const incoming = await db.connectors.where('toCardId').equals(id).toArray();
+      const deletedConnectors = [...outgoing, ...incoming];
+
+      await db.trash.put({ ...card, deletedAt, deletedConnectors });
+      await db.connectors.bulkDelete(deletedConnectors.map(c => c.id));
+      await db.cards.delete(id);
+    }
+  });
+}
+
+/**
+ * Get trashed cards, most recently deleted first
+ */
+export async function getTrash() {
+  return (await db.trash.orderBy('deletedAt').toArray()).reverse();
+}
+
+/**
+ * Restore card from the trash with its id, uniqueId, connectors and ink
+ * Cards from deleted boards are restored to the active board; connectors to
+ * cards that are still gone stay deleted.
+ * @returns {Promise<Object|null>} The restored card, or null if it was not in the trash
+ */
+export async function restoreCard(id) {
+  const entry = await db.trash.get(id);
+  if (!entry) return null;
+
+  const { deletedAt, deletedConnectors = [], ...card } = entry;
+  const boardExists = card.boardId != null && await db.boards.get(card.boardId);
+  const now = Date.now();
+  const restored = {
+    ...card,
+    boardId: boardExists ? card.boardId : getActiveBoardId(),
+    frameId: boardExists ? card.frameId : null,
+    modified: now,
+    lastModified: now
+  };
+
+  await db.transaction('rw', db.cards, db.connectors, db.trash, db.strokes, async () => {
+    await db.cards.put(restored);
+    await db.strokes.where('cardId').equals(id).modify({ boardId: restored.boardId });
+
+    for (const connector of deletedConnectors) {
+      const otherId = connector.fromCardId === id ? connector.toCardId : connector.fromCardId;
+      if (await db.cards.get(otherId)) {
+        await db.connectors.put(connector);
+      }
+    }
+
+    await db.trash.delete(id);
+  });
+
+  // Other devices recreate the card from the full copy
+  await logChange('create', id, restored);
+
+  return restored;
+}
+
+/**
+ * Permanently delete cards from the trash (all of it when no ids are given)
+ * Ink strokes drawn inside the cards go with them.
+ */
+export async function purgeTrash(ids = null) {
+  const purgedIds = ids === null ? await db.trash.toCollection().primaryKeys() : ids;
+  await db.strokes.where('cardId').anyOf(purgedIds).delete();
+
+  if (ids === null) {
+    await db.trash.clear();
+  } else {
+    await db.trash.bulkDelete(ids);
+  }
+}
+
+/**
+ * Days a deleted card stays in the trash (0 = keep until emptied by hand)
+ */
+export function getTrashRetentionDays() {
+  const stored = localStorage.getItem(TRASH_RETENTION_KEY);
+  const days = stored === null ? DEFAULT_TRASH_RETENTION_DAYS : Number(stored);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+export function setTrashRetentionDays(days) {
+  localStorage.setItem(TRASH_RETENTION_KEY, String(Math.max(0, Math.floor(days))));
+}
+
+/**
+ * Permanently delete cards that have been in the trash longer than the retention time
+ * @returns {Promise<number>} Number of purged cards
+ */
+export async function purgeExpiredTrash() {
+  const days = getTrashRetentionDays();
+  if (days === 0) return 0;
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const expiredIds = await db.trash.where('deletedAt').below(cutoff).primaryKeys();
+  await purgeTrash(expiredIds);
+  const purged = expiredIds.length;
+  if (purged > 0) {
+    console.log(`Purged ${purged} cards from trash (older than ${days} days)`);
+  }
+  return purged;
+}
+
+// ============================================================================
+// BOARDS
+// ============================================================================
+
+/**
+ * Get id of the active board (persisted in localStorage)
+ */
+export function getActiveBoardId() {
+  const stored = Number(localStorage.getItem(ACTIVE_BOARD_KEY));
+  return Number.isInteger(stored) && stored > 0 ? stored : 1;
+}
+
+/**
+ * Set active board
+ */
+export function setActiveBoardId(boardId) {
+  localStorage.setItem(ACTIVE_BOARD_KEY, String(boardId));
+}
+
+/**
+ * Make sure the stored active board exists, falling back to the first board
+ */
+async function ensureActiveBoard() {
+  const boards = await db.boards.orderBy('created').toArray();
+
+  if (boards.length === 0) {
+    const id = await createBoard(DEFAULT_BOARD_NAME);
+    setActiveBoardId(id);
+    return id;
+  }
+
+  const activeId = getActiveBoardId();
+  if (!boards.some(board => board.id === activeId)) {
+    setActiveBoardId(boards[0].id);
+    return boards[0].id;
+  }
+
+  return activeId;
+}
+
+/**
+ * Assign cards without boardId to the active board
+ */
+async function migrateCardsWithoutBoard() {
+  const boardId = getActiveBoardId();
+  const count = await db.cards
+    .filter(card => card.boardId === undefined || card.boardId === null)
+    .modify({ boardId });
+
+  if (count > 0) {
+    console.log(`Moved ${count} cards without board to board ${boardId}`);
+  }
+}
+
+/**
+ * Get all boards, oldest first
+ */
+export async function getAllBoards() {
+  return await db.boards.orderBy('created').toArray();
+}
+
+/**
+ * Get board by ID
+ */
+export async function getBoard(id) {
+  return await db.boards.get(id);
+}
+
+/**
+ * Create new board
+ */
+export async function createBoard(name) {
+  const now = Date.now();
+  return await db.boards.add({
+    name: name.trim() || DEFAULT_BOARD_NAME,
+    created: now,
+    modified: now
+  });
+}
+
+/**
+ * Rename board
+ */
+export async function renameBoard(id, name) {
+  await db.boards.update(id, { name: name.trim(), modified: Date.now() });
+}
+
+/**
+ * Delete board and move all its cards to the trash
+ * The last remaining board cannot be deleted.
+ */
+export async function deleteBoard(id) {
+  const boardCount = await db.boards.count();
+  if (boardCount <= 1) {
+    throw new Error('Kan inte ta bort den sista tavlan');
+  }
+
+  const cardIds = await db.cards.where('boardId').equals(id).primaryKeys();
+  for (const cardId of cardIds) {
+    await deleteCard(cardId);
+  }
+  await db.connectors.where('boardId').equals(id).delete();
+  await db.frames.where('boardId').equals(id).delete();
+  await db.strokes.where('boardId').equals(id).and(stroke => stroke.cardId == null).delete();
+  await db.boards.delete(id);
+
+  if (getActiveBoardId() === id) {
+    await ensureActiveBoard();
+  }
+}
+
+/**
+ * Count cards per board
+ */
+export async function countCardsPerBoard() {
+  const counts = new Map();
+  await db.cards.each(card => {
+    counts.set(card.boardId, (counts.get(card.boardId) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Import cards plus boards, connectors, frames, saved searches and ink strokes from a backup
+ * Everything is merged by id; cards without board end up on the active board.
+ */
+export async function importBackupCards(cards, { boards = [], connectors = [], frames = [], savedSearches = [], strokes = [] } = {}) {
+  if (boards.length > 0) {
+    await db.boards.bulkPut(boards);
+  }
+
+  if (connectors.length > 0) {
+    await db.connectors.bulkPut(connectors);
+  }
+
+  if (frames.length > 0) {
+    await db.frames.bulkPut(frames);
+  }
+
+  if (savedSearches.length > 0) {
+    await db.savedSearches.bulkPut(savedSearches);
+  }
+
+  if (strokes.length > 0) {
+    await db.strokes.bulkPut(strokes);
+  }
+
+  const boardId = getActiveBoardId();
+  await db.cards.bulkPut(cards.map(card => ({
+    ...card,
+    boardId: card.boardId ?? boardId
+  })));
+}
+
 /**
  * Log change to changelog for delta sync
  */
@@ -217,52 +627,172 @@ async function logChange(operation, cardId, data) {
  */
 export async function exportFull() {
   const cards = await db.cards.toArray();
+  const boards = await db.boards.toArray();
+  const connectors = await db.connectors.toArray();
+  const frames = await db.frames.toArray();
+  const savedSearches = await db.savedSearches.toArray();
+  const strokes = await db.strokes.toArray();
   
   return {
     type: 'full',
     version: '1.0',
     exportedAt: Date.now(),
+    boards,
+    connectors,
+    frames,
+    savedSearches,
+    strokes,
     cards
   };
 }
 
 /**
- * Export delta (changes since timestamp)
+ * Get timestamp of last delta export (0 if never exported)
+ * Deltas start here: everything changed locally after it has not been sent yet.
+ */
+export function getLastDeltaExport() {
+  return Number(localStorage.getItem(LAST_DELTA_EXPORT_KEY)) || 0;
+}
+
+/**
+ * Remember that changes up to timestamp have been sent
  */
-export async function exportDelta(sinceTimestamp = 0) {
+export function markDeltaExported(timestamp) {
+  localStorage.setItem(LAST_DELTA_EXPORT_KEY, String(timestamp));
+}
+
+/**
+ * Compact changelog entries since timestamp into one change per card
+ */
+async function getCompactedChangesSince(sinceTimestamp) {
   const changes = await db.changelog
     .where('timestamp')
     .above(sinceTimestamp)
     .toArray();
+
+  const cards = await db.cards.toArray();
+  const uniqueIdByCardId = new Map(cards.map(card => [card.id, card.uniqueId]));
+
+  return createDelta(changes, uniqueIdByCardId);
+}
+
+/**
+ * Export delta (changes since timestamp)
+ */
+export async function exportDelta(sinceTimestamp = getLastDeltaExport()) {
+  const exportedAt = Date.now();
+  const changes = await getCompactedChangesSince(sinceTimestamp);
   
   return {
     type: 'delta',
-    version: '1.0',
+    version: '2.0',
     sinceTimestamp,
-    exportedAt: Date.now(),
+    exportedAt,
     changes
   };
 }
 
 /**
  * Import cards from JSON
+ * Delta imports apply every non-conflicting change directly and return the
+ * conflicts so the caller can let the user pick a side (see resolveDeltaConflicts).
  */
 export async function importData(jsonData) {
   if (jsonData.type === 'full') {
     // Full import - use bulkPut to update existing or add new based on ID
-    await db.cards.bulkPut(jsonData.cards);
-  } else if (jsonData.type === 'delta') {
-    // Delta import - merge changes
-    for (const change of jsonData.changes) {
-      if (change.operation === 'create') {
-        await db.cards.add(change.data);
-      } else if (change.operation === 'update') {
-        await db.cards.put(change.data);
-      } else if (change.operation === 'delete') {
-        await db.cards.delete(change.cardId);
+    await importBackupCards(jsonData.cards, jsonData);
+    return { applied: jsonData.cards.length, conflicts: [] };
+  }
+
+  if (jsonData.type !== 'delta') {
+    throw new Error(`Okänd importtyp: ${jsonData.type}`);
+  }
+
+  // Version 1.0 deltas are raw changelog entries - compact them first
+  const remoteChanges = jsonData.version === '1.0'
+    ? createDelta(jsonData.changes)
+    : jsonData.changes;
+
+  const localCards = await db.cards.toArray();
+  // Our changes the other device has not received yet; imported changes are
+  // never logged, so importing does not move this window
+  const localChanges = await getCompactedChangesSince(getLastDeltaExport());
+  const merge = mergeDelta(localCards, localChanges, remoteChanges);
+
+  // Remote changes are written directly, without changelog entries,
+  // so they are not echoed back in our next delta
+  await db.transaction('rw', db.cards, db.trash, async () => {
+    for (const card of merge.creates) {
+      await db.cards.add({
+        ...card,
+        boardId: getActiveBoardId(),
+        created: card.created ?? card.modified,
+        lastModified: card.modified
+      });
+
+      // A card restored on the other device must not linger in our trash
+      await db.trash.where('uniqueId').equals(card.uniqueId).delete();
+    }
+
+    for (const { id, fields, modified } of merge.updates) {
+      await db.cards.update(id, { ...fields, modified, lastModified: modified });
+    }
+  });
+
+  // Remote deletes are soft deletes here too
+  await moveCardsToTrash(merge.deletes);
+
+  if (merge.skipped > 0) {
+    console.warn(`Delta import skipped ${merge.skipped} updates for unknown cards`);
+  }
+
+  return {
+    applied: merge.creates.length + merge.updates.length + merge.deletes.length,
+    conflicts: merge.conflicts
+  };
+}
+
+/**
+ * Apply user-chosen resolutions for delta conflicts
+ * @param {Array} conflicts - Conflicts returned by importData
+ * @param {Map} resolutions - uniqueId -> 'local' | 'remote' (defaults to conflict.resolution)
+ */
+export async function resolveDeltaConflicts(conflicts, resolutions = new Map()) {
+  let applied = 0;
+
+  for (const conflict of conflicts) {
+    const resolution = resolutions.get(conflict.uniqueId) ?? conflict.resolution;
+
+    if (resolution === 'local') {
+      // Re-log our side so it wins on the other device with the next delta
+      const card = await db.cards.get(conflict.cardId);
+      if (!card) continue;
+
+      if (conflict.type === 'delete') {
+        await logChange('create', card.id, card);
+      } else {
+        const fields = Object.fromEntries(conflict.fields.map(({ field }) => [field, card[field]]));
+        await logChange('update', card.id, { ...fields, uniqueId: card.uniqueId });
       }
+      continue;
     }
+
+    const operation = getConflictOperation(conflict, resolution);
+    if (!operation) continue;
+
+    if (operation.type === 'delete') {
+      await moveCardsToTrash([operation.id]);
+    } else {
+      const now = Date.now();
+      await db.cards.update(operation.id, { ...operation.fields, modified: now, lastModified: now });
+      // Supersedes our own unsent edits of these fields, so they are not sent back
+      const { uniqueId } = await db.cards.get(operation.id);
+      await logChange('update', operation.id, { ...operation.fields, uniqueId });
+    }
+    applied++;
   }
+
+  return applied;
 }
 
 // Export db for advanced usage
@@ -0,0 +1,145 @@
+/**
+ * Wiki-style links between cards
+ * `[[card title]]` or `[[uniqueId]]` in a card's text or backText links to
+ * another card on the same board. The title is the first non-empty line.
+ * `[[card title|shown text]]` shows another text, as in Obsidian.
+ */
+
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]+?)\]\]/g;
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Target and shown text of the inside of a [[link]]
+ */
+function parseLinkBody(body) {
+  const [target, ...alias] = body.split('|');
+  return { target: target.trim(), label: alias.join('|').trim() || target.trim() };
+}
+
+/**
+ * Link targets in a text, in order of appearance, without duplicates
+ */
+export function parseWikiLinks(text) {
+  if (!text) return [];
+
+  const targets = [];
+  for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+    const { target } = parseLinkBody(match[1]);
+    if (target && !targets.includes(target)) targets.push(target);
+  }
+  return targets;
+}
+
+/**
+ * Split a text into plain and link segments for rendering
+ * @returns {Array} [{ type: 'text', value }] and [{ type: 'link', value: target, label }]
+ */
+export function splitWikiLinks(text) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of (text || '').matchAll(WIKI_LINK_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    const { target, label } = parseLinkBody(match[1]);
+    segments.push({ type: 'link', value: target, label });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < (text || '').length) {
+    segments.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return segments;
+}
+
+/**
+ * Card title used for links: first non-empty line without markdown heading marks
+ */
+export function getCardTitle(card) {
+  const source = card.text || card.backText || '';
+  const firstLine = source.split('\n').find(line => line.trim()) || '';
+  return firstLine.replace(/^#+\s*/, '').trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+/**
+ * Resolver for link targets on a board (uniqueId first, then title, case-insensitive)
+ * Builds its lookup maps once, so resolving every link of a board stays linear.
+ * Of cards sharing a title, the first one in cards wins.
+ * @returns {Function} target => card or null
+ */
+export function createWikiLinkResolver(cards) {
+  const byUniqueId = new Map();
+  const byTitle = new Map();
+  cards.forEach(card => {
+    const uniqueId = card.uniqueId?.toLowerCase();
+    if (uniqueId && !byUniqueId.has(uniqueId)) byUniqueId.set(uniqueId, card);
+    const title = getCardTitle(card).toLowerCase();
+    if (title && !byTitle.has(title)) byTitle.set(title, card);
+  });
+
+  return target => {
+    const wanted = target.trim().toLowerCase();
+    return byUniqueId.get(wanted) || byTitle.get(wanted) || null;
+  };
+}
+
+/**
+ * Outgoing links and backlinks for all cards
+ * @returns {Object} { linksByCard: Map id -> [{ target, card }], backlinksByCard: Map id -> [card],
+ *   resolve: target => card or null }
+ */
+export function buildWikiLinkIndex(cards) {
+  const linksByCard = new Map();
+  const backlinksByCard = new Map();
+  const resolve = createWikiLinkResolver(cards);
+
+  cards.forEach(card => {
+    const targets = parseWikiLinks(`${card.text || ''}\n${card.backText || ''}`);
+    if (targets.length === 0) return;
+
+    const links = targets.map(target => ({ target, card: resolve(target) }));
+    linksByCard.set(card.id, links);
+
+    links.forEach(({ card: linked }) => {
+      if (!linked || linked.id === card.id) return;
+      if (!backlinksByCard.has(linked.id)) backlinksByCard.set(linked.id, []);
+      const backlinks = backlinksByCard.get(linked.id);
+      if (!backlinks.includes(card)) backlinks.push(card);
+    });
+  });
+
+  return { linksByCard, backlinksByCard, resolve };
+}
+
+/**
+ * Link text for a card: its title, or its uniqueId when the title is empty or shared
+ */
+export function getWikiLinkText(card, cards) {
+  const title = getCardTitle(card);
+  const lowerTitle = title.toLowerCase();
+  const shared = cards.some(other => other.id !== card.id && getCardTitle(other).toLowerCase() === lowerTitle);
+  return title && !shared ? title : card.uniqueId;
+}
+
+/**
+ * Cards matching a partially typed link, titles starting with the text first
+ */
+export function suggestWikiLinkTargets(partial, cards, limit = 8) {
+  const wanted = partial.trim().toLowerCase();
+
+  const scored = cards
+    .map(card => {
+      const title = getCardTitle(card).toLowerCase();
+      if (!title && !card.uniqueId) return null;
+      if (!wanted) return { card, rank: 2 };
+      if (title.startsWith(wanted)) return { card, rank: 0 };
+      if (title.includes(wanted)) return { card, rank: 1 };
+      if (card.uniqueId?.toLowerCase().startsWith(wanted)) return { card, rank: 1 };
+      return null;
+    })
+    .filter(Boolean);
+
+  scored.sort((a, b) => a.rank - b.rank || getCardTitle(a.card).localeCompare(getCardTitle(b.card), 'sv'));
+  return scored.slice(0, limit).map(({ card }) => card);
+}
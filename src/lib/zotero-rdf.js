@@ -0,0 +1,219 @@
+/**
+ * Zotero RDF export parser
+ * Notes (bib:Memo) carry their HTML in rdf:value. In that HTML Zotero stores the
+ * cited items as CSL-JSON in data-citation-items and every highlight as JSON in
+ * data-annotation, so each annotation can be tied to its source document.
+ */
+
+const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+const BIB_NS = 'http://purl.org/net/biblio#';
+const DCTERMS_NS = 'http://purl.org/dc/terms/';
+const LINK_NS = 'http://purl.org/rss/1.0/modules/link/';
+const Z_NS = 'http://www.zotero.org/namespaces/export#';
+
+/**
+ * Zotero URI-encodes the JSON in its data attributes
+ */
+function decodeDataAttribute(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(decodeURIComponent(value));
+  } catch (error) {
+    console.warn('Could not decode Zotero data attribute:', error);
+    return null;
+  }
+}
+
+/**
+ * Tags of an RDF item: <dc:subject>tag</dc:subject> or a z:AutomaticTag with an rdf:value
+ */
+function getTags(element) {
+  return Array.from(element.children)
+    .filter(child => child.namespaceURI === DC_NS && child.localName === 'subject')
+    .map(subject => {
+      const value = subject.getElementsByTagNameNS(RDF_NS, 'value')[0];
+      return (value || subject).textContent.trim();
+    })
+    .filter(Boolean);
+}
+
+function getChildren(element, namespace, localName) {
+  return Array.from(element.children)
+    .filter(child => child.namespaceURI === namespace && child.localName === localName);
+}
+
+/**
+ * Match keys for an identifier: "isbn:…", "doi:…" or "url:…".
+ * Zotero writes "ISBN 978-…", "DOI 10.…", urn:isbn:… and plain URLs.
+ */
+function toIdentifierKeys(value) {
+  const text = (value || '').trim();
+  const isbn = text.match(/^(?:urn:)?isbn[:\s]\s*(.+)$/i);
+  if (isbn) {
+    return isbn[1].split(/\s+/).map(number => `isbn:${number.replace(/[^0-9x]/gi, '').toLowerCase()}`);
+  }
+  const doi = text.match(/^(?:doi[:\s]\s*|https?:\/\/(?:dx\.)?doi\.org\/)(10\..+)$/i);
+  if (doi) return [`doi:${doi[1].toLowerCase()}`];
+  if (/^https?:\/\//i.test(text)) return [`url:${text}`];
+  return [];
+}
+
+function toTitleKey(title) {
+  const text = (title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return text ? `title:${text}` : null;
+}
+
+/**
+ * Keys a cited CSL-JSON item can be recognized by in the RDF, identifiers first
+ */
+function getCitationKeys(item) {
+  if (!item) return [];
+  return [
+    ...(item.DOI ? toIdentifierKeys(`DOI ${item.DOI}`) : []),
+    ...(item.ISBN ? toIdentifierKeys(`ISBN ${item.ISBN}`) : []),
+    ...toIdentifierKeys(item.URL),
+    toTitleKey(item.title)
+  ].filter(Boolean);
+}
+
+/**
+ * Tags of the parent items, looked up by identifier and title, and by the notes
+ * they reference. The RDF never contains the zotero.org URI the annotations cite:
+ * items are written as #item_N, urn:isbn:… or their URL.
+ */
+function indexItemTags(doc) {
+  const tagsByKey = new Map();
+  const tagsByNote = new Map();
+
+  for (const element of doc.documentElement.children) {
+    const isNoteOrFile = (element.namespaceURI === BIB_NS && element.localName === 'Memo') ||
+      (element.namespaceURI === Z_NS && element.localName === 'Attachment');
+    const tags = getTags(element);
+    if (isNoteOrFile || tags.length === 0) continue;
+
+    const keys = [
+      ...toIdentifierKeys(element.getAttributeNS(RDF_NS, 'about')),
+      ...getChildren(element, DC_NS, 'identifier').flatMap(identifier => toIdentifierKeys(identifier.textContent)),
+      toTitleKey(getChildren(element, DC_NS, 'title')[0]?.textContent)
+    ].filter(Boolean);
+    keys.forEach(key => { if (!tagsByKey.has(key)) tagsByKey.set(key, tags); });
+
+    // Child notes and attachments
+    [...getChildren(element, DCTERMS_NS, 'isReferencedBy'), ...getChildren(element, LINK_NS, 'link')]
+      .forEach(reference => {
+        const resource = reference.getAttributeNS(RDF_NS, 'resource');
+        if (resource) tagsByNote.set(resource, tags);
+      });
+  }
+
+  return { tagsByKey, tagsByNote };
+}
+
+function getNoteHtml(memo) {
+  const value = Array.from(memo.children)
+    .find(child => child.namespaceURI === RDF_NS && child.localName === 'value');
+  return value?.textContent || '';
+}
+
+/**
+ * Source citation kept on each card, with the full CSL-JSON item for bibliographies
+ * @param {Object} item - CSL-JSON item data from Zotero (may be null)
+ * @param {string} uri - Zotero item URI
+ * @returns {Object} { uri, type, title, authors: [{ family, given }], year, url, csl }
+ */
+export function toCitationMetadata(item, uri) {
+  const year = item?.issued?.['date-parts']?.[0]?.[0];
+  return {
+    uri,
+    type: item?.type || null,
+    title: item?.title || '',
+    authors: (item?.author || []).map(author => ({
+      family: author.family || author.literal || '',
+      given: author.given || ''
+    })),
+    year: year ? String(year) : null,
+    url: item?.URL || null,
+    csl: item || null
+  };
+}
+
+/**
+ * Short source name, e.g. "Karlsson Holst & Nilsson (2022) - Matematikundervisning i förskoleklass"
+ */
+export function formatSourceName(citation) {
+  const families = citation.authors.map(author => author.family).filter(Boolean);
+  let authors = families.join(' & ');
+  if (families.length > 2) authors = `${families[0]} m.fl.`;
+
+  const title = citation.csl?.['title-short'] || citation.title || 'Okänd källa';
+  const byline = [authors, citation.year && `(${citation.year})`].filter(Boolean).join(' ');
+  return byline ? `${byline} - ${title}` : title;
+}
+
+/**
+ * Parse a Zotero RDF export
+ * @param {string} xmlText - Contents of the .rdf file
+ * @returns {Array} Sources in file order:
+ *   [{ citation, tags, annotations: [{ key, text, comment, color, pageLabel, locator, citationText, tags }] }]
+ */
+export function parseZoteroRDF(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.namespaceURI !== RDF_NS) {
+    throw new Error('Filen är inte en giltig Zotero RDF-export');
+  }
+
+  const { tagsByKey, tagsByNote } = indexItemTags(doc);
+
+  const sources = new Map(); // item URI -> source
+  const htmlParser = new DOMParser();
+
+  for (const memo of doc.getElementsByTagNameNS(BIB_NS, 'Memo')) {
+    const note = htmlParser.parseFromString(getNoteHtml(memo), 'text/html');
+    const noteTags = getTags(memo);
+    const parentTags = tagsByNote.get(memo.getAttributeNS(RDF_NS, 'about'));
+
+    const itemsByUri = new Map();
+    note.querySelectorAll('[data-citation-items]').forEach(element => {
+      (decodeDataAttribute(element.getAttribute('data-citation-items')) || []).forEach(citationItem => {
+        (citationItem.uris || []).forEach(uri => itemsByUri.set(uri, citationItem.itemData));
+      });
+    });
+
+    note.querySelectorAll('[data-annotation]').forEach(highlight => {
+      const annotation = decodeDataAttribute(highlight.getAttribute('data-annotation'));
+      const text = highlight.textContent.trim();
+      if (!annotation || !text) return; // Image annotations have no text
+
+      const uri = annotation.citationItem?.uris?.[0] || '';
+      if (!sources.has(uri)) {
+        const item = itemsByUri.get(uri);
+        const itemKey = getCitationKeys(item).find(key => tagsByKey.has(key));
+        sources.set(uri, {
+          citation: toCitationMetadata(item, uri),
+          tags: (itemKey && tagsByKey.get(itemKey)) || parentTags || [],
+          annotations: []
+        });
+      }
+
+      // What is left of the paragraph without highlight and citation is the user's comment
+      const paragraph = highlight.closest('p') || highlight.parentElement;
+      const citationElement = paragraph.querySelector('.citation');
+      const rest = paragraph.cloneNode(true);
+      rest.querySelectorAll('[data-annotation], .citation').forEach(element => element.remove());
+
+      sources.get(uri).annotations.push({
+        key: annotation.annotationKey || null,
+        text,
+        comment: rest.textContent.replace(/\s+/g, ' ').trim(),
+        color: annotation.color || null,
+        pageLabel: annotation.pageLabel || null,
+        locator: annotation.citationItem?.locator || annotation.pageLabel || null,
+        citationText: citationElement?.textContent.trim() || '',
+        tags: noteTags
+      });
+    });
+  }
+
+  return Array.from(sources.values());
+}
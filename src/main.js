@@ -8,6 +8,10 @@ import { detectDeviceMode, initApp } from './core/app.js';
 import { initToolbar, handleDriveSync, handleRestoreBackup, handleRestoreFromBlob } from './ui/toolbar.js';
 import { initSearchBar } from './ui/search-bar.js';
 import { initViewSwitcher } from './ui/view-switcher.js';
+import { initBoardSwitcher } from './ui/board-switcher.js';
+import { initSavedSearches } from './ui/saved-searches.js';
+import { initTrash } from './ui/trash-dialog.js';
+import { initDeltaSync } from './ui/delta-sync-dialog.js';
 import { setContextResolver } from './lib/command-registry.js';
 import { initStatsDisplay } from './ui/stats-display.js';
 
@@ -48,6 +52,10 @@ async function start() {
   await initApp(state);
   initToolbar(state);
   initSearchBar(state);
+  initBoardSwitcher(state);
+  initSavedSearches(state);
+  initTrash(state);
+  initDeltaSync();
   initInfoOverlay();
   initStatsDisplay();
 }
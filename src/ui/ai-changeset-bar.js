@@ -0,0 +1,49 @@
+/**
+ * Bar for accepting or rejecting the assistant's pending changes
+ * Updates the text if the bar is already shown.
+ * @param {Object} options
+ * @param {string} options.summary - What the changeset does, e.g. "flytta 4 kort"
+ * @param {Function} options.onAccept
+ * @param {Function} options.onReject
+ */
+export function showAIChangesetBar({ summary, onAccept, onReject }) {
+  let bar = document.getElementById('ai-changeset-bar');
+
+  if (!bar) {
+    const isEink = document.body.classList.contains('eink-theme');
+    bar = document.createElement('div');
+    bar.id = 'ai-changeset-bar';
+    bar.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 14px;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      border-radius: 8px;
+      ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 4px 16px rgba(0,0,0,0.25);'}
+      font-size: 14px;
+      z-index: 1001;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+    bar.innerHTML = `
+      <span class="ai-changeset-summary"></span>
+      <button class="ai-changeset-reject" style="padding: 6px 12px;">Avvisa</button>
+      <button class="ai-changeset-accept" style="padding: 6px 12px; font-weight: 600;">Godkänn</button>
+    `;
+    document.body.appendChild(bar);
+  }
+
+  bar.querySelector('.ai-changeset-summary').textContent = `🤖 AI vill ${summary}`;
+  // Replace the handlers so they always act on the latest changeset
+  bar.querySelector('.ai-changeset-accept').onclick = onAccept;
+  bar.querySelector('.ai-changeset-reject').onclick = onReject;
+}
+
+export function hideAIChangesetBar() {
+  document.getElementById('ai-changeset-bar')?.remove();
+}
@@ -0,0 +1,304 @@
+import {
+  getAllBoards,
+  getBoard,
+  getActiveBoardId,
+  setActiveBoardId,
+  createBoard,
+  renameBoard,
+  deleteBoard,
+  countCardsPerBoard
+} from '../lib/storage.js';
+import { registerCommand } from '../lib/command-registry.js';
+import { renderColumnView } from './view-switcher.js';
+
+let stateRef;
+
+export function initBoardSwitcher(state) {
+  stateRef = state;
+
+  const boardBtn = document.getElementById('btn-board-switcher');
+  boardBtn?.addEventListener('click', () => showBoardSwitcher());
+
+  registerCommand({
+    id: 'switch-board',
+    handler: () => showBoardSwitcher(),
+    when: ({ data }) => !data?.heldChords?.has('g'),
+  });
+  registerCommand({ id: 'new-board', handler: () => showBoardSwitcher({ focusNewBoard: true }) });
+
+  updateBoardButton();
+}
+
+/**
+ * Show active board name in toolbar button
+ */
+async function updateBoardButton() {
+  const boardBtn = document.getElementById('btn-board-switcher');
+  if (!boardBtn) return;
+
+  const board = await getBoard(getActiveBoardId());
+  const name = board?.name || 'Tavla';
+  boardBtn.textContent = `🗂️ ${name}`;
+  boardBtn.title = `Aktiv tavla: ${name} (byt med T)`;
+}
+
+/**
+ * Switch active board and re-render the current view
+ */
+export async function switchToBoard(boardId) {
+  if (boardId === getActiveBoardId()) return;
+
+  setActiveBoardId(boardId);
+
+  const searchInput = document.getElementById('search-input');
+  if (searchInput) searchInput.value = '';
+
+  const { reloadCanvasForBoard } = await import('../lib/canvas.js');
+  await reloadCanvasForBoard();
+
+  if (stateRef?.currentView === 'column') {
+    await renderColumnView();
+  }
+
+  await updateBoardButton();
+  console.log(`Switched to board ${boardId}`);
+}
+
+/**
+ * Board switcher dialog: switch, create, rename and delete boards
+ */
+export async function showBoardSwitcher({ focusNewBoard = false } = {}) {
+  const existing = document.querySelector('[data-board-switcher="overlay"]');
+  if (existing) existing.remove();
+
+  const isEink = document.body.classList.contains('eink-theme');
+
+  const overlay = document.createElement('div');
+  overlay.dataset.boardSwitcher = 'overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100vw;
+    height: 100vh;
+    background: rgba(0, 0, 0, 0.5);
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border-radius: 12px;
+    padding: 24px;
+    width: 90%;
+    max-width: 480px;
+    max-height: 80vh;
+    overflow-y: auto;
+    ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const cleanup = () => {
+    document.removeEventListener('keydown', handleKeyDown);
+    overlay.remove();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cleanup();
+    }
+  };
+  document.addEventListener('keydown', handleKeyDown);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) cleanup();
+  });
+
+  const render = async () => {
+    const boards = await getAllBoards();
+    const counts = await countCardsPerBoard();
+    const activeId = getActiveBoardId();
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 16px 0; font-size: 20px; color: var(--text-primary);">🗂️ Tavlor</h2>
+      <div class="board-list" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;"></div>
+      <div style="display: flex; gap: 8px;">
+        <input type="text" class="new-board-name" placeholder="Namn på ny tavla..." style="
+          flex: 1;
+          padding: 10px 12px;
+          border: 1px solid var(--border-color);
+          border-radius: 8px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 15px;
+        ">
+        <button class="create-board-btn" style="padding: 10px 16px;">Skapa</button>
+      </div>
+    `;
+
+    const list = dialog.querySelector('.board-list');
+
+    boards.forEach(board => {
+      const isActive = board.id === activeId;
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 12px;
+        border: 2px solid ${isActive ? 'var(--accent-color)' : 'var(--border-color)'};
+        border-radius: 8px;
+        background: var(--bg-secondary);
+        cursor: pointer;
+      `;
+
+      const name = document.createElement('div');
+      name.style.cssText = 'flex: 1; font-size: 15px; font-weight: ' + (isActive ? '600' : '400') + ';';
+      name.textContent = board.name;
+
+      const count = document.createElement('span');
+      count.style.cssText = 'font-size: 13px; color: var(--text-secondary);';
+      count.textContent = `${counts.get(board.id) || 0} kort`;
+
+      const renameBtn = document.createElement('button');
+      renameBtn.textContent = '✏️';
+      renameBtn.title = 'Byt namn';
+      renameBtn.style.cssText = 'padding: 4px 8px; background: transparent; color: var(--text-primary);';
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Ta bort tavla';
+      deleteBtn.disabled = boards.length <= 1;
+      deleteBtn.style.cssText = `padding: 4px 8px; background: transparent; color: var(--text-primary); ${boards.length <= 1 ? 'opacity: 0.3; cursor: default;' : ''}`;
+
+      row.append(name, count, renameBtn, deleteBtn);
+      list.appendChild(row);
+
+      row.addEventListener('click', async () => {
+        cleanup();
+        await switchToBoard(board.id);
+      });
+
+      renameBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = board.name;
+        input.style.cssText = `
+          flex: 1;
+          padding: 4px 8px;
+          border: 1px solid var(--accent-color);
+          border-radius: 6px;
+          background: var(--bg-primary);
+          color: var(--text-primary);
+          font-size: 15px;
+        `;
+        input.addEventListener('click', (ev) => ev.stopPropagation());
+
+        let finished = false;
+        const finishRename = async (save) => {
+          if (finished) return;
+          finished = true;
+
+          const newName = input.value.trim();
+          if (save && newName && newName !== board.name) {
+            await renameBoard(board.id, newName);
+            await updateBoardButton();
+          }
+          await render();
+        };
+
+        input.addEventListener('keydown', (ev) => {
+          if (ev.key === 'Enter') {
+            ev.preventDefault();
+            finishRename(true);
+          } else if (ev.key === 'Escape') {
+            ev.preventDefault();
+            ev.stopPropagation();
+            finishRename(false);
+          }
+        });
+        input.addEventListener('blur', () => finishRename(true));
+
+        name.replaceWith(input);
+        input.focus();
+        input.select();
+      });
+
+      deleteBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (boards.length <= 1) return;
+
+        const cardCount = counts.get(board.id) || 0;
+        const confirmed = confirm(
+          `Ta bort tavlan "${board.name}"?\n\n` +
+          `${cardCount} kort på tavlan flyttas till papperskorgen.`
+        );
+        if (!confirmed) return;
+
+        try {
+          const wasActive = board.id === getActiveBoardId();
+          await deleteBoard(board.id);
+
+          if (wasActive) {
+            // deleteBoard already picked a new active board
+            const { reloadCanvasForBoard } = await import('../lib/canvas.js');
+            await reloadCanvasForBoard();
+            if (stateRef?.currentView === 'column') {
+              await renderColumnView();
+            }
+            await updateBoardButton();
+          }
+          await render();
+        } catch (error) {
+          console.error('Failed to delete board:', error);
+          alert('Kunde inte ta bort tavlan: ' + error.message);
+        }
+      });
+    });
+
+    const newNameInput = dialog.querySelector('.new-board-name');
+    const createBtn = dialog.querySelector('.create-board-btn');
+
+    const handleCreate = async () => {
+      const boardName = newNameInput.value.trim();
+      if (!boardName) {
+        newNameInput.focus();
+        return;
+      }
+
+      try {
+        const boardId = await createBoard(boardName);
+        cleanup();
+        await switchToBoard(boardId);
+      } catch (error) {
+        console.error('Failed to create board:', error);
+        alert('Kunde inte skapa tavla: ' + error.message);
+      }
+    };
+
+    createBtn.addEventListener('click', handleCreate);
+    newNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        handleCreate();
+      }
+    });
+
+    if (focusNewBoard) {
+      newNameInput.focus();
+    }
+  };
+
+  await render();
+}
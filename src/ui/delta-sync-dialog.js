@@ -0,0 +1,229 @@
+import { exportDelta, importData, resolveDeltaConflicts, getLastDeltaExport, markDeltaExported } from '../lib/storage.js';
+import { registerCommand } from '../lib/command-registry.js';
+
+const FIELD_LABELS = {
+  text: 'Text',
+  backText: 'Baksida',
+  tags: 'Taggar',
+  cardColor: 'Färg',
+  position: 'Position',
+  image: 'Bild',
+  locked: 'Låst',
+  comments: 'Kommentar'
+};
+
+export function initDeltaSync() {
+  registerCommand({ id: 'export-delta', handler: () => handleExportDelta() });
+  registerCommand({ id: 'import-delta', handler: () => handleImportDelta() });
+}
+
+/**
+ * Download changes since the last export as a delta file
+ */
+export async function handleExportDelta() {
+  try {
+    const since = getLastDeltaExport();
+    const delta = await exportDelta(since);
+
+    if (delta.changes.length === 0) {
+      alert('Inga ändringar sedan senaste export.');
+      return;
+    }
+
+    const now = new Date();
+    const stamp = now.toISOString().slice(0, 16).replace('T', '-').replace(':', '-');
+    const blob = new Blob([JSON.stringify(delta, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `spatial-view-delta-${stamp}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+    markDeltaExported(delta.exportedAt);
+    console.log(`Exported delta with ${delta.changes.length} changed cards since ${since}`);
+  } catch (error) {
+    console.error('Delta export failed:', error);
+    alert('Misslyckades att exportera ändringar: ' + error.message);
+  }
+}
+
+/**
+ * Pick a delta file, merge it and let the user resolve conflicts
+ */
+export async function handleImportDelta() {
+  const file = await pickJsonFile();
+  if (!file) return;
+
+  try {
+    const jsonData = JSON.parse(await file.text());
+    if (jsonData.type !== 'delta' || !Array.isArray(jsonData.changes)) {
+      alert('Filen är ingen delta-fil från Spatial View.');
+      return;
+    }
+
+    const { applied, conflicts } = await importData(jsonData);
+
+    let resolved = 0;
+    if (conflicts.length > 0) {
+      const resolutions = await showConflictResolutionDialog(conflicts);
+      // Cancelling keeps the local version of every conflicting card
+      const choices = resolutions || new Map(conflicts.map(c => [c.uniqueId, 'local']));
+      resolved = await resolveDeltaConflicts(conflicts, choices);
+    }
+
+    const { reloadCanvas } = await import('../lib/canvas.js');
+    await reloadCanvas();
+
+    alert(
+      `✅ Ändringar importerade!\n\n` +
+      `${applied} ändringar tillämpade` +
+      (conflicts.length > 0 ? `\n${conflicts.length} konflikter (${resolved} löst med inkommande version)` : '')
+    );
+  } catch (error) {
+    console.error('Delta import failed:', error);
+    alert('Misslyckades att importera ändringar: ' + error.message);
+  }
+}
+
+function pickJsonFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.onchange = (e) => resolve(e.target.files[0] || null);
+    input.click();
+  });
+}
+
+function formatValue(field, value) {
+  if (value === undefined || value === null || value === '') return '–';
+  if (field === 'image') return '[bild]';
+  if (field === 'position') return `(${Math.round(value.x)}, ${Math.round(value.y)})`;
+  if (Array.isArray(value)) return value.join(', ') || '–';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function escapeText(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Show conflicts and let the user pick local or incoming version per card
+ * @returns {Promise<Map|null>} uniqueId -> 'local' | 'remote', or null if cancelled
+ */
+export function showConflictResolutionDialog(conflicts) {
+  return new Promise((resolve) => {
+    const isEink = document.body.classList.contains('eink-theme');
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 10000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      border-radius: 12px;
+      padding: 24px;
+      width: 90%;
+      max-width: 640px;
+      max-height: 85vh;
+      display: flex;
+      flex-direction: column;
+      ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const rows = conflicts.map((conflict, index) => {
+      const title = escapeText((conflict.card.text || conflict.card.backText || 'Kort utan text').slice(0, 80));
+      const name = `conflict-${index}`;
+
+      const details = conflict.type === 'delete'
+        ? '<div style="font-size: 13px; color: var(--text-secondary);">Ändrat här, raderat på den andra enheten.</div>'
+        : conflict.fields.map(({ field, localValue, remoteValue }) => `
+            <div style="display: grid; grid-template-columns: 90px 1fr 1fr; gap: 8px; font-size: 13px; margin-top: 4px;">
+              <span style="color: var(--text-secondary);">${FIELD_LABELS[field] || escapeText(field)}</span>
+              <span>${escapeText(formatValue(field, localValue))}</span>
+              <span>${escapeText(formatValue(field, remoteValue))}</span>
+            </div>
+          `).join('');
+
+      return `
+        <div style="border: 1px solid var(--border-color); border-radius: 8px; padding: 12px; background: var(--bg-secondary);">
+          <div style="font-weight: 600; margin-bottom: 6px;">${title}</div>
+          ${conflict.type === 'update' ? `
+            <div style="display: grid; grid-template-columns: 90px 1fr 1fr; gap: 8px; font-size: 12px; color: var(--text-secondary);">
+              <span></span><span>Denna enhet</span><span>Inkommande</span>
+            </div>` : ''}
+          ${details}
+          <div style="display: flex; gap: 16px; margin-top: 10px; font-size: 14px;">
+            <label style="cursor: pointer;">
+              <input type="radio" name="${name}" value="local" ${conflict.resolution === 'local' ? 'checked' : ''}>
+              Behåll denna enhets version
+            </label>
+            <label style="cursor: pointer;">
+              <input type="radio" name="${name}" value="remote" ${conflict.resolution === 'remote' ? 'checked' : ''}>
+              ${conflict.type === 'delete' ? 'Radera kortet' : 'Använd inkommande'}
+            </label>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 8px 0; font-size: 20px; color: var(--text-primary);">⚠️ Synkkonflikter</h2>
+      <p style="margin: 0 0 16px 0; font-size: 14px; color: var(--text-secondary);">
+        ${conflicts.length} kort har ändrats på båda enheterna. Senast ändrade version är förvald.
+      </p>
+      <div style="overflow-y: auto; display: flex; flex-direction: column; gap: 12px; margin-bottom: 16px;">
+        ${rows}
+      </div>
+      <div style="display: flex; gap: 12px; justify-content: flex-end;">
+        <button class="conflict-cancel" style="background: var(--bg-secondary); color: var(--text-primary); border: 1px solid var(--border-color);">Behåll alla lokala</button>
+        <button class="conflict-apply">Tillämpa val</button>
+      </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const cleanup = (result) => {
+      document.removeEventListener('keydown', handleEsc);
+      overlay.remove();
+      resolve(result);
+    };
+
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cleanup(null);
+      }
+    };
+    document.addEventListener('keydown', handleEsc);
+
+    dialog.querySelector('.conflict-cancel').addEventListener('click', () => cleanup(null));
+    dialog.querySelector('.conflict-apply').addEventListener('click', () => {
+      const resolutions = new Map();
+      conflicts.forEach((conflict, index) => {
+        const checked = dialog.querySelector(`input[name="conflict-${index}"]:checked`);
+        resolutions.set(conflict.uniqueId, checked?.value || conflict.resolution);
+      });
+      cleanup(resolutions);
+    });
+  });
+}
@@ -0,0 +1,135 @@
+import { INK_COLORS, INK_WIDTHS } from '../lib/ink.js';
+
+const INK_SETTINGS_KEY = 'inkSettings';
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(INK_SETTINGS_KEY) || '{}');
+    return {
+      color: INK_COLORS.includes(saved.color) ? saved.color : INK_COLORS[0],
+      width: Object.values(INK_WIDTHS).includes(saved.width) ? saved.width : INK_WIDTHS.thin
+    };
+  } catch {
+    return { color: INK_COLORS[0], width: INK_WIDTHS.thin };
+  }
+}
+
+/**
+ * Tool bar shown while pen mode is on: color, line width, eraser and done
+ * Color and width are remembered between sessions; the eraser is not.
+ * @param {Object} options
+ * @param {Function} options.onClose - Called when the user leaves pen mode
+ * @returns {Object} { show, hide, getTool }
+ */
+export function createInkToolbar({ onClose }) {
+  const settings = loadSettings();
+  let erasing = false;
+  let bar = null;
+
+  const saveSettings = () => {
+    localStorage.setItem(INK_SETTINGS_KEY, JSON.stringify(settings));
+  };
+
+  const render = () => {
+    const isEink = document.body.classList.contains('eink-theme');
+    const activeBorder = isEink ? '3px solid #000' : '3px solid #2196F3';
+
+    bar.innerHTML = '';
+
+    // E-ink draws everything black, so the color choice is hidden there
+    if (!isEink) {
+      INK_COLORS.forEach(color => {
+        const swatch = document.createElement('button');
+        swatch.title = 'Pennfärg';
+        swatch.style.cssText = `
+          width: 32px;
+          height: 32px;
+          padding: 0;
+          border-radius: 50%;
+          background: ${color};
+          border: ${!erasing && settings.color === color ? activeBorder : '2px solid var(--border-color)'};
+        `;
+        swatch.addEventListener('click', () => {
+          settings.color = color;
+          erasing = false;
+          saveSettings();
+          render();
+        });
+        bar.appendChild(swatch);
+      });
+    }
+
+    const addToolButton = (label, title, active, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.style.cssText = `
+        min-width: 40px;
+        height: 36px;
+        padding: 0 10px;
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        border: ${active ? activeBorder : '2px solid var(--border-color)'};
+        border-radius: 8px;
+        font-size: 14px;
+      `;
+      button.addEventListener('click', onClick);
+      bar.appendChild(button);
+    };
+
+    addToolButton('Tunn', 'Tunn linje', !erasing && settings.width === INK_WIDTHS.thin, () => {
+      settings.width = INK_WIDTHS.thin;
+      erasing = false;
+      saveSettings();
+      render();
+    });
+    addToolButton('Tjock', 'Tjock linje', !erasing && settings.width === INK_WIDTHS.thick, () => {
+      settings.width = INK_WIDTHS.thick;
+      erasing = false;
+      saveSettings();
+      render();
+    });
+    addToolButton('🧽', 'Suddgummi (eller pennans baksida)', erasing, () => {
+      erasing = !erasing;
+      render();
+    });
+    addToolButton('Klar', 'Avsluta pennläge (D)', false, onClose);
+  };
+
+  const show = () => {
+    if (bar) return;
+    const isEink = document.body.classList.contains('eink-theme');
+
+    bar = document.createElement('div');
+    bar.id = 'ink-toolbar';
+    bar.style.cssText = `
+      position: fixed;
+      top: 72px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 12px;
+      background: var(--bg-primary);
+      border: ${isEink ? '2px solid #000' : '1px solid var(--border-color)'};
+      border-radius: 12px;
+      ${isEink ? '' : 'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);'}
+      z-index: 1000;
+    `;
+    render();
+    document.body.appendChild(bar);
+  };
+
+  const hide = () => {
+    bar?.remove();
+    bar = null;
+    erasing = false;
+  };
+
+  return {
+    show,
+    hide,
+    getTool: () => ({ erasing, color: settings.color, width: settings.width })
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Minimap overlay for board navigation
+ *
+ * Draws every card as a small rectangle plus the current viewport on a 2D
+ * canvas in the corner. Click or drag on the minimap to move the viewport
+ * there without changing zoom. The e-ink theme gets flat black and white
+ * drawing and no transitions.
+ */
+
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+const MINIMAP_PADDING = 8;
+
+/**
+ * Create the minimap widget
+ * @param {Object} options
+ * @param {HTMLElement} options.parent - Element the widget is appended to
+ * @param {Function} options.getItems - () => [{ x, y, width, height, color }] in canvas units
+ * @param {Function} options.getViewport - () => { x, y, width, height } in canvas units
+ * @param {Function} options.onNavigate - (centerX, centerY) => void, canvas units
+ * @returns {Object} { update, setVisible, isVisible, destroy }
+ */
+export function createMinimap({ parent, getItems, getViewport, onNavigate }) {
+  const container = document.createElement('div');
+  container.id = 'minimap';
+  container.title = 'Minikarta - klicka eller dra för att flytta vyn';
+
+  const canvas = document.createElement('canvas');
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = MINIMAP_WIDTH * ratio;
+  canvas.height = MINIMAP_HEIGHT * ratio;
+  canvas.style.width = `${MINIMAP_WIDTH}px`;
+  canvas.style.height = `${MINIMAP_HEIGHT}px`;
+  container.appendChild(canvas);
+  parent.appendChild(container);
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(ratio, ratio);
+
+  // Canvas units -> minimap pixels, recomputed on every draw
+  let transform = { scale: 1, offsetX: 0, offsetY: 0 };
+  let visible = true;
+  let drawScheduled = false;
+  let dragging = false;
+
+  function computeTransform(items, viewport) {
+    let minX = viewport.x;
+    let minY = viewport.y;
+    let maxX = viewport.x + viewport.width;
+    let maxY = viewport.y + viewport.height;
+
+    items.forEach(item => {
+      minX = Math.min(minX, item.x);
+      minY = Math.min(minY, item.y);
+      maxX = Math.max(maxX, item.x + item.width);
+      maxY = Math.max(maxY, item.y + item.height);
+    });
+
+    const innerWidth = MINIMAP_WIDTH - MINIMAP_PADDING * 2;
+    const innerHeight = MINIMAP_HEIGHT - MINIMAP_PADDING * 2;
+    const scale = Math.min(innerWidth / (maxX - minX || 1), innerHeight / (maxY - minY || 1));
+
+    // Center the content inside the minimap
+    return {
+      scale,
+      offsetX: MINIMAP_PADDING + (innerWidth - (maxX - minX) * scale) / 2 - minX * scale,
+      offsetY: MINIMAP_PADDING + (innerHeight - (maxY - minY) * scale) / 2 - minY * scale
+    };
+  }
+
+  function draw() {
+    drawScheduled = false;
+    if (!visible) return;
+
+    const isEink = document.body.classList.contains('eink-theme');
+    const isDark = document.body.classList.contains('dark-theme');
+    const items = getItems();
+    const viewport = getViewport();
+
+    transform = computeTransform(items, viewport);
+    const { scale, offsetX, offsetY } = transform;
+
+    ctx.clearRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+
+    items.forEach(item => {
+      const x = item.x * scale + offsetX;
+      const y = item.y * scale + offsetY;
+      const width = Math.max(2, item.width * scale);
+      const height = Math.max(2, item.height * scale);
+
+      if (isEink) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+      } else {
+        ctx.fillStyle = item.color || (isDark ? '#4a5568' : '#d0d0d0');
+        ctx.fillRect(x, y, width, height);
+      }
+    });
+
+    const viewX = viewport.x * scale + offsetX;
+    const viewY = viewport.y * scale + offsetY;
+    const viewWidth = viewport.width * scale;
+    const viewHeight = viewport.height * scale;
+
+    if (isEink) {
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = 2;
+    } else {
+      ctx.fillStyle = 'rgba(33, 150, 243, 0.12)';
+      ctx.fillRect(viewX, viewY, viewWidth, viewHeight);
+      ctx.strokeStyle = '#2196F3';
+      ctx.lineWidth = 1.5;
+    }
+    ctx.strokeRect(viewX, viewY, viewWidth, viewHeight);
+  }
+
+  /**
+   * Redraw on the next animation frame (coalesces bursts of pan/zoom events)
+   */
+  function update() {
+    if (drawScheduled || !visible) return;
+    drawScheduled = true;
+    requestAnimationFrame(draw);
+  }
+
+  function navigateTo(e) {
+    const rect = canvas.getBoundingClientRect();
+    const { scale, offsetX, offsetY } = transform;
+    const canvasX = (e.clientX - rect.left - offsetX) / scale;
+    const canvasY = (e.clientY - rect.top - offsetY) / scale;
+    onNavigate(canvasX, canvasY);
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragging = true;
+    canvas.setPointerCapture(e.pointerId);
+    navigateTo(e);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (dragging) navigateTo(e);
+  });
+
+  const endDrag = (e) => {
+    if (!dragging) return;
+    dragging = false;
+    canvas.releasePointerCapture(e.pointerId);
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  // Keep wheel zoom and context menus on the minimap from reaching the board
+  canvas.addEventListener('wheel', (e) => e.preventDefault(), { passive: false });
+  canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+  function setVisible(show) {
+    visible = show;
+    container.style.display = show ? '' : 'none';
+    if (show) update();
+  }
+
+  function destroy() {
+    container.remove();
+  }
+
+  return {
+    update,
+    setVisible,
+    isVisible: () => visible,
+    destroy
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Choose which engine reads image cards
+ * @param {Object} options
+ * @param {Array} options.providers - OCR providers ({ id, name, icon, description, local })
+ * @param {string} options.currentId - The chosen provider
+ * @returns {Promise<string|null>} Provider id, or null if cancelled
+ */
+export function showOcrProviderChooser({ providers, currentId }) {
+  return new Promise((resolve) => {
+    const isEink = document.body.classList.contains('eink-theme');
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 10000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      border-radius: 12px;
+      padding: 24px;
+      width: 90%;
+      max-width: 520px;
+      ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 8px 0; font-size: 20px; color: var(--text-primary);">🔍 Välj OCR-motor</h2>
+      <p style="margin: 0 0 16px 0; font-size: 14px; color: var(--text-secondary); line-height: 1.5;">
+        Används av "Läs med AI". Molntjänsterna skickar bilden till leverantören; den lokala motorn läser i webbläsaren.
+      </p>
+      <div class="ocr-provider-list" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;"></div>
+      <div style="display: flex; justify-content: flex-end;">
+        <button class="ocr-provider-cancel" style="padding: 10px 16px;">Avbryt</button>
+      </div>
+    `;
+
+    const list = dialog.querySelector('.ocr-provider-list');
+    providers.forEach(provider => {
+      const isCurrent = provider.id === currentId;
+      const option = document.createElement('button');
+      option.style.cssText = `
+        display: flex;
+        align-items: flex-start;
+        gap: 12px;
+        padding: 12px 14px;
+        text-align: left;
+        border: 2px solid ${isCurrent ? (isEink ? '#000' : 'var(--accent-color)') : 'var(--border-color)'};
+        border-radius: 8px;
+        background: var(--bg-secondary);
+        color: var(--text-primary);
+        cursor: pointer;
+      `;
+
+      const icon = document.createElement('span');
+      icon.style.fontSize = '24px';
+      icon.textContent = provider.icon;
+
+      const text = document.createElement('div');
+      const name = document.createElement('strong');
+      name.style.cssText = 'display: block; font-size: 15px; margin-bottom: 4px;';
+      name.textContent = isCurrent ? `${provider.name} (vald)` : provider.name;
+      const description = document.createElement('div');
+      description.style.cssText = 'font-size: 13px; color: var(--text-secondary); line-height: 1.4;';
+      description.textContent = provider.description;
+      text.append(name, description);
+
+      option.append(icon, text);
+      option.addEventListener('click', () => close(provider.id));
+      list.appendChild(option);
+    });
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        close(null);
+      }
+    };
+
+    function close(result) {
+      document.removeEventListener('keydown', handleKeyDown);
+      overlay.remove();
+      resolve(result);
+    }
+
+    document.addEventListener('keydown', handleKeyDown);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close(null);
+    });
+    dialog.querySelector('.ocr-provider-cancel').addEventListener('click', () => close(null));
+  });
+}
@@ -0,0 +1,203 @@
+import { getCard } from '../lib/storage.js';
+
+const DONE_MESSAGE_MS = 4000;
+let hideTimer = null;
+
+/**
+ * Progress pill for the OCR queue, shown while jobs are waiting or running
+ * @param {Array} jobs - All OCR jobs
+ * @param {Object} progress - { done, pausedUntil } for the current batch
+ * @param {Function} onShowQueue - Opens the queue dialog
+ */
+export function renderOcrProgress(jobs, { done, pausedUntil }, onShowQueue) {
+  const queued = jobs.filter(job => job.status === 'queued').length;
+  const running = jobs.filter(job => job.status === 'running').length;
+  const failed = jobs.filter(job => job.status === 'failed').length;
+
+  let pill = document.getElementById('ocr-progress');
+  if (queued + running === 0) {
+    // Idle: a finished batch keeps the pill for showOcrDone
+    if (pill && !hideTimer && done === 0) pill.remove();
+    return;
+  }
+
+  if (!pill) {
+    const isEink = document.body.classList.contains('eink-theme');
+    pill = document.createElement('button');
+    pill.id = 'ocr-progress';
+    pill.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 10px 18px;
+      background: ${isEink ? '#ffffff' : '#333'};
+      color: ${isEink ? '#000000' : 'white'};
+      border: ${isEink ? '2px solid #000' : 'none'};
+      border-radius: 8px;
+      font-size: 14px;
+      z-index: 1001;
+      cursor: pointer;
+      font-family: sans-serif;
+    `;
+    pill.title = 'Visa OCR-kön';
+    pill.addEventListener('click', onShowQueue);
+    document.body.appendChild(pill);
+  }
+
+  clearTimeout(hideTimer);
+  hideTimer = null;
+
+  const parts = [`${done} klara`, `${queued + running} kvar`];
+  if (failed > 0) parts.push(`${failed} misslyckade`);
+  const waiting = pausedUntil > Date.now() ? ' · väntar på API-gräns' : '';
+  pill.textContent = `✨ Läser bilder: ${parts.join(', ')}${waiting}`;
+}
+
+/**
+ * Briefly show that a batch finished without failures
+ */
+export function showOcrDone(done) {
+  const pill = document.getElementById('ocr-progress');
+  if (!pill) return;
+
+  pill.textContent = `✅ ${done} kort lästa. Texten är sparad som kortets text - dubbelklicka för att se den.`;
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(() => {
+    hideTimer = null;
+    pill.remove();
+  }, DONE_MESSAGE_MS);
+}
+
+/**
+ * OCR queue dialog: waiting cards and failures with their errors
+ * @param {Object} options
+ * @param {Array} options.jobs - All OCR jobs
+ * @param {number} options.done - Cards finished in the last batch (0 when opened by hand)
+ * @param {Function} options.onRetry - Queue the failed cards again
+ * @param {Function} options.onClear - Forget the failed cards
+ * @param {Function} options.onOpenCard - (cardId) => void
+ */
+export async function showOcrQueueDialog({ jobs, done = 0, onRetry, onClear, onOpenCard }) {
+  const existing = document.querySelector('[data-ocr-queue="overlay"]');
+  if (existing) existing.remove();
+
+  const isEink = document.body.classList.contains('eink-theme');
+  const failed = jobs.filter(job => job.status === 'failed');
+  const pending = jobs.length - failed.length;
+
+  const overlay = document.createElement('div');
+  overlay.dataset.ocrQueue = 'overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100vw;
+    height: 100vh;
+    background: rgba(0, 0, 0, 0.5);
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border-radius: 12px;
+    padding: 24px;
+    width: 90%;
+    max-width: 560px;
+    max-height: 80vh;
+    overflow-y: auto;
+    ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const summary = [];
+  if (done > 0) summary.push(`${done} kort lästa.`);
+  if (pending > 0) summary.push(`${pending} kort i kön.`);
+  summary.push(failed.length > 0 ? `${failed.length} kort misslyckades:` : 'Inga misslyckade kort.');
+
+  dialog.innerHTML = `
+    <h2 style="margin: 0 0 8px 0; font-size: 20px; color: var(--text-primary);">✨ OCR-kö</h2>
+    <div class="ocr-summary" style="margin-bottom: 16px; font-size: 14px; color: var(--text-secondary);"></div>
+    <div class="ocr-failed-list" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;"></div>
+    <div style="display: flex; justify-content: flex-end; gap: 8px;">
+      <button class="ocr-clear-btn" style="padding: 10px 16px;">Rensa misslyckade</button>
+      <button class="ocr-retry-btn" style="padding: 10px 16px;">Försök igen</button>
+      <button class="ocr-close-btn" style="padding: 10px 16px;">Stäng</button>
+    </div>
+  `;
+  dialog.querySelector('.ocr-summary').textContent = summary.join(' ');
+
+  const list = dialog.querySelector('.ocr-failed-list');
+  for (const job of failed) {
+    const card = await getCard(job.cardId);
+
+    const row = document.createElement('div');
+    row.style.cssText = `
+      padding: 10px 12px;
+      border: 2px solid var(--border-color);
+      border-radius: 8px;
+      background: var(--bg-secondary);
+      cursor: ${card ? 'pointer' : 'default'};
+    `;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 15px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    title.textContent = card
+      ? `🖼️ ${card.text?.split('\n')[0] || card.metadata?.fileName || 'Bildkort'}`
+      : '(kortet är borttaget)';
+
+    const error = document.createElement('div');
+    error.style.cssText = 'font-size: 13px; color: var(--text-secondary);';
+    error.textContent = `${job.error || 'Okänt fel'} (${job.attempts} försök)`;
+
+    row.append(title, error);
+    if (card) {
+      row.addEventListener('click', () => {
+        cleanup();
+        onOpenCard(job.cardId);
+      });
+    }
+    list.appendChild(row);
+  }
+
+  const retryBtn = dialog.querySelector('.ocr-retry-btn');
+  const clearBtn = dialog.querySelector('.ocr-clear-btn');
+  retryBtn.disabled = failed.length === 0;
+  clearBtn.disabled = failed.length === 0;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const cleanup = () => {
+    document.removeEventListener('keydown', handleKeyDown);
+    overlay.remove();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cleanup();
+    }
+  };
+  document.addEventListener('keydown', handleKeyDown);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) cleanup();
+  });
+
+  dialog.querySelector('.ocr-close-btn').addEventListener('click', cleanup);
+  retryBtn.addEventListener('click', async () => {
+    cleanup();
+    await onRetry();
+  });
+  clearBtn.addEventListener('click', async () => {
+    cleanup();
+    await onClear();
+  });
+}
@@ -0,0 +1,290 @@
+import {
+  getSavedSearches,
+  saveSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} from '../lib/saved-searches.js';
+import { registerCommand, unregisterCommand } from '../lib/command-registry.js';
+import { renderColumnView } from './view-switcher.js';
+
+let stateRef;
+let savedSearchCommandIds = [];
+
+export function initSavedSearches(state) {
+  stateRef = state;
+
+  registerCommand({
+    id: 'save-search',
+    handler: () => {
+      const query = document.getElementById('search-input')?.value.trim();
+      if (!query) {
+        alert('Skriv en sökning i sökfältet först.');
+        return;
+      }
+      showSavedSearches({ focusSave: true });
+    }
+  });
+  registerCommand({ id: 'manage-saved-searches', handler: () => showSavedSearches() });
+
+  refreshSavedSearchCommands();
+}
+
+/**
+ * Register one palette command per saved search (and per smart collection arrangement)
+ */
+async function refreshSavedSearchCommands() {
+  savedSearchCommandIds.forEach(unregisterCommand);
+  savedSearchCommandIds = [];
+
+  const searches = await getSavedSearches();
+  searches.forEach(search => {
+    const runId = `saved-search-${search.id}`;
+    registerCommand({
+      id: runId,
+      name: search.name,
+      description: search.query,
+      category: 'Sparade sökningar',
+      icon: search.pinned ? '📌' : '🔎',
+      contexts: ['board', 'column'],
+      handler: () => runSavedSearch(search)
+    });
+    savedSearchCommandIds.push(runId);
+
+    if (search.pinned) {
+      const arrangeId = `arrange-collection-${search.id}`;
+      registerCommand({
+        id: arrangeId,
+        name: `Samla ${search.name}`,
+        description: `Arrangera kort som matchar ${search.query} i ett rutnät`,
+        category: 'Sparade sökningar',
+        icon: '📌▦',
+        contexts: ['board'],
+        handler: () => arrangeCollection(search)
+      });
+      savedSearchCommandIds.push(arrangeId);
+    }
+  });
+}
+
+/**
+ * Put a saved query in the search bar; the search bar runs it
+ */
+function runSavedSearch(search) {
+  const searchInput = document.getElementById('search-input');
+  if (!searchInput) return;
+
+  searchInput.value = search.query;
+  searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Select a smart collection's cards on the board and arrange them as one group
+ */
+async function arrangeCollection(search) {
+  if (stateRef?.currentView !== 'board') {
+    alert('Byt till tavelvyn för att arrangera en samling.');
+    return;
+  }
+
+  const searchInput = document.getElementById('search-input');
+  if (searchInput) searchInput.value = search.query;
+
+  const { arrangeQueryMatches } = await import('../lib/canvas.js');
+  const count = await arrangeQueryMatches(search.query);
+  if (count === 0) {
+    alert(`Inga kort matchar "${search.name}".`);
+  }
+}
+
+/**
+ * Saved searches dialog: save the current query, run, pin and delete saved searches
+ */
+export async function showSavedSearches({ focusSave = false } = {}) {
+  const existing = document.querySelector('[data-saved-searches="overlay"]');
+  if (existing) existing.remove();
+
+  const isEink = document.body.classList.contains('eink-theme');
+  const currentQuery = document.getElementById('search-input')?.value.trim() || '';
+
+  const overlay = document.createElement('div');
+  overlay.dataset.savedSearches = 'overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100vw;
+    height: 100vh;
+    background: rgba(0, 0, 0, 0.5);
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border-radius: 12px;
+    padding: 24px;
+    width: 90%;
+    max-width: 520px;
+    max-height: 80vh;
+    overflow-y: auto;
+    ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const cleanup = () => {
+    document.removeEventListener('keydown', handleKeyDown);
+    overlay.remove();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cleanup();
+    }
+  };
+  document.addEventListener('keydown', handleKeyDown);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) cleanup();
+  });
+
+  // Smart collection tabs in column view follow pin changes
+  const afterChange = async () => {
+    await refreshSavedSearchCommands();
+    if (stateRef?.currentView === 'column') {
+      await renderColumnView(document.getElementById('search-input')?.value || '');
+    }
+    await render();
+  };
+
+  const render = async () => {
+    const searches = await getSavedSearches();
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 16px 0; font-size: 20px; color: var(--text-primary);">🔎 Sparade sökningar</h2>
+      <div class="saved-search-list" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;"></div>
+      <div style="display: flex; gap: 8px;">
+        <input type="text" class="saved-search-name" placeholder="Namn på sökningen..." style="
+          flex: 1;
+          padding: 10px 12px;
+          border: 1px solid var(--border-color);
+          border-radius: 8px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 15px;
+        ">
+        <button class="save-search-btn" style="padding: 10px 16px;">Spara</button>
+      </div>
+      <div style="margin-top: 6px; font-size: 13px; color: var(--text-secondary);"></div>
+    `;
+
+    const list = dialog.querySelector('.saved-search-list');
+    const nameInput = dialog.querySelector('.saved-search-name');
+    const saveBtn = dialog.querySelector('.save-search-btn');
+    const queryHint = saveBtn.parentElement.nextElementSibling;
+
+    if (currentQuery) {
+      queryHint.textContent = `Sparar: ${currentQuery}`;
+    } else {
+      queryHint.textContent = 'Skriv en sökning i sökfältet för att kunna spara den.';
+      nameInput.disabled = true;
+      saveBtn.disabled = true;
+    }
+
+    if (searches.length === 0) {
+      list.innerHTML = '<div style="color: var(--text-secondary); font-size: 14px;">Inga sparade sökningar ännu.</div>';
+    }
+
+    searches.forEach(search => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 12px;
+        border: 2px solid ${search.pinned ? 'var(--accent-color)' : 'var(--border-color)'};
+        border-radius: 8px;
+        background: var(--bg-secondary);
+        cursor: pointer;
+      `;
+      row.title = 'Kör sökningen';
+
+      const text = document.createElement('div');
+      text.style.cssText = 'flex: 1; min-width: 0;';
+
+      const name = document.createElement('div');
+      name.style.cssText = 'font-size: 15px; font-weight: ' + (search.pinned ? '600' : '400') + ';';
+      name.textContent = search.name;
+
+      const query = document.createElement('div');
+      query.style.cssText = 'font-size: 13px; color: var(--text-secondary); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      query.textContent = search.query;
+
+      text.append(name, query);
+
+      const pinBtn = document.createElement('button');
+      pinBtn.textContent = '📌';
+      pinBtn.title = search.pinned ? 'Ta bort från smarta samlingar' : 'Fäst som smart samling';
+      pinBtn.style.cssText = `padding: 4px 8px; background: transparent; color: var(--text-primary); ${search.pinned ? '' : 'opacity: 0.4;'}`;
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Ta bort sökning';
+      deleteBtn.style.cssText = 'padding: 4px 8px; background: transparent; color: var(--text-primary);';
+
+      row.append(text, pinBtn, deleteBtn);
+      list.appendChild(row);
+
+      row.addEventListener('click', () => {
+        cleanup();
+        runSavedSearch(search);
+      });
+
+      pinBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await updateSavedSearch(search.id, { pinned: !search.pinned });
+        await afterChange();
+      });
+
+      deleteBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (!confirm(`Ta bort sökningen "${search.name}"?`)) return;
+
+        await deleteSavedSearch(search.id);
+        await afterChange();
+      });
+    });
+
+    const save = async () => {
+      try {
+        await saveSearch({ name: nameInput.value, query: currentQuery });
+        await afterChange();
+      } catch (error) {
+        console.error('Failed to save search:', error);
+        alert('Kunde inte spara sökningen: ' + error.message);
+      }
+    };
+
+    saveBtn.addEventListener('click', save);
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        save();
+      }
+    });
+
+    if (focusSave && currentQuery) {
+      nameInput.focus();
+    }
+  };
+
+  await render();
+}
@@ -1,5 +1,6 @@
 import { clearClipboard, deselectAllCards, searchCards } from '../lib/canvas.js';
 import { registerCommand, unregisterCommand } from '../lib/command-registry.js';
+import { getSearchMode, setSearchMode, getSearchSyntaxError } from '../lib/fuzzy-search.js';
 import { renderColumnView } from './view-switcher.js';
 
 export function initSearchBar(state) {
@@ -8,8 +9,11 @@ export function initSearchBar(state) {
 
   const handleSearch = async (event) => {
     const query = event.target.value;
-    console.log('[search-bar] handleSearch called with:', query);
-    console.log('[search-bar] currentView:', state.currentView);
+
+    // Keep the previous results while the query is being typed into something invalid
+    const syntaxError = getSearchSyntaxError(query);
+    showSyntaxError(searchInput, syntaxError);
+    if (syntaxError) return;
 
     if (state.currentView === 'board') {
       await searchCards(query);
@@ -31,9 +35,21 @@ export function initSearchBar(state) {
     }
   });
 
+  const searchModeBtn = document.getElementById('btn-search-mode');
+  updateSearchModeUI(searchInput, searchModeBtn);
+
+  const toggleSearchMode = () => {
+    setSearchMode(getSearchMode() === 'fuzzy' ? 'strict' : 'fuzzy');
+    updateSearchModeUI(searchInput, searchModeBtn);
+    if (searchInput) handleSearch({ target: searchInput });
+  };
+
+  searchModeBtn?.addEventListener('click', toggleSearchMode);
+
   const registerSearchCommands = () => {
     unregisterCommand('focus-search');
     unregisterCommand('clear-selection');
+    unregisterCommand('toggle-search-mode');
 
     const focusHandler = () => {
       if (searchInput) {
@@ -71,6 +87,8 @@ export function initSearchBar(state) {
       priority: 20,
     });
     registeredIds.add('clear-selection');
+    registerCommand({ id: 'toggle-search-mode', handler: toggleSearchMode });
+    registeredIds.add('toggle-search-mode');
   };
 
   registerSearchCommands();
@@ -84,6 +102,55 @@ export function initSearchBar(state) {
   };
 }
 
+/**
+ * Reflect strict/fuzzy search mode in the toggle button and placeholder
+ */
+function updateSearchModeUI(searchInput, searchModeBtn) {
+  const fuzzy = getSearchMode() === 'fuzzy';
+
+  if (searchModeBtn) {
+    searchModeBtn.textContent = fuzzy ? '≈' : '=';
+    searchModeBtn.title = fuzzy
+      ? 'Ungefärlig sökning (tål stavfel, sorterar efter relevans) - klicka för exakt'
+      : 'Exakt sökning (AND/OR/NOT, wildcards) - klicka för ungefärlig';
+  }
+  if (searchInput) {
+    searchInput.placeholder = fuzzy ? 'Sök kort (ungefärligt)...' : 'Sök kort...';
+  }
+}
+
+/**
+ * Show (or clear) a query syntax error below the search input
+ */
+function showSyntaxError(searchInput, error) {
+  if (!searchInput) return;
+
+  let message = document.getElementById('search-error');
+
+  if (!error) {
+    searchInput.classList.remove('search-invalid');
+    searchInput.removeAttribute('aria-invalid');
+    message?.remove();
+    return;
+  }
+
+  if (!message) {
+    message = document.createElement('div');
+    message.id = 'search-error';
+    message.setAttribute('role', 'status');
+    document.body.appendChild(message);
+  }
+
+  const rect = searchInput.getBoundingClientRect();
+  message.style.left = `${rect.left}px`;
+  message.style.top = `${rect.bottom + 4}px`;
+  message.style.maxWidth = `${Math.max(rect.width, 240)}px`;
+  message.textContent = `⚠️ ${error.message}`;
+
+  searchInput.classList.add('search-invalid');
+  searchInput.setAttribute('aria-invalid', 'true');
+}
+
 function debounce(func, wait) {
   let timeout;
   return function executedFunction(...args) {
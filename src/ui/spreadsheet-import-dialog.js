@@ -0,0 +1,215 @@
+import { COLUMN_FIELDS, guessColumnMapping, guessHeaderRow, rowsToCards } from '../lib/spreadsheet.js';
+import { getCardColorValue } from '../utils/card-colors.js';
+
+const PREVIEW_LIMIT = 6;
+
+/**
+ * Column letter as in Excel, 0 -> "A", 27 -> "AB"
+ */
+function getColumnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Map spreadsheet columns to card fields, preview the cards and pick an arrangement
+ * @param {Object} options
+ * @param {string} options.fileName
+ * @param {Array} options.sheets - [{ name, rows, date1904 }] from readSpreadsheetFile
+ * @param {Array} options.arrangements - [{ id, name }], the first is preselected
+ * @returns {Promise<Object|null>} { cards, arrangementId }, or null if cancelled
+ */
+export function showSpreadsheetImportDialog({ fileName, sheets, arrangements }) {
+  return new Promise((resolve) => {
+    const isEink = document.body.classList.contains('eink-theme');
+    const selectStyle = 'padding: 6px 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary);';
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 10000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      border-radius: 12px;
+      padding: 24px;
+      width: 90%;
+      max-width: 760px;
+      max-height: 85vh;
+      overflow-y: auto;
+      ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 4px 0; font-size: 20px;">📊 Importera kalkylark</h2>
+      <p class="spreadsheet-file" style="margin: 0 0 16px 0; font-size: 14px; color: var(--text-secondary);"></p>
+      <div style="display: flex; gap: 16px; flex-wrap: wrap; margin-bottom: 16px; font-size: 14px;">
+        <label class="spreadsheet-sheet-label" style="display: flex; align-items: center; gap: 8px;">
+          Blad <select class="spreadsheet-sheet" style="${selectStyle}"></select>
+        </label>
+        <label style="display: flex; align-items: center; gap: 8px;">
+          Rubrikrad <input class="spreadsheet-header-row" type="number" min="0" style="${selectStyle} width: 64px;">
+        </label>
+        <label style="display: flex; align-items: center; gap: 8px;">
+          Placering <select class="spreadsheet-arrangement" style="${selectStyle}"></select>
+        </label>
+      </div>
+      <div class="spreadsheet-mapping" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 8px 16px; margin-bottom: 16px; font-size: 14px;"></div>
+      <div class="spreadsheet-summary" style="margin-bottom: 8px; font-size: 14px; font-weight: 600;"></div>
+      <div class="spreadsheet-preview" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 8px; margin-bottom: 20px;"></div>
+      <div style="display: flex; justify-content: flex-end; gap: 12px;">
+        <button class="spreadsheet-cancel" style="padding: 10px 16px;">Avbryt</button>
+        <button class="spreadsheet-import" style="padding: 10px 16px; font-weight: 600;">Importera</button>
+      </div>
+    `;
+
+    dialog.querySelector('.spreadsheet-file').textContent = `${fileName} - välj vilken kolumn som blir vad på korten. Rubrikrad 0 = ingen rubrikrad.`;
+
+    const sheetSelect = dialog.querySelector('.spreadsheet-sheet');
+    sheets.forEach((sheet, index) => sheetSelect.add(new Option(sheet.name, index)));
+    if (sheets.length < 2) dialog.querySelector('.spreadsheet-sheet-label').style.display = 'none';
+
+    const arrangementSelect = dialog.querySelector('.spreadsheet-arrangement');
+    arrangements.forEach(({ id, name }) => arrangementSelect.add(new Option(name, id)));
+
+    const headerRowInput = dialog.querySelector('.spreadsheet-header-row');
+    const mappingContainer = dialog.querySelector('.spreadsheet-mapping');
+    const importButton = dialog.querySelector('.spreadsheet-import');
+    const fieldSelects = new Map();
+    let cards = [];
+
+    COLUMN_FIELDS.forEach(({ field, label }) => {
+      const row = document.createElement('label');
+      row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px;';
+      row.append(label);
+      const select = document.createElement('select');
+      select.style.cssText = selectStyle + ' max-width: 150px;';
+      select.addEventListener('change', updatePreview);
+      row.appendChild(select);
+      mappingContainer.appendChild(row);
+      fieldSelects.set(field, select);
+    });
+
+    function getSheet() {
+      return sheets[Number(sheetSelect.value) || 0];
+    }
+
+    // Column choices follow the sheet and header row; the mapping is guessed from the headers
+    function updateColumns() {
+      const { rows } = getSheet();
+      const headerIndex = Number(headerRowInput.value) - 1;
+      const headers = headerIndex >= 0 ? rows[headerIndex] || [] : [];
+      const columnCount = Math.max(0, ...rows.map(row => row.length));
+      const mapping = guessColumnMapping(headers.length > 0 ? headers : ['']);
+
+      fieldSelects.forEach((select, field) => {
+        select.innerHTML = '';
+        select.add(new Option('– ingen –', ''));
+        for (let index = 0; index < columnCount; index++) {
+          const header = String(headers[index] || '').trim();
+          select.add(new Option(header ? `${getColumnLetter(index)}: ${header.slice(0, 30)}` : `Kolumn ${getColumnLetter(index)}`, index));
+        }
+        select.value = mapping[field] === null ? '' : String(mapping[field]);
+      });
+      updatePreview();
+    }
+
+    function updatePreview() {
+      const sheet = getSheet();
+      const mapping = {};
+      fieldSelects.forEach((select, field) => {
+        mapping[field] = select.value === '' ? null : Number(select.value);
+      });
+
+      cards = rowsToCards(sheet.rows.slice(Math.max(0, Number(headerRowInput.value) || 0)), mapping, sheet);
+      dialog.querySelector('.spreadsheet-summary').textContent = cards.length > PREVIEW_LIMIT
+        ? `${cards.length} kort (de första ${PREVIEW_LIMIT} visas)`
+        : `${cards.length} kort`;
+      importButton.textContent = `Importera ${cards.length} kort`;
+      importButton.disabled = cards.length === 0;
+
+      const preview = dialog.querySelector('.spreadsheet-preview');
+      preview.innerHTML = '';
+      cards.slice(0, PREVIEW_LIMIT).forEach(card => {
+        const element = document.createElement('div');
+        element.style.cssText = `
+          padding: 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 6px;
+          background: ${card.cardColor ? getCardColorValue(card.cardColor) : 'var(--bg-secondary)'};
+          color: ${card.cardColor ? '#1a1a1a' : 'var(--text-primary)'};
+          font-size: 12px;
+          line-height: 1.4;
+          white-space: pre-wrap;
+          overflow: hidden;
+          max-height: 140px;
+        `;
+        const text = document.createElement('div');
+        text.textContent = card.text.length > 160 ? `${card.text.slice(0, 160)}…` : card.text;
+        element.appendChild(text);
+
+        const details = [
+          card.backText && '↩️ baksida',
+          card.eventDate && `📅 ${card.eventDate}`,
+          card.comments && `💬 ${card.comments.slice(0, 40)}`,
+          card.tags.length > 0 && card.tags.map(tag => `#${tag}`).join(' ')
+        ].filter(Boolean);
+        if (details.length > 0) {
+          const meta = document.createElement('div');
+          meta.style.cssText = 'margin-top: 6px; opacity: 0.7;';
+          meta.textContent = details.join(' · ');
+          element.appendChild(meta);
+        }
+        preview.appendChild(element);
+      });
+    }
+
+    sheetSelect.addEventListener('change', () => {
+      headerRowInput.value = guessHeaderRow(getSheet().rows) + 1;
+      updateColumns();
+    });
+    headerRowInput.addEventListener('change', updateColumns);
+
+    headerRowInput.value = guessHeaderRow(getSheet().rows) + 1;
+    updateColumns();
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        close(null);
+      }
+    };
+
+    function close(result) {
+      document.removeEventListener('keydown', handleKeyDown);
+      overlay.remove();
+      resolve(result);
+    }
+
+    document.addEventListener('keydown', handleKeyDown);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close(null);
+    });
+    dialog.querySelector('.spreadsheet-cancel').addEventListener('click', () => close(null));
+    importButton.addEventListener('click', () => close({ cards, arrangementId: arrangementSelect.value }));
+  });
+}
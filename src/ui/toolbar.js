@@ -2,7 +2,7 @@ import { importImage } from '../lib/canvas.js';
 import { toggleView } from './view-switcher.js';
 import { getCardImageSrc } from '../utils/card-images.js';
 import { applyThemeFromState, getNextTheme } from './theme.js';
-import { db } from '../lib/storage.js';
+import { importBackupCards } from '../lib/storage.js';
 
 export function initToolbar(state) {
   const viewToggle = document.getElementById('btn-view-toggle');
@@ -75,6 +75,7 @@ export function applyUIMode(state) {
   const commandPaletteBtn = document.getElementById('command-palette-button');
   const addBtn = document.getElementById('add-button');
   const fitAllBtn = document.getElementById('fit-all-button');
+  const inkBtn = document.getElementById('ink-mode-button');
   const uiToggleBtn = document.getElementById('btn-ui-mode-toggle');
 
   if (!toolbar) return;
@@ -100,6 +101,7 @@ export function applyUIMode(state) {
     if (commandPaletteBtn) commandPaletteBtn.style.display = 'flex';
     if (addBtn) addBtn.style.display = 'flex';
     if (fitAllBtn) fitAllBtn.style.display = 'flex';
+    if (inkBtn) inkBtn.style.display = 'flex';
     if (uiToggleBtn) uiToggleBtn.title = 'Byt till minimalt UI';
   }
 
@@ -120,6 +122,7 @@ export function applyUIMode(state) {
     if (commandPaletteBtn) commandPaletteBtn.style.display = 'flex';
     if (addBtn) addBtn.style.display = 'none';
     if (fitAllBtn) fitAllBtn.style.display = 'none';
+    if (inkBtn) inkBtn.style.display = 'none';
     toolbar.style.display = 'flex';
     if (uiToggleBtn) uiToggleBtn.title = 'Byt till endast UI-knapp';
   }
@@ -141,6 +144,7 @@ export function applyUIMode(state) {
     if (commandPaletteBtn) commandPaletteBtn.style.display = 'none';
     if (addBtn) addBtn.style.display = 'none';
     if (fitAllBtn) fitAllBtn.style.display = 'none';
+    if (inkBtn) inkBtn.style.display = 'none';
     toolbar.style.display = 'flex';
     if (uiToggleBtn) uiToggleBtn.title = 'Byt till fullt UI';
   }
@@ -166,18 +170,28 @@ export async function handleImport(state) {
 export async function handleDownloadBackup() {
   try {
     const JSZip = (await import('jszip')).default;
-    const { getAllCards } = await import('../lib/storage.js');
+    const { getAllCards, getAllBoards, db } = await import('../lib/storage.js');
 
     console.log('Creating backup...');
     const zip = new JSZip();
 
-    // Get all cards
-    const cards = await getAllCards();
+    // Get all cards on all boards
+    const cards = await getAllCards({ allBoards: true });
+    const boards = await getAllBoards();
+    const connectors = await db.connectors.toArray();
+    const frames = await db.frames.toArray();
+    const savedSearches = await db.savedSearches.toArray();
+    const strokes = await db.strokes.toArray();
 
     // Create JSON export
     const jsonData = {
       version: '1.0',
       exportDate: new Date().toISOString(),
+      boards: boards,
+      connectors: connectors,
+      frames: frames,
+      savedSearches: savedSearches,
+      strokes: strokes,
       cards: cards
     };
 
@@ -294,7 +308,7 @@ export async function handleRestoreFromBlob(blob) {
       return cardData;
     });
 
-    await db.cards.bulkPut(cardsToImport);
+    await importBackupCards(cardsToImport, jsonData);
 
     // Reload canvas
     await reloadCanvas();
@@ -390,7 +404,7 @@ export async function handleRestoreBackup() {
           return cardData;
         });
 
-        await db.cards.bulkPut(cardsToImport);
+        await importBackupCards(cardsToImport, jsonData);
         console.log(`Restored ${cardsToImport.length} cards`);
 
         // Reload canvas
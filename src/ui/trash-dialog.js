@@ -0,0 +1,206 @@
+import {
+  getTrash,
+  restoreCard,
+  purgeTrash,
+  getAllBoards,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  purgeExpiredTrash
+} from '../lib/storage.js';
+import { registerCommand } from '../lib/command-registry.js';
+import { renderColumnView } from './view-switcher.js';
+
+let stateRef;
+
+export function initTrash(state) {
+  stateRef = state;
+  registerCommand({ id: 'show-trash', handler: () => showTrash() });
+}
+
+/**
+ * Re-render the current view after cards came back from the trash
+ */
+async function refreshCurrentView() {
+  const { reloadCanvas } = await import('../lib/canvas.js');
+  await reloadCanvas();
+  if (stateRef?.currentView === 'column') {
+    await renderColumnView(document.getElementById('search-input')?.value || '');
+  }
+}
+
+/**
+ * Trash dialog: browse deleted cards, restore or permanently delete them
+ */
+export async function showTrash() {
+  const existing = document.querySelector('[data-trash="overlay"]');
+  if (existing) existing.remove();
+
+  const isEink = document.body.classList.contains('eink-theme');
+
+  const overlay = document.createElement('div');
+  overlay.dataset.trash = 'overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100vw;
+    height: 100vh;
+    background: rgba(0, 0, 0, 0.5);
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.style.cssText = `
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border-radius: 12px;
+    padding: 24px;
+    width: 90%;
+    max-width: 560px;
+    max-height: 80vh;
+    overflow-y: auto;
+    ${isEink ? 'border: 2px solid #000;' : 'box-shadow: 0 8px 32px rgba(0,0,0,0.3);'}
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const cleanup = () => {
+    document.removeEventListener('keydown', handleKeyDown);
+    overlay.remove();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cleanup();
+    }
+  };
+  document.addEventListener('keydown', handleKeyDown);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) cleanup();
+  });
+
+  const render = async () => {
+    const trash = await getTrash();
+    const boardNames = new Map((await getAllBoards()).map(board => [board.id, board.name]));
+
+    dialog.innerHTML = `
+      <h2 style="margin: 0 0 8px 0; font-size: 20px; color: var(--text-primary);">🗑️ Papperskorg</h2>
+      <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 16px; font-size: 14px; color: var(--text-secondary);">
+        <label for="trash-retention">Radera automatiskt efter</label>
+        <input type="number" id="trash-retention" min="0" step="1" style="
+          width: 64px;
+          padding: 4px 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 6px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 14px;
+        ">
+        <span>dagar (0 = aldrig)</span>
+      </div>
+      <div class="trash-list" style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;"></div>
+      <div style="display: flex; justify-content: flex-end; gap: 8px;">
+        <button class="empty-trash-btn" style="padding: 10px 16px;">Töm papperskorgen</button>
+      </div>
+    `;
+
+    const retentionInput = dialog.querySelector('#trash-retention');
+    retentionInput.value = getTrashRetentionDays();
+    retentionInput.addEventListener('change', async () => {
+      const days = Number(retentionInput.value);
+      if (!Number.isFinite(days) || days < 0) {
+        retentionInput.value = getTrashRetentionDays();
+        return;
+      }
+      setTrashRetentionDays(days);
+      if (await purgeExpiredTrash() > 0) {
+        await render();
+      }
+    });
+
+    const list = dialog.querySelector('.trash-list');
+    const emptyBtn = dialog.querySelector('.empty-trash-btn');
+    emptyBtn.disabled = trash.length === 0;
+
+    if (trash.length === 0) {
+      list.innerHTML = '<div style="color: var(--text-secondary); font-size: 14px;">Papperskorgen är tom.</div>';
+    }
+
+    trash.forEach(card => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 12px;
+        border: 2px solid var(--border-color);
+        border-radius: 8px;
+        background: var(--bg-secondary);
+      `;
+
+      const text = document.createElement('div');
+      text.style.cssText = 'flex: 1; min-width: 0;';
+
+      const preview = document.createElement('div');
+      preview.style.cssText = 'font-size: 15px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      const firstLine = (card.text || card.backText || '').split('\n').find(line => line.trim()) || '';
+      preview.textContent = `${card.image ? '🖼️ ' : ''}${firstLine || '(tomt kort)'}`;
+
+      const details = document.createElement('div');
+      details.style.cssText = 'font-size: 13px; color: var(--text-secondary);';
+      const deletedAt = new Date(card.deletedAt).toLocaleString('sv-SE', {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+      const boardName = boardNames.get(card.boardId) || 'borttagen tavla';
+      details.textContent = `Borttaget ${deletedAt} · ${boardName}`;
+
+      text.append(preview, details);
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.textContent = '↩️';
+      restoreBtn.title = 'Återställ kort';
+      restoreBtn.style.cssText = 'padding: 4px 8px; background: transparent; color: var(--text-primary);';
+
+      const purgeBtn = document.createElement('button');
+      purgeBtn.textContent = '❌';
+      purgeBtn.title = 'Radera permanent';
+      purgeBtn.style.cssText = 'padding: 4px 8px; background: transparent; color: var(--text-primary);';
+
+      row.append(text, restoreBtn, purgeBtn);
+      list.appendChild(row);
+
+      restoreBtn.addEventListener('click', async () => {
+        try {
+          await restoreCard(card.id);
+          await refreshCurrentView();
+          await render();
+        } catch (error) {
+          console.error('Failed to restore card:', error);
+          alert('Kunde inte återställa kortet: ' + error.message);
+        }
+      });
+
+      purgeBtn.addEventListener('click', async () => {
+        if (!confirm('Radera kortet permanent? Detta kan inte ångras.')) return;
+        await purgeTrash([card.id]);
+        await render();
+      });
+    });
+
+    emptyBtn.addEventListener('click', async () => {
+      if (!confirm(`Radera ${trash.length} kort permanent? Detta kan inte ångras.`)) return;
+      await purgeTrash();
+      await render();
+    });
+  };
+
+  await render();
+}
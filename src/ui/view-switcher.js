@@ -1,8 +1,11 @@
 import { addRecentCardColor, loadRecentCardColors } from '../utils/recent-card-colors.js';
 import { getColorOptionsForTheme, useColoredCards } from '../utils/card-colors.js';
 import { getCardImageSrc } from '../utils/card-images.js';
+import { buildWikiLinkIndex, splitWikiLinks, getCardTitle } from '../lib/wiki-links.js';
+import { getQuerySyntaxError } from '../lib/search-query.js';
 
 let stateRef;
+let activeCollectionId = null; // Smart collection tab selected in column view
 
 export function initViewSwitcher(state) {
   stateRef = state;
@@ -42,6 +45,7 @@ export async function renderColumnView(searchQuery = '') {
   // Import storage to get cards
   const { getAllCards } = await import('../lib/storage.js');
   let cards = await getAllCards();
+  const boardCards = cards;
 
   // Clear existing content
   cardList.innerHTML = '';
@@ -51,37 +55,88 @@ export async function renderColumnView(searchQuery = '') {
     return;
   }
 
-  // Filter by search query if provided
-  const { evaluateBooleanQuery, buildCardSearchText, normalizeSearchQuery } = await import('../lib/canvas.js');
-  const normalizedQuery = normalizeSearchQuery(searchQuery);
+  // Smart collection tabs narrow the list before the search bar query does
+  const { compileQuery } = await import('../lib/canvas.js');
+  const collection = await renderCollectionTabs(cardList);
+  if (collection) {
+    let collectionQuery;
+    try {
+      collectionQuery = compileQuery(collection.query);
+    } catch (error) {
+      // Saved by an older version or imported from a backup
+      console.error(`Invalid query in smart collection "${collection.name}":`, error);
+      const invalidMessage = document.createElement('div');
+      invalidMessage.style.cssText = 'padding: 40px; text-align: center; color: #999;';
+      invalidMessage.textContent = `Sökningen i "${collection.name}" är ogiltig (${error.message}). Redigera eller ta bort den sparade sökningen.`;
+      cardList.appendChild(invalidMessage);
+      return;
+    }
+    cards = cards.filter(card => collectionQuery.matchesCard(card));
+  }
 
-  if (normalizedQuery) {
-    cards = cards.filter(card => {
-      const searchableText = buildCardSearchText(card);
+  // Filter by search query if provided (parsed once, matched per card)
+  const { compileSearch } = await import('../lib/fuzzy-search.js');
+  let compiled;
+  try {
+    compiled = compileSearch(searchQuery);
+  } catch (error) {
+    // Syntax errors are shown by the search bar
+    compiled = { isEmpty: true };
+  }
 
-      // Use boolean search (same as board view)
-      return evaluateBooleanQuery(normalizedQuery, searchableText);
-    });
+  if (!compiled.isEmpty) {
+    cards = compiled.rankCards(cards).map(({ card }) => card);
+  }
 
-    if (cards.length === 0) {
-      cardList.innerHTML = `<div style="padding: 40px; text-align: center; color: #999;">Inga kort matchade "${searchQuery?.trim() ?? ''}"</div>`;
-      return;
-    }
+  if (cards.length === 0) {
+    const emptyMessage = document.createElement('div');
+    emptyMessage.style.cssText = 'padding: 40px; text-align: center; color: #999;';
+    emptyMessage.textContent = !compiled.isEmpty
+      ? `Inga kort matchade "${searchQuery.trim()}"`
+      : `Inga kort i "${collection.name}"`;
+    cardList.appendChild(emptyMessage);
+    return;
   }
 
-  // Sort cards by modified timestamp (newest first)
-  const sortedCards = [...cards].sort((a, b) => {
+  // Fuzzy results are listed best match first, everything else newest first
+  const byRelevance = !compiled.isEmpty && compiled.ranked;
+  const newestFirst = byRelevance ? cards : [...cards].sort((a, b) => {
     const timeA = a.modified ?? a.lastModified ?? 0;
     const timeB = b.modified ?? b.lastModified ?? 0;
     return timeB - timeA;
   });
 
+  // Cards in frames are listed under the frame name, in board reading order
+  const { getFrames, groupCardsByFrame } = await import('../lib/frames.js');
+  const frames = byRelevance ? [] : await getFrames();
+  const sections = frames.length > 0 ? groupCardsByFrame(newestFirst, frames) : [];
+  const sortedCards = sections.length > 0 ? sections.flatMap(section => section.cards) : newestFirst;
+  const headingBeforeCard = new Map(sections.map(section => [section.cards[0].id, section.frame]));
+
   // Check themes
   const isEink = document.body.classList.contains('eink-theme');
   const isDark = document.body.classList.contains('dark-theme');
 
+  // Links resolve against the whole board, not just the filtered cards
+  const { backlinksByCard, resolve: resolveLink } = buildWikiLinkIndex(boardCards);
+
   // Render each card
   sortedCards.forEach(card => {
+    if (headingBeforeCard.has(card.id)) {
+      const frame = headingBeforeCard.get(card.id);
+      const heading = document.createElement('h2');
+      heading.className = 'column-frame-heading';
+      heading.textContent = frame ? frame.name : 'Utan ram';
+      heading.style.cssText = `
+        font-size: 18px;
+        margin: 24px 0 12px 0;
+        padding-bottom: 6px;
+        border-bottom: ${isEink ? '2px solid #000' : '1px solid var(--border-color)'};
+        color: var(--text-primary);
+      `;
+      cardList.appendChild(heading);
+    }
+
     const cardElement = document.createElement('div');
     cardElement.className = 'column-card';
 
@@ -127,7 +182,7 @@ export async function renderColumnView(searchQuery = '') {
     const appendTextContent = () => {
       const text = document.createElement('div');
       const primaryText = card.text || card.backText || 'Tomt kort';
-      text.textContent = primaryText;
+      appendLinkedText(text, primaryText, resolveLink, isDark);
       text.style.cssText = `
         font-size: 16px;
         color: ${isDark ? '#e0e0e0' : '#1a1a1a'};
@@ -174,7 +229,7 @@ export async function renderColumnView(searchQuery = '') {
 
         if (card.text || card.backText) {
           const text = document.createElement('div');
-          text.textContent = card.backText || card.text || '';
+          appendLinkedText(text, card.backText || card.text || '', resolveLink, isDark);
           text.style.cssText = `
             font-size: 14px;
             color: ${isDark ? '#e0e0e0' : '#666'};
@@ -191,6 +246,11 @@ export async function renderColumnView(searchQuery = '') {
       appendTextContent();
     }
 
+    const backlinks = backlinksByCard.get(card.id);
+    if (backlinks) {
+      cardElement.appendChild(createBacklinksSection(backlinks, isDark));
+    }
+
     // Hover effect
     cardElement.addEventListener('mouseenter', () => {
       if (isEink) {
@@ -312,6 +372,115 @@ export async function renderColumnView(searchQuery = '') {
   });
 }
 
+/**
+ * Switch to the board and pan to a linked card
+ */
+async function openLinkedCard(cardId) {
+  if (stateRef.currentView !== 'board') {
+    await toggleView();
+  }
+  const { panToCard } = await import('../lib/canvas.js');
+  await panToCard(cardId);
+}
+
+function createLinkElement(label, targetCard, isDark) {
+  const link = document.createElement(targetCard ? 'a' : 'span');
+  link.className = 'wiki-link';
+  link.textContent = label;
+
+  if (targetCard) {
+    link.href = '#';
+    link.title = 'Visa kortet på tavlan';
+    link.style.color = isDark ? '#80b3ff' : '#0066cc';
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      openLinkedCard(targetCard.id);
+    });
+  } else {
+    link.title = 'Inget kort med det namnet';
+    link.classList.add('wiki-link-missing');
+  }
+  return link;
+}
+
+/**
+ * Fill element with text where [[links]] become clickable
+ */
+function appendLinkedText(element, text, resolveLink, isDark) {
+  splitWikiLinks(text).forEach(segment => {
+    if (segment.type === 'text') {
+      element.appendChild(document.createTextNode(segment.value));
+      return;
+    }
+    element.appendChild(createLinkElement(segment.label, resolveLink(segment.value), isDark));
+  });
+}
+
+/**
+ * "Länkas från" list of cards that link to a card
+ */
+function createBacklinksSection(backlinks, isDark) {
+  const section = document.createElement('div');
+  section.className = 'column-backlinks';
+  section.style.cssText = `
+    margin-top: 12px;
+    padding-top: 8px;
+    border-top: 1px solid var(--border-color);
+    font-size: 13px;
+    color: var(--text-secondary);
+  `;
+  section.appendChild(document.createTextNode('← Länkas från: '));
+
+  backlinks.forEach((linkingCard, i) => {
+    if (i > 0) section.appendChild(document.createTextNode(', '));
+    section.appendChild(createLinkElement(getCardTitle(linkingCard) || linkingCard.uniqueId, linkingCard, isDark));
+  });
+  return section;
+}
+
+/**
+ * Render filter tabs for smart collections (pinned saved searches)
+ * @returns {Promise<Object|null>} The active collection, or null for all cards
+ */
+async function renderCollectionTabs(cardList) {
+  const { getSmartCollections } = await import('../lib/saved-searches.js');
+  const collections = await getSmartCollections();
+
+  const active = collections.find(c => c.id === activeCollectionId) || null;
+  activeCollectionId = active?.id ?? null;
+  if (collections.length === 0) return null;
+
+  const isEink = document.body.classList.contains('eink-theme');
+  const tabs = document.createElement('div');
+  tabs.className = 'collection-tabs';
+  tabs.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px;';
+
+  [{ id: null, name: 'Alla kort' }, ...collections].forEach(collection => {
+    const isActive = collection.id === activeCollectionId;
+    const syntaxError = collection.id === null ? null : getQuerySyntaxError(String(collection.query ?? ''));
+    const tab = document.createElement('button');
+    tab.textContent = collection.id === null ? collection.name : `${syntaxError ? '⚠️' : '📌'} ${collection.name}`;
+    tab.title = syntaxError ? `Ogiltig sökning: ${syntaxError.message}` : (collection.query || '');
+    tab.style.cssText = `
+      padding: 6px 14px;
+      border-radius: ${isEink ? '0' : '16px'};
+      border: ${isEink ? '2px solid #000' : '1px solid var(--border-color)'};
+      background: ${isActive ? (isEink ? '#000' : 'var(--accent-color)') : 'var(--bg-secondary)'};
+      color: ${isActive ? '#fff' : 'var(--text-primary)'};
+      font-size: 14px;
+    `;
+    tab.addEventListener('click', () => {
+      activeCollectionId = collection.id;
+      renderColumnView(document.getElementById('search-input')?.value || '');
+    });
+    tabs.appendChild(tab);
+  });
+
+  cardList.appendChild(tabs);
+  return active;
+}
+
 /**
  * Show edit dialog for card in column view
  */
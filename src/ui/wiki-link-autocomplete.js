@@ -0,0 +1,135 @@
+import { getCardTitle, getWikiLinkText, suggestWikiLinkTargets } from '../lib/wiki-links.js';
+
+/**
+ * Autocomplete for [[links]] in a textarea
+ * Typing `[[` opens a list of cards; arrows pick, Enter/Tab inserts, Escape closes.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {Array} cards - Cards that can be linked to
+ * @returns {Function} Detach function
+ */
+export function attachWikiLinkAutocomplete(textarea, cards) {
+  const isEink = document.body.classList.contains('eink-theme');
+
+  const list = document.createElement('div');
+  list.className = 'wiki-link-suggestions';
+  list.style.cssText = `
+    position: fixed;
+    display: none;
+    max-height: 240px;
+    overflow-y: auto;
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    border: ${isEink ? '2px solid #000' : '1px solid var(--border-color)'};
+    border-radius: 6px;
+    ${isEink ? '' : 'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);'}
+    z-index: 10001;
+    min-width: 220px;
+    font-size: 14px;
+  `;
+  document.body.appendChild(list);
+
+  let suggestions = [];
+  let activeIndex = 0;
+  let linkStart = -1;
+
+  const close = () => {
+    list.style.display = 'none';
+    suggestions = [];
+    linkStart = -1;
+  };
+
+  const highlight = () => {
+    Array.from(list.children).forEach((item, i) => {
+      item.style.background = i === activeIndex
+        ? (isEink ? '#000' : 'var(--accent-color)')
+        : 'transparent';
+      item.style.color = i === activeIndex ? '#fff' : 'var(--text-primary)';
+    });
+  };
+
+  const insert = (card) => {
+    const before = textarea.value.slice(0, linkStart);
+    let after = textarea.value.slice(textarea.selectionStart);
+    // Reuse closing brackets that are already there
+    if (after.startsWith(']]')) after = after.slice(2);
+
+    const link = `[[${getWikiLinkText(card, cards)}]]`;
+    textarea.value = before + link + after;
+    const caret = before.length + link.length;
+    textarea.setSelectionRange(caret, caret);
+    textarea.focus();
+    close();
+  };
+
+  const update = () => {
+    const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+    const match = beforeCaret.match(/\[\[([^[\]\n]*)$/);
+    if (!match) {
+      close();
+      return;
+    }
+
+    linkStart = match.index;
+    suggestions = suggestWikiLinkTargets(match[1], cards);
+    if (suggestions.length === 0) {
+      list.style.display = 'none';
+      return;
+    }
+
+    activeIndex = 0;
+    list.innerHTML = '';
+    suggestions.forEach((card, i) => {
+      const item = document.createElement('div');
+      item.style.cssText = 'padding: 8px 12px; cursor: pointer; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+      item.textContent = `${card.image ? '🖼️ ' : ''}${getCardTitle(card) || card.uniqueId}`;
+      item.addEventListener('mousedown', (e) => {
+        // Keep focus in the textarea
+        e.preventDefault();
+        insert(card);
+      });
+      item.addEventListener('mouseenter', () => {
+        activeIndex = i;
+        highlight();
+      });
+      list.appendChild(item);
+    });
+    highlight();
+
+    const rect = textarea.getBoundingClientRect();
+    list.style.left = `${rect.left}px`;
+    list.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 250)}px`;
+    list.style.maxWidth = `${rect.width}px`;
+    list.style.display = 'block';
+  };
+
+  const handleKeyDown = (e) => {
+    if (list.style.display === 'none') return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+      highlight();
+      list.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+    } else if ((e.key === 'Enter' && !e.ctrlKey && !e.metaKey) || e.key === 'Tab') {
+      e.preventDefault();
+      insert(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      // Close the list, not the editor
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  };
+
+  textarea.addEventListener('input', update);
+  textarea.addEventListener('keydown', handleKeyDown);
+  textarea.addEventListener('blur', close);
+
+  return () => {
+    textarea.removeEventListener('input', update);
+    textarea.removeEventListener('keydown', handleKeyDown);
+    textarea.removeEventListener('blur', close);
+    list.remove();
+  };
+}
@@ -44,6 +44,36 @@ function getCardColorValue(cardColor) {
   return useColoredCards() ? (ZOTERO_LIGHT_PALETTE[cardColor] || baseColor) : baseColor;
 }
 
+function parseHex(hex) {
+  const match = String(hex || '').trim().toLowerCase().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (!match) return null;
+  const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+/**
+ * Palette color closest to a hex color (#rgb or #rrggbb), compared with both the
+ * base and the light tint of each color
+ * @returns {string|null} card-color-N, or null if the value is not a hex color
+ */
+function getNearestCardColor(hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) return null;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  [ZOTERO_BASE_PALETTE, ZOTERO_LIGHT_PALETTE].forEach(palette => {
+    Object.entries(palette).forEach(([id, value]) => {
+      const distance = parseHex(value).reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+      if (distance < nearestDistance) {
+        nearest = id;
+        nearestDistance = distance;
+      }
+    });
+  });
+  return nearest;
+}
+
 function getColorOptionsForTheme({ colored = useColoredCards() } = {}) {
   const palette = colored ? ZOTERO_LIGHT_PALETTE : {};
   return CARD_COLOR_INFO.map(info => ({
@@ -58,5 +88,6 @@ export {
   ZOTERO_LIGHT_PALETTE,
   getCardColorValue,
   getColorOptionsForTheme,
+  getNearestCardColor,
   useColoredCards,
 };
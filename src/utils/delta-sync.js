@@ -1,9 +1,197 @@
 /**
- * Delta sync utilities
- * TODO: Implement based on ADR-003
+ * Delta sync utilities (ADR-003)
+ *
+ * A delta is a compacted view of the changelog: one entry per card, keyed by
+ * uniqueId (local ids differ between devices), holding the latest value and
+ * change time of every touched field. Merging is last-writer-wins per field;
+ * fields changed on both sides since the last sync are reported as conflicts.
  */
 
-export function createDelta(changes) {
-  console.log('Delta sync not yet implemented');
-  return {};
+// Local bookkeeping that is never synced between devices
+const LOCAL_FIELDS = new Set(['id', 'uniqueId', 'boardId', 'frameId', 'modified', 'lastModified']);
+
+/**
+ * Compact changelog entries into one change per card
+ * @param {Array} changes - Changelog entries {timestamp, cardId, operation, data}
+ * @param {Map} uniqueIdByCardId - Fallback lookup for entries without data.uniqueId
+ * @returns {Array} [{uniqueId, operation, fields, fieldModified, timestamp}]
+ */
+export function createDelta(changes, uniqueIdByCardId = new Map()) {
+  const byCard = new Map();
+  // Cards whose first entry is a create: the other device has never seen them
+  const createdHere = new Set();
+  const knownUniqueIds = new Map(uniqueIdByCardId);
+  const sorted = [...changes].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const change of sorted) {
+    if (change.data?.uniqueId) {
+      knownUniqueIds.set(change.cardId, change.data.uniqueId);
+    }
+
+    const uniqueId = knownUniqueIds.get(change.cardId);
+    if (!uniqueId) {
+      console.warn('Delta sync: skipping change without uniqueId', change);
+      continue;
+    }
+
+    let entry = byCard.get(uniqueId);
+    if (!entry) {
+      entry = {
+        uniqueId,
+        operation: change.operation === 'create' ? 'create' : 'update',
+        fields: {},
+        fieldModified: {},
+        timestamp: change.timestamp
+      };
+      byCard.set(uniqueId, entry);
+      if (entry.operation === 'create') createdHere.add(uniqueId);
+    }
+    entry.timestamp = change.timestamp;
+
+    if (change.operation === 'create') {
+      // Restored from the trash or kept in a delete conflict - the entry carries
+      // the full card, so a device that has deleted it can recreate it
+      entry.operation = 'create';
+    }
+
+    if (change.operation === 'delete') {
+      if (createdHere.has(uniqueId)) {
+        // Created and deleted within the same delta - nothing to send
+        byCard.delete(uniqueId);
+      } else {
+        entry.operation = 'delete';
+        entry.fields = {};
+        entry.fieldModified = {};
+      }
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(change.data || {})) {
+      if (LOCAL_FIELDS.has(field)) continue;
+      entry.fields[field] = value;
+      entry.fieldModified[field] = change.timestamp;
+    }
+  }
+
+  return Array.from(byCard.values());
+}
+
+/**
+ * Merge a remote delta into local cards
+ * @param {Array} localCards - All local cards
+ * @param {Array} localChanges - Compacted local changes since last sync
+ * @param {Array} remoteChanges - Compacted remote changes
+ * @returns {Object} {creates, updates, deletes, conflicts, skipped}
+ */
+export function mergeDelta(localCards, localChanges, remoteChanges) {
+  const cardsByUniqueId = new Map(
+    localCards.filter(card => card.uniqueId).map(card => [card.uniqueId, card])
+  );
+  const localByUniqueId = new Map(localChanges.map(change => [change.uniqueId, change]));
+
+  const result = { creates: [], updates: [], deletes: [], conflicts: [], skipped: 0 };
+
+  for (const remote of remoteChanges) {
+    const card = cardsByUniqueId.get(remote.uniqueId);
+    const local = localByUniqueId.get(remote.uniqueId);
+
+    if (remote.operation === 'delete') {
+      if (!card) continue;
+
+      if (local && Object.keys(local.fields).length > 0) {
+        // Deleted there, edited here
+        result.conflicts.push({
+          type: 'delete',
+          uniqueId: remote.uniqueId,
+          cardId: card.id,
+          card,
+          fields: [],
+          resolution: local.timestamp > remote.timestamp ? 'local' : 'remote'
+        });
+      } else {
+        result.deletes.push(card.id);
+      }
+      continue;
+    }
+
+    if (!card) {
+      // Deleted here: the local delete wins and travels back with our next delta,
+      // unless the other device restored the card from its trash afterwards
+      const restoredLater = remote.operation === 'create' && remote.timestamp > (local?.timestamp ?? 0);
+      if (local?.operation === 'delete' && !restoredLater) continue;
+
+      if (remote.operation === 'create') {
+        result.creates.push({ ...remote.fields, uniqueId: remote.uniqueId, modified: remote.timestamp });
+      } else {
+        // Update for a card we never received - not enough data to rebuild it
+        result.skipped++;
+      }
+      continue;
+    }
+
+    const fields = {};
+    const conflictFields = [];
+
+    for (const [field, value] of Object.entries(remote.fields)) {
+      const localModified = local?.fieldModified?.[field];
+
+      if (localModified === undefined) {
+        if (!isSameValue(card[field], value)) {
+          fields[field] = value;
+        }
+        continue;
+      }
+
+      if (isSameValue(local.fields[field], value)) continue;
+
+      conflictFields.push({
+        field,
+        localValue: card[field],
+        remoteValue: value,
+        localModified,
+        remoteModified: remote.fieldModified[field]
+      });
+    }
+
+    if (Object.keys(fields).length > 0) {
+      result.updates.push({ id: card.id, fields, modified: remote.timestamp });
+    }
+
+    if (conflictFields.length > 0) {
+      const newestLocal = Math.max(...conflictFields.map(f => f.localModified));
+      const newestRemote = Math.max(...conflictFields.map(f => f.remoteModified));
+      result.conflicts.push({
+        type: 'update',
+        uniqueId: remote.uniqueId,
+        cardId: card.id,
+        card,
+        fields: conflictFields,
+        resolution: newestLocal > newestRemote ? 'local' : 'remote'
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Translate a resolved conflict into the storage operation it needs
+ * @returns {Object|null} {type: 'update', id, fields} | {type: 'delete', id} | null
+ */
+export function getConflictOperation(conflict, resolution = conflict.resolution) {
+  if (resolution !== 'remote') return null;
+
+  if (conflict.type === 'delete') {
+    return { type: 'delete', id: conflict.cardId };
+  }
+
+  const fields = {};
+  for (const { field, remoteValue } of conflict.fields) {
+    fields[field] = remoteValue;
+  }
+  return { type: 'update', id: conflict.cardId, fields };
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
 }
@@ -0,0 +1,268 @@
+/**
+ * Post-it detection in photos
+ * Finds colored, roughly rectangular notes on a light or gray background by
+ * grouping saturated pixels of similar hue (color blobs). Runs locally on a
+ * downscaled copy of the photo; white notes cannot be told apart from the wall.
+ */
+
+import { ZOTERO_BASE_PALETTE } from './card-colors.js';
+
+const ANALYSIS_MAX_SIDE = 480;
+const MIN_SATURATION = 0.22;
+const MIN_VALUE = 0.35;
+const MAX_HUE_STEP = 18; // Degrees between neighboring pixels of the same note
+
+/**
+ * Hue (0-360), saturation and value (0-1) of an RGB color
+ */
+function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) hue = ((g - b) / delta) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+    hue = (hue * 60 + 360) % 360;
+  }
+
+  return { hue, saturation: max === 0 ? 0 : delta / max, value: max / 255 };
+}
+
+function hueDistance(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Card color closest in hue to a note color (gray for washed-out notes)
+ * @returns {string} card-color-N
+ */
+export function mapNoteColorToCard(hex) {
+  const { hue, saturation } = rgbToHsv(...hexToRgb(hex));
+  if (saturation < 0.15) return 'card-color-8';
+
+  let best = null;
+  let bestDistance = Infinity;
+  Object.entries(ZOTERO_BASE_PALETTE).forEach(([cardColor, paletteHex]) => {
+    if (cardColor === 'card-color-8') return;
+    const distance = hueDistance(hue, rgbToHsv(...hexToRgb(paletteHex)).hue);
+    if (distance < bestDistance) {
+      best = cardColor;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Find post-it notes in image pixels
+ * @param {ImageData|Object} imageData - { data, width, height }
+ * @param {Object} options
+ * @param {number} options.minAreaRatio - Smallest note as a fraction of the image
+ * @param {number} options.maxAreaRatio - Larger blobs are treated as background
+ * @returns {Array} [{ x, y, width, height, color }] in pixels, in reading order
+ */
+export function detectPostIts({ data, width, height }, { minAreaRatio = 0.002, maxAreaRatio = 0.5 } = {}) {
+  const pixelCount = width * height;
+  const hues = new Float32Array(pixelCount);
+  const isNote = new Uint8Array(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const { hue, saturation, value } = rgbToHsv(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    hues[i] = hue;
+    isNote[i] = saturation >= MIN_SATURATION && value >= MIN_VALUE ? 1 : 0;
+  }
+
+  // Erode once so notes that barely touch become separate blobs
+  const mask = new Uint8Array(pixelCount);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      mask[i] = isNote[i] && isNote[i - 1] && isNote[i + 1] && isNote[i - width] && isNote[i + width] ? 1 : 0;
+    }
+  }
+
+  const visited = new Uint8Array(pixelCount);
+  const stack = new Int32Array(pixelCount);
+  const notes = [];
+
+  for (let start = 0; start < pixelCount; start++) {
+    if (!mask[start] || visited[start]) continue;
+
+    // Flood fill over neighbors with a similar hue
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+    let count = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = 0;
+    let maxY = 0;
+    let sumR = 0;
+    let sumG = 0;
+    let sumB = 0;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+
+      count++;
+      sumR += data[i * 4];
+      sumG += data[i * 4 + 1];
+      sumB += data[i * 4 + 2];
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      const neighbors = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        y > 0 ? i - width : -1,
+        y < height - 1 ? i + width : -1
+      ];
+      for (const n of neighbors) {
+        if (n < 0 || visited[n] || !mask[n]) continue;
+        if (hueDistance(hues[i], hues[n]) > MAX_HUE_STEP) continue;
+        visited[n] = 1;
+        stack[top++] = n;
+      }
+    }
+
+    // Undo the erosion on the bounding box
+    minX = Math.max(0, minX - 1);
+    minY = Math.max(0, minY - 1);
+    maxX = Math.min(width - 1, maxX + 1);
+    maxY = Math.min(height - 1, maxY + 1);
+
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const aspect = boxWidth / boxHeight;
+
+    if (count < pixelCount * minAreaRatio || count > pixelCount * maxAreaRatio) continue;
+    // Handwriting leaves holes, but a note still fills most of its box
+    if (count / (boxWidth * boxHeight) < 0.55) continue;
+    if (aspect < 0.3 || aspect > 3.3) continue;
+
+    notes.push({
+      x: minX,
+      y: minY,
+      width: boxWidth,
+      height: boxHeight,
+      color: toHex(sumR / count, sumG / count, sumB / count)
+    });
+  }
+
+  return sortInReadingOrder(notes);
+}
+
+/**
+ * Top-to-bottom rows, left-to-right within a row
+ * Notes whose centers are within half a typical note height share a row.
+ */
+function sortInReadingOrder(notes) {
+  if (notes.length === 0) return notes;
+
+  const heights = notes.map(note => note.height).sort((a, b) => a - b);
+  const rowTolerance = heights[Math.floor(heights.length / 2)] / 2;
+  const byTop = [...notes].sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2));
+
+  const rows = [];
+  byTop.forEach(note => {
+    const center = note.y + note.height / 2;
+    const row = rows[rows.length - 1];
+    if (row && center - row.center <= rowTolerance) {
+      row.notes.push(note);
+    } else {
+      rows.push({ center, notes: [note] });
+    }
+  });
+
+  return rows.flatMap(row => row.notes.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Detect post-its in a loaded image
+ * @param {HTMLImageElement} image
+ * @returns {Array} Notes in the image's natural pixel coordinates
+ */
+export function detectPostItsInImage(image) {
+  const scale = Math.min(1, ANALYSIS_MAX_SIDE / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  const notes = detectPostIts(ctx.getImageData(0, 0, canvas.width, canvas.height));
+
+  return notes.map(note => {
+    const x = Math.round(note.x / scale);
+    const y = Math.round(note.y / scale);
+    return {
+      ...note,
+      x,
+      y,
+      width: Math.min(Math.round(note.width / scale), image.naturalWidth - x),
+      height: Math.min(Math.round(note.height / scale), image.naturalHeight - y)
+    };
+  });
+}
+
+/**
+ * Crop a note out of the image
+ * @returns {Promise<Blob>} JPEG
+ */
+export function cropPostIt(image, note) {
+  const canvas = document.createElement('canvas');
+  canvas.width = note.width;
+  canvas.height = note.height;
+  canvas.getContext('2d').drawImage(
+    image,
+    note.x, note.y, note.width, note.height,
+    0, 0, note.width, note.height
+  );
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('Kunde inte beskära lappen'));
+    }, 'image/jpeg', 0.92);
+  });
+}
+
+/**
+ * Board offsets for notes so the cards keep the photo's layout without overlapping
+ * Image cards are shown at most maxWidth x maxHeight, so the photo is scaled
+ * until every note has room for its card.
+ * @returns {Array} [{ x, y }] relative to the top-left note area, same order as notes
+ */
+export function layoutPostIts(notes, { maxWidth = 200, maxHeight = 300, spacing = 1.15 } = {}) {
+  if (notes.length === 0) return [];
+
+  const scale = Math.max(...notes.map(note => {
+    const displayScale = Math.min(1, maxWidth / note.width, maxHeight / note.height);
+    return displayScale * spacing;
+  }));
+
+  const originX = Math.min(...notes.map(note => note.x));
+  const originY = Math.min(...notes.map(note => note.y));
+
+  return notes.map(note => ({
+    x: Math.round((note.x - originX) * scale),
+    y: Math.round((note.y - originY) * scale)
+  }));
+}
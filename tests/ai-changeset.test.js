@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createAIChangeset, commitAIChangeset } from '../src/lib/ai-tools.js';
+import { db, createCard } from '../src/lib/storage.js';
+
+beforeEach(async () => {
+  await db.cards.clear();
+  await db.connectors.clear();
+});
+
+describe('createAIChangeset', () => {
+  it('shows new cards with their later changes to the tools', () => {
+    const changeset = createAIChangeset();
+    const id = changeset.createCard({ text: 'Möte', tags: ['calendar'], position: { x: 0, y: 0 } });
+    changeset.setPosition(id, { x: 10.4, y: 20 });
+
+    expect(id).toBeLessThan(0);
+    expect(changeset.isEmpty()).toBe(false);
+    expect(changeset.applyToCards([{ id: 1, text: 'Gammalt' }])).toEqual([
+      { id: 1, text: 'Gammalt' },
+      { id, text: 'Möte', tags: ['calendar'], position: { x: 10, y: 20 } }
+    ]);
+    expect(changeset.getCardChanges()).toEqual([]);
+  });
+});
+
+describe('commitAIChangeset', () => {
+  it('creates new cards and links them by their real ids', async () => {
+    const existing = await createCard({ text: 'Finns', position: { x: 0, y: 0 } });
+    const changeset = createAIChangeset();
+    const tempId = changeset.createCard({ text: 'Ny', position: { x: 100, y: 100 } });
+    changeset.setColor(tempId, 'card-color-3');
+    changeset.setTags(existing, ['ai']);
+    changeset.addLink({ fromCardId: existing, toCardId: tempId });
+
+    const { created, cards, connectors } = await commitAIChangeset(changeset);
+
+    expect(created).toHaveLength(1);
+    expect(await db.cards.get(created[0])).toMatchObject({ text: 'Ny', cardColor: 'card-color-3', position: { x: 100, y: 100 } });
+    expect(cards).toEqual([{ cardId: existing, oldData: { tags: undefined }, newData: { tags: ['ai'] } }]);
+    expect(connectors[0].after).toMatchObject({ fromCardId: existing, toCardId: created[0] });
+    expect(changeset.isEmpty()).toBe(true);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { collectSources, toBibTeX, toCslJson, formatReference, formatInTextCitation } from '../src/lib/bibliography.js';
+
+const citation = {
+  uri: 'http://zotero.org/users/1/items/A',
+  type: 'article-journal',
+  title: 'Tal & rum_100%',
+  authors: [{ family: 'Karlsson Holst', given: 'Helene' }, { family: 'Nilsson', given: 'Åsa' }],
+  year: '2022',
+  url: 'https://example.org/a_b?x=1&y=50%25#sida',
+  locator: '2'
+};
+
+describe('collectSources', () => {
+  it('keeps one source per Zotero item and drops the card locator', () => {
+    const sources = collectSources([{ citation }, { citation: { ...citation, locator: '9' } }, { text: 'utan källa' }]);
+    expect(sources).toHaveLength(1);
+    expect(sources[0].locator).toBeUndefined();
+  });
+});
+
+describe('toBibTeX', () => {
+  it('escapes text fields but leaves url and doi verbatim', () => {
+    const source = { ...citation, csl: { type: 'article-journal', title: citation.title, DOI: '10.1000/a_b%c', URL: citation.url, issued: { 'date-parts': [[2022]] }, author: citation.authors } };
+    const bibtex = toBibTeX([source]);
+
+    expect(bibtex).toContain('title = {Tal \\& rum\\_100\\%}');
+    expect(bibtex).toContain('url = {https://example.org/a_b?x=1&y=50%25#sida}');
+    expect(bibtex).toContain('doi = {10.1000/a_b%c}');
+    expect(bibtex).toMatch(/^@article\{karlssonholst2022rum100,/);
+  });
+});
+
+describe('toCslJson', () => {
+  it('gives repeated citation keys a letter suffix', () => {
+    const items = JSON.parse(toCslJson([citation, { ...citation, uri: 'other' }]));
+    expect(items.map(item => item.id)).toEqual(['karlssonholst2022rum100', 'karlssonholst2022rum100a']);
+    expect(items[0].URL).toBe(citation.url);
+  });
+});
+
+describe('formatReference and formatInTextCitation', () => {
+  it('formats APA references with initials and "&"', () => {
+    expect(formatReference({ ...citation, type: 'book' }))
+      .toBe('Karlsson Holst, H., & Nilsson, Å. (2022). *Tal & rum_100%*. https://example.org/a_b?x=1&y=50%25#sida');
+  });
+
+  it('cites with page and shortens three authors to "m.fl."', () => {
+    expect(formatInTextCitation(citation)).toBe('(Karlsson Holst & Nilsson, 2022, s. 2)');
+    expect(formatInTextCitation({ ...citation, authors: [...citation.authors, { family: 'C' }], locator: '' }))
+      .toBe('(Karlsson Holst m.fl., 2022)');
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { diffWords, changedFields, getCardHistory } from '../src/lib/card-history.js';
+import { createCard, updateCard } from '../src/lib/storage.js';
+
+describe('diffWords', () => {
+  it('marks removed and added words and keeps the rest', () => {
+    expect(diffWords('en röd bil', 'en blå bil')).toEqual([
+      { type: 'same', value: 'en ' },
+      { type: 'removed', value: 'röd' },
+      { type: 'added', value: 'blå' },
+      { type: 'same', value: ' bil' }
+    ]);
+  });
+
+  it('joins the parts back into either text', () => {
+    const parts = diffWords('första versionen av texten', 'andra versionen av den nya texten');
+    const join = types => parts.filter(part => types.includes(part.type)).map(part => part.value).join('');
+    expect(join(['same', 'removed'])).toBe('första versionen av texten');
+    expect(join(['same', 'added'])).toBe('andra versionen av den nya texten');
+  });
+
+  it('handles empty texts', () => {
+    expect(diffWords('', 'ny')).toEqual([{ type: 'added', value: 'ny' }]);
+    expect(diffWords(null, undefined)).toEqual([]);
+  });
+});
+
+describe('changedFields', () => {
+  it('lists tracked fields that differ', () => {
+    expect(changedFields({ text: 'a', tags: ['x'] }, { text: 'a', tags: ['y'], locked: true })).toEqual(['tags']);
+  });
+});
+
+describe('getCardHistory', () => {
+  it('replays the changelog into versions, newest first', async () => {
+    let clock = 2_000_000;
+    const now = vi.spyOn(Date, 'now').mockImplementation(() => (clock += 10));
+
+    const id = await createCard({ text: 'första', tags: [] });
+    await updateCard(id, { text: 'andra' });
+    await updateCard(id, { locked: true }); // not tracked - no new version
+    await updateCard(id, { tags: ['klar'] });
+    now.mockRestore();
+
+    const versions = await getCardHistory(id);
+    expect(versions.map(version => version.changed)).toEqual([['tags'], ['text'], ['text', 'tags']]);
+    expect(versions[0].fields).toMatchObject({ text: 'andra', tags: ['klar'] });
+    expect(versions[2].operation).toBe('create');
+  });
+});
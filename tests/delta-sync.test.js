@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createDelta, mergeDelta } from '../src/utils/delta-sync.js';
+import { db, createCard, updateCard, exportDelta, importData, resolveDeltaConflicts, markDeltaExported, getLastDeltaExport } from '../src/lib/storage.js';
+
+// Every call gets its own millisecond, so changelog windows are exact
+let clock = 1_000_000;
+vi.spyOn(Date, 'now').mockImplementation(() => (clock += 10));
+
+async function exportAndMark() {
+  const delta = await exportDelta();
+  markDeltaExported(delta.exportedAt);
+  return delta;
+}
+
+describe('createDelta', () => {
+  it('compacts changes into one entry per card with the latest field values', () => {
+    const delta = createDelta([
+      { timestamp: 1, cardId: 1, operation: 'create', data: { uniqueId: 'a', text: 'ett' } },
+      { timestamp: 2, cardId: 1, operation: 'update', data: { text: 'två', modified: 2 } }
+    ]);
+
+    expect(delta).toEqual([{
+      uniqueId: 'a',
+      operation: 'create',
+      fields: { text: 'två' },
+      fieldModified: { text: 2 },
+      timestamp: 2
+    }]);
+  });
+
+  it('drops cards created and deleted within the same delta', () => {
+    const delta = createDelta([
+      { timestamp: 1, cardId: 1, operation: 'create', data: { uniqueId: 'a', text: 'x' } },
+      { timestamp: 2, cardId: 1, operation: 'delete' }
+    ]);
+    expect(delta).toEqual([]);
+  });
+
+  it('promotes an update to a create when the full card is logged again', () => {
+    const delta = createDelta([
+      { timestamp: 1, cardId: 1, operation: 'update', data: { uniqueId: 'a', text: 'ändrad' } },
+      { timestamp: 2, cardId: 1, operation: 'create', data: { uniqueId: 'a', text: 'ändrad', tags: [] } }
+    ]);
+    expect(delta).toMatchObject([{ uniqueId: 'a', operation: 'create', fields: { text: 'ändrad', tags: [] } }]);
+  });
+
+  it('still sends the delete of a card that existed before the delta', () => {
+    const delta = createDelta([
+      { timestamp: 1, cardId: 1, operation: 'delete', data: { uniqueId: 'a' } },
+      { timestamp: 2, cardId: 1, operation: 'create', data: { uniqueId: 'a', text: 'återställd' } },
+      { timestamp: 3, cardId: 1, operation: 'delete', data: { uniqueId: 'a' } }
+    ]);
+    expect(delta).toMatchObject([{ uniqueId: 'a', operation: 'delete' }]);
+  });
+});
+
+describe('mergeDelta', () => {
+  const card = { id: 7, uniqueId: 'a', text: 'lokal', tags: [] };
+
+  it('applies remote fields that were not changed locally', () => {
+    const remote = [{ uniqueId: 'a', operation: 'update', fields: { tags: ['x'] }, fieldModified: { tags: 5 }, timestamp: 5 }];
+    const merge = mergeDelta([card], [], remote);
+    expect(merge.updates).toEqual([{ id: 7, fields: { tags: ['x'] }, modified: 5 }]);
+    expect(merge.conflicts).toEqual([]);
+  });
+
+  it('reports fields changed on both sides as conflicts, newest side preselected', () => {
+    const local = [{ uniqueId: 'a', operation: 'update', fields: { text: 'lokal' }, fieldModified: { text: 9 }, timestamp: 9 }];
+    const remote = [{ uniqueId: 'a', operation: 'update', fields: { text: 'fjärr' }, fieldModified: { text: 5 }, timestamp: 5 }];
+    const merge = mergeDelta([card], local, remote);
+    expect(merge.updates).toEqual([]);
+    expect(merge.conflicts).toHaveLength(1);
+    expect(merge.conflicts[0].resolution).toBe('local');
+  });
+});
+
+describe('exportDelta after importData', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    await db.cards.clear();
+    await db.changelog.clear();
+  });
+
+  it('keeps local edits made before an import in the next export', async () => {
+    const id = await createCard({ text: 'första' });
+    await exportAndMark();
+
+    await updateCard(id, { text: 'ändrad före import' });
+    const exportBeforeImport = getLastDeltaExport();
+    await importData({ type: 'delta', version: '2.0', changes: [] });
+
+    expect(getLastDeltaExport()).toBe(exportBeforeImport);
+    const delta = await exportAndMark();
+    expect(delta.changes.map(change => change.fields.text)).toEqual(['ändrad före import']);
+  });
+
+  it('does not send imported changes back', async () => {
+    const id = await createCard({ text: 'lokal' });
+    await exportAndMark();
+    const { uniqueId } = await db.cards.get(id);
+
+    await importData({
+      type: 'delta',
+      version: '2.0',
+      changes: [{ uniqueId, operation: 'update', fields: { text: 'fjärr' }, fieldModified: { text: Date.now() }, timestamp: Date.now() }]
+    });
+
+    expect((await db.cards.get(id)).text).toBe('fjärr');
+    expect((await exportDelta()).changes).toEqual([]);
+  });
+
+  it('detects conflicts against local edits not yet exported', async () => {
+    const id = await createCard({ text: 'lokal' });
+    await exportAndMark();
+    const { uniqueId } = await db.cards.get(id);
+
+    await updateCard(id, { text: 'ändrad här' });
+    await importData({ type: 'delta', version: '2.0', changes: [] });
+
+    const remoteTime = Date.now();
+    const { conflicts } = await importData({
+      type: 'delta',
+      version: '2.0',
+      changes: [{ uniqueId, operation: 'update', fields: { text: 'ändrad där' }, fieldModified: { text: remoteTime }, timestamp: remoteTime }]
+    });
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].fields[0]).toMatchObject({ field: 'text', localValue: 'ändrad här', remoteValue: 'ändrad där' });
+  });
+
+  it('does not send local values back after choosing the incoming version', async () => {
+    const id = await createCard({ text: 'lokal' });
+    await exportAndMark();
+    const { uniqueId } = await db.cards.get(id);
+
+    await updateCard(id, { text: 'ändrad här' });
+    const remoteTime = Date.now();
+    const { conflicts } = await importData({
+      type: 'delta',
+      version: '2.0',
+      changes: [{ uniqueId, operation: 'update', fields: { text: 'ändrad där' }, fieldModified: { text: remoteTime }, timestamp: remoteTime }]
+    });
+    await resolveDeltaConflicts(conflicts, new Map([[uniqueId, 'remote']]));
+
+    expect((await db.cards.get(id)).text).toBe('ändrad där');
+    const changes = createDelta(await db.changelog.where('timestamp').above(getLastDeltaExport()).toArray());
+    expect(changes.map(change => change.fields.text)).toEqual(['ändrad där']);
+  });
+
+  it('sends the whole card when keeping a card the other device deleted', async () => {
+    const id = await createCard({ text: 'lokal', tags: ['a'] });
+    await exportAndMark();
+    const { uniqueId } = await db.cards.get(id);
+
+    await updateCard(id, { text: 'ändrad här' });
+    const { conflicts } = await importData({
+      type: 'delta',
+      version: '2.0',
+      changes: [{ uniqueId, operation: 'delete', fields: {}, fieldModified: {}, timestamp: 1 }]
+    });
+    expect(conflicts).toMatchObject([{ type: 'delete' }]);
+    await resolveDeltaConflicts(conflicts, new Map([[uniqueId, 'local']]));
+
+    const { changes } = await exportDelta();
+    expect(changes).toMatchObject([{ uniqueId, operation: 'create', fields: { text: 'ändrad här', tags: ['a'] } }]);
+  });
+});
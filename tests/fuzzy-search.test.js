@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { compileSearch, getSearchSyntaxError } from '../src/lib/fuzzy-search.js';
+import { SearchSyntaxError } from '../src/lib/search-query.js';
+
+const cards = [
+  { id: 1, text: 'Mötesanteckningar om budget', tags: ['ekonomi'] },
+  { id: 2, text: 'Budget och bar-kvitton', tags: [] },
+  { id: 3, text: 'Recept på kanelbullar', tags: ['bak'] }
+];
+
+const fuzzyIds = query => compileSearch(query, 'fuzzy').rankCards(cards).map(({ card }) => card.id);
+
+describe('fuzzy search', () => {
+  it('tolerates typos', () => {
+    expect(fuzzyIds('budgte')).toEqual(expect.arrayContaining([1, 2]));
+    expect(fuzzyIds('kanelbulllar')).toEqual([3]);
+  });
+
+  it('excludes negated words instead of requiring them', () => {
+    expect(fuzzyIds('budget NOT bar')).toEqual([1]);
+    expect(fuzzyIds('budget NOT "bar-kvitton"')).toEqual([1]);
+    expect(fuzzyIds('NOT budget')).toEqual([3]);
+  });
+
+  it('filters field qualifiers exactly, also negated', () => {
+    expect(fuzzyIds('budget tag:ekonomi')).toEqual([1]);
+    expect(fuzzyIds('budget NOT tag:ekonomi')).toEqual([2]);
+  });
+
+  it('rejects OR and NEAR rather than reading them as AND', () => {
+    expect(getSearchSyntaxError('budget OR recept', 'fuzzy')).toBeInstanceOf(SearchSyntaxError);
+    expect(getSearchSyntaxError('budget NEAR/2 bar', 'fuzzy')).toBeInstanceOf(SearchSyntaxError);
+    expect(getSearchSyntaxError('budget NOT', 'fuzzy')).toBeInstanceOf(SearchSyntaxError);
+    expect(getSearchSyntaxError('NOT (bar)', 'fuzzy')).toBeInstanceOf(SearchSyntaxError);
+    expect(getSearchSyntaxError('budget NOT bar', 'fuzzy')).toBeNull();
+  });
+
+  it('keeps strict mode boolean', () => {
+    const strict = compileSearch('budget OR recept', 'strict').rankCards(cards).map(({ card }) => card.id);
+    expect(strict).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { toJsonCanvas, fromJsonCanvas } from '../src/lib/json-canvas.js';
+import { getNearestCardColor } from '../src/utils/card-colors.js';
+
+const getBox = card => ({ x: card.position.x, y: card.position.y, width: 200, height: 150 });
+
+describe('toJsonCanvas and fromJsonCanvas', () => {
+  it('round-trips cards, tags, colors, groups and edges', () => {
+    const cards = [
+      { id: 1, uniqueId: 'a', text: 'Första', tags: ['läsa'], cardColor: 'card-color-2', position: { x: 10, y: 20 } },
+      { id: 2, uniqueId: 'b', text: 'Andra', tags: [], cardColor: 'card-color-8', position: { x: 300, y: 20 } }
+    ];
+    const frames = [{ id: 5, name: 'Ram', x: 0, y: 0, width: 600, height: 300 }];
+    const connectors = [{ id: 9, fromCardId: 1, toCardId: 2, directed: true, label: 'leder till' }];
+
+    const { canvas, images } = toJsonCanvas({ cards, frames, connectors, getBox });
+    expect(images).toEqual([]);
+
+    const result = fromJsonCanvas(JSON.parse(JSON.stringify(canvas)));
+    expect(result.groups).toEqual([{ nodeId: 'frame-5', name: 'Ram', x: 0, y: 0, width: 600, height: 300 }]);
+    expect(result.cards.map(({ card }) => card)).toEqual([
+      { text: 'Första', tags: ['läsa'], cardColor: 'card-color-2', position: { x: 10, y: 20 } },
+      { text: 'Andra', tags: [], cardColor: 'card-color-8', position: { x: 300, y: 20 } }
+    ]);
+    expect(result.edges).toEqual([{ fromNode: 'card-a', toNode: 'card-b', directed: true, label: 'leder till' }]);
+  });
+
+  it('maps hex colors from other tools to the nearest palette color', () => {
+    const canvas = {
+      nodes: [
+        { id: 'x', type: 'text', text: 'Hex', x: 0, y: 0, width: 100, height: 100, color: '#FF0000' },
+        { id: 'y', type: 'text', text: 'Ogiltig', x: 0, y: 0, width: 100, height: 100, color: 'red' }
+      ],
+      edges: []
+    };
+    const [hex, invalid] = fromJsonCanvas(canvas).cards.map(({ card }) => card);
+    expect(hex.cardColor).toBe('card-color-2');
+    expect(invalid.cardColor).toBeUndefined();
+  });
+});
+
+describe('getNearestCardColor', () => {
+  it('matches base colors, light tints and short hex', () => {
+    expect(getNearestCardColor('#5fb236')).toBe('card-color-3');
+    expect(getNearestCardColor('#cbe9ff')).toBe('card-color-4');
+    expect(getNearestCardColor('#fd0')).toBe('card-color-1');
+    expect(getNearestCardColor('blå')).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getLocalLLMSettings, saveLocalLLMSettings, forgetLocalLLMApiKey, normalizeBaseUrl } from '../src/lib/local-llm.js';
+import { executeLocalLLMAgent } from '../src/lib/gemini.js';
+
+describe('local LLM settings', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('keeps the stored API key when saved without one', () => {
+    saveLocalLLMSettings({ baseUrl: 'http://localhost:1234/v1', model: 'qwen2.5', apiKey: ' hemlig ' });
+    saveLocalLLMSettings({ baseUrl: 'http://localhost:1234/v1', model: 'llama3.1', apiKey: '' });
+    saveLocalLLMSettings({ baseUrl: 'http://localhost:1234/v1', model: 'llama3.1' });
+
+    expect(getLocalLLMSettings()).toEqual({ baseUrl: 'http://localhost:1234/v1', model: 'llama3.1', apiKey: 'hemlig' });
+  });
+
+  it('replaces the key when a new one is given and forgets it on request', () => {
+    saveLocalLLMSettings({ baseUrl: 'http://x/v1', model: 'm', apiKey: 'gammal' });
+    saveLocalLLMSettings({ baseUrl: 'http://x/v1', model: 'm', apiKey: 'ny' });
+    expect(getLocalLLMSettings().apiKey).toBe('ny');
+
+    forgetLocalLLMApiKey();
+    expect(getLocalLLMSettings().apiKey).toBe('');
+  });
+
+  it('normalizes pasted addresses', () => {
+    expect(normalizeBaseUrl(' http://localhost:11434/v1/chat/completions ')).toBe('http://localhost:11434/v1');
+    expect(normalizeBaseUrl('http://localhost:11434/v1//')).toBe('http://localhost:11434/v1');
+  });
+});
+
+describe('executeLocalLLMAgent', () => {
+  const reply = message => ({ ok: true, json: async () => ({ choices: [{ message }] }) });
+  const toolCall = args => ({
+    role: 'assistant',
+    tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'getAllCards', arguments: args } }]
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    saveLocalLLMSettings({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' });
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('returns broken tool arguments to the model as an error so it can retry', async () => {
+    const requests = [];
+    const responses = [reply(toolCall('{"limit": 3')), reply(toolCall('{"limit": 3}')), reply({ role: 'assistant', content: 'Klart' })];
+    vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+      requests.push(JSON.parse(options.body));
+      return responses.shift();
+    }));
+    const getAllCards = vi.fn(async () => []);
+
+    const answer = await executeLocalLLMAgent('Visa korten', [], { getAllCards });
+
+    expect(answer).toBe('Klart');
+    expect(getAllCards).toHaveBeenCalledTimes(1);
+    expect(getAllCards).toHaveBeenCalledWith({ limit: 3 });
+    const toolResult = requests[1].messages.at(-1);
+    expect(toolResult.role).toBe('tool');
+    expect(JSON.parse(toolResult.content).error).toMatch(/^Ogiltiga argument: /);
+  });
+
+  it('reports a response without choices instead of crashing', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => ({ error: null }) })));
+    await expect(executeLocalLLMAgent('Hej', [], {})).rejects.toThrow('Lokal AI skickade ett svar utan meddelande.');
+  });
+});
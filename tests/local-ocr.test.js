@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('tesseract.js', () => ({
+  createWorker: vi.fn(() => Promise.reject(new TypeError('Failed to fetch')))
+}));
+
+const { extractLocalMetadata, recognizeTextLocally } = await import('../src/lib/local-ocr.js');
+
+describe('extractLocalMetadata', () => {
+  it('finds ISO and written Swedish dates with week tags', () => {
+    expect(extractLocalMetadata('Möte 2025-10-19 kl 14:30')).toEqual({
+      metadata: {
+        extractedDate: '2025-10-19',
+        extractedTime: '14:30',
+        extractedDateTime: '2025-10-19T14:30',
+        extractedPeople: [],
+        extractedPlaces: []
+      },
+      hashtags: ['251019', '25v42']
+    });
+    expect(extractLocalMetadata('Inlämning 3 mars 2024').metadata.extractedDate).toBe('2024-03-03');
+  });
+
+  it('leaves the date empty when there is none', () => {
+    const { metadata, hashtags } = extractLocalMetadata('Handla mjölk 9:05');
+    expect(metadata.extractedDate).toBeNull();
+    expect(metadata.extractedTime).toBe('09:05');
+    expect(hashtags).toEqual([]);
+  });
+});
+
+describe('recognizeTextLocally', () => {
+  it('loads the engine and language data served with the app', async () => {
+    const { createWorker } = await import('tesseract.js');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(recognizeTextLocally('data:image/png;base64,')).rejects.toThrow('Lokal OCR kunde inte starta: Failed to fetch');
+    expect(createWorker).toHaveBeenCalledWith(['swe', 'eng'], 1, {
+      workerPath: '/tesseract/worker.min.js',
+      corePath: '/tesseract/core',
+      langPath: '/tesseract/lang'
+    });
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { cardToMarkdown, parseMarkdownNote, importVaultNotes } from '../src/lib/markdown-vault.js';
+import { db, createCardWithUniqueId, deleteCard, getAllCards } from '../src/lib/storage.js';
+
+describe('cardToMarkdown and parseMarkdownNote', () => {
+  it('round-trips the card fields', () => {
+    const card = {
+      uniqueId: 'abc-1',
+      text: 'Framsida med "citat"',
+      backText: 'Baksidans text',
+      comments: 'En kommentar',
+      tags: ['projekt alfa', 'möte'],
+      cardColor: 'card-color-3',
+      position: { x: 120.4, y: -40 },
+      created: Date.UTC(2025, 9, 15)
+    };
+    const note = parseMarkdownNote(cardToMarkdown(card, 'images/abc-1.png'), 'Framsida.md');
+
+    expect(note).toEqual({
+      uniqueId: 'abc-1',
+      text: 'Framsida med "citat"',
+      backText: 'Baksidans text',
+      comments: 'En kommentar',
+      tags: ['projekt alfa', 'möte'],
+      cardColor: 'card-color-3',
+      position: { x: 120, y: -40 },
+      created: card.created,
+      imageRef: 'images/abc-1.png'
+    });
+  });
+
+  it('leaves fields missing from the note undefined', () => {
+    const note = parseMarkdownNote('Bara text', 'Anteckning.md');
+    expect(note.text).toBe('Bara text');
+    expect(note.tags).toBeUndefined();
+    expect(note.backText).toBeUndefined();
+  });
+});
+
+describe('tags in front matter', () => {
+  const tagsOf = (yaml) => parseMarkdownNote(`---\n${yaml}\n---\ntext`).tags;
+
+  it('splits a string on commas only', () => {
+    expect(tagsOf('tags: "#läsa, projekt alfa"')).toEqual(['läsa', 'projekt alfa']);
+    expect(tagsOf('tags: projekt alfa')).toEqual(['projekt alfa']);
+  });
+
+  it('reads YAML lists as they are', () => {
+    expect(tagsOf('tags:\n  - ett\n  - två ord')).toEqual(['ett', 'två ord']);
+    expect(tagsOf('tags: [ett, två]')).toEqual(['ett', 'två']);
+  });
+});
+
+describe('importVaultNotes', () => {
+  const place = () => ({ x: 0, y: 0 });
+
+  beforeEach(async () => {
+    await db.cards.clear();
+    await db.trash.clear();
+  });
+
+  it('updates the card created by an earlier note with the same uniqueId', async () => {
+    const notes = [
+      { uniqueId: 'u1', text: 'Första', tags: [] },
+      { uniqueId: 'u1', text: 'Andra', tags: [] }
+    ];
+
+    expect(await importVaultNotes(notes, place)).toEqual({ created: 1, updated: 1, restored: 0 });
+    const cards = await getAllCards({ allBoards: true });
+    expect(cards).toHaveLength(1);
+    expect(cards[0].text).toBe('Andra');
+  });
+
+  it('restores a trashed card instead of creating a duplicate', async () => {
+    const id = await createCardWithUniqueId({ uniqueId: 'u2', text: 'Gammal', tags: [] });
+    await deleteCard(id);
+
+    const counts = await importVaultNotes([{ uniqueId: 'u2', text: 'Ny text', tags: [] }], place);
+
+    expect(counts).toEqual({ created: 0, updated: 0, restored: 1 });
+    expect(await db.trash.count()).toBe(0);
+    const cards = await getAllCards({ allBoards: true });
+    expect(cards.map(card => [card.id, card.text])).toEqual([[id, 'Ny text']]);
+  });
+
+  it('places new cards without a position', async () => {
+    await importVaultNotes([{ uniqueId: 'u3', text: 'Ny' }], () => ({ x: 40, y: 60 }));
+    const [card] = await getAllCards({ allBoards: true });
+    expect(card).toMatchObject({ uniqueId: 'u3', position: { x: 40, y: 60 } });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Fake IndexedDB schedules its work with setImmediate, so only timers and the clock are faked
+const FAKED = ['setTimeout', 'clearTimeout', 'Date'];
+
+let queue;
+let db;
+
+/**
+ * Let IndexedDB work and the fire-and-forget jobs run until the condition holds
+ */
+async function until(condition) {
+  for (let i = 0; i < 2000; i++) {
+    if (await condition()) return;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error('Condition not met');
+}
+
+// The queue has gone idle and set its timer for the next attempt
+const waitingForTimer = () => vi.getTimerCount() > 0;
+
+const jobStatus = async cardId => (await db.ocrJobs.where('cardId').equals(cardId).first())?.status;
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: FAKED });
+  vi.spyOn(Math, 'random').mockReturnValue(0.5); // No jitter: 2 s, 4 s, 8 s...
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+  // Fresh module state (pause, running count, batch) for every test
+  vi.resetModules();
+  ({ db } = await import('../src/lib/storage.js'));
+  queue = await import('../src/lib/ocr-queue.js');
+  await db.ocrJobs.clear();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('getBackoffDelay and isRetryableError', () => {
+  it('doubles the delay per attempt up to a minute', () => {
+    expect([1, 2, 3, 10].map(queue.getBackoffDelay)).toEqual([2000, 4000, 8000, 60000]);
+  });
+
+  it('retries rate limits, server and network errors only', () => {
+    expect(queue.isRetryableError(httpError(429))).toBe(true);
+    expect(queue.isRetryableError(httpError(503))).toBe(true);
+    expect(queue.isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(queue.isRetryableError(httpError(400))).toBe(false);
+  });
+});
+
+describe('OCR queue', () => {
+  it('runs at most OCR_CONCURRENCY jobs at once and reports the finished batch', async () => {
+    const running = [];
+    const onDrained = vi.fn();
+    queue.configureOcrQueue({
+      runJob: () => new Promise(resolve => running.push(resolve)),
+      onDrained
+    });
+
+    // A card already waiting is not queued twice
+    expect(await queue.enqueueOcrJobs([1, 2, 3, 4, 1])).toBe(4);
+    await until(() => running.length === queue.OCR_CONCURRENCY);
+    await until(() => true);
+    expect(running).toHaveLength(queue.OCR_CONCURRENCY);
+    expect(await db.ocrJobs.where('status').equals('running').count()).toBe(queue.OCR_CONCURRENCY);
+
+    await until(() => {
+      running.splice(0).forEach(resolve => resolve());
+      return onDrained.mock.calls.length > 0;
+    });
+    expect(onDrained).toHaveBeenCalledWith({ done: 4, failed: [] });
+    expect(await db.ocrJobs.count()).toBe(0);
+  });
+
+  it('retries server errors after the backoff delay', async () => {
+    const runJob = vi.fn().mockRejectedValueOnce(httpError(500)).mockResolvedValueOnce();
+    const onDrained = vi.fn();
+    queue.configureOcrQueue({ runJob, onDrained });
+
+    await queue.enqueueOcrJobs([1]);
+    await until(async () => (await db.ocrJobs.toArray())[0]?.attempts === 1 && waitingForTimer());
+    const [job] = await db.ocrJobs.toArray();
+    expect(job).toMatchObject({ status: 'queued', error: 'HTTP 500', nextAttemptAt: Date.now() + 2000 });
+
+    vi.advanceTimersByTime(1000);
+    await until(() => true);
+    expect(runJob).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1100);
+    await until(() => onDrained.mock.calls.length > 0);
+    expect(runJob).toHaveBeenCalledTimes(2);
+    expect(onDrained).toHaveBeenCalledWith({ done: 1, failed: [] });
+  });
+
+  it('fails a job at once on other errors and after OCR_MAX_ATTEMPTS retries', async () => {
+    const onDrained = vi.fn();
+    queue.configureOcrQueue({
+      runJob: async job => { throw job.cardId === 1 ? httpError(400) : httpError(503); },
+      onDrained
+    });
+
+    await queue.enqueueOcrJobs([1, 2]);
+    await until(async () => (await jobStatus(1)) === 'failed');
+    expect(await jobStatus(2)).toBe('queued');
+
+    for (let attempt = 1; attempt < queue.OCR_MAX_ATTEMPTS; attempt++) {
+      await until(async () => (await db.ocrJobs.where('cardId').equals(2).first()).attempts === attempt && waitingForTimer());
+      vi.advanceTimersByTime(queue.getBackoffDelay(attempt) + 100);
+    }
+    await until(() => onDrained.mock.calls.length > 0);
+
+    const [{ failed }] = onDrained.mock.calls[0];
+    expect(failed.map(job => [job.cardId, job.attempts])).toEqual([[1, 1], [2, queue.OCR_MAX_ATTEMPTS]]);
+  });
+
+  it('pauses the whole queue after a rate limit', async () => {
+    let releaseSlow;
+    const runJob = vi.fn(job => {
+      if (job.cardId === 1 && job.attempts === 0) return Promise.reject(httpError(429));
+      if (job.cardId === 2) return new Promise(resolve => { releaseSlow = resolve; });
+      return Promise.resolve();
+    });
+    const onChange = vi.fn();
+    queue.configureOcrQueue({ runJob, onChange });
+
+    await queue.enqueueOcrJobs([1, 2, 3]);
+    await until(async () => (await db.ocrJobs.where('cardId').equals(1).first()).attempts === 1 && waitingForTimer());
+
+    // A slot is free, but card 3 waits for the pause to end
+    expect(runJob.mock.calls.map(([job]) => job.cardId)).toEqual([1, 2]);
+    expect(await jobStatus(3)).toBe('queued');
+    expect(onChange.mock.calls.at(-1)[1].pausedUntil).toBe(Date.now() + 2000);
+
+    vi.advanceTimersByTime(2100);
+    await until(() => runJob.mock.calls.length === 3);
+    releaseSlow();
+    await until(async () => (await db.ocrJobs.count()) === 0);
+    expect(runJob.mock.calls.map(([job]) => job.cardId).sort()).toEqual([1, 1, 2, 3]);
+  });
+
+  it('queues jobs left running by an earlier session again on start', async () => {
+    await db.ocrJobs.bulkAdd([
+      { cardId: 1, status: 'running', attempts: 0, nextAttemptAt: 0, error: null, created: 1 },
+      { cardId: 2, status: 'failed', attempts: 5, nextAttemptAt: 0, error: 'x', created: 2 }
+    ]);
+    const runJob = vi.fn().mockResolvedValue();
+    const onDrained = vi.fn();
+    queue.configureOcrQueue({ runJob, onDrained });
+
+    await queue.startOcrQueue();
+    await until(() => onDrained.mock.calls.length > 0);
+
+    expect(runJob).toHaveBeenCalledTimes(1);
+    expect(runJob.mock.calls[0][0]).toMatchObject({ cardId: 1, status: 'running' });
+    expect(await jobStatus(2)).toBe('failed');
+
+    expect(await queue.retryFailedOcrJobs()).toBe(1);
+    await until(async () => (await db.ocrJobs.count()) === 0);
+  });
+});
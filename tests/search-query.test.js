@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { compileQuery, getQuerySyntaxError, SearchSyntaxError } from '../src/lib/search-query.js';
+
+const matches = (query, card) => compileQuery(query).matchesCard(card);
+
+describe('field qualifiers', () => {
+  const locked = { text: 'låst kort', locked: true };
+  const loose = { text: 'löst kort' };
+  const image = { text: '', image: { src: 'data:image/png;base64,' }, tags: ['foto'] };
+
+  it('matches is:pinned and is:locked on locked cards only', () => {
+    expect(matches('is:pinned', locked)).toBe(true);
+    expect(matches('is:locked', locked)).toBe(true);
+    expect(matches('is:pinned', loose)).toBe(false);
+    expect(matches('is:locked', loose)).toBe(false);
+  });
+
+  it('matches is:text on cards without an image', () => {
+    expect(matches('is:text', loose)).toBe(true);
+    expect(matches('is:text', image)).toBe(false);
+  });
+
+  it('rejects unknown is: and has: values instead of matching something else', () => {
+    expect(getQuerySyntaxError('is:foo')).toBeInstanceOf(SearchSyntaxError);
+    expect(getQuerySyntaxError('has:foo')).toBeInstanceOf(SearchSyntaxError);
+    expect(getQuerySyntaxError('is:constructor')).toBeInstanceOf(SearchSyntaxError);
+    expect(() => compileQuery('is:foo')).toThrow(SearchSyntaxError);
+  });
+
+  it('gives every has: value its own predicate', () => {
+    expect(matches('has:image', image)).toBe(true);
+    expect(matches('has:image', loose)).toBe(false);
+    expect(matches('has:tags', image)).toBe(true);
+    expect(matches('has:comment', { text: 'x', comments: 'hej' })).toBe(true);
+    expect(matches('has:comment', { text: 'x', cardColor: 'card-color-1' })).toBe(false);
+    expect(matches('has:color', { text: 'x', cardColor: 'card-color-1' })).toBe(true);
+  });
+
+  it('matches tag:, color: and dates', () => {
+    const card = { text: 'möte', tags: ['Projekt-A'], cardColor: 'card-color-3', created: new Date(2025, 9, 15).getTime() };
+    expect(matches('tag:projekt-a', card)).toBe(true);
+    expect(matches('tag:projekt*', card)).toBe(true);
+    expect(matches('tag:projekt', card)).toBe(false);
+    expect(matches('color:3', card)).toBe(true);
+    expect(matches('color:none', card)).toBe(false);
+    expect(matches('created:2025-10', card)).toBe(true);
+    expect(matches('created:>2025-10-15', card)).toBe(false);
+    expect(matches('created:>=2025-10-15', card)).toBe(true);
+  });
+});
+
+describe('boolean queries', () => {
+  const text = (query, searchableText) => compileQuery(query).matchesText(searchableText);
+
+  it('treats adjacent words as AND and binds AND tighter than OR', () => {
+    expect(text('kaffe te', 'kaffe och te')).toBe(true);
+    expect(text('kaffe te', 'bara kaffe')).toBe(false);
+    expect(text('kaffe OR te AND kakor', 'kaffe')).toBe(true);
+    expect(text('(kaffe OR te) AND kakor', 'kaffe')).toBe(false);
+  });
+
+  it('negates with NOT, also first in the query', () => {
+    expect(text('NOT tutorial', 'python guide')).toBe(true);
+    expect(text('python NOT tutorial*', 'python tutorials')).toBe(false);
+  });
+
+  it('keeps operators inside quoted phrases as text', () => {
+    expect(text('"svart or vitt"', 'svart or vitt')).toBe(true);
+    expect(text('"svart or vitt"', 'svart')).toBe(false);
+  });
+
+  it('matches NEAR/n by word distance', () => {
+    expect(text('kaffe NEAR/2 kakor', 'kaffe med kakor')).toBe(true);
+    expect(text('kaffe NEAR/1 kakor', 'kaffe med goda kakor')).toBe(false);
+  });
+
+  it('reports syntax errors with a position', () => {
+    expect(getQuerySyntaxError('(kaffe OR te')).toBeInstanceOf(SearchSyntaxError);
+    expect(getQuerySyntaxError('"öppen fras')?.position).toBe(0);
+    expect(getQuerySyntaxError('kaffe NEAR/2 "te kakor"')).toBeInstanceOf(SearchSyntaxError);
+    expect(getQuerySyntaxError('kaffe OR te')).toBeNull();
+  });
+});
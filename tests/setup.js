@@ -0,0 +1,10 @@
+// Browser storage for modules that use IndexedDB (Dexie) and localStorage
+import 'fake-indexeddb/auto';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key),
+  clear: () => store.clear()
+};
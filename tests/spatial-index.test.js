@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { createSpatialIndex } from '../src/lib/spatial-index.js';
+
+describe('createSpatialIndex', () => {
+  it('returns only entries intersecting the query rectangle', () => {
+    const index = createSpatialIndex(100);
+    index.insert(1, { x: 0, y: 0, width: 50, height: 50 });
+    index.insert(2, { x: 1000, y: 1000, width: 50, height: 50 });
+    index.insert(3, { x: 90, y: 90, width: 50, height: 50 });
+
+    expect([...index.query({ x: 0, y: 0, width: 100, height: 100 })].sort()).toEqual([1, 3]);
+  });
+
+  it('finds entries that span several cells once', () => {
+    const index = createSpatialIndex(100);
+    index.insert(1, { x: -150, y: -150, width: 400, height: 400 });
+
+    expect([...index.query({ x: 200, y: 200, width: 10, height: 10 })]).toEqual([1]);
+    expect([...index.query({ x: -200, y: -200, width: 600, height: 600 })]).toEqual([1]);
+  });
+
+  it('moves entries on insert and forgets them on remove', () => {
+    const index = createSpatialIndex(100);
+    index.insert(1, { x: 0, y: 0, width: 10, height: 10 });
+    index.insert(1, { x: 500, y: 500, width: 10, height: 10 });
+
+    expect(index.query({ x: 0, y: 0, width: 50, height: 50 }).size).toBe(0);
+    expect(index.getBounds(1)).toEqual({ x: 500, y: 500, width: 10, height: 10 });
+
+    index.remove(1);
+    expect(index.size).toBe(0);
+    expect(index.getBounds(1)).toBeNull();
+  });
+
+  it('reports the total bounds of all entries', () => {
+    const index = createSpatialIndex();
+    expect(index.getTotalBounds()).toBeNull();
+
+    index.insert('a', { x: -10, y: 5, width: 20, height: 20 });
+    index.insert('b', { x: 100, y: -50, width: 10, height: 10 });
+    expect(index.getTotalBounds()).toEqual({ minX: -10, minY: -50, maxX: 110, maxY: 25 });
+    expect(index.getIds().sort()).toEqual(['a', 'b']);
+  });
+});
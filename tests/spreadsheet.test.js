@@ -0,0 +1,94 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { parseCSV, parseXLSX, guessColumnMapping, guessHeaderRow, parseColorValue, rowsToCards, cardsToCSV } from '../src/lib/spreadsheet.js';
+
+describe('parseCSV', () => {
+  it('guesses the delimiter and handles quoted cells', () => {
+    expect(parseCSV('\uFEFFtext;taggar\r\n"rad ett; med ""citat""";a, b\r\n')).toEqual([
+      ['text', 'taggar'],
+      ['rad ett; med "citat"', 'a, b']
+    ]);
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('maps known headers', () => {
+    expect(guessColumnMapping(['Taggar', 'Framsida', 'Color'])).toMatchObject({ text: 1, tags: 0, cardColor: 2, backText: null });
+  });
+
+  it('falls back to the first unmapped column for text', () => {
+    expect(guessColumnMapping(['Datum', 'Rubrik', 'Övrigt']).text).toBe(1);
+    expect(guessColumnMapping(['Rubrik', 'Datum']).text).toBe(0);
+    expect(guessColumnMapping(['Datum']).text).toBeNull();
+  });
+
+  it('finds the header row below title rows', () => {
+    expect(guessHeaderRow([['Post-it export'], [], ['Text', 'Färg']])).toBe(2);
+  });
+});
+
+describe('parseColorValue', () => {
+  it('reads ids, numbers, names and hex as palette colors', () => {
+    expect(parseColorValue('3')).toBe('card-color-3');
+    expect(parseColorValue('Röd')).toBe('card-color-2');
+    expect(parseColorValue('blue')).toBe('card-color-4');
+    expect(parseColorValue('#2EA8E5')).toBe('card-color-4');
+    expect(parseColorValue('#ff0000')).toBe('card-color-2');
+    expect(parseColorValue('#zzz')).toBeNull();
+    expect(parseColorValue('okänd')).toBeNull();
+  });
+});
+
+describe('rowsToCards', () => {
+  const mapping = { text: 0, tags: 1, cardColor: 2, date: 3, backText: null, comments: null };
+
+  it('splits tags on comma and semicolon only', () => {
+    const [card] = rowsToCards([['Kort', 'projekt alfa; #möte, läsa ', '', '']], mapping);
+    expect(card.tags).toEqual(['projekt alfa', 'möte', 'läsa']);
+  });
+
+  it('skips rows without text and reads color and date', () => {
+    const cards = rowsToCards([['', 'x', '', ''], ['Kort', '', 'grön', '17.11.2025']], mapping);
+    expect(cards).toEqual([{ text: 'Kort', tags: [], cardColor: 'card-color-3', eventDate: '2025-11-17' }]);
+  });
+});
+
+describe('cardsToCSV', () => {
+  const cards = [
+    { id: 1, uniqueId: 'a', text: '=HYPERLINK("http://x")', backText: '-1 poäng', tags: ['a b', 'c'], cardColor: 'card-color-2', position: { x: -40, y: 10 } },
+    { id: 2, uniqueId: 'b', text: '@kalle, hej', comments: '+ bra', tags: [] }
+  ];
+
+  it('writes formula-like text with a leading apostrophe but leaves numbers alone', () => {
+    const [, first, second] = cardsToCSV(cards).replace(/^\uFEFF/, '').split('\r\n');
+    expect(first).toBe(`1,a,"'=HYPERLINK(""http://x"")",'-1 poäng,"a b, c",card-color-2,,,-40,10,,,,`);
+    expect(second.split(',')[2]).toBe(`"'@kalle`);
+  });
+
+  it('round-trips through parseCSV and rowsToCards', () => {
+    const [headers, ...rows] = parseCSV(cardsToCSV(cards));
+    const imported = rowsToCards(rows, guessColumnMapping(headers));
+    expect(imported).toEqual([
+      { text: '=HYPERLINK("http://x")', backText: '-1 poäng', tags: ['a b', 'c'], cardColor: 'card-color-2' },
+      { text: '@kalle, hej', comments: '+ bra', tags: [] }
+    ]);
+  });
+});
+
+describe('parseXLSX', () => {
+  it('reads shared and inline strings in sheet order', async () => {
+    const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+    const zip = new JSZip();
+    zip.file('xl/workbook.xml', `<workbook ${ns} xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Blad1" r:id="rId1"/></sheets></workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>');
+    zip.file('xl/sharedStrings.xml', `<sst ${ns}><si><t>Text</t></si><si><t>Färg</t></si></sst>`);
+    zip.file('xl/worksheets/sheet1.xml', `<worksheet ${ns}><sheetData>
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>
+      <row r="3"><c r="A3" t="inlineStr"><is><t>Kort</t></is></c><c r="C3"><v>2</v></c></row>
+    </sheetData></worksheet>`);
+
+    const [sheet] = await parseXLSX(await zip.generateAsync({ type: 'arraybuffer' }));
+    expect(sheet).toEqual({ name: 'Blad1', date1904: false, rows: [['Text', 'Färg'], [], ['Kort', '', '2']] });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseWikiLinks,
+  splitWikiLinks,
+  getCardTitle,
+  createWikiLinkResolver,
+  buildWikiLinkIndex,
+  getWikiLinkText
+} from '../src/lib/wiki-links.js';
+
+describe('parseWikiLinks and splitWikiLinks', () => {
+  it('lists link targets once, in order, without aliases', () => {
+    expect(parseWikiLinks('Se [[Möte]] och [[ Plan | planen ]], sen [[möte]] och [[Möte|igen]]'))
+      .toEqual(['Möte', 'Plan', 'möte']);
+    expect(parseWikiLinks('[[]] [[ ]] [[ej\nlänk]]')).toEqual([]);
+  });
+
+  it('splits text into plain and link segments with the shown text', () => {
+    expect(splitWikiLinks('Se [[Plan|planen]]!')).toEqual([
+      { type: 'text', value: 'Se ' },
+      { type: 'link', value: 'Plan', label: 'planen' },
+      { type: 'text', value: '!' }
+    ]);
+    expect(splitWikiLinks('[[Plan]]')).toEqual([{ type: 'link', value: 'Plan', label: 'Plan' }]);
+  });
+
+  it('uses the first non-empty line without heading marks as title', () => {
+    expect(getCardTitle({ text: '\n## Rubrik\nmer text' })).toBe('Rubrik');
+    expect(getCardTitle({ text: '', backText: 'Baksida' })).toBe('Baksida');
+  });
+});
+
+describe('createWikiLinkResolver', () => {
+  const cards = [
+    { id: 1, uniqueId: 'abc-1', text: 'Möte\ndetaljer' },
+    { id: 2, uniqueId: 'abc-2', text: 'möte' },
+    { id: 3, uniqueId: 'abc-3', text: 'abc-1' }
+  ];
+  const resolve = createWikiLinkResolver(cards);
+
+  it('resolves titles case-insensitively, the first card winning on shared titles', () => {
+    expect(resolve(' MÖTE ')?.id).toBe(1);
+    expect(resolve('saknas')).toBeNull();
+  });
+
+  it('prefers a uniqueId over a title', () => {
+    expect(resolve('abc-1')?.id).toBe(1);
+    expect(resolve('ABC-3')?.id).toBe(3);
+  });
+
+  it('links by uniqueId when the title is shared', () => {
+    expect(getWikiLinkText(cards[1], cards)).toBe('abc-2');
+    expect(getWikiLinkText(cards[2], cards)).toBe('abc-1');
+  });
+});
+
+describe('buildWikiLinkIndex', () => {
+  it('collects outgoing links and backlinks, ignoring links to itself', () => {
+    const cards = [
+      { id: 1, uniqueId: 'a', text: 'Start\n[[Mål|målet]] [[Start]] [[saknas]]' },
+      { id: 2, uniqueId: 'b', text: 'Mål', backText: '[[Start]]' }
+    ];
+    const { linksByCard, backlinksByCard, resolve } = buildWikiLinkIndex(cards);
+
+    expect(linksByCard.get(1).map(({ target, card }) => [target, card?.id ?? null]))
+      .toEqual([['Mål', 2], ['Start', 1], ['saknas', null]]);
+    expect(backlinksByCard.get(2)).toEqual([cards[0]]);
+    expect(backlinksByCard.get(1)).toEqual([cards[1]]);
+    expect(resolve('mål')).toBe(cards[1]);
+  });
+});
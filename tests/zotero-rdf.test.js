@@ -0,0 +1,126 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { parseZoteroRDF, formatSourceName, toCitationMetadata } from '../src/lib/zotero-rdf.js';
+
+const rdf = readFileSync('stuff/Zotero export rdf files.rdf', 'utf8');
+
+describe('parseZoteroRDF', () => {
+  const sources = parseZoteroRDF(rdf);
+
+  it('groups annotations by cited source with citation metadata', () => {
+    expect(sources).toHaveLength(1);
+    const [{ citation, annotations }] = sources;
+
+    expect(citation).toMatchObject({
+      uri: 'http://zotero.org/users/7417009/items/Y8RW2TIW',
+      type: 'book',
+      year: '2022',
+      authors: [{ family: 'Karlsson Holst', given: 'Helene' }, { family: 'Nilsson', given: 'Åsa' }]
+    });
+    expect(citation.csl.title).toBe(citation.title);
+    expect(annotations.length).toBeGreaterThan(5);
+  });
+
+  it('separates highlight, comment, color and page of each annotation', () => {
+    const [first] = sources[0].annotations;
+    expect(first).toMatchObject({
+      key: '7BQSIRU7',
+      comment: 'Kommentar',
+      color: '#ffd400',
+      pageLabel: '2',
+      locator: '2',
+      citationText: '(Karlsson Holst och Nilsson, 2022, p. 2)'
+    });
+    expect(first.text).toMatch(/^“Tidig matematisk förståelse/);
+    expect(first.text).not.toContain('Kommentar');
+  });
+
+  it('has no item tags when the export contains only the note', () => {
+    expect(sources[0].tags).toEqual([]);
+  });
+
+  it('rejects files that are not RDF', () => {
+    expect(() => parseZoteroRDF('<html><body>nej</body></html>')).toThrow('Zotero RDF');
+  });
+});
+
+describe('parseZoteroRDF item tags', () => {
+  const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const encode = value => encodeURIComponent(JSON.stringify(value));
+
+  // A note citing one item, with one highlight, as Zotero writes it into rdf:value
+  function memo(about, key, itemData) {
+    const uri = `http://zotero.org/users/1/items/${key}`;
+    const html = `<div data-citation-items="${encode([{ uris: [uri], itemData }])}">` +
+      `<p><span class="highlight" data-annotation="${encode({ annotationKey: `A${key}`, citationItem: { uris: [uri] } })}">Text ur ${key}</span></p></div>`;
+    return `<bib:Memo rdf:about="${about}"><z:itemType>note</z:itemType><rdf:value>${escapeXml(html)}</rdf:value></bib:Memo>`;
+  }
+
+  const fixture = `<rdf:RDF
+ xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"
+ xmlns:z="http://www.zotero.org/namespaces/export#"
+ xmlns:dc="http://purl.org/dc/elements/1.1/"
+ xmlns:dcterms="http://purl.org/dc/terms/"
+ xmlns:link="http://purl.org/rss/1.0/modules/link/"
+ xmlns:bib="http://purl.org/net/biblio#">
+    <bib:Book rdf:about="urn:isbn:978-91-44-12345-6">
+        <z:itemType>book</z:itemType>
+        <dc:title>En bok</dc:title>
+        <dc:subject>matematik</dc:subject>
+        <dc:subject><z:AutomaticTag><rdf:value>förskola</rdf:value></z:AutomaticTag></dc:subject>
+    </bib:Book>
+    <bib:Article rdf:about="#item_2">
+        <z:itemType>journalArticle</z:itemType>
+        <dc:title>En artikel</dc:title>
+        <dc:identifier>DOI 10.1000/ABC</dc:identifier>
+        <dc:subject>artikel</dc:subject>
+    </bib:Article>
+    <bib:Document rdf:about="https://example.org/rapport">
+        <z:itemType>report</z:itemType>
+        <dc:title>Rapport med annan titel i Zotero</dc:title>
+        <dc:subject>rapport</dc:subject>
+        <dcterms:isReferencedBy rdf:resource="#item_13"/>
+        <link:link rdf:resource="#item_14"/>
+    </bib:Document>
+    ${memo('#item_11', 'BOOK0001', { type: 'book', title: 'En bok', ISBN: '9789144123456' })}
+    ${memo('#item_12', 'ARTI0002', { type: 'article-journal', title: 'Annan titel', DOI: '10.1000/abc' })}
+    ${memo('#item_13', 'REPO0003', { type: 'report', title: 'Rapport' })}
+    ${memo('#item_15', 'NONE0004', { type: 'book', title: 'Okänd bok' })}
+</rdf:RDF>`;
+
+  const tagsByTitle = Object.fromEntries(
+    parseZoteroRDF(fixture).map(source => [source.citation.title, source.tags])
+  );
+
+  it('finds the item by ISBN in rdf:about and reads automatic tags', () => {
+    expect(tagsByTitle['En bok']).toEqual(['matematik', 'förskola']);
+  });
+
+  it('finds the item by its DOI identifier', () => {
+    expect(tagsByTitle['Annan titel']).toEqual(['artikel']);
+  });
+
+  it('falls back to the item that references the note', () => {
+    expect(tagsByTitle['Rapport']).toEqual(['rapport']);
+  });
+
+  it('leaves sources without a matching item untagged', () => {
+    expect(tagsByTitle['Okänd bok']).toEqual([]);
+  });
+});
+
+describe('formatSourceName', () => {
+  it('shortens three or more authors to "m.fl."', () => {
+    const citation = toCitationMetadata({
+      title: 'En titel',
+      author: [{ family: 'A' }, { family: 'B' }, { family: 'C' }],
+      issued: { 'date-parts': [[2020]] }
+    }, 'uri');
+    expect(formatSourceName(citation)).toBe('A m.fl. (2020) - En titel');
+  });
+
+  it('falls back to the title alone', () => {
+    expect(formatSourceName(toCitationMetadata(null, 'uri'))).toBe('Okänd källa');
+  });
+});
@@ -20,5 +20,9 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true
+  },
+  test: {
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js']
   }
 });